@@ -0,0 +1,2 @@
+import{d as Oe,e as te,f as Pe}from"./chunk-NHP5P4EY.js";function he(e){var d=e.getAttribute("data-portfolio-id")||"",h=e.classList.contains("portfolio-inline"),v="#"+(d?d+"/":"")+"book",I="#"+(d?d+"/":"")+"stack",S="(max-width: 767px) and (orientation: portrait)",p="portfolio-slide-view",A="(min-width: 1024px) and (orientation: landscape)",x=/\s*\[(single|pair)\]\s*$/i,O=["kg-width-wide","kg-width-full"],q=".kg-image-card, .kg-video-card, .kg-embed-card",R=e.querySelector(".portfolio-gallery"),C=$(),g=e.classList.contains("portfolio-dual-container"),t=h?["carousel"]:["carousel","stack"],o=g?["grid"].concat(t):t,r=C.length,l=window.matchMedia?window.matchMedia(S):null,n=window.matchMedia&&!h&&e.getAttribute("data-spreads")!=="off"?window.matchMedia(A):null,b=ge(),P=z(),D=w(window.location.hash),N=D||0,E=D!==null?y(window.location.hash):g?"grid":V(),X=null,_={change:[],spreads:[],filter:[]},H=[],W=!1;function $(){return R.querySelectorAll(".kg-gallery-card").forEach(function(i){var u=i.querySelector("figcaption"),k=i.querySelectorAll(".kg-gallery-image");k.forEach(function(B,ne){var ie=document.createElement("figure");for(ie.className="kg-card kg-image-card kg-gallery-slide";B.firstChild;)ie.appendChild(B.firstChild);var de=ie.querySelector("img");de&&de.classList.add("kg-image"),u&&ne===k.length-1&&(ie.classList.add("kg-card-hascaption"),ie.appendChild(u)),i.parentNode.insertBefore(ie,i)}),i.parentNode.removeChild(i)}),R.querySelectorAll(q)}function G(i){var u=i.indexOf("?");return u===-1?{route:i,query:""}:{route:i.slice(0,u),query:i.slice(u)}}function f(i){if(!T(window.location.hash))return null;var u=G(window.location.hash).query.slice(1);if(!u)return null;for(var k=u.split("&"),B=0;B<k.length;B++){var ne=k[B].split("=");if(c(ne[0])===i)return ne.length>1?c(ne[1]):""}return null}function c(i){try{return decodeURIComponent(i)}catch(u){return i}}function L(i){for(var u=G(i).route,k=[v,I],B=0;B<k.length;B++)if(u===k[B]||u.indexOf(k[B]+"/")===0)return k[B];return null}function T(i){return L(i)!==null}function y(i){return L(i)===I&&m("stack")?"stack":V()}function m(i){return t.indexOf(i)!==-1}function V(){return P||(l&&l.matches&&m("stack")?"stack":"carousel")}function z(){try{var i=localStorage.getItem(p);return t.indexOf(i)!==-1?i:null}catch(u){return null}}function j(i){P=i;try{localStorage.setItem(p,i)}catch(u){}}function s(i){var u=i.querySelector("img, video");if(!u)return"";var k=u.getAttribute("data-virtual-src")||u.getAttribute("src")||"",B=c(k.split(/[?#]/)[0].split("/").pop());return B.replace(/\.[^.]+$/,"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")}function w(i){var u=L(i);if(!u)return null;var k=G(i).route.slice(u.length+1);if(!k)return 0;if(/^\d+$/.test(k))return U(parseInt(k,10)-1);k=k.toLowerCase();for(var B=0;B<r;B++)if(s(C[B])===k)return B;return 0}function M(i,u){return(i==="stack"?I:v)+"/"+(u+1)}function U(i){return Math.max(0,Math.min(i,r-1))}function Z(i,u,k){if(!(r===0||isNaN(i))&&(i=U(i),!(i===N&&u===E))){var B={index:i,view:u,previousIndex:N,previousView:E,source:k||"api"};m(u)&&m(B.previousView)&&u!==B.previousView&&B.source!=="screen"&&j(u),N=i,E=u,oe(),Q(B),ee("change",B)}}function Q(i){if(i.source!=="hash"){var u=window.location.hash,k=window.location.pathname+window.location.search;if(m(i.view)){var B=M(i.view,i.index)+(T(u)?G(u).query:"");if(u===B)return;m(i.previousView)?history.replaceState(null,"",k+B):history.pushState(null,"",k+B)}else T(u)&&history.pushState(null,"",k)}}function ee(i,u){_[i].slice().forEach(function(k){k(u)})}function ae(i,u){typeof i=="number"&&Z(i,E,u&&u.source)}function se(i){var u=F(N),k=u[u.length-1]+1;k>=r||ae(k,i)}function ue(i){var u=F(N)[0]-1;u<0||ae(F(u)[0],i)}function fe(i){var u=i.getAttribute("alt")||"",k=u.match(x);return k?(i.setAttribute("alt",u.replace(x,"")),k[1].toLowerCase()):null}function ce(i){var u=i.querySelector("img");if(!u)return"single";var k=fe(u);if(k)return k;var B=O.some(function(de){return i.classList.contains(de)});if(B)return"single";var ne=parseInt(u.getAttribute("width"),10)||0,ie=parseInt(u.getAttribute("height"),10)||0;return ne>0&&ie>ne?"portrait":"single"}function ge(){for(var i=Array.prototype.map.call(C,ce),u=[],k=0;k<r;){var B=i[k]==="pair"||i[k]==="portrait"&&i[k+1]==="portrait";B&&k+1<r?(u[k]=u[k+1]=[k,k+1],k+=2):(u[k]=[k],k+=1)}return u}function ve(){b.forEach(function(i,u){i.length<2||C[u].classList.add(i[0]===u?"is-spread-start":"is-spread-end")})}function oe(){e.classList.toggle("is-spreads",a())}function a(){return E==="carousel"&&!!(n&&n.matches)}function F(i){return!a()||!b[i]?[i]:b[i].slice()}function Y(i,u){if(u=u||{},o.indexOf(i)!==-1){var k=typeof u.index=="number"?u.index:N;Z(k,i,u.source)}}function K(i){X=i?i.filter(function(u){return u>=0&&u<r}).sort(function(u,k){return u-k}):null,ee("filter",{filter:J()})}function J(){return X?X.slice():null}function re(i,u){!_[i]||typeof u!="function"||_[i].push(u)}function le(i,u){_[i]&&(_[i]=_[i].filter(function(k){return k!==u}))}function De(i){W=!0,i.focus({preventScroll:!0}),W=!1}function Fe(i){!i||!i.key||typeof i.handler!="function"||H.push(i)}function Me(i,u){return!i.view||[].concat(i.view).indexOf(u)!==-1}function qe(i){return H.filter(function(u){return!i||Me(u,i)})}function Ue(){return!!(window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches)}function _e(i){var u=i.target,k=u===document||u===document.body||u===document.documentElement;return k&&!h||e.contains(u)}function He(i){var u=i.target;return!u||!u.tagName?!1:u.isContentEditable||/^(INPUT|TEXTAREA|SELECT)$/.test(u.tagName)}function Be(i){if(i.ctrlKey||i.metaKey||i.altKey||He(i))return!1;for(var u=0;u<H.length;u++){var k=H[u];if(k.key.toLowerCase()===i.key.toLowerCase()&&Me(k,E))return i.preventDefault(),k.handler(i),!0}return!1}function Xe(){var i=w(window.location.hash);i!==null?Z(i,y(window.location.hash),"hash"):g&&Z(N,"grid","hash")}function Ye(){P||!m(E)||Z(N,V(),"screen")}function We(){oe(),ee("spreads",{spreads:a()})}function ze(i){var u={source:"keyboard"};if(_e(i)&&!Be(i)){if(m(E)){switch(i.key){case"ArrowRight":case"ArrowDown":i.preventDefault(),se(u);break;case"ArrowLeft":case"ArrowUp":i.preventDefault(),ue(u);break;case"Home":i.preventDefault(),ae(0,u);break;case"End":i.preventDefault(),ae(F(r-1)[0],u);break;case"Escape":g&&(i.preventDefault(),Y("grid",u));break}return}(i.key==="Enter"||i.key===" ")&&i.target.classList&&i.target.classList.contains("portfolio-grid-item")&&(i.preventDefault(),Y(V(),{index:parseInt(i.target.getAttribute("data-index"),10),source:"keyboard"}))}}function Ge(i){var u=C[i]&&C[i].querySelector("img");if(!u)return null;function k(B){return u.getAttribute("data-virtual-"+B)||u.getAttribute(B)||""}return{src:k("src"),srcset:k("srcset"),sizes:u.getAttribute("sizes")||"",alt:u.getAttribute("alt")||"",width:parseInt(u.getAttribute("width"),10)||u.naturalWidth||0,height:parseInt(u.getAttribute("height"),10)||u.naturalHeight||0,element:u}}function Ve(i,u){i&&(i.addEventListener?i.addEventListener("change",u):i.addListener&&i.addListener(u))}function je(i){var u=C[i],k=u&&u.classList.contains("kg-video-card")?u.querySelector("video"):null;return k?{src:k.getAttribute("src")||"",poster:u.getAttribute("data-kg-custom-thumbnail")||u.getAttribute("data-kg-thumbnail")||k.getAttribute("poster")||"",width:parseInt(k.getAttribute("width"),10)||k.videoWidth||0,height:parseInt(k.getAttribute("height"),10)||k.videoHeight||0,element:k}:null}function Ke(i){var u=C[i];return u?u.classList.contains("kg-video-card")?"video":u.classList.contains("kg-embed-card")?"embed":"image":null}return window.addEventListener("hashchange",Xe),document.addEventListener("keydown",ze),ve(),oe(),Ve(l,Ye),Ve(n,We),{container:e,id:d,goTo:ae,next:se,prev:ue,setView:Y,on:re,off:le,addShortcut:Fe,getHashParam:f,setFilter:K,getFilter:J,isDualView:g,getIndex:function(){return N},getView:function(){return E},getTotal:function(){return r},getSlides:function(){return C},isSlideView:m,getSlideView:V,getImage:Ge,getVideo:je,getSlideType:Ke,getSpread:F,hasSpreads:a,prefersReducedMotion:Ue,moveFocus:De,isMovingFocus:function(){return W},getShortcuts:qe}}var Ze=(function(){var e=["masonry","justified","square"],d=3,h=32,v=320,I=1.5;function S(g){return e.indexOf(g)!==-1}function p(g,t,o){var r=parseFloat(g.getPropertyValue(t));return isNaN(r)||r<0?o:r}function A(g){var t=g.querySelector("img");if(!t)return I;var o=parseFloat(t.getAttribute("width"))||t.naturalWidth,r=parseFloat(t.getAttribute("height"))||t.naturalHeight;return o&&r?o/r:I}function x(g,t,o){for(var r=Math.max(1,Math.round(o.columns)),l=(t-o.gap*(r-1))/r,n=[],b,P=0;P<r;P++)n.push(0);return b=g.map(function(D,N){var E=N%r,X=l/D,_={left:E*(l+o.gap),top:n[E],width:l,height:X};return n[E]+=X+o.gap,_}),{boxes:b,height:Math.max(0,Math.max.apply(null,n)-o.gap)}}function O(g,t,o){var r=[],l=0,n=[],b=0;function P(D){var N=0;n.forEach(function(E){var X=g[E]*D;r[E]={left:N,top:l,width:X,height:D},N+=X+o.gap}),l+=D+o.gap,n=[],b=0}return g.forEach(function(D,N){n.push(N),b+=D;var E=o.gap*(n.length-1);b*o.rowHeight+E>=t&&P((t-E)/b)}),n.length&&P(Math.min(o.rowHeight,(t-o.gap*(n.length-1))/b)),{boxes:r,height:Math.max(0,l-o.gap)}}function q(g,t,o){var r=Math.max(1,Math.round(o.columns)),l=(t-o.gap*(r-1))/r,n=Math.ceil(g.length/r);return{boxes:g.map(function(b,P){return{left:P%r*(l+o.gap),top:Math.floor(P/r)*(l+o.gap),width:l,height:l}}),height:Math.max(0,n*(l+o.gap)-o.gap)}}var R={masonry:x,justified:O,square:q};function C(g,t){var o=S(t.layout)?t.layout:e[0],r=t.itemSelector,l=0,n=null,b=null;function P(){var _=g.clientWidth;if(_){var H=getComputedStyle(g),W={top:p(H,"padding-top",0),right:p(H,"padding-right",0),bottom:p(H,"padding-bottom",0),left:p(H,"padding-left",0)},$=g.querySelectorAll(r),G=_-W.left-W.right,f=R[o](Array.prototype.map.call($,A),G,{columns:p(H,"--grid-columns",d),gap:p(H,"--grid-gap",h),rowHeight:p(H,"--grid-row-height",v)});Array.prototype.forEach.call($,function(c,L){var T=f.boxes[L];c.style.position="absolute",c.style.left=W.left+T.left+"px",c.style.top=W.top+T.top+"px",c.style.width=T.width+"px",c.style.height=T.height+"px"}),g.style.height=H.boxSizing==="border-box"?W.top+f.height+W.bottom+"px":f.height+"px",l=_,g.classList.contains("is-laid-out")||requestAnimationFrame(function(){g.classList.add("is-laid-out")})}}function D(){n||(n=requestAnimationFrame(function(){n=null,P()}))}function N(){g.clientWidth!==l&&D()}function E(_){_.target.tagName==="IMG"&&!_.target.getAttribute("height")&&D()}function X(){b?b.disconnect():window.removeEventListener("resize",N),g.removeEventListener("load",E,!0),n&&(cancelAnimationFrame(n),n=null),Array.prototype.forEach.call(g.querySelectorAll(r),function(_){["position","left","top","width","height"].forEach(function(H){_.style[H]=""})}),g.style.height="",g.classList.remove("grid-layout","grid-layout-"+o,"is-laid-out")}return g.classList.add("grid-layout","grid-layout-"+o),typeof ResizeObserver!="undefined"?(b=new ResizeObserver(N),b.observe(g)):window.addEventListener("resize",N),g.addEventListener("load",E,!0),P(),{layout:P,destroy:X,getLayout:function(){return o}}}return{create:C,isLayout:S,LAYOUTS:e}})(),pe=Ze;function me(e){if(!e.isDualView)return;var d=e.container,h=d.querySelector(".portfolio-gallery"),v=d.querySelector(".portfolio-grid"),I=d.querySelector(".portfolio-close-btn"),S=e.getSlides(),p=S.length,A=t(),x=null,O=null;function q(){p!==0&&(o(),e.isSlideView(e.getView())?R(e.getIndex()):g(),requestAnimationFrame(function(){requestAnimationFrame(function(){d.classList.add("view-visible"),e.getView()==="grid"&&n()})}),f())}function R(c){d.classList.add("view-carousel"),h.setAttribute("aria-hidden","false"),v.setAttribute("aria-hidden","true"),C(c)}function C(c){var L=e.getSpread(c),T=S[L[0]];if(T){var y=e.getView()==="stack";T.scrollIntoView({behavior:"instant",block:y?"center":"nearest",inline:y?"nearest":L.length>1?"end":"center"})}}function g(){d.classList.add("view-grid"),h.setAttribute("aria-hidden","true"),v.setAttribute("aria-hidden","false")}function t(){var c=d.getAttribute("data-layout");return pe.isLayout(c)?c:"masonry"}function o(){var c=[];v.classList.add("portfolio-grid-"+A),S.forEach(function(L,T){var y=e.getSlideType(T),m;if(y!=="image"){m=l(T,y),v.appendChild(m);var V=m.querySelector("img");V&&c.push(te.attach(V,m));return}var z=L.querySelector("img");if(z){m=r(T,"image");var j=document.createElement("img");j.src=z.src,j.alt=z.alt||"",j.loading="lazy",z.getAttribute("width")&&z.getAttribute("height")&&(j.setAttribute("width",z.getAttribute("width")),j.setAttribute("height",z.getAttribute("height"))),z.srcset&&(j.srcset=z.srcset),j.sizes="(min-width: 1200px) 33vw, (min-width: 768px) 50vw, 100vw";var s=document.createElement("picture");s.appendChild(j),m.appendChild(s),v.appendChild(m),c.push(te.attach(j,m))}}),O=Promise.all(c),Oe.apply(v)}function r(c,L){var T=document.createElement("div");return T.className="portfolio-grid-item",T.setAttribute("data-index",c),T.setAttribute("role","button"),T.setAttribute("tabindex","0"),T.setAttribute("aria-label","View "+L+" "+(c+1)+" of "+p+" in carousel"),T}function l(c,L){var T=r(c,L);T.classList.add("portfolio-grid-"+L);var y=e.getVideo(c);if(!y||!y.poster)return T;var m=document.createElement("img");return m.src=y.poster,m.alt="",m.loading="lazy",y.width&&y.height&&(m.setAttribute("width",y.width),m.setAttribute("height",y.height)),T.appendChild(m),T}function n(c){if(x){c&&c();return}(O||Promise.resolve()).then(function(){b(),c&&c()})}function b(){x||(x=pe.create(v,{layout:A,itemSelector:".portfolio-grid-item:not(.is-filtered-out)"}))}function P(){x&&x.layout()}var D=300;function N(){return e.prefersReducedMotion()?0:D}function E(c){var L=document.activeElement;!c||L&&L!==document.body&&!d.contains(L)||e.moveFocus(c)}function X(c){d.classList.remove("view-visible"),setTimeout(function(){d.classList.remove("view-grid"),d.classList.add("view-carousel"),h.setAttribute("aria-hidden","false"),v.setAttribute("aria-hidden","true"),C(c),E(S[c]),requestAnimationFrame(function(){d.classList.add("view-visible")})},N())}function _(c){d.classList.remove("view-visible"),setTimeout(function(){d.classList.remove("view-carousel"),d.classList.add("view-grid"),h.setAttribute("aria-hidden","true"),v.setAttribute("aria-hidden","false");function L(){var T=v.querySelector('.portfolio-grid-item[data-index="'+c+'"]:not(.is-filtered-out)')||v.querySelector(".portfolio-grid-item:not(.is-filtered-out)");T&&T.scrollIntoView({behavior:"instant",block:"center"}),E(T),requestAnimationFrame(function(){d.classList.add("view-visible")})}x?(P(),L()):requestAnimationFrame(function(){requestAnimationFrame(function(){n(L)})})},N())}function H(c){var L=e.isSlideView(c.view);L!==e.isSlideView(c.previousView)&&(L?X(c.index):_(c.index))}function W(c){v.querySelectorAll(".portfolio-grid-item").forEach(function(L){var T=parseInt(L.getAttribute("data-index"),10),y=!c.filter||c.filter.indexOf(T)!==-1;L.classList.toggle("is-filtered-out",!y)}),P()}function $(c){var L=c.target.closest(".portfolio-grid-item");L&&e.setView(e.getSlideView(),{index:parseInt(L.getAttribute("data-index"),10),source:"click"})}function G(){e.setView("grid",{source:"click"})}function f(){e.on("change",H),e.on("filter",W),I&&I.addEventListener("click",G),v.addEventListener("click",$)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",q):q()}function be(e){var d=e.container,h=d.querySelector(".portfolio-filmstrip-btn"),v=null,I=null,S=null,p=null,A=[],x="portfolio-filmstrip",O=6,q=e.getTotal(),R=!1,C=null,g=!1;function t(){q<2||(d.getAttribute("data-progress")!=="false"&&o(),d.getAttribute("data-filmstrip")!=="false"&&(r(),d.classList.add("has-filmstrip"),b(n()),G()),N(e.getIndex()),e.on("change",E),e.on("spreads",function(){N(e.getIndex())}))}function o(){v=document.createElement("div"),v.className="portfolio-progress",v.setAttribute("aria-hidden","true"),v.innerHTML='<span class="portfolio-progress-count"></span><span class="portfolio-progress-bar"><span class="portfolio-progress-fill"></span></span>',I=v.querySelector(".portfolio-progress-count"),S=v.querySelector(".portfolio-progress-fill"),d.appendChild(v)}function r(){p=document.createElement("nav"),p.className="portfolio-filmstrip",p.id="portfolio-filmstrip"+(e.id?"-"+e.id:""),p.setAttribute("aria-label","Thumbnails"),Array.prototype.forEach.call(e.getSlides(),function(f,c){var L=e.getImage(c),T=L?null:e.getVideo(c),y=L?L.src:T&&T.poster;if(y){var m=document.createElement("button");m.className="portfolio-filmstrip-thumb",m.type="button",m.setAttribute("data-index",c),m.setAttribute("aria-label","Image "+(c+1)+" of "+q),m.setAttribute("tabindex","-1");var V=document.createElement("img");V.src=l(y),V.alt="",V.loading="lazy",V.draggable=!1,m.appendChild(V),p.appendChild(m),A[c]=m}}),d.appendChild(p)}function l(f){return te.getGhostSize(f)||f}function n(){try{var f=localStorage.getItem(x);if(f)return f==="open"}catch(c){}return d.getAttribute("data-filmstrip")==="open"}function b(f){if(R=f,p.hidden=!f,d.classList.toggle("is-filmstrip-open",f),h){var c=f?"Hide thumbnails":"Show thumbnails";h.setAttribute("aria-expanded",f?"true":"false"),h.setAttribute("aria-label",c),h.setAttribute("title",c+" (T)")}f&&D(e.getIndex())}function P(){b(!R);try{localStorage.setItem(x,R?"open":"closed")}catch(f){}}function D(f){var c=A[f];!c||!R||(p.scrollLeft=c.offsetLeft-(p.clientWidth-c.offsetWidth)/2)}function N(f){if(v){var c=e.getSpread(f),L=c[c.length-1];I.textContent=c[0]+1+(L!==c[0]?"\u2013"+(L+1):"")+" / "+q,S.style.width=(L+1)/q*100+"%"}if(p){var T=p.contains(document.activeElement);A.forEach(function(y,m){var V=m===f;y.classList.toggle("is-current",V),y.setAttribute("tabindex",V?"0":"-1"),V?y.setAttribute("aria-current","true"):y.removeAttribute("aria-current")}),T&&A[f]&&A[f].focus({preventScroll:!0}),D(f)}}function E(f){e.isSlideView(f.view)&&N(f.index)}function X(f){var c=p.getBoundingClientRect(),L=document.elementFromPoint(f,c.top+c.height/2),T=L&&L.closest(".portfolio-filmstrip-thumb");return T?parseInt(T.getAttribute("data-index"),10):null}function _(f){f.button===0&&(g=!1,C={pointerId:f.pointerId,startX:f.clientX,isScrubbing:!1})}function H(f){if(!(!C||f.pointerId!==C.pointerId)){if(!C.isScrubbing){if(Math.abs(f.clientX-C.startX)<O)return;C.isScrubbing=!0,p.setPointerCapture(f.pointerId),p.classList.add("is-scrubbing")}var c=X(f.clientX);c!==null&&c!==e.getIndex()&&e.goTo(c,{source:"scrub"})}}function W(f){!C||f.pointerId!==C.pointerId||(C.isScrubbing&&(p.classList.remove("is-scrubbing"),g=!0),C=null)}function $(f){var c=f.target.closest(".portfolio-filmstrip-thumb");if(g){g=!1;return}c&&e.goTo(parseInt(c.getAttribute("data-index"),10),{source:"filmstrip"})}function G(){h&&h.addEventListener("click",P),e.addShortcut({key:"t",description:"Show/hide thumbnails",view:["carousel","stack"],handler:P}),p.addEventListener("click",$),p.addEventListener("pointerdown",_),p.addEventListener("pointermove",H),p.addEventListener("pointerup",W),p.addEventListener("pointercancel",W)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",t):t()}function ye(e){var d=e.container,h=d.querySelector(".portfolio-gallery"),v=e.getSlides(),I=d.classList.contains("portfolio-inline"),S=50,p=.3,A=100,x=10,O=250,q=2.5,R=4,C=150,g=500,t=16,o={},r=null,l=null,n=null,b=null,P="mouse",D=!1,N,E,X;function _(){v.length!==0&&(h.classList.add("has-gestures"),oe())}function H(){clearTimeout(E),h.style.scrollSnapType="none"}function W(a){clearTimeout(E),E=setTimeout(function(){h.style.scrollSnapType=""},a)}function $(a,F){var Y={source:F},K=e.getSpread(e.getIndex());if(K[0]===0){e.next(Y);return}if(K[K.length-1]===e.getTotal()-1){e.prev(Y);return}var J=h.getBoundingClientRect(),re=J.left+J.width/2;a<re?e.prev(Y):e.next(Y)}function G(a,F){if(F===0)return a;var Y=e.getSpread(a),K=F>0?Y[Y.length-1]+1:Y[0]-1;return K<0||K>=e.getTotal()?a:e.getSpread(K)[0]}function f(){return e.getView()==="stack"}function c(a){return!!(a&&a.closest&&a.closest("button, a, input"))}function L(a){var F=a&&a.closest?a.closest(".kg-image-card"):null;return F?F.querySelector("img"):null}function T(a){n&&n.img===a||(j(),n={img:a,width:a.offsetWidth,height:a.offsetHeight,scale:1,x:0,y:0},a.classList.add("is-zoomed"),h.classList.add("is-zoomed"))}function y(a,F,Y){var K=n.img.getBoundingClientRect(),J=F-(K.left+K.width/2-n.x),re=Y-(K.top+K.height/2-n.y);a=Math.max(1,Math.min(a,R)),n.x=J-a*(J-n.x)/n.scale,n.y=re-a*(re-n.y)/n.scale,n.scale=a,V()}function m(a,F){n.x+=a,n.y+=F,V()}function V(){var a=n.width*(n.scale-1)/2,F=n.height*(n.scale-1)/2;n.x=Math.max(-a,Math.min(n.x,a)),n.y=Math.max(-F,Math.min(n.y,F)),n.img.style.transform="translate("+n.x+"px, "+n.y+"px) scale("+n.scale+")"}function z(){n&&n.scale<=1.01&&j()}function j(){n&&(n.img.style.transform="",n.img.classList.remove("is-zoomed"),h.classList.remove("is-zoomed"),n=null)}function s(a,F,Y){if(n){j();return}var K=L(a);K&&(T(K),y(q,F,Y))}function w(){return Object.keys(o).slice(0,2).map(function(a){return o[a]})}function M(){var a=w(),F=L(a[0].target);r&&(r=null,W(0)),F&&(T(F),l={distance:Q(a),scale:n.scale,x:(a[0].x+a[1].x)/2,y:(a[0].y+a[1].y)/2},h.classList.add("is-gesturing"))}function U(){var a=w(),F=(a[0].x+a[1].x)/2,Y=(a[0].y+a[1].y)/2;m(F-l.x,Y-l.y),y(l.scale*Q(a)/l.distance,F,Y),l.x=F,l.y=Y}function Z(){l=null,b=null,h.classList.remove("is-gesturing"),z()}function Q(a){return Math.sqrt(Math.pow(a[0].x-a[1].x,2)+Math.pow(a[0].y-a[1].y,2))||1}function ee(a,F){var Y=a[0],K=a[a.length-1];return F-K.t>A||K.t===Y.t?0:(K.x-Y.x)/(K.t-Y.t)}function ae(a,F){if(b&&a.timeStamp-b.time<O&&Math.abs(a.clientX-b.x)<x*3&&Math.abs(a.clientY-b.y)<x*3){clearTimeout(N),b=null,s(F,a.clientX,a.clientY);return}var Y=a.clientX;b={time:a.timeStamp,x:a.clientX,y:a.clientY},clearTimeout(N),N=setTimeout(function(){b=null,n||$(Y,"tap")},O)}function se(a,F){var Y=F.clientX-a.startX,K=ee(a.samples,F.timeStamp),J=0;Math.abs(K)>p?J=K<0?1:-1:Math.abs(Y)>S&&(J=Y<0?1:-1);var re=G(a.startIndex,J),le=e.getSpread(re);le.indexOf(e.getIndex())===-1?e.goTo(re,{source:"swipe"}):v[le[0]].scrollIntoView({behavior:e.prefersReducedMotion()?"instant":"smooth",block:"nearest",inline:le.length>1?"end":"center"}),W(g)}function ue(a){if(P=a.pointerType,!(c(a.target)||f())&&!(a.pointerType==="mouse"&&(!n||a.button!==0))){o[a.pointerId]={x:a.clientX,y:a.clientY,target:a.target},h.setPointerCapture(a.pointerId);var F=Object.keys(o).length;if(F===2){M();return}F>2||(r={target:a.target,startX:a.clientX,startY:a.clientY,lastX:a.clientX,lastY:a.clientY,scrollLeft:h.scrollLeft,startIndex:e.getIndex(),samples:[{x:a.clientX,t:a.timeStamp}],moved:!1})}}function fe(a){if(o[a.pointerId]){if(o[a.pointerId].x=a.clientX,o[a.pointerId].y=a.clientY,l){U();return}if(r){var F=a.clientX-r.lastX,Y=a.clientY-r.lastY;if(r.lastX=a.clientX,r.lastY=a.clientY,!r.moved){if(Math.abs(a.clientX-r.startX)<x&&Math.abs(a.clientY-r.startY)<x)return;r.moved=!0,h.classList.add("is-gesturing"),n||H()}if(n){m(F,Y);return}for(h.scrollLeft=r.scrollLeft-(a.clientX-r.startX),r.samples.push({x:a.clientX,t:a.timeStamp});r.samples.length>2&&a.timeStamp-r.samples[0].t>A;)r.samples.shift()}}}function ce(a){if(o[a.pointerId]){if(delete o[a.pointerId],l){Z();return}if(r){var F=r;if(r=null,h.classList.remove("is-gesturing"),a.type==="pointercancel"){W(0);return}if(!F.moved){a.pointerType!=="mouse"&&ae(a,F.target);return}a.pointerType==="mouse"&&(D=!0),n||se(F,a)}}}function ge(a){if(!c(a.target)&&(a.stopPropagation(),!f())){if(D){D=!1;return}if(P==="mouse"){if(n){j();return}$(a.clientX,"click")}}}function ve(a){if(!f()&&!(I&&!a.ctrlKey&&!n&&Math.abs(a.deltaY)>=Math.abs(a.deltaX))){if(a.preventDefault(),a.ctrlKey){var F=L(a.target)||L(v[e.getIndex()]);if(!F)return;T(F),h.classList.add("is-gesturing"),y(n.scale*Math.exp(-a.deltaY/100),a.clientX,a.clientY),clearTimeout(X),X=setTimeout(function(){h.classList.remove("is-gesturing"),z()},C);return}if(n){m(-a.deltaX,-a.deltaY);return}var Y=Math.abs(a.deltaX)>Math.abs(a.deltaY)?a.deltaX:a.deltaY;a.deltaMode===1&&(Y*=t),H(),h.scrollLeft+=Y,W(C)}}function oe(){h.addEventListener("pointerdown",ue),h.addEventListener("pointermove",fe),h.addEventListener("pointerup",ce),h.addEventListener("pointercancel",ce),h.addEventListener("click",ge,!0),h.addEventListener("wheel",ve,{passive:!1}),e.on("change",j),window.addEventListener("resize",j)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",_):_()}function we(e){var d=e.container,h='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',v={carousel:[{keys:["\u2190","\u2192"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],stack:[{keys:["\u2191","\u2193"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],grid:[{keys:["Tab"],description:"Move between images"},{keys:["Enter"],description:"Open image"}]},I={" ":"Space",Escape:"Esc",ArrowLeft:"\u2190",ArrowRight:"\u2192",ArrowUp:"\u2191",ArrowDown:"\u2193"},S=null,p=null,A=null,x=null;function O(){var l="portfolio-help-title"+(e.id?"-"+e.id:"");S=document.createElement("div"),S.className="portfolio-help",S.setAttribute("role","dialog"),S.setAttribute("aria-modal","true"),S.setAttribute("aria-labelledby",l),S.hidden=!0,S.innerHTML='<div class="portfolio-help-panel"><h2 class="portfolio-help-title" id="'+l+'">Keyboard shortcuts</h2><button class="portfolio-help-close" aria-label="Close keyboard shortcuts" title="Close (Esc)">'+h+'</button><dl class="portfolio-help-list"></dl></div>',p=S.querySelector(".portfolio-help-list"),A=S.querySelector(".portfolio-help-close"),A.addEventListener("click",t),S.addEventListener("keydown",o),S.addEventListener("click",function(n){n.target===S&&t()}),d.appendChild(S)}function q(l){return I[l]?I[l]:l.length===1?l.toUpperCase():l}function R(l,n){var b=document.createElement("dt"),P=document.createElement("dd");l.forEach(function(D){var N=document.createElement("kbd");N.textContent=D,b.appendChild(N)}),P.textContent=n,p.appendChild(b),p.appendChild(P)}function C(){var l=e.getView();p.innerHTML="",v[l].forEach(function(n){R(n.keys,n.description)}),e.getShortcuts(l).forEach(function(n){R([q(n.key)],n.description||"")}),e.isSlideView(l)&&e.isDualView&&R(["Esc"],"Back to the grid")}function g(){S||O(),S.hidden&&(C(),x=document.activeElement,S.hidden=!1,A.focus())}function t(){!S||S.hidden||(S.hidden=!0,x&&x.focus&&x.focus({preventScroll:!0}),x=null)}function o(l){l.stopPropagation(),l.key==="Escape"||l.key==="?"?(l.preventDefault(),t()):l.key==="Tab"&&(l.preventDefault(),A.focus())}function r(){e.getTotal()!==0&&e.addShortcut({key:"?",description:"Show keyboard shortcuts",handler:g})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",r):r()}var $e=(function(){var e=131072,d={make:271,model:272,exifPointer:34665,gpsPointer:34853,exposureTime:33434,fNumber:33437,iso:34855,dateTimeOriginal:36867,focalLength:37386,lensModel:42036,latitudeRef:1,latitude:2,longitudeRef:3,longitude:4},h={1:1,2:1,3:2,4:4,5:8,7:1,9:4,10:8};function v(g){try{return new URL(g,window.location.href).origin===window.location.origin}catch(t){return!1}}function I(g){return!g||!v(g)||!window.fetch?Promise.resolve(null):fetch(g,{headers:{Range:"bytes=0-"+(e-1)}}).then(function(t){return t.ok?t.arrayBuffer():null}).then(function(t){return t?S(t):null}).catch(function(){return null})}function S(g){var t=new DataView(g);if(t.byteLength<4||t.getUint16(0)!==65496)return null;for(var o=2;o+4<=t.byteLength;){var r=t.getUint16(o),l=t.getUint16(o+2);if(r===65505&&o+10<=t.byteLength&&t.getUint32(o+4)===1165519206&&t.getUint16(o+8)===0)return p(t,o+10);if(r===65498||(r&65280)!==65280)break;o+=2+l}return null}function p(g,t){try{var o=g.getUint16(t);if(o!==18761&&o!==19789)return null;var r={view:g,start:t,little:o===18761},l=A(r,g.getUint32(t+4,r.little)),n=l[d.exifPointer]?A(r,l[d.exifPointer]):{},b=l[d.gpsPointer]?A(r,l[d.gpsPointer]):{};return C({make:l[d.make],model:l[d.model],lens:n[d.lensModel],exposureTime:n[d.exposureTime],fNumber:n[d.fNumber],iso:n[d.iso],focalLength:n[d.focalLength],date:q(n[d.dateTimeOriginal]),latitude:R(b[d.latitude],b[d.latitudeRef],"S"),longitude:R(b[d.longitude],b[d.longitudeRef],"W")})}catch(P){return null}}function A(g,t){for(var o=g.view,r=g.start+t,l=o.getUint16(r,g.little),n={},b=0;b<l;b++){var P=r+2+b*12,D=o.getUint16(P,g.little),N=x(g,P);N!==void 0&&(n[D]=N)}return n}function x(g,t){var o=g.view,r=g.little,l=o.getUint16(t+2,r),n=o.getUint32(t+4,r),b=h[l];if(b){var P=b*n>4?g.start+o.getUint32(t+8,r):t+8,D=[];if(l===2)return O(o,P,n);for(var N=0;N<n;N++){var E=P+N*b;switch(l){case 3:D.push(o.getUint16(E,r));break;case 4:D.push(o.getUint32(E,r));break;case 9:D.push(o.getInt32(E,r));break;case 5:D.push(o.getUint32(E,r)/o.getUint32(E+4,r));break;case 10:D.push(o.getInt32(E,r)/o.getInt32(E+4,r));break;default:D.push(o.getUint8(E))}}return n===1?D[0]:D}}function O(g,t,o){for(var r="",l=0;l<o;l++){var n=g.getUint8(t+l);if(n===0)break;r+=String.fromCharCode(n)}return r.trim()}function q(g){var t=/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(g||"");if(t)return new Date(+t[1],t[2]-1,+t[3],+t[4],+t[5],+t[6])}function R(g,t,o){if(!(!g||g.length!==3)){var r=g[0]+g[1]/60+g[2]/3600;if(!isNaN(r))return t===o?-r:r}}function C(g){return Object.keys(g).forEach(function(t){var o=g[t];(o===void 0||o===""||typeof o=="number"&&!isFinite(o))&&delete g[t]}),Object.keys(g).length>0?g:null}return{read:I,parse:S}})(),Re=$e;function Se(e){var d=e.container,h=e.getSlides(),v=d.querySelector(".portfolio-info-btn"),I,S,p,A='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',x=[{key:"alt",label:"Alt text"},{key:"camera",label:"Camera"},{key:"lens",label:"Lens"},{key:"exposure",label:"Exposure"},{key:"date",label:"Date"},{key:"location",label:"Location"}],O=!1,q=[];function R(){h.length!==0&&(C(),d.classList.add("has-info"),G())}function C(){I=document.createElement("aside"),I.className="portfolio-info",I.id="portfolio-info"+(e.id?"-"+e.id:""),I.setAttribute("aria-label","Image information"),I.setAttribute("aria-live","polite"),I.hidden=!0,I.innerHTML='<button class="portfolio-info-close" aria-label="Close image information" title="Close (I)">'+A+'</button><div class="portfolio-info-caption"></div><dl class="portfolio-info-details"></dl>',S=I.querySelector(".portfolio-info-caption"),p=I.querySelector(".portfolio-info-details"),I.querySelector(".portfolio-info-close").addEventListener("click",t),d.appendChild(I)}function g(){O||(O=!0,I.hidden=!1,r(),l(e.getIndex()))}function t(){O&&(O=!1,I.hidden=!0,r())}function o(){O?t():g()}function r(){d.classList.toggle("is-info-open",O),v&&(v.setAttribute("aria-expanded",O?"true":"false"),v.setAttribute("aria-label",O?"Hide image information":"Show image information"))}function l(f){var c=h[f];if(c){I.classList.remove("is-loading");var L=c.querySelector("figcaption");S.innerHTML=L?L.innerHTML:"",S.hidden=!L;var T=P(c);b(T);var y=e.getImage(f);y&&(I.classList.add("is-loading"),n(f,y.src).then(function(m){if(!(f!==e.getIndex()||!O)&&(I.classList.remove("is-loading"),m)){var V=N(D(m),T);V.location=T.location||V.location,b(V)}}))}}function n(f,c){return q[f]||(q[f]=Re.read(c)),q[f]}function b(f){p.innerHTML="",x.forEach(function(c){if(f[c.key]){var L=document.createElement("dt"),T=document.createElement("dd");L.textContent=c.label,T.textContent=f[c.key],p.appendChild(L),p.appendChild(T)}}),p.hidden=p.children.length===0}function P(f){var c=f.querySelector("img");function L(T){return f.getAttribute("data-"+T)||c&&c.getAttribute("data-"+T)||""}return{alt:c?c.getAttribute("alt"):"",camera:L("camera"),lens:L("lens"),exposure:L("exposure"),date:H(L("date")),location:L("location")}}function D(f){var c=[],L=Array.isArray(f.iso)?f.iso[0]:f.iso;return f.focalLength&&c.push(E(f.focalLength)+"mm"),f.fNumber&&c.push("f/"+E(f.fNumber)),f.exposureTime&&c.push(_(f.exposureTime)),L&&c.push("ISO "+L),{camera:X(f.make,f.model),lens:f.lens||"",exposure:c.join(" \xB7 "),date:f.date?H(f.date):"",location:W(f.latitude,f.longitude)}}function N(f,c){var L={};return x.forEach(function(T){L[T.key]=f[T.key]||c[T.key]||""}),L}function E(f){return String(Math.round(f*10)/10)}function X(f,c){return c?!f||c.toLowerCase().indexOf(f.split(" ")[0].toLowerCase())===0?c:f+" "+c:f||""}function _(f){return f>=1?E(f)+"s":"1/"+Math.round(1/f)+"s"}function H(f){if(!f)return"";var c=/^(\d{4})-(\d{2})-(\d{2})$/.exec(f),L=f instanceof Date?f:c?new Date(+c[1],c[2]-1,+c[3]):new Date(f);return isNaN(L.getTime())?String(f):L.toLocaleDateString(document.documentElement.lang||void 0,{year:"numeric",month:"long",day:"numeric"})}function W(f,c){return f===void 0||c===void 0?"":Math.abs(f).toFixed(5)+"\xB0 "+(f<0?"S":"N")+", "+Math.abs(c).toFixed(5)+"\xB0 "+(c<0?"W":"E")}function $(f){if(O){if(!e.isSlideView(f.view)){t();return}f.index!==f.previousIndex&&l(f.index)}}function G(){v&&v.addEventListener("click",o),e.addShortcut({key:"i",description:"Show/hide image information",view:["carousel","stack"],handler:o}),e.on("change",$)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",R):R()}function Ae(e){var d=e.container,h=e.getSlides(),v=d.querySelector(".portfolio-fullscreen-btn"),I='<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';function S(){h.length!==0&&(p(),R()&&(d.classList.add("has-fullscreen"),o()))}function p(){h.forEach(function(r,l){if(e.getImage(l)){var n=document.createElement("button");n.className="portfolio-expand-btn",n.setAttribute("aria-label","View image "+(l+1)+" full size"),n.setAttribute("title","View full size"),n.innerHTML=I,n.addEventListener("click",function(b){b.preventDefault(),b.stopPropagation(),q(l)}),r.appendChild(n)}})}function A(r){var l=r.src,n=0;return r.srcset.split(",").forEach(function(b){var P=b.trim().split(/\s+/),D=parseInt(P[1],10);P[0]&&/w$/.test(P[1]||"")&&D>n&&(l=P[0],n=D)}),l}function x(){var r=[];return h.forEach(function(l,n){e.getImage(n)&&r.push(n)}),r}function O(r){return r.map(function(l){var n=e.getImage(l),b=h[l].querySelector("figcaption"),P=n.element.classList.contains("is-parked");return{src:A(n),width:n.width,height:n.height,msrc:P?"":n.element.currentSrc||n.src,alt:n.alt,caption:b?b.innerHTML:""}})}function q(r){var l=x(),n=l.indexOf(r);n!==-1&&Pe.open(O(l),n,{container:C()===d?d:null,onClose:function(b){e.goTo(l[b],{source:"lightbox"})}})}function R(){return!!(document.fullscreenEnabled||document.webkitFullscreenEnabled)}function C(){return document.fullscreenElement||document.webkitFullscreenElement||null}function g(){if(C()){(document.exitFullscreen||document.webkitExitFullscreen).call(document);return}e.isSlideView(e.getView())||e.setView(e.getSlideView(),{source:"fullscreen"});var r=d.requestFullscreen||d.webkitRequestFullscreen,l=r.call(d);l&&l.catch&&l.catch(function(){})}function t(){var r=C()===d,l=r?"Exit fullscreen":"Enter fullscreen";d.classList.toggle("is-fullscreen",r),v&&(v.setAttribute("aria-pressed",r?"true":"false"),v.setAttribute("aria-label",l),v.setAttribute("title",l+" (F)"))}function o(){v&&v.addEventListener("click",g),e.addShortcut({key:"f",description:"Toggle fullscreen",handler:g}),document.addEventListener("fullscreenchange",t),document.addEventListener("webkitfullscreenchange",t),e.on("change",function(r){!e.isSlideView(r.view)&&C()===d&&g()})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",S):S()}function Ee(e){var d=e.container,h="portfolio-picks:",v="picks",I=2e3,S='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>',p=e.getSlides(),A=null,x=null,O=null,q=null,R=null,C=[],g=h+window.location.pathname+(e.id?"#"+e.id:""),t=[],o=!1;function r(){if(!(!d.hasAttribute("data-proofing")||d.getAttribute("data-proofing")==="false")&&p.length!==0){X(),H(),d.classList.add("has-proofing");var s=D();s?(t=s,E(),G(e.isDualView)):(t=N(),W()),j()}}function l(s){return n(s)!==""}function n(s){var w=e.getImage(s)||e.getVideo(s),M=w?w.src.split(/[?#]/)[0]:"";try{return decodeURIComponent(M.split("/").pop())}catch(U){return M.split("/").pop()}}function b(s){var w=[];return s.forEach(function(M){var U=w[w.length-1];U&&M===U[1]+1?U[1]=M:w.push([M,M])}),w.map(function(M){return M[0]+1+(M[1]>M[0]?"-"+(M[1]+1):"")}).join(",")}function P(s){var w=[];return(s||"").split(",").forEach(function(M){var U=/^(\d+)(?:-(\d+))?$/.exec(M.trim());if(U)for(var Z=Math.max(parseInt(U[1],10)-1,0),Q=Math.min(U[2]?parseInt(U[2],10)-1:Z,p.length-1),ee=Z;ee<=Q;ee++)l(ee)&&w.indexOf(ee)===-1&&w.push(ee)}),w.sort(function(M,U){return M-U})}function D(){var s=e.getHashParam(v);if(s===null)return null;var w=window.location.hash,M=w.indexOf("?"),U=w.slice(M+1).split("&").filter(function(Z){return Z&&Z.split("=")[0]!==v});return history.replaceState(history.state,"",window.location.pathname+window.location.search+w.slice(0,M)+(U.length?"?"+U.join("&"):"")),P(s)}function N(){try{return P(localStorage.getItem(g))}catch(s){return[]}}function E(){try{t.length>0?localStorage.setItem(g,b(t)):localStorage.removeItem(g)}catch(s){}}function X(){p.forEach(function(s,w){l(w)&&(C[w]=[_(w)],s.appendChild(C[w][0]))}),d.querySelectorAll(".portfolio-grid-item").forEach(function(s){var w=parseInt(s.getAttribute("data-index"),10);if(C[w]){var M=_(w);s.appendChild(M),C[w].push(M)}})}function _(s){var w=document.createElement("button");return w.type="button",w.className="portfolio-pick-btn",w.setAttribute("aria-label","Select "+e.getSlideType(s)+" "+(s+1)),w.setAttribute("aria-pressed","false"),w.setAttribute("title","Select (S)"),w.innerHTML=S,w.addEventListener("click",function(M){M.preventDefault(),M.stopPropagation(),$(s)}),w}function H(){A=document.createElement("div"),A.className="portfolio-proofing",A.setAttribute("role","group"),A.setAttribute("aria-label","Selection"),A.innerHTML='<span class="portfolio-proofing-count" aria-live="polite"></span>'+(e.isDualView?'<button type="button" class="portfolio-proofing-btn portfolio-proofing-filter" aria-pressed="false">Selected only</button>':"")+'<button type="button" class="portfolio-proofing-btn portfolio-proofing-link">Copy link</button><button type="button" class="portfolio-proofing-btn portfolio-proofing-list">Download list</button>',x=A.querySelector(".portfolio-proofing-count"),O=A.querySelector(".portfolio-proofing-filter"),q=A.querySelector(".portfolio-proofing-link"),R=A.querySelector(".portfolio-proofing-list"),d.appendChild(A)}function W(){C.forEach(function(s,w){var M=t.indexOf(w)!==-1;s.forEach(function(U){U.classList.toggle("is-picked",M),U.setAttribute("aria-pressed",M?"true":"false")})}),x.textContent=t.length+" selected",O&&(O.disabled=t.length===0,O.setAttribute("aria-pressed",o?"true":"false")),q.disabled=t.length===0,R.disabled=t.length===0}function $(s){if(s=[].concat(s).filter(function(M){return!!C[M]}),s.length!==0){var w=s.some(function(M){return t.indexOf(M)===-1});s.forEach(function(M){var U=t.indexOf(M);w&&U===-1?t.push(M):w||t.splice(U,1)}),t.sort(function(M,U){return M-U}),E(),o?G(t.length>0):W()}}function G(s){o=s&&e.isDualView&&t.length>0,e.setFilter(o?t:null),W()}function f(){var s="#"+(e.id?e.id+"/":"")+"book/"+(t[0]+1)+"?"+v+"="+b(t);return window.location.origin+window.location.pathname+s}function c(){var s=f(),w=navigator.clipboard&&navigator.clipboard.writeText?navigator.clipboard.writeText(s):Promise.reject(new Error("No clipboard"));w.then(function(){L(q,"Link copied")},function(){window.prompt("Copy this link to share the selection",s)})}function L(s,w){var M=s.textContent;s.textContent=w,setTimeout(function(){s.textContent=M},I)}function T(){var s=["Number,Filename"];return t.forEach(function(w){s.push(w+1+","+y(n(w)))}),s.join("\r\n")+"\r\n"}function y(s){return/[",\r\n]/.test(s)?'"'+s.replace(/"/g,'""')+'"':s}function m(){var s=window.location.pathname.split("/").filter(Boolean).pop()||"portfolio";return"selection-"+s+(e.id?"-"+e.id:"")+".csv"}function V(){var s=document.createElement("a");s.href=window.URL.createObjectURL(new Blob([T()],{type:"text/csv"})),s.download=m(),document.body.appendChild(s),s.click(),document.body.removeChild(s),setTimeout(function(){window.URL.revokeObjectURL(s.href)},0)}function z(s){if(e.isSlideView(e.getView())){$(e.getSpread(e.getIndex()));return}var w=s.target.closest?s.target.closest(".portfolio-grid-item"):null;w&&$(parseInt(w.getAttribute("data-index"),10))}function j(){O&&O.addEventListener("click",function(){G(!o)}),q.addEventListener("click",c),R.addEventListener("click",V),e.addShortcut({key:"s",description:"Select/unselect image (both pages of a spread)",handler:z})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",r):r()}var Qe={broadcast:Ne,socket:et},Je=2e3;function Ne(e,d){if(typeof BroadcastChannel=="undefined")return null;var h=new BroadcastChannel(e);return h.onmessage=function(v){d.message(v.data)},setTimeout(d.open,0),{send:function(v){h.postMessage(v)},close:function(){h.close()}}}function et(e,d,h){if(typeof WebSocket=="undefined"||!h.relay)return null;var v=null,I=!1;function S(){try{v=new WebSocket(h.relay)}catch(p){return!1}return v.addEventListener("open",d.open),v.addEventListener("message",function(p){var A;try{A=JSON.parse(p.data)}catch(x){return}A&&A.channel===e&&d.message(A.data)}),v.addEventListener("close",function(){I||setTimeout(S,Je)}),!0}return S()?{send:function(p){v.readyState===WebSocket.OPEN&&v.send(JSON.stringify({channel:e,data:p}))},close:function(){I=!0,v.close()}}:null}function Le(e){var d=e.container,h="portfolio-remote:",v="portfolio-remote:"+window.location.pathname+(e.id?"#"+e.id:""),I=e.getSlides(),S=null,p=null,A=null,x=null,O=null,q=[],R=P(),C=R?R.role:null,g=R?R.room:null,t=R?R.relay:null,o=null,r=Math.random().toString(36).slice(2),l={},n=!1;function b(){!C||I.length===0||(o=X(),o&&(d.classList.add(C==="display"?"is-presenting":"is-remote"),C==="remote"&&(m(),j()),y(),z(),e.on("change",c),window.addEventListener("pagehide",function(){_({type:"bye"})})))}function P(){var s=N(),w=null;if(e.getHashParam("present")!==null?w="display":e.getHashParam("remote")!==null&&(w="remote"),!w)return s;var M=e.getHashParam(w==="display"?"present":"remote"),U=s&&s.role===w,Z={role:w,room:M||(U?s.room:null)||(w==="display"?D():null),relay:e.getHashParam("relay"),transport:e.getHashParam("transport")};return Z.room?(E(Z),Z):null}function D(){return Math.random().toString(36).slice(2,10)}function N(){try{return JSON.parse(sessionStorage.getItem(v))}catch(s){return null}}function E(s){try{sessionStorage.setItem(v,JSON.stringify(s))}catch(w){}}function X(){var s=R.transport||(t?"socket":"broadcast"),w=Qe[s],M=h+window.location.pathname+(e.id?"#"+e.id:"")+":"+g,U={message:$,open:W};return w?w(M,U,{relay:t})||(s==="socket"?Ne(M,U):null):null}function _(s){s.from=r,s.role=C,o.send(s)}function H(){_({type:"state",index:e.getIndex(),view:e.getView()})}function W(){_({type:"hello"}),C==="display"&&H()}function $(s){!s||s.role===C||s.from===r||(s.type==="bye"?delete l[s.from]:l[s.from]=!0,C==="display"?G(s):s.type==="state"&&f(s),z())}function G(s){var w={source:"remote"},M=e.isSlideView(e.getView());switch(s.type){case"hello":H();break;case"next":case"prev":M?s.type==="next"?e.next(w):e.prev(w):e.setView(e.getSlideView(),w);break;case"go":if(typeof s.index!="number")return;M?e.goTo(s.index,w):e.setView(e.getSlideView(),{index:s.index,source:"remote"});break;case"grid":e.setView(M?"grid":e.getSlideView(),w);break}}function f(s){var w=s.view==="grid"&&e.isDualView?"grid":null;w||(w=e.isSlideView(e.getView())?e.getView():e.getSlideView()),n=!0,e.setView(w,{index:s.index,source:"remote"}),n=!1}function c(s){C==="display"?H():!n&&s.index!==s.previousIndex&&_({type:"go",index:s.index}),z()}function L(){var s="remote="+encodeURIComponent(g)+(t?"&relay="+encodeURIComponent(t):"");return window.location.origin+window.location.pathname+"#"+(e.id?e.id+"/":"")+"book?"+s}function T(){return Object.keys(l).length>0}function y(){if(S=document.createElement("p"),S.className="portfolio-remote-status",S.setAttribute("role","status"),p){p.insertBefore(S,p.firstChild);return}var s=document.createElement("a");s.href=L(),s.target="_blank",s.textContent=s.href,S.appendChild(document.createTextNode("Remote: ")),S.appendChild(s),d.appendChild(S)}function m(){p=document.createElement("div"),p.className="portfolio-remote",p.setAttribute("role","region"),p.setAttribute("aria-label","Remote"),p.innerHTML='<div class="portfolio-remote-current"><img alt=""></div><div class="portfolio-remote-nav"><button type="button" class="portfolio-remote-btn portfolio-remote-prev">Previous</button><span class="portfolio-remote-count" aria-live="polite"></span><button type="button" class="portfolio-remote-btn portfolio-remote-next">Next</button></div>'+(e.isDualView?'<button type="button" class="portfolio-remote-btn portfolio-remote-grid" aria-pressed="false">Grid</button>':"")+'<nav class="portfolio-remote-thumbs" aria-label="Go to image"></nav>',A=p.querySelector(".portfolio-remote-current img"),x=p.querySelector(".portfolio-remote-count"),O=p.querySelector(".portfolio-remote-grid");var s=p.querySelector(".portfolio-remote-thumbs");I.forEach(function(w,M){var U=document.createElement("button");U.type="button",U.className="portfolio-remote-thumb",U.setAttribute("data-index",M),U.setAttribute("aria-label","Show "+e.getSlideType(M)+" "+(M+1));var Z=V(M);if(Z){var Q=document.createElement("img");Q.src=te.getGhostSize(Z)||Z,Q.alt="",Q.loading="lazy",U.appendChild(Q)}s.appendChild(U),q[M]=U}),d.appendChild(p)}function V(s){var w=e.getImage(s);if(w)return w.src;var M=e.getVideo(s);return M?M.poster:""}function z(){if(C==="display"){S.hidden=T();return}var s=e.getIndex(),w=e.getSpread(s),M=V(s);S.textContent=T()?"Connected to the display":"Waiting for the display\u2026",x.textContent=s+1+" / "+I.length,A.hidden=!M,M&&(A.src=M),O&&O.setAttribute("aria-pressed",e.getView()==="grid"?"true":"false"),q.forEach(function(U,Z){var Q=w.indexOf(Z)!==-1;U.classList.toggle("is-current",Q),Q?U.setAttribute("aria-current","true"):U.removeAttribute("aria-current")})}function j(){p.querySelector(".portfolio-remote-prev").addEventListener("click",function(){_({type:"prev"})}),p.querySelector(".portfolio-remote-next").addEventListener("click",function(){_({type:"next"})}),O&&O.addEventListener("click",function(){_({type:"grid"})}),p.querySelector(".portfolio-remote-thumbs").addEventListener("click",function(s){var w=s.target.closest(".portfolio-remote-thumb");w&&_({type:"go",index:parseInt(w.getAttribute("data-index"),10)})}),e.addShortcut({key:"ArrowRight",description:"Next image on the display",handler:function(){_({type:"next"})}}),e.addShortcut({key:"ArrowLeft",description:"Previous image on the display",handler:function(){_({type:"prev"})}})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",b):b()}function xe(e){var d=e.container,h=d.querySelector(".portfolio-gallery"),v=e.getSlides(),I=null,S=400,p="a[href], button, input, select, textarea, [tabindex]",A=v.length,x;function O(){A!==0&&(Array.prototype.forEach.call(v,function(r,l){r.setAttribute("role","group"),r.setAttribute("aria-roledescription","slide"),r.setAttribute("aria-label",l+1+" of "+A)}),q(),R(e.getIndex()),e.on("change",o))}function q(){I=document.createElement("div"),I.className="portfolio-live",I.setAttribute("aria-live","polite"),I.setAttribute("aria-atomic","true"),d.appendChild(I)}function R(r){Array.prototype.forEach.call(v,function(l,n){var b=n===r?"0":"-1";l.setAttribute("tabindex",b),Array.prototype.forEach.call(l.querySelectorAll(p),function(P){P.setAttribute("tabindex",b)})})}function C(){var r=document.activeElement;return!!(r&&r!==h&&h.contains(r))}function g(r){var l=e.getImage(r),n=e.getSlideType(r),b=n.charAt(0).toUpperCase()+n.slice(1)+" "+(r+1)+" of "+A;return l&&l.alt?b+": "+l.alt:b}function t(r){clearTimeout(x),!(e.slideshow&&e.slideshow.isPlaying())&&(x=setTimeout(function(){I.textContent=g(r)},S))}function o(r){if(!e.isSlideView(r.view)){clearTimeout(x);return}var l=C();R(r.index),l&&r.source==="autoplay"?e.moveFocus(v[r.index]):l&&r.source!=="scroll"&&v[r.index].focus({preventScroll:!0}),t(r.index)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",O):O()}function ke(e){var d=e.container,h=d.querySelector(".portfolio-gallery"),v=d.querySelector(".portfolio-play-btn"),I=5,S=1,p=I*1e3,A=!0,x=!1,O={},q;function R(){e.getTotal()<2||(C(),d.classList.add("has-slideshow"),N(),e.isSlideView(e.getView())&&e.getHashParam("play")!==null&&g())}function C(){var E=parseFloat(e.getHashParam("play")||d.getAttribute("data-autoplay-interval"));isNaN(E)||(p=Math.max(E,S)*1e3);var X=e.getHashParam("loop");X===null&&(X=d.getAttribute("data-autoplay-loop")),X!==null&&(A=X!=="false"&&X!=="0")}function g(){x||(e.isSlideView(e.getView())||e.setView(e.getSlideView(),{source:"autoplay"}),x=!0,P(),r())}function t(){x&&(x=!1,clearTimeout(q),P())}function o(){x?t():g()}function r(){clearTimeout(q),!(!x||Object.keys(O).length>0)&&(q=setTimeout(l,p))}function l(){var E={source:"autoplay"},X=e.getSpread(e.getIndex());X[X.length-1]<e.getTotal()-1?e.next(E):A?e.goTo(0,E):t()}function n(E){O[E]=!0,clearTimeout(q)}function b(E){O[E]&&(delete O[E],r())}function P(){if(d.classList.toggle("is-playing",x),!!v){var E=x?"Pause slideshow":"Play slideshow";v.setAttribute("aria-pressed",x?"true":"false"),v.setAttribute("aria-label",E),v.setAttribute("title",E+" (P)")}}function D(E){if(x){if(!e.isSlideView(E.view)){t();return}r()}}function N(){v&&v.addEventListener("click",o),e.addShortcut({key:"p",description:"Play/pause slideshow",handler:o}),e.on("change",D),h.addEventListener("pointerenter",function(E){E.pointerType==="mouse"&&n("hover")}),h.addEventListener("pointerleave",function(){b("hover")}),d.addEventListener("focusin",function(E){E.target.classList.contains("portfolio-control-btn")||e.isMovingFocus()?b("focus"):n("focus")}),d.addEventListener("focusout",function(E){(!E.relatedTarget||!d.contains(E.relatedTarget))&&b("focus")}),document.addEventListener("visibilitychange",function(){document.hidden?n("hidden"):b("hidden")})}e.slideshow={play:g,pause:t,toggle:o,isPlaying:function(){return x}},document.readyState==="loading"?document.addEventListener("DOMContentLoaded",R):R()}function Ie(e){var d=[];function h(){Array.prototype.forEach.call(e.getSlides(),function(A,x){var O=e.getVideo(x);O&&(v(O.element,A),d[x]=O.element)}),d.length!==0&&(S(),e.on("change",S),e.on("spreads",S),document.addEventListener("visibilitychange",S))}function v(A,x){A.removeAttribute("autoplay"),A.autoplay=!1,A.muted=!0,A.setAttribute("muted",""),A.setAttribute("playsinline",""),A.addEventListener("play",function(){x.classList.add("is-playing")}),A.addEventListener("pause",function(){x.classList.remove("is-playing")})}function I(A){return!document.hidden&&e.isSlideView(e.getView())&&e.getSpread(e.getIndex()).indexOf(A)!==-1}function S(){var A=!e.prefersReducedMotion();d.forEach(function(x,O){I(O)?A&&x.paused&&p(x):x.paused||x.pause()})}function p(A){var x=A.play();x&&x.catch&&x.catch(function(){})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",h):h()}function Ce(e){var d=e.container,h=d.querySelector(".portfolio-gallery"),v=d.querySelector(".portfolio-grid"),I=30,S=2,p="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";function A(){if(!(e.getTotal()<x("data-virtualize-after",I))&&typeof IntersectionObserver!="undefined"){var t=x("data-render-window",S)*100;d.classList.add("is-virtualized"),O(h.querySelectorAll(".kg-image-card"),{root:h,rootMargin:t+"%"}),v&&O(v.querySelectorAll(".portfolio-grid-item"),{root:null,rootMargin:t+"% 0px"})}}function x(t,o){var r=parseInt(d.getAttribute(t),10);return isNaN(r)||r<0?o:r}function O(t,o){var r=new IntersectionObserver(function(l){l.forEach(function(n){var b=n.target.querySelector("img");b&&(n.isIntersecting?g(b):C(b))})},o);Array.prototype.forEach.call(t,function(l){r.observe(l)})}function q(t,o){t.hasAttribute(o)&&(t.setAttribute("data-virtual-"+o,t.getAttribute(o)),t.removeAttribute(o))}function R(t,o){t.hasAttribute("data-virtual-"+o)&&(t.setAttribute(o,t.getAttribute("data-virtual-"+o)),t.removeAttribute("data-virtual-"+o))}function C(t){if(!t.classList.contains("is-parked")){var o=parseInt(t.getAttribute("width"),10)||t.naturalWidth,r=parseInt(t.getAttribute("height"),10)||t.naturalHeight;!o||!r||(t.setAttribute("width",o),t.setAttribute("height",r),t.style.aspectRatio=o+" / "+r,t.classList.add("is-parked"),t.parentNode&&t.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(t.parentNode.querySelectorAll("source"),function(l){q(l,"srcset")}),q(t,"srcset"),t.setAttribute("data-virtual-src",t.getAttribute("src")),t.setAttribute("src",p))}}function g(t){if(t.classList.contains("is-parked")){t.parentNode&&t.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(t.parentNode.querySelectorAll("source"),function(r){R(r,"srcset")}),R(t,"srcset"),R(t,"src"),t.classList.remove("is-parked"),t.style.aspectRatio="";var o=t.closest(".portfolio-image-frame, .portfolio-grid-item");o&&te.attach(t,o)}}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",A):A()}function Te(e){var d=e.container,h=d.querySelector(".portfolio-gallery"),v=d.querySelector(".portfolio-stack-btn"),I=e.getSlides(),S=2,p=1,A=1e3,x=I.length,O=b(),q=[],R={},C=null,g=null,t;function o(){x!==0&&(r(),l(),E(e.getView()==="stack"),e.getIndex()>0&&(G(e.getIndex()),H(e.getIndex(),"instant")),c(),P(e.getIndex()),T())}function r(){var y=I[e.getIndex()];if(y){var m=y.querySelector("img");m&&(m.removeAttribute("loading"),m.setAttribute("fetchpriority","high"),m.decode&&m.decode().catch(function(){}))}}function l(){I.forEach(function(y){var m=y.querySelector("img");if(!(!m||m.complete)){var V=document.createElement("span");V.className="portfolio-image-frame",m.parentNode.insertBefore(V,m),V.appendChild(m),te.attach(m,V)}})}function n(y,m){var V=parseInt(d.getAttribute(y),10);return isNaN(V)||V<0?m:V}function b(){var y=n("data-preload-ahead",S),m=n("data-preload-behind",p),V=navigator.connection;if(V){if(V.saveData||/2g$/.test(V.effectiveType))return{ahead:Math.min(y,1),behind:0};if(V.effectiveType==="3g")return{ahead:Math.min(y,2),behind:Math.min(m,1)}}return{ahead:y,behind:m}}function P(y){var m;for(m=1;m<=O.ahead;m++)D(y+m);for(m=1;m<=O.behind;m++)D(y-m)}function D(y){var m=I[y];if(!(!m||q[y])){var V=m.querySelector("img");!V||V.classList.contains("is-parked")||(q[y]=!0,V.hasAttribute("loading")&&V.removeAttribute("loading"),V.decode&&V.decode().catch(function(){}))}}function N(){return d.classList.contains("is-stacked")}function E(y){d.classList.toggle("is-stacked",y),v&&v.setAttribute("aria-pressed",y?"true":"false")}function X(){e.isSlideView(e.getView())&&(G(e.getIndex()),H(e.getIndex(),"instant"))}function _(){e.setView(N()?"carousel":"stack",{source:"click"})}function H(y,m){var V=e.getSpread(y),z=I[V[0]];if(z){var j=N();z.scrollIntoView({behavior:m,block:j?"center":"nearest",inline:j?"nearest":V.length>1?"end":"center"})}}function W(y){E(y.view==="stack"),c(),G(y.index),H(y.index,"instant")}function $(y){if(e.isSlideView(y.view)){if(P(y.index),y.view!==y.previousView){e.isSlideView(y.previousView)?W(y):(E(y.view==="stack"),c());return}if(y.source!=="scroll"){var m=y.source==="scrub"||e.prefersReducedMotion();G(y.index),H(y.index,m?"instant":"smooth")}}}function G(y){g=y,clearTimeout(t),t=setTimeout(function(){g=null,L()},A)}function f(){g=null,clearTimeout(t)}function c(){var y=N();typeof IntersectionObserver!="undefined"&&(C&&C.disconnect(),R={},C=new IntersectionObserver(function(m){m.forEach(function(V){var z=Array.prototype.indexOf.call(I,V.target);V.isIntersecting?R[z]=y?V.intersectionRect.height:V.intersectionRect.width:delete R[z]}),L()},{root:h,rootMargin:y?"-49% 0px -49% 0px":"0px -49% 0px -49%",threshold:0}),I.forEach(function(m){C.observe(m)}))}function L(){if(e.isSlideView(e.getView())){var y=-1,m=-1;if(Object.keys(R).forEach(function(z){R[z]>m&&(y=parseInt(z,10),m=R[z])}),y!==-1){var V=e.getSpread(y);if(g!==null){if(V.indexOf(g)===-1)return;f()}V.indexOf(e.getIndex())===-1&&e.goTo(V[0],{source:"scroll"})}}}function T(){h.addEventListener("pointerdown",f,{passive:!0}),h.addEventListener("wheel",f,{passive:!0}),navigator.connection&&navigator.connection.addEventListener&&navigator.connection.addEventListener("change",function(){O=b()}),e.on("change",$),e.on("spreads",X),v&&(v.addEventListener("click",_),d.classList.add("has-stack")),!d.classList.contains("portfolio-inline")&&e.addShortcut({key:"v",description:"Switch between horizontal and vertical",view:["carousel","stack"],handler:_})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",o):o()}var tt=[me,be,ye,we,Se,Ae,Ee,Le,xe,ke,Ie,Ce,Te],rt='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';function nt(){document.querySelectorAll(".portfolio-inline").forEach(it);var e=Array.prototype.map.call(document.querySelectorAll(".portfolio-container"),function(h){var v=he(h);return tt.forEach(function(I){I(v)}),v}),d=e.filter(function(h){return!h.container.classList.contains("portfolio-inline")})[0]||e[0];return d&&(window.Portfolio=d),window.Portfolios=e,e}function it(e,d){var h=e.children.length>0?Array.prototype.slice.call(e.children):at(e),v=e.getAttribute("data-title")||"Gallery",I=e.hasAttribute("data-grid");e.getAttribute("data-portfolio-id")||e.setAttribute("data-portfolio-id","gallery-"+(d+1));var S=document.createElement("div");if(S.className="portfolio-gallery gh-content",S.setAttribute("role","region"),S.setAttribute("aria-roledescription","carousel"),S.setAttribute("aria-label",v),h.forEach(function(A){S.appendChild(A)}),e.classList.add("portfolio-container"),e.setAttribute("role","region"),e.setAttribute("aria-label",v+" gallery"),I&&(e.classList.add("portfolio-dual-container"),e.appendChild(ot())),e.appendChild(S),I){var p=document.createElement("div");p.className="portfolio-grid",p.setAttribute("role","region"),p.setAttribute("aria-label",v+" grid"),p.setAttribute("aria-hidden","true"),e.appendChild(p)}}function at(e){for(var d=[],h=e.nextElementSibling;h&&!h.classList.contains("portfolio-inline-end")&&!h.classList.contains("portfolio-inline");){var v=h.nextElementSibling;d.push(h),h=v}return h&&h.classList.contains("portfolio-inline-end")&&h.parentNode.removeChild(h),d}function ot(){var e=document.createElement("button");return e.className="portfolio-close-btn",e.setAttribute("aria-label","Close carousel, return to grid view"),e.setAttribute("title","Close (Esc)"),e.innerHTML=rt,e}export{nt as a};
+//# sourceMappingURL=chunk-JXXFE565.js.map
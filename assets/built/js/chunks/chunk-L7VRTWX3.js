@@ -0,0 +1,27 @@
+import{b as S,c as X,d as Y,e as q,f as k}from"./chunk-NHP5P4EY.js";var H=S((N,L)=>{(function(l,f){typeof define=="function"&&define.amd?define(f):typeof L=="object"&&L.exports?L.exports=f():l.EvEmitter=f()})(typeof window!="undefined"?window:N,function(){"use strict";function l(){}var f=l.prototype;return f.on=function(p,d){if(!(!p||!d)){var h=this._events=this._events||{},a=h[p]=h[p]||[];return a.indexOf(d)==-1&&a.push(d),this}},f.once=function(p,d){if(!(!p||!d)){this.on(p,d);var h=this._onceEvents=this._onceEvents||{},a=h[p]=h[p]||{};return a[d]=!0,this}},f.off=function(p,d){var h=this._events&&this._events[p];if(!(!h||!h.length)){var a=h.indexOf(d);return a!=-1&&h.splice(a,1),this}},f.emitEvent=function(p,d){var h=this._events&&this._events[p];if(!(!h||!h.length)){h=h.slice(0),d=d||[];for(var a=this._onceEvents&&this._onceEvents[p],o=0;o<h.length;o++){var s=h[o],c=a&&a[s];c&&(this.off(p,s),delete a[s]),s.apply(this,d)}return this}},f.allOff=function(){delete this._events,delete this._onceEvents},l})});var C=S((J,O)=>{(function(l,f){typeof define=="function"&&define.amd?define(f):typeof O=="object"&&O.exports?O.exports=f():l.getSize=f()})(window,function(){"use strict";function f(e){var z=parseFloat(e),g=e.indexOf("%")==-1&&!isNaN(z);return g&&z}function p(){}var d=typeof console=="undefined"?p:function(e){console.error(e)},h=["paddingLeft","paddingRight","paddingTop","paddingBottom","marginLeft","marginRight","marginTop","marginBottom","borderLeftWidth","borderRightWidth","borderTopWidth","borderBottomWidth"],a=h.length;function o(){for(var e={width:0,height:0,innerWidth:0,innerHeight:0,outerWidth:0,outerHeight:0},z=0;z<a;z++){var g=h[z];e[g]=0}return e}function s(e){var z=getComputedStyle(e);return z||d("Style returned "+z+". Are you running this code in a hidden iframe on Firefox? See https://bit.ly/getsizebug1"),z}var c=!1,m;function u(){if(!c){c=!0;var e=document.createElement("div");e.style.width="200px",e.style.padding="1px 2px 3px 4px",e.style.borderStyle="solid",e.style.borderWidth="1px 2px 3px 4px",e.style.boxSizing="border-box";var z=document.body||document.documentElement;z.appendChild(e);var g=s(e);m=Math.round(f(g.width))==200,y.isBoxSizeOuter=m,z.removeChild(e)}}function y(e){if(u(),typeof e=="string"&&(e=document.querySelector(e)),!(!e||typeof e!="object"||!e.nodeType)){var z=s(e);if(z.display=="none")return o();var g={};g.width=e.offsetWidth,g.height=e.offsetHeight;for(var n=g.isBorderBox=z.boxSizing=="border-box",t=0;t<a;t++){var i=h[t],r=z[i],v=parseFloat(r);g[i]=isNaN(v)?0:v}var _=g.paddingLeft+g.paddingRight,E=g.paddingTop+g.paddingBottom,x=g.marginLeft+g.marginRight,b=g.marginTop+g.marginBottom,T=g.borderLeftWidth+g.borderRightWidth,I=g.borderTopWidth+g.borderBottomWidth,W=n&&m,D=f(z.width);D!==!1&&(g.width=D+(W?0:_+T));var F=f(z.height);return F!==!1&&(g.height=F+(W?0:E+I)),g.innerWidth=g.width-(_+T),g.innerHeight=g.height-(E+I),g.outerWidth=g.width+x,g.outerHeight=g.height+b,g}}return y})});var w=S((K,P)=>{(function(l,f){"use strict";typeof define=="function"&&define.amd?define(f):typeof P=="object"&&P.exports?P.exports=f():l.matchesSelector=f()})(window,function(){"use strict";var f=(function(){var p=window.Element.prototype;if(p.matches)return"matches";if(p.matchesSelector)return"matchesSelector";for(var d=["webkit","moz","ms","o"],h=0;h<d.length;h++){var a=d[h],o=a+"MatchesSelector";if(p[o])return o}})();return function(d,h){return d[f](h)}})});var G=S((tt,M)=>{(function(l,f){typeof define=="function"&&define.amd?define(["desandro-matches-selector/matches-selector"],function(p){return f(l,p)}):typeof M=="object"&&M.exports?M.exports=f(l,w()):l.fizzyUIUtils=f(l,l.matchesSelector)})(window,function(f,p){"use strict";var d={};d.extend=function(o,s){for(var c in s)o[c]=s[c];return o},d.modulo=function(o,s){return(o%s+s)%s};var h=Array.prototype.slice;d.makeArray=function(o){if(Array.isArray(o))return o;if(o==null)return[];var s=typeof o=="object"&&typeof o.length=="number";return s?h.call(o):[o]},d.removeFrom=function(o,s){var c=o.indexOf(s);c!=-1&&o.splice(c,1)},d.getParent=function(o,s){for(;o.parentNode&&o!=document.body;)if(o=o.parentNode,p(o,s))return o},d.getQueryElement=function(o){return typeof o=="string"?document.querySelector(o):o},d.handleEvent=function(o){var s="on"+o.type;this[s]&&this[s](o)},d.filterFindElements=function(o,s){o=d.makeArray(o);var c=[];return o.forEach(function(m){if(m instanceof HTMLElement){if(!s){c.push(m);return}p(m,s)&&c.push(m);for(var u=m.querySelectorAll(s),y=0;y<u.length;y++)c.push(u[y])}}),c},d.debounceMethod=function(o,s,c){c=c||100;var m=o.prototype[s],u=s+"Timeout";o.prototype[s]=function(){var y=this[u];clearTimeout(y);var e=arguments,z=this;this[u]=setTimeout(function(){m.apply(z,e),delete z[u]},c)}},d.docReady=function(o){var s=document.readyState;s=="complete"||s=="interactive"?setTimeout(o):document.addEventListener("DOMContentLoaded",o)},d.toDashed=function(o){return o.replace(/(.)([A-Z])/g,function(s,c,m){return c+"-"+m}).toLowerCase()};var a=f.console;return d.htmlInit=function(o,s){d.docReady(function(){var c=d.toDashed(s),m="data-"+c,u=document.querySelectorAll("["+m+"]"),y=document.querySelectorAll(".js-"+c),e=d.makeArray(u).concat(d.makeArray(y)),z=m+"-options",g=f.jQuery;e.forEach(function(n){var t=n.getAttribute(m)||n.getAttribute(z),i;try{i=t&&JSON.parse(t)}catch(v){a&&a.error("Error parsing "+m+" on "+n.className+": "+v);return}var r=new o(n,i);g&&g.data(n,s,r)})})},d})});var U=S((it,R)=>{(function(l,f){typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size"],f):typeof R=="object"&&R.exports?R.exports=f(H(),C()):(l.Outlayer={},l.Outlayer.Item=f(l.EvEmitter,l.getSize))})(window,function(f,p){"use strict";function d(n){for(var t in n)return!1;return t=null,!0}var h=document.documentElement.style,a=typeof h.transition=="string"?"transition":"WebkitTransition",o=typeof h.transform=="string"?"transform":"WebkitTransform",s={WebkitTransition:"webkitTransitionEnd",transition:"transitionend"}[a],c={transform:o,transition:a,transitionDuration:a+"Duration",transitionProperty:a+"Property",transitionDelay:a+"Delay"};function m(n,t){n&&(this.element=n,this.layout=t,this.position={x:0,y:0},this._create())}var u=m.prototype=Object.create(f.prototype);u.constructor=m,u._create=function(){this._transn={ingProperties:{},clean:{},onEnd:{}},this.css({position:"absolute"})},u.handleEvent=function(n){var t="on"+n.type;this[t]&&this[t](n)},u.getSize=function(){this.size=p(this.element)},u.css=function(n){var t=this.element.style;for(var i in n){var r=c[i]||i;t[r]=n[i]}},u.getPosition=function(){var n=getComputedStyle(this.element),t=this.layout._getOption("originLeft"),i=this.layout._getOption("originTop"),r=n[t?"left":"right"],v=n[i?"top":"bottom"],_=parseFloat(r),E=parseFloat(v),x=this.layout.size;r.indexOf("%")!=-1&&(_=_/100*x.width),v.indexOf("%")!=-1&&(E=E/100*x.height),_=isNaN(_)?0:_,E=isNaN(E)?0:E,_-=t?x.paddingLeft:x.paddingRight,E-=i?x.paddingTop:x.paddingBottom,this.position.x=_,this.position.y=E},u.layoutPosition=function(){var n=this.layout.size,t={},i=this.layout._getOption("originLeft"),r=this.layout._getOption("originTop"),v=i?"paddingLeft":"paddingRight",_=i?"left":"right",E=i?"right":"left",x=this.position.x+n[v];t[_]=this.getXValue(x),t[E]="";var b=r?"paddingTop":"paddingBottom",T=r?"top":"bottom",I=r?"bottom":"top",W=this.position.y+n[b];t[T]=this.getYValue(W),t[I]="",this.css(t),this.emitEvent("layout",[this])},u.getXValue=function(n){var t=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&!t?n/this.layout.size.width*100+"%":n+"px"},u.getYValue=function(n){var t=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&t?n/this.layout.size.height*100+"%":n+"px"},u._transitionTo=function(n,t){this.getPosition();var i=this.position.x,r=this.position.y,v=n==this.position.x&&t==this.position.y;if(this.setPosition(n,t),v&&!this.isTransitioning){this.layoutPosition();return}var _=n-i,E=t-r,x={};x.transform=this.getTranslate(_,E),this.transition({to:x,onTransitionEnd:{transform:this.layoutPosition},isCleaning:!0})},u.getTranslate=function(n,t){var i=this.layout._getOption("originLeft"),r=this.layout._getOption("originTop");return n=i?n:-n,t=r?t:-t,"translate3d("+n+"px, "+t+"px, 0)"},u.goTo=function(n,t){this.setPosition(n,t),this.layoutPosition()},u.moveTo=u._transitionTo,u.setPosition=function(n,t){this.position.x=parseFloat(n),this.position.y=parseFloat(t)},u._nonTransition=function(n){this.css(n.to),n.isCleaning&&this._removeStyles(n.to);for(var t in n.onTransitionEnd)n.onTransitionEnd[t].call(this)},u.transition=function(n){if(!parseFloat(this.layout.options.transitionDuration)){this._nonTransition(n);return}var t=this._transn;for(var i in n.onTransitionEnd)t.onEnd[i]=n.onTransitionEnd[i];for(i in n.to)t.ingProperties[i]=!0,n.isCleaning&&(t.clean[i]=!0);if(n.from){this.css(n.from);var r=this.element.offsetHeight;r=null}this.enableTransition(n.to),this.css(n.to),this.isTransitioning=!0};function y(n){return n.replace(/([A-Z])/g,function(t){return"-"+t.toLowerCase()})}var e="opacity,"+y(o);u.enableTransition=function(){if(!this.isTransitioning){var n=this.layout.options.transitionDuration;n=typeof n=="number"?n+"ms":n,this.css({transitionProperty:e,transitionDuration:n,transitionDelay:this.staggerDelay||0}),this.element.addEventListener(s,this,!1)}},u.onwebkitTransitionEnd=function(n){this.ontransitionend(n)},u.onotransitionend=function(n){this.ontransitionend(n)};var z={"-webkit-transform":"transform"};u.ontransitionend=function(n){if(n.target===this.element){var t=this._transn,i=z[n.propertyName]||n.propertyName;if(delete t.ingProperties[i],d(t.ingProperties)&&this.disableTransition(),i in t.clean&&(this.element.style[n.propertyName]="",delete t.clean[i]),i in t.onEnd){var r=t.onEnd[i];r.call(this),delete t.onEnd[i]}this.emitEvent("transitionEnd",[this])}},u.disableTransition=function(){this.removeTransitionStyles(),this.element.removeEventListener(s,this,!1),this.isTransitioning=!1},u._removeStyles=function(n){var t={};for(var i in n)t[i]="";this.css(t)};var g={transitionProperty:"",transitionDuration:"",transitionDelay:""};return u.removeTransitionStyles=function(){this.css(g)},u.stagger=function(n){n=isNaN(n)?0:n,this.staggerDelay=n+"ms"},u.removeElem=function(){this.element.parentNode.removeChild(this.element),this.css({display:""}),this.emitEvent("remove",[this])},u.remove=function(){if(!a||!parseFloat(this.layout.options.transitionDuration)){this.removeElem();return}this.once("transitionEnd",function(){this.removeElem()}),this.hide()},u.reveal=function(){delete this.isHidden,this.css({display:""});var n=this.layout.options,t={},i=this.getHideRevealTransitionEndProperty("visibleStyle");t[i]=this.onRevealTransitionEnd,this.transition({from:n.hiddenStyle,to:n.visibleStyle,isCleaning:!0,onTransitionEnd:t})},u.onRevealTransitionEnd=function(){this.isHidden||this.emitEvent("reveal")},u.getHideRevealTransitionEndProperty=function(n){var t=this.layout.options[n];if(t.opacity)return"opacity";for(var i in t)return i},u.hide=function(){this.isHidden=!0,this.css({display:""});var n=this.layout.options,t={},i=this.getHideRevealTransitionEndProperty("hiddenStyle");t[i]=this.onHideTransitionEnd,this.transition({from:n.visibleStyle,to:n.hiddenStyle,isCleaning:!0,onTransitionEnd:t})},u.onHideTransitionEnd=function(){this.isHidden&&(this.css({display:"none"}),this.emitEvent("hide"))},u.destroy=function(){this.css({position:"",left:"",right:"",top:"",bottom:"",transition:"",transform:""})},m})});var Q=S((et,A)=>{(function(l,f){"use strict";typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size","fizzy-ui-utils/utils","./item"],function(p,d,h,a){return f(l,p,d,h,a)}):typeof A=="object"&&A.exports?A.exports=f(l,H(),C(),G(),U()):l.Outlayer=f(l,l.EvEmitter,l.getSize,l.fizzyUIUtils,l.Outlayer.Item)})(window,function(f,p,d,h,a){"use strict";var o=f.console,s=f.jQuery,c=function(){},m=0,u={};function y(t,i){var r=h.getQueryElement(t);if(!r){o&&o.error("Bad element for "+this.constructor.namespace+": "+(r||t));return}this.element=r,s&&(this.$element=s(this.element)),this.options=h.extend({},this.constructor.defaults),this.option(i);var v=++m;this.element.outlayerGUID=v,u[v]=this,this._create();var _=this._getOption("initLayout");_&&this.layout()}y.namespace="outlayer",y.Item=a,y.defaults={containerStyle:{position:"relative"},initLayout:!0,originLeft:!0,originTop:!0,resize:!0,resizeContainer:!0,transitionDuration:"0.4s",hiddenStyle:{opacity:0,transform:"scale(0.001)"},visibleStyle:{opacity:1,transform:"scale(1)"}};var e=y.prototype;h.extend(e,p.prototype),e.option=function(t){h.extend(this.options,t)},e._getOption=function(t){var i=this.constructor.compatOptions[t];return i&&this.options[i]!==void 0?this.options[i]:this.options[t]},y.compatOptions={initLayout:"isInitLayout",horizontal:"isHorizontal",layoutInstant:"isLayoutInstant",originLeft:"isOriginLeft",originTop:"isOriginTop",resize:"isResizeBound",resizeContainer:"isResizingContainer"},e._create=function(){this.reloadItems(),this.stamps=[],this.stamp(this.options.stamp),h.extend(this.element.style,this.options.containerStyle);var t=this._getOption("resize");t&&this.bindResize()},e.reloadItems=function(){this.items=this._itemize(this.element.children)},e._itemize=function(t){for(var i=this._filterFindItemElements(t),r=this.constructor.Item,v=[],_=0;_<i.length;_++){var E=i[_],x=new r(E,this);v.push(x)}return v},e._filterFindItemElements=function(t){return h.filterFindElements(t,this.options.itemSelector)},e.getItemElements=function(){return this.items.map(function(t){return t.element})},e.layout=function(){this._resetLayout(),this._manageStamps();var t=this._getOption("layoutInstant"),i=t!==void 0?t:!this._isLayoutInited;this.layoutItems(this.items,i),this._isLayoutInited=!0},e._init=e.layout,e._resetLayout=function(){this.getSize()},e.getSize=function(){this.size=d(this.element)},e._getMeasurement=function(t,i){var r=this.options[t],v;r?(typeof r=="string"?v=this.element.querySelector(r):r instanceof HTMLElement&&(v=r),this[t]=v?d(v)[i]:r):this[t]=0},e.layoutItems=function(t,i){t=this._getItemsForLayout(t),this._layoutItems(t,i),this._postLayout()},e._getItemsForLayout=function(t){return t.filter(function(i){return!i.isIgnored})},e._layoutItems=function(t,i){if(this._emitCompleteOnItems("layout",t),!(!t||!t.length)){var r=[];t.forEach(function(v){var _=this._getItemLayoutPosition(v);_.item=v,_.isInstant=i||v.isLayoutInstant,r.push(_)},this),this._processLayoutQueue(r)}},e._getItemLayoutPosition=function(){return{x:0,y:0}},e._processLayoutQueue=function(t){this.updateStagger(),t.forEach(function(i,r){this._positionItem(i.item,i.x,i.y,i.isInstant,r)},this)},e.updateStagger=function(){var t=this.options.stagger;if(t==null){this.stagger=0;return}return this.stagger=n(t),this.stagger},e._positionItem=function(t,i,r,v,_){v?t.goTo(i,r):(t.stagger(_*this.stagger),t.moveTo(i,r))},e._postLayout=function(){this.resizeContainer()},e.resizeContainer=function(){var t=this._getOption("resizeContainer");if(t){var i=this._getContainerSize();i&&(this._setContainerMeasure(i.width,!0),this._setContainerMeasure(i.height,!1))}},e._getContainerSize=c,e._setContainerMeasure=function(t,i){if(t!==void 0){var r=this.size;r.isBorderBox&&(t+=i?r.paddingLeft+r.paddingRight+r.borderLeftWidth+r.borderRightWidth:r.paddingBottom+r.paddingTop+r.borderTopWidth+r.borderBottomWidth),t=Math.max(t,0),this.element.style[i?"width":"height"]=t+"px"}},e._emitCompleteOnItems=function(t,i){var r=this;function v(){r.dispatchEvent(t+"Complete",null,[i])}var _=i.length;if(!i||!_){v();return}var E=0;function x(){E++,E==_&&v()}i.forEach(function(b){b.once(t,x)})},e.dispatchEvent=function(t,i,r){var v=i?[i].concat(r):r;if(this.emitEvent(t,v),s)if(this.$element=this.$element||s(this.element),i){var _=s.Event(i);_.type=t,this.$element.trigger(_,r)}else this.$element.trigger(t,r)},e.ignore=function(t){var i=this.getItem(t);i&&(i.isIgnored=!0)},e.unignore=function(t){var i=this.getItem(t);i&&delete i.isIgnored},e.stamp=function(t){t=this._find(t),t&&(this.stamps=this.stamps.concat(t),t.forEach(this.ignore,this))},e.unstamp=function(t){t=this._find(t),t&&t.forEach(function(i){h.removeFrom(this.stamps,i),this.unignore(i)},this)},e._find=function(t){if(t)return typeof t=="string"&&(t=this.element.querySelectorAll(t)),t=h.makeArray(t),t},e._manageStamps=function(){!this.stamps||!this.stamps.length||(this._getBoundingRect(),this.stamps.forEach(this._manageStamp,this))},e._getBoundingRect=function(){var t=this.element.getBoundingClientRect(),i=this.size;this._boundingRect={left:t.left+i.paddingLeft+i.borderLeftWidth,top:t.top+i.paddingTop+i.borderTopWidth,right:t.right-(i.paddingRight+i.borderRightWidth),bottom:t.bottom-(i.paddingBottom+i.borderBottomWidth)}},e._manageStamp=c,e._getElementOffset=function(t){var i=t.getBoundingClientRect(),r=this._boundingRect,v=d(t),_={left:i.left-r.left-v.marginLeft,top:i.top-r.top-v.marginTop,right:r.right-i.right-v.marginRight,bottom:r.bottom-i.bottom-v.marginBottom};return _},e.handleEvent=h.handleEvent,e.bindResize=function(){f.addEventListener("resize",this),this.isResizeBound=!0},e.unbindResize=function(){f.removeEventListener("resize",this),this.isResizeBound=!1},e.onresize=function(){this.resize()},h.debounceMethod(y,"onresize",100),e.resize=function(){!this.isResizeBound||!this.needsResizeLayout()||this.layout()},e.needsResizeLayout=function(){var t=d(this.element),i=this.size&&t;return i&&t.innerWidth!==this.size.innerWidth},e.addItems=function(t){var i=this._itemize(t);return i.length&&(this.items=this.items.concat(i)),i},e.appended=function(t){var i=this.addItems(t);i.length&&(this.layoutItems(i,!0),this.reveal(i))},e.prepended=function(t){var i=this._itemize(t);if(i.length){var r=this.items.slice(0);this.items=i.concat(r),this._resetLayout(),this._manageStamps(),this.layoutItems(i,!0),this.reveal(i),this.layoutItems(r)}},e.reveal=function(t){if(this._emitCompleteOnItems("reveal",t),!(!t||!t.length)){var i=this.updateStagger();t.forEach(function(r,v){r.stagger(v*i),r.reveal()})}},e.hide=function(t){if(this._emitCompleteOnItems("hide",t),!(!t||!t.length)){var i=this.updateStagger();t.forEach(function(r,v){r.stagger(v*i),r.hide()})}},e.revealItemElements=function(t){var i=this.getItems(t);this.reveal(i)},e.hideItemElements=function(t){var i=this.getItems(t);this.hide(i)},e.getItem=function(t){for(var i=0;i<this.items.length;i++){var r=this.items[i];if(r.element==t)return r}},e.getItems=function(t){t=h.makeArray(t);var i=[];return t.forEach(function(r){var v=this.getItem(r);v&&i.push(v)},this),i},e.remove=function(t){var i=this.getItems(t);this._emitCompleteOnItems("remove",i),!(!i||!i.length)&&i.forEach(function(r){r.remove(),h.removeFrom(this.items,r)},this)},e.destroy=function(){var t=this.element.style;t.height="",t.position="",t.width="",this.items.forEach(function(r){r.destroy()}),this.unbindResize();var i=this.element.outlayerGUID;delete u[i],delete this.element.outlayerGUID,s&&s.removeData(this.element,this.constructor.namespace)},y.data=function(t){t=h.getQueryElement(t);var i=t&&t.outlayerGUID;return i&&u[i]},y.create=function(t,i){var r=z(y);return r.defaults=h.extend({},y.defaults),h.extend(r.defaults,i),r.compatOptions=h.extend({},y.compatOptions),r.namespace=t,r.data=y.data,r.Item=z(a),h.htmlInit(r,t),s&&s.bridget&&s.bridget(t,r),r};function z(t){function i(){t.apply(this,arguments)}return i.prototype=Object.create(t.prototype),i.prototype.constructor=i,i}var g={ms:1,s:1e3};function n(t){if(typeof t=="number")return t;var i=t.match(/(^\d*\.?\d*)(\w*)/),r=i&&i[1],v=i&&i[2];if(!r.length)return 0;r=parseFloat(r);var _=g[v]||1;return r*_}return y.Item=a,y})});var j=S((nt,B)=>{(function(l,f){typeof define=="function"&&define.amd?define(["outlayer/outlayer","get-size/get-size"],f):typeof B=="object"&&B.exports?B.exports=f(Q(),C()):l.Masonry=f(l.Outlayer,l.getSize)})(window,function(f,p){"use strict";var d=f.create("masonry");d.compatOptions.fitWidth="isFitWidth";var h=d.prototype;return h._resetLayout=function(){this.getSize(),this._getMeasurement("columnWidth","outerWidth"),this._getMeasurement("gutter","outerWidth"),this.measureColumns(),this.colYs=[];for(var a=0;a<this.cols;a++)this.colYs.push(0);this.maxY=0,this.horizontalColIndex=0},h.measureColumns=function(){if(this.getContainerWidth(),!this.columnWidth){var a=this.items[0],o=a&&a.element;this.columnWidth=o&&p(o).outerWidth||this.containerWidth}var s=this.columnWidth+=this.gutter,c=this.containerWidth+this.gutter,m=c/s,u=s-c%s,y=u&&u<1?"round":"floor";m=Math[y](m),this.cols=Math.max(m,1)},h.getContainerWidth=function(){var a=this._getOption("fitWidth"),o=a?this.element.parentNode:this.element,s=p(o);this.containerWidth=s&&s.innerWidth},h._getItemLayoutPosition=function(a){a.getSize();var o=a.size.outerWidth%this.columnWidth,s=o&&o<1?"round":"ceil",c=Math[s](a.size.outerWidth/this.columnWidth);c=Math.min(c,this.cols);for(var m=this.options.horizontalOrder?"_getHorizontalColPosition":"_getTopColPosition",u=this[m](c,a),y={x:this.columnWidth*u.col,y:u.y},e=u.y+a.size.outerHeight,z=c+u.col,g=u.col;g<z;g++)this.colYs[g]=e;return y},h._getTopColPosition=function(a){var o=this._getTopColGroup(a),s=Math.min.apply(Math,o);return{col:o.indexOf(s),y:s}},h._getTopColGroup=function(a){if(a<2)return this.colYs;for(var o=[],s=this.cols+1-a,c=0;c<s;c++)o[c]=this._getColGroupY(c,a);return o},h._getColGroupY=function(a,o){if(o<2)return this.colYs[a];var s=this.colYs.slice(a,a+o);return Math.max.apply(Math,s)},h._getHorizontalColPosition=function(a,o){var s=this.horizontalColIndex%this.cols,c=a>1&&s+a>this.cols;s=c?0:s;var m=o.size.outerWidth&&o.size.outerHeight;return this.horizontalColIndex=m?s+a:this.horizontalColIndex,{col:s,y:this._getColGroupY(s,a)}},h._manageStamp=function(a){var o=p(a),s=this._getElementOffset(a),c=this._getOption("originLeft"),m=c?s.left:s.right,u=m+o.outerWidth,y=Math.floor(m/this.columnWidth);y=Math.max(0,y);var e=Math.floor(u/this.columnWidth);e-=u%this.columnWidth?0:1,e=Math.min(this.cols-1,e);for(var z=this._getOption("originTop"),g=(z?s.top:s.bottom)+o.outerHeight,n=y;n<=e;n++)this.colYs[n]=Math.max(g,this.colYs[n])},h._getContainerSize=function(){this.maxY=Math.max.apply(Math,this.colYs);var a={height:this.maxY};return this._getOption("fitWidth")&&(a.width=this._getContainerFitWidth()),a},h._getContainerFitWidth=function(){for(var a=0,o=this.cols;--o&&this.colYs[o]===0;)a++;return(this.cols-a)*this.columnWidth-this.gutter},h.needsResizeLayout=function(){var a=this.containerWidth;return this.getContainerWidth(),a!=this.containerWidth},d})});var V=X(j(),1);function at(l,f){Y.apply(l),$(l,function(){var p=new V.default(l,{itemSelector:".grid-item",columnWidth:".grid-sizer",stamp:".related-title",hiddenStyle:{transform:"translateY(50px)",opacity:0},visibleStyle:{transform:"translateY(0)",opacity:1}});p.on("layoutComplete",function(){l.classList.add("initialized")}),p.layout(),f&&f(p)})}function $(l,f){var p=l.length!==void 0?Array.prototype.slice.call(l):[l],d=[];p.forEach(function(h){h.querySelectorAll(".post-image").forEach(function(a){d.push(q.attach(a,a.closest(".post-link")||a.parentNode))})}),Promise.all(d).then(f)}function Z(l,f){var p=l&&(parseInt(l.getAttribute("width"),10)||l.naturalWidth),d=l&&(parseInt(l.getAttribute("height"),10)||l.naturalHeight);if(!p||!d)return{};var h=(f||"").split(",").map(function(o){var s=/\s(\d+)w\s*$/.exec(o);return s?parseInt(s[1],10):0}),a=Math.max.apply(null,h.concat(p));return{width:a,height:Math.round(a*d/p)}}function ht(l,f,p,d){var h=function(o){var s=[];return o.querySelectorAll(f).forEach(function(c){var m=c.querySelector(p);if(!(!m||c.closest(".is-filtered-out"))){var u=c.querySelector("img"),y=d?c.querySelector(d):null,e=Z(u,m.getAttribute("data-srcset"));s.push({el:c,src:m.getAttribute("href"),srcset:m.getAttribute("data-srcset"),width:e.width,height:e.height,msrc:u?u.currentSrc||u.src:null,alt:u?u.alt:"",caption:y?y.innerHTML:""})}}),s},a=function(o){var s=o.target.closest(p);if(s){o.preventDefault();var c=o.currentTarget,m=s.closest(f),u=h(c),y=u.findIndex(function(e){return e.el===m});k.open(u,Math.max(y,0))}};document.querySelectorAll(l).forEach(function(o){o.addEventListener("click",a)})}export{at as a,$ as b,ht as c};
+/*! Bundled license information:
+
+get-size/get-size.js:
+  (*!
+   * getSize v2.0.3
+   * measure size of elements
+   * MIT license
+   *)
+
+outlayer/outlayer.js:
+  (*!
+   * Outlayer v2.1.1
+   * the brains and guts of a layout library
+   * MIT license
+   *)
+
+masonry-layout/masonry.js:
+  (*!
+   * Masonry v4.2.2
+   * Cascading grid layout library
+   * https://masonry.desandro.com
+   * MIT License
+   * by David DeSandro
+   *)
+*/
+//# sourceMappingURL=chunk-L7VRTWX3.js.map
@@ -0,0 +1,2 @@
+var S=Object.create;var P=Object.defineProperty;var C=Object.getOwnPropertyDescriptor;var I=Object.getOwnPropertyNames;var O=Object.getPrototypeOf,j=Object.prototype.hasOwnProperty;var R=(s=>typeof require!="undefined"?require:typeof Proxy!="undefined"?new Proxy(s,{get:(l,r)=>(typeof require!="undefined"?require:l)[r]}):s)(function(s){if(typeof require!="undefined")return require.apply(this,arguments);throw Error('Dynamic require of "'+s+'" is not supported')});var B=(s,l)=>()=>(l||s((l={exports:{}}).exports,l),l.exports);var q=(s,l,r,i)=>{if(l&&typeof l=="object"||typeof l=="function")for(let v of I(l))!j.call(s,v)&&v!==r&&P(s,v,{get:()=>l[v],enumerable:!(i=C(l,v))||i.enumerable});return s};var M=(s,l,r)=>(r=s!=null?S(O(s)):{},q(l||!s||!s.__esModule?P(r,"default",{value:s,enumerable:!0}):r,s));var N=(function(){var s=[{format:"avif",type:"image/avif"},{format:"webp",type:"image/webp"}],l="/assets/images/photos/",r=null;function i(){if(r)return r;var u=document.querySelector('meta[name="picture-manifest"]'),o=u&&u.getAttribute("content");if(!o||!window.fetch)return r=Promise.resolve({}),r;var t=new URL(o,window.location.href).href;return r=fetch(t).then(function(n){return n.ok?n.json():{}}).then(function(n){return v(n,t)}).catch(function(){return{}}),r}function v(u,o){return Object.keys(u).forEach(function(t){var n=u[t].sources||{};Object.keys(n).forEach(function(c){n[c]=n[c].split(",").map(function(f){var a=f.trim().split(/\s+/);return a[0]=new URL(a[0],o).href,a.join(" ")}).join(", ")})}),u}function x(u){var o=(u||"").split(/[?#]/)[0],t=o.indexOf(l);if(t===-1)return null;var n=o.substring(t+l.length);if(!n||n.indexOf("/")!==-1)return null;try{n=decodeURIComponent(n)}catch(c){}return n.replace(/\.[^.]+$/,"")}function b(u,o){var t=u.querySelector("img");if(!(!t||u.querySelector("source"))){var n=t.classList.contains("is-parked"),c=n?"data-virtual-srcset":"srcset",f=x(t.getAttribute(n?"data-virtual-src":"src")),a=f&&o[f];if(!(!a||!a.sources)){var g=t.getAttribute("sizes");s.forEach(function(m){if(a.sources[m.format]){var p=document.createElement("source");p.type=m.type,p.setAttribute(c,a.sources[m.format]),g&&(p.sizes=g),u.insertBefore(p,t)}}),a.sources.jpeg&&t.setAttribute(c,a.sources.jpeg),a.width&&a.height&&(t.setAttribute("width",a.width),t.setAttribute("height",a.height))}}}function y(u){return i().then(function(o){if(Object.keys(o).length!==0){var t=u&&u.length!==void 0?u:[u||document];Array.prototype.forEach.call(t,function(n){var c=n.tagName==="PICTURE"?[n]:n.querySelectorAll("picture");Array.prototype.forEach.call(c,function(f){b(f,o)})})}})}return{load:i,apply:y,getKey:x}})(),L=N;var T=(function(){var s="w150",l=400;function r(t){var n=/^(.*\/content\/images\/)(?:size\/[^/]+\/)?((?:\d{4}\/\d{2}\/)?[^/?#]+\.(?:jpe?g|png|webp|avif))([?#].*)?$/i.exec(t||"");return n?n[1]+"size/"+s+"/"+n[2]:null}function i(t){return t.complete&&t.naturalWidth>0}function v(t){return t.complete}function x(t){return!!(t.getAttribute("width")&&t.getAttribute("height"))}function b(t,n,c){x(t)||!n||!c||(t.setAttribute("width",n),t.setAttribute("height",c))}function y(t,n,c){return new Promise(function(f){var a=new Image;a.onload=function(){b(t,a.naturalWidth,a.naturalHeight),f()},a.onerror=function(){f()},n.style.backgroundImage='url("'+c+'")',a.src=c})}function u(t,n){t.classList.add("is-loaded"),setTimeout(function(){n.parentNode&&n.parentNode.removeChild(n),t.classList.remove("has-placeholder","is-loaded")},l)}function o(t,n){if(!t||!n||v(t))return Promise.resolve();var c=document.createElement("span");c.className="image-placeholder",c.setAttribute("aria-hidden","true"),n.classList.add("has-placeholder"),n.insertBefore(c,n.firstChild);var f=new Promise(function(p){function w(){b(t,t.naturalWidth,t.naturalHeight),t.removeEventListener("load",w),t.removeEventListener("error",w),u(n,c),p()}t.addEventListener("load",w),t.addEventListener("error",w)}),a=t.getAttribute("data-placeholder")||r(t.getAttribute("src")),g=a?y(t,c,a):null;if(!t.getAttribute("data-placeholder")){var m=L.load().then(function(p){var w=L.getKey(t.getAttribute("src")),A=w&&p[w];if(A&&(A.color&&(c.style.backgroundColor=A.color),b(t,A.width,A.height),A.placeholder&&!i(t)))return y(t,c,A.placeholder)});g=g||m}return x(t)?Promise.resolve():g?Promise.race([g.then(function(){return x(t)||v(t)?null:f}),f]):f}return{attach:o,getGhostSize:r}})(),D=T;var z=(function(){var s=50,l={close:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',prev:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>',next:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>'},r,i,v,x,b,y,u,o=null;function t(){r=document.createElement("div"),r.className="photo-lightbox",r.setAttribute("role","dialog"),r.setAttribute("aria-modal","true"),r.setAttribute("aria-label","Image viewer"),r.setAttribute("tabindex","-1"),r.hidden=!0,r.innerHTML='<div class="photo-lightbox-stage"><figure class="photo-lightbox-figure"><img class="photo-lightbox-image" alt=""><figcaption class="photo-lightbox-caption"></figcaption></figure></div><div class="photo-lightbox-counter" aria-live="polite"></div><button class="photo-lightbox-btn photo-lightbox-close" aria-label="Close" title="Close (Esc)">'+l.close+'</button><button class="photo-lightbox-btn photo-lightbox-prev" aria-label="Previous image" title="Previous (arrow left)">'+l.prev+'</button><button class="photo-lightbox-btn photo-lightbox-next" aria-label="Next image" title="Next (arrow right)">'+l.next+"</button>",i=r.querySelector(".photo-lightbox-image"),v=r.querySelector(".photo-lightbox-caption"),x=r.querySelector(".photo-lightbox-counter"),b=r.querySelector(".photo-lightbox-prev"),y=r.querySelector(".photo-lightbox-next"),u=r.querySelector(".photo-lightbox-close"),u.addEventListener("click",p),b.addEventListener("click",m),y.addEventListener("click",g),r.addEventListener("click",function(e){(e.target.classList.contains("photo-lightbox-stage")||e.target.classList.contains("photo-lightbox-figure"))&&p()}),i.addEventListener("load",function(){i.classList.add("is-loaded")}),n()}function n(){var e=null;r.addEventListener("pointerdown",function(h){e=h.pointerType==="mouse"?null:h.clientX}),r.addEventListener("pointerup",function(h){if(e!==null){var d=h.clientX-e;e=null,d<-s?g():d>s&&m()}})}function c(e,h,d){if(!e||e.length===0)return null;r||t(),o&&p(),o={items:e,index:Math.max(0,Math.min(h||0,e.length-1)),options:d||{},returnFocus:document.activeElement};var E=o.options.container||document.body;return r.parentNode!==E&&E.appendChild(r),r.classList.toggle("is-single",e.length===1),r.hidden=!1,document.documentElement.classList.add("has-photo-lightbox"),document.addEventListener("keydown",w,!0),f(o.index),requestAnimationFrame(function(){r.classList.add("is-open")}),u.focus(),{close:p,next:g,prev:m,goTo:f,getIndex:function(){return o?o.index:-1}}}function f(e){if(o){var h=o.items;e=Math.max(0,Math.min(e,h.length-1));var d=h[e],E=e!==o.index;o.index=e,i.classList.remove("is-loaded"),i.removeAttribute("srcset"),i.style.backgroundImage=d.msrc?'url("'+d.msrc+'")':"",d.width&&d.height?(i.setAttribute("width",d.width),i.setAttribute("height",d.height)):(i.removeAttribute("width"),i.removeAttribute("height")),d.srcset&&(i.sizes="100vw",i.srcset=d.srcset),i.src=d.src,i.alt=d.alt||"",i.complete&&i.naturalWidth&&i.classList.add("is-loaded"),v.innerHTML=d.caption||"",v.hidden=!d.caption,x.textContent=e+1+" / "+h.length,b.disabled=e===0,y.disabled=e===h.length-1,a(e+1),a(e-1),E&&o.options.onChange&&o.options.onChange(e)}}function a(e){var h=o.items[e];if(h){var d=new Image;h.srcset&&(d.sizes="100vw",d.srcset=h.srcset),d.src=h.src}}function g(){o&&f(o.index+1)}function m(){o&&f(o.index-1)}function p(){if(o){var e=o;o=null,r.classList.remove("is-open"),r.hidden=!0,i.removeAttribute("src"),i.removeAttribute("srcset"),document.documentElement.classList.remove("has-photo-lightbox"),document.removeEventListener("keydown",w,!0),e.returnFocus&&e.returnFocus.focus&&e.returnFocus.focus(),e.options.onClose&&e.options.onClose(e.index)}}function w(e){switch(e.key){case"Escape":p();break;case"ArrowRight":g();break;case"ArrowLeft":m();break;case"Tab":A(e);return;default:e.stopPropagation();return}e.preventDefault(),e.stopPropagation()}function A(e){var h=[u,b,y].filter(function(k){return!k.disabled&&k.offsetParent!==null});if(h.length!==0){var d=h.indexOf(document.activeElement),E=e.shiftKey?d-1:d+1;e.preventDefault(),e.stopPropagation(),h[(E+h.length)%h.length].focus()}}return{open:c,close:p,isOpen:function(){return o!==null}}})(),W=z;export{R as a,B as b,M as c,L as d,D as e,W as f};
+//# sourceMappingURL=chunk-NHP5P4EY.js.map
@@ -0,0 +1,21 @@
+import{b as bt,c as Rt}from"./chunk-NHP5P4EY.js";var qn=bt((Bn,Pt)=>{(function(S,s){typeof Pt=="object"&&Pt.exports?Pt.exports=s():S.EvEmitter=s()})(typeof window!="undefined"?window:Bn,function(){function S(){}let s=S.prototype;return s.on=function(d,f){if(!d||!f)return this;let g=this._events=this._events||{},a=g[d]=g[d]||[];return a.includes(f)||a.push(f),this},s.once=function(d,f){if(!d||!f)return this;this.on(d,f);let g=this._onceEvents=this._onceEvents||{},a=g[d]=g[d]||{};return a[f]=!0,this},s.off=function(d,f){let g=this._events&&this._events[d];if(!g||!g.length)return this;let a=g.indexOf(f);return a!=-1&&g.splice(a,1),this},s.emitEvent=function(d,f){let g=this._events&&this._events[d];if(!g||!g.length)return this;g=g.slice(0),f=f||[];let a=this._onceEvents&&this._onceEvents[d];for(let i of g)a&&a[i]&&(this.off(d,i),delete a[i]),i.apply(this,f);return this},s.allOff=function(){return delete this._events,delete this._onceEvents,this},S})});var Un=bt((Nn,Zt)=>{(function(S,s){typeof Zt=="object"&&Zt.exports?Zt.exports=s(S,qn()):S.imagesLoaded=s(S,S.EvEmitter)})(typeof window!="undefined"?window:Nn,function(s,d){let f=s.jQuery,g=s.console;function a(h){return Array.isArray(h)?h:typeof h=="object"&&typeof h.length=="number"?[...h]:[h]}function i(h,v,p){if(!(this instanceof i))return new i(h,v,p);let F=h;if(typeof h=="string"&&(F=document.querySelectorAll(h)),!F){g.error("Bad element for imagesLoaded ".concat(F||h));return}this.elements=a(F),this.options={},typeof v=="function"?p=v:Object.assign(this.options,v),p&&this.on("always",p),this.getImages(),f&&(this.jqDeferred=new f.Deferred),setTimeout(this.check.bind(this))}i.prototype=Object.create(d.prototype),i.prototype.getImages=function(){this.images=[],this.elements.forEach(this.addElementImages,this)};let L=[1,9,11];i.prototype.addElementImages=function(h){h.nodeName==="IMG"&&this.addImage(h),this.options.background===!0&&this.addElementBackgroundImages(h);let{nodeType:v}=h;if(!v||!L.includes(v))return;let p=h.querySelectorAll("img");for(let F of p)this.addImage(F);if(typeof this.options.background=="string"){let F=h.querySelectorAll(this.options.background);for(let N of F)this.addElementBackgroundImages(N)}};let _=/url\((['"])?(.*?)\1\)/gi;i.prototype.addElementBackgroundImages=function(h){let v=getComputedStyle(h);if(!v)return;let p=_.exec(v.backgroundImage);for(;p!==null;){let F=p&&p[2];F&&this.addBackground(F,h),p=_.exec(v.backgroundImage)}},i.prototype.addImage=function(h){let v=new u(h);this.images.push(v)},i.prototype.addBackground=function(h,v){let p=new Z(h,v);this.images.push(p)},i.prototype.check=function(){if(this.progressedCount=0,this.hasAnyBroken=!1,!this.images.length){this.complete();return}let h=(v,p,F)=>{setTimeout(()=>{this.progress(v,p,F)})};this.images.forEach(function(v){v.once("progress",h),v.check()})},i.prototype.progress=function(h,v,p){this.progressedCount++,this.hasAnyBroken=this.hasAnyBroken||!h.isLoaded,this.emitEvent("progress",[this,h,v]),this.jqDeferred&&this.jqDeferred.notify&&this.jqDeferred.notify(this,h),this.progressedCount===this.images.length&&this.complete(),this.options.debug&&g&&g.log("progress: ".concat(p),h,v)},i.prototype.complete=function(){let h=this.hasAnyBroken?"fail":"done";if(this.isComplete=!0,this.emitEvent(h,[this]),this.emitEvent("always",[this]),this.jqDeferred){let v=this.hasAnyBroken?"reject":"resolve";this.jqDeferred[v](this)}};function u(h){this.img=h}u.prototype=Object.create(d.prototype),u.prototype.check=function(){if(this.getIsImageComplete()){this.confirm(this.img.naturalWidth!==0,"naturalWidth");return}this.proxyImage=new Image,this.img.crossOrigin&&(this.proxyImage.crossOrigin=this.img.crossOrigin),this.proxyImage.addEventListener("load",this),this.proxyImage.addEventListener("error",this),this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.proxyImage.src=this.img.currentSrc||this.img.src},u.prototype.getIsImageComplete=function(){return this.img.complete&&this.img.naturalWidth},u.prototype.confirm=function(h,v){this.isLoaded=h;let{parentNode:p}=this.img,F=p.nodeName==="PICTURE"?p:this.img;this.emitEvent("progress",[this,F,v])},u.prototype.handleEvent=function(h){let v="on"+h.type;this[v]&&this[v](h)},u.prototype.onload=function(){this.confirm(!0,"onload"),this.unbindEvents()},u.prototype.onerror=function(){this.confirm(!1,"onerror"),this.unbindEvents()},u.prototype.unbindEvents=function(){this.proxyImage.removeEventListener("load",this),this.proxyImage.removeEventListener("error",this),this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)};function Z(h,v){this.url=h,this.element=v,this.img=new Image}return Z.prototype=Object.create(u.prototype),Z.prototype.check=function(){this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.img.src=this.url,this.getIsImageComplete()&&(this.confirm(this.img.naturalWidth!==0,"naturalWidth"),this.unbindEvents())},Z.prototype.unbindEvents=function(){this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},Z.prototype.confirm=function(h,v){this.isLoaded=h,this.emitEvent("progress",[this,this.element,v])},i.makeJQueryPlugin=function(h){h=h||s.jQuery,h&&(f=h,f.fn.imagesLoaded=function(v,p){return new i(this,v,p).jqDeferred.promise(f(this))})},i.makeJQueryPlugin(),i})});var Gn=bt((un,Wn)=>{(function(S,s){typeof define=="function"&&define.amd?define(s):typeof un=="object"?Wn.exports=s():S.PhotoSwipe=s()})(un,function(){"use strict";var S=function(s,d,f,g){var a={features:null,bind:function(e,t,n,o){var r=(o?"remove":"add")+"EventListener";t=t.split(" ");for(var c=0;c<t.length;c++)t[c]&&e[r](t[c],n,!1)},isArray:function(e){return e instanceof Array},createEl:function(e,t){var n=document.createElement(t||"div");return e&&(n.className=e),n},getScrollY:function(){var e=window.pageYOffset;return e!==void 0?e:document.documentElement.scrollTop},unbind:function(e,t,n){a.bind(e,t,n,!0)},removeClass:function(e,t){var n=new RegExp("(\\s|^)"+t+"(\\s|$)");e.className=e.className.replace(n," ").replace(/^\s\s*/,"").replace(/\s\s*$/,"")},addClass:function(e,t){a.hasClass(e,t)||(e.className+=(e.className?" ":"")+t)},hasClass:function(e,t){return e.className&&new RegExp("(^|\\s)"+t+"(\\s|$)").test(e.className)},getChildByClass:function(e,t){for(var n=e.firstChild;n;){if(a.hasClass(n,t))return n;n=n.nextSibling}},arraySearch:function(e,t,n){for(var o=e.length;o--;)if(e[o][n]===t)return o;return-1},extend:function(e,t,n){for(var o in t)if(t.hasOwnProperty(o)){if(n&&e.hasOwnProperty(o))continue;e[o]=t[o]}},easing:{sine:{out:function(e){return Math.sin(e*(Math.PI/2))},inOut:function(e){return-(Math.cos(Math.PI*e)-1)/2}},cubic:{out:function(e){return--e*e*e+1}}},detectFeatures:function(){if(a.features)return a.features;var e=a.createEl(),t=e.style,n="",o={};if(o.oldIE=document.all&&!document.addEventListener,o.touch="ontouchstart"in window,window.requestAnimationFrame&&(o.raf=window.requestAnimationFrame,o.caf=window.cancelAnimationFrame),o.pointerEvent=!!window.PointerEvent||navigator.msPointerEnabled,!o.pointerEvent){var r=navigator.userAgent;if(/iP(hone|od)/.test(navigator.platform)){var c=navigator.appVersion.match(/OS (\d+)_(\d+)_?(\d+)?/);c&&c.length>0&&(c=parseInt(c[1],10),c>=1&&c<8&&(o.isOldIOSPhone=!0))}var x=r.match(/Android\s([0-9\.]*)/),w=x?x[1]:0;w=parseFloat(w),w>=1&&(w<4.4&&(o.isOldAndroid=!0),o.androidVersion=w),o.isMobileOpera=/opera mini|opera mobi/i.test(r)}for(var E,O,B=["transform","perspective","animationName"],Me=["","webkit","Moz","ms","O"],xe=0;xe<4;xe++){n=Me[xe];for(var at=0;at<3;at++)E=B[at],O=n+(n?E.charAt(0).toUpperCase()+E.slice(1):E),!o[E]&&O in t&&(o[E]=O);n&&!o.raf&&(n=n.toLowerCase(),o.raf=window[n+"RequestAnimationFrame"],o.raf&&(o.caf=window[n+"CancelAnimationFrame"]||window[n+"CancelRequestAnimationFrame"]))}if(!o.raf){var xt=0;o.raf=function(fe){var ln=new Date().getTime(),an=Math.max(0,16-(ln-xt)),To=window.setTimeout(function(){fe(ln+an)},an);return xt=ln+an,To},o.caf=function(fe){clearTimeout(fe)}}return o.svg=!!document.createElementNS&&!!document.createElementNS("http://www.w3.org/2000/svg","svg").createSVGRect,a.features=o,o}};a.detectFeatures(),a.features.oldIE&&(a.bind=function(e,t,n,o){t=t.split(" ");for(var r,c=(o?"detach":"attach")+"Event",x=function(){n.handleEvent.call(n)},w=0;w<t.length;w++)if(r=t[w])if(typeof n=="object"&&n.handleEvent){if(o){if(!n["oldIE"+r])return!1}else n["oldIE"+r]=x;e[c]("on"+r,n["oldIE"+r])}else e[c]("on"+r,n)});var i=this,L=25,_=3,u={allowPanToNext:!0,spacing:.12,bgOpacity:1,mouseUsed:!1,loop:!0,pinchToClose:!0,closeOnScroll:!0,closeOnVerticalDrag:!0,verticalDragRange:.75,hideAnimationDuration:333,showAnimationDuration:333,showHideOpacity:!1,focus:!0,escKey:!0,arrowKeys:!0,mainScrollEndFriction:.35,panEndFriction:.35,isClickableElement:function(e){return e.tagName==="A"},getDoubleTapZoom:function(e,t){return e||t.initialZoomLevel<.7?1:1.33},maxSpreadZoom:1.33,modal:!0,scaleMode:"fit"};a.extend(u,g);var Z,h,v,p,F,N,se,b,z,T,ue,Oe,C,Fe,Y,A,Et,Re,Ye,le,Pe,he,j,ce,je,Ze,Ve,Xe,$e,ge,M,be,It,Je,ze,Ee,Be,l,m,D,R,V,q,W,U,te,mn,fn,I,ve,X,Ie,zt,Ct,Tt,kt,St,Ce=function(){return{x:0,y:0}},Te=Ce(),Qe=Ce(),y=Ce(),G={},ke=0,et={},ne=Ce(),de=0,At=!0,Bt=[],ut={},qe=!1,ct=function(e,t){a.extend(i,t.publicMethods),Bt.push(e)},Dt=function(e){var t=ie();return e>t-1?e-t:e<0?t+e:e},dt={},P=function(e,t){return dt[e]||(dt[e]=[]),dt[e].push(t)},k=function(e){var t=dt[e];if(t){var n=Array.prototype.slice.call(arguments);n.shift();for(var o=0;o<t.length;o++)t[o].apply(i,n)}},pe=function(){return new Date().getTime()},ye=function(e){Tt=e,i.bg.style.opacity=e*u.bgOpacity},hn=function(e,t,n,o,r){(!qe||r&&r!==i.currItem)&&(o/=r?r.fitRatio:i.currItem.fitRatio),e[he]=Oe+t+"px, "+n+"px"+C+" scale("+o+")"},H=function(e){ve&&(e&&(T>i.currItem.fitRatio?qe||(Ge(i.currItem,!1,!0),qe=!0):qe&&(Ge(i.currItem),qe=!1)),hn(ve,y.x,y.y,T))},pt=function(e){e.container&&hn(e.container.style,e.initialPosition.x,e.initialPosition.y,e.initialZoomLevel,e)},tt=function(e,t){t[he]=Oe+e+"px, 0px"+C},Lt=function(e,t){if(!u.loop&&t){var n=p+(ne.x*ke-e)/ne.x,o=Math.round(e-we.x);(n<0&&o>0||n>=ie()-1&&o<0)&&(e=we.x+o*u.mainScrollEndFriction)}we.x=e,tt(e,F)},qt=function(e,t){var n=gt[e]-et[e];return Qe[e]+Te[e]+n-n*(t/ue)},$=function(e,t){e.x=t.x,e.y=t.y,t.id&&(e.id=t.id)},gn=function(e){e.x=Math.round(e.x),e.y=Math.round(e.y)},Nt=null,Ut=function(){Nt&&(a.unbind(document,"mousemove",Ut),a.addClass(s,"pswp--has_mouse"),u.mouseUsed=!0,k("mouseUsed")),Nt=setTimeout(function(){Nt=null},100)},eo=function(){a.bind(document,"keydown",i),M.transform&&a.bind(i.scrollWrap,"click",i),u.mouseUsed||a.bind(document,"mousemove",Ut),a.bind(window,"resize scroll orientationchange",i),k("bindEvents")},to=function(){a.unbind(window,"resize scroll orientationchange",i),a.unbind(window,"scroll",z.scroll),a.unbind(document,"keydown",i),a.unbind(document,"mousemove",Ut),M.transform&&a.unbind(i.scrollWrap,"click",i),m&&a.unbind(window,se,i),clearTimeout(be),k("unbindEvents")},Ht=function(e,t){var n=yt(i.currItem,G,e);return t&&(I=n),n},vn=function(e){return e||(e=i.currItem),e.initialZoomLevel},yn=function(e){return e||(e=i.currItem),e.w>0?u.maxSpreadZoom:1},wn=function(e,t,n,o){return o===i.currItem.initialZoomLevel?(n[e]=i.currItem.initialPosition[e],!0):(n[e]=qt(e,o),n[e]>t.min[e]?(n[e]=t.min[e],!0):n[e]<t.max[e]&&(n[e]=t.max[e],!0))},no=function(){if(he){var e=M.perspective&&!ce;return Oe="translate"+(e?"3d(":"("),void(C=M.perspective?", 0px)":")")}he="left",a.addClass(s,"pswp--ie"),tt=function(t,n){n.left=t+"px"},pt=function(t){var n=t.fitRatio>1?1:t.fitRatio,o=t.container.style,r=n*t.w,c=n*t.h;o.width=r+"px",o.height=c+"px",o.left=t.initialPosition.x+"px",o.top=t.initialPosition.y+"px"},H=function(){if(ve){var t=ve,n=i.currItem,o=n.fitRatio>1?1:n.fitRatio,r=o*n.w,c=o*n.h;t.width=r+"px",t.height=c+"px",t.left=y.x+"px",t.top=y.y+"px"}}},oo=function(e){var t="";u.escKey&&e.keyCode===27?t="close":u.arrowKeys&&(e.keyCode===37?t="prev":e.keyCode===39&&(t="next")),t&&(e.ctrlKey||e.altKey||e.shiftKey||e.metaKey||(e.preventDefault?e.preventDefault():e.returnValue=!1,i[t]()))},io=function(e){e&&(V||R||X||Be)&&(e.preventDefault(),e.stopPropagation())},xn=function(){i.setScrollOffset(0,a.getScrollY())},oe={},nt=0,mt=function(e){oe[e]&&(oe[e].raf&&Ze(oe[e].raf),nt--,delete oe[e])},Kt=function(e){oe[e]&&mt(e),oe[e]||(nt++,oe[e]={})},ft=function(){for(var e in oe)oe.hasOwnProperty(e)&&mt(e)},ht=function(e,t,n,o,r,c,x){var w,E=pe();Kt(e);var O=function(){if(oe[e]){if(w=pe()-E,w>=o)return mt(e),c(n),void(x&&x());c((n-t)*r(w/o)+t),oe[e].raf=je(O)}};O()},ro={shout:k,listen:P,viewportSize:G,options:u,isMainScrollAnimating:function(){return X},getZoomLevel:function(){return T},getCurrentIndex:function(){return p},isDragging:function(){return m},isZooming:function(){return te},setScrollOffset:function(e,t){et.x=e,ge=et.y=t,k("updateScrollOffset",et)},applyZoomPan:function(e,t,n,o){y.x=t,y.y=n,T=e,H(o)},init:function(){if(!Z&&!h){var e;i.framework=a,i.template=s,i.bg=a.getChildByClass(s,"pswp__bg"),Ve=s.className,Z=!0,M=a.detectFeatures(),je=M.raf,Ze=M.caf,he=M.transform,$e=M.oldIE,i.scrollWrap=a.getChildByClass(s,"pswp__scroll-wrap"),i.container=a.getChildByClass(i.scrollWrap,"pswp__container"),F=i.container.style,i.itemHolders=A=[{el:i.container.children[0],wrap:0,index:-1},{el:i.container.children[1],wrap:0,index:-1},{el:i.container.children[2],wrap:0,index:-1}],A[0].el.style.display=A[2].el.style.display="none",no(),z={resize:i.updateSize,orientationchange:function(){clearTimeout(be),be=setTimeout(function(){G.x!==i.scrollWrap.clientWidth&&i.updateSize()},500)},scroll:xn,keydown:oo,click:io};var t=M.isOldIOSPhone||M.isOldAndroid||M.isMobileOpera;for(M.animationName&&M.transform&&!t||(u.showAnimationDuration=u.hideAnimationDuration=0),e=0;e<Bt.length;e++)i["init"+Bt[e]]();if(d){var n=i.ui=new d(i,a);n.init()}k("firstUpdate"),p=p||u.index||0,(isNaN(p)||p<0||p>=ie())&&(p=0),i.currItem=Le(p),(M.isOldIOSPhone||M.isOldAndroid)&&(At=!1),s.setAttribute("aria-hidden","false"),u.modal&&(At?s.style.position="fixed":(s.style.position="absolute",s.style.top=a.getScrollY()+"px")),ge===void 0&&(k("initialLayout"),ge=Xe=a.getScrollY());var o="pswp--open ";for(u.mainClass&&(o+=u.mainClass+" "),u.showHideOpacity&&(o+="pswp--animate_opacity "),o+=ce?"pswp--touch":"pswp--notouch",o+=M.animationName?" pswp--css_animation":"",o+=M.svg?" pswp--svg":"",a.addClass(s,o),i.updateSize(),N=-1,de=null,e=0;e<_;e++)tt((e+N)*ne.x,A[e].el.style);$e||a.bind(i.scrollWrap,b,i),P("initialZoomInEnd",function(){i.setContent(A[0],p-1),i.setContent(A[2],p+1),A[0].el.style.display=A[2].el.style.display="block",u.focus&&s.focus(),eo()}),i.setContent(A[1],p),i.updateCurrItem(),k("afterInit"),At||(Fe=setInterval(function(){nt||m||te||T!==i.currItem.initialZoomLevel||i.updateSize()},1e3)),a.addClass(s,"pswp--visible")}},close:function(){Z&&(Z=!1,h=!0,k("close"),to(),Ln(i.currItem,null,!0,i.destroy))},destroy:function(){k("destroy"),Ke&&clearTimeout(Ke),s.setAttribute("aria-hidden","true"),s.className=Ve,Fe&&clearInterval(Fe),a.unbind(i.scrollWrap,b,i),a.unbind(window,"scroll",i),Yt(),ft(),dt=null},panTo:function(e,t,n){n||(e>I.min.x?e=I.min.x:e<I.max.x&&(e=I.max.x),t>I.min.y?t=I.min.y:t<I.max.y&&(t=I.max.y)),y.x=e,y.y=t,H()},handleEvent:function(e){e=e||window.event,z[e.type]&&z[e.type](e)},goTo:function(e){e=Dt(e);var t=e-p;de=t,p=e,i.currItem=Le(p),ke-=t,Lt(ne.x*ke),ft(),X=!1,i.updateCurrItem()},next:function(){i.goTo(p+1)},prev:function(){i.goTo(p-1)},updateCurrZoomItem:function(e){if(e&&k("beforeChange",0),A[1].el.children.length){var t=A[1].el.children[0];ve=a.hasClass(t,"pswp__zoom-wrap")?t.style:null}else ve=null;I=i.currItem.bounds,ue=T=i.currItem.initialZoomLevel,y.x=I.center.x,y.y=I.center.y,e&&k("afterChange")},invalidateCurrItems:function(){Y=!0;for(var e=0;e<_;e++)A[e].item&&(A[e].item.needsUpdate=!0)},updateCurrItem:function(e){if(de!==0){var t,n=Math.abs(de);if(!(e&&n<2)){i.currItem=Le(p),qe=!1,k("beforeChange",de),n>=_&&(N+=de+(de>0?-_:_),n=_);for(var o=0;o<n;o++)de>0?(t=A.shift(),A[_-1]=t,N++,tt((N+2)*ne.x,t.el.style),i.setContent(t,p-n+o+1+1)):(t=A.pop(),A.unshift(t),N--,tt(N*ne.x,t.el.style),i.setContent(t,p+n-o-1-1));if(ve&&Math.abs(de)===1){var r=Le(Et);r.initialZoomLevel!==T&&(yt(r,G),Ge(r),pt(r))}de=0,i.updateCurrZoomItem(),Et=p,k("afterChange")}}},updateSize:function(e){if(!At&&u.modal){var t=a.getScrollY();if(ge!==t&&(s.style.top=t+"px",ge=t),!e&&ut.x===window.innerWidth&&ut.y===window.innerHeight)return;ut.x=window.innerWidth,ut.y=window.innerHeight,s.style.height=ut.y+"px"}if(G.x=i.scrollWrap.clientWidth,G.y=i.scrollWrap.clientHeight,xn(),ne.x=G.x+Math.round(G.x*u.spacing),ne.y=G.y,Lt(ne.x*ke),k("beforeResize"),N!==void 0){for(var n,o,r,c=0;c<_;c++)n=A[c],tt((c+N)*ne.x,n.el.style),r=p+c-1,u.loop&&ie()>2&&(r=Dt(r)),o=Le(r),o&&(Y||o.needsUpdate||!o.bounds)?(i.cleanSlide(o),i.setContent(n,r),c===1&&(i.currItem=o,i.updateCurrZoomItem(!0)),o.needsUpdate=!1):n.index===-1&&r>=0&&i.setContent(n,r),o&&o.container&&(yt(o,G),Ge(o),pt(o));Y=!1}ue=T=i.currItem.initialZoomLevel,I=i.currItem.bounds,I&&(y.x=I.center.x,y.y=I.center.y,H(!0)),k("resize")},zoomTo:function(e,t,n,o,r){t&&(ue=T,gt.x=Math.abs(t.x)-y.x,gt.y=Math.abs(t.y)-y.y,$(Qe,y));var c=Ht(e,!1),x={};wn("x",c,x,e),wn("y",c,x,e);var w=T,E={x:y.x,y:y.y};gn(x);var O=function(B){B===1?(T=e,y.x=x.x,y.y=x.y):(T=(e-w)*B+w,y.x=(x.x-E.x)*B+E.x,y.y=(x.y-E.y)*B+E.y),r&&r(B),H(B===1)};n?ht("customZoomTo",0,1,n,o||a.easing.sine.inOut,O):O(1)}},bn=30,Wt=10,J={},Ne={},Q={},ee={},ot={},Se=[],Ue={},He=[],it={},_t=0,Mt=Ce(),Gt=0,we=Ce(),gt=Ce(),rt=Ce(),so=function(e,t){return e.x===t.x&&e.y===t.y},lo=function(e,t){return Math.abs(e.x-t.x)<L&&Math.abs(e.y-t.y)<L},En=function(e,t){return it.x=Math.abs(e.x-t.x),it.y=Math.abs(e.y-t.y),Math.sqrt(it.x*it.x+it.y*it.y)},Yt=function(){q&&(Ze(q),q=null)},In=function(){m&&(q=je(In),fo())},ao=function(){return!(u.scaleMode==="fit"&&T===i.currItem.initialZoomLevel)},Cn=function(e,t){return!(!e||e===document)&&!(e.getAttribute("class")&&e.getAttribute("class").indexOf("pswp__scroll-wrap")>-1)&&(t(e)?e:Cn(e.parentNode,t))},jt={},Tn=function(e,t){return jt.prevent=!Cn(e.target,u.isClickableElement),k("preventDragEvent",e,t,jt),jt.prevent},kn=function(e,t){return t.x=e.pageX,t.y=e.pageY,t.id=e.identifier,t},Sn=function(e,t,n){n.x=.5*(e.x+t.x),n.y=.5*(e.y+t.y)},uo=function(e,t,n){if(e-Je>50){var o=He.length>2?He.shift():{};o.x=t,o.y=n,He.push(o),Je=e}},An=function(){var e=y.y-i.currItem.initialPosition.y;return 1-Math.abs(e/(G.y/2))},vt={},co={},Ae=[],Vt=function(e){for(;Ae.length>0;)Ae.pop();return j?(St=0,Se.forEach(function(t){St===0?Ae[0]=t:St===1&&(Ae[1]=t),St++})):e.type.indexOf("touch")>-1?e.touches&&e.touches.length>0&&(Ae[0]=kn(e.touches[0],vt),e.touches.length>1&&(Ae[1]=kn(e.touches[1],co))):(vt.x=e.pageX,vt.y=e.pageY,vt.id="",Ae[0]=vt),Ae},Dn=function(e,t){var n,o,r,c,x=0,w=y[e]+t[e],E=t[e]>0,O=we.x+t.x,B=we.x-Ue.x;return n=w>I.min[e]||w<I.max[e]?u.panEndFriction:1,w=y[e]+t[e]*n,!u.allowPanToNext&&T!==i.currItem.initialZoomLevel||(ve?Ie!=="h"||e!=="x"||R||(E?(w>I.min[e]&&(n=u.panEndFriction,x=I.min[e]-w,o=I.min[e]-Qe[e]),(o<=0||B<0)&&ie()>1?(c=O,B<0&&O>Ue.x&&(c=Ue.x)):I.min.x!==I.max.x&&(r=w)):(w<I.max[e]&&(n=u.panEndFriction,x=w-I.max[e],o=Qe[e]-I.max[e]),(o<=0||B>0)&&ie()>1?(c=O,B>0&&O<Ue.x&&(c=Ue.x)):I.min.x!==I.max.x&&(r=w))):c=O,e!=="x")?void(X||W||T>i.currItem.fitRatio&&(y[e]+=t[e]*n)):(c!==void 0&&(Lt(c,!0),W=c!==Ue.x),I.min.x!==I.max.x&&(r!==void 0?y.x=r:W||(y.x+=t.x*n)),c!==void 0)},po=function(e){if(!(e.type==="mousedown"&&e.button>0)){if(st)return void e.preventDefault();if(!l||e.type!=="mousedown"){if(Tn(e,!0)&&e.preventDefault(),k("pointerDown"),j){var t=a.arraySearch(Se,e.pointerId,"id");t<0&&(t=Se.length),Se[t]={x:e.pageX,y:e.pageY,id:e.pointerId}}var n=Vt(e),o=n.length;U=null,ft(),m&&o!==1||(m=zt=!0,a.bind(window,se,i),Ee=kt=Ct=Be=W=V=D=R=!1,Ie=null,k("firstTouchStart",n),$(Qe,y),Te.x=Te.y=0,$(ee,n[0]),$(ot,ee),Ue.x=ne.x*ke,He=[{x:ee.x,y:ee.y}],Je=It=pe(),Ht(T,!0),Yt(),In()),!te&&o>1&&!X&&!W&&(ue=T,R=!1,te=D=!0,Te.y=Te.x=0,$(Qe,y),$(J,n[0]),$(Ne,n[1]),Sn(J,Ne,rt),gt.x=Math.abs(rt.x)-y.x,gt.y=Math.abs(rt.y)-y.y,mn=fn=En(J,Ne))}}},mo=function(e){if(e.preventDefault(),j){var t=a.arraySearch(Se,e.pointerId,"id");if(t>-1){var n=Se[t];n.x=e.pageX,n.y=e.pageY}}if(m){var o=Vt(e);if(Ie||V||te)U=o;else if(we.x!==ne.x*ke)Ie="h";else{var r=Math.abs(o[0].x-ee.x)-Math.abs(o[0].y-ee.y);Math.abs(r)>=Wt&&(Ie=r>0?"h":"v",U=o)}}},fo=function(){if(U){var e=U.length;if(e!==0)if($(J,U[0]),Q.x=J.x-ee.x,Q.y=J.y-ee.y,te&&e>1){if(ee.x=J.x,ee.y=J.y,!Q.x&&!Q.y&&so(U[1],Ne))return;$(Ne,U[1]),R||(R=!0,k("zoomGestureStarted"));var t=En(J,Ne),n=wo(t);n>i.currItem.initialZoomLevel+i.currItem.initialZoomLevel/15&&(kt=!0);var o=1,r=vn(),c=yn();if(n<r)if(u.pinchToClose&&!kt&&ue<=i.currItem.initialZoomLevel){var x=r-n,w=1-x/(r/1.2);ye(w),k("onPinchClose",w),Ct=!0}else o=(r-n)/r,o>1&&(o=1),n=r-o*(r/3);else n>c&&(o=(n-c)/(6*r),o>1&&(o=1),n=c+o*r);o<0&&(o=0),mn=t,Sn(J,Ne,Mt),Te.x+=Mt.x-rt.x,Te.y+=Mt.y-rt.y,$(rt,Mt),y.x=qt("x",n),y.y=qt("y",n),Ee=n>T,T=n,H()}else{if(!Ie||(zt&&(zt=!1,Math.abs(Q.x)>=Wt&&(Q.x-=U[0].x-ot.x),Math.abs(Q.y)>=Wt&&(Q.y-=U[0].y-ot.y)),ee.x=J.x,ee.y=J.y,Q.x===0&&Q.y===0))return;if(Ie==="v"&&u.closeOnVerticalDrag&&!ao()){Te.y+=Q.y,y.y+=Q.y;var E=An();return Be=!0,k("onVerticalDrag",E),ye(E),void H()}uo(pe(),J.x,J.y),V=!0,I=i.currItem.bounds;var O=Dn("x",Q);O||(Dn("y",Q),gn(y),H())}}},ho=function(e){if(M.isOldAndroid){if(l&&e.type==="mouseup")return;e.type.indexOf("touch")>-1&&(clearTimeout(l),l=setTimeout(function(){l=0},600))}k("pointerUp"),Tn(e,!1)&&e.preventDefault();var t;if(j){var n=a.arraySearch(Se,e.pointerId,"id");if(n>-1)if(t=Se.splice(n,1)[0],navigator.msPointerEnabled){var o={4:"mouse",2:"touch",3:"pen"};t.type=o[e.pointerType],t.type||(t.type=e.pointerType||"mouse")}else t.type=e.pointerType||"mouse"}var r,c=Vt(e),x=c.length;if(e.type==="mouseup"&&(x=0),x===2)return U=null,!0;x===1&&$(ot,c[0]),x!==0||Ie||X||(t||(e.type==="mouseup"?t={x:e.pageX,y:e.pageY,type:"mouse"}:e.changedTouches&&e.changedTouches[0]&&(t={x:e.changedTouches[0].pageX,y:e.changedTouches[0].pageY,type:"touch"})),k("touchRelease",e,t));var w=-1;if(x===0&&(m=!1,a.unbind(window,se,i),Yt(),te?w=0:Gt!==-1&&(w=pe()-Gt)),Gt=x===1?pe():-1,r=w!==-1&&w<150?"zoom":"swipe",te&&x<2&&(te=!1,x===1&&(r="zoomPointerUp"),k("zoomGestureEnded")),U=null,V||R||X||Be)if(ft(),ze||(ze=go()),ze.calculateSwipeSpeed("x"),Be){var E=An();if(E<u.verticalDragRange)i.close();else{var O=y.y,B=Tt;ht("verticalDrag",0,1,300,a.easing.cubic.out,function(xe){y.y=(i.currItem.initialPosition.y-O)*xe+O,ye((1-B)*xe+B),H()}),k("onVerticalDrag",1)}}else{if((W||X)&&x===0){var Me=yo(r,ze);if(Me)return;r="zoomPointerUp"}if(!X)return r!=="swipe"?void xo():void(!W&&T>i.currItem.fitRatio&&vo(ze))}},go=function(){var e,t,n={lastFlickOffset:{},lastFlickDist:{},lastFlickSpeed:{},slowDownRatio:{},slowDownRatioReverse:{},speedDecelerationRatio:{},speedDecelerationRatioAbs:{},distanceOffset:{},backAnimDestination:{},backAnimStarted:{},calculateSwipeSpeed:function(o){He.length>1?(e=pe()-Je+50,t=He[He.length-2][o]):(e=pe()-It,t=ot[o]),n.lastFlickOffset[o]=ee[o]-t,n.lastFlickDist[o]=Math.abs(n.lastFlickOffset[o]),n.lastFlickDist[o]>20?n.lastFlickSpeed[o]=n.lastFlickOffset[o]/e:n.lastFlickSpeed[o]=0,Math.abs(n.lastFlickSpeed[o])<.1&&(n.lastFlickSpeed[o]=0),n.slowDownRatio[o]=.95,n.slowDownRatioReverse[o]=1-n.slowDownRatio[o],n.speedDecelerationRatio[o]=1},calculateOverBoundsAnimOffset:function(o,r){n.backAnimStarted[o]||(y[o]>I.min[o]?n.backAnimDestination[o]=I.min[o]:y[o]<I.max[o]&&(n.backAnimDestination[o]=I.max[o]),n.backAnimDestination[o]!==void 0&&(n.slowDownRatio[o]=.7,n.slowDownRatioReverse[o]=1-n.slowDownRatio[o],n.speedDecelerationRatioAbs[o]<.05&&(n.lastFlickSpeed[o]=0,n.backAnimStarted[o]=!0,ht("bounceZoomPan"+o,y[o],n.backAnimDestination[o],r||300,a.easing.sine.out,function(c){y[o]=c,H()}))))},calculateAnimOffset:function(o){n.backAnimStarted[o]||(n.speedDecelerationRatio[o]=n.speedDecelerationRatio[o]*(n.slowDownRatio[o]+n.slowDownRatioReverse[o]-n.slowDownRatioReverse[o]*n.timeDiff/10),n.speedDecelerationRatioAbs[o]=Math.abs(n.lastFlickSpeed[o]*n.speedDecelerationRatio[o]),n.distanceOffset[o]=n.lastFlickSpeed[o]*n.speedDecelerationRatio[o]*n.timeDiff,y[o]+=n.distanceOffset[o])},panAnimLoop:function(){if(oe.zoomPan&&(oe.zoomPan.raf=je(n.panAnimLoop),n.now=pe(),n.timeDiff=n.now-n.lastNow,n.lastNow=n.now,n.calculateAnimOffset("x"),n.calculateAnimOffset("y"),H(),n.calculateOverBoundsAnimOffset("x"),n.calculateOverBoundsAnimOffset("y"),n.speedDecelerationRatioAbs.x<.05&&n.speedDecelerationRatioAbs.y<.05))return y.x=Math.round(y.x),y.y=Math.round(y.y),H(),void mt("zoomPan")}};return n},vo=function(e){return e.calculateSwipeSpeed("y"),I=i.currItem.bounds,e.backAnimDestination={},e.backAnimStarted={},Math.abs(e.lastFlickSpeed.x)<=.05&&Math.abs(e.lastFlickSpeed.y)<=.05?(e.speedDecelerationRatioAbs.x=e.speedDecelerationRatioAbs.y=0,e.calculateOverBoundsAnimOffset("x"),e.calculateOverBoundsAnimOffset("y"),!0):(Kt("zoomPan"),e.lastNow=pe(),void e.panAnimLoop())},yo=function(e,t){var n;X||(_t=p);var o;if(e==="swipe"){var r=ee.x-ot.x,c=t.lastFlickDist.x<10;r>bn&&(c||t.lastFlickOffset.x>20)?o=-1:r<-bn&&(c||t.lastFlickOffset.x<-20)&&(o=1)}var x;o&&(p+=o,p<0?(p=u.loop?ie()-1:0,x=!0):p>=ie()&&(p=u.loop?0:ie()-1,x=!0),x&&!u.loop||(de+=o,ke-=o,n=!0));var w,E=ne.x*ke,O=Math.abs(E-we.x);return n||E>we.x==t.lastFlickSpeed.x>0?(w=Math.abs(t.lastFlickSpeed.x)>0?O/Math.abs(t.lastFlickSpeed.x):333,w=Math.min(w,400),w=Math.max(w,250)):w=333,_t===p&&(n=!1),X=!0,k("mainScrollAnimStart"),ht("mainScroll",we.x,E,w,a.easing.cubic.out,Lt,function(){ft(),X=!1,_t=-1,(n||_t!==p)&&i.updateCurrItem(),k("mainScrollAnimComplete")}),n&&i.updateCurrItem(!0),n},wo=function(e){return 1/fn*e*ue},xo=function(){var e=T,t=vn(),n=yn();T<t?e=t:T>n&&(e=n);var o,r=1,c=Tt;return Ct&&!Ee&&!kt&&T<t?(i.close(),!0):(Ct&&(o=function(x){ye((r-c)*x+c)}),i.zoomTo(e,0,200,a.easing.cubic.out,o),!0)};ct("Gestures",{publicMethods:{initGestures:function(){var e=function(t,n,o,r,c){Re=t+n,Ye=t+o,le=t+r,Pe=c?t+c:""};j=M.pointerEvent,j&&M.touch&&(M.touch=!1),j?navigator.msPointerEnabled?e("MSPointer","Down","Move","Up","Cancel"):e("pointer","down","move","up","cancel"):M.touch?(e("touch","start","move","end","cancel"),ce=!0):e("mouse","down","move","up"),se=Ye+" "+le+" "+Pe,b=Re,j&&!ce&&(ce=navigator.maxTouchPoints>1||navigator.msMaxTouchPoints>1),i.likelyTouchDevice=ce,z[Re]=po,z[Ye]=mo,z[le]=ho,Pe&&(z[Pe]=z[le]),M.touch&&(b+=" mousedown",se+=" mousemove mouseup",z.mousedown=z[Re],z.mousemove=z[Ye],z.mouseup=z[le]),ce||(u.allowPanToNext=!1)}}});var Ke,De,Xt,st,Le,ie,bo,Ln=function(e,t,n,o){Ke&&clearTimeout(Ke),st=!0,Xt=!0;var r;e.initialLayout?(r=e.initialLayout,e.initialLayout=null):r=u.getThumbBoundsFn&&u.getThumbBoundsFn(p);var c=n?u.hideAnimationDuration:u.showAnimationDuration,x=function(){mt("initialZoom"),n?(i.template.removeAttribute("style"),i.bg.removeAttribute("style")):(ye(1),t&&(t.style.display="block"),a.addClass(s,"pswp--animated-in"),k("initialZoom"+(n?"OutEnd":"InEnd"))),o&&o(),st=!1};if(!c||!r||r.x===void 0)return k("initialZoom"+(n?"Out":"In")),T=e.initialZoomLevel,$(y,e.initialPosition),H(),s.style.opacity=n?0:1,ye(1),void(c?setTimeout(function(){x()},c):x());var w=function(){var E=v,O=!i.currItem.src||i.currItem.loadError||u.showHideOpacity;e.miniImg&&(e.miniImg.style.webkitBackfaceVisibility="hidden"),n||(T=r.w/e.w,y.x=r.x,y.y=r.y-Xe,i[O?"template":"bg"].style.opacity=.001,H()),Kt("initialZoom"),n&&!E&&a.removeClass(s,"pswp--animated-in"),O&&(n?a[(E?"remove":"add")+"Class"](s,"pswp--animate_opacity"):setTimeout(function(){a.addClass(s,"pswp--animate_opacity")},30)),Ke=setTimeout(function(){if(k("initialZoom"+(n?"Out":"In")),n){var B=r.w/e.w,Me={x:y.x,y:y.y},xe=T,at=Tt,xt=function(fe){fe===1?(T=B,y.x=r.x,y.y=r.y-ge):(T=(B-xe)*fe+xe,y.x=(r.x-Me.x)*fe+Me.x,y.y=(r.y-ge-Me.y)*fe+Me.y),H(),O?s.style.opacity=1-fe:ye(at-fe*at)};E?ht("initialZoom",0,1,c,a.easing.cubic.out,xt,x):(xt(1),Ke=setTimeout(x,c+20))}else T=e.initialZoomLevel,$(y,e.initialPosition),H(),ye(1),O?s.style.opacity=1:ye(1),Ke=setTimeout(x,c+20)},n?25:90)};w()},ae={},We=[],Eo={index:0,errorMsg:'<div class="pswp__error-msg"><a href="%url%" target="_blank">The image</a> could not be loaded.</div>',forceProgressiveLoading:!1,preload:[1,1],getNumItemsFn:function(){return De.length}},_n=function(){return{center:{x:0,y:0},max:{x:0,y:0},min:{x:0,y:0}}},Io=function(e,t,n){var o=e.bounds;o.center.x=Math.round((ae.x-t)/2),o.center.y=Math.round((ae.y-n)/2)+e.vGap.top,o.max.x=t>ae.x?Math.round(ae.x-t):o.center.x,o.max.y=n>ae.y?Math.round(ae.y-n)+e.vGap.top:o.center.y,o.min.x=t>ae.x?0:o.center.x,o.min.y=n>ae.y?e.vGap.top:o.center.y},yt=function(e,t,n){if(e.src&&!e.loadError){var o=!n;if(o&&(e.vGap||(e.vGap={top:0,bottom:0}),k("parseVerticalMargin",e)),ae.x=t.x,ae.y=t.y-e.vGap.top-e.vGap.bottom,o){var r=ae.x/e.w,c=ae.y/e.h;e.fitRatio=r<c?r:c;var x=u.scaleMode;x==="orig"?n=1:x==="fit"&&(n=e.fitRatio),n>1&&(n=1),e.initialZoomLevel=n,e.bounds||(e.bounds=_n())}return n?(Io(e,e.w*n,e.h*n),o&&n===e.initialZoomLevel&&(e.initialPosition=e.bounds.center),e.bounds):void 0}return e.w=e.h=0,e.initialZoomLevel=e.fitRatio=1,e.bounds=_n(),e.initialPosition=e.bounds.center,e.bounds},Ot=function(e,t,n,o,r,c){t.loadError||o&&(t.imageAppended=!0,Ge(t,o,t===i.currItem&&qe),n.appendChild(o),c&&setTimeout(function(){t&&t.loaded&&t.placeholder&&(t.placeholder.style.display="none",t.placeholder=null)},500))},Mn=function(e){e.loading=!0,e.loaded=!1;var t=e.img=a.createEl("pswp__img","img"),n=function(){e.loading=!1,e.loaded=!0,e.loadComplete?e.loadComplete(e):e.img=null,t.onload=t.onerror=null,t=null};return t.onload=n,t.onerror=function(){e.loadError=!0,n()},t.src=e.src,t},On=function(e,t){if(e.src&&e.loadError&&e.container)return t&&(e.container.innerHTML=""),e.container.innerHTML=u.errorMsg.replace("%url%",e.src),!0},Ge=function(e,t,n){if(e.src){t||(t=e.container.lastChild);var o=n?e.w:Math.round(e.w*e.fitRatio),r=n?e.h:Math.round(e.h*e.fitRatio);e.placeholder&&!e.loaded&&(e.placeholder.style.width=o+"px",e.placeholder.style.height=r+"px"),t.style.width=o+"px",t.style.height=r+"px"}},Fn=function(){if(We.length){for(var e,t=0;t<We.length;t++)e=We[t],e.holder.index===e.index&&Ot(e.index,e.item,e.baseDiv,e.img,!1,e.clearPlaceholder);We=[]}};ct("Controller",{publicMethods:{lazyLoadItem:function(e){e=Dt(e);var t=Le(e);t&&(!t.loaded&&!t.loading||Y)&&(k("gettingData",e,t),t.src&&Mn(t))},initController:function(){a.extend(u,Eo,!0),i.items=De=f,Le=i.getItemAt,ie=u.getNumItemsFn,bo=u.loop,ie()<3&&(u.loop=!1),P("beforeChange",function(e){var t,n=u.preload,o=e===null||e>=0,r=Math.min(n[0],ie()),c=Math.min(n[1],ie());for(t=1;t<=(o?c:r);t++)i.lazyLoadItem(p+t);for(t=1;t<=(o?r:c);t++)i.lazyLoadItem(p-t)}),P("initialLayout",function(){i.currItem.initialLayout=u.getThumbBoundsFn&&u.getThumbBoundsFn(p)}),P("mainScrollAnimComplete",Fn),P("initialZoomInEnd",Fn),P("destroy",function(){for(var e,t=0;t<De.length;t++)e=De[t],e.container&&(e.container=null),e.placeholder&&(e.placeholder=null),e.img&&(e.img=null),e.preloader&&(e.preloader=null),e.loadError&&(e.loaded=e.loadError=!1);We=null})},getItemAt:function(e){return e>=0&&De[e]!==void 0&&De[e]},allowProgressiveImg:function(){return u.forceProgressiveLoading||!ce||u.mouseUsed||screen.width>1200},setContent:function(e,t){u.loop&&(t=Dt(t));var n=i.getItemAt(e.index);n&&(n.container=null);var o,r=i.getItemAt(t);if(!r)return void(e.el.innerHTML="");k("gettingData",t,r),e.index=t,e.item=r;var c=r.container=a.createEl("pswp__zoom-wrap");if(!r.src&&r.html&&(r.html.tagName?c.appendChild(r.html):c.innerHTML=r.html),On(r),yt(r,G),!r.src||r.loadError||r.loaded)r.src&&!r.loadError&&(o=a.createEl("pswp__img","img"),o.style.opacity=1,o.src=r.src,Ge(r,o),Ot(t,r,c,o,!0));else{if(r.loadComplete=function(E){if(Z){if(e&&e.index===t){if(On(E,!0))return E.loadComplete=E.img=null,yt(E,G),pt(E),void(e.index===p&&i.updateCurrZoomItem());E.imageAppended?!st&&E.placeholder&&(E.placeholder.style.display="none",E.placeholder=null):M.transform&&(X||st)?We.push({item:E,baseDiv:c,img:E.img,index:t,holder:e,clearPlaceholder:!0}):Ot(t,E,c,E.img,X||st,!0)}E.loadComplete=null,E.img=null,k("imageLoadComplete",t,E)}},a.features.transform){var x="pswp__img pswp__img--placeholder";x+=r.msrc?"":" pswp__img--placeholder--blank";var w=a.createEl(x,r.msrc?"img":"");r.msrc&&(w.src=r.msrc),Ge(r,w),c.appendChild(w),r.placeholder=w}r.loading||Mn(r),i.allowProgressiveImg()&&(!Xt&&M.transform?We.push({item:r,baseDiv:c,img:r.img,index:t,holder:e}):Ot(t,r,c,r.img,!0,!0))}Xt||t!==p?pt(r):(ve=c.style,Ln(r,o||r.img)),e.el.innerHTML="",e.el.appendChild(c)},cleanSlide:function(e){e.img&&(e.img.onload=e.img.onerror=null),e.loaded=e.loading=e.img=e.imageAppended=!1}}});var _e,$t={},Jt=function(e,t,n){var o=document.createEvent("CustomEvent"),r={origEvent:e,target:e.target,releasePoint:t,pointerType:n||"touch"};o.initCustomEvent("pswpTap",!0,!0,r),e.target.dispatchEvent(o)};ct("Tap",{publicMethods:{initTap:function(){P("firstTouchStart",i.onTapStart),P("touchRelease",i.onTapRelease),P("destroy",function(){$t={},_e=null})},onTapStart:function(e){e.length>1&&(clearTimeout(_e),_e=null)},onTapRelease:function(e,t){if(t&&!V&&!D&&!nt){var n=t;if(_e&&(clearTimeout(_e),_e=null,lo(n,$t)))return void k("doubleTap",n);if(t.type==="mouse")return void Jt(e,t,"mouse");var o=e.target.tagName.toUpperCase();if(o==="BUTTON"||a.hasClass(e.target,"pswp__single-tap"))return void Jt(e,t);$($t,n),_e=setTimeout(function(){Jt(e,t),_e=null},300)}}}});var re;ct("DesktopZoom",{publicMethods:{initDesktopZoom:function(){$e||(ce?P("mouseUsed",function(){i.setupDesktopZoom()}):i.setupDesktopZoom(!0))},setupDesktopZoom:function(e){re={};var t="wheel mousewheel DOMMouseScroll";P("bindEvents",function(){a.bind(s,t,i.handleMouseWheel)}),P("unbindEvents",function(){re&&a.unbind(s,t,i.handleMouseWheel)}),i.mouseZoomedIn=!1;var n,o=function(){i.mouseZoomedIn&&(a.removeClass(s,"pswp--zoomed-in"),i.mouseZoomedIn=!1),T<1?a.addClass(s,"pswp--zoom-allowed"):a.removeClass(s,"pswp--zoom-allowed"),r()},r=function(){n&&(a.removeClass(s,"pswp--dragging"),n=!1)};P("resize",o),P("afterChange",o),P("pointerDown",function(){i.mouseZoomedIn&&(n=!0,a.addClass(s,"pswp--dragging"))}),P("pointerUp",r),e||o()},handleMouseWheel:function(e){if(T<=i.currItem.fitRatio)return u.modal&&(!u.closeOnScroll||nt||m?e.preventDefault():he&&Math.abs(e.deltaY)>2&&(v=!0,i.close())),!0;if(e.stopPropagation(),re.x=0,"deltaX"in e)e.deltaMode===1?(re.x=18*e.deltaX,re.y=18*e.deltaY):(re.x=e.deltaX,re.y=e.deltaY);else if("wheelDelta"in e)e.wheelDeltaX&&(re.x=-.16*e.wheelDeltaX),e.wheelDeltaY?re.y=-.16*e.wheelDeltaY:re.y=-.16*e.wheelDelta;else{if(!("detail"in e))return;re.y=e.detail}Ht(T,!0);var t=y.x-re.x,n=y.y-re.y;(u.modal||t<=I.min.x&&t>=I.max.x&&n<=I.min.y&&n>=I.max.y)&&e.preventDefault(),i.panTo(t,n)},toggleDesktopZoom:function(e){e=e||{x:G.x/2+et.x,y:G.y/2+et.y};var t=u.getDoubleTapZoom(!0,i.currItem),n=T===t;i.mouseZoomedIn=!n,i.zoomTo(n?i.currItem.initialZoomLevel:t,e,333),a[(n?"remove":"add")+"Class"](s,"pswp--zoomed-in")}}});var Qt,Rn,wt,Ft,en,Pn,K,lt,tn,nn,me,on,Co={history:!0,galleryUID:1},rn=function(){return me.hash.substring(1)},Zn=function(){Qt&&clearTimeout(Qt),wt&&clearTimeout(wt)},zn=function(){var e=rn(),t={};if(e.length<5)return t;var n,o=e.split("&");for(n=0;n<o.length;n++)if(o[n]){var r=o[n].split("=");r.length<2||(t[r[0]]=r[1])}if(u.galleryPIDs){var c=t.pid;for(t.pid=0,n=0;n<De.length;n++)if(De[n].pid===c){t.pid=n;break}}else t.pid=parseInt(t.pid,10)-1;return t.pid<0&&(t.pid=0),t},sn=function(){if(wt&&clearTimeout(wt),nt||m)return void(wt=setTimeout(sn,500));Ft?clearTimeout(Rn):Ft=!0;var e=p+1,t=Le(p);t.hasOwnProperty("pid")&&(e=t.pid);var n=K+"&gid="+u.galleryUID+"&pid="+e;lt||me.hash.indexOf(n)===-1&&(nn=!0);var o=me.href.split("#")[0]+"#"+n;on?"#"+n!==window.location.hash&&history[lt?"replaceState":"pushState"]("",document.title,o):lt?me.replace(o):me.hash=n,lt=!0,Rn=setTimeout(function(){Ft=!1},60)};ct("History",{publicMethods:{initHistory:function(){if(a.extend(u,Co,!0),u.history){me=window.location,nn=!1,tn=!1,lt=!1,K=rn(),on="pushState"in history,K.indexOf("gid=")>-1&&(K=K.split("&gid=")[0],K=K.split("?gid=")[0]),P("afterChange",i.updateURL),P("unbindEvents",function(){a.unbind(window,"hashchange",i.onHashChange)});var e=function(){Pn=!0,tn||(nn?history.back():K?me.hash=K:on?history.pushState("",document.title,me.pathname+me.search):me.hash=""),Zn()};P("unbindEvents",function(){v&&e()}),P("destroy",function(){Pn||e()}),P("firstUpdate",function(){p=zn().pid});var t=K.indexOf("pid=");t>-1&&(K=K.substring(0,t),K.slice(-1)==="&"&&(K=K.slice(0,-1))),setTimeout(function(){Z&&a.bind(window,"hashchange",i.onHashChange)},40)}},onHashChange:function(){return rn()===K?(tn=!0,void i.close()):void(Ft||(en=!0,i.goTo(zn().pid),en=!1))},updateURL:function(){Zn(),en||(lt?Qt=setTimeout(sn,800):sn())}}}),a.extend(i,ro)};return S})});var jn=bt((cn,Yn)=>{(function(S,s){typeof define=="function"&&define.amd?define(s):typeof cn=="object"?Yn.exports=s():S.PhotoSwipeUI_Default=s()})(cn,function(){"use strict";var S=function(s,d){var f,g,a,i,L,_,u,Z,h,v,p,F,N,se,b,z,T,ue,Oe,C=this,Fe=!1,Y=!0,A=!0,Et={barsSize:{top:44,bottom:"auto"},closeElClasses:["item","caption","zoom-wrap","ui","top-bar"],timeToIdle:4e3,timeToIdleOutside:1e3,loadingIndicatorDelay:1e3,addCaptionHTMLFn:function(l,m){return l.title?(m.children[0].innerHTML=l.title,!0):(m.children[0].innerHTML="",!1)},closeEl:!0,captionEl:!0,fullscreenEl:!0,zoomEl:!0,shareEl:!0,counterEl:!0,arrowEl:!0,preloaderEl:!0,tapToClose:!1,tapToToggleControls:!0,clickToCloseNonZoomable:!0,shareButtons:[{id:"facebook",label:"Share on Facebook",url:"https://www.facebook.com/sharer/sharer.php?u={{url}}"},{id:"twitter",label:"Tweet",url:"https://twitter.com/intent/tweet?text={{text}}&url={{url}}"},{id:"pinterest",label:"Pin it",url:"http://www.pinterest.com/pin/create/button/?url={{url}}&media={{image_url}}&description={{text}}"},{id:"download",label:"Download image",url:"{{raw_image_url}}",download:!0}],getImageURLForShare:function(){return s.currItem.src||""},getPageURLForShare:function(){return window.location.href},getTextForShare:function(){return s.currItem.title||""},indexIndicatorSep:" / ",fitControlsWidth:1200},Re=function(l){if(z)return!0;l=l||window.event,b.timeToIdle&&b.mouseUsed&&!h&&Xe();for(var m,D,R=l.target||l.srcElement,V=R.getAttribute("class")||"",q=0;q<Ee.length;q++)m=Ee[q],m.onTap&&V.indexOf("pswp__"+m.name)>-1&&(m.onTap(),D=!0);if(D){l.stopPropagation&&l.stopPropagation(),z=!0;var W=d.features.isOldAndroid?600:30;T=setTimeout(function(){z=!1},W)}},Ye=function(){return!s.likelyTouchDevice||b.mouseUsed||screen.width>b.fitControlsWidth},le=function(l,m,D){d[(D?"add":"remove")+"Class"](l,"pswp__"+m)},Pe=function(){var l=b.getNumItemsFn()===1;l!==se&&(le(g,"ui--one-slide",l),se=l)},he=function(){le(u,"share-modal--hidden",A)},j=function(){return A=!A,A?(d.removeClass(u,"pswp__share-modal--fade-in"),setTimeout(function(){A&&he()},300)):(he(),setTimeout(function(){A||d.addClass(u,"pswp__share-modal--fade-in")},30)),A||je(),!1},ce=function(l){l=l||window.event;var m=l.target||l.srcElement;return s.shout("shareLinkClick",l,m),!!m.href&&(!!m.hasAttribute("download")||(window.open(m.href,"pswp_share","scrollbars=yes,resizable=yes,toolbar=no,location=yes,width=550,height=420,top=100,left="+(window.screen?Math.round(screen.width/2-275):100)),A||j(),!1))},je=function(){for(var l,m,D,R,V,q="",W=0;W<b.shareButtons.length;W++)l=b.shareButtons[W],D=b.getImageURLForShare(l),R=b.getPageURLForShare(l),V=b.getTextForShare(l),m=l.url.replace("{{url}}",encodeURIComponent(R)).replace("{{image_url}}",encodeURIComponent(D)).replace("{{raw_image_url}}",D).replace("{{text}}",encodeURIComponent(V)),q+='<a href="'+m+'" target="_blank" class="pswp__share--'+l.id+'"'+(l.download?"download":"")+">"+l.label+"</a>",b.parseShareButtonOut&&(q=b.parseShareButtonOut(l,q));u.children[0].innerHTML=q,u.children[0].onclick=ce},Ze=function(l){for(var m=0;m<b.closeElClasses.length;m++)if(d.hasClass(l,"pswp__"+b.closeElClasses[m]))return!0},Ve=0,Xe=function(){clearTimeout(Oe),Ve=0,h&&C.setIdle(!1)},$e=function(l){l=l||window.event;var m=l.relatedTarget||l.toElement;m&&m.nodeName!=="HTML"||(clearTimeout(Oe),Oe=setTimeout(function(){C.setIdle(!0)},b.timeToIdleOutside))},ge=function(){b.fullscreenEl&&!d.features.isOldAndroid&&(f||(f=C.getFullscreenAPI()),f?(d.bind(document,f.eventK,C.updateFullscreen),C.updateFullscreen(),d.addClass(s.template,"pswp--supports-fs")):d.removeClass(s.template,"pswp--supports-fs"))},M=function(){b.preloaderEl&&(be(!0),v("beforeChange",function(){clearTimeout(N),N=setTimeout(function(){s.currItem&&s.currItem.loading?(!s.allowProgressiveImg()||s.currItem.img&&!s.currItem.img.naturalWidth)&&be(!1):be(!0)},b.loadingIndicatorDelay)}),v("imageLoadComplete",function(l,m){s.currItem===m&&be(!0)}))},be=function(l){F!==l&&(le(p,"preloader--active",!l),F=l)},It=function(l){var m=l.vGap;if(Ye()){var D=b.barsSize;if(b.captionEl&&D.bottom==="auto")if(i||(i=d.createEl("pswp__caption pswp__caption--fake"),i.appendChild(d.createEl("pswp__caption__center")),g.insertBefore(i,a),d.addClass(g,"pswp__ui--fit")),b.addCaptionHTMLFn(l,i,!0)){var R=i.clientHeight;m.bottom=parseInt(R,10)||44}else m.bottom=D.top;else m.bottom=D.bottom==="auto"?0:D.bottom;m.top=D.top}else m.top=m.bottom=0},Je=function(){b.timeToIdle&&v("mouseUsed",function(){d.bind(document,"mousemove",Xe),d.bind(document,"mouseout",$e),ue=setInterval(function(){Ve++,Ve===2&&C.setIdle(!0)},b.timeToIdle/2)})},ze=function(){v("onVerticalDrag",function(m){Y&&m<.95?C.hideControls():!Y&&m>=.95&&C.showControls()});var l;v("onPinchClose",function(m){Y&&m<.9?(C.hideControls(),l=!0):l&&!Y&&m>.9&&C.showControls()}),v("zoomGestureEnded",function(){l=!1,l&&!Y&&C.showControls()})},Ee=[{name:"caption",option:"captionEl",onInit:function(l){a=l}},{name:"share-modal",option:"shareEl",onInit:function(l){u=l},onTap:function(){j()}},{name:"button--share",option:"shareEl",onInit:function(l){_=l},onTap:function(){j()}},{name:"button--zoom",option:"zoomEl",onTap:s.toggleDesktopZoom},{name:"counter",option:"counterEl",onInit:function(l){L=l}},{name:"button--close",option:"closeEl",onTap:s.close},{name:"button--arrow--left",option:"arrowEl",onTap:s.prev},{name:"button--arrow--right",option:"arrowEl",onTap:s.next},{name:"button--fs",option:"fullscreenEl",onTap:function(){f.isFullscreen()?f.exit():f.enter()}},{name:"preloader",option:"preloaderEl",onInit:function(l){p=l}}],Be=function(){var l,m,D,R=function(q){if(q)for(var W=q.length,U=0;U<W;U++){l=q[U],m=l.className;for(var te=0;te<Ee.length;te++)D=Ee[te],m.indexOf("pswp__"+D.name)>-1&&(b[D.option]?(d.removeClass(l,"pswp__element--disabled"),D.onInit&&D.onInit(l)):d.addClass(l,"pswp__element--disabled"))}};R(g.children);var V=d.getChildByClass(g,"pswp__top-bar");V&&R(V.children)};C.init=function(){d.extend(s.options,Et,!0),b=s.options,g=d.getChildByClass(s.scrollWrap,"pswp__ui"),v=s.listen,ze(),v("beforeChange",C.update),v("doubleTap",function(l){var m=s.currItem.initialZoomLevel;s.getZoomLevel()!==m?s.zoomTo(m,l,333):s.zoomTo(b.getDoubleTapZoom(!1,s.currItem),l,333)}),v("preventDragEvent",function(l,m,D){var R=l.target||l.srcElement;R&&R.getAttribute("class")&&l.type.indexOf("mouse")>-1&&(R.getAttribute("class").indexOf("__caption")>0||/(SMALL|STRONG|EM)/i.test(R.tagName))&&(D.prevent=!1)}),v("bindEvents",function(){d.bind(g,"pswpTap click",Re),d.bind(s.scrollWrap,"pswpTap",C.onGlobalTap),s.likelyTouchDevice||d.bind(s.scrollWrap,"mouseover",C.onMouseOver)}),v("unbindEvents",function(){A||j(),ue&&clearInterval(ue),d.unbind(document,"mouseout",$e),d.unbind(document,"mousemove",Xe),d.unbind(g,"pswpTap click",Re),d.unbind(s.scrollWrap,"pswpTap",C.onGlobalTap),d.unbind(s.scrollWrap,"mouseover",C.onMouseOver),f&&(d.unbind(document,f.eventK,C.updateFullscreen),f.isFullscreen()&&(b.hideAnimationDuration=0,f.exit()),f=null)}),v("destroy",function(){b.captionEl&&(i&&g.removeChild(i),d.removeClass(a,"pswp__caption--empty")),u&&(u.children[0].onclick=null),d.removeClass(g,"pswp__ui--over-close"),d.addClass(g,"pswp__ui--hidden"),C.setIdle(!1)}),b.showAnimationDuration||d.removeClass(g,"pswp__ui--hidden"),v("initialZoomIn",function(){b.showAnimationDuration&&d.removeClass(g,"pswp__ui--hidden")}),v("initialZoomOut",function(){d.addClass(g,"pswp__ui--hidden")}),v("parseVerticalMargin",It),Be(),b.shareEl&&_&&u&&(A=!0),Pe(),Je(),ge(),M()},C.setIdle=function(l){h=l,le(g,"ui--idle",l)},C.update=function(){Y&&s.currItem?(C.updateIndexIndicator(),b.captionEl&&(b.addCaptionHTMLFn(s.currItem,a),le(a,"caption--empty",!s.currItem.title)),Fe=!0):Fe=!1,A||j(),Pe()},C.updateFullscreen=function(l){l&&setTimeout(function(){s.setScrollOffset(0,d.getScrollY())},50),d[(f.isFullscreen()?"add":"remove")+"Class"](s.template,"pswp--fs")},C.updateIndexIndicator=function(){b.counterEl&&(L.innerHTML=s.getCurrentIndex()+1+b.indexIndicatorSep+b.getNumItemsFn())},C.onGlobalTap=function(l){l=l||window.event;var m=l.target||l.srcElement;if(!z){if(l.detail&&l.detail.pointerType==="mouse"){if(Ze(m))return void s.close();d.hasClass(m,"pswp__img")&&(s.getZoomLevel()===1&&s.getZoomLevel()<=s.currItem.fitRatio?b.clickToCloseNonZoomable&&s.close():s.toggleDesktopZoom(l.detail.releasePoint))}else if(b.tapToToggleControls&&(Y?C.hideControls():C.showControls()),b.tapToClose&&(d.hasClass(m,"pswp__img")||Ze(m)))return void s.close()}},C.onMouseOver=function(l){l=l||window.event;var m=l.target||l.srcElement;le(g,"ui--over-close",Ze(m))},C.hideControls=function(){d.addClass(g,"pswp__ui--hidden"),Y=!1},C.showControls=function(){Y=!0,Fe||C.update(),d.removeClass(g,"pswp__ui--hidden")},C.supportsFullscreen=function(){var l=document;return!!(l.exitFullscreen||l.mozCancelFullScreen||l.webkitExitFullscreen||l.msExitFullscreen)},C.getFullscreenAPI=function(){var l,m=document.documentElement,D="fullscreenchange";return m.requestFullscreen?l={enterK:"requestFullscreen",exitK:"exitFullscreen",elementK:"fullscreenElement",eventK:D}:m.mozRequestFullScreen?l={enterK:"mozRequestFullScreen",exitK:"mozCancelFullScreen",elementK:"mozFullScreenElement",eventK:"moz"+D}:m.webkitRequestFullscreen?l={enterK:"webkitRequestFullscreen",exitK:"webkitExitFullscreen",elementK:"webkitFullscreenElement",eventK:"webkit"+D}:m.msRequestFullscreen&&(l={enterK:"msRequestFullscreen",exitK:"msExitFullscreen",elementK:"msFullscreenElement",eventK:"MSFullscreenChange"}),l&&(l.enter=function(){return Z=b.closeOnScroll,b.closeOnScroll=!1,this.enterK!=="webkitRequestFullscreen"?s.template[this.enterK]():void s.template[this.enterK](Element.ALLOW_KEYBOARD_INPUT)},l.exit=function(){return b.closeOnScroll=Z,document[this.exitK]()},l.isFullscreen=function(){return document[this.elementK]}),l}};return S})});var Jn=bt((dn,pn)=>{(function(S,s){typeof dn=="object"&&typeof pn!="undefined"?pn.exports=s():typeof define=="function"&&define.amd?define(s):(S=typeof globalThis!="undefined"?globalThis:S||self).reframe=s()})(dn,function(){"use strict";function S(){for(var s=0,d=0,f=arguments.length;d<f;d++)s+=arguments[d].length;for(var g=Array(s),a=0,d=0;d<f;d++)for(var i=arguments[d],L=0,_=i.length;L<_;L++,a++)g[a]=i[L];return g}return function(s,d){return d===void 0&&(d="js-reframe"),(typeof s=="string"?S(document.querySelectorAll(s)):"length"in s?S(s):[s]).forEach(function(f){var g,a,i,L,_,u,Z,h;f.className.split(" ").indexOf(d)!==-1||-1<f.style.width.indexOf("%")||(i=f.getAttribute("height")||f.offsetHeight,L=f.getAttribute("width")||f.offsetWidth,_=(typeof i=="string"?parseInt(i):i)/(typeof L=="string"?parseInt(L):L)*100,(u=document.createElement("div")).className=d,(Z=u.style).position="relative",Z.width="100%",Z.paddingTop=_+"%",(h=f.style).position="absolute",h.width="100%",h.height="100%",h.left="0",h.top="0",(g=f.parentNode)!==null&&g!==void 0&&g.insertBefore(u,f),(a=f.parentNode)!==null&&a!==void 0&&a.removeChild(f),u.appendChild(f))})}})});var Hn=Rt(Un());function ko(){let S=window.matchMedia("(max-width: 767px)"),s=document.querySelector(".gh-head-menu"),d=s==null?void 0:s.querySelector(".nav");if(!d)return;let f=document.querySelector(".gh-head-logo"),g=d.innerHTML;S.matches&&d.querySelectorAll("li").forEach(function(L,_){L.style.transitionDelay="".concat(.03*(_+1),"s")});let a=function(){if(S.matches)return;let i=[];for(;d.offsetWidth+64>s.offsetWidth&&d.lastElementChild;)i.unshift(d.lastElementChild),d.lastElementChild.remove();if(!i.length){document.body.classList.add("is-dropdown-loaded");return}let L=document.createElement("button");L.setAttribute("class","nav-more-toggle gh-icon-btn"),L.setAttribute("aria-label","More"),L.innerHTML='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" fill="currentColor"><path d="M21.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM13.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM5.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0z"></path></svg>';let _=document.createElement("div");_.setAttribute("class","gh-dropdown"),i.length>=10?(document.body.classList.add("is-dropdown-mega"),_.style.gridTemplateRows="repeat(".concat(Math.ceil(i.length/2),", 1fr)")):document.body.classList.remove("is-dropdown-mega"),i.forEach(function(u){_.appendChild(u)}),L.appendChild(_),d.appendChild(L),document.body.classList.add("is-dropdown-loaded"),window.addEventListener("click",function(u){document.body.classList.contains("is-dropdown-open")?document.body.classList.remove("is-dropdown-open"):L.contains(u.target)&&document.body.classList.add("is-dropdown-open")})};(0,Hn.default)(f,function(){a()}),window.addEventListener("load",function(){f||a()}),window.addEventListener("resize",function(){setTimeout(()=>{d.innerHTML=g,a()},1)})}var Kn=ko;var Vn=Rt(Gn()),Xn=Rt(jn());function So(S){var s=function(f){f.preventDefault();for(var g=[],a=0,i=f.target.closest(".kg-card").previousElementSibling;i&&(i.classList.contains("kg-image-card")||i.classList.contains("kg-gallery-card"));){var L=[];i.querySelectorAll("img").forEach(function(p){L.push({src:p.getAttribute("src"),msrc:p.getAttribute("src"),w:p.getAttribute("width"),h:p.getAttribute("height"),el:p}),a+=1}),i=i.previousElementSibling,g=L.concat(g)}if(f.target.classList.contains("kg-image"))g.push({src:f.target.getAttribute("src"),msrc:f.target.getAttribute("src"),w:f.target.getAttribute("width"),h:f.target.getAttribute("height"),el:f.target});else{var _=!1;f.target.closest(".kg-gallery-card").querySelectorAll("img").forEach(function(p){g.push({src:p.getAttribute("src"),msrc:p.getAttribute("src"),w:p.getAttribute("width"),h:p.getAttribute("height"),el:p}),!_&&p!==f.target?a+=1:_=!0})}for(var u=f.target.closest(".kg-card").nextElementSibling;u&&(u.classList.contains("kg-image-card")||u.classList.contains("kg-gallery-card"));)u.querySelectorAll("img").forEach(function(p){g.push({src:p.getAttribute("src"),msrc:p.getAttribute("src"),w:p.getAttribute("width"),h:p.getAttribute("height"),el:p})}),u=u.nextElementSibling;var Z=document.querySelectorAll(".pswp")[0],h={bgOpacity:.9,closeOnScroll:!0,fullscreenEl:!1,history:!1,index:a,shareEl:!1,zoomEl:!1,getThumbBoundsFn:function(p){var F=g[p].el,N=window.pageYOffset||document.documentElement.scrollTop,se=F.getBoundingClientRect();return{x:se.left,y:se.top+N,w:se.width}}},v=new Vn.default(Z,Xn.default,g,h);return v.init(),!1},d=document.querySelectorAll(S);d.forEach(function(f){f.addEventListener("click",function(g){s(g)})})}var $n=So;var Qn=Rt(Jn());(function(){var S=document.querySelector(".gh-burger");S&&S.addEventListener("click",function(){document.body.classList.contains("is-head-open")?document.body.classList.remove("is-head-open"):document.body.classList.add("is-head-open")})})();(function(){$n(".kg-image-card > .kg-image[width][height], .kg-gallery-image > img")})();(function(){let S=['.gh-content iframe[src*="youtube.com"]','.gh-content iframe[src*="youtube-nocookie.com"]','.gh-content iframe[src*="player.vimeo.com"]','.gh-content iframe[src*="kickstarter.com"][src*="video.html"]',".gh-content object",".gh-content embed"];(0,Qn.default)(document.querySelectorAll(S.join(",")))})();(function(){Kn()})();
+/*! Bundled license information:
+
+imagesloaded/imagesloaded.js:
+  (*!
+   * imagesLoaded v5.0.0
+   * JavaScript is all like "You images are done yet or what?"
+   * MIT License
+   *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe.min.js:
+  (*! PhotoSwipe - v4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe-ui-default.min.js:
+  (*! PhotoSwipe Default UI - 4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+*/
+//# sourceMappingURL=chunk-VKKVU2KQ.js.map
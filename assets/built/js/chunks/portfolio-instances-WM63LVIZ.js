@@ -0,0 +1,2 @@
+import{a}from"./chunk-JXXFE565.js";import"./chunk-NHP5P4EY.js";export{a as default};
+//# sourceMappingURL=portfolio-instances-WM63LVIZ.js.map
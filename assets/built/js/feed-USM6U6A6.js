@@ -0,0 +1,2 @@
+import{a as j,b as G,c as $}from"./chunks/chunk-L7VRTWX3.js";import"./chunks/chunk-VKKVU2KQ.js";import{d as U}from"./chunks/chunk-NHP5P4EY.js";var oe=(function(){var p="tag";function x(){var f=new RegExp("[?&]"+p+"=([^&#]*)").exec(window.location.search);if(!f)return null;try{return decodeURIComponent(f[1].replace(/\+/g," "))}catch(g){return null}}function h(f){var g=window.location.search.replace(/^\?/,"").split("&").filter(function(l){return l&&l.split("=")[0]!==p});f&&g.push(p+"="+encodeURIComponent(f));var y=window.location.pathname+(g.length?"?"+g.join("&"):"")+window.location.hash;history.replaceState(history.state,"",y)}function m(f,g){g=g||{};var y=g.itemSelector||".grid-item",l=f.parentNode.querySelector(".feed-filter"),c={change:[]},a=[],n=x();function s(e,t){c[e].slice().forEach(function(i){i(t)})}function P(e,t){!c[e]||typeof t!="function"||c[e].push(t)}function F(e,t){c[e]&&(c[e]=c[e].filter(function(i){return i!==t}))}function C(e){for(var t=0;t<a.length;t++)if(a[t].slug===e)return a[t];return null}function A(e,t){var i=document.createElement("button");return i.className="feed-filter-chip",i.type="button",i.textContent=t,i.setAttribute("data-tag",e||""),i.setAttribute("aria-pressed",(e||null)===n?"true":"false"),l.appendChild(i),i}function u(e,t){var i=C(e);if(i){t&&i.name===i.slug&&(i.name=t,i.chip.textContent=t);return}a.push({slug:e,name:t||e,chip:l?A(e,t||e):null})}function w(e){Array.prototype.forEach.call(e,function(t){var i=t.getAttribute("data-tag");i&&u(i,t.getAttribute("data-tag-name"))}),l&&(l.hidden=a.length<2&&!n)}function v(e){return!n||e.getAttribute("data-tag")===n}function S(e){if(e=e||null,e!==n){var t=n;n=e,l&&Array.prototype.forEach.call(l.querySelectorAll(".feed-filter-chip"),function(i){i.setAttribute("aria-pressed",(i.getAttribute("data-tag")||null)===e?"true":"false")}),h(e),s("change",{tag:e,previousTag:t})}}function b(e){var t=e.target.closest(".feed-filter-chip");t&&S(t.getAttribute("data-tag"))}return l&&(A(null,"All"),l.addEventListener("click",b)),n&&u(n,null),w(f.querySelectorAll(y)),{add:w,matches:v,select:S,on:P,off:F,getTag:function(){return n}}}return{create:m}})(),K=oe;var ae=(function(){var p=800,x="feed-paginator:",h={loading:"Loading more posts\u2026",error:"Couldn\u2019t load more posts.",retry:"Try again"};function m(n){var s=/^(.*\/)page\/(\d+)\/?$/.exec(n);return s?{base:s[1],page:parseInt(s[2],10)}:{base:n.replace(/\/?$/,"/"),page:1}}function f(){var n=window.performance&&performance.getEntriesByType?performance.getEntriesByType("navigation"):[];return n.length?n[0].type==="back_forward":!!(window.performance&&performance.navigation&&performance.navigation.type===2)}function g(n){"scrollRestoration"in history&&(history.scrollRestoration=n)}function y(){try{return sessionStorage.setItem(x,"1"),sessionStorage.removeItem(x),!0}catch(n){return!1}}function l(n){try{return JSON.parse(sessionStorage.getItem(n))}catch(s){return null}}function c(n,s){try{sessionStorage.setItem(n,JSON.stringify(s))}catch(P){try{sessionStorage.setItem(n,JSON.stringify({page:s.page,hasMore:s.hasMore,scrollY:s.scrollY,html:null}))}catch(F){}}}function a(n,s){s=s||{};var P=s.feedSelector||".gh-feed",F=s.itemSelector||".grid-item",C=m(window.location.pathname),A=x+C.base,u=n.parentNode.querySelector(".feed-pagination"),w=u&&u.querySelector(".feed-more"),v=null,S=null,b={append:[],loading:[],error:[],end:[]},e=C.page,t=!!document.querySelector('link[rel="next"]')||!!w,i=!1,E=null,N=null,R=0,T=null,q=[];function k(r,o){b[r].slice().forEach(function(d){d(o)})}function V(r,o){!b[r]||typeof o!="function"||b[r].push(o)}function W(r,o){b[r]&&(b[r]=b[r].filter(function(d){return d!==o}))}function H(r){return window.location.origin+C.base+"page/"+r+"/"}function Z(){v=document.createElement("p"),v.className="feed-status",v.setAttribute("role","status"),v.setAttribute("aria-live","polite"),S=document.createElement("button"),S.className="feed-retry",S.type="button",S.textContent=h.retry,S.addEventListener("click",B),u.insertBefore(v,u.firstChild),u.appendChild(S)}function M(){u&&(u.classList.toggle("is-loading",i),u.classList.toggle("is-error",E!==null),u.classList.toggle("is-done",!t),i?v.textContent=h.loading:E!==null?v.textContent=h.error:v.textContent="",w&&t&&(w.href=H(e+1)))}function Y(r,o,d){var L=new DOMParser().parseFromString(r,"text/html").body,z=document.createDocumentFragment(),_=[];Array.prototype.forEach.call(L.children,function(ie){var J=document.importNode(ie,!0);z.appendChild(J),_.push(J)}),n.appendChild(z),k("append",{items:_,page:o,restored:d})}function ee(r){var o=r.querySelector(P);return o?Array.prototype.filter.call(o.children,function(d){return d.matches(F)}).map(function(d){return d.outerHTML}).join(""):""}function I(){if(i||!t)return Promise.resolve();var r=e+1;return i=!0,E=null,M(),k("loading",{page:r}),fetch(H(r),{credentials:"same-origin"}).then(function(o){if(o.status===404)return null;if(!o.ok)throw new Error("HTTP "+o.status);return o.text()}).then(function(o){if(i=!1,o===null){O();return}var d=new DOMParser().parseFromString(o,"text/html"),L=ee(d);e=r,t=!!d.querySelector('link[rel="next"]'),q.push(L),D(),M(),Y(L,r,!1),t||O()}).catch(function(o){i=!1,E=r,M(),k("error",{page:r,error:o})})}function B(){return E===null?Promise.resolve():I()}function O(){t=!1,M(),T&&(T.disconnect(),T=null),D(),k("end",{page:e})}function te(){N!==null&&e>=R&&(window.scrollTo(0,N),N=null),!(!T||i||E!==null)&&u.getBoundingClientRect().top<=window.innerHeight+p&&I()}function D(){c(A,{page:e,hasMore:t,scrollY:window.pageYOffset,html:q})}function re(){var r=l(A);if(r){if(g("manual"),!(r.page>e)){window.scrollTo(0,r.scrollY||0);return}if(N=r.scrollY||0,R=r.page,r.html&&r.html.length===r.page-e){var o=e;e=r.page,t=r.hasMore,q=r.html.slice(),r.html.forEach(function(d,L){Y(d,o+L+1,!0)});return}(function d(){e>=R||!t||E!==null||I().then(d)})()}}function ne(){if(!(!t||typeof fetch=="undefined")){if(u&&(Z(),w&&w.addEventListener("click",function(r){r.preventDefault(),I()})),y()&&(f()?re():(g("auto"),sessionStorage.removeItem(A)),window.addEventListener("pagehide",D)),!t){O();return}M(),u&&typeof IntersectionObserver!="undefined"&&(u.classList.add("is-infinite"),T=new IntersectionObserver(function(r){r[0].isIntersecting&&E===null&&I()},{rootMargin:"0px 0px "+p+"px 0px"}),T.observe(u))}}return{start:ne,loadNext:I,retry:B,check:te,on:V,off:W,getPage:function(){return e},hasMore:function(){return t}}}return{create:a}})(),X=ae;document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Q):Q();function Q(){var p=document.querySelector(".post-feed");if(p){var x=12;j(p,function(h){var m=X.create(p,{feedSelector:".gh-feed",itemSelector:".grid-item:not(.grid-sizer)"}),f=K.create(p,{itemSelector:".grid-item:not(.grid-sizer)"});function g(){var l=[],c=[];p.querySelectorAll(".grid-item:not(.grid-sizer)").forEach(function(a){var n=f.matches(a);n===a.classList.contains("is-filtered-out")&&(a.classList.toggle("is-filtered-out",!n),n?(h.unignore(a),a.style.visibility="visible",l.push(a)):(h.ignore(a),c.push(a)))}),h.hideItemElements(c),h.revealItemElements(l),h.layout()}function y(){!f.getTag()||!m.hasMore()||p.querySelectorAll(".grid-item:not(.grid-sizer):not(.is-filtered-out)").length<x&&m.loadNext()}f.on("change",function(){g(),y(),m.check()}),m.on("append",function(l){var c=l.items;c.forEach(function(a){a.style.visibility="hidden"}),U.apply(c),f.add(c),G(c,function(){h.appended(c),g(),c.forEach(function(a){a.classList.contains("is-filtered-out")||(a.style.visibility="visible")}),y(),m.check()})}),f.getTag()&&g(),m.start(),y()}),$(".post-feed",".post",".post-lightbox",".post-caption")}}
+//# sourceMappingURL=feed-USM6U6A6.js.map
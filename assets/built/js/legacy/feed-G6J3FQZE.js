@@ -0,0 +1,44 @@
+(()=>{var $i=Object.create;var Vn=Object.defineProperty;var Qi=Object.getOwnPropertyDescriptor;var Ji=Object.getOwnPropertyNames;var to=Object.getPrototypeOf,eo=Object.prototype.hasOwnProperty;var It=(E,l)=>()=>(l||E((l={exports:{}}).exports,l),l.exports);var no=(E,l,c,h)=>{if(l&&typeof l=="object"||typeof l=="function")for(let m of Ji(l))!eo.call(E,m)&&m!==c&&Vn(E,m,{get:()=>l[m],enumerable:!(h=Qi(l,m))||h.enumerable});return E};var Ce=(E,l,c)=>(c=E!=null?$i(to(E)):{},no(l||!E||!E.__esModule?Vn(c,"default",{value:E,enumerable:!0}):c,E));var Qn=It(($n,Fe)=>{(function(E,l){typeof Fe=="object"&&Fe.exports?Fe.exports=l():E.EvEmitter=l()})(typeof window!="undefined"?window:$n,function(){function E(){}let l=E.prototype;return l.on=function(c,h){if(!c||!h)return this;let m=this._events=this._events||{},a=m[c]=m[c]||[];return a.includes(h)||a.push(h),this},l.once=function(c,h){if(!c||!h)return this;this.on(c,h);let m=this._onceEvents=this._onceEvents||{},a=m[c]=m[c]||{};return a[h]=!0,this},l.off=function(c,h){let m=this._events&&this._events[c];if(!m||!m.length)return this;let a=m.indexOf(h);return a!=-1&&m.splice(a,1),this},l.emitEvent=function(c,h){let m=this._events&&this._events[c];if(!m||!m.length)return this;m=m.slice(0),h=h||[];let a=this._onceEvents&&this._onceEvents[c];for(let n of m)a&&a[n]&&(this.off(c,n),delete a[n]),n.apply(this,h);return this},l.allOff=function(){return delete this._events,delete this._onceEvents,this},E})});var ti=It((Jn,We)=>{(function(E,l){typeof We=="object"&&We.exports?We.exports=l(E,Qn()):E.imagesLoaded=l(E,E.EvEmitter)})(typeof window!="undefined"?window:Jn,function(l,c){let h=l.jQuery,m=l.console;function a(p){return Array.isArray(p)?p:typeof p=="object"&&typeof p.length=="number"?[...p]:[p]}function n(p,d,v){if(!(this instanceof n))return new n(p,d,v);let C=p;if(typeof p=="string"&&(C=document.querySelectorAll(p)),!C){m.error(`Bad element for imagesLoaded ${C||p}`);return}this.elements=a(C),this.options={},typeof d=="function"?v=d:Object.assign(this.options,d),v&&this.on("always",v),this.getImages(),h&&(this.jqDeferred=new h.Deferred),setTimeout(this.check.bind(this))}n.prototype=Object.create(c.prototype),n.prototype.getImages=function(){this.images=[],this.elements.forEach(this.addElementImages,this)};let g=[1,9,11];n.prototype.addElementImages=function(p){p.nodeName==="IMG"&&this.addImage(p),this.options.background===!0&&this.addElementBackgroundImages(p);let{nodeType:d}=p;if(!d||!g.includes(d))return;let v=p.querySelectorAll("img");for(let C of v)this.addImage(C);if(typeof this.options.background=="string"){let C=p.querySelectorAll(this.options.background);for(let w of C)this.addElementBackgroundImages(w)}};let b=/url\((['"])?(.*?)\1\)/gi;n.prototype.addElementBackgroundImages=function(p){let d=getComputedStyle(p);if(!d)return;let v=b.exec(d.backgroundImage);for(;v!==null;){let C=v&&v[2];C&&this.addBackground(C,p),v=b.exec(d.backgroundImage)}},n.prototype.addImage=function(p){let d=new u(p);this.images.push(d)},n.prototype.addBackground=function(p,d){let v=new f(p,d);this.images.push(v)},n.prototype.check=function(){if(this.progressedCount=0,this.hasAnyBroken=!1,!this.images.length){this.complete();return}let p=(d,v,C)=>{setTimeout(()=>{this.progress(d,v,C)})};this.images.forEach(function(d){d.once("progress",p),d.check()})},n.prototype.progress=function(p,d,v){this.progressedCount++,this.hasAnyBroken=this.hasAnyBroken||!p.isLoaded,this.emitEvent("progress",[this,p,d]),this.jqDeferred&&this.jqDeferred.notify&&this.jqDeferred.notify(this,p),this.progressedCount===this.images.length&&this.complete(),this.options.debug&&m&&m.log(`progress: ${v}`,p,d)},n.prototype.complete=function(){let p=this.hasAnyBroken?"fail":"done";if(this.isComplete=!0,this.emitEvent(p,[this]),this.emitEvent("always",[this]),this.jqDeferred){let d=this.hasAnyBroken?"reject":"resolve";this.jqDeferred[d](this)}};function u(p){this.img=p}u.prototype=Object.create(c.prototype),u.prototype.check=function(){if(this.getIsImageComplete()){this.confirm(this.img.naturalWidth!==0,"naturalWidth");return}this.proxyImage=new Image,this.img.crossOrigin&&(this.proxyImage.crossOrigin=this.img.crossOrigin),this.proxyImage.addEventListener("load",this),this.proxyImage.addEventListener("error",this),this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.proxyImage.src=this.img.currentSrc||this.img.src},u.prototype.getIsImageComplete=function(){return this.img.complete&&this.img.naturalWidth},u.prototype.confirm=function(p,d){this.isLoaded=p;let{parentNode:v}=this.img,C=v.nodeName==="PICTURE"?v:this.img;this.emitEvent("progress",[this,C,d])},u.prototype.handleEvent=function(p){let d="on"+p.type;this[d]&&this[d](p)},u.prototype.onload=function(){this.confirm(!0,"onload"),this.unbindEvents()},u.prototype.onerror=function(){this.confirm(!1,"onerror"),this.unbindEvents()},u.prototype.unbindEvents=function(){this.proxyImage.removeEventListener("load",this),this.proxyImage.removeEventListener("error",this),this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)};function f(p,d){this.url=p,this.element=d,this.img=new Image}return f.prototype=Object.create(u.prototype),f.prototype.check=function(){this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.img.src=this.url,this.getIsImageComplete()&&(this.confirm(this.img.naturalWidth!==0,"naturalWidth"),this.unbindEvents())},f.prototype.unbindEvents=function(){this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},f.prototype.confirm=function(p,d){this.isLoaded=p,this.emitEvent("progress",[this,this.element,d])},n.makeJQueryPlugin=function(p){p=p||l.jQuery,p&&(h=p,h.fn.imagesLoaded=function(d,v){return new n(this,d,v).jqDeferred.promise(h(this))})},n.makeJQueryPlugin(),n})});var oi=It((yn,ii)=>{(function(E,l){typeof define=="function"&&define.amd?define(l):typeof yn=="object"?ii.exports=l():E.PhotoSwipe=l()})(yn,function(){"use strict";var E=function(l,c,h,m){var a={features:null,bind:function(t,e,i,r){var x=(r?"remove":"add")+"EventListener";e=e.split(" ");for(var A=0;A<e.length;A++)e[A]&&t[x](e[A],i,!1)},isArray:function(t){return t instanceof Array},createEl:function(t,e){var i=document.createElement(e||"div");return t&&(i.className=t),i},getScrollY:function(){var t=window.pageYOffset;return t!==void 0?t:document.documentElement.scrollTop},unbind:function(t,e,i){a.bind(t,e,i,!0)},removeClass:function(t,e){var i=new RegExp("(\\s|^)"+e+"(\\s|$)");t.className=t.className.replace(i," ").replace(/^\s\s*/,"").replace(/\s\s*$/,"")},addClass:function(t,e){a.hasClass(t,e)||(t.className+=(t.className?" ":"")+e)},hasClass:function(t,e){return t.className&&new RegExp("(^|\\s)"+e+"(\\s|$)").test(t.className)},getChildByClass:function(t,e){for(var i=t.firstChild;i;){if(a.hasClass(i,e))return i;i=i.nextSibling}},arraySearch:function(t,e,i){for(var r=t.length;r--;)if(t[r][i]===e)return r;return-1},extend:function(t,e,i){for(var r in e)if(e.hasOwnProperty(r)){if(i&&t.hasOwnProperty(r))continue;t[r]=e[r]}},easing:{sine:{out:function(t){return Math.sin(t*(Math.PI/2))},inOut:function(t){return-(Math.cos(Math.PI*t)-1)/2}},cubic:{out:function(t){return--t*t*t+1}}},detectFeatures:function(){if(a.features)return a.features;var t=a.createEl(),e=t.style,i="",r={};if(r.oldIE=document.all&&!document.addEventListener,r.touch="ontouchstart"in window,window.requestAnimationFrame&&(r.raf=window.requestAnimationFrame,r.caf=window.cancelAnimationFrame),r.pointerEvent=!!window.PointerEvent||navigator.msPointerEnabled,!r.pointerEvent){var x=navigator.userAgent;if(/iP(hone|od)/.test(navigator.platform)){var A=navigator.appVersion.match(/OS (\d+)_(\d+)_?(\d+)?/);A&&A.length>0&&(A=parseInt(A[1],10),A>=1&&A<8&&(r.isOldIOSPhone=!0))}var P=x.match(/Android\s([0-9\.]*)/),M=P?P[1]:0;M=parseFloat(M),M>=1&&(M<4.4&&(r.isOldAndroid=!0),r.androidVersion=M),r.isMobileOpera=/opera mini|opera mobi/i.test(x)}for(var R,U,j=["transform","perspective","animationName"],Gt=["","webkit","Moz","ms","O"],Dt=0;Dt<4;Dt++){i=Gt[Dt];for(var fe=0;fe<3;fe++)R=j[fe],U=i+(i?R.charAt(0).toUpperCase()+R.slice(1):R),!r[R]&&U in e&&(r[R]=U);i&&!r.raf&&(i=i.toLowerCase(),r.raf=window[i+"RequestAnimationFrame"],r.raf&&(r.caf=window[i+"CancelAnimationFrame"]||window[i+"CancelRequestAnimationFrame"]))}if(!r.raf){var Se=0;r.raf=function(At){var gn=new Date().getTime(),vn=Math.max(0,16-(gn-Se)),Vi=window.setTimeout(function(){At(gn+vn)},vn);return Se=gn+vn,Vi},r.caf=function(At){clearTimeout(At)}}return r.svg=!!document.createElementNS&&!!document.createElementNS("http://www.w3.org/2000/svg","svg").createSVGRect,a.features=r,r}};a.detectFeatures(),a.features.oldIE&&(a.bind=function(t,e,i,r){e=e.split(" ");for(var x,A=(r?"detach":"attach")+"Event",P=function(){i.handleEvent.call(i)},M=0;M<e.length;M++)if(x=e[M])if(typeof i=="object"&&i.handleEvent){if(r){if(!i["oldIE"+x])return!1}else i["oldIE"+x]=P;t[A]("on"+x,i["oldIE"+x])}else t[A]("on"+x,i)});var n=this,g=25,b=3,u={allowPanToNext:!0,spacing:.12,bgOpacity:1,mouseUsed:!1,loop:!0,pinchToClose:!0,closeOnScroll:!0,closeOnVerticalDrag:!0,verticalDragRange:.75,hideAnimationDuration:333,showAnimationDuration:333,showHideOpacity:!1,focus:!0,escKey:!0,arrowKeys:!0,mainScrollEndFriction:.35,panEndFriction:.35,isClickableElement:function(t){return t.tagName==="A"},getDoubleTapZoom:function(t,e){return t||e.initialZoomLevel<.7?1:1.33},maxSpreadZoom:1.33,modal:!0,scaleMode:"fit"};a.extend(u,m);var f,p,d,v,C,w,o,s,y,T,L,_,I,z,N,F,ct,X,dt,V,kt,St,$,ft,wt,Tt,Rt,ht,Ot,pt,Z,bt,ne,Ft,D,H,Y,S,k,q,K,Q,J,it,tt,mt,Sn,Cn,W,zt,rt,Wt,Ge,Te,Le,_e,Ae,Bt=function(){return{x:0,y:0}},qt=Bt(),ie=Bt(),O=Bt(),ot={},Ht=0,oe={},gt=Bt(),Ct=0,ke=!0,je=[],he={},jt=!1,pe=function(t,e){a.extend(n,e.publicMethods),je.push(t)},Oe=function(t){var e=yt();return t>e-1?t-e:t<0?e+t:t},me={},G=function(t,e){return me[t]||(me[t]=[]),me[t].push(e)},B=function(t){var e=me[t];if(e){var i=Array.prototype.slice.call(arguments);i.shift();for(var r=0;r<e.length;r++)e[r].apply(n,i)}},Lt=function(){return new Date().getTime()},Mt=function(t){Le=t,n.bg.style.opacity=t*u.bgOpacity},Tn=function(t,e,i,r,x){(!jt||x&&x!==n.currItem)&&(r/=x?x.fitRatio:n.currItem.fitRatio),t[St]=_+e+"px, "+i+"px"+I+" scale("+r+")"},et=function(t){zt&&(t&&(T>n.currItem.fitRatio?jt||(te(n.currItem,!1,!0),jt=!0):jt&&(te(n.currItem),jt=!1)),Tn(zt,O.x,O.y,T))},ge=function(t){t.container&&Tn(t.container.style,t.initialPosition.x,t.initialPosition.y,t.initialZoomLevel,t)},re=function(t,e){e[St]=_+t+"px, 0px"+I},ze=function(t,e){if(!u.loop&&e){var i=v+(gt.x*Ht-t)/gt.x,r=Math.round(t-Pt.x);(i<0&&r>0||i>=yt()-1&&r<0)&&(t=Pt.x+r*u.mainScrollEndFriction)}Pt.x=t,re(t,C)},Xe=function(t,e){var i=we[t]-oe[t];return ie[t]+qt[t]+i-i*(e/L)},st=function(t,e){t.x=e.x,t.y=e.y,e.id&&(t.id=e.id)},Ln=function(t){t.x=Math.round(t.x),t.y=Math.round(t.y)},Ve=null,$e=function(){Ve&&(a.unbind(document,"mousemove",$e),a.addClass(l,"pswp--has_mouse"),u.mouseUsed=!0,B("mouseUsed")),Ve=setTimeout(function(){Ve=null},100)},Ti=function(){a.bind(document,"keydown",n),Z.transform&&a.bind(n.scrollWrap,"click",n),u.mouseUsed||a.bind(document,"mousemove",$e),a.bind(window,"resize scroll orientationchange",n),B("bindEvents")},Li=function(){a.unbind(window,"resize scroll orientationchange",n),a.unbind(window,"scroll",y.scroll),a.unbind(document,"keydown",n),a.unbind(document,"mousemove",$e),Z.transform&&a.unbind(n.scrollWrap,"click",n),k&&a.unbind(window,o,n),clearTimeout(bt),B("unbindEvents")},Qe=function(t,e){var i=Ee(n.currItem,ot,t);return e&&(W=i),i},_n=function(t){return t||(t=n.currItem),t.initialZoomLevel},An=function(t){return t||(t=n.currItem),t.w>0?u.maxSpreadZoom:1},kn=function(t,e,i,r){return r===n.currItem.initialZoomLevel?(i[t]=n.currItem.initialPosition[t],!0):(i[t]=Xe(t,r),i[t]>e.min[t]?(i[t]=e.min[t],!0):i[t]<e.max[t]&&(i[t]=e.max[t],!0))},_i=function(){if(St){var t=Z.perspective&&!ft;return _="translate"+(t?"3d(":"("),void(I=Z.perspective?", 0px)":")")}St="left",a.addClass(l,"pswp--ie"),re=function(e,i){i.left=e+"px"},ge=function(e){var i=e.fitRatio>1?1:e.fitRatio,r=e.container.style,x=i*e.w,A=i*e.h;r.width=x+"px",r.height=A+"px",r.left=e.initialPosition.x+"px",r.top=e.initialPosition.y+"px"},et=function(){if(zt){var e=zt,i=n.currItem,r=i.fitRatio>1?1:i.fitRatio,x=r*i.w,A=r*i.h;e.width=x+"px",e.height=A+"px",e.left=O.x+"px",e.top=O.y+"px"}}},Ai=function(t){var e="";u.escKey&&t.keyCode===27?e="close":u.arrowKeys&&(t.keyCode===37?e="prev":t.keyCode===39&&(e="next")),e&&(t.ctrlKey||t.altKey||t.shiftKey||t.metaKey||(t.preventDefault?t.preventDefault():t.returnValue=!1,n[e]()))},ki=function(t){t&&(Q||K||rt||Y)&&(t.preventDefault(),t.stopPropagation())},On=function(){n.setScrollOffset(0,a.getScrollY())},vt={},se=0,ve=function(t){vt[t]&&(vt[t].raf&&Tt(vt[t].raf),se--,delete vt[t])},Je=function(t){vt[t]&&ve(t),vt[t]||(se++,vt[t]={})},ye=function(){for(var t in vt)vt.hasOwnProperty(t)&&ve(t)},xe=function(t,e,i,r,x,A,P){var M,R=Lt();Je(t);var U=function(){if(vt[t]){if(M=Lt()-R,M>=r)return ve(t),A(i),void(P&&P());A((i-e)*x(M/r)+e),vt[t].raf=wt(U)}};U()},Oi={shout:B,listen:G,viewportSize:ot,options:u,isMainScrollAnimating:function(){return rt},getZoomLevel:function(){return T},getCurrentIndex:function(){return v},isDragging:function(){return k},isZooming:function(){return mt},setScrollOffset:function(t,e){oe.x=t,pt=oe.y=e,B("updateScrollOffset",oe)},applyZoomPan:function(t,e,i,r){O.x=e,O.y=i,T=t,et(r)},init:function(){if(!f&&!p){var t;n.framework=a,n.template=l,n.bg=a.getChildByClass(l,"pswp__bg"),Rt=l.className,f=!0,Z=a.detectFeatures(),wt=Z.raf,Tt=Z.caf,St=Z.transform,Ot=Z.oldIE,n.scrollWrap=a.getChildByClass(l,"pswp__scroll-wrap"),n.container=a.getChildByClass(n.scrollWrap,"pswp__container"),C=n.container.style,n.itemHolders=F=[{el:n.container.children[0],wrap:0,index:-1},{el:n.container.children[1],wrap:0,index:-1},{el:n.container.children[2],wrap:0,index:-1}],F[0].el.style.display=F[2].el.style.display="none",_i(),y={resize:n.updateSize,orientationchange:function(){clearTimeout(bt),bt=setTimeout(function(){ot.x!==n.scrollWrap.clientWidth&&n.updateSize()},500)},scroll:On,keydown:Ai,click:ki};var e=Z.isOldIOSPhone||Z.isOldAndroid||Z.isMobileOpera;for(Z.animationName&&Z.transform&&!e||(u.showAnimationDuration=u.hideAnimationDuration=0),t=0;t<je.length;t++)n["init"+je[t]]();if(c){var i=n.ui=new c(n,a);i.init()}B("firstUpdate"),v=v||u.index||0,(isNaN(v)||v<0||v>=yt())&&(v=0),n.currItem=Yt(v),(Z.isOldIOSPhone||Z.isOldAndroid)&&(ke=!1),l.setAttribute("aria-hidden","false"),u.modal&&(ke?l.style.position="fixed":(l.style.position="absolute",l.style.top=a.getScrollY()+"px")),pt===void 0&&(B("initialLayout"),pt=ht=a.getScrollY());var r="pswp--open ";for(u.mainClass&&(r+=u.mainClass+" "),u.showHideOpacity&&(r+="pswp--animate_opacity "),r+=ft?"pswp--touch":"pswp--notouch",r+=Z.animationName?" pswp--css_animation":"",r+=Z.svg?" pswp--svg":"",a.addClass(l,r),n.updateSize(),w=-1,Ct=null,t=0;t<b;t++)re((t+w)*gt.x,F[t].el.style);Ot||a.bind(n.scrollWrap,s,n),G("initialZoomInEnd",function(){n.setContent(F[0],v-1),n.setContent(F[2],v+1),F[0].el.style.display=F[2].el.style.display="block",u.focus&&l.focus(),Ti()}),n.setContent(F[1],v),n.updateCurrItem(),B("afterInit"),ke||(z=setInterval(function(){se||k||mt||T!==n.currItem.initialZoomLevel||n.updateSize()},1e3)),a.addClass(l,"pswp--visible")}},close:function(){f&&(f=!1,p=!0,B("close"),Li(),Hn(n.currItem,null,!0,n.destroy))},destroy:function(){B("destroy"),Qt&&clearTimeout(Qt),l.setAttribute("aria-hidden","true"),l.className=Rt,z&&clearInterval(z),a.unbind(n.scrollWrap,s,n),a.unbind(window,"scroll",n),nn(),ye(),me=null},panTo:function(t,e,i){i||(t>W.min.x?t=W.min.x:t<W.max.x&&(t=W.max.x),e>W.min.y?e=W.min.y:e<W.max.y&&(e=W.max.y)),O.x=t,O.y=e,et()},handleEvent:function(t){t=t||window.event,y[t.type]&&y[t.type](t)},goTo:function(t){t=Oe(t);var e=t-v;Ct=e,v=t,n.currItem=Yt(v),Ht-=e,ze(gt.x*Ht),ye(),rt=!1,n.updateCurrItem()},next:function(){n.goTo(v+1)},prev:function(){n.goTo(v-1)},updateCurrZoomItem:function(t){if(t&&B("beforeChange",0),F[1].el.children.length){var e=F[1].el.children[0];zt=a.hasClass(e,"pswp__zoom-wrap")?e.style:null}else zt=null;W=n.currItem.bounds,L=T=n.currItem.initialZoomLevel,O.x=W.center.x,O.y=W.center.y,t&&B("afterChange")},invalidateCurrItems:function(){N=!0;for(var t=0;t<b;t++)F[t].item&&(F[t].item.needsUpdate=!0)},updateCurrItem:function(t){if(Ct!==0){var e,i=Math.abs(Ct);if(!(t&&i<2)){n.currItem=Yt(v),jt=!1,B("beforeChange",Ct),i>=b&&(w+=Ct+(Ct>0?-b:b),i=b);for(var r=0;r<i;r++)Ct>0?(e=F.shift(),F[b-1]=e,w++,re((w+2)*gt.x,e.el.style),n.setContent(e,v-i+r+1+1)):(e=F.pop(),F.unshift(e),w--,re(w*gt.x,e.el.style),n.setContent(e,v+i-r-1-1));if(zt&&Math.abs(Ct)===1){var x=Yt(ct);x.initialZoomLevel!==T&&(Ee(x,ot),te(x),ge(x))}Ct=0,n.updateCurrZoomItem(),ct=v,B("afterChange")}}},updateSize:function(t){if(!ke&&u.modal){var e=a.getScrollY();if(pt!==e&&(l.style.top=e+"px",pt=e),!t&&he.x===window.innerWidth&&he.y===window.innerHeight)return;he.x=window.innerWidth,he.y=window.innerHeight,l.style.height=he.y+"px"}if(ot.x=n.scrollWrap.clientWidth,ot.y=n.scrollWrap.clientHeight,On(),gt.x=ot.x+Math.round(ot.x*u.spacing),gt.y=ot.y,ze(gt.x*Ht),B("beforeResize"),w!==void 0){for(var i,r,x,A=0;A<b;A++)i=F[A],re((A+w)*gt.x,i.el.style),x=v+A-1,u.loop&&yt()>2&&(x=Oe(x)),r=Yt(x),r&&(N||r.needsUpdate||!r.bounds)?(n.cleanSlide(r),n.setContent(i,x),A===1&&(n.currItem=r,n.updateCurrZoomItem(!0)),r.needsUpdate=!1):i.index===-1&&x>=0&&n.setContent(i,x),r&&r.container&&(Ee(r,ot),te(r),ge(r));N=!1}L=T=n.currItem.initialZoomLevel,W=n.currItem.bounds,W&&(O.x=W.center.x,O.y=W.center.y,et(!0)),B("resize")},zoomTo:function(t,e,i,r,x){e&&(L=T,we.x=Math.abs(e.x)-O.x,we.y=Math.abs(e.y)-O.y,st(ie,O));var A=Qe(t,!1),P={};kn("x",A,P,t),kn("y",A,P,t);var M=T,R={x:O.x,y:O.y};Ln(P);var U=function(j){j===1?(T=t,O.x=P.x,O.y=P.y):(T=(t-M)*j+M,O.x=(P.x-R.x)*j+R.x,O.y=(P.y-R.y)*j+R.y),x&&x(j),et(j===1)};i?xe("customZoomTo",0,1,i,r||a.easing.sine.inOut,U):U(1)}},zn=30,tn=10,at={},Xt={},lt={},ut={},ae={},Nt=[],Vt={},$t=[],le={},Me=0,Pe=Bt(),en=0,Pt=Bt(),we=Bt(),ue=Bt(),zi=function(t,e){return t.x===e.x&&t.y===e.y},Mi=function(t,e){return Math.abs(t.x-e.x)<g&&Math.abs(t.y-e.y)<g},Mn=function(t,e){return le.x=Math.abs(t.x-e.x),le.y=Math.abs(t.y-e.y),Math.sqrt(le.x*le.x+le.y*le.y)},nn=function(){J&&(Tt(J),J=null)},Pn=function(){k&&(J=wt(Pn),Bi())},Pi=function(){return!(u.scaleMode==="fit"&&T===n.currItem.initialZoomLevel)},Dn=function(t,e){return!(!t||t===document)&&!(t.getAttribute("class")&&t.getAttribute("class").indexOf("pswp__scroll-wrap")>-1)&&(e(t)?t:Dn(t.parentNode,e))},on={},Rn=function(t,e){return on.prevent=!Dn(t.target,u.isClickableElement),B("preventDragEvent",t,e,on),on.prevent},Fn=function(t,e){return e.x=t.pageX,e.y=t.pageY,e.id=t.identifier,e},Wn=function(t,e,i){i.x=.5*(t.x+e.x),i.y=.5*(t.y+e.y)},Di=function(t,e,i){if(t-Ft>50){var r=$t.length>2?$t.shift():{};r.x=e,r.y=i,$t.push(r),Ft=t}},Bn=function(){var t=O.y-n.currItem.initialPosition.y;return 1-Math.abs(t/(ot.y/2))},be={},Ri={},Zt=[],rn=function(t){for(;Zt.length>0;)Zt.pop();return $?(Ae=0,Nt.forEach(function(e){Ae===0?Zt[0]=e:Ae===1&&(Zt[1]=e),Ae++})):t.type.indexOf("touch")>-1?t.touches&&t.touches.length>0&&(Zt[0]=Fn(t.touches[0],be),t.touches.length>1&&(Zt[1]=Fn(t.touches[1],Ri))):(be.x=t.pageX,be.y=t.pageY,be.id="",Zt[0]=be),Zt},qn=function(t,e){var i,r,x,A,P=0,M=O[t]+e[t],R=e[t]>0,U=Pt.x+e.x,j=Pt.x-Vt.x;return i=M>W.min[t]||M<W.max[t]?u.panEndFriction:1,M=O[t]+e[t]*i,!u.allowPanToNext&&T!==n.currItem.initialZoomLevel||(zt?Wt!=="h"||t!=="x"||K||(R?(M>W.min[t]&&(i=u.panEndFriction,P=W.min[t]-M,r=W.min[t]-ie[t]),(r<=0||j<0)&&yt()>1?(A=U,j<0&&U>Vt.x&&(A=Vt.x)):W.min.x!==W.max.x&&(x=M)):(M<W.max[t]&&(i=u.panEndFriction,P=M-W.max[t],r=ie[t]-W.max[t]),(r<=0||j>0)&&yt()>1?(A=U,j>0&&U<Vt.x&&(A=Vt.x)):W.min.x!==W.max.x&&(x=M))):A=U,t!=="x")?void(rt||it||T>n.currItem.fitRatio&&(O[t]+=e[t]*i)):(A!==void 0&&(ze(A,!0),it=A!==Vt.x),W.min.x!==W.max.x&&(x!==void 0?O.x=x:it||(O.x+=e.x*i)),A!==void 0)},Fi=function(t){if(!(t.type==="mousedown"&&t.button>0)){if(ce)return void t.preventDefault();if(!S||t.type!=="mousedown"){if(Rn(t,!0)&&t.preventDefault(),B("pointerDown"),$){var e=a.arraySearch(Nt,t.pointerId,"id");e<0&&(e=Nt.length),Nt[e]={x:t.pageX,y:t.pageY,id:t.pointerId}}var i=rn(t),r=i.length;tt=null,ye(),k&&r!==1||(k=Ge=!0,a.bind(window,o,n),H=_e=Te=Y=it=Q=q=K=!1,Wt=null,B("firstTouchStart",i),st(ie,O),qt.x=qt.y=0,st(ut,i[0]),st(ae,ut),Vt.x=gt.x*Ht,$t=[{x:ut.x,y:ut.y}],Ft=ne=Lt(),Qe(T,!0),nn(),Pn()),!mt&&r>1&&!rt&&!it&&(L=T,K=!1,mt=q=!0,qt.y=qt.x=0,st(ie,O),st(at,i[0]),st(Xt,i[1]),Wn(at,Xt,ue),we.x=Math.abs(ue.x)-O.x,we.y=Math.abs(ue.y)-O.y,Sn=Cn=Mn(at,Xt))}}},Wi=function(t){if(t.preventDefault(),$){var e=a.arraySearch(Nt,t.pointerId,"id");if(e>-1){var i=Nt[e];i.x=t.pageX,i.y=t.pageY}}if(k){var r=rn(t);if(Wt||Q||mt)tt=r;else if(Pt.x!==gt.x*Ht)Wt="h";else{var x=Math.abs(r[0].x-ut.x)-Math.abs(r[0].y-ut.y);Math.abs(x)>=tn&&(Wt=x>0?"h":"v",tt=r)}}},Bi=function(){if(tt){var t=tt.length;if(t!==0)if(st(at,tt[0]),lt.x=at.x-ut.x,lt.y=at.y-ut.y,mt&&t>1){if(ut.x=at.x,ut.y=at.y,!lt.x&&!lt.y&&zi(tt[1],Xt))return;st(Xt,tt[1]),K||(K=!0,B("zoomGestureStarted"));var e=Mn(at,Xt),i=Ui(e);i>n.currItem.initialZoomLevel+n.currItem.initialZoomLevel/15&&(_e=!0);var r=1,x=_n(),A=An();if(i<x)if(u.pinchToClose&&!_e&&L<=n.currItem.initialZoomLevel){var P=x-i,M=1-P/(x/1.2);Mt(M),B("onPinchClose",M),Te=!0}else r=(x-i)/x,r>1&&(r=1),i=x-r*(x/3);else i>A&&(r=(i-A)/(6*x),r>1&&(r=1),i=A+r*x);r<0&&(r=0),Sn=e,Wn(at,Xt,Pe),qt.x+=Pe.x-ue.x,qt.y+=Pe.y-ue.y,st(ue,Pe),O.x=Xe("x",i),O.y=Xe("y",i),H=i>T,T=i,et()}else{if(!Wt||(Ge&&(Ge=!1,Math.abs(lt.x)>=tn&&(lt.x-=tt[0].x-ae.x),Math.abs(lt.y)>=tn&&(lt.y-=tt[0].y-ae.y)),ut.x=at.x,ut.y=at.y,lt.x===0&&lt.y===0))return;if(Wt==="v"&&u.closeOnVerticalDrag&&!Pi()){qt.y+=lt.y,O.y+=lt.y;var R=Bn();return Y=!0,B("onVerticalDrag",R),Mt(R),void et()}Di(Lt(),at.x,at.y),Q=!0,W=n.currItem.bounds;var U=qn("x",lt);U||(qn("y",lt),Ln(O),et())}}},qi=function(t){if(Z.isOldAndroid){if(S&&t.type==="mouseup")return;t.type.indexOf("touch")>-1&&(clearTimeout(S),S=setTimeout(function(){S=0},600))}B("pointerUp"),Rn(t,!1)&&t.preventDefault();var e;if($){var i=a.arraySearch(Nt,t.pointerId,"id");if(i>-1)if(e=Nt.splice(i,1)[0],navigator.msPointerEnabled){var r={4:"mouse",2:"touch",3:"pen"};e.type=r[t.pointerType],e.type||(e.type=t.pointerType||"mouse")}else e.type=t.pointerType||"mouse"}var x,A=rn(t),P=A.length;if(t.type==="mouseup"&&(P=0),P===2)return tt=null,!0;P===1&&st(ae,A[0]),P!==0||Wt||rt||(e||(t.type==="mouseup"?e={x:t.pageX,y:t.pageY,type:"mouse"}:t.changedTouches&&t.changedTouches[0]&&(e={x:t.changedTouches[0].pageX,y:t.changedTouches[0].pageY,type:"touch"})),B("touchRelease",t,e));var M=-1;if(P===0&&(k=!1,a.unbind(window,o,n),nn(),mt?M=0:en!==-1&&(M=Lt()-en)),en=P===1?Lt():-1,x=M!==-1&&M<150?"zoom":"swipe",mt&&P<2&&(mt=!1,P===1&&(x="zoomPointerUp"),B("zoomGestureEnded")),tt=null,Q||K||rt||Y)if(ye(),D||(D=Hi()),D.calculateSwipeSpeed("x"),Y){var R=Bn();if(R<u.verticalDragRange)n.close();else{var U=O.y,j=Le;xe("verticalDrag",0,1,300,a.easing.cubic.out,function(Dt){O.y=(n.currItem.initialPosition.y-U)*Dt+U,Mt((1-j)*Dt+j),et()}),B("onVerticalDrag",1)}}else{if((it||rt)&&P===0){var Gt=Zi(x,D);if(Gt)return;x="zoomPointerUp"}if(!rt)return x!=="swipe"?void Yi():void(!it&&T>n.currItem.fitRatio&&Ni(D))}},Hi=function(){var t,e,i={lastFlickOffset:{},lastFlickDist:{},lastFlickSpeed:{},slowDownRatio:{},slowDownRatioReverse:{},speedDecelerationRatio:{},speedDecelerationRatioAbs:{},distanceOffset:{},backAnimDestination:{},backAnimStarted:{},calculateSwipeSpeed:function(r){$t.length>1?(t=Lt()-Ft+50,e=$t[$t.length-2][r]):(t=Lt()-ne,e=ae[r]),i.lastFlickOffset[r]=ut[r]-e,i.lastFlickDist[r]=Math.abs(i.lastFlickOffset[r]),i.lastFlickDist[r]>20?i.lastFlickSpeed[r]=i.lastFlickOffset[r]/t:i.lastFlickSpeed[r]=0,Math.abs(i.lastFlickSpeed[r])<.1&&(i.lastFlickSpeed[r]=0),i.slowDownRatio[r]=.95,i.slowDownRatioReverse[r]=1-i.slowDownRatio[r],i.speedDecelerationRatio[r]=1},calculateOverBoundsAnimOffset:function(r,x){i.backAnimStarted[r]||(O[r]>W.min[r]?i.backAnimDestination[r]=W.min[r]:O[r]<W.max[r]&&(i.backAnimDestination[r]=W.max[r]),i.backAnimDestination[r]!==void 0&&(i.slowDownRatio[r]=.7,i.slowDownRatioReverse[r]=1-i.slowDownRatio[r],i.speedDecelerationRatioAbs[r]<.05&&(i.lastFlickSpeed[r]=0,i.backAnimStarted[r]=!0,xe("bounceZoomPan"+r,O[r],i.backAnimDestination[r],x||300,a.easing.sine.out,function(A){O[r]=A,et()}))))},calculateAnimOffset:function(r){i.backAnimStarted[r]||(i.speedDecelerationRatio[r]=i.speedDecelerationRatio[r]*(i.slowDownRatio[r]+i.slowDownRatioReverse[r]-i.slowDownRatioReverse[r]*i.timeDiff/10),i.speedDecelerationRatioAbs[r]=Math.abs(i.lastFlickSpeed[r]*i.speedDecelerationRatio[r]),i.distanceOffset[r]=i.lastFlickSpeed[r]*i.speedDecelerationRatio[r]*i.timeDiff,O[r]+=i.distanceOffset[r])},panAnimLoop:function(){if(vt.zoomPan&&(vt.zoomPan.raf=wt(i.panAnimLoop),i.now=Lt(),i.timeDiff=i.now-i.lastNow,i.lastNow=i.now,i.calculateAnimOffset("x"),i.calculateAnimOffset("y"),et(),i.calculateOverBoundsAnimOffset("x"),i.calculateOverBoundsAnimOffset("y"),i.speedDecelerationRatioAbs.x<.05&&i.speedDecelerationRatioAbs.y<.05))return O.x=Math.round(O.x),O.y=Math.round(O.y),et(),void ve("zoomPan")}};return i},Ni=function(t){return t.calculateSwipeSpeed("y"),W=n.currItem.bounds,t.backAnimDestination={},t.backAnimStarted={},Math.abs(t.lastFlickSpeed.x)<=.05&&Math.abs(t.lastFlickSpeed.y)<=.05?(t.speedDecelerationRatioAbs.x=t.speedDecelerationRatioAbs.y=0,t.calculateOverBoundsAnimOffset("x"),t.calculateOverBoundsAnimOffset("y"),!0):(Je("zoomPan"),t.lastNow=Lt(),void t.panAnimLoop())},Zi=function(t,e){var i;rt||(Me=v);var r;if(t==="swipe"){var x=ut.x-ae.x,A=e.lastFlickDist.x<10;x>zn&&(A||e.lastFlickOffset.x>20)?r=-1:x<-zn&&(A||e.lastFlickOffset.x<-20)&&(r=1)}var P;r&&(v+=r,v<0?(v=u.loop?yt()-1:0,P=!0):v>=yt()&&(v=u.loop?0:yt()-1,P=!0),P&&!u.loop||(Ct+=r,Ht-=r,i=!0));var M,R=gt.x*Ht,U=Math.abs(R-Pt.x);return i||R>Pt.x==e.lastFlickSpeed.x>0?(M=Math.abs(e.lastFlickSpeed.x)>0?U/Math.abs(e.lastFlickSpeed.x):333,M=Math.min(M,400),M=Math.max(M,250)):M=333,Me===v&&(i=!1),rt=!0,B("mainScrollAnimStart"),xe("mainScroll",Pt.x,R,M,a.easing.cubic.out,ze,function(){ye(),rt=!1,Me=-1,(i||Me!==v)&&n.updateCurrItem(),B("mainScrollAnimComplete")}),i&&n.updateCurrItem(!0),i},Ui=function(t){return 1/Cn*t*L},Yi=function(){var t=T,e=_n(),i=An();T<e?t=e:T>i&&(t=i);var r,x=1,A=Le;return Te&&!H&&!_e&&T<e?(n.close(),!0):(Te&&(r=function(P){Mt((x-A)*P+A)}),n.zoomTo(t,0,200,a.easing.cubic.out,r),!0)};pe("Gestures",{publicMethods:{initGestures:function(){var t=function(e,i,r,x,A){X=e+i,dt=e+r,V=e+x,kt=A?e+A:""};$=Z.pointerEvent,$&&Z.touch&&(Z.touch=!1),$?navigator.msPointerEnabled?t("MSPointer","Down","Move","Up","Cancel"):t("pointer","down","move","up","cancel"):Z.touch?(t("touch","start","move","end","cancel"),ft=!0):t("mouse","down","move","up"),o=dt+" "+V+" "+kt,s=X,$&&!ft&&(ft=navigator.maxTouchPoints>1||navigator.msMaxTouchPoints>1),n.likelyTouchDevice=ft,y[X]=Fi,y[dt]=Wi,y[V]=qi,kt&&(y[kt]=y[V]),Z.touch&&(s+=" mousedown",o+=" mousemove mouseup",y.mousedown=y[X],y.mousemove=y[dt],y.mouseup=y[V]),ft||(u.allowPanToNext=!1)}}});var Qt,Ut,sn,ce,Yt,yt,Ki,Hn=function(t,e,i,r){Qt&&clearTimeout(Qt),ce=!0,sn=!0;var x;t.initialLayout?(x=t.initialLayout,t.initialLayout=null):x=u.getThumbBoundsFn&&u.getThumbBoundsFn(v);var A=i?u.hideAnimationDuration:u.showAnimationDuration,P=function(){ve("initialZoom"),i?(n.template.removeAttribute("style"),n.bg.removeAttribute("style")):(Mt(1),e&&(e.style.display="block"),a.addClass(l,"pswp--animated-in"),B("initialZoom"+(i?"OutEnd":"InEnd"))),r&&r(),ce=!1};if(!A||!x||x.x===void 0)return B("initialZoom"+(i?"Out":"In")),T=t.initialZoomLevel,st(O,t.initialPosition),et(),l.style.opacity=i?0:1,Mt(1),void(A?setTimeout(function(){P()},A):P());var M=function(){var R=d,U=!n.currItem.src||n.currItem.loadError||u.showHideOpacity;t.miniImg&&(t.miniImg.style.webkitBackfaceVisibility="hidden"),i||(T=x.w/t.w,O.x=x.x,O.y=x.y-ht,n[U?"template":"bg"].style.opacity=.001,et()),Je("initialZoom"),i&&!R&&a.removeClass(l,"pswp--animated-in"),U&&(i?a[(R?"remove":"add")+"Class"](l,"pswp--animate_opacity"):setTimeout(function(){a.addClass(l,"pswp--animate_opacity")},30)),Qt=setTimeout(function(){if(B("initialZoom"+(i?"Out":"In")),i){var j=x.w/t.w,Gt={x:O.x,y:O.y},Dt=T,fe=Le,Se=function(At){At===1?(T=j,O.x=x.x,O.y=x.y-pt):(T=(j-Dt)*At+Dt,O.x=(x.x-Gt.x)*At+Gt.x,O.y=(x.y-pt-Gt.y)*At+Gt.y),et(),U?l.style.opacity=1-At:Mt(fe-At*fe)};R?xe("initialZoom",0,1,A,a.easing.cubic.out,Se,P):(Se(1),Qt=setTimeout(P,A+20))}else T=t.initialZoomLevel,st(O,t.initialPosition),et(),Mt(1),U?l.style.opacity=1:Mt(1),Qt=setTimeout(P,A+20)},i?25:90)};M()},Et={},Jt=[],Gi={index:0,errorMsg:'<div class="pswp__error-msg"><a href="%url%" target="_blank">The image</a> could not be loaded.</div>',forceProgressiveLoading:!1,preload:[1,1],getNumItemsFn:function(){return Ut.length}},Nn=function(){return{center:{x:0,y:0},max:{x:0,y:0},min:{x:0,y:0}}},ji=function(t,e,i){var r=t.bounds;r.center.x=Math.round((Et.x-e)/2),r.center.y=Math.round((Et.y-i)/2)+t.vGap.top,r.max.x=e>Et.x?Math.round(Et.x-e):r.center.x,r.max.y=i>Et.y?Math.round(Et.y-i)+t.vGap.top:r.center.y,r.min.x=e>Et.x?0:r.center.x,r.min.y=i>Et.y?t.vGap.top:r.center.y},Ee=function(t,e,i){if(t.src&&!t.loadError){var r=!i;if(r&&(t.vGap||(t.vGap={top:0,bottom:0}),B("parseVerticalMargin",t)),Et.x=e.x,Et.y=e.y-t.vGap.top-t.vGap.bottom,r){var x=Et.x/t.w,A=Et.y/t.h;t.fitRatio=x<A?x:A;var P=u.scaleMode;P==="orig"?i=1:P==="fit"&&(i=t.fitRatio),i>1&&(i=1),t.initialZoomLevel=i,t.bounds||(t.bounds=Nn())}return i?(ji(t,t.w*i,t.h*i),r&&i===t.initialZoomLevel&&(t.initialPosition=t.bounds.center),t.bounds):void 0}return t.w=t.h=0,t.initialZoomLevel=t.fitRatio=1,t.bounds=Nn(),t.initialPosition=t.bounds.center,t.bounds},De=function(t,e,i,r,x,A){e.loadError||r&&(e.imageAppended=!0,te(e,r,e===n.currItem&&jt),i.appendChild(r),A&&setTimeout(function(){e&&e.loaded&&e.placeholder&&(e.placeholder.style.display="none",e.placeholder=null)},500))},Zn=function(t){t.loading=!0,t.loaded=!1;var e=t.img=a.createEl("pswp__img","img"),i=function(){t.loading=!1,t.loaded=!0,t.loadComplete?t.loadComplete(t):t.img=null,e.onload=e.onerror=null,e=null};return e.onload=i,e.onerror=function(){t.loadError=!0,i()},e.src=t.src,e},Un=function(t,e){if(t.src&&t.loadError&&t.container)return e&&(t.container.innerHTML=""),t.container.innerHTML=u.errorMsg.replace("%url%",t.src),!0},te=function(t,e,i){if(t.src){e||(e=t.container.lastChild);var r=i?t.w:Math.round(t.w*t.fitRatio),x=i?t.h:Math.round(t.h*t.fitRatio);t.placeholder&&!t.loaded&&(t.placeholder.style.width=r+"px",t.placeholder.style.height=x+"px"),e.style.width=r+"px",e.style.height=x+"px"}},Yn=function(){if(Jt.length){for(var t,e=0;e<Jt.length;e++)t=Jt[e],t.holder.index===t.index&&De(t.index,t.item,t.baseDiv,t.img,!1,t.clearPlaceholder);Jt=[]}};pe("Controller",{publicMethods:{lazyLoadItem:function(t){t=Oe(t);var e=Yt(t);e&&(!e.loaded&&!e.loading||N)&&(B("gettingData",t,e),e.src&&Zn(e))},initController:function(){a.extend(u,Gi,!0),n.items=Ut=h,Yt=n.getItemAt,yt=u.getNumItemsFn,Ki=u.loop,yt()<3&&(u.loop=!1),G("beforeChange",function(t){var e,i=u.preload,r=t===null||t>=0,x=Math.min(i[0],yt()),A=Math.min(i[1],yt());for(e=1;e<=(r?A:x);e++)n.lazyLoadItem(v+e);for(e=1;e<=(r?x:A);e++)n.lazyLoadItem(v-e)}),G("initialLayout",function(){n.currItem.initialLayout=u.getThumbBoundsFn&&u.getThumbBoundsFn(v)}),G("mainScrollAnimComplete",Yn),G("initialZoomInEnd",Yn),G("destroy",function(){for(var t,e=0;e<Ut.length;e++)t=Ut[e],t.container&&(t.container=null),t.placeholder&&(t.placeholder=null),t.img&&(t.img=null),t.preloader&&(t.preloader=null),t.loadError&&(t.loaded=t.loadError=!1);Jt=null})},getItemAt:function(t){return t>=0&&Ut[t]!==void 0&&Ut[t]},allowProgressiveImg:function(){return u.forceProgressiveLoading||!ft||u.mouseUsed||screen.width>1200},setContent:function(t,e){u.loop&&(e=Oe(e));var i=n.getItemAt(t.index);i&&(i.container=null);var r,x=n.getItemAt(e);if(!x)return void(t.el.innerHTML="");B("gettingData",e,x),t.index=e,t.item=x;var A=x.container=a.createEl("pswp__zoom-wrap");if(!x.src&&x.html&&(x.html.tagName?A.appendChild(x.html):A.innerHTML=x.html),Un(x),Ee(x,ot),!x.src||x.loadError||x.loaded)x.src&&!x.loadError&&(r=a.createEl("pswp__img","img"),r.style.opacity=1,r.src=x.src,te(x,r),De(e,x,A,r,!0));else{if(x.loadComplete=function(R){if(f){if(t&&t.index===e){if(Un(R,!0))return R.loadComplete=R.img=null,Ee(R,ot),ge(R),void(t.index===v&&n.updateCurrZoomItem());R.imageAppended?!ce&&R.placeholder&&(R.placeholder.style.display="none",R.placeholder=null):Z.transform&&(rt||ce)?Jt.push({item:R,baseDiv:A,img:R.img,index:e,holder:t,clearPlaceholder:!0}):De(e,R,A,R.img,rt||ce,!0)}R.loadComplete=null,R.img=null,B("imageLoadComplete",e,R)}},a.features.transform){var P="pswp__img pswp__img--placeholder";P+=x.msrc?"":" pswp__img--placeholder--blank";var M=a.createEl(P,x.msrc?"img":"");x.msrc&&(M.src=x.msrc),te(x,M),A.appendChild(M),x.placeholder=M}x.loading||Zn(x),n.allowProgressiveImg()&&(!sn&&Z.transform?Jt.push({item:x,baseDiv:A,img:x.img,index:e,holder:t}):De(e,x,A,x.img,!0,!0))}sn||e!==v?ge(x):(zt=A.style,Hn(x,r||x.img)),t.el.innerHTML="",t.el.appendChild(A)},cleanSlide:function(t){t.img&&(t.img.onload=t.img.onerror=null),t.loaded=t.loading=t.img=t.imageAppended=!1}}});var Kt,an={},ln=function(t,e,i){var r=document.createEvent("CustomEvent"),x={origEvent:t,target:t.target,releasePoint:e,pointerType:i||"touch"};r.initCustomEvent("pswpTap",!0,!0,x),t.target.dispatchEvent(r)};pe("Tap",{publicMethods:{initTap:function(){G("firstTouchStart",n.onTapStart),G("touchRelease",n.onTapRelease),G("destroy",function(){an={},Kt=null})},onTapStart:function(t){t.length>1&&(clearTimeout(Kt),Kt=null)},onTapRelease:function(t,e){if(e&&!Q&&!q&&!se){var i=e;if(Kt&&(clearTimeout(Kt),Kt=null,Mi(i,an)))return void B("doubleTap",i);if(e.type==="mouse")return void ln(t,e,"mouse");var r=t.target.tagName.toUpperCase();if(r==="BUTTON"||a.hasClass(t.target,"pswp__single-tap"))return void ln(t,e);st(an,i),Kt=setTimeout(function(){ln(t,e),Kt=null},300)}}}});var xt;pe("DesktopZoom",{publicMethods:{initDesktopZoom:function(){Ot||(ft?G("mouseUsed",function(){n.setupDesktopZoom()}):n.setupDesktopZoom(!0))},setupDesktopZoom:function(t){xt={};var e="wheel mousewheel DOMMouseScroll";G("bindEvents",function(){a.bind(l,e,n.handleMouseWheel)}),G("unbindEvents",function(){xt&&a.unbind(l,e,n.handleMouseWheel)}),n.mouseZoomedIn=!1;var i,r=function(){n.mouseZoomedIn&&(a.removeClass(l,"pswp--zoomed-in"),n.mouseZoomedIn=!1),T<1?a.addClass(l,"pswp--zoom-allowed"):a.removeClass(l,"pswp--zoom-allowed"),x()},x=function(){i&&(a.removeClass(l,"pswp--dragging"),i=!1)};G("resize",r),G("afterChange",r),G("pointerDown",function(){n.mouseZoomedIn&&(i=!0,a.addClass(l,"pswp--dragging"))}),G("pointerUp",x),t||r()},handleMouseWheel:function(t){if(T<=n.currItem.fitRatio)return u.modal&&(!u.closeOnScroll||se||k?t.preventDefault():St&&Math.abs(t.deltaY)>2&&(d=!0,n.close())),!0;if(t.stopPropagation(),xt.x=0,"deltaX"in t)t.deltaMode===1?(xt.x=18*t.deltaX,xt.y=18*t.deltaY):(xt.x=t.deltaX,xt.y=t.deltaY);else if("wheelDelta"in t)t.wheelDeltaX&&(xt.x=-.16*t.wheelDeltaX),t.wheelDeltaY?xt.y=-.16*t.wheelDeltaY:xt.y=-.16*t.wheelDelta;else{if(!("detail"in t))return;xt.y=t.detail}Qe(T,!0);var e=O.x-xt.x,i=O.y-xt.y;(u.modal||e<=W.min.x&&e>=W.max.x&&i<=W.min.y&&i>=W.max.y)&&t.preventDefault(),n.panTo(e,i)},toggleDesktopZoom:function(t){t=t||{x:ot.x/2+oe.x,y:ot.y/2+oe.y};var e=u.getDoubleTapZoom(!0,n.currItem),i=T===e;n.mouseZoomedIn=!i,n.zoomTo(i?n.currItem.initialZoomLevel:e,t,333),a[(i?"remove":"add")+"Class"](l,"pswp--zoomed-in")}}});var un,Kn,Ie,Re,cn,Gn,nt,de,dn,fn,_t,hn,Xi={history:!0,galleryUID:1},pn=function(){return _t.hash.substring(1)},jn=function(){un&&clearTimeout(un),Ie&&clearTimeout(Ie)},Xn=function(){var t=pn(),e={};if(t.length<5)return e;var i,r=t.split("&");for(i=0;i<r.length;i++)if(r[i]){var x=r[i].split("=");x.length<2||(e[x[0]]=x[1])}if(u.galleryPIDs){var A=e.pid;for(e.pid=0,i=0;i<Ut.length;i++)if(Ut[i].pid===A){e.pid=i;break}}else e.pid=parseInt(e.pid,10)-1;return e.pid<0&&(e.pid=0),e},mn=function(){if(Ie&&clearTimeout(Ie),se||k)return void(Ie=setTimeout(mn,500));Re?clearTimeout(Kn):Re=!0;var t=v+1,e=Yt(v);e.hasOwnProperty("pid")&&(t=e.pid);var i=nt+"&gid="+u.galleryUID+"&pid="+t;de||_t.hash.indexOf(i)===-1&&(fn=!0);var r=_t.href.split("#")[0]+"#"+i;hn?"#"+i!==window.location.hash&&history[de?"replaceState":"pushState"]("",document.title,r):de?_t.replace(r):_t.hash=i,de=!0,Kn=setTimeout(function(){Re=!1},60)};pe("History",{publicMethods:{initHistory:function(){if(a.extend(u,Xi,!0),u.history){_t=window.location,fn=!1,dn=!1,de=!1,nt=pn(),hn="pushState"in history,nt.indexOf("gid=")>-1&&(nt=nt.split("&gid=")[0],nt=nt.split("?gid=")[0]),G("afterChange",n.updateURL),G("unbindEvents",function(){a.unbind(window,"hashchange",n.onHashChange)});var t=function(){Gn=!0,dn||(fn?history.back():nt?_t.hash=nt:hn?history.pushState("",document.title,_t.pathname+_t.search):_t.hash=""),jn()};G("unbindEvents",function(){d&&t()}),G("destroy",function(){Gn||t()}),G("firstUpdate",function(){v=Xn().pid});var e=nt.indexOf("pid=");e>-1&&(nt=nt.substring(0,e),nt.slice(-1)==="&"&&(nt=nt.slice(0,-1))),setTimeout(function(){f&&a.bind(window,"hashchange",n.onHashChange)},40)}},onHashChange:function(){return pn()===nt?(dn=!0,void n.close()):void(Re||(cn=!0,n.goTo(Xn().pid),cn=!1))},updateURL:function(){jn(),cn||(de?un=setTimeout(mn,800):mn())}}}),a.extend(n,Oi)};return E})});var si=It((xn,ri)=>{(function(E,l){typeof define=="function"&&define.amd?define(l):typeof xn=="object"?ri.exports=l():E.PhotoSwipeUI_Default=l()})(xn,function(){"use strict";var E=function(l,c){var h,m,a,n,g,b,u,f,p,d,v,C,w,o,s,y,T,L,_,I=this,z=!1,N=!0,F=!0,ct={barsSize:{top:44,bottom:"auto"},closeElClasses:["item","caption","zoom-wrap","ui","top-bar"],timeToIdle:4e3,timeToIdleOutside:1e3,loadingIndicatorDelay:1e3,addCaptionHTMLFn:function(S,k){return S.title?(k.children[0].innerHTML=S.title,!0):(k.children[0].innerHTML="",!1)},closeEl:!0,captionEl:!0,fullscreenEl:!0,zoomEl:!0,shareEl:!0,counterEl:!0,arrowEl:!0,preloaderEl:!0,tapToClose:!1,tapToToggleControls:!0,clickToCloseNonZoomable:!0,shareButtons:[{id:"facebook",label:"Share on Facebook",url:"https://www.facebook.com/sharer/sharer.php?u={{url}}"},{id:"twitter",label:"Tweet",url:"https://twitter.com/intent/tweet?text={{text}}&url={{url}}"},{id:"pinterest",label:"Pin it",url:"http://www.pinterest.com/pin/create/button/?url={{url}}&media={{image_url}}&description={{text}}"},{id:"download",label:"Download image",url:"{{raw_image_url}}",download:!0}],getImageURLForShare:function(){return l.currItem.src||""},getPageURLForShare:function(){return window.location.href},getTextForShare:function(){return l.currItem.title||""},indexIndicatorSep:" / ",fitControlsWidth:1200},X=function(S){if(y)return!0;S=S||window.event,s.timeToIdle&&s.mouseUsed&&!p&&ht();for(var k,q,K=S.target||S.srcElement,Q=K.getAttribute("class")||"",J=0;J<H.length;J++)k=H[J],k.onTap&&Q.indexOf("pswp__"+k.name)>-1&&(k.onTap(),q=!0);if(q){S.stopPropagation&&S.stopPropagation(),y=!0;var it=c.features.isOldAndroid?600:30;T=setTimeout(function(){y=!1},it)}},dt=function(){return!l.likelyTouchDevice||s.mouseUsed||screen.width>s.fitControlsWidth},V=function(S,k,q){c[(q?"add":"remove")+"Class"](S,"pswp__"+k)},kt=function(){var S=s.getNumItemsFn()===1;S!==o&&(V(m,"ui--one-slide",S),o=S)},St=function(){V(u,"share-modal--hidden",F)},$=function(){return F=!F,F?(c.removeClass(u,"pswp__share-modal--fade-in"),setTimeout(function(){F&&St()},300)):(St(),setTimeout(function(){F||c.addClass(u,"pswp__share-modal--fade-in")},30)),F||wt(),!1},ft=function(S){S=S||window.event;var k=S.target||S.srcElement;return l.shout("shareLinkClick",S,k),!!k.href&&(!!k.hasAttribute("download")||(window.open(k.href,"pswp_share","scrollbars=yes,resizable=yes,toolbar=no,location=yes,width=550,height=420,top=100,left="+(window.screen?Math.round(screen.width/2-275):100)),F||$(),!1))},wt=function(){for(var S,k,q,K,Q,J="",it=0;it<s.shareButtons.length;it++)S=s.shareButtons[it],q=s.getImageURLForShare(S),K=s.getPageURLForShare(S),Q=s.getTextForShare(S),k=S.url.replace("{{url}}",encodeURIComponent(K)).replace("{{image_url}}",encodeURIComponent(q)).replace("{{raw_image_url}}",q).replace("{{text}}",encodeURIComponent(Q)),J+='<a href="'+k+'" target="_blank" class="pswp__share--'+S.id+'"'+(S.download?"download":"")+">"+S.label+"</a>",s.parseShareButtonOut&&(J=s.parseShareButtonOut(S,J));u.children[0].innerHTML=J,u.children[0].onclick=ft},Tt=function(S){for(var k=0;k<s.closeElClasses.length;k++)if(c.hasClass(S,"pswp__"+s.closeElClasses[k]))return!0},Rt=0,ht=function(){clearTimeout(_),Rt=0,p&&I.setIdle(!1)},Ot=function(S){S=S||window.event;var k=S.relatedTarget||S.toElement;k&&k.nodeName!=="HTML"||(clearTimeout(_),_=setTimeout(function(){I.setIdle(!0)},s.timeToIdleOutside))},pt=function(){s.fullscreenEl&&!c.features.isOldAndroid&&(h||(h=I.getFullscreenAPI()),h?(c.bind(document,h.eventK,I.updateFullscreen),I.updateFullscreen(),c.addClass(l.template,"pswp--supports-fs")):c.removeClass(l.template,"pswp--supports-fs"))},Z=function(){s.preloaderEl&&(bt(!0),d("beforeChange",function(){clearTimeout(w),w=setTimeout(function(){l.currItem&&l.currItem.loading?(!l.allowProgressiveImg()||l.currItem.img&&!l.currItem.img.naturalWidth)&&bt(!1):bt(!0)},s.loadingIndicatorDelay)}),d("imageLoadComplete",function(S,k){l.currItem===k&&bt(!0)}))},bt=function(S){C!==S&&(V(v,"preloader--active",!S),C=S)},ne=function(S){var k=S.vGap;if(dt()){var q=s.barsSize;if(s.captionEl&&q.bottom==="auto")if(n||(n=c.createEl("pswp__caption pswp__caption--fake"),n.appendChild(c.createEl("pswp__caption__center")),m.insertBefore(n,a),c.addClass(m,"pswp__ui--fit")),s.addCaptionHTMLFn(S,n,!0)){var K=n.clientHeight;k.bottom=parseInt(K,10)||44}else k.bottom=q.top;else k.bottom=q.bottom==="auto"?0:q.bottom;k.top=q.top}else k.top=k.bottom=0},Ft=function(){s.timeToIdle&&d("mouseUsed",function(){c.bind(document,"mousemove",ht),c.bind(document,"mouseout",Ot),L=setInterval(function(){Rt++,Rt===2&&I.setIdle(!0)},s.timeToIdle/2)})},D=function(){d("onVerticalDrag",function(k){N&&k<.95?I.hideControls():!N&&k>=.95&&I.showControls()});var S;d("onPinchClose",function(k){N&&k<.9?(I.hideControls(),S=!0):S&&!N&&k>.9&&I.showControls()}),d("zoomGestureEnded",function(){S=!1,S&&!N&&I.showControls()})},H=[{name:"caption",option:"captionEl",onInit:function(S){a=S}},{name:"share-modal",option:"shareEl",onInit:function(S){u=S},onTap:function(){$()}},{name:"button--share",option:"shareEl",onInit:function(S){b=S},onTap:function(){$()}},{name:"button--zoom",option:"zoomEl",onTap:l.toggleDesktopZoom},{name:"counter",option:"counterEl",onInit:function(S){g=S}},{name:"button--close",option:"closeEl",onTap:l.close},{name:"button--arrow--left",option:"arrowEl",onTap:l.prev},{name:"button--arrow--right",option:"arrowEl",onTap:l.next},{name:"button--fs",option:"fullscreenEl",onTap:function(){h.isFullscreen()?h.exit():h.enter()}},{name:"preloader",option:"preloaderEl",onInit:function(S){v=S}}],Y=function(){var S,k,q,K=function(J){if(J)for(var it=J.length,tt=0;tt<it;tt++){S=J[tt],k=S.className;for(var mt=0;mt<H.length;mt++)q=H[mt],k.indexOf("pswp__"+q.name)>-1&&(s[q.option]?(c.removeClass(S,"pswp__element--disabled"),q.onInit&&q.onInit(S)):c.addClass(S,"pswp__element--disabled"))}};K(m.children);var Q=c.getChildByClass(m,"pswp__top-bar");Q&&K(Q.children)};I.init=function(){c.extend(l.options,ct,!0),s=l.options,m=c.getChildByClass(l.scrollWrap,"pswp__ui"),d=l.listen,D(),d("beforeChange",I.update),d("doubleTap",function(S){var k=l.currItem.initialZoomLevel;l.getZoomLevel()!==k?l.zoomTo(k,S,333):l.zoomTo(s.getDoubleTapZoom(!1,l.currItem),S,333)}),d("preventDragEvent",function(S,k,q){var K=S.target||S.srcElement;K&&K.getAttribute("class")&&S.type.indexOf("mouse")>-1&&(K.getAttribute("class").indexOf("__caption")>0||/(SMALL|STRONG|EM)/i.test(K.tagName))&&(q.prevent=!1)}),d("bindEvents",function(){c.bind(m,"pswpTap click",X),c.bind(l.scrollWrap,"pswpTap",I.onGlobalTap),l.likelyTouchDevice||c.bind(l.scrollWrap,"mouseover",I.onMouseOver)}),d("unbindEvents",function(){F||$(),L&&clearInterval(L),c.unbind(document,"mouseout",Ot),c.unbind(document,"mousemove",ht),c.unbind(m,"pswpTap click",X),c.unbind(l.scrollWrap,"pswpTap",I.onGlobalTap),c.unbind(l.scrollWrap,"mouseover",I.onMouseOver),h&&(c.unbind(document,h.eventK,I.updateFullscreen),h.isFullscreen()&&(s.hideAnimationDuration=0,h.exit()),h=null)}),d("destroy",function(){s.captionEl&&(n&&m.removeChild(n),c.removeClass(a,"pswp__caption--empty")),u&&(u.children[0].onclick=null),c.removeClass(m,"pswp__ui--over-close"),c.addClass(m,"pswp__ui--hidden"),I.setIdle(!1)}),s.showAnimationDuration||c.removeClass(m,"pswp__ui--hidden"),d("initialZoomIn",function(){s.showAnimationDuration&&c.removeClass(m,"pswp__ui--hidden")}),d("initialZoomOut",function(){c.addClass(m,"pswp__ui--hidden")}),d("parseVerticalMargin",ne),Y(),s.shareEl&&b&&u&&(F=!0),kt(),Ft(),pt(),Z()},I.setIdle=function(S){p=S,V(m,"ui--idle",S)},I.update=function(){N&&l.currItem?(I.updateIndexIndicator(),s.captionEl&&(s.addCaptionHTMLFn(l.currItem,a),V(a,"caption--empty",!l.currItem.title)),z=!0):z=!1,F||$(),kt()},I.updateFullscreen=function(S){S&&setTimeout(function(){l.setScrollOffset(0,c.getScrollY())},50),c[(h.isFullscreen()?"add":"remove")+"Class"](l.template,"pswp--fs")},I.updateIndexIndicator=function(){s.counterEl&&(g.innerHTML=l.getCurrentIndex()+1+s.indexIndicatorSep+s.getNumItemsFn())},I.onGlobalTap=function(S){S=S||window.event;var k=S.target||S.srcElement;if(!y){if(S.detail&&S.detail.pointerType==="mouse"){if(Tt(k))return void l.close();c.hasClass(k,"pswp__img")&&(l.getZoomLevel()===1&&l.getZoomLevel()<=l.currItem.fitRatio?s.clickToCloseNonZoomable&&l.close():l.toggleDesktopZoom(S.detail.releasePoint))}else if(s.tapToToggleControls&&(N?I.hideControls():I.showControls()),s.tapToClose&&(c.hasClass(k,"pswp__img")||Tt(k)))return void l.close()}},I.onMouseOver=function(S){S=S||window.event;var k=S.target||S.srcElement;V(m,"ui--over-close",Tt(k))},I.hideControls=function(){c.addClass(m,"pswp__ui--hidden"),N=!1},I.showControls=function(){N=!0,z||I.update(),c.removeClass(m,"pswp__ui--hidden")},I.supportsFullscreen=function(){var S=document;return!!(S.exitFullscreen||S.mozCancelFullScreen||S.webkitExitFullscreen||S.msExitFullscreen)},I.getFullscreenAPI=function(){var S,k=document.documentElement,q="fullscreenchange";return k.requestFullscreen?S={enterK:"requestFullscreen",exitK:"exitFullscreen",elementK:"fullscreenElement",eventK:q}:k.mozRequestFullScreen?S={enterK:"mozRequestFullScreen",exitK:"mozCancelFullScreen",elementK:"mozFullScreenElement",eventK:"moz"+q}:k.webkitRequestFullscreen?S={enterK:"webkitRequestFullscreen",exitK:"webkitExitFullscreen",elementK:"webkitFullscreenElement",eventK:"webkit"+q}:k.msRequestFullscreen&&(S={enterK:"msRequestFullscreen",exitK:"msExitFullscreen",elementK:"msFullscreenElement",eventK:"MSFullscreenChange"}),S&&(S.enter=function(){return f=s.closeOnScroll,s.closeOnScroll=!1,this.enterK!=="webkitRequestFullscreen"?l.template[this.enterK]():void l.template[this.enterK](Element.ALLOW_KEYBOARD_INPUT)},S.exit=function(){return s.closeOnScroll=f,document[this.exitK]()},S.isFullscreen=function(){return document[this.elementK]}),S}};return E})});var ci=It((wn,bn)=>{(function(E,l){typeof wn=="object"&&typeof bn!="undefined"?bn.exports=l():typeof define=="function"&&define.amd?define(l):(E=typeof globalThis!="undefined"?globalThis:E||self).reframe=l()})(wn,function(){"use strict";function E(){for(var l=0,c=0,h=arguments.length;c<h;c++)l+=arguments[c].length;for(var m=Array(l),a=0,c=0;c<h;c++)for(var n=arguments[c],g=0,b=n.length;g<b;g++,a++)m[a]=n[g];return m}return function(l,c){return c===void 0&&(c="js-reframe"),(typeof l=="string"?E(document.querySelectorAll(l)):"length"in l?E(l):[l]).forEach(function(h){var m,a,n,g,b,u,f,p;h.className.split(" ").indexOf(c)!==-1||-1<h.style.width.indexOf("%")||(n=h.getAttribute("height")||h.offsetHeight,g=h.getAttribute("width")||h.offsetWidth,b=(typeof n=="string"?parseInt(n):n)/(typeof g=="string"?parseInt(g):g)*100,(u=document.createElement("div")).className=c,(f=u.style).position="relative",f.width="100%",f.paddingTop=b+"%",(p=h.style).position="absolute",p.width="100%",p.height="100%",p.left="0",p.top="0",(m=h.parentNode)!==null&&m!==void 0&&m.insertBefore(u,h),(a=h.parentNode)!==null&&a!==void 0&&a.removeChild(h),u.appendChild(h))})}})});var En=It((pi,Be)=>{(function(E,l){typeof define=="function"&&define.amd?define(l):typeof Be=="object"&&Be.exports?Be.exports=l():E.EvEmitter=l()})(typeof window!="undefined"?window:pi,function(){"use strict";function E(){}var l=E.prototype;return l.on=function(c,h){if(!(!c||!h)){var m=this._events=this._events||{},a=m[c]=m[c]||[];return a.indexOf(h)==-1&&a.push(h),this}},l.once=function(c,h){if(!(!c||!h)){this.on(c,h);var m=this._onceEvents=this._onceEvents||{},a=m[c]=m[c]||{};return a[h]=!0,this}},l.off=function(c,h){var m=this._events&&this._events[c];if(!(!m||!m.length)){var a=m.indexOf(h);return a!=-1&&m.splice(a,1),this}},l.emitEvent=function(c,h){var m=this._events&&this._events[c];if(!(!m||!m.length)){m=m.slice(0),h=h||[];for(var a=this._onceEvents&&this._onceEvents[c],n=0;n<m.length;n++){var g=m[n],b=a&&a[g];b&&(this.off(c,g),delete a[g]),g.apply(this,h)}return this}},l.allOff=function(){delete this._events,delete this._onceEvents},E})});var He=It((wo,qe)=>{(function(E,l){typeof define=="function"&&define.amd?define(l):typeof qe=="object"&&qe.exports?qe.exports=l():E.getSize=l()})(window,function(){"use strict";function l(d){var v=parseFloat(d),C=d.indexOf("%")==-1&&!isNaN(v);return C&&v}function c(){}var h=typeof console=="undefined"?c:function(d){console.error(d)},m=["paddingLeft","paddingRight","paddingTop","paddingBottom","marginLeft","marginRight","marginTop","marginBottom","borderLeftWidth","borderRightWidth","borderTopWidth","borderBottomWidth"],a=m.length;function n(){for(var d={width:0,height:0,innerWidth:0,innerHeight:0,outerWidth:0,outerHeight:0},v=0;v<a;v++){var C=m[v];d[C]=0}return d}function g(d){var v=getComputedStyle(d);return v||h("Style returned "+v+". Are you running this code in a hidden iframe on Firefox? See https://bit.ly/getsizebug1"),v}var b=!1,u;function f(){if(!b){b=!0;var d=document.createElement("div");d.style.width="200px",d.style.padding="1px 2px 3px 4px",d.style.borderStyle="solid",d.style.borderWidth="1px 2px 3px 4px",d.style.boxSizing="border-box";var v=document.body||document.documentElement;v.appendChild(d);var C=g(d);u=Math.round(l(C.width))==200,p.isBoxSizeOuter=u,v.removeChild(d)}}function p(d){if(f(),typeof d=="string"&&(d=document.querySelector(d)),!(!d||typeof d!="object"||!d.nodeType)){var v=g(d);if(v.display=="none")return n();var C={};C.width=d.offsetWidth,C.height=d.offsetHeight;for(var w=C.isBorderBox=v.boxSizing=="border-box",o=0;o<a;o++){var s=m[o],y=v[s],T=parseFloat(y);C[s]=isNaN(T)?0:T}var L=C.paddingLeft+C.paddingRight,_=C.paddingTop+C.paddingBottom,I=C.marginLeft+C.marginRight,z=C.marginTop+C.marginBottom,N=C.borderLeftWidth+C.borderRightWidth,F=C.borderTopWidth+C.borderBottomWidth,ct=w&&u,X=l(v.width);X!==!1&&(C.width=X+(ct?0:L+N));var dt=l(v.height);return dt!==!1&&(C.height=dt+(ct?0:_+F)),C.innerWidth=C.width-(L+N),C.innerHeight=C.height-(_+F),C.outerWidth=C.width+I,C.outerHeight=C.height+z,C}}return p})});var mi=It((bo,Ne)=>{(function(E,l){"use strict";typeof define=="function"&&define.amd?define(l):typeof Ne=="object"&&Ne.exports?Ne.exports=l():E.matchesSelector=l()})(window,function(){"use strict";var l=(function(){var c=window.Element.prototype;if(c.matches)return"matches";if(c.matchesSelector)return"matchesSelector";for(var h=["webkit","moz","ms","o"],m=0;m<h.length;m++){var a=h[m],n=a+"MatchesSelector";if(c[n])return n}})();return function(h,m){return h[l](m)}})});var gi=It((Eo,Ze)=>{(function(E,l){typeof define=="function"&&define.amd?define(["desandro-matches-selector/matches-selector"],function(c){return l(E,c)}):typeof Ze=="object"&&Ze.exports?Ze.exports=l(E,mi()):E.fizzyUIUtils=l(E,E.matchesSelector)})(window,function(l,c){"use strict";var h={};h.extend=function(n,g){for(var b in g)n[b]=g[b];return n},h.modulo=function(n,g){return(n%g+g)%g};var m=Array.prototype.slice;h.makeArray=function(n){if(Array.isArray(n))return n;if(n==null)return[];var g=typeof n=="object"&&typeof n.length=="number";return g?m.call(n):[n]},h.removeFrom=function(n,g){var b=n.indexOf(g);b!=-1&&n.splice(b,1)},h.getParent=function(n,g){for(;n.parentNode&&n!=document.body;)if(n=n.parentNode,c(n,g))return n},h.getQueryElement=function(n){return typeof n=="string"?document.querySelector(n):n},h.handleEvent=function(n){var g="on"+n.type;this[g]&&this[g](n)},h.filterFindElements=function(n,g){n=h.makeArray(n);var b=[];return n.forEach(function(u){if(u instanceof HTMLElement){if(!g){b.push(u);return}c(u,g)&&b.push(u);for(var f=u.querySelectorAll(g),p=0;p<f.length;p++)b.push(f[p])}}),b},h.debounceMethod=function(n,g,b){b=b||100;var u=n.prototype[g],f=g+"Timeout";n.prototype[g]=function(){var p=this[f];clearTimeout(p);var d=arguments,v=this;this[f]=setTimeout(function(){u.apply(v,d),delete v[f]},b)}},h.docReady=function(n){var g=document.readyState;g=="complete"||g=="interactive"?setTimeout(n):document.addEventListener("DOMContentLoaded",n)},h.toDashed=function(n){return n.replace(/(.)([A-Z])/g,function(g,b,u){return b+"-"+u}).toLowerCase()};var a=l.console;return h.htmlInit=function(n,g){h.docReady(function(){var b=h.toDashed(g),u="data-"+b,f=document.querySelectorAll("["+u+"]"),p=document.querySelectorAll(".js-"+b),d=h.makeArray(f).concat(h.makeArray(p)),v=u+"-options",C=l.jQuery;d.forEach(function(w){var o=w.getAttribute(u)||w.getAttribute(v),s;try{s=o&&JSON.parse(o)}catch(T){a&&a.error("Error parsing "+u+" on "+w.className+": "+T);return}var y=new n(w,s);C&&C.data(w,g,y)})})},h})});var vi=It((Io,Ue)=>{(function(E,l){typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size"],l):typeof Ue=="object"&&Ue.exports?Ue.exports=l(En(),He()):(E.Outlayer={},E.Outlayer.Item=l(E.EvEmitter,E.getSize))})(window,function(l,c){"use strict";function h(w){for(var o in w)return!1;return o=null,!0}var m=document.documentElement.style,a=typeof m.transition=="string"?"transition":"WebkitTransition",n=typeof m.transform=="string"?"transform":"WebkitTransform",g={WebkitTransition:"webkitTransitionEnd",transition:"transitionend"}[a],b={transform:n,transition:a,transitionDuration:a+"Duration",transitionProperty:a+"Property",transitionDelay:a+"Delay"};function u(w,o){w&&(this.element=w,this.layout=o,this.position={x:0,y:0},this._create())}var f=u.prototype=Object.create(l.prototype);f.constructor=u,f._create=function(){this._transn={ingProperties:{},clean:{},onEnd:{}},this.css({position:"absolute"})},f.handleEvent=function(w){var o="on"+w.type;this[o]&&this[o](w)},f.getSize=function(){this.size=c(this.element)},f.css=function(w){var o=this.element.style;for(var s in w){var y=b[s]||s;o[y]=w[s]}},f.getPosition=function(){var w=getComputedStyle(this.element),o=this.layout._getOption("originLeft"),s=this.layout._getOption("originTop"),y=w[o?"left":"right"],T=w[s?"top":"bottom"],L=parseFloat(y),_=parseFloat(T),I=this.layout.size;y.indexOf("%")!=-1&&(L=L/100*I.width),T.indexOf("%")!=-1&&(_=_/100*I.height),L=isNaN(L)?0:L,_=isNaN(_)?0:_,L-=o?I.paddingLeft:I.paddingRight,_-=s?I.paddingTop:I.paddingBottom,this.position.x=L,this.position.y=_},f.layoutPosition=function(){var w=this.layout.size,o={},s=this.layout._getOption("originLeft"),y=this.layout._getOption("originTop"),T=s?"paddingLeft":"paddingRight",L=s?"left":"right",_=s?"right":"left",I=this.position.x+w[T];o[L]=this.getXValue(I),o[_]="";var z=y?"paddingTop":"paddingBottom",N=y?"top":"bottom",F=y?"bottom":"top",ct=this.position.y+w[z];o[N]=this.getYValue(ct),o[F]="",this.css(o),this.emitEvent("layout",[this])},f.getXValue=function(w){var o=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&!o?w/this.layout.size.width*100+"%":w+"px"},f.getYValue=function(w){var o=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&o?w/this.layout.size.height*100+"%":w+"px"},f._transitionTo=function(w,o){this.getPosition();var s=this.position.x,y=this.position.y,T=w==this.position.x&&o==this.position.y;if(this.setPosition(w,o),T&&!this.isTransitioning){this.layoutPosition();return}var L=w-s,_=o-y,I={};I.transform=this.getTranslate(L,_),this.transition({to:I,onTransitionEnd:{transform:this.layoutPosition},isCleaning:!0})},f.getTranslate=function(w,o){var s=this.layout._getOption("originLeft"),y=this.layout._getOption("originTop");return w=s?w:-w,o=y?o:-o,"translate3d("+w+"px, "+o+"px, 0)"},f.goTo=function(w,o){this.setPosition(w,o),this.layoutPosition()},f.moveTo=f._transitionTo,f.setPosition=function(w,o){this.position.x=parseFloat(w),this.position.y=parseFloat(o)},f._nonTransition=function(w){this.css(w.to),w.isCleaning&&this._removeStyles(w.to);for(var o in w.onTransitionEnd)w.onTransitionEnd[o].call(this)},f.transition=function(w){if(!parseFloat(this.layout.options.transitionDuration)){this._nonTransition(w);return}var o=this._transn;for(var s in w.onTransitionEnd)o.onEnd[s]=w.onTransitionEnd[s];for(s in w.to)o.ingProperties[s]=!0,w.isCleaning&&(o.clean[s]=!0);if(w.from){this.css(w.from);var y=this.element.offsetHeight;y=null}this.enableTransition(w.to),this.css(w.to),this.isTransitioning=!0};function p(w){return w.replace(/([A-Z])/g,function(o){return"-"+o.toLowerCase()})}var d="opacity,"+p(n);f.enableTransition=function(){if(!this.isTransitioning){var w=this.layout.options.transitionDuration;w=typeof w=="number"?w+"ms":w,this.css({transitionProperty:d,transitionDuration:w,transitionDelay:this.staggerDelay||0}),this.element.addEventListener(g,this,!1)}},f.onwebkitTransitionEnd=function(w){this.ontransitionend(w)},f.onotransitionend=function(w){this.ontransitionend(w)};var v={"-webkit-transform":"transform"};f.ontransitionend=function(w){if(w.target===this.element){var o=this._transn,s=v[w.propertyName]||w.propertyName;if(delete o.ingProperties[s],h(o.ingProperties)&&this.disableTransition(),s in o.clean&&(this.element.style[w.propertyName]="",delete o.clean[s]),s in o.onEnd){var y=o.onEnd[s];y.call(this),delete o.onEnd[s]}this.emitEvent("transitionEnd",[this])}},f.disableTransition=function(){this.removeTransitionStyles(),this.element.removeEventListener(g,this,!1),this.isTransitioning=!1},f._removeStyles=function(w){var o={};for(var s in w)o[s]="";this.css(o)};var C={transitionProperty:"",transitionDuration:"",transitionDelay:""};return f.removeTransitionStyles=function(){this.css(C)},f.stagger=function(w){w=isNaN(w)?0:w,this.staggerDelay=w+"ms"},f.removeElem=function(){this.element.parentNode.removeChild(this.element),this.css({display:""}),this.emitEvent("remove",[this])},f.remove=function(){if(!a||!parseFloat(this.layout.options.transitionDuration)){this.removeElem();return}this.once("transitionEnd",function(){this.removeElem()}),this.hide()},f.reveal=function(){delete this.isHidden,this.css({display:""});var w=this.layout.options,o={},s=this.getHideRevealTransitionEndProperty("visibleStyle");o[s]=this.onRevealTransitionEnd,this.transition({from:w.hiddenStyle,to:w.visibleStyle,isCleaning:!0,onTransitionEnd:o})},f.onRevealTransitionEnd=function(){this.isHidden||this.emitEvent("reveal")},f.getHideRevealTransitionEndProperty=function(w){var o=this.layout.options[w];if(o.opacity)return"opacity";for(var s in o)return s},f.hide=function(){this.isHidden=!0,this.css({display:""});var w=this.layout.options,o={},s=this.getHideRevealTransitionEndProperty("hiddenStyle");o[s]=this.onHideTransitionEnd,this.transition({from:w.visibleStyle,to:w.hiddenStyle,isCleaning:!0,onTransitionEnd:o})},f.onHideTransitionEnd=function(){this.isHidden&&(this.css({display:"none"}),this.emitEvent("hide"))},f.destroy=function(){this.css({position:"",left:"",right:"",top:"",bottom:"",transition:"",transform:""})},u})});var yi=It((So,Ye)=>{(function(E,l){"use strict";typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size","fizzy-ui-utils/utils","./item"],function(c,h,m,a){return l(E,c,h,m,a)}):typeof Ye=="object"&&Ye.exports?Ye.exports=l(E,En(),He(),gi(),vi()):E.Outlayer=l(E,E.EvEmitter,E.getSize,E.fizzyUIUtils,E.Outlayer.Item)})(window,function(l,c,h,m,a){"use strict";var n=l.console,g=l.jQuery,b=function(){},u=0,f={};function p(o,s){var y=m.getQueryElement(o);if(!y){n&&n.error("Bad element for "+this.constructor.namespace+": "+(y||o));return}this.element=y,g&&(this.$element=g(this.element)),this.options=m.extend({},this.constructor.defaults),this.option(s);var T=++u;this.element.outlayerGUID=T,f[T]=this,this._create();var L=this._getOption("initLayout");L&&this.layout()}p.namespace="outlayer",p.Item=a,p.defaults={containerStyle:{position:"relative"},initLayout:!0,originLeft:!0,originTop:!0,resize:!0,resizeContainer:!0,transitionDuration:"0.4s",hiddenStyle:{opacity:0,transform:"scale(0.001)"},visibleStyle:{opacity:1,transform:"scale(1)"}};var d=p.prototype;m.extend(d,c.prototype),d.option=function(o){m.extend(this.options,o)},d._getOption=function(o){var s=this.constructor.compatOptions[o];return s&&this.options[s]!==void 0?this.options[s]:this.options[o]},p.compatOptions={initLayout:"isInitLayout",horizontal:"isHorizontal",layoutInstant:"isLayoutInstant",originLeft:"isOriginLeft",originTop:"isOriginTop",resize:"isResizeBound",resizeContainer:"isResizingContainer"},d._create=function(){this.reloadItems(),this.stamps=[],this.stamp(this.options.stamp),m.extend(this.element.style,this.options.containerStyle);var o=this._getOption("resize");o&&this.bindResize()},d.reloadItems=function(){this.items=this._itemize(this.element.children)},d._itemize=function(o){for(var s=this._filterFindItemElements(o),y=this.constructor.Item,T=[],L=0;L<s.length;L++){var _=s[L],I=new y(_,this);T.push(I)}return T},d._filterFindItemElements=function(o){return m.filterFindElements(o,this.options.itemSelector)},d.getItemElements=function(){return this.items.map(function(o){return o.element})},d.layout=function(){this._resetLayout(),this._manageStamps();var o=this._getOption("layoutInstant"),s=o!==void 0?o:!this._isLayoutInited;this.layoutItems(this.items,s),this._isLayoutInited=!0},d._init=d.layout,d._resetLayout=function(){this.getSize()},d.getSize=function(){this.size=h(this.element)},d._getMeasurement=function(o,s){var y=this.options[o],T;y?(typeof y=="string"?T=this.element.querySelector(y):y instanceof HTMLElement&&(T=y),this[o]=T?h(T)[s]:y):this[o]=0},d.layoutItems=function(o,s){o=this._getItemsForLayout(o),this._layoutItems(o,s),this._postLayout()},d._getItemsForLayout=function(o){return o.filter(function(s){return!s.isIgnored})},d._layoutItems=function(o,s){if(this._emitCompleteOnItems("layout",o),!(!o||!o.length)){var y=[];o.forEach(function(T){var L=this._getItemLayoutPosition(T);L.item=T,L.isInstant=s||T.isLayoutInstant,y.push(L)},this),this._processLayoutQueue(y)}},d._getItemLayoutPosition=function(){return{x:0,y:0}},d._processLayoutQueue=function(o){this.updateStagger(),o.forEach(function(s,y){this._positionItem(s.item,s.x,s.y,s.isInstant,y)},this)},d.updateStagger=function(){var o=this.options.stagger;if(o==null){this.stagger=0;return}return this.stagger=w(o),this.stagger},d._positionItem=function(o,s,y,T,L){T?o.goTo(s,y):(o.stagger(L*this.stagger),o.moveTo(s,y))},d._postLayout=function(){this.resizeContainer()},d.resizeContainer=function(){var o=this._getOption("resizeContainer");if(o){var s=this._getContainerSize();s&&(this._setContainerMeasure(s.width,!0),this._setContainerMeasure(s.height,!1))}},d._getContainerSize=b,d._setContainerMeasure=function(o,s){if(o!==void 0){var y=this.size;y.isBorderBox&&(o+=s?y.paddingLeft+y.paddingRight+y.borderLeftWidth+y.borderRightWidth:y.paddingBottom+y.paddingTop+y.borderTopWidth+y.borderBottomWidth),o=Math.max(o,0),this.element.style[s?"width":"height"]=o+"px"}},d._emitCompleteOnItems=function(o,s){var y=this;function T(){y.dispatchEvent(o+"Complete",null,[s])}var L=s.length;if(!s||!L){T();return}var _=0;function I(){_++,_==L&&T()}s.forEach(function(z){z.once(o,I)})},d.dispatchEvent=function(o,s,y){var T=s?[s].concat(y):y;if(this.emitEvent(o,T),g)if(this.$element=this.$element||g(this.element),s){var L=g.Event(s);L.type=o,this.$element.trigger(L,y)}else this.$element.trigger(o,y)},d.ignore=function(o){var s=this.getItem(o);s&&(s.isIgnored=!0)},d.unignore=function(o){var s=this.getItem(o);s&&delete s.isIgnored},d.stamp=function(o){o=this._find(o),o&&(this.stamps=this.stamps.concat(o),o.forEach(this.ignore,this))},d.unstamp=function(o){o=this._find(o),o&&o.forEach(function(s){m.removeFrom(this.stamps,s),this.unignore(s)},this)},d._find=function(o){if(o)return typeof o=="string"&&(o=this.element.querySelectorAll(o)),o=m.makeArray(o),o},d._manageStamps=function(){!this.stamps||!this.stamps.length||(this._getBoundingRect(),this.stamps.forEach(this._manageStamp,this))},d._getBoundingRect=function(){var o=this.element.getBoundingClientRect(),s=this.size;this._boundingRect={left:o.left+s.paddingLeft+s.borderLeftWidth,top:o.top+s.paddingTop+s.borderTopWidth,right:o.right-(s.paddingRight+s.borderRightWidth),bottom:o.bottom-(s.paddingBottom+s.borderBottomWidth)}},d._manageStamp=b,d._getElementOffset=function(o){var s=o.getBoundingClientRect(),y=this._boundingRect,T=h(o),L={left:s.left-y.left-T.marginLeft,top:s.top-y.top-T.marginTop,right:y.right-s.right-T.marginRight,bottom:y.bottom-s.bottom-T.marginBottom};return L},d.handleEvent=m.handleEvent,d.bindResize=function(){l.addEventListener("resize",this),this.isResizeBound=!0},d.unbindResize=function(){l.removeEventListener("resize",this),this.isResizeBound=!1},d.onresize=function(){this.resize()},m.debounceMethod(p,"onresize",100),d.resize=function(){!this.isResizeBound||!this.needsResizeLayout()||this.layout()},d.needsResizeLayout=function(){var o=h(this.element),s=this.size&&o;return s&&o.innerWidth!==this.size.innerWidth},d.addItems=function(o){var s=this._itemize(o);return s.length&&(this.items=this.items.concat(s)),s},d.appended=function(o){var s=this.addItems(o);s.length&&(this.layoutItems(s,!0),this.reveal(s))},d.prepended=function(o){var s=this._itemize(o);if(s.length){var y=this.items.slice(0);this.items=s.concat(y),this._resetLayout(),this._manageStamps(),this.layoutItems(s,!0),this.reveal(s),this.layoutItems(y)}},d.reveal=function(o){if(this._emitCompleteOnItems("reveal",o),!(!o||!o.length)){var s=this.updateStagger();o.forEach(function(y,T){y.stagger(T*s),y.reveal()})}},d.hide=function(o){if(this._emitCompleteOnItems("hide",o),!(!o||!o.length)){var s=this.updateStagger();o.forEach(function(y,T){y.stagger(T*s),y.hide()})}},d.revealItemElements=function(o){var s=this.getItems(o);this.reveal(s)},d.hideItemElements=function(o){var s=this.getItems(o);this.hide(s)},d.getItem=function(o){for(var s=0;s<this.items.length;s++){var y=this.items[s];if(y.element==o)return y}},d.getItems=function(o){o=m.makeArray(o);var s=[];return o.forEach(function(y){var T=this.getItem(y);T&&s.push(T)},this),s},d.remove=function(o){var s=this.getItems(o);this._emitCompleteOnItems("remove",s),!(!s||!s.length)&&s.forEach(function(y){y.remove(),m.removeFrom(this.items,y)},this)},d.destroy=function(){var o=this.element.style;o.height="",o.position="",o.width="",this.items.forEach(function(y){y.destroy()}),this.unbindResize();var s=this.element.outlayerGUID;delete f[s],delete this.element.outlayerGUID,g&&g.removeData(this.element,this.constructor.namespace)},p.data=function(o){o=m.getQueryElement(o);var s=o&&o.outlayerGUID;return s&&f[s]},p.create=function(o,s){var y=v(p);return y.defaults=m.extend({},p.defaults),m.extend(y.defaults,s),y.compatOptions=m.extend({},p.compatOptions),y.namespace=o,y.data=p.data,y.Item=v(a),m.htmlInit(y,o),g&&g.bridget&&g.bridget(o,y),y};function v(o){function s(){o.apply(this,arguments)}return s.prototype=Object.create(o.prototype),s.prototype.constructor=s,s}var C={ms:1,s:1e3};function w(o){if(typeof o=="number")return o;var s=o.match(/(^\d*\.?\d*)(\w*)/),y=s&&s[1],T=s&&s[2];if(!y.length)return 0;y=parseFloat(y);var L=C[T]||1;return y*L}return p.Item=a,p})});var xi=It((Co,Ke)=>{(function(E,l){typeof define=="function"&&define.amd?define(["outlayer/outlayer","get-size/get-size"],l):typeof Ke=="object"&&Ke.exports?Ke.exports=l(yi(),He()):E.Masonry=l(E.Outlayer,E.getSize)})(window,function(l,c){"use strict";var h=l.create("masonry");h.compatOptions.fitWidth="isFitWidth";var m=h.prototype;return m._resetLayout=function(){this.getSize(),this._getMeasurement("columnWidth","outerWidth"),this._getMeasurement("gutter","outerWidth"),this.measureColumns(),this.colYs=[];for(var a=0;a<this.cols;a++)this.colYs.push(0);this.maxY=0,this.horizontalColIndex=0},m.measureColumns=function(){if(this.getContainerWidth(),!this.columnWidth){var a=this.items[0],n=a&&a.element;this.columnWidth=n&&c(n).outerWidth||this.containerWidth}var g=this.columnWidth+=this.gutter,b=this.containerWidth+this.gutter,u=b/g,f=g-b%g,p=f&&f<1?"round":"floor";u=Math[p](u),this.cols=Math.max(u,1)},m.getContainerWidth=function(){var a=this._getOption("fitWidth"),n=a?this.element.parentNode:this.element,g=c(n);this.containerWidth=g&&g.innerWidth},m._getItemLayoutPosition=function(a){a.getSize();var n=a.size.outerWidth%this.columnWidth,g=n&&n<1?"round":"ceil",b=Math[g](a.size.outerWidth/this.columnWidth);b=Math.min(b,this.cols);for(var u=this.options.horizontalOrder?"_getHorizontalColPosition":"_getTopColPosition",f=this[u](b,a),p={x:this.columnWidth*f.col,y:f.y},d=f.y+a.size.outerHeight,v=b+f.col,C=f.col;C<v;C++)this.colYs[C]=d;return p},m._getTopColPosition=function(a){var n=this._getTopColGroup(a),g=Math.min.apply(Math,n);return{col:n.indexOf(g),y:g}},m._getTopColGroup=function(a){if(a<2)return this.colYs;for(var n=[],g=this.cols+1-a,b=0;b<g;b++)n[b]=this._getColGroupY(b,a);return n},m._getColGroupY=function(a,n){if(n<2)return this.colYs[a];var g=this.colYs.slice(a,a+n);return Math.max.apply(Math,g)},m._getHorizontalColPosition=function(a,n){var g=this.horizontalColIndex%this.cols,b=a>1&&g+a>this.cols;g=b?0:g;var u=n.size.outerWidth&&n.size.outerHeight;return this.horizontalColIndex=u?g+a:this.horizontalColIndex,{col:g,y:this._getColGroupY(g,a)}},m._manageStamp=function(a){var n=c(a),g=this._getElementOffset(a),b=this._getOption("originLeft"),u=b?g.left:g.right,f=u+n.outerWidth,p=Math.floor(u/this.columnWidth);p=Math.max(0,p);var d=Math.floor(f/this.columnWidth);d-=f%this.columnWidth?0:1,d=Math.min(this.cols-1,d);for(var v=this._getOption("originTop"),C=(v?g.top:g.bottom)+n.outerHeight,w=p;w<=d;w++)this.colYs[w]=Math.max(C,this.colYs[w])},m._getContainerSize=function(){this.maxY=Math.max.apply(Math,this.colYs);var a={height:this.maxY};return this._getOption("fitWidth")&&(a.width=this._getContainerFitWidth()),a},m._getContainerFitWidth=function(){for(var a=0,n=this.cols;--n&&this.colYs[n]===0;)a++;return(this.cols-a)*this.columnWidth-this.gutter},m.needsResizeLayout=function(){var a=this.containerWidth;return this.getContainerWidth(),a!=this.containerWidth},h})});var ei=Ce(ti());function io(){let E=window.matchMedia("(max-width: 767px)"),l=document.querySelector(".gh-head-menu"),c=l==null?void 0:l.querySelector(".nav");if(!c)return;let h=document.querySelector(".gh-head-logo"),m=c.innerHTML;E.matches&&c.querySelectorAll("li").forEach(function(g,b){g.style.transitionDelay=`${.03*(b+1)}s`});let a=function(){if(E.matches)return;let n=[];for(;c.offsetWidth+64>l.offsetWidth&&c.lastElementChild;)n.unshift(c.lastElementChild),c.lastElementChild.remove();if(!n.length){document.body.classList.add("is-dropdown-loaded");return}let g=document.createElement("button");g.setAttribute("class","nav-more-toggle gh-icon-btn"),g.setAttribute("aria-label","More"),g.innerHTML='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" fill="currentColor"><path d="M21.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM13.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM5.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0z"></path></svg>';let b=document.createElement("div");b.setAttribute("class","gh-dropdown"),n.length>=10?(document.body.classList.add("is-dropdown-mega"),b.style.gridTemplateRows=`repeat(${Math.ceil(n.length/2)}, 1fr)`):document.body.classList.remove("is-dropdown-mega"),n.forEach(function(u){b.appendChild(u)}),g.appendChild(b),c.appendChild(g),document.body.classList.add("is-dropdown-loaded"),window.addEventListener("click",function(u){document.body.classList.contains("is-dropdown-open")?document.body.classList.remove("is-dropdown-open"):g.contains(u.target)&&document.body.classList.add("is-dropdown-open")})};(0,ei.default)(h,function(){a()}),window.addEventListener("load",function(){h||a()}),window.addEventListener("resize",function(){setTimeout(()=>{c.innerHTML=m,a()},1)})}var ni=io;var ai=Ce(oi()),li=Ce(si());function oo(E){var l=function(h){h.preventDefault();for(var m=[],a=0,n=h.target.closest(".kg-card").previousElementSibling;n&&(n.classList.contains("kg-image-card")||n.classList.contains("kg-gallery-card"));){var g=[];n.querySelectorAll("img").forEach(function(v){g.push({src:v.getAttribute("src"),msrc:v.getAttribute("src"),w:v.getAttribute("width"),h:v.getAttribute("height"),el:v}),a+=1}),n=n.previousElementSibling,m=g.concat(m)}if(h.target.classList.contains("kg-image"))m.push({src:h.target.getAttribute("src"),msrc:h.target.getAttribute("src"),w:h.target.getAttribute("width"),h:h.target.getAttribute("height"),el:h.target});else{var b=!1;h.target.closest(".kg-gallery-card").querySelectorAll("img").forEach(function(v){m.push({src:v.getAttribute("src"),msrc:v.getAttribute("src"),w:v.getAttribute("width"),h:v.getAttribute("height"),el:v}),!b&&v!==h.target?a+=1:b=!0})}for(var u=h.target.closest(".kg-card").nextElementSibling;u&&(u.classList.contains("kg-image-card")||u.classList.contains("kg-gallery-card"));)u.querySelectorAll("img").forEach(function(v){m.push({src:v.getAttribute("src"),msrc:v.getAttribute("src"),w:v.getAttribute("width"),h:v.getAttribute("height"),el:v})}),u=u.nextElementSibling;var f=document.querySelectorAll(".pswp")[0],p={bgOpacity:.9,closeOnScroll:!0,fullscreenEl:!1,history:!1,index:a,shareEl:!1,zoomEl:!1,getThumbBoundsFn:function(v){var C=m[v].el,w=window.pageYOffset||document.documentElement.scrollTop,o=C.getBoundingClientRect();return{x:o.left,y:o.top+w,w:o.width}}},d=new ai.default(f,li.default,m,p);return d.init(),!1},c=document.querySelectorAll(E);c.forEach(function(h){h.addEventListener("click",function(m){l(m)})})}var ui=oo;var di=Ce(ci());(function(){var E=document.querySelector(".gh-burger");E&&E.addEventListener("click",function(){document.body.classList.contains("is-head-open")?document.body.classList.remove("is-head-open"):document.body.classList.add("is-head-open")})})();(function(){ui(".kg-image-card > .kg-image[width][height], .kg-gallery-image > img")})();(function(){let E=['.gh-content iframe[src*="youtube.com"]','.gh-content iframe[src*="youtube-nocookie.com"]','.gh-content iframe[src*="player.vimeo.com"]','.gh-content iframe[src*="kickstarter.com"][src*="video.html"]',".gh-content object",".gh-content embed"];(0,di.default)(document.querySelectorAll(E.join(",")))})();(function(){ni()})();var ro=(function(){var E="tag";function l(){var m=new RegExp("[?&]"+E+"=([^&#]*)").exec(window.location.search);if(!m)return null;try{return decodeURIComponent(m[1].replace(/\+/g," "))}catch(a){return null}}function c(m){var a=window.location.search.replace(/^\?/,"").split("&").filter(function(g){return g&&g.split("=")[0]!==E});m&&a.push(E+"="+encodeURIComponent(m));var n=window.location.pathname+(a.length?"?"+a.join("&"):"")+window.location.hash;history.replaceState(history.state,"",n)}function h(m,a){a=a||{};var n=a.itemSelector||".grid-item",g=m.parentNode.querySelector(".feed-filter"),b={change:[]},u=[],f=l();function p(_,I){b[_].slice().forEach(function(z){z(I)})}function d(_,I){!b[_]||typeof I!="function"||b[_].push(I)}function v(_,I){b[_]&&(b[_]=b[_].filter(function(z){return z!==I}))}function C(_){for(var I=0;I<u.length;I++)if(u[I].slug===_)return u[I];return null}function w(_,I){var z=document.createElement("button");return z.className="feed-filter-chip",z.type="button",z.textContent=I,z.setAttribute("data-tag",_||""),z.setAttribute("aria-pressed",(_||null)===f?"true":"false"),g.appendChild(z),z}function o(_,I){var z=C(_);if(z){I&&z.name===z.slug&&(z.name=I,z.chip.textContent=I);return}u.push({slug:_,name:I||_,chip:g?w(_,I||_):null})}function s(_){Array.prototype.forEach.call(_,function(I){var z=I.getAttribute("data-tag");z&&o(z,I.getAttribute("data-tag-name"))}),g&&(g.hidden=u.length<2&&!f)}function y(_){return!f||_.getAttribute("data-tag")===f}function T(_){if(_=_||null,_!==f){var I=f;f=_,g&&Array.prototype.forEach.call(g.querySelectorAll(".feed-filter-chip"),function(z){z.setAttribute("aria-pressed",(z.getAttribute("data-tag")||null)===_?"true":"false")}),c(_),p("change",{tag:_,previousTag:I})}}function L(_){var I=_.target.closest(".feed-filter-chip");I&&T(I.getAttribute("data-tag"))}return g&&(w(null,"All"),g.addEventListener("click",L)),f&&o(f,null),s(m.querySelectorAll(n)),{add:s,matches:y,select:T,on:d,off:v,getTag:function(){return f}}}return{create:h}})(),fi=ro;var so=(function(){var E=800,l="feed-paginator:",c={loading:"Loading more posts\u2026",error:"Couldn\u2019t load more posts.",retry:"Try again"};function h(f){var p=/^(.*\/)page\/(\d+)\/?$/.exec(f);return p?{base:p[1],page:parseInt(p[2],10)}:{base:f.replace(/\/?$/,"/"),page:1}}function m(){var f=window.performance&&performance.getEntriesByType?performance.getEntriesByType("navigation"):[];return f.length?f[0].type==="back_forward":!!(window.performance&&performance.navigation&&performance.navigation.type===2)}function a(f){"scrollRestoration"in history&&(history.scrollRestoration=f)}function n(){try{return sessionStorage.setItem(l,"1"),sessionStorage.removeItem(l),!0}catch(f){return!1}}function g(f){try{return JSON.parse(sessionStorage.getItem(f))}catch(p){return null}}function b(f,p){try{sessionStorage.setItem(f,JSON.stringify(p))}catch(d){try{sessionStorage.setItem(f,JSON.stringify({page:p.page,hasMore:p.hasMore,scrollY:p.scrollY,html:null}))}catch(v){}}}function u(f,p){p=p||{};var d=p.feedSelector||".gh-feed",v=p.itemSelector||".grid-item",C=h(window.location.pathname),w=l+C.base,o=f.parentNode.querySelector(".feed-pagination"),s=o&&o.querySelector(".feed-more"),y=null,T=null,L={append:[],loading:[],error:[],end:[]},_=C.page,I=!!document.querySelector('link[rel="next"]')||!!s,z=!1,N=null,F=null,ct=0,X=null,dt=[];function V(D,H){L[D].slice().forEach(function(Y){Y(H)})}function kt(D,H){!L[D]||typeof H!="function"||L[D].push(H)}function St(D,H){L[D]&&(L[D]=L[D].filter(function(Y){return Y!==H}))}function $(D){return window.location.origin+C.base+"page/"+D+"/"}function ft(){y=document.createElement("p"),y.className="feed-status",y.setAttribute("role","status"),y.setAttribute("aria-live","polite"),T=document.createElement("button"),T.className="feed-retry",T.type="button",T.textContent=c.retry,T.addEventListener("click",Ot),o.insertBefore(y,o.firstChild),o.appendChild(T)}function wt(){o&&(o.classList.toggle("is-loading",z),o.classList.toggle("is-error",N!==null),o.classList.toggle("is-done",!I),z?y.textContent=c.loading:N!==null?y.textContent=c.error:y.textContent="",s&&I&&(s.href=$(_+1)))}function Tt(D,H,Y){var S=new DOMParser().parseFromString(D,"text/html").body,k=document.createDocumentFragment(),q=[];Array.prototype.forEach.call(S.children,function(K){var Q=document.importNode(K,!0);k.appendChild(Q),q.push(Q)}),f.appendChild(k),V("append",{items:q,page:H,restored:Y})}function Rt(D){var H=D.querySelector(d);return H?Array.prototype.filter.call(H.children,function(Y){return Y.matches(v)}).map(function(Y){return Y.outerHTML}).join(""):""}function ht(){if(z||!I)return Promise.resolve();var D=_+1;return z=!0,N=null,wt(),V("loading",{page:D}),fetch($(D),{credentials:"same-origin"}).then(function(H){if(H.status===404)return null;if(!H.ok)throw new Error("HTTP "+H.status);return H.text()}).then(function(H){if(z=!1,H===null){pt();return}var Y=new DOMParser().parseFromString(H,"text/html"),S=Rt(Y);_=D,I=!!Y.querySelector('link[rel="next"]'),dt.push(S),bt(),wt(),Tt(S,D,!1),I||pt()}).catch(function(H){z=!1,N=D,wt(),V("error",{page:D,error:H})})}function Ot(){return N===null?Promise.resolve():ht()}function pt(){I=!1,wt(),X&&(X.disconnect(),X=null),bt(),V("end",{page:_})}function Z(){F!==null&&_>=ct&&(window.scrollTo(0,F),F=null),!(!X||z||N!==null)&&o.getBoundingClientRect().top<=window.innerHeight+E&&ht()}function bt(){b(w,{page:_,hasMore:I,scrollY:window.pageYOffset,html:dt})}function ne(){var D=g(w);if(D){if(a("manual"),!(D.page>_)){window.scrollTo(0,D.scrollY||0);return}if(F=D.scrollY||0,ct=D.page,D.html&&D.html.length===D.page-_){var H=_;_=D.page,I=D.hasMore,dt=D.html.slice(),D.html.forEach(function(Y,S){Tt(Y,H+S+1,!0)});return}(function Y(){_>=ct||!I||N!==null||ht().then(Y)})()}}function Ft(){if(!(!I||typeof fetch=="undefined")){if(o&&(ft(),s&&s.addEventListener("click",function(D){D.preventDefault(),ht()})),n()&&(m()?ne():(a("auto"),sessionStorage.removeItem(w)),window.addEventListener("pagehide",bt)),!I){pt();return}wt(),o&&typeof IntersectionObserver!="undefined"&&(o.classList.add("is-infinite"),X=new IntersectionObserver(function(D){D[0].isIntersecting&&N===null&&ht()},{rootMargin:"0px 0px "+E+"px 0px"}),X.observe(o))}}return{start:Ft,loadNext:ht,retry:Ot,check:Z,on:kt,off:St,getPage:function(){return _},hasMore:function(){return I}}}return{create:u}})(),hi=so;var ao=(function(){var E=[{format:"avif",type:"image/avif"},{format:"webp",type:"image/webp"}],l="/assets/images/photos/",c=null;function h(){if(c)return c;var b=document.querySelector('meta[name="picture-manifest"]'),u=b&&b.getAttribute("content");if(!u||!window.fetch)return c=Promise.resolve({}),c;var f=new URL(u,window.location.href).href;return c=fetch(f).then(function(p){return p.ok?p.json():{}}).then(function(p){return m(p,f)}).catch(function(){return{}}),c}function m(b,u){return Object.keys(b).forEach(function(f){var p=b[f].sources||{};Object.keys(p).forEach(function(d){p[d]=p[d].split(",").map(function(v){var C=v.trim().split(/\s+/);return C[0]=new URL(C[0],u).href,C.join(" ")}).join(", ")})}),b}function a(b){var u=(b||"").split(/[?#]/)[0],f=u.indexOf(l);if(f===-1)return null;var p=u.substring(f+l.length);if(!p||p.indexOf("/")!==-1)return null;try{p=decodeURIComponent(p)}catch(d){}return p.replace(/\.[^.]+$/,"")}function n(b,u){var f=b.querySelector("img");if(!(!f||b.querySelector("source"))){var p=f.classList.contains("is-parked"),d=p?"data-virtual-srcset":"srcset",v=a(f.getAttribute(p?"data-virtual-src":"src")),C=v&&u[v];if(!(!C||!C.sources)){var w=f.getAttribute("sizes");E.forEach(function(o){if(C.sources[o.format]){var s=document.createElement("source");s.type=o.type,s.setAttribute(d,C.sources[o.format]),w&&(s.sizes=w),b.insertBefore(s,f)}}),C.sources.jpeg&&f.setAttribute(d,C.sources.jpeg),C.width&&C.height&&(f.setAttribute("width",C.width),f.setAttribute("height",C.height))}}}function g(b){return h().then(function(u){if(Object.keys(u).length!==0){var f=b&&b.length!==void 0?b:[b||document];Array.prototype.forEach.call(f,function(p){var d=p.tagName==="PICTURE"?[p]:p.querySelectorAll("picture");Array.prototype.forEach.call(d,function(v){n(v,u)})})}})}return{load:h,apply:g,getKey:a}})(),ee=ao;var Ei=Ce(xi(),1);var lo=(function(){var E="w150",l=400;function c(f){var p=/^(.*\/content\/images\/)(?:size\/[^/]+\/)?((?:\d{4}\/\d{2}\/)?[^/?#]+\.(?:jpe?g|png|webp|avif))([?#].*)?$/i.exec(f||"");return p?p[1]+"size/"+E+"/"+p[2]:null}function h(f){return f.complete&&f.naturalWidth>0}function m(f){return f.complete}function a(f){return!!(f.getAttribute("width")&&f.getAttribute("height"))}function n(f,p,d){a(f)||!p||!d||(f.setAttribute("width",p),f.setAttribute("height",d))}function g(f,p,d){return new Promise(function(v){var C=new Image;C.onload=function(){n(f,C.naturalWidth,C.naturalHeight),v()},C.onerror=function(){v()},p.style.backgroundImage='url("'+d+'")',C.src=d})}function b(f,p){f.classList.add("is-loaded"),setTimeout(function(){p.parentNode&&p.parentNode.removeChild(p),f.classList.remove("has-placeholder","is-loaded")},l)}function u(f,p){if(!f||!p||m(f))return Promise.resolve();var d=document.createElement("span");d.className="image-placeholder",d.setAttribute("aria-hidden","true"),p.classList.add("has-placeholder"),p.insertBefore(d,p.firstChild);var v=new Promise(function(s){function y(){n(f,f.naturalWidth,f.naturalHeight),f.removeEventListener("load",y),f.removeEventListener("error",y),b(p,d),s()}f.addEventListener("load",y),f.addEventListener("error",y)}),C=f.getAttribute("data-placeholder")||c(f.getAttribute("src")),w=C?g(f,d,C):null;if(!f.getAttribute("data-placeholder")){var o=ee.load().then(function(s){var y=ee.getKey(f.getAttribute("src")),T=y&&s[y];if(T&&(T.color&&(d.style.backgroundColor=T.color),n(f,T.width,T.height),T.placeholder&&!h(f)))return g(f,d,T.placeholder)});w=w||o}return a(f)?Promise.resolve():w?Promise.race([w.then(function(){return a(f)||m(f)?null:v}),v]):v}return{attach:u,getGhostSize:c}})(),wi=lo;var uo=(function(){var E=50,l={close:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',prev:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>',next:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>'},c,h,m,a,n,g,b,u=null;function f(){c=document.createElement("div"),c.className="photo-lightbox",c.setAttribute("role","dialog"),c.setAttribute("aria-modal","true"),c.setAttribute("aria-label","Image viewer"),c.setAttribute("tabindex","-1"),c.hidden=!0,c.innerHTML='<div class="photo-lightbox-stage"><figure class="photo-lightbox-figure"><img class="photo-lightbox-image" alt=""><figcaption class="photo-lightbox-caption"></figcaption></figure></div><div class="photo-lightbox-counter" aria-live="polite"></div><button class="photo-lightbox-btn photo-lightbox-close" aria-label="Close" title="Close (Esc)">'+l.close+'</button><button class="photo-lightbox-btn photo-lightbox-prev" aria-label="Previous image" title="Previous (arrow left)">'+l.prev+'</button><button class="photo-lightbox-btn photo-lightbox-next" aria-label="Next image" title="Next (arrow right)">'+l.next+"</button>",h=c.querySelector(".photo-lightbox-image"),m=c.querySelector(".photo-lightbox-caption"),a=c.querySelector(".photo-lightbox-counter"),n=c.querySelector(".photo-lightbox-prev"),g=c.querySelector(".photo-lightbox-next"),b=c.querySelector(".photo-lightbox-close"),b.addEventListener("click",s),n.addEventListener("click",o),g.addEventListener("click",w),c.addEventListener("click",function(L){(L.target.classList.contains("photo-lightbox-stage")||L.target.classList.contains("photo-lightbox-figure"))&&s()}),h.addEventListener("load",function(){h.classList.add("is-loaded")}),p()}function p(){var L=null;c.addEventListener("pointerdown",function(_){L=_.pointerType==="mouse"?null:_.clientX}),c.addEventListener("pointerup",function(_){if(L!==null){var I=_.clientX-L;L=null,I<-E?w():I>E&&o()}})}function d(L,_,I){if(!L||L.length===0)return null;c||f(),u&&s(),u={items:L,index:Math.max(0,Math.min(_||0,L.length-1)),options:I||{},returnFocus:document.activeElement};var z=u.options.container||document.body;return c.parentNode!==z&&z.appendChild(c),c.classList.toggle("is-single",L.length===1),c.hidden=!1,document.documentElement.classList.add("has-photo-lightbox"),document.addEventListener("keydown",y,!0),v(u.index),requestAnimationFrame(function(){c.classList.add("is-open")}),b.focus(),{close:s,next:w,prev:o,goTo:v,getIndex:function(){return u?u.index:-1}}}function v(L){if(u){var _=u.items;L=Math.max(0,Math.min(L,_.length-1));var I=_[L],z=L!==u.index;u.index=L,h.classList.remove("is-loaded"),h.removeAttribute("srcset"),h.style.backgroundImage=I.msrc?'url("'+I.msrc+'")':"",I.width&&I.height?(h.setAttribute("width",I.width),h.setAttribute("height",I.height)):(h.removeAttribute("width"),h.removeAttribute("height")),I.srcset&&(h.sizes="100vw",h.srcset=I.srcset),h.src=I.src,h.alt=I.alt||"",h.complete&&h.naturalWidth&&h.classList.add("is-loaded"),m.innerHTML=I.caption||"",m.hidden=!I.caption,a.textContent=L+1+" / "+_.length,n.disabled=L===0,g.disabled=L===_.length-1,C(L+1),C(L-1),z&&u.options.onChange&&u.options.onChange(L)}}function C(L){var _=u.items[L];if(_){var I=new Image;_.srcset&&(I.sizes="100vw",I.srcset=_.srcset),I.src=_.src}}function w(){u&&v(u.index+1)}function o(){u&&v(u.index-1)}function s(){if(u){var L=u;u=null,c.classList.remove("is-open"),c.hidden=!0,h.removeAttribute("src"),h.removeAttribute("srcset"),document.documentElement.classList.remove("has-photo-lightbox"),document.removeEventListener("keydown",y,!0),L.returnFocus&&L.returnFocus.focus&&L.returnFocus.focus(),L.options.onClose&&L.options.onClose(L.index)}}function y(L){switch(L.key){case"Escape":s();break;case"ArrowRight":w();break;case"ArrowLeft":o();break;case"Tab":T(L);return;default:L.stopPropagation();return}L.preventDefault(),L.stopPropagation()}function T(L){var _=[b,n,g].filter(function(N){return!N.disabled&&N.offsetParent!==null});if(_.length!==0){var I=_.indexOf(document.activeElement),z=L.shiftKey?I-1:I+1;L.preventDefault(),L.stopPropagation(),_[(z+_.length)%_.length].focus()}}return{open:d,close:s,isOpen:function(){return u!==null}}})(),bi=uo;function Ii(E,l){ee.apply(E),In(E,function(){var c=new Ei.default(E,{itemSelector:".grid-item",columnWidth:".grid-sizer",stamp:".related-title",hiddenStyle:{transform:"translateY(50px)",opacity:0},visibleStyle:{transform:"translateY(0)",opacity:1}});c.on("layoutComplete",function(){E.classList.add("initialized")}),c.layout(),l&&l(c)})}function In(E,l){var c=E.length!==void 0?Array.prototype.slice.call(E):[E],h=[];c.forEach(function(m){m.querySelectorAll(".post-image").forEach(function(a){h.push(wi.attach(a,a.closest(".post-link")||a.parentNode))})}),Promise.all(h).then(l)}function co(E,l){var c=E&&(parseInt(E.getAttribute("width"),10)||E.naturalWidth),h=E&&(parseInt(E.getAttribute("height"),10)||E.naturalHeight);if(!c||!h)return{};var m=(l||"").split(",").map(function(n){var g=/\s(\d+)w\s*$/.exec(n);return g?parseInt(g[1],10):0}),a=Math.max.apply(null,m.concat(c));return{width:a,height:Math.round(a*h/c)}}function Si(E,l,c,h){var m=function(n){var g=[];return n.querySelectorAll(l).forEach(function(b){var u=b.querySelector(c);if(!(!u||b.closest(".is-filtered-out"))){var f=b.querySelector("img"),p=h?b.querySelector(h):null,d=co(f,u.getAttribute("data-srcset"));g.push({el:b,src:u.getAttribute("href"),srcset:u.getAttribute("data-srcset"),width:d.width,height:d.height,msrc:f?f.currentSrc||f.src:null,alt:f?f.alt:"",caption:p?p.innerHTML:""})}}),g},a=function(n){var g=n.target.closest(c);if(g){n.preventDefault();var b=n.currentTarget,u=g.closest(l),f=m(b),p=f.findIndex(function(d){return d.el===u});bi.open(f,Math.max(p,0))}};document.querySelectorAll(E).forEach(function(n){n.addEventListener("click",a)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Ci):Ci();function Ci(){var E=document.querySelector(".post-feed");if(E){var l=12;Ii(E,function(c){var h=hi.create(E,{feedSelector:".gh-feed",itemSelector:".grid-item:not(.grid-sizer)"}),m=fi.create(E,{itemSelector:".grid-item:not(.grid-sizer)"});function a(){var g=[],b=[];E.querySelectorAll(".grid-item:not(.grid-sizer)").forEach(function(u){var f=m.matches(u);f===u.classList.contains("is-filtered-out")&&(u.classList.toggle("is-filtered-out",!f),f?(c.unignore(u),u.style.visibility="visible",g.push(u)):(c.ignore(u),b.push(u)))}),c.hideItemElements(b),c.revealItemElements(g),c.layout()}function n(){!m.getTag()||!h.hasMore()||E.querySelectorAll(".grid-item:not(.grid-sizer):not(.is-filtered-out)").length<l&&h.loadNext()}m.on("change",function(){a(),n(),h.check()}),h.on("append",function(g){var b=g.items;b.forEach(function(u){u.style.visibility="hidden"}),ee.apply(b),m.add(b),In(b,function(){c.appended(b),a(),b.forEach(function(u){u.classList.contains("is-filtered-out")||(u.style.visibility="visible")}),n(),h.check()})}),m.getTag()&&a(),h.start(),n()}),Si(".post-feed",".post",".post-lightbox",".post-caption")}}})();
+/*! Bundled license information:
+
+imagesloaded/imagesloaded.js:
+  (*!
+   * imagesLoaded v5.0.0
+   * JavaScript is all like "You images are done yet or what?"
+   * MIT License
+   *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe.min.js:
+  (*! PhotoSwipe - v4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe-ui-default.min.js:
+  (*! PhotoSwipe Default UI - 4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+get-size/get-size.js:
+  (*!
+   * getSize v2.0.3
+   * measure size of elements
+   * MIT license
+   *)
+
+outlayer/outlayer.js:
+  (*!
+   * Outlayer v2.1.1
+   * the brains and guts of a layout library
+   * MIT license
+   *)
+
+masonry-layout/masonry.js:
+  (*!
+   * Masonry v4.2.2
+   * Cascading grid layout library
+   * https://masonry.desandro.com
+   * MIT License
+   * by David DeSandro
+   *)
+*/
+//# sourceMappingURL=feed-G6J3FQZE.js.map
@@ -0,0 +1,23 @@
+(()=>{var Ki=Object.create;var ii=Object.defineProperty;var Xi=Object.getOwnPropertyDescriptor;var Gi=Object.getOwnPropertyNames;var ji=Object.getPrototypeOf,$i=Object.prototype.hasOwnProperty;var Ft=(t,o)=>()=>(o||t((o={exports:{}}).exports,o),o.exports);var Qi=(t,o,s,d)=>{if(o&&typeof o=="object"||typeof o=="function")for(let x of Gi(o))!$i.call(t,x)&&x!==s&&ii(t,x,{get:()=>o[x],enumerable:!(d=Xi(o,x))||d.enumerable});return t};var zt=(t,o,s)=>(s=t!=null?Ki(ji(t)):{},Qi(o||!t||!t.__esModule?ii(s,"default",{value:t,enumerable:!0}):s,t));var oi=Ft((ri,Ht)=>{(function(t,o){typeof Ht=="object"&&Ht.exports?Ht.exports=o():t.EvEmitter=o()})(typeof window!="undefined"?window:ri,function(){function t(){}let o=t.prototype;return o.on=function(s,d){if(!s||!d)return this;let x=this._events=this._events||{},c=x[s]=x[s]||[];return c.includes(d)||c.push(d),this},o.once=function(s,d){if(!s||!d)return this;this.on(s,d);let x=this._onceEvents=this._onceEvents||{},c=x[s]=x[s]||{};return c[d]=!0,this},o.off=function(s,d){let x=this._events&&this._events[s];if(!x||!x.length)return this;let c=x.indexOf(d);return c!=-1&&x.splice(c,1),this},o.emitEvent=function(s,d){let x=this._events&&this._events[s];if(!x||!x.length)return this;x=x.slice(0),d=d||[];let c=this._onceEvents&&this._onceEvents[s];for(let i of x)c&&c[i]&&(this.off(s,i),delete c[i]),i.apply(this,d);return this},o.allOff=function(){return delete this._events,delete this._onceEvents,this},t})});var si=Ft((ai,Bt)=>{(function(t,o){typeof Bt=="object"&&Bt.exports?Bt.exports=o(t,oi()):t.imagesLoaded=o(t,t.EvEmitter)})(typeof window!="undefined"?window:ai,function(o,s){let d=o.jQuery,x=o.console;function c(g){return Array.isArray(g)?g:typeof g=="object"&&typeof g.length=="number"?[...g]:[g]}function i(g,w,u){if(!(this instanceof i))return new i(g,w,u);let l=g;if(typeof g=="string"&&(l=document.querySelectorAll(g)),!l){x.error(`Bad element for imagesLoaded ${l||g}`);return}this.elements=c(l),this.options={},typeof w=="function"?u=w:Object.assign(this.options,w),u&&this.on("always",u),this.getImages(),d&&(this.jqDeferred=new d.Deferred),setTimeout(this.check.bind(this))}i.prototype=Object.create(s.prototype),i.prototype.getImages=function(){this.images=[],this.elements.forEach(this.addElementImages,this)};let M=[1,9,11];i.prototype.addElementImages=function(g){g.nodeName==="IMG"&&this.addImage(g),this.options.background===!0&&this.addElementBackgroundImages(g);let{nodeType:w}=g;if(!w||!M.includes(w))return;let u=g.querySelectorAll("img");for(let l of u)this.addImage(l);if(typeof this.options.background=="string"){let l=g.querySelectorAll(this.options.background);for(let v of l)this.addElementBackgroundImages(v)}};let k=/url\((['"])?(.*?)\1\)/gi;i.prototype.addElementBackgroundImages=function(g){let w=getComputedStyle(g);if(!w)return;let u=k.exec(w.backgroundImage);for(;u!==null;){let l=u&&u[2];l&&this.addBackground(l,g),u=k.exec(w.backgroundImage)}},i.prototype.addImage=function(g){let w=new f(g);this.images.push(w)},i.prototype.addBackground=function(g,w){let u=new T(g,w);this.images.push(u)},i.prototype.check=function(){if(this.progressedCount=0,this.hasAnyBroken=!1,!this.images.length){this.complete();return}let g=(w,u,l)=>{setTimeout(()=>{this.progress(w,u,l)})};this.images.forEach(function(w){w.once("progress",g),w.check()})},i.prototype.progress=function(g,w,u){this.progressedCount++,this.hasAnyBroken=this.hasAnyBroken||!g.isLoaded,this.emitEvent("progress",[this,g,w]),this.jqDeferred&&this.jqDeferred.notify&&this.jqDeferred.notify(this,g),this.progressedCount===this.images.length&&this.complete(),this.options.debug&&x&&x.log(`progress: ${u}`,g,w)},i.prototype.complete=function(){let g=this.hasAnyBroken?"fail":"done";if(this.isComplete=!0,this.emitEvent(g,[this]),this.emitEvent("always",[this]),this.jqDeferred){let w=this.hasAnyBroken?"reject":"resolve";this.jqDeferred[w](this)}};function f(g){this.img=g}f.prototype=Object.create(s.prototype),f.prototype.check=function(){if(this.getIsImageComplete()){this.confirm(this.img.naturalWidth!==0,"naturalWidth");return}this.proxyImage=new Image,this.img.crossOrigin&&(this.proxyImage.crossOrigin=this.img.crossOrigin),this.proxyImage.addEventListener("load",this),this.proxyImage.addEventListener("error",this),this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.proxyImage.src=this.img.currentSrc||this.img.src},f.prototype.getIsImageComplete=function(){return this.img.complete&&this.img.naturalWidth},f.prototype.confirm=function(g,w){this.isLoaded=g;let{parentNode:u}=this.img,l=u.nodeName==="PICTURE"?u:this.img;this.emitEvent("progress",[this,l,w])},f.prototype.handleEvent=function(g){let w="on"+g.type;this[w]&&this[w](g)},f.prototype.onload=function(){this.confirm(!0,"onload"),this.unbindEvents()},f.prototype.onerror=function(){this.confirm(!1,"onerror"),this.unbindEvents()},f.prototype.unbindEvents=function(){this.proxyImage.removeEventListener("load",this),this.proxyImage.removeEventListener("error",this),this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)};function T(g,w){this.url=g,this.element=w,this.img=new Image}return T.prototype=Object.create(f.prototype),T.prototype.check=function(){this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.img.src=this.url,this.getIsImageComplete()&&(this.confirm(this.img.naturalWidth!==0,"naturalWidth"),this.unbindEvents())},T.prototype.unbindEvents=function(){this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},T.prototype.confirm=function(g,w){this.isLoaded=g,this.emitEvent("progress",[this,this.element,w])},i.makeJQueryPlugin=function(g){g=g||o.jQuery,g&&(d=g,d.fn.imagesLoaded=function(w,u){return new i(this,w,u).jqDeferred.promise(d(this))})},i.makeJQueryPlugin(),i})});var di=Ft((pn,ci)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof pn=="object"?ci.exports=o():t.PhotoSwipe=o()})(pn,function(){"use strict";var t=function(o,s,d,x){var c={features:null,bind:function(e,n,r,a){var E=(a?"remove":"add")+"EventListener";n=n.split(" ");for(var V=0;V<n.length;V++)n[V]&&e[E](n[V],r,!1)},isArray:function(e){return e instanceof Array},createEl:function(e,n){var r=document.createElement(n||"div");return e&&(r.className=e),r},getScrollY:function(){var e=window.pageYOffset;return e!==void 0?e:document.documentElement.scrollTop},unbind:function(e,n,r){c.bind(e,n,r,!0)},removeClass:function(e,n){var r=new RegExp("(\\s|^)"+n+"(\\s|$)");e.className=e.className.replace(r," ").replace(/^\s\s*/,"").replace(/\s\s*$/,"")},addClass:function(e,n){c.hasClass(e,n)||(e.className+=(e.className?" ":"")+n)},hasClass:function(e,n){return e.className&&new RegExp("(^|\\s)"+n+"(\\s|$)").test(e.className)},getChildByClass:function(e,n){for(var r=e.firstChild;r;){if(c.hasClass(r,n))return r;r=r.nextSibling}},arraySearch:function(e,n,r){for(var a=e.length;a--;)if(e[a][r]===n)return a;return-1},extend:function(e,n,r){for(var a in n)if(n.hasOwnProperty(a)){if(r&&e.hasOwnProperty(a))continue;e[a]=n[a]}},easing:{sine:{out:function(e){return Math.sin(e*(Math.PI/2))},inOut:function(e){return-(Math.cos(Math.PI*e)-1)/2}},cubic:{out:function(e){return--e*e*e+1}}},detectFeatures:function(){if(c.features)return c.features;var e=c.createEl(),n=e.style,r="",a={};if(a.oldIE=document.all&&!document.addEventListener,a.touch="ontouchstart"in window,window.requestAnimationFrame&&(a.raf=window.requestAnimationFrame,a.caf=window.cancelAnimationFrame),a.pointerEvent=!!window.PointerEvent||navigator.msPointerEnabled,!a.pointerEvent){var E=navigator.userAgent;if(/iP(hone|od)/.test(navigator.platform)){var V=navigator.appVersion.match(/OS (\d+)_(\d+)_?(\d+)?/);V&&V.length>0&&(V=parseInt(V[1],10),V>=1&&V<8&&(a.isOldIOSPhone=!0))}var J=E.match(/Android\s([0-9\.]*)/),Q=J?J[1]:0;Q=parseFloat(Q),Q>=1&&(Q<4.4&&(a.isOldAndroid=!0),a.androidVersion=Q),a.isMobileOpera=/opera mini|opera mobi/i.test(E)}for(var ee,me,Ee=["transform","perspective","animationName"],rt=["","webkit","Moz","ms","O"],je=0;je<4;je++){r=rt[je];for(var St=0;St<3;St++)ee=Ee[St],me=r+(r?ee.charAt(0).toUpperCase()+ee.slice(1):ee),!a[ee]&&me in n&&(a[ee]=me);r&&!a.raf&&(r=r.toLowerCase(),a.raf=window[r+"RequestAnimationFrame"],a.raf&&(a.caf=window[r+"CancelAnimationFrame"]||window[r+"CancelRequestAnimationFrame"]))}if(!a.raf){var Pt=0;a.raf=function(Ke){var dn=new Date().getTime(),fn=Math.max(0,16-(dn-Pt)),Yi=window.setTimeout(function(){Ke(dn+fn)},fn);return Pt=dn+fn,Yi},a.caf=function(Ke){clearTimeout(Ke)}}return a.svg=!!document.createElementNS&&!!document.createElementNS("http://www.w3.org/2000/svg","svg").createSVGRect,c.features=a,a}};c.detectFeatures(),c.features.oldIE&&(c.bind=function(e,n,r,a){n=n.split(" ");for(var E,V=(a?"detach":"attach")+"Event",J=function(){r.handleEvent.call(r)},Q=0;Q<n.length;Q++)if(E=n[Q])if(typeof r=="object"&&r.handleEvent){if(a){if(!r["oldIE"+E])return!1}else r["oldIE"+E]=J;e[V]("on"+E,r["oldIE"+E])}else e[V]("on"+E,r)});var i=this,M=25,k=3,f={allowPanToNext:!0,spacing:.12,bgOpacity:1,mouseUsed:!1,loop:!0,pinchToClose:!0,closeOnScroll:!0,closeOnVerticalDrag:!0,verticalDragRange:.75,hideAnimationDuration:333,showAnimationDuration:333,showHideOpacity:!1,focus:!0,escKey:!0,arrowKeys:!0,mainScrollEndFriction:.35,panEndFriction:.35,isClickableElement:function(e){return e.tagName==="A"},getDoubleTapZoom:function(e,n){return e||n.initialZoomLevel<.7?1:1.33},maxSpreadZoom:1.33,modal:!0,scaleMode:"fit"};c.extend(f,x);var T,g,w,u,l,v,h,p,m,I,P,z,D,N,G,B,ne,ie,de,re,C,A,q,H,_,R,Y,oe,ue,S,F,Z,$,ce,ge,we,Ce,O,W,le,pe,Se,ve,ye,y,K,ae,fe,j,xe,be,ze,At,ot,ft,pt,ht,He=function(){return{x:0,y:0}},Be=He(),$e=He(),X=He(),Ae={},Ze=0,Qe={},Le=He(),Fe=0,mt=!0,b=[],L={},U=!1,te=function(e,n){c.extend(i,n.publicMethods),b.push(e)},Re=function(e){var n=Ne();return e>n-1?e-n:e<0?n+e:e},Te={},he=function(e,n){return Te[e]||(Te[e]=[]),Te[e].push(n)},se=function(e){var n=Te[e];if(n){var r=Array.prototype.slice.call(arguments);r.shift();for(var a=0;a<n.length;a++)n[a].apply(i,r)}},We=function(){return new Date().getTime()},Xe=function(e){ft=e,i.bg.style.opacity=e*f.bgOpacity},Pn=function(e,n,r,a,E){(!U||E&&E!==i.currItem)&&(a/=E?E.fitRatio:i.currItem.fitRatio),e[A]=z+n+"px, "+r+"px"+D+" scale("+a+")"},Ie=function(e){xe&&(e&&(I>i.currItem.fitRatio?U||(dt(i.currItem,!1,!0),U=!0):U&&(dt(i.currItem),U=!1)),Pn(xe,X.x,X.y,I))},Lt=function(e){e.container&&Pn(e.container.style,e.initialPosition.x,e.initialPosition.y,e.initialZoomLevel,e)},gt=function(e,n){n[A]=z+e+"px, 0px"+D},_t=function(e,n){if(!f.loop&&n){var r=u+(Le.x*Ze-e)/Le.x,a=Math.round(e-Ge.x);(r<0&&a>0||r>=Ne()-1&&a<0)&&(e=Ge.x+a*f.mainScrollEndFriction)}Ge.x=e,gt(e,l)},Zt=function(e,n){var r=Tt[e]-Qe[e];return $e[e]+Be[e]+r-r*(n/P)},Oe=function(e,n){e.x=n.x,e.y=n.y,n.id&&(e.id=n.id)},Fn=function(e){e.x=Math.round(e.x),e.y=Math.round(e.y)},Wt=null,Yt=function(){Wt&&(c.unbind(document,"mousemove",Yt),c.addClass(o,"pswp--has_mouse"),f.mouseUsed=!0,se("mouseUsed")),Wt=setTimeout(function(){Wt=null},100)},Ei=function(){c.bind(document,"keydown",i),F.transform&&c.bind(i.scrollWrap,"click",i),f.mouseUsed||c.bind(document,"mousemove",Yt),c.bind(window,"resize scroll orientationchange",i),se("bindEvents")},Si=function(){c.unbind(window,"resize scroll orientationchange",i),c.unbind(window,"scroll",m.scroll),c.unbind(document,"keydown",i),c.unbind(document,"mousemove",Yt),F.transform&&c.unbind(i.scrollWrap,"click",i),W&&c.unbind(window,h,i),clearTimeout(Z),se("unbindEvents")},Kt=function(e,n){var r=Mt(i.currItem,Ae,e);return n&&(j=r),r},Rn=function(e){return e||(e=i.currItem),e.initialZoomLevel},_n=function(e){return e||(e=i.currItem),e.w>0?f.maxSpreadZoom:1},Nn=function(e,n,r,a){return a===i.currItem.initialZoomLevel?(r[e]=i.currItem.initialPosition[e],!0):(r[e]=Zt(e,a),r[e]>n.min[e]?(r[e]=n.min[e],!0):r[e]<n.max[e]&&(r[e]=n.max[e],!0))},Ai=function(){if(A){var e=F.perspective&&!H;return z="translate"+(e?"3d(":"("),void(D=F.perspective?", 0px)":")")}A="left",c.addClass(o,"pswp--ie"),gt=function(n,r){r.left=n+"px"},Lt=function(n){var r=n.fitRatio>1?1:n.fitRatio,a=n.container.style,E=r*n.w,V=r*n.h;a.width=E+"px",a.height=V+"px",a.left=n.initialPosition.x+"px",a.top=n.initialPosition.y+"px"},Ie=function(){if(xe){var n=xe,r=i.currItem,a=r.fitRatio>1?1:r.fitRatio,E=a*r.w,V=a*r.h;n.width=E+"px",n.height=V+"px",n.left=X.x+"px",n.top=X.y+"px"}}},Li=function(e){var n="";f.escKey&&e.keyCode===27?n="close":f.arrowKeys&&(e.keyCode===37?n="prev":e.keyCode===39&&(n="next")),n&&(e.ctrlKey||e.altKey||e.shiftKey||e.metaKey||(e.preventDefault?e.preventDefault():e.returnValue=!1,i[n]()))},Ii=function(e){e&&(Se||pe||be||Ce)&&(e.preventDefault(),e.stopPropagation())},qn=function(){i.setScrollOffset(0,c.getScrollY())},_e={},vt=0,It=function(e){_e[e]&&(_e[e].raf&&R(_e[e].raf),vt--,delete _e[e])},Xt=function(e){_e[e]&&It(e),_e[e]||(vt++,_e[e]={})},kt=function(){for(var e in _e)_e.hasOwnProperty(e)&&It(e)},Ct=function(e,n,r,a,E,V,J){var Q,ee=We();Xt(e);var me=function(){if(_e[e]){if(Q=We()-ee,Q>=a)return It(e),V(r),void(J&&J());V((r-n)*E(Q/a)+n),_e[e].raf=_(me)}};me()},ki={shout:se,listen:he,viewportSize:Ae,options:f,isMainScrollAnimating:function(){return be},getZoomLevel:function(){return I},getCurrentIndex:function(){return u},isDragging:function(){return W},isZooming:function(){return K},setScrollOffset:function(e,n){Qe.x=e,S=Qe.y=n,se("updateScrollOffset",Qe)},applyZoomPan:function(e,n,r,a){X.x=n,X.y=r,I=e,Ie(a)},init:function(){if(!T&&!g){var e;i.framework=c,i.template=o,i.bg=c.getChildByClass(o,"pswp__bg"),Y=o.className,T=!0,F=c.detectFeatures(),_=F.raf,R=F.caf,A=F.transform,ue=F.oldIE,i.scrollWrap=c.getChildByClass(o,"pswp__scroll-wrap"),i.container=c.getChildByClass(i.scrollWrap,"pswp__container"),l=i.container.style,i.itemHolders=B=[{el:i.container.children[0],wrap:0,index:-1},{el:i.container.children[1],wrap:0,index:-1},{el:i.container.children[2],wrap:0,index:-1}],B[0].el.style.display=B[2].el.style.display="none",Ai(),m={resize:i.updateSize,orientationchange:function(){clearTimeout(Z),Z=setTimeout(function(){Ae.x!==i.scrollWrap.clientWidth&&i.updateSize()},500)},scroll:qn,keydown:Li,click:Ii};var n=F.isOldIOSPhone||F.isOldAndroid||F.isMobileOpera;for(F.animationName&&F.transform&&!n||(f.showAnimationDuration=f.hideAnimationDuration=0),e=0;e<b.length;e++)i["init"+b[e]]();if(s){var r=i.ui=new s(i,c);r.init()}se("firstUpdate"),u=u||f.index||0,(isNaN(u)||u<0||u>=Ne())&&(u=0),i.currItem=nt(u),(F.isOldIOSPhone||F.isOldAndroid)&&(mt=!1),o.setAttribute("aria-hidden","false"),f.modal&&(mt?o.style.position="fixed":(o.style.position="absolute",o.style.top=c.getScrollY()+"px")),S===void 0&&(se("initialLayout"),S=oe=c.getScrollY());var a="pswp--open ";for(f.mainClass&&(a+=f.mainClass+" "),f.showHideOpacity&&(a+="pswp--animate_opacity "),a+=H?"pswp--touch":"pswp--notouch",a+=F.animationName?" pswp--css_animation":"",a+=F.svg?" pswp--svg":"",c.addClass(o,a),i.updateSize(),v=-1,Fe=null,e=0;e<k;e++)gt((e+v)*Le.x,B[e].el.style);ue||c.bind(i.scrollWrap,p,i),he("initialZoomInEnd",function(){i.setContent(B[0],u-1),i.setContent(B[2],u+1),B[0].el.style.display=B[2].el.style.display="block",f.focus&&o.focus(),Ei()}),i.setContent(B[1],u),i.updateCurrItem(),se("afterInit"),mt||(N=setInterval(function(){vt||W||K||I!==i.currItem.initialZoomLevel||i.updateSize()},1e3)),c.addClass(o,"pswp--visible")}},close:function(){T&&(T=!1,g=!0,se("close"),Si(),Xn(i.currItem,null,!0,i.destroy))},destroy:function(){se("destroy"),ut&&clearTimeout(ut),o.setAttribute("aria-hidden","true"),o.className=Y,N&&clearInterval(N),c.unbind(i.scrollWrap,p,i),c.unbind(window,"scroll",i),$t(),kt(),Te=null},panTo:function(e,n,r){r||(e>j.min.x?e=j.min.x:e<j.max.x&&(e=j.max.x),n>j.min.y?n=j.min.y:n<j.max.y&&(n=j.max.y)),X.x=e,X.y=n,Ie()},handleEvent:function(e){e=e||window.event,m[e.type]&&m[e.type](e)},goTo:function(e){e=Re(e);var n=e-u;Fe=n,u=e,i.currItem=nt(u),Ze-=n,_t(Le.x*Ze),kt(),be=!1,i.updateCurrItem()},next:function(){i.goTo(u+1)},prev:function(){i.goTo(u-1)},updateCurrZoomItem:function(e){if(e&&se("beforeChange",0),B[1].el.children.length){var n=B[1].el.children[0];xe=c.hasClass(n,"pswp__zoom-wrap")?n.style:null}else xe=null;j=i.currItem.bounds,P=I=i.currItem.initialZoomLevel,X.x=j.center.x,X.y=j.center.y,e&&se("afterChange")},invalidateCurrItems:function(){G=!0;for(var e=0;e<k;e++)B[e].item&&(B[e].item.needsUpdate=!0)},updateCurrItem:function(e){if(Fe!==0){var n,r=Math.abs(Fe);if(!(e&&r<2)){i.currItem=nt(u),U=!1,se("beforeChange",Fe),r>=k&&(v+=Fe+(Fe>0?-k:k),r=k);for(var a=0;a<r;a++)Fe>0?(n=B.shift(),B[k-1]=n,v++,gt((v+2)*Le.x,n.el.style),i.setContent(n,u-r+a+1+1)):(n=B.pop(),B.unshift(n),v--,gt(v*Le.x,n.el.style),i.setContent(n,u+r-a-1-1));if(xe&&Math.abs(Fe)===1){var E=nt(ne);E.initialZoomLevel!==I&&(Mt(E,Ae),dt(E),Lt(E))}Fe=0,i.updateCurrZoomItem(),ne=u,se("afterChange")}}},updateSize:function(e){if(!mt&&f.modal){var n=c.getScrollY();if(S!==n&&(o.style.top=n+"px",S=n),!e&&L.x===window.innerWidth&&L.y===window.innerHeight)return;L.x=window.innerWidth,L.y=window.innerHeight,o.style.height=L.y+"px"}if(Ae.x=i.scrollWrap.clientWidth,Ae.y=i.scrollWrap.clientHeight,qn(),Le.x=Ae.x+Math.round(Ae.x*f.spacing),Le.y=Ae.y,_t(Le.x*Ze),se("beforeResize"),v!==void 0){for(var r,a,E,V=0;V<k;V++)r=B[V],gt((V+v)*Le.x,r.el.style),E=u+V-1,f.loop&&Ne()>2&&(E=Re(E)),a=nt(E),a&&(G||a.needsUpdate||!a.bounds)?(i.cleanSlide(a),i.setContent(r,E),V===1&&(i.currItem=a,i.updateCurrZoomItem(!0)),a.needsUpdate=!1):r.index===-1&&E>=0&&i.setContent(r,E),a&&a.container&&(Mt(a,Ae),dt(a),Lt(a));G=!1}P=I=i.currItem.initialZoomLevel,j=i.currItem.bounds,j&&(X.x=j.center.x,X.y=j.center.y,Ie(!0)),se("resize")},zoomTo:function(e,n,r,a,E){n&&(P=I,Tt.x=Math.abs(n.x)-X.x,Tt.y=Math.abs(n.y)-X.y,Oe($e,X));var V=Kt(e,!1),J={};Nn("x",V,J,e),Nn("y",V,J,e);var Q=I,ee={x:X.x,y:X.y};Fn(J);var me=function(Ee){Ee===1?(I=e,X.x=J.x,X.y=J.y):(I=(e-Q)*Ee+Q,X.x=(J.x-ee.x)*Ee+ee.x,X.y=(J.y-ee.y)*Ee+ee.y),E&&E(Ee),Ie(Ee===1)};r?Ct("customZoomTo",0,1,r,a||c.easing.sine.inOut,me):me(1)}},Vn=30,Gt=10,Me={},at={},De={},Pe={},yt={},Je=[],st={},lt=[],wt={},Nt=0,qt=He(),jt=0,Ge=He(),Tt=He(),bt=He(),Ci=function(e,n){return e.x===n.x&&e.y===n.y},Ti=function(e,n){return Math.abs(e.x-n.x)<M&&Math.abs(e.y-n.y)<M},Un=function(e,n){return wt.x=Math.abs(e.x-n.x),wt.y=Math.abs(e.y-n.y),Math.sqrt(wt.x*wt.x+wt.y*wt.y)},$t=function(){ve&&(R(ve),ve=null)},zn=function(){W&&(ve=_(zn),Ri())},Oi=function(){return!(f.scaleMode==="fit"&&I===i.currItem.initialZoomLevel)},Hn=function(e,n){return!(!e||e===document)&&!(e.getAttribute("class")&&e.getAttribute("class").indexOf("pswp__scroll-wrap")>-1)&&(n(e)?e:Hn(e.parentNode,n))},Qt={},Bn=function(e,n){return Qt.prevent=!Hn(e.target,f.isClickableElement),se("preventDragEvent",e,n,Qt),Qt.prevent},Zn=function(e,n){return n.x=e.pageX,n.y=e.pageY,n.id=e.identifier,n},Wn=function(e,n,r){r.x=.5*(e.x+n.x),r.y=.5*(e.y+n.y)},Mi=function(e,n,r){if(e-ce>50){var a=lt.length>2?lt.shift():{};a.x=n,a.y=r,lt.push(a),ce=e}},Yn=function(){var e=X.y-i.currItem.initialPosition.y;return 1-Math.abs(e/(Ae.y/2))},Ot={},Di={},et=[],Jt=function(e){for(;et.length>0;)et.pop();return q?(ht=0,Je.forEach(function(n){ht===0?et[0]=n:ht===1&&(et[1]=n),ht++})):e.type.indexOf("touch")>-1?e.touches&&e.touches.length>0&&(et[0]=Zn(e.touches[0],Ot),e.touches.length>1&&(et[1]=Zn(e.touches[1],Di))):(Ot.x=e.pageX,Ot.y=e.pageY,Ot.id="",et[0]=Ot),et},Kn=function(e,n){var r,a,E,V,J=0,Q=X[e]+n[e],ee=n[e]>0,me=Ge.x+n.x,Ee=Ge.x-st.x;return r=Q>j.min[e]||Q<j.max[e]?f.panEndFriction:1,Q=X[e]+n[e]*r,!f.allowPanToNext&&I!==i.currItem.initialZoomLevel||(xe?ze!=="h"||e!=="x"||pe||(ee?(Q>j.min[e]&&(r=f.panEndFriction,J=j.min[e]-Q,a=j.min[e]-$e[e]),(a<=0||Ee<0)&&Ne()>1?(V=me,Ee<0&&me>st.x&&(V=st.x)):j.min.x!==j.max.x&&(E=Q)):(Q<j.max[e]&&(r=f.panEndFriction,J=Q-j.max[e],a=$e[e]-j.max[e]),(a<=0||Ee>0)&&Ne()>1?(V=me,Ee>0&&me<st.x&&(V=st.x)):j.min.x!==j.max.x&&(E=Q))):V=me,e!=="x")?void(be||ye||I>i.currItem.fitRatio&&(X[e]+=n[e]*r)):(V!==void 0&&(_t(V,!0),ye=V!==st.x),j.min.x!==j.max.x&&(E!==void 0?X.x=E:ye||(X.x+=n.x*r)),V!==void 0)},Pi=function(e){if(!(e.type==="mousedown"&&e.button>0)){if(xt)return void e.preventDefault();if(!O||e.type!=="mousedown"){if(Bn(e,!0)&&e.preventDefault(),se("pointerDown"),q){var n=c.arraySearch(Je,e.pointerId,"id");n<0&&(n=Je.length),Je[n]={x:e.pageX,y:e.pageY,id:e.pointerId}}var r=Jt(e),a=r.length;y=null,kt(),W&&a!==1||(W=At=!0,c.bind(window,h,i),we=pt=ot=Ce=ye=Se=le=pe=!1,ze=null,se("firstTouchStart",r),Oe($e,X),Be.x=Be.y=0,Oe(Pe,r[0]),Oe(yt,Pe),st.x=Le.x*Ze,lt=[{x:Pe.x,y:Pe.y}],ce=$=We(),Kt(I,!0),$t(),zn()),!K&&a>1&&!be&&!ye&&(P=I,pe=!1,K=le=!0,Be.y=Be.x=0,Oe($e,X),Oe(Me,r[0]),Oe(at,r[1]),Wn(Me,at,bt),Tt.x=Math.abs(bt.x)-X.x,Tt.y=Math.abs(bt.y)-X.y,ae=fe=Un(Me,at))}}},Fi=function(e){if(e.preventDefault(),q){var n=c.arraySearch(Je,e.pointerId,"id");if(n>-1){var r=Je[n];r.x=e.pageX,r.y=e.pageY}}if(W){var a=Jt(e);if(ze||Se||K)y=a;else if(Ge.x!==Le.x*Ze)ze="h";else{var E=Math.abs(a[0].x-Pe.x)-Math.abs(a[0].y-Pe.y);Math.abs(E)>=Gt&&(ze=E>0?"h":"v",y=a)}}},Ri=function(){if(y){var e=y.length;if(e!==0)if(Oe(Me,y[0]),De.x=Me.x-Pe.x,De.y=Me.y-Pe.y,K&&e>1){if(Pe.x=Me.x,Pe.y=Me.y,!De.x&&!De.y&&Ci(y[1],at))return;Oe(at,y[1]),pe||(pe=!0,se("zoomGestureStarted"));var n=Un(Me,at),r=Ui(n);r>i.currItem.initialZoomLevel+i.currItem.initialZoomLevel/15&&(pt=!0);var a=1,E=Rn(),V=_n();if(r<E)if(f.pinchToClose&&!pt&&P<=i.currItem.initialZoomLevel){var J=E-r,Q=1-J/(E/1.2);Xe(Q),se("onPinchClose",Q),ot=!0}else a=(E-r)/E,a>1&&(a=1),r=E-a*(E/3);else r>V&&(a=(r-V)/(6*E),a>1&&(a=1),r=V+a*E);a<0&&(a=0),ae=n,Wn(Me,at,qt),Be.x+=qt.x-bt.x,Be.y+=qt.y-bt.y,Oe(bt,qt),X.x=Zt("x",r),X.y=Zt("y",r),we=r>I,I=r,Ie()}else{if(!ze||(At&&(At=!1,Math.abs(De.x)>=Gt&&(De.x-=y[0].x-yt.x),Math.abs(De.y)>=Gt&&(De.y-=y[0].y-yt.y)),Pe.x=Me.x,Pe.y=Me.y,De.x===0&&De.y===0))return;if(ze==="v"&&f.closeOnVerticalDrag&&!Oi()){Be.y+=De.y,X.y+=De.y;var ee=Yn();return Ce=!0,se("onVerticalDrag",ee),Xe(ee),void Ie()}Mi(We(),Me.x,Me.y),Se=!0,j=i.currItem.bounds;var me=Kn("x",De);me||(Kn("y",De),Fn(X),Ie())}}},_i=function(e){if(F.isOldAndroid){if(O&&e.type==="mouseup")return;e.type.indexOf("touch")>-1&&(clearTimeout(O),O=setTimeout(function(){O=0},600))}se("pointerUp"),Bn(e,!1)&&e.preventDefault();var n;if(q){var r=c.arraySearch(Je,e.pointerId,"id");if(r>-1)if(n=Je.splice(r,1)[0],navigator.msPointerEnabled){var a={4:"mouse",2:"touch",3:"pen"};n.type=a[e.pointerType],n.type||(n.type=e.pointerType||"mouse")}else n.type=e.pointerType||"mouse"}var E,V=Jt(e),J=V.length;if(e.type==="mouseup"&&(J=0),J===2)return y=null,!0;J===1&&Oe(yt,V[0]),J!==0||ze||be||(n||(e.type==="mouseup"?n={x:e.pageX,y:e.pageY,type:"mouse"}:e.changedTouches&&e.changedTouches[0]&&(n={x:e.changedTouches[0].pageX,y:e.changedTouches[0].pageY,type:"touch"})),se("touchRelease",e,n));var Q=-1;if(J===0&&(W=!1,c.unbind(window,h,i),$t(),K?Q=0:jt!==-1&&(Q=We()-jt)),jt=J===1?We():-1,E=Q!==-1&&Q<150?"zoom":"swipe",K&&J<2&&(K=!1,J===1&&(E="zoomPointerUp"),se("zoomGestureEnded")),y=null,Se||pe||be||Ce)if(kt(),ge||(ge=Ni()),ge.calculateSwipeSpeed("x"),Ce){var ee=Yn();if(ee<f.verticalDragRange)i.close();else{var me=X.y,Ee=ft;Ct("verticalDrag",0,1,300,c.easing.cubic.out,function(je){X.y=(i.currItem.initialPosition.y-me)*je+me,Xe((1-Ee)*je+Ee),Ie()}),se("onVerticalDrag",1)}}else{if((ye||be)&&J===0){var rt=Vi(E,ge);if(rt)return;E="zoomPointerUp"}if(!be)return E!=="swipe"?void zi():void(!ye&&I>i.currItem.fitRatio&&qi(ge))}},Ni=function(){var e,n,r={lastFlickOffset:{},lastFlickDist:{},lastFlickSpeed:{},slowDownRatio:{},slowDownRatioReverse:{},speedDecelerationRatio:{},speedDecelerationRatioAbs:{},distanceOffset:{},backAnimDestination:{},backAnimStarted:{},calculateSwipeSpeed:function(a){lt.length>1?(e=We()-ce+50,n=lt[lt.length-2][a]):(e=We()-$,n=yt[a]),r.lastFlickOffset[a]=Pe[a]-n,r.lastFlickDist[a]=Math.abs(r.lastFlickOffset[a]),r.lastFlickDist[a]>20?r.lastFlickSpeed[a]=r.lastFlickOffset[a]/e:r.lastFlickSpeed[a]=0,Math.abs(r.lastFlickSpeed[a])<.1&&(r.lastFlickSpeed[a]=0),r.slowDownRatio[a]=.95,r.slowDownRatioReverse[a]=1-r.slowDownRatio[a],r.speedDecelerationRatio[a]=1},calculateOverBoundsAnimOffset:function(a,E){r.backAnimStarted[a]||(X[a]>j.min[a]?r.backAnimDestination[a]=j.min[a]:X[a]<j.max[a]&&(r.backAnimDestination[a]=j.max[a]),r.backAnimDestination[a]!==void 0&&(r.slowDownRatio[a]=.7,r.slowDownRatioReverse[a]=1-r.slowDownRatio[a],r.speedDecelerationRatioAbs[a]<.05&&(r.lastFlickSpeed[a]=0,r.backAnimStarted[a]=!0,Ct("bounceZoomPan"+a,X[a],r.backAnimDestination[a],E||300,c.easing.sine.out,function(V){X[a]=V,Ie()}))))},calculateAnimOffset:function(a){r.backAnimStarted[a]||(r.speedDecelerationRatio[a]=r.speedDecelerationRatio[a]*(r.slowDownRatio[a]+r.slowDownRatioReverse[a]-r.slowDownRatioReverse[a]*r.timeDiff/10),r.speedDecelerationRatioAbs[a]=Math.abs(r.lastFlickSpeed[a]*r.speedDecelerationRatio[a]),r.distanceOffset[a]=r.lastFlickSpeed[a]*r.speedDecelerationRatio[a]*r.timeDiff,X[a]+=r.distanceOffset[a])},panAnimLoop:function(){if(_e.zoomPan&&(_e.zoomPan.raf=_(r.panAnimLoop),r.now=We(),r.timeDiff=r.now-r.lastNow,r.lastNow=r.now,r.calculateAnimOffset("x"),r.calculateAnimOffset("y"),Ie(),r.calculateOverBoundsAnimOffset("x"),r.calculateOverBoundsAnimOffset("y"),r.speedDecelerationRatioAbs.x<.05&&r.speedDecelerationRatioAbs.y<.05))return X.x=Math.round(X.x),X.y=Math.round(X.y),Ie(),void It("zoomPan")}};return r},qi=function(e){return e.calculateSwipeSpeed("y"),j=i.currItem.bounds,e.backAnimDestination={},e.backAnimStarted={},Math.abs(e.lastFlickSpeed.x)<=.05&&Math.abs(e.lastFlickSpeed.y)<=.05?(e.speedDecelerationRatioAbs.x=e.speedDecelerationRatioAbs.y=0,e.calculateOverBoundsAnimOffset("x"),e.calculateOverBoundsAnimOffset("y"),!0):(Xt("zoomPan"),e.lastNow=We(),void e.panAnimLoop())},Vi=function(e,n){var r;be||(Nt=u);var a;if(e==="swipe"){var E=Pe.x-yt.x,V=n.lastFlickDist.x<10;E>Vn&&(V||n.lastFlickOffset.x>20)?a=-1:E<-Vn&&(V||n.lastFlickOffset.x<-20)&&(a=1)}var J;a&&(u+=a,u<0?(u=f.loop?Ne()-1:0,J=!0):u>=Ne()&&(u=f.loop?0:Ne()-1,J=!0),J&&!f.loop||(Fe+=a,Ze-=a,r=!0));var Q,ee=Le.x*Ze,me=Math.abs(ee-Ge.x);return r||ee>Ge.x==n.lastFlickSpeed.x>0?(Q=Math.abs(n.lastFlickSpeed.x)>0?me/Math.abs(n.lastFlickSpeed.x):333,Q=Math.min(Q,400),Q=Math.max(Q,250)):Q=333,Nt===u&&(r=!1),be=!0,se("mainScrollAnimStart"),Ct("mainScroll",Ge.x,ee,Q,c.easing.cubic.out,_t,function(){kt(),be=!1,Nt=-1,(r||Nt!==u)&&i.updateCurrItem(),se("mainScrollAnimComplete")}),r&&i.updateCurrItem(!0),r},Ui=function(e){return 1/fe*e*P},zi=function(){var e=I,n=Rn(),r=_n();I<n?e=n:I>r&&(e=r);var a,E=1,V=ft;return ot&&!we&&!pt&&I<n?(i.close(),!0):(ot&&(a=function(J){Xe((E-V)*J+V)}),i.zoomTo(e,0,200,c.easing.cubic.out,a),!0)};te("Gestures",{publicMethods:{initGestures:function(){var e=function(n,r,a,E,V){ie=n+r,de=n+a,re=n+E,C=V?n+V:""};q=F.pointerEvent,q&&F.touch&&(F.touch=!1),q?navigator.msPointerEnabled?e("MSPointer","Down","Move","Up","Cancel"):e("pointer","down","move","up","cancel"):F.touch?(e("touch","start","move","end","cancel"),H=!0):e("mouse","down","move","up"),h=de+" "+re+" "+C,p=ie,q&&!H&&(H=navigator.maxTouchPoints>1||navigator.msMaxTouchPoints>1),i.likelyTouchDevice=H,m[ie]=Pi,m[de]=Fi,m[re]=_i,C&&(m[C]=m[re]),F.touch&&(p+=" mousedown",h+=" mousemove mouseup",m.mousedown=m[ie],m.mousemove=m[de],m.mouseup=m[re]),H||(f.allowPanToNext=!1)}}});var ut,tt,en,xt,nt,Ne,Hi,Xn=function(e,n,r,a){ut&&clearTimeout(ut),xt=!0,en=!0;var E;e.initialLayout?(E=e.initialLayout,e.initialLayout=null):E=f.getThumbBoundsFn&&f.getThumbBoundsFn(u);var V=r?f.hideAnimationDuration:f.showAnimationDuration,J=function(){It("initialZoom"),r?(i.template.removeAttribute("style"),i.bg.removeAttribute("style")):(Xe(1),n&&(n.style.display="block"),c.addClass(o,"pswp--animated-in"),se("initialZoom"+(r?"OutEnd":"InEnd"))),a&&a(),xt=!1};if(!V||!E||E.x===void 0)return se("initialZoom"+(r?"Out":"In")),I=e.initialZoomLevel,Oe(X,e.initialPosition),Ie(),o.style.opacity=r?0:1,Xe(1),void(V?setTimeout(function(){J()},V):J());var Q=function(){var ee=w,me=!i.currItem.src||i.currItem.loadError||f.showHideOpacity;e.miniImg&&(e.miniImg.style.webkitBackfaceVisibility="hidden"),r||(I=E.w/e.w,X.x=E.x,X.y=E.y-oe,i[me?"template":"bg"].style.opacity=.001,Ie()),Xt("initialZoom"),r&&!ee&&c.removeClass(o,"pswp--animated-in"),me&&(r?c[(ee?"remove":"add")+"Class"](o,"pswp--animate_opacity"):setTimeout(function(){c.addClass(o,"pswp--animate_opacity")},30)),ut=setTimeout(function(){if(se("initialZoom"+(r?"Out":"In")),r){var Ee=E.w/e.w,rt={x:X.x,y:X.y},je=I,St=ft,Pt=function(Ke){Ke===1?(I=Ee,X.x=E.x,X.y=E.y-S):(I=(Ee-je)*Ke+je,X.x=(E.x-rt.x)*Ke+rt.x,X.y=(E.y-S-rt.y)*Ke+rt.y),Ie(),me?o.style.opacity=1-Ke:Xe(St-Ke*St)};ee?Ct("initialZoom",0,1,V,c.easing.cubic.out,Pt,J):(Pt(1),ut=setTimeout(J,V+20))}else I=e.initialZoomLevel,Oe(X,e.initialPosition),Ie(),Xe(1),me?o.style.opacity=1:Xe(1),ut=setTimeout(J,V+20)},r?25:90)};Q()},Ve={},ct=[],Bi={index:0,errorMsg:'<div class="pswp__error-msg"><a href="%url%" target="_blank">The image</a> could not be loaded.</div>',forceProgressiveLoading:!1,preload:[1,1],getNumItemsFn:function(){return tt.length}},Gn=function(){return{center:{x:0,y:0},max:{x:0,y:0},min:{x:0,y:0}}},Zi=function(e,n,r){var a=e.bounds;a.center.x=Math.round((Ve.x-n)/2),a.center.y=Math.round((Ve.y-r)/2)+e.vGap.top,a.max.x=n>Ve.x?Math.round(Ve.x-n):a.center.x,a.max.y=r>Ve.y?Math.round(Ve.y-r)+e.vGap.top:a.center.y,a.min.x=n>Ve.x?0:a.center.x,a.min.y=r>Ve.y?e.vGap.top:a.center.y},Mt=function(e,n,r){if(e.src&&!e.loadError){var a=!r;if(a&&(e.vGap||(e.vGap={top:0,bottom:0}),se("parseVerticalMargin",e)),Ve.x=n.x,Ve.y=n.y-e.vGap.top-e.vGap.bottom,a){var E=Ve.x/e.w,V=Ve.y/e.h;e.fitRatio=E<V?E:V;var J=f.scaleMode;J==="orig"?r=1:J==="fit"&&(r=e.fitRatio),r>1&&(r=1),e.initialZoomLevel=r,e.bounds||(e.bounds=Gn())}return r?(Zi(e,e.w*r,e.h*r),a&&r===e.initialZoomLevel&&(e.initialPosition=e.bounds.center),e.bounds):void 0}return e.w=e.h=0,e.initialZoomLevel=e.fitRatio=1,e.bounds=Gn(),e.initialPosition=e.bounds.center,e.bounds},Vt=function(e,n,r,a,E,V){n.loadError||a&&(n.imageAppended=!0,dt(n,a,n===i.currItem&&U),r.appendChild(a),V&&setTimeout(function(){n&&n.loaded&&n.placeholder&&(n.placeholder.style.display="none",n.placeholder=null)},500))},jn=function(e){e.loading=!0,e.loaded=!1;var n=e.img=c.createEl("pswp__img","img"),r=function(){e.loading=!1,e.loaded=!0,e.loadComplete?e.loadComplete(e):e.img=null,n.onload=n.onerror=null,n=null};return n.onload=r,n.onerror=function(){e.loadError=!0,r()},n.src=e.src,n},$n=function(e,n){if(e.src&&e.loadError&&e.container)return n&&(e.container.innerHTML=""),e.container.innerHTML=f.errorMsg.replace("%url%",e.src),!0},dt=function(e,n,r){if(e.src){n||(n=e.container.lastChild);var a=r?e.w:Math.round(e.w*e.fitRatio),E=r?e.h:Math.round(e.h*e.fitRatio);e.placeholder&&!e.loaded&&(e.placeholder.style.width=a+"px",e.placeholder.style.height=E+"px"),n.style.width=a+"px",n.style.height=E+"px"}},Qn=function(){if(ct.length){for(var e,n=0;n<ct.length;n++)e=ct[n],e.holder.index===e.index&&Vt(e.index,e.item,e.baseDiv,e.img,!1,e.clearPlaceholder);ct=[]}};te("Controller",{publicMethods:{lazyLoadItem:function(e){e=Re(e);var n=nt(e);n&&(!n.loaded&&!n.loading||G)&&(se("gettingData",e,n),n.src&&jn(n))},initController:function(){c.extend(f,Bi,!0),i.items=tt=d,nt=i.getItemAt,Ne=f.getNumItemsFn,Hi=f.loop,Ne()<3&&(f.loop=!1),he("beforeChange",function(e){var n,r=f.preload,a=e===null||e>=0,E=Math.min(r[0],Ne()),V=Math.min(r[1],Ne());for(n=1;n<=(a?V:E);n++)i.lazyLoadItem(u+n);for(n=1;n<=(a?E:V);n++)i.lazyLoadItem(u-n)}),he("initialLayout",function(){i.currItem.initialLayout=f.getThumbBoundsFn&&f.getThumbBoundsFn(u)}),he("mainScrollAnimComplete",Qn),he("initialZoomInEnd",Qn),he("destroy",function(){for(var e,n=0;n<tt.length;n++)e=tt[n],e.container&&(e.container=null),e.placeholder&&(e.placeholder=null),e.img&&(e.img=null),e.preloader&&(e.preloader=null),e.loadError&&(e.loaded=e.loadError=!1);ct=null})},getItemAt:function(e){return e>=0&&tt[e]!==void 0&&tt[e]},allowProgressiveImg:function(){return f.forceProgressiveLoading||!H||f.mouseUsed||screen.width>1200},setContent:function(e,n){f.loop&&(n=Re(n));var r=i.getItemAt(e.index);r&&(r.container=null);var a,E=i.getItemAt(n);if(!E)return void(e.el.innerHTML="");se("gettingData",n,E),e.index=n,e.item=E;var V=E.container=c.createEl("pswp__zoom-wrap");if(!E.src&&E.html&&(E.html.tagName?V.appendChild(E.html):V.innerHTML=E.html),$n(E),Mt(E,Ae),!E.src||E.loadError||E.loaded)E.src&&!E.loadError&&(a=c.createEl("pswp__img","img"),a.style.opacity=1,a.src=E.src,dt(E,a),Vt(n,E,V,a,!0));else{if(E.loadComplete=function(ee){if(T){if(e&&e.index===n){if($n(ee,!0))return ee.loadComplete=ee.img=null,Mt(ee,Ae),Lt(ee),void(e.index===u&&i.updateCurrZoomItem());ee.imageAppended?!xt&&ee.placeholder&&(ee.placeholder.style.display="none",ee.placeholder=null):F.transform&&(be||xt)?ct.push({item:ee,baseDiv:V,img:ee.img,index:n,holder:e,clearPlaceholder:!0}):Vt(n,ee,V,ee.img,be||xt,!0)}ee.loadComplete=null,ee.img=null,se("imageLoadComplete",n,ee)}},c.features.transform){var J="pswp__img pswp__img--placeholder";J+=E.msrc?"":" pswp__img--placeholder--blank";var Q=c.createEl(J,E.msrc?"img":"");E.msrc&&(Q.src=E.msrc),dt(E,Q),V.appendChild(Q),E.placeholder=Q}E.loading||jn(E),i.allowProgressiveImg()&&(!en&&F.transform?ct.push({item:E,baseDiv:V,img:E.img,index:n,holder:e}):Vt(n,E,V,E.img,!0,!0))}en||n!==u?Lt(E):(xe=V.style,Xn(E,a||E.img)),e.el.innerHTML="",e.el.appendChild(V)},cleanSlide:function(e){e.img&&(e.img.onload=e.img.onerror=null),e.loaded=e.loading=e.img=e.imageAppended=!1}}});var it,tn={},nn=function(e,n,r){var a=document.createEvent("CustomEvent"),E={origEvent:e,target:e.target,releasePoint:n,pointerType:r||"touch"};a.initCustomEvent("pswpTap",!0,!0,E),e.target.dispatchEvent(a)};te("Tap",{publicMethods:{initTap:function(){he("firstTouchStart",i.onTapStart),he("touchRelease",i.onTapRelease),he("destroy",function(){tn={},it=null})},onTapStart:function(e){e.length>1&&(clearTimeout(it),it=null)},onTapRelease:function(e,n){if(n&&!Se&&!le&&!vt){var r=n;if(it&&(clearTimeout(it),it=null,Ti(r,tn)))return void se("doubleTap",r);if(n.type==="mouse")return void nn(e,n,"mouse");var a=e.target.tagName.toUpperCase();if(a==="BUTTON"||c.hasClass(e.target,"pswp__single-tap"))return void nn(e,n);Oe(tn,r),it=setTimeout(function(){nn(e,n),it=null},300)}}}});var qe;te("DesktopZoom",{publicMethods:{initDesktopZoom:function(){ue||(H?he("mouseUsed",function(){i.setupDesktopZoom()}):i.setupDesktopZoom(!0))},setupDesktopZoom:function(e){qe={};var n="wheel mousewheel DOMMouseScroll";he("bindEvents",function(){c.bind(o,n,i.handleMouseWheel)}),he("unbindEvents",function(){qe&&c.unbind(o,n,i.handleMouseWheel)}),i.mouseZoomedIn=!1;var r,a=function(){i.mouseZoomedIn&&(c.removeClass(o,"pswp--zoomed-in"),i.mouseZoomedIn=!1),I<1?c.addClass(o,"pswp--zoom-allowed"):c.removeClass(o,"pswp--zoom-allowed"),E()},E=function(){r&&(c.removeClass(o,"pswp--dragging"),r=!1)};he("resize",a),he("afterChange",a),he("pointerDown",function(){i.mouseZoomedIn&&(r=!0,c.addClass(o,"pswp--dragging"))}),he("pointerUp",E),e||a()},handleMouseWheel:function(e){if(I<=i.currItem.fitRatio)return f.modal&&(!f.closeOnScroll||vt||W?e.preventDefault():A&&Math.abs(e.deltaY)>2&&(w=!0,i.close())),!0;if(e.stopPropagation(),qe.x=0,"deltaX"in e)e.deltaMode===1?(qe.x=18*e.deltaX,qe.y=18*e.deltaY):(qe.x=e.deltaX,qe.y=e.deltaY);else if("wheelDelta"in e)e.wheelDeltaX&&(qe.x=-.16*e.wheelDeltaX),e.wheelDeltaY?qe.y=-.16*e.wheelDeltaY:qe.y=-.16*e.wheelDelta;else{if(!("detail"in e))return;qe.y=e.detail}Kt(I,!0);var n=X.x-qe.x,r=X.y-qe.y;(f.modal||n<=j.min.x&&n>=j.max.x&&r<=j.min.y&&r>=j.max.y)&&e.preventDefault(),i.panTo(n,r)},toggleDesktopZoom:function(e){e=e||{x:Ae.x/2+Qe.x,y:Ae.y/2+Qe.y};var n=f.getDoubleTapZoom(!0,i.currItem),r=I===n;i.mouseZoomedIn=!r,i.zoomTo(r?i.currItem.initialZoomLevel:n,e,333),c[(r?"remove":"add")+"Class"](o,"pswp--zoomed-in")}}});var rn,Jn,Dt,Ut,on,ei,ke,Et,an,sn,Ye,ln,Wi={history:!0,galleryUID:1},un=function(){return Ye.hash.substring(1)},ti=function(){rn&&clearTimeout(rn),Dt&&clearTimeout(Dt)},ni=function(){var e=un(),n={};if(e.length<5)return n;var r,a=e.split("&");for(r=0;r<a.length;r++)if(a[r]){var E=a[r].split("=");E.length<2||(n[E[0]]=E[1])}if(f.galleryPIDs){var V=n.pid;for(n.pid=0,r=0;r<tt.length;r++)if(tt[r].pid===V){n.pid=r;break}}else n.pid=parseInt(n.pid,10)-1;return n.pid<0&&(n.pid=0),n},cn=function(){if(Dt&&clearTimeout(Dt),vt||W)return void(Dt=setTimeout(cn,500));Ut?clearTimeout(Jn):Ut=!0;var e=u+1,n=nt(u);n.hasOwnProperty("pid")&&(e=n.pid);var r=ke+"&gid="+f.galleryUID+"&pid="+e;Et||Ye.hash.indexOf(r)===-1&&(sn=!0);var a=Ye.href.split("#")[0]+"#"+r;ln?"#"+r!==window.location.hash&&history[Et?"replaceState":"pushState"]("",document.title,a):Et?Ye.replace(a):Ye.hash=r,Et=!0,Jn=setTimeout(function(){Ut=!1},60)};te("History",{publicMethods:{initHistory:function(){if(c.extend(f,Wi,!0),f.history){Ye=window.location,sn=!1,an=!1,Et=!1,ke=un(),ln="pushState"in history,ke.indexOf("gid=")>-1&&(ke=ke.split("&gid=")[0],ke=ke.split("?gid=")[0]),he("afterChange",i.updateURL),he("unbindEvents",function(){c.unbind(window,"hashchange",i.onHashChange)});var e=function(){ei=!0,an||(sn?history.back():ke?Ye.hash=ke:ln?history.pushState("",document.title,Ye.pathname+Ye.search):Ye.hash=""),ti()};he("unbindEvents",function(){w&&e()}),he("destroy",function(){ei||e()}),he("firstUpdate",function(){u=ni().pid});var n=ke.indexOf("pid=");n>-1&&(ke=ke.substring(0,n),ke.slice(-1)==="&"&&(ke=ke.slice(0,-1))),setTimeout(function(){T&&c.bind(window,"hashchange",i.onHashChange)},40)}},onHashChange:function(){return un()===ke?(an=!0,void i.close()):void(Ut||(on=!0,i.goTo(ni().pid),on=!1))},updateURL:function(){ti(),on||(Et?rn=setTimeout(cn,800):cn())}}}),c.extend(i,ki)};return t})});var pi=Ft((hn,fi)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof hn=="object"?fi.exports=o():t.PhotoSwipeUI_Default=o()})(hn,function(){"use strict";var t=function(o,s){var d,x,c,i,M,k,f,T,g,w,u,l,v,h,p,m,I,P,z,D=this,N=!1,G=!0,B=!0,ne={barsSize:{top:44,bottom:"auto"},closeElClasses:["item","caption","zoom-wrap","ui","top-bar"],timeToIdle:4e3,timeToIdleOutside:1e3,loadingIndicatorDelay:1e3,addCaptionHTMLFn:function(O,W){return O.title?(W.children[0].innerHTML=O.title,!0):(W.children[0].innerHTML="",!1)},closeEl:!0,captionEl:!0,fullscreenEl:!0,zoomEl:!0,shareEl:!0,counterEl:!0,arrowEl:!0,preloaderEl:!0,tapToClose:!1,tapToToggleControls:!0,clickToCloseNonZoomable:!0,shareButtons:[{id:"facebook",label:"Share on Facebook",url:"https://www.facebook.com/sharer/sharer.php?u={{url}}"},{id:"twitter",label:"Tweet",url:"https://twitter.com/intent/tweet?text={{text}}&url={{url}}"},{id:"pinterest",label:"Pin it",url:"http://www.pinterest.com/pin/create/button/?url={{url}}&media={{image_url}}&description={{text}}"},{id:"download",label:"Download image",url:"{{raw_image_url}}",download:!0}],getImageURLForShare:function(){return o.currItem.src||""},getPageURLForShare:function(){return window.location.href},getTextForShare:function(){return o.currItem.title||""},indexIndicatorSep:" / ",fitControlsWidth:1200},ie=function(O){if(m)return!0;O=O||window.event,p.timeToIdle&&p.mouseUsed&&!g&&oe();for(var W,le,pe=O.target||O.srcElement,Se=pe.getAttribute("class")||"",ve=0;ve<we.length;ve++)W=we[ve],W.onTap&&Se.indexOf("pswp__"+W.name)>-1&&(W.onTap(),le=!0);if(le){O.stopPropagation&&O.stopPropagation(),m=!0;var ye=s.features.isOldAndroid?600:30;I=setTimeout(function(){m=!1},ye)}},de=function(){return!o.likelyTouchDevice||p.mouseUsed||screen.width>p.fitControlsWidth},re=function(O,W,le){s[(le?"add":"remove")+"Class"](O,"pswp__"+W)},C=function(){var O=p.getNumItemsFn()===1;O!==h&&(re(x,"ui--one-slide",O),h=O)},A=function(){re(f,"share-modal--hidden",B)},q=function(){return B=!B,B?(s.removeClass(f,"pswp__share-modal--fade-in"),setTimeout(function(){B&&A()},300)):(A(),setTimeout(function(){B||s.addClass(f,"pswp__share-modal--fade-in")},30)),B||_(),!1},H=function(O){O=O||window.event;var W=O.target||O.srcElement;return o.shout("shareLinkClick",O,W),!!W.href&&(!!W.hasAttribute("download")||(window.open(W.href,"pswp_share","scrollbars=yes,resizable=yes,toolbar=no,location=yes,width=550,height=420,top=100,left="+(window.screen?Math.round(screen.width/2-275):100)),B||q(),!1))},_=function(){for(var O,W,le,pe,Se,ve="",ye=0;ye<p.shareButtons.length;ye++)O=p.shareButtons[ye],le=p.getImageURLForShare(O),pe=p.getPageURLForShare(O),Se=p.getTextForShare(O),W=O.url.replace("{{url}}",encodeURIComponent(pe)).replace("{{image_url}}",encodeURIComponent(le)).replace("{{raw_image_url}}",le).replace("{{text}}",encodeURIComponent(Se)),ve+='<a href="'+W+'" target="_blank" class="pswp__share--'+O.id+'"'+(O.download?"download":"")+">"+O.label+"</a>",p.parseShareButtonOut&&(ve=p.parseShareButtonOut(O,ve));f.children[0].innerHTML=ve,f.children[0].onclick=H},R=function(O){for(var W=0;W<p.closeElClasses.length;W++)if(s.hasClass(O,"pswp__"+p.closeElClasses[W]))return!0},Y=0,oe=function(){clearTimeout(z),Y=0,g&&D.setIdle(!1)},ue=function(O){O=O||window.event;var W=O.relatedTarget||O.toElement;W&&W.nodeName!=="HTML"||(clearTimeout(z),z=setTimeout(function(){D.setIdle(!0)},p.timeToIdleOutside))},S=function(){p.fullscreenEl&&!s.features.isOldAndroid&&(d||(d=D.getFullscreenAPI()),d?(s.bind(document,d.eventK,D.updateFullscreen),D.updateFullscreen(),s.addClass(o.template,"pswp--supports-fs")):s.removeClass(o.template,"pswp--supports-fs"))},F=function(){p.preloaderEl&&(Z(!0),w("beforeChange",function(){clearTimeout(v),v=setTimeout(function(){o.currItem&&o.currItem.loading?(!o.allowProgressiveImg()||o.currItem.img&&!o.currItem.img.naturalWidth)&&Z(!1):Z(!0)},p.loadingIndicatorDelay)}),w("imageLoadComplete",function(O,W){o.currItem===W&&Z(!0)}))},Z=function(O){l!==O&&(re(u,"preloader--active",!O),l=O)},$=function(O){var W=O.vGap;if(de()){var le=p.barsSize;if(p.captionEl&&le.bottom==="auto")if(i||(i=s.createEl("pswp__caption pswp__caption--fake"),i.appendChild(s.createEl("pswp__caption__center")),x.insertBefore(i,c),s.addClass(x,"pswp__ui--fit")),p.addCaptionHTMLFn(O,i,!0)){var pe=i.clientHeight;W.bottom=parseInt(pe,10)||44}else W.bottom=le.top;else W.bottom=le.bottom==="auto"?0:le.bottom;W.top=le.top}else W.top=W.bottom=0},ce=function(){p.timeToIdle&&w("mouseUsed",function(){s.bind(document,"mousemove",oe),s.bind(document,"mouseout",ue),P=setInterval(function(){Y++,Y===2&&D.setIdle(!0)},p.timeToIdle/2)})},ge=function(){w("onVerticalDrag",function(W){G&&W<.95?D.hideControls():!G&&W>=.95&&D.showControls()});var O;w("onPinchClose",function(W){G&&W<.9?(D.hideControls(),O=!0):O&&!G&&W>.9&&D.showControls()}),w("zoomGestureEnded",function(){O=!1,O&&!G&&D.showControls()})},we=[{name:"caption",option:"captionEl",onInit:function(O){c=O}},{name:"share-modal",option:"shareEl",onInit:function(O){f=O},onTap:function(){q()}},{name:"button--share",option:"shareEl",onInit:function(O){k=O},onTap:function(){q()}},{name:"button--zoom",option:"zoomEl",onTap:o.toggleDesktopZoom},{name:"counter",option:"counterEl",onInit:function(O){M=O}},{name:"button--close",option:"closeEl",onTap:o.close},{name:"button--arrow--left",option:"arrowEl",onTap:o.prev},{name:"button--arrow--right",option:"arrowEl",onTap:o.next},{name:"button--fs",option:"fullscreenEl",onTap:function(){d.isFullscreen()?d.exit():d.enter()}},{name:"preloader",option:"preloaderEl",onInit:function(O){u=O}}],Ce=function(){var O,W,le,pe=function(ve){if(ve)for(var ye=ve.length,y=0;y<ye;y++){O=ve[y],W=O.className;for(var K=0;K<we.length;K++)le=we[K],W.indexOf("pswp__"+le.name)>-1&&(p[le.option]?(s.removeClass(O,"pswp__element--disabled"),le.onInit&&le.onInit(O)):s.addClass(O,"pswp__element--disabled"))}};pe(x.children);var Se=s.getChildByClass(x,"pswp__top-bar");Se&&pe(Se.children)};D.init=function(){s.extend(o.options,ne,!0),p=o.options,x=s.getChildByClass(o.scrollWrap,"pswp__ui"),w=o.listen,ge(),w("beforeChange",D.update),w("doubleTap",function(O){var W=o.currItem.initialZoomLevel;o.getZoomLevel()!==W?o.zoomTo(W,O,333):o.zoomTo(p.getDoubleTapZoom(!1,o.currItem),O,333)}),w("preventDragEvent",function(O,W,le){var pe=O.target||O.srcElement;pe&&pe.getAttribute("class")&&O.type.indexOf("mouse")>-1&&(pe.getAttribute("class").indexOf("__caption")>0||/(SMALL|STRONG|EM)/i.test(pe.tagName))&&(le.prevent=!1)}),w("bindEvents",function(){s.bind(x,"pswpTap click",ie),s.bind(o.scrollWrap,"pswpTap",D.onGlobalTap),o.likelyTouchDevice||s.bind(o.scrollWrap,"mouseover",D.onMouseOver)}),w("unbindEvents",function(){B||q(),P&&clearInterval(P),s.unbind(document,"mouseout",ue),s.unbind(document,"mousemove",oe),s.unbind(x,"pswpTap click",ie),s.unbind(o.scrollWrap,"pswpTap",D.onGlobalTap),s.unbind(o.scrollWrap,"mouseover",D.onMouseOver),d&&(s.unbind(document,d.eventK,D.updateFullscreen),d.isFullscreen()&&(p.hideAnimationDuration=0,d.exit()),d=null)}),w("destroy",function(){p.captionEl&&(i&&x.removeChild(i),s.removeClass(c,"pswp__caption--empty")),f&&(f.children[0].onclick=null),s.removeClass(x,"pswp__ui--over-close"),s.addClass(x,"pswp__ui--hidden"),D.setIdle(!1)}),p.showAnimationDuration||s.removeClass(x,"pswp__ui--hidden"),w("initialZoomIn",function(){p.showAnimationDuration&&s.removeClass(x,"pswp__ui--hidden")}),w("initialZoomOut",function(){s.addClass(x,"pswp__ui--hidden")}),w("parseVerticalMargin",$),Ce(),p.shareEl&&k&&f&&(B=!0),C(),ce(),S(),F()},D.setIdle=function(O){g=O,re(x,"ui--idle",O)},D.update=function(){G&&o.currItem?(D.updateIndexIndicator(),p.captionEl&&(p.addCaptionHTMLFn(o.currItem,c),re(c,"caption--empty",!o.currItem.title)),N=!0):N=!1,B||q(),C()},D.updateFullscreen=function(O){O&&setTimeout(function(){o.setScrollOffset(0,s.getScrollY())},50),s[(d.isFullscreen()?"add":"remove")+"Class"](o.template,"pswp--fs")},D.updateIndexIndicator=function(){p.counterEl&&(M.innerHTML=o.getCurrentIndex()+1+p.indexIndicatorSep+p.getNumItemsFn())},D.onGlobalTap=function(O){O=O||window.event;var W=O.target||O.srcElement;if(!m){if(O.detail&&O.detail.pointerType==="mouse"){if(R(W))return void o.close();s.hasClass(W,"pswp__img")&&(o.getZoomLevel()===1&&o.getZoomLevel()<=o.currItem.fitRatio?p.clickToCloseNonZoomable&&o.close():o.toggleDesktopZoom(O.detail.releasePoint))}else if(p.tapToToggleControls&&(G?D.hideControls():D.showControls()),p.tapToClose&&(s.hasClass(W,"pswp__img")||R(W)))return void o.close()}},D.onMouseOver=function(O){O=O||window.event;var W=O.target||O.srcElement;re(x,"ui--over-close",R(W))},D.hideControls=function(){s.addClass(x,"pswp__ui--hidden"),G=!1},D.showControls=function(){G=!0,N||D.update(),s.removeClass(x,"pswp__ui--hidden")},D.supportsFullscreen=function(){var O=document;return!!(O.exitFullscreen||O.mozCancelFullScreen||O.webkitExitFullscreen||O.msExitFullscreen)},D.getFullscreenAPI=function(){var O,W=document.documentElement,le="fullscreenchange";return W.requestFullscreen?O={enterK:"requestFullscreen",exitK:"exitFullscreen",elementK:"fullscreenElement",eventK:le}:W.mozRequestFullScreen?O={enterK:"mozRequestFullScreen",exitK:"mozCancelFullScreen",elementK:"mozFullScreenElement",eventK:"moz"+le}:W.webkitRequestFullscreen?O={enterK:"webkitRequestFullscreen",exitK:"webkitExitFullscreen",elementK:"webkitFullscreenElement",eventK:"webkit"+le}:W.msRequestFullscreen&&(O={enterK:"msRequestFullscreen",exitK:"msExitFullscreen",elementK:"msFullscreenElement",eventK:"MSFullscreenChange"}),O&&(O.enter=function(){return T=p.closeOnScroll,p.closeOnScroll=!1,this.enterK!=="webkitRequestFullscreen"?o.template[this.enterK]():void o.template[this.enterK](Element.ALLOW_KEYBOARD_INPUT)},O.exit=function(){return p.closeOnScroll=T,document[this.exitK]()},O.isFullscreen=function(){return document[this.elementK]}),O}};return t})});var vi=Ft((mn,gn)=>{(function(t,o){typeof mn=="object"&&typeof gn!="undefined"?gn.exports=o():typeof define=="function"&&define.amd?define(o):(t=typeof globalThis!="undefined"?globalThis:t||self).reframe=o()})(mn,function(){"use strict";function t(){for(var o=0,s=0,d=arguments.length;s<d;s++)o+=arguments[s].length;for(var x=Array(o),c=0,s=0;s<d;s++)for(var i=arguments[s],M=0,k=i.length;M<k;M++,c++)x[c]=i[M];return x}return function(o,s){return s===void 0&&(s="js-reframe"),(typeof o=="string"?t(document.querySelectorAll(o)):"length"in o?t(o):[o]).forEach(function(d){var x,c,i,M,k,f,T,g;d.className.split(" ").indexOf(s)!==-1||-1<d.style.width.indexOf("%")||(i=d.getAttribute("height")||d.offsetHeight,M=d.getAttribute("width")||d.offsetWidth,k=(typeof i=="string"?parseInt(i):i)/(typeof M=="string"?parseInt(M):M)*100,(f=document.createElement("div")).className=s,(T=f.style).position="relative",T.width="100%",T.paddingTop=k+"%",(g=d.style).position="absolute",g.width="100%",g.height="100%",g.left="0",g.top="0",(x=d.parentNode)!==null&&x!==void 0&&x.insertBefore(f,d),(c=d.parentNode)!==null&&c!==void 0&&c.removeChild(d),f.appendChild(d))})}})});var li=zt(si());function Ji(){let t=window.matchMedia("(max-width: 767px)"),o=document.querySelector(".gh-head-menu"),s=o==null?void 0:o.querySelector(".nav");if(!s)return;let d=document.querySelector(".gh-head-logo"),x=s.innerHTML;t.matches&&s.querySelectorAll("li").forEach(function(M,k){M.style.transitionDelay=`${.03*(k+1)}s`});let c=function(){if(t.matches)return;let i=[];for(;s.offsetWidth+64>o.offsetWidth&&s.lastElementChild;)i.unshift(s.lastElementChild),s.lastElementChild.remove();if(!i.length){document.body.classList.add("is-dropdown-loaded");return}let M=document.createElement("button");M.setAttribute("class","nav-more-toggle gh-icon-btn"),M.setAttribute("aria-label","More"),M.innerHTML='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" fill="currentColor"><path d="M21.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM13.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM5.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0z"></path></svg>';let k=document.createElement("div");k.setAttribute("class","gh-dropdown"),i.length>=10?(document.body.classList.add("is-dropdown-mega"),k.style.gridTemplateRows=`repeat(${Math.ceil(i.length/2)}, 1fr)`):document.body.classList.remove("is-dropdown-mega"),i.forEach(function(f){k.appendChild(f)}),M.appendChild(k),s.appendChild(M),document.body.classList.add("is-dropdown-loaded"),window.addEventListener("click",function(f){document.body.classList.contains("is-dropdown-open")?document.body.classList.remove("is-dropdown-open"):M.contains(f.target)&&document.body.classList.add("is-dropdown-open")})};(0,li.default)(d,function(){c()}),window.addEventListener("load",function(){d||c()}),window.addEventListener("resize",function(){setTimeout(()=>{s.innerHTML=x,c()},1)})}var ui=Ji;var hi=zt(di()),mi=zt(pi());function er(t){var o=function(d){d.preventDefault();for(var x=[],c=0,i=d.target.closest(".kg-card").previousElementSibling;i&&(i.classList.contains("kg-image-card")||i.classList.contains("kg-gallery-card"));){var M=[];i.querySelectorAll("img").forEach(function(u){M.push({src:u.getAttribute("src"),msrc:u.getAttribute("src"),w:u.getAttribute("width"),h:u.getAttribute("height"),el:u}),c+=1}),i=i.previousElementSibling,x=M.concat(x)}if(d.target.classList.contains("kg-image"))x.push({src:d.target.getAttribute("src"),msrc:d.target.getAttribute("src"),w:d.target.getAttribute("width"),h:d.target.getAttribute("height"),el:d.target});else{var k=!1;d.target.closest(".kg-gallery-card").querySelectorAll("img").forEach(function(u){x.push({src:u.getAttribute("src"),msrc:u.getAttribute("src"),w:u.getAttribute("width"),h:u.getAttribute("height"),el:u}),!k&&u!==d.target?c+=1:k=!0})}for(var f=d.target.closest(".kg-card").nextElementSibling;f&&(f.classList.contains("kg-image-card")||f.classList.contains("kg-gallery-card"));)f.querySelectorAll("img").forEach(function(u){x.push({src:u.getAttribute("src"),msrc:u.getAttribute("src"),w:u.getAttribute("width"),h:u.getAttribute("height"),el:u})}),f=f.nextElementSibling;var T=document.querySelectorAll(".pswp")[0],g={bgOpacity:.9,closeOnScroll:!0,fullscreenEl:!1,history:!1,index:c,shareEl:!1,zoomEl:!1,getThumbBoundsFn:function(u){var l=x[u].el,v=window.pageYOffset||document.documentElement.scrollTop,h=l.getBoundingClientRect();return{x:h.left,y:h.top+v,w:h.width}}},w=new hi.default(T,mi.default,x,g);return w.init(),!1},s=document.querySelectorAll(t);s.forEach(function(d){d.addEventListener("click",function(x){o(x)})})}var gi=er;var yi=zt(vi());(function(){var t=document.querySelector(".gh-burger");t&&t.addEventListener("click",function(){document.body.classList.contains("is-head-open")?document.body.classList.remove("is-head-open"):document.body.classList.add("is-head-open")})})();(function(){gi(".kg-image-card > .kg-image[width][height], .kg-gallery-image > img")})();(function(){let t=['.gh-content iframe[src*="youtube.com"]','.gh-content iframe[src*="youtube-nocookie.com"]','.gh-content iframe[src*="player.vimeo.com"]','.gh-content iframe[src*="kickstarter.com"][src*="video.html"]',".gh-content object",".gh-content embed"];(0,yi.default)(document.querySelectorAll(t.join(",")))})();(function(){ui()})();function vn(t){var o=t.getAttribute("data-portfolio-id")||"",s=t.classList.contains("portfolio-inline"),d="#"+(o?o+"/":"")+"book",x="#"+(o?o+"/":"")+"stack",c="(max-width: 767px) and (orientation: portrait)",i="portfolio-slide-view",M="(min-width: 1024px) and (orientation: landscape)",k=/\s*\[(single|pair)\]\s*$/i,f=["kg-width-wide","kg-width-full"],T=".kg-image-card, .kg-video-card, .kg-embed-card",g=t.querySelector(".portfolio-gallery"),w=de(),u=t.classList.contains("portfolio-dual-container"),l=s?["carousel"]:["carousel","stack"],v=u?["grid"].concat(l):l,h=w.length,p=window.matchMedia?window.matchMedia(c):null,m=window.matchMedia&&!s&&t.getAttribute("data-spreads")!=="off"?window.matchMedia(M):null,I=Se(),P=oe(),z=F(window.location.hash),D=z||0,N=z!==null?_(window.location.hash):u?"grid":Y(),G=null,B={change:[],spreads:[],filter:[]},ne=[],ie=!1;function de(){return g.querySelectorAll(".kg-gallery-card").forEach(function(b){var L=b.querySelector("figcaption"),U=b.querySelectorAll(".kg-gallery-image");U.forEach(function(te,Re){var Te=document.createElement("figure");for(Te.className="kg-card kg-image-card kg-gallery-slide";te.firstChild;)Te.appendChild(te.firstChild);var he=Te.querySelector("img");he&&he.classList.add("kg-image"),L&&Re===U.length-1&&(Te.classList.add("kg-card-hascaption"),Te.appendChild(L)),b.parentNode.insertBefore(Te,b)}),b.parentNode.removeChild(b)}),g.querySelectorAll(T)}function re(b){var L=b.indexOf("?");return L===-1?{route:b,query:""}:{route:b.slice(0,L),query:b.slice(L)}}function C(b){if(!H(window.location.hash))return null;var L=re(window.location.hash).query.slice(1);if(!L)return null;for(var U=L.split("&"),te=0;te<U.length;te++){var Re=U[te].split("=");if(A(Re[0])===b)return Re.length>1?A(Re[1]):""}return null}function A(b){try{return decodeURIComponent(b)}catch(L){return b}}function q(b){for(var L=re(b).route,U=[d,x],te=0;te<U.length;te++)if(L===U[te]||L.indexOf(U[te]+"/")===0)return U[te];return null}function H(b){return q(b)!==null}function _(b){return q(b)===x&&R("stack")?"stack":Y()}function R(b){return l.indexOf(b)!==-1}function Y(){return P||(p&&p.matches&&R("stack")?"stack":"carousel")}function oe(){try{var b=localStorage.getItem(i);return l.indexOf(b)!==-1?b:null}catch(L){return null}}function ue(b){P=b;try{localStorage.setItem(i,b)}catch(L){}}function S(b){var L=b.querySelector("img, video");if(!L)return"";var U=L.getAttribute("data-virtual-src")||L.getAttribute("src")||"",te=A(U.split(/[?#]/)[0].split("/").pop());return te.replace(/\.[^.]+$/,"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")}function F(b){var L=q(b);if(!L)return null;var U=re(b).route.slice(L.length+1);if(!U)return 0;if(/^\d+$/.test(U))return $(parseInt(U,10)-1);U=U.toLowerCase();for(var te=0;te<h;te++)if(S(w[te])===U)return te;return 0}function Z(b,L){return(b==="stack"?x:d)+"/"+(L+1)}function $(b){return Math.max(0,Math.min(b,h-1))}function ce(b,L,U){if(!(h===0||isNaN(b))&&(b=$(b),!(b===D&&L===N))){var te={index:b,view:L,previousIndex:D,previousView:N,source:U||"api"};R(L)&&R(te.previousView)&&L!==te.previousView&&te.source!=="screen"&&ue(L),D=b,N=L,ye(),ge(te),we("change",te)}}function ge(b){if(b.source!=="hash"){var L=window.location.hash,U=window.location.pathname+window.location.search;if(R(b.view)){var te=Z(b.view,b.index)+(H(L)?re(L).query:"");if(L===te)return;R(b.previousView)?history.replaceState(null,"",U+te):history.pushState(null,"",U+te)}else H(L)&&history.pushState(null,"",U)}}function we(b,L){B[b].slice().forEach(function(U){U(L)})}function Ce(b,L){typeof b=="number"&&ce(b,N,L&&L.source)}function O(b){var L=K(D),U=L[L.length-1]+1;U>=h||Ce(U,b)}function W(b){var L=K(D)[0]-1;L<0||Ce(K(L)[0],b)}function le(b){var L=b.getAttribute("alt")||"",U=L.match(k);return U?(b.setAttribute("alt",L.replace(k,"")),U[1].toLowerCase()):null}function pe(b){var L=b.querySelector("img");if(!L)return"single";var U=le(L);if(U)return U;var te=f.some(function(he){return b.classList.contains(he)});if(te)return"single";var Re=parseInt(L.getAttribute("width"),10)||0,Te=parseInt(L.getAttribute("height"),10)||0;return Re>0&&Te>Re?"portrait":"single"}function Se(){for(var b=Array.prototype.map.call(w,pe),L=[],U=0;U<h;){var te=b[U]==="pair"||b[U]==="portrait"&&b[U+1]==="portrait";te&&U+1<h?(L[U]=L[U+1]=[U,U+1],U+=2):(L[U]=[U],U+=1)}return L}function ve(){I.forEach(function(b,L){b.length<2||w[L].classList.add(b[0]===L?"is-spread-start":"is-spread-end")})}function ye(){t.classList.toggle("is-spreads",y())}function y(){return N==="carousel"&&!!(m&&m.matches)}function K(b){return!y()||!I[b]?[b]:I[b].slice()}function ae(b,L){if(L=L||{},v.indexOf(b)!==-1){var U=typeof L.index=="number"?L.index:D;ce(U,b,L.source)}}function fe(b){G=b?b.filter(function(L){return L>=0&&L<h}).sort(function(L,U){return L-U}):null,we("filter",{filter:j()})}function j(){return G?G.slice():null}function xe(b,L){!B[b]||typeof L!="function"||B[b].push(L)}function be(b,L){B[b]&&(B[b]=B[b].filter(function(U){return U!==L}))}function ze(b){ie=!0,b.focus({preventScroll:!0}),ie=!1}function At(b){!b||!b.key||typeof b.handler!="function"||ne.push(b)}function ot(b,L){return!b.view||[].concat(b.view).indexOf(L)!==-1}function ft(b){return ne.filter(function(L){return!b||ot(L,b)})}function pt(){return!!(window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches)}function ht(b){var L=b.target,U=L===document||L===document.body||L===document.documentElement;return U&&!s||t.contains(L)}function He(b){var L=b.target;return!L||!L.tagName?!1:L.isContentEditable||/^(INPUT|TEXTAREA|SELECT)$/.test(L.tagName)}function Be(b){if(b.ctrlKey||b.metaKey||b.altKey||He(b))return!1;for(var L=0;L<ne.length;L++){var U=ne[L];if(U.key.toLowerCase()===b.key.toLowerCase()&&ot(U,N))return b.preventDefault(),U.handler(b),!0}return!1}function $e(){var b=F(window.location.hash);b!==null?ce(b,_(window.location.hash),"hash"):u&&ce(D,"grid","hash")}function X(){P||!R(N)||ce(D,Y(),"screen")}function Ae(){ye(),we("spreads",{spreads:y()})}function Ze(b){var L={source:"keyboard"};if(ht(b)&&!Be(b)){if(R(N)){switch(b.key){case"ArrowRight":case"ArrowDown":b.preventDefault(),O(L);break;case"ArrowLeft":case"ArrowUp":b.preventDefault(),W(L);break;case"Home":b.preventDefault(),Ce(0,L);break;case"End":b.preventDefault(),Ce(K(h-1)[0],L);break;case"Escape":u&&(b.preventDefault(),ae("grid",L));break}return}(b.key==="Enter"||b.key===" ")&&b.target.classList&&b.target.classList.contains("portfolio-grid-item")&&(b.preventDefault(),ae(Y(),{index:parseInt(b.target.getAttribute("data-index"),10),source:"keyboard"}))}}function Qe(b){var L=w[b]&&w[b].querySelector("img");if(!L)return null;function U(te){return L.getAttribute("data-virtual-"+te)||L.getAttribute(te)||""}return{src:U("src"),srcset:U("srcset"),sizes:L.getAttribute("sizes")||"",alt:L.getAttribute("alt")||"",width:parseInt(L.getAttribute("width"),10)||L.naturalWidth||0,height:parseInt(L.getAttribute("height"),10)||L.naturalHeight||0,element:L}}function Le(b,L){b&&(b.addEventListener?b.addEventListener("change",L):b.addListener&&b.addListener(L))}function Fe(b){var L=w[b],U=L&&L.classList.contains("kg-video-card")?L.querySelector("video"):null;return U?{src:U.getAttribute("src")||"",poster:L.getAttribute("data-kg-custom-thumbnail")||L.getAttribute("data-kg-thumbnail")||U.getAttribute("poster")||"",width:parseInt(U.getAttribute("width"),10)||U.videoWidth||0,height:parseInt(U.getAttribute("height"),10)||U.videoHeight||0,element:U}:null}function mt(b){var L=w[b];return L?L.classList.contains("kg-video-card")?"video":L.classList.contains("kg-embed-card")?"embed":"image":null}return window.addEventListener("hashchange",$e),document.addEventListener("keydown",Ze),ve(),ye(),Le(p,X),Le(m,Ae),{container:t,id:o,goTo:Ce,next:O,prev:W,setView:ae,on:xe,off:be,addShortcut:At,getHashParam:C,setFilter:fe,getFilter:j,isDualView:u,getIndex:function(){return D},getView:function(){return N},getTotal:function(){return h},getSlides:function(){return w},isSlideView:R,getSlideView:Y,getImage:Qe,getVideo:Fe,getSlideType:mt,getSpread:K,hasSpreads:y,prefersReducedMotion:pt,moveFocus:ze,isMovingFocus:function(){return ie},getShortcuts:ft}}var tr=(function(){var t=["masonry","justified","square"],o=3,s=32,d=320,x=1.5;function c(u){return t.indexOf(u)!==-1}function i(u,l,v){var h=parseFloat(u.getPropertyValue(l));return isNaN(h)||h<0?v:h}function M(u){var l=u.querySelector("img");if(!l)return x;var v=parseFloat(l.getAttribute("width"))||l.naturalWidth,h=parseFloat(l.getAttribute("height"))||l.naturalHeight;return v&&h?v/h:x}function k(u,l,v){for(var h=Math.max(1,Math.round(v.columns)),p=(l-v.gap*(h-1))/h,m=[],I,P=0;P<h;P++)m.push(0);return I=u.map(function(z,D){var N=D%h,G=p/z,B={left:N*(p+v.gap),top:m[N],width:p,height:G};return m[N]+=G+v.gap,B}),{boxes:I,height:Math.max(0,Math.max.apply(null,m)-v.gap)}}function f(u,l,v){var h=[],p=0,m=[],I=0;function P(z){var D=0;m.forEach(function(N){var G=u[N]*z;h[N]={left:D,top:p,width:G,height:z},D+=G+v.gap}),p+=z+v.gap,m=[],I=0}return u.forEach(function(z,D){m.push(D),I+=z;var N=v.gap*(m.length-1);I*v.rowHeight+N>=l&&P((l-N)/I)}),m.length&&P(Math.min(v.rowHeight,(l-v.gap*(m.length-1))/I)),{boxes:h,height:Math.max(0,p-v.gap)}}function T(u,l,v){var h=Math.max(1,Math.round(v.columns)),p=(l-v.gap*(h-1))/h,m=Math.ceil(u.length/h);return{boxes:u.map(function(I,P){return{left:P%h*(p+v.gap),top:Math.floor(P/h)*(p+v.gap),width:p,height:p}}),height:Math.max(0,m*(p+v.gap)-v.gap)}}var g={masonry:k,justified:f,square:T};function w(u,l){var v=c(l.layout)?l.layout:t[0],h=l.itemSelector,p=0,m=null,I=null;function P(){var B=u.clientWidth;if(B){var ne=getComputedStyle(u),ie={top:i(ne,"padding-top",0),right:i(ne,"padding-right",0),bottom:i(ne,"padding-bottom",0),left:i(ne,"padding-left",0)},de=u.querySelectorAll(h),re=B-ie.left-ie.right,C=g[v](Array.prototype.map.call(de,M),re,{columns:i(ne,"--grid-columns",o),gap:i(ne,"--grid-gap",s),rowHeight:i(ne,"--grid-row-height",d)});Array.prototype.forEach.call(de,function(A,q){var H=C.boxes[q];A.style.position="absolute",A.style.left=ie.left+H.left+"px",A.style.top=ie.top+H.top+"px",A.style.width=H.width+"px",A.style.height=H.height+"px"}),u.style.height=ne.boxSizing==="border-box"?ie.top+C.height+ie.bottom+"px":C.height+"px",p=B,u.classList.contains("is-laid-out")||requestAnimationFrame(function(){u.classList.add("is-laid-out")})}}function z(){m||(m=requestAnimationFrame(function(){m=null,P()}))}function D(){u.clientWidth!==p&&z()}function N(B){B.target.tagName==="IMG"&&!B.target.getAttribute("height")&&z()}function G(){I?I.disconnect():window.removeEventListener("resize",D),u.removeEventListener("load",N,!0),m&&(cancelAnimationFrame(m),m=null),Array.prototype.forEach.call(u.querySelectorAll(h),function(B){["position","left","top","width","height"].forEach(function(ne){B.style[ne]=""})}),u.style.height="",u.classList.remove("grid-layout","grid-layout-"+v,"is-laid-out")}return u.classList.add("grid-layout","grid-layout-"+v),typeof ResizeObserver!="undefined"?(I=new ResizeObserver(D),I.observe(u)):window.addEventListener("resize",D),u.addEventListener("load",N,!0),P(),{layout:P,destroy:G,getLayout:function(){return v}}}return{create:w,isLayout:c,LAYOUTS:t}})(),yn=tr;var nr=(function(){var t=[{format:"avif",type:"image/avif"},{format:"webp",type:"image/webp"}],o="/assets/images/photos/",s=null;function d(){if(s)return s;var k=document.querySelector('meta[name="picture-manifest"]'),f=k&&k.getAttribute("content");if(!f||!window.fetch)return s=Promise.resolve({}),s;var T=new URL(f,window.location.href).href;return s=fetch(T).then(function(g){return g.ok?g.json():{}}).then(function(g){return x(g,T)}).catch(function(){return{}}),s}function x(k,f){return Object.keys(k).forEach(function(T){var g=k[T].sources||{};Object.keys(g).forEach(function(w){g[w]=g[w].split(",").map(function(u){var l=u.trim().split(/\s+/);return l[0]=new URL(l[0],f).href,l.join(" ")}).join(", ")})}),k}function c(k){var f=(k||"").split(/[?#]/)[0],T=f.indexOf(o);if(T===-1)return null;var g=f.substring(T+o.length);if(!g||g.indexOf("/")!==-1)return null;try{g=decodeURIComponent(g)}catch(w){}return g.replace(/\.[^.]+$/,"")}function i(k,f){var T=k.querySelector("img");if(!(!T||k.querySelector("source"))){var g=T.classList.contains("is-parked"),w=g?"data-virtual-srcset":"srcset",u=c(T.getAttribute(g?"data-virtual-src":"src")),l=u&&f[u];if(!(!l||!l.sources)){var v=T.getAttribute("sizes");t.forEach(function(h){if(l.sources[h.format]){var p=document.createElement("source");p.type=h.type,p.setAttribute(w,l.sources[h.format]),v&&(p.sizes=v),k.insertBefore(p,T)}}),l.sources.jpeg&&T.setAttribute(w,l.sources.jpeg),l.width&&l.height&&(T.setAttribute("width",l.width),T.setAttribute("height",l.height))}}}function M(k){return d().then(function(f){if(Object.keys(f).length!==0){var T=k&&k.length!==void 0?k:[k||document];Array.prototype.forEach.call(T,function(g){var w=g.tagName==="PICTURE"?[g]:g.querySelectorAll("picture");Array.prototype.forEach.call(w,function(u){i(u,f)})})}})}return{load:d,apply:M,getKey:c}})(),Rt=nr;var ir=(function(){var t="w150",o=400;function s(T){var g=/^(.*\/content\/images\/)(?:size\/[^/]+\/)?((?:\d{4}\/\d{2}\/)?[^/?#]+\.(?:jpe?g|png|webp|avif))([?#].*)?$/i.exec(T||"");return g?g[1]+"size/"+t+"/"+g[2]:null}function d(T){return T.complete&&T.naturalWidth>0}function x(T){return T.complete}function c(T){return!!(T.getAttribute("width")&&T.getAttribute("height"))}function i(T,g,w){c(T)||!g||!w||(T.setAttribute("width",g),T.setAttribute("height",w))}function M(T,g,w){return new Promise(function(u){var l=new Image;l.onload=function(){i(T,l.naturalWidth,l.naturalHeight),u()},l.onerror=function(){u()},g.style.backgroundImage='url("'+w+'")',l.src=w})}function k(T,g){T.classList.add("is-loaded"),setTimeout(function(){g.parentNode&&g.parentNode.removeChild(g),T.classList.remove("has-placeholder","is-loaded")},o)}function f(T,g){if(!T||!g||x(T))return Promise.resolve();var w=document.createElement("span");w.className="image-placeholder",w.setAttribute("aria-hidden","true"),g.classList.add("has-placeholder"),g.insertBefore(w,g.firstChild);var u=new Promise(function(p){function m(){i(T,T.naturalWidth,T.naturalHeight),T.removeEventListener("load",m),T.removeEventListener("error",m),k(g,w),p()}T.addEventListener("load",m),T.addEventListener("error",m)}),l=T.getAttribute("data-placeholder")||s(T.getAttribute("src")),v=l?M(T,w,l):null;if(!T.getAttribute("data-placeholder")){var h=Rt.load().then(function(p){var m=Rt.getKey(T.getAttribute("src")),I=m&&p[m];if(I&&(I.color&&(w.style.backgroundColor=I.color),i(T,I.width,I.height),I.placeholder&&!d(T)))return M(T,w,I.placeholder)});v=v||h}return c(T)?Promise.resolve():v?Promise.race([v.then(function(){return c(T)||x(T)?null:u}),u]):u}return{attach:f,getGhostSize:s}})(),Ue=ir;function wn(t){if(!t.isDualView)return;var o=t.container,s=o.querySelector(".portfolio-gallery"),d=o.querySelector(".portfolio-grid"),x=o.querySelector(".portfolio-close-btn"),c=t.getSlides(),i=c.length,M=l(),k=null,f=null;function T(){i!==0&&(v(),t.isSlideView(t.getView())?g(t.getIndex()):u(),requestAnimationFrame(function(){requestAnimationFrame(function(){o.classList.add("view-visible"),t.getView()==="grid"&&m()})}),C())}function g(A){o.classList.add("view-carousel"),s.setAttribute("aria-hidden","false"),d.setAttribute("aria-hidden","true"),w(A)}function w(A){var q=t.getSpread(A),H=c[q[0]];if(H){var _=t.getView()==="stack";H.scrollIntoView({behavior:"instant",block:_?"center":"nearest",inline:_?"nearest":q.length>1?"end":"center"})}}function u(){o.classList.add("view-grid"),s.setAttribute("aria-hidden","true"),d.setAttribute("aria-hidden","false")}function l(){var A=o.getAttribute("data-layout");return yn.isLayout(A)?A:"masonry"}function v(){var A=[];d.classList.add("portfolio-grid-"+M),c.forEach(function(q,H){var _=t.getSlideType(H),R;if(_!=="image"){R=p(H,_),d.appendChild(R);var Y=R.querySelector("img");Y&&A.push(Ue.attach(Y,R));return}var oe=q.querySelector("img");if(oe){R=h(H,"image");var ue=document.createElement("img");ue.src=oe.src,ue.alt=oe.alt||"",ue.loading="lazy",oe.getAttribute("width")&&oe.getAttribute("height")&&(ue.setAttribute("width",oe.getAttribute("width")),ue.setAttribute("height",oe.getAttribute("height"))),oe.srcset&&(ue.srcset=oe.srcset),ue.sizes="(min-width: 1200px) 33vw, (min-width: 768px) 50vw, 100vw";var S=document.createElement("picture");S.appendChild(ue),R.appendChild(S),d.appendChild(R),A.push(Ue.attach(ue,R))}}),f=Promise.all(A),Rt.apply(d)}function h(A,q){var H=document.createElement("div");return H.className="portfolio-grid-item",H.setAttribute("data-index",A),H.setAttribute("role","button"),H.setAttribute("tabindex","0"),H.setAttribute("aria-label","View "+q+" "+(A+1)+" of "+i+" in carousel"),H}function p(A,q){var H=h(A,q);H.classList.add("portfolio-grid-"+q);var _=t.getVideo(A);if(!_||!_.poster)return H;var R=document.createElement("img");return R.src=_.poster,R.alt="",R.loading="lazy",_.width&&_.height&&(R.setAttribute("width",_.width),R.setAttribute("height",_.height)),H.appendChild(R),H}function m(A){if(k){A&&A();return}(f||Promise.resolve()).then(function(){I(),A&&A()})}function I(){k||(k=yn.create(d,{layout:M,itemSelector:".portfolio-grid-item:not(.is-filtered-out)"}))}function P(){k&&k.layout()}var z=300;function D(){return t.prefersReducedMotion()?0:z}function N(A){var q=document.activeElement;!A||q&&q!==document.body&&!o.contains(q)||t.moveFocus(A)}function G(A){o.classList.remove("view-visible"),setTimeout(function(){o.classList.remove("view-grid"),o.classList.add("view-carousel"),s.setAttribute("aria-hidden","false"),d.setAttribute("aria-hidden","true"),w(A),N(c[A]),requestAnimationFrame(function(){o.classList.add("view-visible")})},D())}function B(A){o.classList.remove("view-visible"),setTimeout(function(){o.classList.remove("view-carousel"),o.classList.add("view-grid"),s.setAttribute("aria-hidden","true"),d.setAttribute("aria-hidden","false");function q(){var H=d.querySelector('.portfolio-grid-item[data-index="'+A+'"]:not(.is-filtered-out)')||d.querySelector(".portfolio-grid-item:not(.is-filtered-out)");H&&H.scrollIntoView({behavior:"instant",block:"center"}),N(H),requestAnimationFrame(function(){o.classList.add("view-visible")})}k?(P(),q()):requestAnimationFrame(function(){requestAnimationFrame(function(){m(q)})})},D())}function ne(A){var q=t.isSlideView(A.view);q!==t.isSlideView(A.previousView)&&(q?G(A.index):B(A.index))}function ie(A){d.querySelectorAll(".portfolio-grid-item").forEach(function(q){var H=parseInt(q.getAttribute("data-index"),10),_=!A.filter||A.filter.indexOf(H)!==-1;q.classList.toggle("is-filtered-out",!_)}),P()}function de(A){var q=A.target.closest(".portfolio-grid-item");q&&t.setView(t.getSlideView(),{index:parseInt(q.getAttribute("data-index"),10),source:"click"})}function re(){t.setView("grid",{source:"click"})}function C(){t.on("change",ne),t.on("filter",ie),x&&x.addEventListener("click",re),d.addEventListener("click",de)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",T):T()}function bn(t){var o=t.container,s=o.querySelector(".portfolio-filmstrip-btn"),d=null,x=null,c=null,i=null,M=[],k="portfolio-filmstrip",f=6,T=t.getTotal(),g=!1,w=null,u=!1;function l(){T<2||(o.getAttribute("data-progress")!=="false"&&v(),o.getAttribute("data-filmstrip")!=="false"&&(h(),o.classList.add("has-filmstrip"),I(m()),re()),D(t.getIndex()),t.on("change",N),t.on("spreads",function(){D(t.getIndex())}))}function v(){d=document.createElement("div"),d.className="portfolio-progress",d.setAttribute("aria-hidden","true"),d.innerHTML='<span class="portfolio-progress-count"></span><span class="portfolio-progress-bar"><span class="portfolio-progress-fill"></span></span>',x=d.querySelector(".portfolio-progress-count"),c=d.querySelector(".portfolio-progress-fill"),o.appendChild(d)}function h(){i=document.createElement("nav"),i.className="portfolio-filmstrip",i.id="portfolio-filmstrip"+(t.id?"-"+t.id:""),i.setAttribute("aria-label","Thumbnails"),Array.prototype.forEach.call(t.getSlides(),function(C,A){var q=t.getImage(A),H=q?null:t.getVideo(A),_=q?q.src:H&&H.poster;if(_){var R=document.createElement("button");R.className="portfolio-filmstrip-thumb",R.type="button",R.setAttribute("data-index",A),R.setAttribute("aria-label","Image "+(A+1)+" of "+T),R.setAttribute("tabindex","-1");var Y=document.createElement("img");Y.src=p(_),Y.alt="",Y.loading="lazy",Y.draggable=!1,R.appendChild(Y),i.appendChild(R),M[A]=R}}),o.appendChild(i)}function p(C){return Ue.getGhostSize(C)||C}function m(){try{var C=localStorage.getItem(k);if(C)return C==="open"}catch(A){}return o.getAttribute("data-filmstrip")==="open"}function I(C){if(g=C,i.hidden=!C,o.classList.toggle("is-filmstrip-open",C),s){var A=C?"Hide thumbnails":"Show thumbnails";s.setAttribute("aria-expanded",C?"true":"false"),s.setAttribute("aria-label",A),s.setAttribute("title",A+" (T)")}C&&z(t.getIndex())}function P(){I(!g);try{localStorage.setItem(k,g?"open":"closed")}catch(C){}}function z(C){var A=M[C];!A||!g||(i.scrollLeft=A.offsetLeft-(i.clientWidth-A.offsetWidth)/2)}function D(C){if(d){var A=t.getSpread(C),q=A[A.length-1];x.textContent=A[0]+1+(q!==A[0]?"\u2013"+(q+1):"")+" / "+T,c.style.width=(q+1)/T*100+"%"}if(i){var H=i.contains(document.activeElement);M.forEach(function(_,R){var Y=R===C;_.classList.toggle("is-current",Y),_.setAttribute("tabindex",Y?"0":"-1"),Y?_.setAttribute("aria-current","true"):_.removeAttribute("aria-current")}),H&&M[C]&&M[C].focus({preventScroll:!0}),z(C)}}function N(C){t.isSlideView(C.view)&&D(C.index)}function G(C){var A=i.getBoundingClientRect(),q=document.elementFromPoint(C,A.top+A.height/2),H=q&&q.closest(".portfolio-filmstrip-thumb");return H?parseInt(H.getAttribute("data-index"),10):null}function B(C){C.button===0&&(u=!1,w={pointerId:C.pointerId,startX:C.clientX,isScrubbing:!1})}function ne(C){if(!(!w||C.pointerId!==w.pointerId)){if(!w.isScrubbing){if(Math.abs(C.clientX-w.startX)<f)return;w.isScrubbing=!0,i.setPointerCapture(C.pointerId),i.classList.add("is-scrubbing")}var A=G(C.clientX);A!==null&&A!==t.getIndex()&&t.goTo(A,{source:"scrub"})}}function ie(C){!w||C.pointerId!==w.pointerId||(w.isScrubbing&&(i.classList.remove("is-scrubbing"),u=!0),w=null)}function de(C){var A=C.target.closest(".portfolio-filmstrip-thumb");if(u){u=!1;return}A&&t.goTo(parseInt(A.getAttribute("data-index"),10),{source:"filmstrip"})}function re(){s&&s.addEventListener("click",P),t.addShortcut({key:"t",description:"Show/hide thumbnails",view:["carousel","stack"],handler:P}),i.addEventListener("click",de),i.addEventListener("pointerdown",B),i.addEventListener("pointermove",ne),i.addEventListener("pointerup",ie),i.addEventListener("pointercancel",ie)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",l):l()}function xn(t){var o=t.container,s=o.querySelector(".portfolio-gallery"),d=t.getSlides(),x=o.classList.contains("portfolio-inline"),c=50,i=.3,M=100,k=10,f=250,T=2.5,g=4,w=150,u=500,l=16,v={},h=null,p=null,m=null,I=null,P="mouse",z=!1,D,N,G;function B(){d.length!==0&&(s.classList.add("has-gestures"),ye())}function ne(){clearTimeout(N),s.style.scrollSnapType="none"}function ie(y){clearTimeout(N),N=setTimeout(function(){s.style.scrollSnapType=""},y)}function de(y,K){var ae={source:K},fe=t.getSpread(t.getIndex());if(fe[0]===0){t.next(ae);return}if(fe[fe.length-1]===t.getTotal()-1){t.prev(ae);return}var j=s.getBoundingClientRect(),xe=j.left+j.width/2;y<xe?t.prev(ae):t.next(ae)}function re(y,K){if(K===0)return y;var ae=t.getSpread(y),fe=K>0?ae[ae.length-1]+1:ae[0]-1;return fe<0||fe>=t.getTotal()?y:t.getSpread(fe)[0]}function C(){return t.getView()==="stack"}function A(y){return!!(y&&y.closest&&y.closest("button, a, input"))}function q(y){var K=y&&y.closest?y.closest(".kg-image-card"):null;return K?K.querySelector("img"):null}function H(y){m&&m.img===y||(ue(),m={img:y,width:y.offsetWidth,height:y.offsetHeight,scale:1,x:0,y:0},y.classList.add("is-zoomed"),s.classList.add("is-zoomed"))}function _(y,K,ae){var fe=m.img.getBoundingClientRect(),j=K-(fe.left+fe.width/2-m.x),xe=ae-(fe.top+fe.height/2-m.y);y=Math.max(1,Math.min(y,g)),m.x=j-y*(j-m.x)/m.scale,m.y=xe-y*(xe-m.y)/m.scale,m.scale=y,Y()}function R(y,K){m.x+=y,m.y+=K,Y()}function Y(){var y=m.width*(m.scale-1)/2,K=m.height*(m.scale-1)/2;m.x=Math.max(-y,Math.min(m.x,y)),m.y=Math.max(-K,Math.min(m.y,K)),m.img.style.transform="translate("+m.x+"px, "+m.y+"px) scale("+m.scale+")"}function oe(){m&&m.scale<=1.01&&ue()}function ue(){m&&(m.img.style.transform="",m.img.classList.remove("is-zoomed"),s.classList.remove("is-zoomed"),m=null)}function S(y,K,ae){if(m){ue();return}var fe=q(y);fe&&(H(fe),_(T,K,ae))}function F(){return Object.keys(v).slice(0,2).map(function(y){return v[y]})}function Z(){var y=F(),K=q(y[0].target);h&&(h=null,ie(0)),K&&(H(K),p={distance:ge(y),scale:m.scale,x:(y[0].x+y[1].x)/2,y:(y[0].y+y[1].y)/2},s.classList.add("is-gesturing"))}function $(){var y=F(),K=(y[0].x+y[1].x)/2,ae=(y[0].y+y[1].y)/2;R(K-p.x,ae-p.y),_(p.scale*ge(y)/p.distance,K,ae),p.x=K,p.y=ae}function ce(){p=null,I=null,s.classList.remove("is-gesturing"),oe()}function ge(y){return Math.sqrt(Math.pow(y[0].x-y[1].x,2)+Math.pow(y[0].y-y[1].y,2))||1}function we(y,K){var ae=y[0],fe=y[y.length-1];return K-fe.t>M||fe.t===ae.t?0:(fe.x-ae.x)/(fe.t-ae.t)}function Ce(y,K){if(I&&y.timeStamp-I.time<f&&Math.abs(y.clientX-I.x)<k*3&&Math.abs(y.clientY-I.y)<k*3){clearTimeout(D),I=null,S(K,y.clientX,y.clientY);return}var ae=y.clientX;I={time:y.timeStamp,x:y.clientX,y:y.clientY},clearTimeout(D),D=setTimeout(function(){I=null,m||de(ae,"tap")},f)}function O(y,K){var ae=K.clientX-y.startX,fe=we(y.samples,K.timeStamp),j=0;Math.abs(fe)>i?j=fe<0?1:-1:Math.abs(ae)>c&&(j=ae<0?1:-1);var xe=re(y.startIndex,j),be=t.getSpread(xe);be.indexOf(t.getIndex())===-1?t.goTo(xe,{source:"swipe"}):d[be[0]].scrollIntoView({behavior:t.prefersReducedMotion()?"instant":"smooth",block:"nearest",inline:be.length>1?"end":"center"}),ie(u)}function W(y){if(P=y.pointerType,!(A(y.target)||C())&&!(y.pointerType==="mouse"&&(!m||y.button!==0))){v[y.pointerId]={x:y.clientX,y:y.clientY,target:y.target},s.setPointerCapture(y.pointerId);var K=Object.keys(v).length;if(K===2){Z();return}K>2||(h={target:y.target,startX:y.clientX,startY:y.clientY,lastX:y.clientX,lastY:y.clientY,scrollLeft:s.scrollLeft,startIndex:t.getIndex(),samples:[{x:y.clientX,t:y.timeStamp}],moved:!1})}}function le(y){if(v[y.pointerId]){if(v[y.pointerId].x=y.clientX,v[y.pointerId].y=y.clientY,p){$();return}if(h){var K=y.clientX-h.lastX,ae=y.clientY-h.lastY;if(h.lastX=y.clientX,h.lastY=y.clientY,!h.moved){if(Math.abs(y.clientX-h.startX)<k&&Math.abs(y.clientY-h.startY)<k)return;h.moved=!0,s.classList.add("is-gesturing"),m||ne()}if(m){R(K,ae);return}for(s.scrollLeft=h.scrollLeft-(y.clientX-h.startX),h.samples.push({x:y.clientX,t:y.timeStamp});h.samples.length>2&&y.timeStamp-h.samples[0].t>M;)h.samples.shift()}}}function pe(y){if(v[y.pointerId]){if(delete v[y.pointerId],p){ce();return}if(h){var K=h;if(h=null,s.classList.remove("is-gesturing"),y.type==="pointercancel"){ie(0);return}if(!K.moved){y.pointerType!=="mouse"&&Ce(y,K.target);return}y.pointerType==="mouse"&&(z=!0),m||O(K,y)}}}function Se(y){if(!A(y.target)&&(y.stopPropagation(),!C())){if(z){z=!1;return}if(P==="mouse"){if(m){ue();return}de(y.clientX,"click")}}}function ve(y){if(!C()&&!(x&&!y.ctrlKey&&!m&&Math.abs(y.deltaY)>=Math.abs(y.deltaX))){if(y.preventDefault(),y.ctrlKey){var K=q(y.target)||q(d[t.getIndex()]);if(!K)return;H(K),s.classList.add("is-gesturing"),_(m.scale*Math.exp(-y.deltaY/100),y.clientX,y.clientY),clearTimeout(G),G=setTimeout(function(){s.classList.remove("is-gesturing"),oe()},w);return}if(m){R(-y.deltaX,-y.deltaY);return}var ae=Math.abs(y.deltaX)>Math.abs(y.deltaY)?y.deltaX:y.deltaY;y.deltaMode===1&&(ae*=l),ne(),s.scrollLeft+=ae,ie(w)}}function ye(){s.addEventListener("pointerdown",W),s.addEventListener("pointermove",le),s.addEventListener("pointerup",pe),s.addEventListener("pointercancel",pe),s.addEventListener("click",Se,!0),s.addEventListener("wheel",ve,{passive:!1}),t.on("change",ue),window.addEventListener("resize",ue)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",B):B()}function En(t){var o=t.container,s='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',d={carousel:[{keys:["\u2190","\u2192"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],stack:[{keys:["\u2191","\u2193"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],grid:[{keys:["Tab"],description:"Move between images"},{keys:["Enter"],description:"Open image"}]},x={" ":"Space",Escape:"Esc",ArrowLeft:"\u2190",ArrowRight:"\u2192",ArrowUp:"\u2191",ArrowDown:"\u2193"},c=null,i=null,M=null,k=null;function f(){var p="portfolio-help-title"+(t.id?"-"+t.id:"");c=document.createElement("div"),c.className="portfolio-help",c.setAttribute("role","dialog"),c.setAttribute("aria-modal","true"),c.setAttribute("aria-labelledby",p),c.hidden=!0,c.innerHTML='<div class="portfolio-help-panel"><h2 class="portfolio-help-title" id="'+p+'">Keyboard shortcuts</h2><button class="portfolio-help-close" aria-label="Close keyboard shortcuts" title="Close (Esc)">'+s+'</button><dl class="portfolio-help-list"></dl></div>',i=c.querySelector(".portfolio-help-list"),M=c.querySelector(".portfolio-help-close"),M.addEventListener("click",l),c.addEventListener("keydown",v),c.addEventListener("click",function(m){m.target===c&&l()}),o.appendChild(c)}function T(p){return x[p]?x[p]:p.length===1?p.toUpperCase():p}function g(p,m){var I=document.createElement("dt"),P=document.createElement("dd");p.forEach(function(z){var D=document.createElement("kbd");D.textContent=z,I.appendChild(D)}),P.textContent=m,i.appendChild(I),i.appendChild(P)}function w(){var p=t.getView();i.innerHTML="",d[p].forEach(function(m){g(m.keys,m.description)}),t.getShortcuts(p).forEach(function(m){g([T(m.key)],m.description||"")}),t.isSlideView(p)&&t.isDualView&&g(["Esc"],"Back to the grid")}function u(){c||f(),c.hidden&&(w(),k=document.activeElement,c.hidden=!1,M.focus())}function l(){!c||c.hidden||(c.hidden=!0,k&&k.focus&&k.focus({preventScroll:!0}),k=null)}function v(p){p.stopPropagation(),p.key==="Escape"||p.key==="?"?(p.preventDefault(),l()):p.key==="Tab"&&(p.preventDefault(),M.focus())}function h(){t.getTotal()!==0&&t.addShortcut({key:"?",description:"Show keyboard shortcuts",handler:u})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",h):h()}var rr=(function(){var t=131072,o={make:271,model:272,exifPointer:34665,gpsPointer:34853,exposureTime:33434,fNumber:33437,iso:34855,dateTimeOriginal:36867,focalLength:37386,lensModel:42036,latitudeRef:1,latitude:2,longitudeRef:3,longitude:4},s={1:1,2:1,3:2,4:4,5:8,7:1,9:4,10:8};function d(u){try{return new URL(u,window.location.href).origin===window.location.origin}catch(l){return!1}}function x(u){return!u||!d(u)||!window.fetch?Promise.resolve(null):fetch(u,{headers:{Range:"bytes=0-"+(t-1)}}).then(function(l){return l.ok?l.arrayBuffer():null}).then(function(l){return l?c(l):null}).catch(function(){return null})}function c(u){var l=new DataView(u);if(l.byteLength<4||l.getUint16(0)!==65496)return null;for(var v=2;v+4<=l.byteLength;){var h=l.getUint16(v),p=l.getUint16(v+2);if(h===65505&&v+10<=l.byteLength&&l.getUint32(v+4)===1165519206&&l.getUint16(v+8)===0)return i(l,v+10);if(h===65498||(h&65280)!==65280)break;v+=2+p}return null}function i(u,l){try{var v=u.getUint16(l);if(v!==18761&&v!==19789)return null;var h={view:u,start:l,little:v===18761},p=M(h,u.getUint32(l+4,h.little)),m=p[o.exifPointer]?M(h,p[o.exifPointer]):{},I=p[o.gpsPointer]?M(h,p[o.gpsPointer]):{};return w({make:p[o.make],model:p[o.model],lens:m[o.lensModel],exposureTime:m[o.exposureTime],fNumber:m[o.fNumber],iso:m[o.iso],focalLength:m[o.focalLength],date:T(m[o.dateTimeOriginal]),latitude:g(I[o.latitude],I[o.latitudeRef],"S"),longitude:g(I[o.longitude],I[o.longitudeRef],"W")})}catch(P){return null}}function M(u,l){for(var v=u.view,h=u.start+l,p=v.getUint16(h,u.little),m={},I=0;I<p;I++){var P=h+2+I*12,z=v.getUint16(P,u.little),D=k(u,P);D!==void 0&&(m[z]=D)}return m}function k(u,l){var v=u.view,h=u.little,p=v.getUint16(l+2,h),m=v.getUint32(l+4,h),I=s[p];if(I){var P=I*m>4?u.start+v.getUint32(l+8,h):l+8,z=[];if(p===2)return f(v,P,m);for(var D=0;D<m;D++){var N=P+D*I;switch(p){case 3:z.push(v.getUint16(N,h));break;case 4:z.push(v.getUint32(N,h));break;case 9:z.push(v.getInt32(N,h));break;case 5:z.push(v.getUint32(N,h)/v.getUint32(N+4,h));break;case 10:z.push(v.getInt32(N,h)/v.getInt32(N+4,h));break;default:z.push(v.getUint8(N))}}return m===1?z[0]:z}}function f(u,l,v){for(var h="",p=0;p<v;p++){var m=u.getUint8(l+p);if(m===0)break;h+=String.fromCharCode(m)}return h.trim()}function T(u){var l=/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(u||"");if(l)return new Date(+l[1],l[2]-1,+l[3],+l[4],+l[5],+l[6])}function g(u,l,v){if(!(!u||u.length!==3)){var h=u[0]+u[1]/60+u[2]/3600;if(!isNaN(h))return l===v?-h:h}}function w(u){return Object.keys(u).forEach(function(l){var v=u[l];(v===void 0||v===""||typeof v=="number"&&!isFinite(v))&&delete u[l]}),Object.keys(u).length>0?u:null}return{read:x,parse:c}})(),wi=rr;function Sn(t){var o=t.container,s=t.getSlides(),d=o.querySelector(".portfolio-info-btn"),x,c,i,M='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',k=[{key:"alt",label:"Alt text"},{key:"camera",label:"Camera"},{key:"lens",label:"Lens"},{key:"exposure",label:"Exposure"},{key:"date",label:"Date"},{key:"location",label:"Location"}],f=!1,T=[];function g(){s.length!==0&&(w(),o.classList.add("has-info"),re())}function w(){x=document.createElement("aside"),x.className="portfolio-info",x.id="portfolio-info"+(t.id?"-"+t.id:""),x.setAttribute("aria-label","Image information"),x.setAttribute("aria-live","polite"),x.hidden=!0,x.innerHTML='<button class="portfolio-info-close" aria-label="Close image information" title="Close (I)">'+M+'</button><div class="portfolio-info-caption"></div><dl class="portfolio-info-details"></dl>',c=x.querySelector(".portfolio-info-caption"),i=x.querySelector(".portfolio-info-details"),x.querySelector(".portfolio-info-close").addEventListener("click",l),o.appendChild(x)}function u(){f||(f=!0,x.hidden=!1,h(),p(t.getIndex()))}function l(){f&&(f=!1,x.hidden=!0,h())}function v(){f?l():u()}function h(){o.classList.toggle("is-info-open",f),d&&(d.setAttribute("aria-expanded",f?"true":"false"),d.setAttribute("aria-label",f?"Hide image information":"Show image information"))}function p(C){var A=s[C];if(A){x.classList.remove("is-loading");var q=A.querySelector("figcaption");c.innerHTML=q?q.innerHTML:"",c.hidden=!q;var H=P(A);I(H);var _=t.getImage(C);_&&(x.classList.add("is-loading"),m(C,_.src).then(function(R){if(!(C!==t.getIndex()||!f)&&(x.classList.remove("is-loading"),R)){var Y=D(z(R),H);Y.location=H.location||Y.location,I(Y)}}))}}function m(C,A){return T[C]||(T[C]=wi.read(A)),T[C]}function I(C){i.innerHTML="",k.forEach(function(A){if(C[A.key]){var q=document.createElement("dt"),H=document.createElement("dd");q.textContent=A.label,H.textContent=C[A.key],i.appendChild(q),i.appendChild(H)}}),i.hidden=i.children.length===0}function P(C){var A=C.querySelector("img");function q(H){return C.getAttribute("data-"+H)||A&&A.getAttribute("data-"+H)||""}return{alt:A?A.getAttribute("alt"):"",camera:q("camera"),lens:q("lens"),exposure:q("exposure"),date:ne(q("date")),location:q("location")}}function z(C){var A=[],q=Array.isArray(C.iso)?C.iso[0]:C.iso;return C.focalLength&&A.push(N(C.focalLength)+"mm"),C.fNumber&&A.push("f/"+N(C.fNumber)),C.exposureTime&&A.push(B(C.exposureTime)),q&&A.push("ISO "+q),{camera:G(C.make,C.model),lens:C.lens||"",exposure:A.join(" \xB7 "),date:C.date?ne(C.date):"",location:ie(C.latitude,C.longitude)}}function D(C,A){var q={};return k.forEach(function(H){q[H.key]=C[H.key]||A[H.key]||""}),q}function N(C){return String(Math.round(C*10)/10)}function G(C,A){return A?!C||A.toLowerCase().indexOf(C.split(" ")[0].toLowerCase())===0?A:C+" "+A:C||""}function B(C){return C>=1?N(C)+"s":"1/"+Math.round(1/C)+"s"}function ne(C){if(!C)return"";var A=/^(\d{4})-(\d{2})-(\d{2})$/.exec(C),q=C instanceof Date?C:A?new Date(+A[1],A[2]-1,+A[3]):new Date(C);return isNaN(q.getTime())?String(C):q.toLocaleDateString(document.documentElement.lang||void 0,{year:"numeric",month:"long",day:"numeric"})}function ie(C,A){return C===void 0||A===void 0?"":Math.abs(C).toFixed(5)+"\xB0 "+(C<0?"S":"N")+", "+Math.abs(A).toFixed(5)+"\xB0 "+(A<0?"W":"E")}function de(C){if(f){if(!t.isSlideView(C.view)){l();return}C.index!==C.previousIndex&&p(C.index)}}function re(){d&&d.addEventListener("click",v),t.addShortcut({key:"i",description:"Show/hide image information",view:["carousel","stack"],handler:v}),t.on("change",de)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",g):g()}var or=(function(){var t=50,o={close:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',prev:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>',next:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>'},s,d,x,c,i,M,k,f=null;function T(){s=document.createElement("div"),s.className="photo-lightbox",s.setAttribute("role","dialog"),s.setAttribute("aria-modal","true"),s.setAttribute("aria-label","Image viewer"),s.setAttribute("tabindex","-1"),s.hidden=!0,s.innerHTML='<div class="photo-lightbox-stage"><figure class="photo-lightbox-figure"><img class="photo-lightbox-image" alt=""><figcaption class="photo-lightbox-caption"></figcaption></figure></div><div class="photo-lightbox-counter" aria-live="polite"></div><button class="photo-lightbox-btn photo-lightbox-close" aria-label="Close" title="Close (Esc)">'+o.close+'</button><button class="photo-lightbox-btn photo-lightbox-prev" aria-label="Previous image" title="Previous (arrow left)">'+o.prev+'</button><button class="photo-lightbox-btn photo-lightbox-next" aria-label="Next image" title="Next (arrow right)">'+o.next+"</button>",d=s.querySelector(".photo-lightbox-image"),x=s.querySelector(".photo-lightbox-caption"),c=s.querySelector(".photo-lightbox-counter"),i=s.querySelector(".photo-lightbox-prev"),M=s.querySelector(".photo-lightbox-next"),k=s.querySelector(".photo-lightbox-close"),k.addEventListener("click",p),i.addEventListener("click",h),M.addEventListener("click",v),s.addEventListener("click",function(P){(P.target.classList.contains("photo-lightbox-stage")||P.target.classList.contains("photo-lightbox-figure"))&&p()}),d.addEventListener("load",function(){d.classList.add("is-loaded")}),g()}function g(){var P=null;s.addEventListener("pointerdown",function(z){P=z.pointerType==="mouse"?null:z.clientX}),s.addEventListener("pointerup",function(z){if(P!==null){var D=z.clientX-P;P=null,D<-t?v():D>t&&h()}})}function w(P,z,D){if(!P||P.length===0)return null;s||T(),f&&p(),f={items:P,index:Math.max(0,Math.min(z||0,P.length-1)),options:D||{},returnFocus:document.activeElement};var N=f.options.container||document.body;return s.parentNode!==N&&N.appendChild(s),s.classList.toggle("is-single",P.length===1),s.hidden=!1,document.documentElement.classList.add("has-photo-lightbox"),document.addEventListener("keydown",m,!0),u(f.index),requestAnimationFrame(function(){s.classList.add("is-open")}),k.focus(),{close:p,next:v,prev:h,goTo:u,getIndex:function(){return f?f.index:-1}}}function u(P){if(f){var z=f.items;P=Math.max(0,Math.min(P,z.length-1));var D=z[P],N=P!==f.index;f.index=P,d.classList.remove("is-loaded"),d.removeAttribute("srcset"),d.style.backgroundImage=D.msrc?'url("'+D.msrc+'")':"",D.width&&D.height?(d.setAttribute("width",D.width),d.setAttribute("height",D.height)):(d.removeAttribute("width"),d.removeAttribute("height")),D.srcset&&(d.sizes="100vw",d.srcset=D.srcset),d.src=D.src,d.alt=D.alt||"",d.complete&&d.naturalWidth&&d.classList.add("is-loaded"),x.innerHTML=D.caption||"",x.hidden=!D.caption,c.textContent=P+1+" / "+z.length,i.disabled=P===0,M.disabled=P===z.length-1,l(P+1),l(P-1),N&&f.options.onChange&&f.options.onChange(P)}}function l(P){var z=f.items[P];if(z){var D=new Image;z.srcset&&(D.sizes="100vw",D.srcset=z.srcset),D.src=z.src}}function v(){f&&u(f.index+1)}function h(){f&&u(f.index-1)}function p(){if(f){var P=f;f=null,s.classList.remove("is-open"),s.hidden=!0,d.removeAttribute("src"),d.removeAttribute("srcset"),document.documentElement.classList.remove("has-photo-lightbox"),document.removeEventListener("keydown",m,!0),P.returnFocus&&P.returnFocus.focus&&P.returnFocus.focus(),P.options.onClose&&P.options.onClose(P.index)}}function m(P){switch(P.key){case"Escape":p();break;case"ArrowRight":v();break;case"ArrowLeft":h();break;case"Tab":I(P);return;default:P.stopPropagation();return}P.preventDefault(),P.stopPropagation()}function I(P){var z=[k,i,M].filter(function(G){return!G.disabled&&G.offsetParent!==null});if(z.length!==0){var D=z.indexOf(document.activeElement),N=P.shiftKey?D-1:D+1;P.preventDefault(),P.stopPropagation(),z[(N+z.length)%z.length].focus()}}return{open:w,close:p,isOpen:function(){return f!==null}}})(),bi=or;function An(t){var o=t.container,s=t.getSlides(),d=o.querySelector(".portfolio-fullscreen-btn"),x='<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';function c(){s.length!==0&&(i(),g()&&(o.classList.add("has-fullscreen"),v()))}function i(){s.forEach(function(h,p){if(t.getImage(p)){var m=document.createElement("button");m.className="portfolio-expand-btn",m.setAttribute("aria-label","View image "+(p+1)+" full size"),m.setAttribute("title","View full size"),m.innerHTML=x,m.addEventListener("click",function(I){I.preventDefault(),I.stopPropagation(),T(p)}),h.appendChild(m)}})}function M(h){var p=h.src,m=0;return h.srcset.split(",").forEach(function(I){var P=I.trim().split(/\s+/),z=parseInt(P[1],10);P[0]&&/w$/.test(P[1]||"")&&z>m&&(p=P[0],m=z)}),p}function k(){var h=[];return s.forEach(function(p,m){t.getImage(m)&&h.push(m)}),h}function f(h){return h.map(function(p){var m=t.getImage(p),I=s[p].querySelector("figcaption"),P=m.element.classList.contains("is-parked");return{src:M(m),width:m.width,height:m.height,msrc:P?"":m.element.currentSrc||m.src,alt:m.alt,caption:I?I.innerHTML:""}})}function T(h){var p=k(),m=p.indexOf(h);m!==-1&&bi.open(f(p),m,{container:w()===o?o:null,onClose:function(I){t.goTo(p[I],{source:"lightbox"})}})}function g(){return!!(document.fullscreenEnabled||document.webkitFullscreenEnabled)}function w(){return document.fullscreenElement||document.webkitFullscreenElement||null}function u(){if(w()){(document.exitFullscreen||document.webkitExitFullscreen).call(document);return}t.isSlideView(t.getView())||t.setView(t.getSlideView(),{source:"fullscreen"});var h=o.requestFullscreen||o.webkitRequestFullscreen,p=h.call(o);p&&p.catch&&p.catch(function(){})}function l(){var h=w()===o,p=h?"Exit fullscreen":"Enter fullscreen";o.classList.toggle("is-fullscreen",h),d&&(d.setAttribute("aria-pressed",h?"true":"false"),d.setAttribute("aria-label",p),d.setAttribute("title",p+" (F)"))}function v(){d&&d.addEventListener("click",u),t.addShortcut({key:"f",description:"Toggle fullscreen",handler:u}),document.addEventListener("fullscreenchange",l),document.addEventListener("webkitfullscreenchange",l),t.on("change",function(h){!t.isSlideView(h.view)&&w()===o&&u()})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",c):c()}function Ln(t){var o=t.container,s="portfolio-picks:",d="picks",x=2e3,c='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>',i=t.getSlides(),M=null,k=null,f=null,T=null,g=null,w=[],u=s+window.location.pathname+(t.id?"#"+t.id:""),l=[],v=!1;function h(){if(!(!o.hasAttribute("data-proofing")||o.getAttribute("data-proofing")==="false")&&i.length!==0){G(),ne(),o.classList.add("has-proofing");var S=z();S?(l=S,N(),re(t.isDualView)):(l=D(),ie()),ue()}}function p(S){return m(S)!==""}function m(S){var F=t.getImage(S)||t.getVideo(S),Z=F?F.src.split(/[?#]/)[0]:"";try{return decodeURIComponent(Z.split("/").pop())}catch($){return Z.split("/").pop()}}function I(S){var F=[];return S.forEach(function(Z){var $=F[F.length-1];$&&Z===$[1]+1?$[1]=Z:F.push([Z,Z])}),F.map(function(Z){return Z[0]+1+(Z[1]>Z[0]?"-"+(Z[1]+1):"")}).join(",")}function P(S){var F=[];return(S||"").split(",").forEach(function(Z){var $=/^(\d+)(?:-(\d+))?$/.exec(Z.trim());if($)for(var ce=Math.max(parseInt($[1],10)-1,0),ge=Math.min($[2]?parseInt($[2],10)-1:ce,i.length-1),we=ce;we<=ge;we++)p(we)&&F.indexOf(we)===-1&&F.push(we)}),F.sort(function(Z,$){return Z-$})}function z(){var S=t.getHashParam(d);if(S===null)return null;var F=window.location.hash,Z=F.indexOf("?"),$=F.slice(Z+1).split("&").filter(function(ce){return ce&&ce.split("=")[0]!==d});return history.replaceState(history.state,"",window.location.pathname+window.location.search+F.slice(0,Z)+($.length?"?"+$.join("&"):"")),P(S)}function D(){try{return P(localStorage.getItem(u))}catch(S){return[]}}function N(){try{l.length>0?localStorage.setItem(u,I(l)):localStorage.removeItem(u)}catch(S){}}function G(){i.forEach(function(S,F){p(F)&&(w[F]=[B(F)],S.appendChild(w[F][0]))}),o.querySelectorAll(".portfolio-grid-item").forEach(function(S){var F=parseInt(S.getAttribute("data-index"),10);if(w[F]){var Z=B(F);S.appendChild(Z),w[F].push(Z)}})}function B(S){var F=document.createElement("button");return F.type="button",F.className="portfolio-pick-btn",F.setAttribute("aria-label","Select "+t.getSlideType(S)+" "+(S+1)),F.setAttribute("aria-pressed","false"),F.setAttribute("title","Select (S)"),F.innerHTML=c,F.addEventListener("click",function(Z){Z.preventDefault(),Z.stopPropagation(),de(S)}),F}function ne(){M=document.createElement("div"),M.className="portfolio-proofing",M.setAttribute("role","group"),M.setAttribute("aria-label","Selection"),M.innerHTML='<span class="portfolio-proofing-count" aria-live="polite"></span>'+(t.isDualView?'<button type="button" class="portfolio-proofing-btn portfolio-proofing-filter" aria-pressed="false">Selected only</button>':"")+'<button type="button" class="portfolio-proofing-btn portfolio-proofing-link">Copy link</button><button type="button" class="portfolio-proofing-btn portfolio-proofing-list">Download list</button>',k=M.querySelector(".portfolio-proofing-count"),f=M.querySelector(".portfolio-proofing-filter"),T=M.querySelector(".portfolio-proofing-link"),g=M.querySelector(".portfolio-proofing-list"),o.appendChild(M)}function ie(){w.forEach(function(S,F){var Z=l.indexOf(F)!==-1;S.forEach(function($){$.classList.toggle("is-picked",Z),$.setAttribute("aria-pressed",Z?"true":"false")})}),k.textContent=l.length+" selected",f&&(f.disabled=l.length===0,f.setAttribute("aria-pressed",v?"true":"false")),T.disabled=l.length===0,g.disabled=l.length===0}function de(S){if(S=[].concat(S).filter(function(Z){return!!w[Z]}),S.length!==0){var F=S.some(function(Z){return l.indexOf(Z)===-1});S.forEach(function(Z){var $=l.indexOf(Z);F&&$===-1?l.push(Z):F||l.splice($,1)}),l.sort(function(Z,$){return Z-$}),N(),v?re(l.length>0):ie()}}function re(S){v=S&&t.isDualView&&l.length>0,t.setFilter(v?l:null),ie()}function C(){var S="#"+(t.id?t.id+"/":"")+"book/"+(l[0]+1)+"?"+d+"="+I(l);return window.location.origin+window.location.pathname+S}function A(){var S=C(),F=navigator.clipboard&&navigator.clipboard.writeText?navigator.clipboard.writeText(S):Promise.reject(new Error("No clipboard"));F.then(function(){q(T,"Link copied")},function(){window.prompt("Copy this link to share the selection",S)})}function q(S,F){var Z=S.textContent;S.textContent=F,setTimeout(function(){S.textContent=Z},x)}function H(){var S=["Number,Filename"];return l.forEach(function(F){S.push(F+1+","+_(m(F)))}),S.join(`\r
+`)+`\r
+`}function _(S){return/[",\r\n]/.test(S)?'"'+S.replace(/"/g,'""')+'"':S}function R(){var S=window.location.pathname.split("/").filter(Boolean).pop()||"portfolio";return"selection-"+S+(t.id?"-"+t.id:"")+".csv"}function Y(){var S=document.createElement("a");S.href=window.URL.createObjectURL(new Blob([H()],{type:"text/csv"})),S.download=R(),document.body.appendChild(S),S.click(),document.body.removeChild(S),setTimeout(function(){window.URL.revokeObjectURL(S.href)},0)}function oe(S){if(t.isSlideView(t.getView())){de(t.getSpread(t.getIndex()));return}var F=S.target.closest?S.target.closest(".portfolio-grid-item"):null;F&&de(parseInt(F.getAttribute("data-index"),10))}function ue(){f&&f.addEventListener("click",function(){re(!v)}),T.addEventListener("click",A),g.addEventListener("click",Y),t.addShortcut({key:"s",description:"Select/unselect image (both pages of a spread)",handler:oe})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",h):h()}var ar={broadcast:xi,socket:lr},sr=2e3;function xi(t,o){if(typeof BroadcastChannel=="undefined")return null;var s=new BroadcastChannel(t);return s.onmessage=function(d){o.message(d.data)},setTimeout(o.open,0),{send:function(d){s.postMessage(d)},close:function(){s.close()}}}function lr(t,o,s){if(typeof WebSocket=="undefined"||!s.relay)return null;var d=null,x=!1;function c(){try{d=new WebSocket(s.relay)}catch(i){return!1}return d.addEventListener("open",o.open),d.addEventListener("message",function(i){var M;try{M=JSON.parse(i.data)}catch(k){return}M&&M.channel===t&&o.message(M.data)}),d.addEventListener("close",function(){x||setTimeout(c,sr)}),!0}return c()?{send:function(i){d.readyState===WebSocket.OPEN&&d.send(JSON.stringify({channel:t,data:i}))},close:function(){x=!0,d.close()}}:null}function In(t){var o=t.container,s="portfolio-remote:",d="portfolio-remote:"+window.location.pathname+(t.id?"#"+t.id:""),x=t.getSlides(),c=null,i=null,M=null,k=null,f=null,T=[],g=P(),w=g?g.role:null,u=g?g.room:null,l=g?g.relay:null,v=null,h=Math.random().toString(36).slice(2),p={},m=!1;function I(){!w||x.length===0||(v=G(),v&&(o.classList.add(w==="display"?"is-presenting":"is-remote"),w==="remote"&&(R(),ue()),_(),oe(),t.on("change",A),window.addEventListener("pagehide",function(){B({type:"bye"})})))}function P(){var S=D(),F=null;if(t.getHashParam("present")!==null?F="display":t.getHashParam("remote")!==null&&(F="remote"),!F)return S;var Z=t.getHashParam(F==="display"?"present":"remote"),$=S&&S.role===F,ce={role:F,room:Z||($?S.room:null)||(F==="display"?z():null),relay:t.getHashParam("relay"),transport:t.getHashParam("transport")};return ce.room?(N(ce),ce):null}function z(){return Math.random().toString(36).slice(2,10)}function D(){try{return JSON.parse(sessionStorage.getItem(d))}catch(S){return null}}function N(S){try{sessionStorage.setItem(d,JSON.stringify(S))}catch(F){}}function G(){var S=g.transport||(l?"socket":"broadcast"),F=ar[S],Z=s+window.location.pathname+(t.id?"#"+t.id:"")+":"+u,$={message:de,open:ie};return F?F(Z,$,{relay:l})||(S==="socket"?xi(Z,$):null):null}function B(S){S.from=h,S.role=w,v.send(S)}function ne(){B({type:"state",index:t.getIndex(),view:t.getView()})}function ie(){B({type:"hello"}),w==="display"&&ne()}function de(S){!S||S.role===w||S.from===h||(S.type==="bye"?delete p[S.from]:p[S.from]=!0,w==="display"?re(S):S.type==="state"&&C(S),oe())}function re(S){var F={source:"remote"},Z=t.isSlideView(t.getView());switch(S.type){case"hello":ne();break;case"next":case"prev":Z?S.type==="next"?t.next(F):t.prev(F):t.setView(t.getSlideView(),F);break;case"go":if(typeof S.index!="number")return;Z?t.goTo(S.index,F):t.setView(t.getSlideView(),{index:S.index,source:"remote"});break;case"grid":t.setView(Z?"grid":t.getSlideView(),F);break}}function C(S){var F=S.view==="grid"&&t.isDualView?"grid":null;F||(F=t.isSlideView(t.getView())?t.getView():t.getSlideView()),m=!0,t.setView(F,{index:S.index,source:"remote"}),m=!1}function A(S){w==="display"?ne():!m&&S.index!==S.previousIndex&&B({type:"go",index:S.index}),oe()}function q(){var S="remote="+encodeURIComponent(u)+(l?"&relay="+encodeURIComponent(l):"");return window.location.origin+window.location.pathname+"#"+(t.id?t.id+"/":"")+"book?"+S}function H(){return Object.keys(p).length>0}function _(){if(c=document.createElement("p"),c.className="portfolio-remote-status",c.setAttribute("role","status"),i){i.insertBefore(c,i.firstChild);return}var S=document.createElement("a");S.href=q(),S.target="_blank",S.textContent=S.href,c.appendChild(document.createTextNode("Remote: ")),c.appendChild(S),o.appendChild(c)}function R(){i=document.createElement("div"),i.className="portfolio-remote",i.setAttribute("role","region"),i.setAttribute("aria-label","Remote"),i.innerHTML='<div class="portfolio-remote-current"><img alt=""></div><div class="portfolio-remote-nav"><button type="button" class="portfolio-remote-btn portfolio-remote-prev">Previous</button><span class="portfolio-remote-count" aria-live="polite"></span><button type="button" class="portfolio-remote-btn portfolio-remote-next">Next</button></div>'+(t.isDualView?'<button type="button" class="portfolio-remote-btn portfolio-remote-grid" aria-pressed="false">Grid</button>':"")+'<nav class="portfolio-remote-thumbs" aria-label="Go to image"></nav>',M=i.querySelector(".portfolio-remote-current img"),k=i.querySelector(".portfolio-remote-count"),f=i.querySelector(".portfolio-remote-grid");var S=i.querySelector(".portfolio-remote-thumbs");x.forEach(function(F,Z){var $=document.createElement("button");$.type="button",$.className="portfolio-remote-thumb",$.setAttribute("data-index",Z),$.setAttribute("aria-label","Show "+t.getSlideType(Z)+" "+(Z+1));var ce=Y(Z);if(ce){var ge=document.createElement("img");ge.src=Ue.getGhostSize(ce)||ce,ge.alt="",ge.loading="lazy",$.appendChild(ge)}S.appendChild($),T[Z]=$}),o.appendChild(i)}function Y(S){var F=t.getImage(S);if(F)return F.src;var Z=t.getVideo(S);return Z?Z.poster:""}function oe(){if(w==="display"){c.hidden=H();return}var S=t.getIndex(),F=t.getSpread(S),Z=Y(S);c.textContent=H()?"Connected to the display":"Waiting for the display\u2026",k.textContent=S+1+" / "+x.length,M.hidden=!Z,Z&&(M.src=Z),f&&f.setAttribute("aria-pressed",t.getView()==="grid"?"true":"false"),T.forEach(function($,ce){var ge=F.indexOf(ce)!==-1;$.classList.toggle("is-current",ge),ge?$.setAttribute("aria-current","true"):$.removeAttribute("aria-current")})}function ue(){i.querySelector(".portfolio-remote-prev").addEventListener("click",function(){B({type:"prev"})}),i.querySelector(".portfolio-remote-next").addEventListener("click",function(){B({type:"next"})}),f&&f.addEventListener("click",function(){B({type:"grid"})}),i.querySelector(".portfolio-remote-thumbs").addEventListener("click",function(S){var F=S.target.closest(".portfolio-remote-thumb");F&&B({type:"go",index:parseInt(F.getAttribute("data-index"),10)})}),t.addShortcut({key:"ArrowRight",description:"Next image on the display",handler:function(){B({type:"next"})}}),t.addShortcut({key:"ArrowLeft",description:"Previous image on the display",handler:function(){B({type:"prev"})}})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",I):I()}function kn(t){var o=t.container,s=o.querySelector(".portfolio-gallery"),d=t.getSlides(),x=null,c=400,i="a[href], button, input, select, textarea, [tabindex]",M=d.length,k;function f(){M!==0&&(Array.prototype.forEach.call(d,function(h,p){h.setAttribute("role","group"),h.setAttribute("aria-roledescription","slide"),h.setAttribute("aria-label",p+1+" of "+M)}),T(),g(t.getIndex()),t.on("change",v))}function T(){x=document.createElement("div"),x.className="portfolio-live",x.setAttribute("aria-live","polite"),x.setAttribute("aria-atomic","true"),o.appendChild(x)}function g(h){Array.prototype.forEach.call(d,function(p,m){var I=m===h?"0":"-1";p.setAttribute("tabindex",I),Array.prototype.forEach.call(p.querySelectorAll(i),function(P){P.setAttribute("tabindex",I)})})}function w(){var h=document.activeElement;return!!(h&&h!==s&&s.contains(h))}function u(h){var p=t.getImage(h),m=t.getSlideType(h),I=m.charAt(0).toUpperCase()+m.slice(1)+" "+(h+1)+" of "+M;return p&&p.alt?I+": "+p.alt:I}function l(h){clearTimeout(k),!(t.slideshow&&t.slideshow.isPlaying())&&(k=setTimeout(function(){x.textContent=u(h)},c))}function v(h){if(!t.isSlideView(h.view)){clearTimeout(k);return}var p=w();g(h.index),p&&h.source==="autoplay"?t.moveFocus(d[h.index]):p&&h.source!=="scroll"&&d[h.index].focus({preventScroll:!0}),l(h.index)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",f):f()}function Cn(t){var o=t.container,s=o.querySelector(".portfolio-gallery"),d=o.querySelector(".portfolio-play-btn"),x=5,c=1,i=x*1e3,M=!0,k=!1,f={},T;function g(){t.getTotal()<2||(w(),o.classList.add("has-slideshow"),D(),t.isSlideView(t.getView())&&t.getHashParam("play")!==null&&u())}function w(){var N=parseFloat(t.getHashParam("play")||o.getAttribute("data-autoplay-interval"));isNaN(N)||(i=Math.max(N,c)*1e3);var G=t.getHashParam("loop");G===null&&(G=o.getAttribute("data-autoplay-loop")),G!==null&&(M=G!=="false"&&G!=="0")}function u(){k||(t.isSlideView(t.getView())||t.setView(t.getSlideView(),{source:"autoplay"}),k=!0,P(),h())}function l(){k&&(k=!1,clearTimeout(T),P())}function v(){k?l():u()}function h(){clearTimeout(T),!(!k||Object.keys(f).length>0)&&(T=setTimeout(p,i))}function p(){var N={source:"autoplay"},G=t.getSpread(t.getIndex());G[G.length-1]<t.getTotal()-1?t.next(N):M?t.goTo(0,N):l()}function m(N){f[N]=!0,clearTimeout(T)}function I(N){f[N]&&(delete f[N],h())}function P(){if(o.classList.toggle("is-playing",k),!!d){var N=k?"Pause slideshow":"Play slideshow";d.setAttribute("aria-pressed",k?"true":"false"),d.setAttribute("aria-label",N),d.setAttribute("title",N+" (P)")}}function z(N){if(k){if(!t.isSlideView(N.view)){l();return}h()}}function D(){d&&d.addEventListener("click",v),t.addShortcut({key:"p",description:"Play/pause slideshow",handler:v}),t.on("change",z),s.addEventListener("pointerenter",function(N){N.pointerType==="mouse"&&m("hover")}),s.addEventListener("pointerleave",function(){I("hover")}),o.addEventListener("focusin",function(N){N.target.classList.contains("portfolio-control-btn")||t.isMovingFocus()?I("focus"):m("focus")}),o.addEventListener("focusout",function(N){(!N.relatedTarget||!o.contains(N.relatedTarget))&&I("focus")}),document.addEventListener("visibilitychange",function(){document.hidden?m("hidden"):I("hidden")})}t.slideshow={play:u,pause:l,toggle:v,isPlaying:function(){return k}},document.readyState==="loading"?document.addEventListener("DOMContentLoaded",g):g()}function Tn(t){var o=[];function s(){Array.prototype.forEach.call(t.getSlides(),function(M,k){var f=t.getVideo(k);f&&(d(f.element,M),o[k]=f.element)}),o.length!==0&&(c(),t.on("change",c),t.on("spreads",c),document.addEventListener("visibilitychange",c))}function d(M,k){M.removeAttribute("autoplay"),M.autoplay=!1,M.muted=!0,M.setAttribute("muted",""),M.setAttribute("playsinline",""),M.addEventListener("play",function(){k.classList.add("is-playing")}),M.addEventListener("pause",function(){k.classList.remove("is-playing")})}function x(M){return!document.hidden&&t.isSlideView(t.getView())&&t.getSpread(t.getIndex()).indexOf(M)!==-1}function c(){var M=!t.prefersReducedMotion();o.forEach(function(k,f){x(f)?M&&k.paused&&i(k):k.paused||k.pause()})}function i(M){var k=M.play();k&&k.catch&&k.catch(function(){})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",s):s()}function On(t){var o=t.container,s=o.querySelector(".portfolio-gallery"),d=o.querySelector(".portfolio-grid"),x=30,c=2,i="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";function M(){if(!(t.getTotal()<k("data-virtualize-after",x))&&typeof IntersectionObserver!="undefined"){var l=k("data-render-window",c)*100;o.classList.add("is-virtualized"),f(s.querySelectorAll(".kg-image-card"),{root:s,rootMargin:l+"%"}),d&&f(d.querySelectorAll(".portfolio-grid-item"),{root:null,rootMargin:l+"% 0px"})}}function k(l,v){var h=parseInt(o.getAttribute(l),10);return isNaN(h)||h<0?v:h}function f(l,v){var h=new IntersectionObserver(function(p){p.forEach(function(m){var I=m.target.querySelector("img");I&&(m.isIntersecting?u(I):w(I))})},v);Array.prototype.forEach.call(l,function(p){h.observe(p)})}function T(l,v){l.hasAttribute(v)&&(l.setAttribute("data-virtual-"+v,l.getAttribute(v)),l.removeAttribute(v))}function g(l,v){l.hasAttribute("data-virtual-"+v)&&(l.setAttribute(v,l.getAttribute("data-virtual-"+v)),l.removeAttribute("data-virtual-"+v))}function w(l){if(!l.classList.contains("is-parked")){var v=parseInt(l.getAttribute("width"),10)||l.naturalWidth,h=parseInt(l.getAttribute("height"),10)||l.naturalHeight;!v||!h||(l.setAttribute("width",v),l.setAttribute("height",h),l.style.aspectRatio=v+" / "+h,l.classList.add("is-parked"),l.parentNode&&l.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(l.parentNode.querySelectorAll("source"),function(p){T(p,"srcset")}),T(l,"srcset"),l.setAttribute("data-virtual-src",l.getAttribute("src")),l.setAttribute("src",i))}}function u(l){if(l.classList.contains("is-parked")){l.parentNode&&l.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(l.parentNode.querySelectorAll("source"),function(h){g(h,"srcset")}),g(l,"srcset"),g(l,"src"),l.classList.remove("is-parked"),l.style.aspectRatio="";var v=l.closest(".portfolio-image-frame, .portfolio-grid-item");v&&Ue.attach(l,v)}}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",M):M()}function Mn(t){var o=t.container,s=o.querySelector(".portfolio-gallery"),d=o.querySelector(".portfolio-stack-btn"),x=t.getSlides(),c=2,i=1,M=1e3,k=x.length,f=I(),T=[],g={},w=null,u=null,l;function v(){k!==0&&(h(),p(),N(t.getView()==="stack"),t.getIndex()>0&&(re(t.getIndex()),ne(t.getIndex(),"instant")),A(),P(t.getIndex()),H())}function h(){var _=x[t.getIndex()];if(_){var R=_.querySelector("img");R&&(R.removeAttribute("loading"),R.setAttribute("fetchpriority","high"),R.decode&&R.decode().catch(function(){}))}}function p(){x.forEach(function(_){var R=_.querySelector("img");if(!(!R||R.complete)){var Y=document.createElement("span");Y.className="portfolio-image-frame",R.parentNode.insertBefore(Y,R),Y.appendChild(R),Ue.attach(R,Y)}})}function m(_,R){var Y=parseInt(o.getAttribute(_),10);return isNaN(Y)||Y<0?R:Y}function I(){var _=m("data-preload-ahead",c),R=m("data-preload-behind",i),Y=navigator.connection;if(Y){if(Y.saveData||/2g$/.test(Y.effectiveType))return{ahead:Math.min(_,1),behind:0};if(Y.effectiveType==="3g")return{ahead:Math.min(_,2),behind:Math.min(R,1)}}return{ahead:_,behind:R}}function P(_){var R;for(R=1;R<=f.ahead;R++)z(_+R);for(R=1;R<=f.behind;R++)z(_-R)}function z(_){var R=x[_];if(!(!R||T[_])){var Y=R.querySelector("img");!Y||Y.classList.contains("is-parked")||(T[_]=!0,Y.hasAttribute("loading")&&Y.removeAttribute("loading"),Y.decode&&Y.decode().catch(function(){}))}}function D(){return o.classList.contains("is-stacked")}function N(_){o.classList.toggle("is-stacked",_),d&&d.setAttribute("aria-pressed",_?"true":"false")}function G(){t.isSlideView(t.getView())&&(re(t.getIndex()),ne(t.getIndex(),"instant"))}function B(){t.setView(D()?"carousel":"stack",{source:"click"})}function ne(_,R){var Y=t.getSpread(_),oe=x[Y[0]];if(oe){var ue=D();oe.scrollIntoView({behavior:R,block:ue?"center":"nearest",inline:ue?"nearest":Y.length>1?"end":"center"})}}function ie(_){N(_.view==="stack"),A(),re(_.index),ne(_.index,"instant")}function de(_){if(t.isSlideView(_.view)){if(P(_.index),_.view!==_.previousView){t.isSlideView(_.previousView)?ie(_):(N(_.view==="stack"),A());return}if(_.source!=="scroll"){var R=_.source==="scrub"||t.prefersReducedMotion();re(_.index),ne(_.index,R?"instant":"smooth")}}}function re(_){u=_,clearTimeout(l),l=setTimeout(function(){u=null,q()},M)}function C(){u=null,clearTimeout(l)}function A(){var _=D();typeof IntersectionObserver!="undefined"&&(w&&w.disconnect(),g={},w=new IntersectionObserver(function(R){R.forEach(function(Y){var oe=Array.prototype.indexOf.call(x,Y.target);Y.isIntersecting?g[oe]=_?Y.intersectionRect.height:Y.intersectionRect.width:delete g[oe]}),q()},{root:s,rootMargin:_?"-49% 0px -49% 0px":"0px -49% 0px -49%",threshold:0}),x.forEach(function(R){w.observe(R)}))}function q(){if(t.isSlideView(t.getView())){var _=-1,R=-1;if(Object.keys(g).forEach(function(oe){g[oe]>R&&(_=parseInt(oe,10),R=g[oe])}),_!==-1){var Y=t.getSpread(_);if(u!==null){if(Y.indexOf(u)===-1)return;C()}Y.indexOf(t.getIndex())===-1&&t.goTo(Y[0],{source:"scroll"})}}}function H(){s.addEventListener("pointerdown",C,{passive:!0}),s.addEventListener("wheel",C,{passive:!0}),navigator.connection&&navigator.connection.addEventListener&&navigator.connection.addEventListener("change",function(){f=I()}),t.on("change",de),t.on("spreads",G),d&&(d.addEventListener("click",B),o.classList.add("has-stack")),!o.classList.contains("portfolio-inline")&&t.addShortcut({key:"v",description:"Switch between horizontal and vertical",view:["carousel","stack"],handler:B})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",v):v()}var ur=[wn,bn,xn,En,Sn,An,Ln,In,kn,Cn,Tn,On,Mn],cr='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';function Dn(){document.querySelectorAll(".portfolio-inline").forEach(dr);var t=Array.prototype.map.call(document.querySelectorAll(".portfolio-container"),function(s){var d=vn(s);return ur.forEach(function(x){x(d)}),d}),o=t.filter(function(s){return!s.container.classList.contains("portfolio-inline")})[0]||t[0];return o&&(window.Portfolio=o),window.Portfolios=t,t}function dr(t,o){var s=t.children.length>0?Array.prototype.slice.call(t.children):fr(t),d=t.getAttribute("data-title")||"Gallery",x=t.hasAttribute("data-grid");t.getAttribute("data-portfolio-id")||t.setAttribute("data-portfolio-id","gallery-"+(o+1));var c=document.createElement("div");if(c.className="portfolio-gallery gh-content",c.setAttribute("role","region"),c.setAttribute("aria-roledescription","carousel"),c.setAttribute("aria-label",d),s.forEach(function(M){c.appendChild(M)}),t.classList.add("portfolio-container"),t.setAttribute("role","region"),t.setAttribute("aria-label",d+" gallery"),x&&(t.classList.add("portfolio-dual-container"),t.appendChild(pr())),t.appendChild(c),x){var i=document.createElement("div");i.className="portfolio-grid",i.setAttribute("role","region"),i.setAttribute("aria-label",d+" grid"),i.setAttribute("aria-hidden","true"),t.appendChild(i)}}function fr(t){for(var o=[],s=t.nextElementSibling;s&&!s.classList.contains("portfolio-inline-end")&&!s.classList.contains("portfolio-inline");){var d=s.nextElementSibling;o.push(s),s=d}return s&&s.classList.contains("portfolio-inline-end")&&s.parentNode.removeChild(s),o}function pr(){var t=document.createElement("button");return t.className="portfolio-close-btn",t.setAttribute("aria-label","Close carousel, return to grid view"),t.setAttribute("title","Close (Esc)"),t.innerHTML=cr,t}Dn();})();
+/*! Bundled license information:
+
+imagesloaded/imagesloaded.js:
+  (*!
+   * imagesLoaded v5.0.0
+   * JavaScript is all like "You images are done yet or what?"
+   * MIT License
+   *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe.min.js:
+  (*! PhotoSwipe - v4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe-ui-default.min.js:
+  (*! PhotoSwipe Default UI - 4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+*/
+//# sourceMappingURL=portfolio-NOUNCUNC.js.map
@@ -0,0 +1,46 @@
+(()=>{var Dr=Object.create;var An=Object.defineProperty;var Rr=Object.getOwnPropertyDescriptor;var Fr=Object.getOwnPropertyNames;var zr=Object.getPrototypeOf,qr=Object.prototype.hasOwnProperty;var xe=(t,o)=>()=>(t&&(o=t(t=0)),o);var He=(t,o)=>()=>(o||t((o={exports:{}}).exports,o),o.exports),Nr=(t,o)=>{for(var u in o)An(t,u,{get:o[u],enumerable:!0})},Wr=(t,o,u,h)=>{if(o&&typeof o=="object"||typeof o=="function")for(let y of Fr(o))!qr.call(t,y)&&y!==u&&An(t,y,{get:()=>o[y],enumerable:!(h=Rr(o,y))||h.enumerable});return t};var qt=(t,o,u)=>(u=t!=null?Dr(zr(t)):{},Wr(o||!t||!t.__esModule?An(u,"default",{value:t,enumerable:!0}):u,t));var yi=He((vi,Ut)=>{(function(t,o){typeof Ut=="object"&&Ut.exports?Ut.exports=o():t.EvEmitter=o()})(typeof window!="undefined"?window:vi,function(){function t(){}let o=t.prototype;return o.on=function(u,h){if(!u||!h)return this;let y=this._events=this._events||{},s=y[u]=y[u]||[];return s.includes(h)||s.push(h),this},o.once=function(u,h){if(!u||!h)return this;this.on(u,h);let y=this._onceEvents=this._onceEvents||{},s=y[u]=y[u]||{};return s[h]=!0,this},o.off=function(u,h){let y=this._events&&this._events[u];if(!y||!y.length)return this;let s=y.indexOf(h);return s!=-1&&y.splice(s,1),this},o.emitEvent=function(u,h){let y=this._events&&this._events[u];if(!y||!y.length)return this;y=y.slice(0),h=h||[];let s=this._onceEvents&&this._onceEvents[u];for(let i of y)s&&s[i]&&(this.off(u,i),delete s[i]),i.apply(this,h);return this},o.allOff=function(){return delete this._events,delete this._onceEvents,this},t})});var wi=He((bi,Yt)=>{(function(t,o){typeof Yt=="object"&&Yt.exports?Yt.exports=o(t,yi()):t.imagesLoaded=o(t,t.EvEmitter)})(typeof window!="undefined"?window:bi,function(o,u){let h=o.jQuery,y=o.console;function s(w){return Array.isArray(w)?w:typeof w=="object"&&typeof w.length=="number"?[...w]:[w]}function i(w,p,m){if(!(this instanceof i))return new i(w,p,m);let d=w;if(typeof w=="string"&&(d=document.querySelectorAll(w)),!d){y.error(`Bad element for imagesLoaded ${d||w}`);return}this.elements=s(d),this.options={},typeof p=="function"?m=p:Object.assign(this.options,p),m&&this.on("always",m),this.getImages(),h&&(this.jqDeferred=new h.Deferred),setTimeout(this.check.bind(this))}i.prototype=Object.create(u.prototype),i.prototype.getImages=function(){this.images=[],this.elements.forEach(this.addElementImages,this)};let b=[1,9,11];i.prototype.addElementImages=function(w){w.nodeName==="IMG"&&this.addImage(w),this.options.background===!0&&this.addElementBackgroundImages(w);let{nodeType:p}=w;if(!p||!b.includes(p))return;let m=w.querySelectorAll("img");for(let d of m)this.addImage(d);if(typeof this.options.background=="string"){let d=w.querySelectorAll(this.options.background);for(let f of d)this.addElementBackgroundImages(f)}};let E=/url\((['"])?(.*?)\1\)/gi;i.prototype.addElementBackgroundImages=function(w){let p=getComputedStyle(w);if(!p)return;let m=E.exec(p.backgroundImage);for(;m!==null;){let d=m&&m[2];d&&this.addBackground(d,w),m=E.exec(p.backgroundImage)}},i.prototype.addImage=function(w){let p=new g(w);this.images.push(p)},i.prototype.addBackground=function(w,p){let m=new x(w,p);this.images.push(m)},i.prototype.check=function(){if(this.progressedCount=0,this.hasAnyBroken=!1,!this.images.length){this.complete();return}let w=(p,m,d)=>{setTimeout(()=>{this.progress(p,m,d)})};this.images.forEach(function(p){p.once("progress",w),p.check()})},i.prototype.progress=function(w,p,m){this.progressedCount++,this.hasAnyBroken=this.hasAnyBroken||!w.isLoaded,this.emitEvent("progress",[this,w,p]),this.jqDeferred&&this.jqDeferred.notify&&this.jqDeferred.notify(this,w),this.progressedCount===this.images.length&&this.complete(),this.options.debug&&y&&y.log(`progress: ${m}`,w,p)},i.prototype.complete=function(){let w=this.hasAnyBroken?"fail":"done";if(this.isComplete=!0,this.emitEvent(w,[this]),this.emitEvent("always",[this]),this.jqDeferred){let p=this.hasAnyBroken?"reject":"resolve";this.jqDeferred[p](this)}};function g(w){this.img=w}g.prototype=Object.create(u.prototype),g.prototype.check=function(){if(this.getIsImageComplete()){this.confirm(this.img.naturalWidth!==0,"naturalWidth");return}this.proxyImage=new Image,this.img.crossOrigin&&(this.proxyImage.crossOrigin=this.img.crossOrigin),this.proxyImage.addEventListener("load",this),this.proxyImage.addEventListener("error",this),this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.proxyImage.src=this.img.currentSrc||this.img.src},g.prototype.getIsImageComplete=function(){return this.img.complete&&this.img.naturalWidth},g.prototype.confirm=function(w,p){this.isLoaded=w;let{parentNode:m}=this.img,d=m.nodeName==="PICTURE"?m:this.img;this.emitEvent("progress",[this,d,p])},g.prototype.handleEvent=function(w){let p="on"+w.type;this[p]&&this[p](w)},g.prototype.onload=function(){this.confirm(!0,"onload"),this.unbindEvents()},g.prototype.onerror=function(){this.confirm(!1,"onerror"),this.unbindEvents()},g.prototype.unbindEvents=function(){this.proxyImage.removeEventListener("load",this),this.proxyImage.removeEventListener("error",this),this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)};function x(w,p){this.url=w,this.element=p,this.img=new Image}return x.prototype=Object.create(g.prototype),x.prototype.check=function(){this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.img.src=this.url,this.getIsImageComplete()&&(this.confirm(this.img.naturalWidth!==0,"naturalWidth"),this.unbindEvents())},x.prototype.unbindEvents=function(){this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},x.prototype.confirm=function(w,p){this.isLoaded=w,this.emitEvent("progress",[this,this.element,p])},i.makeJQueryPlugin=function(w){w=w||o.jQuery,w&&(h=w,h.fn.imagesLoaded=function(p,m){return new i(this,p,m).jqDeferred.promise(h(this))})},i.makeJQueryPlugin(),i})});var Li=He((In,Si)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof In=="object"?Si.exports=o():t.PhotoSwipe=o()})(In,function(){"use strict";var t=function(o,u,h,y){var s={features:null,bind:function(e,a,c,v){var C=(v?"remove":"add")+"EventListener";a=a.split(" ");for(var W=0;W<a.length;W++)a[W]&&e[C](a[W],c,!1)},isArray:function(e){return e instanceof Array},createEl:function(e,a){var c=document.createElement(a||"div");return e&&(c.className=e),c},getScrollY:function(){var e=window.pageYOffset;return e!==void 0?e:document.documentElement.scrollTop},unbind:function(e,a,c){s.bind(e,a,c,!0)},removeClass:function(e,a){var c=new RegExp("(\\s|^)"+a+"(\\s|$)");e.className=e.className.replace(c," ").replace(/^\s\s*/,"").replace(/\s\s*$/,"")},addClass:function(e,a){s.hasClass(e,a)||(e.className+=(e.className?" ":"")+a)},hasClass:function(e,a){return e.className&&new RegExp("(^|\\s)"+a+"(\\s|$)").test(e.className)},getChildByClass:function(e,a){for(var c=e.firstChild;c;){if(s.hasClass(c,a))return c;c=c.nextSibling}},arraySearch:function(e,a,c){for(var v=e.length;v--;)if(e[v][c]===a)return v;return-1},extend:function(e,a,c){for(var v in a)if(a.hasOwnProperty(v)){if(c&&e.hasOwnProperty(v))continue;e[v]=a[v]}},easing:{sine:{out:function(e){return Math.sin(e*(Math.PI/2))},inOut:function(e){return-(Math.cos(Math.PI*e)-1)/2}},cubic:{out:function(e){return--e*e*e+1}}},detectFeatures:function(){if(s.features)return s.features;var e=s.createEl(),a=e.style,c="",v={};if(v.oldIE=document.all&&!document.addEventListener,v.touch="ontouchstart"in window,window.requestAnimationFrame&&(v.raf=window.requestAnimationFrame,v.caf=window.cancelAnimationFrame),v.pointerEvent=!!window.PointerEvent||navigator.msPointerEnabled,!v.pointerEvent){var C=navigator.userAgent;if(/iP(hone|od)/.test(navigator.platform)){var W=navigator.appVersion.match(/OS (\d+)_(\d+)_?(\d+)?/);W&&W.length>0&&(W=parseInt(W[1],10),W>=1&&W<8&&(v.isOldIOSPhone=!0))}var J=C.match(/Android\s([0-9\.]*)/),Q=J?J[1]:0;Q=parseFloat(Q),Q>=1&&(Q<4.4&&(v.isOldAndroid=!0),v.androidVersion=Q),v.isMobileOpera=/opera mini|opera mobi/i.test(C)}for(var te,me,Se=["transform","perspective","animationName"],at=["","webkit","Moz","ms","O"],Qe=0;Qe<4;Qe++){c=at[Qe];for(var Ct=0;Ct<3;Ct++)te=Se[Ct],me=c+(c?te.charAt(0).toUpperCase()+te.slice(1):te),!v[te]&&me in a&&(v[te]=me);c&&!v.raf&&(c=c.toLowerCase(),v.raf=window[c+"RequestAnimationFrame"],v.raf&&(v.caf=window[c+"CancelAnimationFrame"]||window[c+"CancelRequestAnimationFrame"]))}if(!v.raf){var zt=0;v.raf=function(Ke){var Sn=new Date().getTime(),Ln=Math.max(0,16-(Sn-zt)),Pr=window.setTimeout(function(){Ke(Sn+Ln)},Ln);return zt=Sn+Ln,Pr},v.caf=function(Ke){clearTimeout(Ke)}}return v.svg=!!document.createElementNS&&!!document.createElementNS("http://www.w3.org/2000/svg","svg").createSVGRect,s.features=v,v}};s.detectFeatures(),s.features.oldIE&&(s.bind=function(e,a,c,v){a=a.split(" ");for(var C,W=(v?"detach":"attach")+"Event",J=function(){c.handleEvent.call(c)},Q=0;Q<a.length;Q++)if(C=a[Q])if(typeof c=="object"&&c.handleEvent){if(v){if(!c["oldIE"+C])return!1}else c["oldIE"+C]=J;e[W]("on"+C,c["oldIE"+C])}else e[W]("on"+C,c)});var i=this,b=25,E=3,g={allowPanToNext:!0,spacing:.12,bgOpacity:1,mouseUsed:!1,loop:!0,pinchToClose:!0,closeOnScroll:!0,closeOnVerticalDrag:!0,verticalDragRange:.75,hideAnimationDuration:333,showAnimationDuration:333,showHideOpacity:!1,focus:!0,escKey:!0,arrowKeys:!0,mainScrollEndFriction:.35,panEndFriction:.35,isClickableElement:function(e){return e.tagName==="A"},getDoubleTapZoom:function(e,a){return e||a.initialZoomLevel<.7?1:1.33},maxSpreadZoom:1.33,modal:!0,scaleMode:"fit"};s.extend(g,y);var x,w,p,m,d,f,n,r,l,S,A,R,O,F,K,H,ee,ie,ce,re,M,k,N,B,q,z,Z,oe,ue,T,D,U,$,de,ge,be,ke,P,Y,le,he,Le,ve,ye,L,G,ae,fe,j,Ee,we,Be,Tt,st,gt,vt,yt,Ue=function(){return{x:0,y:0}},Ye=Ue(),Je=Ue(),X=Ue(),Ae={},Ze=0,et={},Ie=Ue(),Re=0,bt=!0,I=[],_={},V=!1,ne=function(e,a){s.extend(i,a.publicMethods),I.push(e)},Fe=function(e){var a=qe();return e>a-1?e-a:e<0?a+e:e},Oe={},pe=function(e,a){return Oe[e]||(Oe[e]=[]),Oe[e].push(a)},se=function(e){var a=Oe[e];if(a){var c=Array.prototype.slice.call(arguments);c.shift();for(var v=0;v<a.length;v++)a[v].apply(i,c)}},Ge=function(){return new Date().getTime()},je=function(e){gt=e,i.bg.style.opacity=e*g.bgOpacity},Gn=function(e,a,c,v,C){(!V||C&&C!==i.currItem)&&(v/=C?C.fitRatio:i.currItem.fitRatio),e[k]=R+a+"px, "+c+"px"+O+" scale("+v+")"},Ce=function(e){Ee&&(e&&(S>i.currItem.fitRatio?V||(ht(i.currItem,!1,!0),V=!0):V&&(ht(i.currItem),V=!1)),Gn(Ee,X.x,X.y,S))},kt=function(e){e.container&&Gn(e.container.style,e.initialPosition.x,e.initialPosition.y,e.initialZoomLevel,e)},wt=function(e,a){a[k]=R+e+"px, 0px"+O},Nt=function(e,a){if(!g.loop&&a){var c=m+(Ie.x*Ze-e)/Ie.x,v=Math.round(e-$e.x);(c<0&&v>0||c>=qe()-1&&v<0)&&(e=$e.x+v*g.mainScrollEndFriction)}$e.x=e,wt(e,d)},nn=function(e,a){var c=Pt[e]-et[e];return Je[e]+Ye[e]+c-c*(a/A)},_e=function(e,a){e.x=a.x,e.y=a.y,a.id&&(e.id=a.id)},Xn=function(e){e.x=Math.round(e.x),e.y=Math.round(e.y)},rn=null,on=function(){rn&&(s.unbind(document,"mousemove",on),s.addClass(o,"pswp--has_mouse"),g.mouseUsed=!0,se("mouseUsed")),rn=setTimeout(function(){rn=null},100)},ur=function(){s.bind(document,"keydown",i),D.transform&&s.bind(i.scrollWrap,"click",i),g.mouseUsed||s.bind(document,"mousemove",on),s.bind(window,"resize scroll orientationchange",i),se("bindEvents")},cr=function(){s.unbind(window,"resize scroll orientationchange",i),s.unbind(window,"scroll",l.scroll),s.unbind(document,"keydown",i),s.unbind(document,"mousemove",on),D.transform&&s.unbind(i.scrollWrap,"click",i),Y&&s.unbind(window,n,i),clearTimeout(U),se("unbindEvents")},an=function(e,a){var c=Rt(i.currItem,Ae,e);return a&&(j=c),c},Kn=function(e){return e||(e=i.currItem),e.initialZoomLevel},jn=function(e){return e||(e=i.currItem),e.w>0?g.maxSpreadZoom:1},$n=function(e,a,c,v){return v===i.currItem.initialZoomLevel?(c[e]=i.currItem.initialPosition[e],!0):(c[e]=nn(e,v),c[e]>a.min[e]?(c[e]=a.min[e],!0):c[e]<a.max[e]&&(c[e]=a.max[e],!0))},dr=function(){if(k){var e=D.perspective&&!B;return R="translate"+(e?"3d(":"("),void(O=D.perspective?", 0px)":")")}k="left",s.addClass(o,"pswp--ie"),wt=function(a,c){c.left=a+"px"},kt=function(a){var c=a.fitRatio>1?1:a.fitRatio,v=a.container.style,C=c*a.w,W=c*a.h;v.width=C+"px",v.height=W+"px",v.left=a.initialPosition.x+"px",v.top=a.initialPosition.y+"px"},Ce=function(){if(Ee){var a=Ee,c=i.currItem,v=c.fitRatio>1?1:c.fitRatio,C=v*c.w,W=v*c.h;a.width=C+"px",a.height=W+"px",a.left=X.x+"px",a.top=X.y+"px"}}},fr=function(e){var a="";g.escKey&&e.keyCode===27?a="close":g.arrowKeys&&(e.keyCode===37?a="prev":e.keyCode===39&&(a="next")),a&&(e.ctrlKey||e.altKey||e.shiftKey||e.metaKey||(e.preventDefault?e.preventDefault():e.returnValue=!1,i[a]()))},hr=function(e){e&&(Le||he||we||ke)&&(e.preventDefault(),e.stopPropagation())},Qn=function(){i.setScrollOffset(0,s.getScrollY())},ze={},xt=0,Ot=function(e){ze[e]&&(ze[e].raf&&z(ze[e].raf),xt--,delete ze[e])},sn=function(e){ze[e]&&Ot(e),ze[e]||(xt++,ze[e]={})},_t=function(){for(var e in ze)ze.hasOwnProperty(e)&&Ot(e)},Mt=function(e,a,c,v,C,W,J){var Q,te=Ge();sn(e);var me=function(){if(ze[e]){if(Q=Ge()-te,Q>=v)return Ot(e),W(c),void(J&&J());W((c-a)*C(Q/v)+a),ze[e].raf=q(me)}};me()},pr={shout:se,listen:pe,viewportSize:Ae,options:g,isMainScrollAnimating:function(){return we},getZoomLevel:function(){return S},getCurrentIndex:function(){return m},isDragging:function(){return Y},isZooming:function(){return G},setScrollOffset:function(e,a){et.x=e,T=et.y=a,se("updateScrollOffset",et)},applyZoomPan:function(e,a,c,v){X.x=a,X.y=c,S=e,Ce(v)},init:function(){if(!x&&!w){var e;i.framework=s,i.template=o,i.bg=s.getChildByClass(o,"pswp__bg"),Z=o.className,x=!0,D=s.detectFeatures(),q=D.raf,z=D.caf,k=D.transform,ue=D.oldIE,i.scrollWrap=s.getChildByClass(o,"pswp__scroll-wrap"),i.container=s.getChildByClass(i.scrollWrap,"pswp__container"),d=i.container.style,i.itemHolders=H=[{el:i.container.children[0],wrap:0,index:-1},{el:i.container.children[1],wrap:0,index:-1},{el:i.container.children[2],wrap:0,index:-1}],H[0].el.style.display=H[2].el.style.display="none",dr(),l={resize:i.updateSize,orientationchange:function(){clearTimeout(U),U=setTimeout(function(){Ae.x!==i.scrollWrap.clientWidth&&i.updateSize()},500)},scroll:Qn,keydown:fr,click:hr};var a=D.isOldIOSPhone||D.isOldAndroid||D.isMobileOpera;for(D.animationName&&D.transform&&!a||(g.showAnimationDuration=g.hideAnimationDuration=0),e=0;e<I.length;e++)i["init"+I[e]]();if(u){var c=i.ui=new u(i,s);c.init()}se("firstUpdate"),m=m||g.index||0,(isNaN(m)||m<0||m>=qe())&&(m=0),i.currItem=rt(m),(D.isOldIOSPhone||D.isOldAndroid)&&(bt=!1),o.setAttribute("aria-hidden","false"),g.modal&&(bt?o.style.position="fixed":(o.style.position="absolute",o.style.top=s.getScrollY()+"px")),T===void 0&&(se("initialLayout"),T=oe=s.getScrollY());var v="pswp--open ";for(g.mainClass&&(v+=g.mainClass+" "),g.showHideOpacity&&(v+="pswp--animate_opacity "),v+=B?"pswp--touch":"pswp--notouch",v+=D.animationName?" pswp--css_animation":"",v+=D.svg?" pswp--svg":"",s.addClass(o,v),i.updateSize(),f=-1,Re=null,e=0;e<E;e++)wt((e+f)*Ie.x,H[e].el.style);ue||s.bind(i.scrollWrap,r,i),pe("initialZoomInEnd",function(){i.setContent(H[0],m-1),i.setContent(H[2],m+1),H[0].el.style.display=H[2].el.style.display="block",g.focus&&o.focus(),ur()}),i.setContent(H[1],m),i.updateCurrItem(),se("afterInit"),bt||(F=setInterval(function(){xt||Y||G||S!==i.currItem.initialZoomLevel||i.updateSize()},1e3)),s.addClass(o,"pswp--visible")}},close:function(){x&&(x=!1,w=!0,se("close"),cr(),li(i.currItem,null,!0,i.destroy))},destroy:function(){se("destroy"),dt&&clearTimeout(dt),o.setAttribute("aria-hidden","true"),o.className=Z,F&&clearInterval(F),s.unbind(i.scrollWrap,r,i),s.unbind(window,"scroll",i),cn(),_t(),Oe=null},panTo:function(e,a,c){c||(e>j.min.x?e=j.min.x:e<j.max.x&&(e=j.max.x),a>j.min.y?a=j.min.y:a<j.max.y&&(a=j.max.y)),X.x=e,X.y=a,Ce()},handleEvent:function(e){e=e||window.event,l[e.type]&&l[e.type](e)},goTo:function(e){e=Fe(e);var a=e-m;Re=a,m=e,i.currItem=rt(m),Ze-=a,Nt(Ie.x*Ze),_t(),we=!1,i.updateCurrItem()},next:function(){i.goTo(m+1)},prev:function(){i.goTo(m-1)},updateCurrZoomItem:function(e){if(e&&se("beforeChange",0),H[1].el.children.length){var a=H[1].el.children[0];Ee=s.hasClass(a,"pswp__zoom-wrap")?a.style:null}else Ee=null;j=i.currItem.bounds,A=S=i.currItem.initialZoomLevel,X.x=j.center.x,X.y=j.center.y,e&&se("afterChange")},invalidateCurrItems:function(){K=!0;for(var e=0;e<E;e++)H[e].item&&(H[e].item.needsUpdate=!0)},updateCurrItem:function(e){if(Re!==0){var a,c=Math.abs(Re);if(!(e&&c<2)){i.currItem=rt(m),V=!1,se("beforeChange",Re),c>=E&&(f+=Re+(Re>0?-E:E),c=E);for(var v=0;v<c;v++)Re>0?(a=H.shift(),H[E-1]=a,f++,wt((f+2)*Ie.x,a.el.style),i.setContent(a,m-c+v+1+1)):(a=H.pop(),H.unshift(a),f--,wt(f*Ie.x,a.el.style),i.setContent(a,m+c-v-1-1));if(Ee&&Math.abs(Re)===1){var C=rt(ee);C.initialZoomLevel!==S&&(Rt(C,Ae),ht(C),kt(C))}Re=0,i.updateCurrZoomItem(),ee=m,se("afterChange")}}},updateSize:function(e){if(!bt&&g.modal){var a=s.getScrollY();if(T!==a&&(o.style.top=a+"px",T=a),!e&&_.x===window.innerWidth&&_.y===window.innerHeight)return;_.x=window.innerWidth,_.y=window.innerHeight,o.style.height=_.y+"px"}if(Ae.x=i.scrollWrap.clientWidth,Ae.y=i.scrollWrap.clientHeight,Qn(),Ie.x=Ae.x+Math.round(Ae.x*g.spacing),Ie.y=Ae.y,Nt(Ie.x*Ze),se("beforeResize"),f!==void 0){for(var c,v,C,W=0;W<E;W++)c=H[W],wt((W+f)*Ie.x,c.el.style),C=m+W-1,g.loop&&qe()>2&&(C=Fe(C)),v=rt(C),v&&(K||v.needsUpdate||!v.bounds)?(i.cleanSlide(v),i.setContent(c,C),W===1&&(i.currItem=v,i.updateCurrZoomItem(!0)),v.needsUpdate=!1):c.index===-1&&C>=0&&i.setContent(c,C),v&&v.container&&(Rt(v,Ae),ht(v),kt(v));K=!1}A=S=i.currItem.initialZoomLevel,j=i.currItem.bounds,j&&(X.x=j.center.x,X.y=j.center.y,Ce(!0)),se("resize")},zoomTo:function(e,a,c,v,C){a&&(A=S,Pt.x=Math.abs(a.x)-X.x,Pt.y=Math.abs(a.y)-X.y,_e(Je,X));var W=an(e,!1),J={};$n("x",W,J,e),$n("y",W,J,e);var Q=S,te={x:X.x,y:X.y};Xn(J);var me=function(Se){Se===1?(S=e,X.x=J.x,X.y=J.y):(S=(e-Q)*Se+Q,X.x=(J.x-te.x)*Se+te.x,X.y=(J.y-te.y)*Se+te.y),C&&C(Se),Ce(Se===1)};c?Mt("customZoomTo",0,1,c,v||s.easing.sine.inOut,me):me(1)}},Jn=30,ln=10,Me={},lt={},Pe={},De={},Et={},tt=[],ut={},ct=[],St={},Wt=0,Vt=Ue(),un=0,$e=Ue(),Pt=Ue(),Lt=Ue(),mr=function(e,a){return e.x===a.x&&e.y===a.y},gr=function(e,a){return Math.abs(e.x-a.x)<b&&Math.abs(e.y-a.y)<b},ei=function(e,a){return St.x=Math.abs(e.x-a.x),St.y=Math.abs(e.y-a.y),Math.sqrt(St.x*St.x+St.y*St.y)},cn=function(){ve&&(z(ve),ve=null)},ti=function(){Y&&(ve=q(ti),Er())},vr=function(){return!(g.scaleMode==="fit"&&S===i.currItem.initialZoomLevel)},ni=function(e,a){return!(!e||e===document)&&!(e.getAttribute("class")&&e.getAttribute("class").indexOf("pswp__scroll-wrap")>-1)&&(a(e)?e:ni(e.parentNode,a))},dn={},ii=function(e,a){return dn.prevent=!ni(e.target,g.isClickableElement),se("preventDragEvent",e,a,dn),dn.prevent},ri=function(e,a){return a.x=e.pageX,a.y=e.pageY,a.id=e.identifier,a},oi=function(e,a,c){c.x=.5*(e.x+a.x),c.y=.5*(e.y+a.y)},yr=function(e,a,c){if(e-de>50){var v=ct.length>2?ct.shift():{};v.x=a,v.y=c,ct.push(v),de=e}},ai=function(){var e=X.y-i.currItem.initialPosition.y;return 1-Math.abs(e/(Ae.y/2))},Dt={},br={},nt=[],fn=function(e){for(;nt.length>0;)nt.pop();return N?(yt=0,tt.forEach(function(a){yt===0?nt[0]=a:yt===1&&(nt[1]=a),yt++})):e.type.indexOf("touch")>-1?e.touches&&e.touches.length>0&&(nt[0]=ri(e.touches[0],Dt),e.touches.length>1&&(nt[1]=ri(e.touches[1],br))):(Dt.x=e.pageX,Dt.y=e.pageY,Dt.id="",nt[0]=Dt),nt},si=function(e,a){var c,v,C,W,J=0,Q=X[e]+a[e],te=a[e]>0,me=$e.x+a.x,Se=$e.x-ut.x;return c=Q>j.min[e]||Q<j.max[e]?g.panEndFriction:1,Q=X[e]+a[e]*c,!g.allowPanToNext&&S!==i.currItem.initialZoomLevel||(Ee?Be!=="h"||e!=="x"||he||(te?(Q>j.min[e]&&(c=g.panEndFriction,J=j.min[e]-Q,v=j.min[e]-Je[e]),(v<=0||Se<0)&&qe()>1?(W=me,Se<0&&me>ut.x&&(W=ut.x)):j.min.x!==j.max.x&&(C=Q)):(Q<j.max[e]&&(c=g.panEndFriction,J=Q-j.max[e],v=Je[e]-j.max[e]),(v<=0||Se>0)&&qe()>1?(W=me,Se>0&&me<ut.x&&(W=ut.x)):j.min.x!==j.max.x&&(C=Q))):W=me,e!=="x")?void(we||ye||S>i.currItem.fitRatio&&(X[e]+=a[e]*c)):(W!==void 0&&(Nt(W,!0),ye=W!==ut.x),j.min.x!==j.max.x&&(C!==void 0?X.x=C:ye||(X.x+=a.x*c)),W!==void 0)},wr=function(e){if(!(e.type==="mousedown"&&e.button>0)){if(At)return void e.preventDefault();if(!P||e.type!=="mousedown"){if(ii(e,!0)&&e.preventDefault(),se("pointerDown"),N){var a=s.arraySearch(tt,e.pointerId,"id");a<0&&(a=tt.length),tt[a]={x:e.pageX,y:e.pageY,id:e.pointerId}}var c=fn(e),v=c.length;L=null,_t(),Y&&v!==1||(Y=Tt=!0,s.bind(window,n,i),be=vt=st=ke=ye=Le=le=he=!1,Be=null,se("firstTouchStart",c),_e(Je,X),Ye.x=Ye.y=0,_e(De,c[0]),_e(Et,De),ut.x=Ie.x*Ze,ct=[{x:De.x,y:De.y}],de=$=Ge(),an(S,!0),cn(),ti()),!G&&v>1&&!we&&!ye&&(A=S,he=!1,G=le=!0,Ye.y=Ye.x=0,_e(Je,X),_e(Me,c[0]),_e(lt,c[1]),oi(Me,lt,Lt),Pt.x=Math.abs(Lt.x)-X.x,Pt.y=Math.abs(Lt.y)-X.y,ae=fe=ei(Me,lt))}}},xr=function(e){if(e.preventDefault(),N){var a=s.arraySearch(tt,e.pointerId,"id");if(a>-1){var c=tt[a];c.x=e.pageX,c.y=e.pageY}}if(Y){var v=fn(e);if(Be||Le||G)L=v;else if($e.x!==Ie.x*Ze)Be="h";else{var C=Math.abs(v[0].x-De.x)-Math.abs(v[0].y-De.y);Math.abs(C)>=ln&&(Be=C>0?"h":"v",L=v)}}},Er=function(){if(L){var e=L.length;if(e!==0)if(_e(Me,L[0]),Pe.x=Me.x-De.x,Pe.y=Me.y-De.y,G&&e>1){if(De.x=Me.x,De.y=Me.y,!Pe.x&&!Pe.y&&mr(L[1],lt))return;_e(lt,L[1]),he||(he=!0,se("zoomGestureStarted"));var a=ei(Me,lt),c=Cr(a);c>i.currItem.initialZoomLevel+i.currItem.initialZoomLevel/15&&(vt=!0);var v=1,C=Kn(),W=jn();if(c<C)if(g.pinchToClose&&!vt&&A<=i.currItem.initialZoomLevel){var J=C-c,Q=1-J/(C/1.2);je(Q),se("onPinchClose",Q),st=!0}else v=(C-c)/C,v>1&&(v=1),c=C-v*(C/3);else c>W&&(v=(c-W)/(6*C),v>1&&(v=1),c=W+v*C);v<0&&(v=0),ae=a,oi(Me,lt,Vt),Ye.x+=Vt.x-Lt.x,Ye.y+=Vt.y-Lt.y,_e(Lt,Vt),X.x=nn("x",c),X.y=nn("y",c),be=c>S,S=c,Ce()}else{if(!Be||(Tt&&(Tt=!1,Math.abs(Pe.x)>=ln&&(Pe.x-=L[0].x-Et.x),Math.abs(Pe.y)>=ln&&(Pe.y-=L[0].y-Et.y)),De.x=Me.x,De.y=Me.y,Pe.x===0&&Pe.y===0))return;if(Be==="v"&&g.closeOnVerticalDrag&&!vr()){Ye.y+=Pe.y,X.y+=Pe.y;var te=ai();return ke=!0,se("onVerticalDrag",te),je(te),void Ce()}yr(Ge(),Me.x,Me.y),Le=!0,j=i.currItem.bounds;var me=si("x",Pe);me||(si("y",Pe),Xn(X),Ce())}}},Sr=function(e){if(D.isOldAndroid){if(P&&e.type==="mouseup")return;e.type.indexOf("touch")>-1&&(clearTimeout(P),P=setTimeout(function(){P=0},600))}se("pointerUp"),ii(e,!1)&&e.preventDefault();var a;if(N){var c=s.arraySearch(tt,e.pointerId,"id");if(c>-1)if(a=tt.splice(c,1)[0],navigator.msPointerEnabled){var v={4:"mouse",2:"touch",3:"pen"};a.type=v[e.pointerType],a.type||(a.type=e.pointerType||"mouse")}else a.type=e.pointerType||"mouse"}var C,W=fn(e),J=W.length;if(e.type==="mouseup"&&(J=0),J===2)return L=null,!0;J===1&&_e(Et,W[0]),J!==0||Be||we||(a||(e.type==="mouseup"?a={x:e.pageX,y:e.pageY,type:"mouse"}:e.changedTouches&&e.changedTouches[0]&&(a={x:e.changedTouches[0].pageX,y:e.changedTouches[0].pageY,type:"touch"})),se("touchRelease",e,a));var Q=-1;if(J===0&&(Y=!1,s.unbind(window,n,i),cn(),G?Q=0:un!==-1&&(Q=Ge()-un)),un=J===1?Ge():-1,C=Q!==-1&&Q<150?"zoom":"swipe",G&&J<2&&(G=!1,J===1&&(C="zoomPointerUp"),se("zoomGestureEnded")),L=null,Le||he||we||ke)if(_t(),ge||(ge=Lr()),ge.calculateSwipeSpeed("x"),ke){var te=ai();if(te<g.verticalDragRange)i.close();else{var me=X.y,Se=gt;Mt("verticalDrag",0,1,300,s.easing.cubic.out,function(Qe){X.y=(i.currItem.initialPosition.y-me)*Qe+me,je((1-Se)*Qe+Se),Ce()}),se("onVerticalDrag",1)}}else{if((ye||we)&&J===0){var at=Ir(C,ge);if(at)return;C="zoomPointerUp"}if(!we)return C!=="swipe"?void Tr():void(!ye&&S>i.currItem.fitRatio&&Ar(ge))}},Lr=function(){var e,a,c={lastFlickOffset:{},lastFlickDist:{},lastFlickSpeed:{},slowDownRatio:{},slowDownRatioReverse:{},speedDecelerationRatio:{},speedDecelerationRatioAbs:{},distanceOffset:{},backAnimDestination:{},backAnimStarted:{},calculateSwipeSpeed:function(v){ct.length>1?(e=Ge()-de+50,a=ct[ct.length-2][v]):(e=Ge()-$,a=Et[v]),c.lastFlickOffset[v]=De[v]-a,c.lastFlickDist[v]=Math.abs(c.lastFlickOffset[v]),c.lastFlickDist[v]>20?c.lastFlickSpeed[v]=c.lastFlickOffset[v]/e:c.lastFlickSpeed[v]=0,Math.abs(c.lastFlickSpeed[v])<.1&&(c.lastFlickSpeed[v]=0),c.slowDownRatio[v]=.95,c.slowDownRatioReverse[v]=1-c.slowDownRatio[v],c.speedDecelerationRatio[v]=1},calculateOverBoundsAnimOffset:function(v,C){c.backAnimStarted[v]||(X[v]>j.min[v]?c.backAnimDestination[v]=j.min[v]:X[v]<j.max[v]&&(c.backAnimDestination[v]=j.max[v]),c.backAnimDestination[v]!==void 0&&(c.slowDownRatio[v]=.7,c.slowDownRatioReverse[v]=1-c.slowDownRatio[v],c.speedDecelerationRatioAbs[v]<.05&&(c.lastFlickSpeed[v]=0,c.backAnimStarted[v]=!0,Mt("bounceZoomPan"+v,X[v],c.backAnimDestination[v],C||300,s.easing.sine.out,function(W){X[v]=W,Ce()}))))},calculateAnimOffset:function(v){c.backAnimStarted[v]||(c.speedDecelerationRatio[v]=c.speedDecelerationRatio[v]*(c.slowDownRatio[v]+c.slowDownRatioReverse[v]-c.slowDownRatioReverse[v]*c.timeDiff/10),c.speedDecelerationRatioAbs[v]=Math.abs(c.lastFlickSpeed[v]*c.speedDecelerationRatio[v]),c.distanceOffset[v]=c.lastFlickSpeed[v]*c.speedDecelerationRatio[v]*c.timeDiff,X[v]+=c.distanceOffset[v])},panAnimLoop:function(){if(ze.zoomPan&&(ze.zoomPan.raf=q(c.panAnimLoop),c.now=Ge(),c.timeDiff=c.now-c.lastNow,c.lastNow=c.now,c.calculateAnimOffset("x"),c.calculateAnimOffset("y"),Ce(),c.calculateOverBoundsAnimOffset("x"),c.calculateOverBoundsAnimOffset("y"),c.speedDecelerationRatioAbs.x<.05&&c.speedDecelerationRatioAbs.y<.05))return X.x=Math.round(X.x),X.y=Math.round(X.y),Ce(),void Ot("zoomPan")}};return c},Ar=function(e){return e.calculateSwipeSpeed("y"),j=i.currItem.bounds,e.backAnimDestination={},e.backAnimStarted={},Math.abs(e.lastFlickSpeed.x)<=.05&&Math.abs(e.lastFlickSpeed.y)<=.05?(e.speedDecelerationRatioAbs.x=e.speedDecelerationRatioAbs.y=0,e.calculateOverBoundsAnimOffset("x"),e.calculateOverBoundsAnimOffset("y"),!0):(sn("zoomPan"),e.lastNow=Ge(),void e.panAnimLoop())},Ir=function(e,a){var c;we||(Wt=m);var v;if(e==="swipe"){var C=De.x-Et.x,W=a.lastFlickDist.x<10;C>Jn&&(W||a.lastFlickOffset.x>20)?v=-1:C<-Jn&&(W||a.lastFlickOffset.x<-20)&&(v=1)}var J;v&&(m+=v,m<0?(m=g.loop?qe()-1:0,J=!0):m>=qe()&&(m=g.loop?0:qe()-1,J=!0),J&&!g.loop||(Re+=v,Ze-=v,c=!0));var Q,te=Ie.x*Ze,me=Math.abs(te-$e.x);return c||te>$e.x==a.lastFlickSpeed.x>0?(Q=Math.abs(a.lastFlickSpeed.x)>0?me/Math.abs(a.lastFlickSpeed.x):333,Q=Math.min(Q,400),Q=Math.max(Q,250)):Q=333,Wt===m&&(c=!1),we=!0,se("mainScrollAnimStart"),Mt("mainScroll",$e.x,te,Q,s.easing.cubic.out,Nt,function(){_t(),we=!1,Wt=-1,(c||Wt!==m)&&i.updateCurrItem(),se("mainScrollAnimComplete")}),c&&i.updateCurrItem(!0),c},Cr=function(e){return 1/fe*e*A},Tr=function(){var e=S,a=Kn(),c=jn();S<a?e=a:S>c&&(e=c);var v,C=1,W=gt;return st&&!be&&!vt&&S<a?(i.close(),!0):(st&&(v=function(J){je((C-W)*J+W)}),i.zoomTo(e,0,200,s.easing.cubic.out,v),!0)};ne("Gestures",{publicMethods:{initGestures:function(){var e=function(a,c,v,C,W){ie=a+c,ce=a+v,re=a+C,M=W?a+W:""};N=D.pointerEvent,N&&D.touch&&(D.touch=!1),N?navigator.msPointerEnabled?e("MSPointer","Down","Move","Up","Cancel"):e("pointer","down","move","up","cancel"):D.touch?(e("touch","start","move","end","cancel"),B=!0):e("mouse","down","move","up"),n=ce+" "+re+" "+M,r=ie,N&&!B&&(B=navigator.maxTouchPoints>1||navigator.msMaxTouchPoints>1),i.likelyTouchDevice=B,l[ie]=wr,l[ce]=xr,l[re]=Sr,M&&(l[M]=l[re]),D.touch&&(r+=" mousedown",n+=" mousemove mouseup",l.mousedown=l[ie],l.mousemove=l[ce],l.mouseup=l[re]),B||(g.allowPanToNext=!1)}}});var dt,it,hn,At,rt,qe,kr,li=function(e,a,c,v){dt&&clearTimeout(dt),At=!0,hn=!0;var C;e.initialLayout?(C=e.initialLayout,e.initialLayout=null):C=g.getThumbBoundsFn&&g.getThumbBoundsFn(m);var W=c?g.hideAnimationDuration:g.showAnimationDuration,J=function(){Ot("initialZoom"),c?(i.template.removeAttribute("style"),i.bg.removeAttribute("style")):(je(1),a&&(a.style.display="block"),s.addClass(o,"pswp--animated-in"),se("initialZoom"+(c?"OutEnd":"InEnd"))),v&&v(),At=!1};if(!W||!C||C.x===void 0)return se("initialZoom"+(c?"Out":"In")),S=e.initialZoomLevel,_e(X,e.initialPosition),Ce(),o.style.opacity=c?0:1,je(1),void(W?setTimeout(function(){J()},W):J());var Q=function(){var te=p,me=!i.currItem.src||i.currItem.loadError||g.showHideOpacity;e.miniImg&&(e.miniImg.style.webkitBackfaceVisibility="hidden"),c||(S=C.w/e.w,X.x=C.x,X.y=C.y-oe,i[me?"template":"bg"].style.opacity=.001,Ce()),sn("initialZoom"),c&&!te&&s.removeClass(o,"pswp--animated-in"),me&&(c?s[(te?"remove":"add")+"Class"](o,"pswp--animate_opacity"):setTimeout(function(){s.addClass(o,"pswp--animate_opacity")},30)),dt=setTimeout(function(){if(se("initialZoom"+(c?"Out":"In")),c){var Se=C.w/e.w,at={x:X.x,y:X.y},Qe=S,Ct=gt,zt=function(Ke){Ke===1?(S=Se,X.x=C.x,X.y=C.y-T):(S=(Se-Qe)*Ke+Qe,X.x=(C.x-at.x)*Ke+at.x,X.y=(C.y-T-at.y)*Ke+at.y),Ce(),me?o.style.opacity=1-Ke:je(Ct-Ke*Ct)};te?Mt("initialZoom",0,1,W,s.easing.cubic.out,zt,J):(zt(1),dt=setTimeout(J,W+20))}else S=e.initialZoomLevel,_e(X,e.initialPosition),Ce(),je(1),me?o.style.opacity=1:je(1),dt=setTimeout(J,W+20)},c?25:90)};Q()},Ve={},ft=[],Or={index:0,errorMsg:'<div class="pswp__error-msg"><a href="%url%" target="_blank">The image</a> could not be loaded.</div>',forceProgressiveLoading:!1,preload:[1,1],getNumItemsFn:function(){return it.length}},ui=function(){return{center:{x:0,y:0},max:{x:0,y:0},min:{x:0,y:0}}},_r=function(e,a,c){var v=e.bounds;v.center.x=Math.round((Ve.x-a)/2),v.center.y=Math.round((Ve.y-c)/2)+e.vGap.top,v.max.x=a>Ve.x?Math.round(Ve.x-a):v.center.x,v.max.y=c>Ve.y?Math.round(Ve.y-c)+e.vGap.top:v.center.y,v.min.x=a>Ve.x?0:v.center.x,v.min.y=c>Ve.y?e.vGap.top:v.center.y},Rt=function(e,a,c){if(e.src&&!e.loadError){var v=!c;if(v&&(e.vGap||(e.vGap={top:0,bottom:0}),se("parseVerticalMargin",e)),Ve.x=a.x,Ve.y=a.y-e.vGap.top-e.vGap.bottom,v){var C=Ve.x/e.w,W=Ve.y/e.h;e.fitRatio=C<W?C:W;var J=g.scaleMode;J==="orig"?c=1:J==="fit"&&(c=e.fitRatio),c>1&&(c=1),e.initialZoomLevel=c,e.bounds||(e.bounds=ui())}return c?(_r(e,e.w*c,e.h*c),v&&c===e.initialZoomLevel&&(e.initialPosition=e.bounds.center),e.bounds):void 0}return e.w=e.h=0,e.initialZoomLevel=e.fitRatio=1,e.bounds=ui(),e.initialPosition=e.bounds.center,e.bounds},Ht=function(e,a,c,v,C,W){a.loadError||v&&(a.imageAppended=!0,ht(a,v,a===i.currItem&&V),c.appendChild(v),W&&setTimeout(function(){a&&a.loaded&&a.placeholder&&(a.placeholder.style.display="none",a.placeholder=null)},500))},ci=function(e){e.loading=!0,e.loaded=!1;var a=e.img=s.createEl("pswp__img","img"),c=function(){e.loading=!1,e.loaded=!0,e.loadComplete?e.loadComplete(e):e.img=null,a.onload=a.onerror=null,a=null};return a.onload=c,a.onerror=function(){e.loadError=!0,c()},a.src=e.src,a},di=function(e,a){if(e.src&&e.loadError&&e.container)return a&&(e.container.innerHTML=""),e.container.innerHTML=g.errorMsg.replace("%url%",e.src),!0},ht=function(e,a,c){if(e.src){a||(a=e.container.lastChild);var v=c?e.w:Math.round(e.w*e.fitRatio),C=c?e.h:Math.round(e.h*e.fitRatio);e.placeholder&&!e.loaded&&(e.placeholder.style.width=v+"px",e.placeholder.style.height=C+"px"),a.style.width=v+"px",a.style.height=C+"px"}},fi=function(){if(ft.length){for(var e,a=0;a<ft.length;a++)e=ft[a],e.holder.index===e.index&&Ht(e.index,e.item,e.baseDiv,e.img,!1,e.clearPlaceholder);ft=[]}};ne("Controller",{publicMethods:{lazyLoadItem:function(e){e=Fe(e);var a=rt(e);a&&(!a.loaded&&!a.loading||K)&&(se("gettingData",e,a),a.src&&ci(a))},initController:function(){s.extend(g,Or,!0),i.items=it=h,rt=i.getItemAt,qe=g.getNumItemsFn,kr=g.loop,qe()<3&&(g.loop=!1),pe("beforeChange",function(e){var a,c=g.preload,v=e===null||e>=0,C=Math.min(c[0],qe()),W=Math.min(c[1],qe());for(a=1;a<=(v?W:C);a++)i.lazyLoadItem(m+a);for(a=1;a<=(v?C:W);a++)i.lazyLoadItem(m-a)}),pe("initialLayout",function(){i.currItem.initialLayout=g.getThumbBoundsFn&&g.getThumbBoundsFn(m)}),pe("mainScrollAnimComplete",fi),pe("initialZoomInEnd",fi),pe("destroy",function(){for(var e,a=0;a<it.length;a++)e=it[a],e.container&&(e.container=null),e.placeholder&&(e.placeholder=null),e.img&&(e.img=null),e.preloader&&(e.preloader=null),e.loadError&&(e.loaded=e.loadError=!1);ft=null})},getItemAt:function(e){return e>=0&&it[e]!==void 0&&it[e]},allowProgressiveImg:function(){return g.forceProgressiveLoading||!B||g.mouseUsed||screen.width>1200},setContent:function(e,a){g.loop&&(a=Fe(a));var c=i.getItemAt(e.index);c&&(c.container=null);var v,C=i.getItemAt(a);if(!C)return void(e.el.innerHTML="");se("gettingData",a,C),e.index=a,e.item=C;var W=C.container=s.createEl("pswp__zoom-wrap");if(!C.src&&C.html&&(C.html.tagName?W.appendChild(C.html):W.innerHTML=C.html),di(C),Rt(C,Ae),!C.src||C.loadError||C.loaded)C.src&&!C.loadError&&(v=s.createEl("pswp__img","img"),v.style.opacity=1,v.src=C.src,ht(C,v),Ht(a,C,W,v,!0));else{if(C.loadComplete=function(te){if(x){if(e&&e.index===a){if(di(te,!0))return te.loadComplete=te.img=null,Rt(te,Ae),kt(te),void(e.index===m&&i.updateCurrZoomItem());te.imageAppended?!At&&te.placeholder&&(te.placeholder.style.display="none",te.placeholder=null):D.transform&&(we||At)?ft.push({item:te,baseDiv:W,img:te.img,index:a,holder:e,clearPlaceholder:!0}):Ht(a,te,W,te.img,we||At,!0)}te.loadComplete=null,te.img=null,se("imageLoadComplete",a,te)}},s.features.transform){var J="pswp__img pswp__img--placeholder";J+=C.msrc?"":" pswp__img--placeholder--blank";var Q=s.createEl(J,C.msrc?"img":"");C.msrc&&(Q.src=C.msrc),ht(C,Q),W.appendChild(Q),C.placeholder=Q}C.loading||ci(C),i.allowProgressiveImg()&&(!hn&&D.transform?ft.push({item:C,baseDiv:W,img:C.img,index:a,holder:e}):Ht(a,C,W,C.img,!0,!0))}hn||a!==m?kt(C):(Ee=W.style,li(C,v||C.img)),e.el.innerHTML="",e.el.appendChild(W)},cleanSlide:function(e){e.img&&(e.img.onload=e.img.onerror=null),e.loaded=e.loading=e.img=e.imageAppended=!1}}});var ot,pn={},mn=function(e,a,c){var v=document.createEvent("CustomEvent"),C={origEvent:e,target:e.target,releasePoint:a,pointerType:c||"touch"};v.initCustomEvent("pswpTap",!0,!0,C),e.target.dispatchEvent(v)};ne("Tap",{publicMethods:{initTap:function(){pe("firstTouchStart",i.onTapStart),pe("touchRelease",i.onTapRelease),pe("destroy",function(){pn={},ot=null})},onTapStart:function(e){e.length>1&&(clearTimeout(ot),ot=null)},onTapRelease:function(e,a){if(a&&!Le&&!le&&!xt){var c=a;if(ot&&(clearTimeout(ot),ot=null,gr(c,pn)))return void se("doubleTap",c);if(a.type==="mouse")return void mn(e,a,"mouse");var v=e.target.tagName.toUpperCase();if(v==="BUTTON"||s.hasClass(e.target,"pswp__single-tap"))return void mn(e,a);_e(pn,c),ot=setTimeout(function(){mn(e,a),ot=null},300)}}}});var Ne;ne("DesktopZoom",{publicMethods:{initDesktopZoom:function(){ue||(B?pe("mouseUsed",function(){i.setupDesktopZoom()}):i.setupDesktopZoom(!0))},setupDesktopZoom:function(e){Ne={};var a="wheel mousewheel DOMMouseScroll";pe("bindEvents",function(){s.bind(o,a,i.handleMouseWheel)}),pe("unbindEvents",function(){Ne&&s.unbind(o,a,i.handleMouseWheel)}),i.mouseZoomedIn=!1;var c,v=function(){i.mouseZoomedIn&&(s.removeClass(o,"pswp--zoomed-in"),i.mouseZoomedIn=!1),S<1?s.addClass(o,"pswp--zoom-allowed"):s.removeClass(o,"pswp--zoom-allowed"),C()},C=function(){c&&(s.removeClass(o,"pswp--dragging"),c=!1)};pe("resize",v),pe("afterChange",v),pe("pointerDown",function(){i.mouseZoomedIn&&(c=!0,s.addClass(o,"pswp--dragging"))}),pe("pointerUp",C),e||v()},handleMouseWheel:function(e){if(S<=i.currItem.fitRatio)return g.modal&&(!g.closeOnScroll||xt||Y?e.preventDefault():k&&Math.abs(e.deltaY)>2&&(p=!0,i.close())),!0;if(e.stopPropagation(),Ne.x=0,"deltaX"in e)e.deltaMode===1?(Ne.x=18*e.deltaX,Ne.y=18*e.deltaY):(Ne.x=e.deltaX,Ne.y=e.deltaY);else if("wheelDelta"in e)e.wheelDeltaX&&(Ne.x=-.16*e.wheelDeltaX),e.wheelDeltaY?Ne.y=-.16*e.wheelDeltaY:Ne.y=-.16*e.wheelDelta;else{if(!("detail"in e))return;Ne.y=e.detail}an(S,!0);var a=X.x-Ne.x,c=X.y-Ne.y;(g.modal||a<=j.min.x&&a>=j.max.x&&c<=j.min.y&&c>=j.max.y)&&e.preventDefault(),i.panTo(a,c)},toggleDesktopZoom:function(e){e=e||{x:Ae.x/2+et.x,y:Ae.y/2+et.y};var a=g.getDoubleTapZoom(!0,i.currItem),c=S===a;i.mouseZoomedIn=!c,i.zoomTo(c?i.currItem.initialZoomLevel:a,e,333),s[(c?"remove":"add")+"Class"](o,"pswp--zoomed-in")}}});var gn,hi,Ft,Bt,vn,pi,Te,It,yn,bn,Xe,wn,Mr={history:!0,galleryUID:1},xn=function(){return Xe.hash.substring(1)},mi=function(){gn&&clearTimeout(gn),Ft&&clearTimeout(Ft)},gi=function(){var e=xn(),a={};if(e.length<5)return a;var c,v=e.split("&");for(c=0;c<v.length;c++)if(v[c]){var C=v[c].split("=");C.length<2||(a[C[0]]=C[1])}if(g.galleryPIDs){var W=a.pid;for(a.pid=0,c=0;c<it.length;c++)if(it[c].pid===W){a.pid=c;break}}else a.pid=parseInt(a.pid,10)-1;return a.pid<0&&(a.pid=0),a},En=function(){if(Ft&&clearTimeout(Ft),xt||Y)return void(Ft=setTimeout(En,500));Bt?clearTimeout(hi):Bt=!0;var e=m+1,a=rt(m);a.hasOwnProperty("pid")&&(e=a.pid);var c=Te+"&gid="+g.galleryUID+"&pid="+e;It||Xe.hash.indexOf(c)===-1&&(bn=!0);var v=Xe.href.split("#")[0]+"#"+c;wn?"#"+c!==window.location.hash&&history[It?"replaceState":"pushState"]("",document.title,v):It?Xe.replace(v):Xe.hash=c,It=!0,hi=setTimeout(function(){Bt=!1},60)};ne("History",{publicMethods:{initHistory:function(){if(s.extend(g,Mr,!0),g.history){Xe=window.location,bn=!1,yn=!1,It=!1,Te=xn(),wn="pushState"in history,Te.indexOf("gid=")>-1&&(Te=Te.split("&gid=")[0],Te=Te.split("?gid=")[0]),pe("afterChange",i.updateURL),pe("unbindEvents",function(){s.unbind(window,"hashchange",i.onHashChange)});var e=function(){pi=!0,yn||(bn?history.back():Te?Xe.hash=Te:wn?history.pushState("",document.title,Xe.pathname+Xe.search):Xe.hash=""),mi()};pe("unbindEvents",function(){p&&e()}),pe("destroy",function(){pi||e()}),pe("firstUpdate",function(){m=gi().pid});var a=Te.indexOf("pid=");a>-1&&(Te=Te.substring(0,a),Te.slice(-1)==="&"&&(Te=Te.slice(0,-1))),setTimeout(function(){x&&s.bind(window,"hashchange",i.onHashChange)},40)}},onHashChange:function(){return xn()===Te?(yn=!0,void i.close()):void(Bt||(vn=!0,i.goTo(gi().pid),vn=!1))},updateURL:function(){mi(),vn||(It?gn=setTimeout(En,800):En())}}}),s.extend(i,pr)};return t})});var Ii=He((Cn,Ai)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof Cn=="object"?Ai.exports=o():t.PhotoSwipeUI_Default=o()})(Cn,function(){"use strict";var t=function(o,u){var h,y,s,i,b,E,g,x,w,p,m,d,f,n,r,l,S,A,R,O=this,F=!1,K=!0,H=!0,ee={barsSize:{top:44,bottom:"auto"},closeElClasses:["item","caption","zoom-wrap","ui","top-bar"],timeToIdle:4e3,timeToIdleOutside:1e3,loadingIndicatorDelay:1e3,addCaptionHTMLFn:function(P,Y){return P.title?(Y.children[0].innerHTML=P.title,!0):(Y.children[0].innerHTML="",!1)},closeEl:!0,captionEl:!0,fullscreenEl:!0,zoomEl:!0,shareEl:!0,counterEl:!0,arrowEl:!0,preloaderEl:!0,tapToClose:!1,tapToToggleControls:!0,clickToCloseNonZoomable:!0,shareButtons:[{id:"facebook",label:"Share on Facebook",url:"https://www.facebook.com/sharer/sharer.php?u={{url}}"},{id:"twitter",label:"Tweet",url:"https://twitter.com/intent/tweet?text={{text}}&url={{url}}"},{id:"pinterest",label:"Pin it",url:"http://www.pinterest.com/pin/create/button/?url={{url}}&media={{image_url}}&description={{text}}"},{id:"download",label:"Download image",url:"{{raw_image_url}}",download:!0}],getImageURLForShare:function(){return o.currItem.src||""},getPageURLForShare:function(){return window.location.href},getTextForShare:function(){return o.currItem.title||""},indexIndicatorSep:" / ",fitControlsWidth:1200},ie=function(P){if(l)return!0;P=P||window.event,r.timeToIdle&&r.mouseUsed&&!w&&oe();for(var Y,le,he=P.target||P.srcElement,Le=he.getAttribute("class")||"",ve=0;ve<be.length;ve++)Y=be[ve],Y.onTap&&Le.indexOf("pswp__"+Y.name)>-1&&(Y.onTap(),le=!0);if(le){P.stopPropagation&&P.stopPropagation(),l=!0;var ye=u.features.isOldAndroid?600:30;S=setTimeout(function(){l=!1},ye)}},ce=function(){return!o.likelyTouchDevice||r.mouseUsed||screen.width>r.fitControlsWidth},re=function(P,Y,le){u[(le?"add":"remove")+"Class"](P,"pswp__"+Y)},M=function(){var P=r.getNumItemsFn()===1;P!==n&&(re(y,"ui--one-slide",P),n=P)},k=function(){re(g,"share-modal--hidden",H)},N=function(){return H=!H,H?(u.removeClass(g,"pswp__share-modal--fade-in"),setTimeout(function(){H&&k()},300)):(k(),setTimeout(function(){H||u.addClass(g,"pswp__share-modal--fade-in")},30)),H||q(),!1},B=function(P){P=P||window.event;var Y=P.target||P.srcElement;return o.shout("shareLinkClick",P,Y),!!Y.href&&(!!Y.hasAttribute("download")||(window.open(Y.href,"pswp_share","scrollbars=yes,resizable=yes,toolbar=no,location=yes,width=550,height=420,top=100,left="+(window.screen?Math.round(screen.width/2-275):100)),H||N(),!1))},q=function(){for(var P,Y,le,he,Le,ve="",ye=0;ye<r.shareButtons.length;ye++)P=r.shareButtons[ye],le=r.getImageURLForShare(P),he=r.getPageURLForShare(P),Le=r.getTextForShare(P),Y=P.url.replace("{{url}}",encodeURIComponent(he)).replace("{{image_url}}",encodeURIComponent(le)).replace("{{raw_image_url}}",le).replace("{{text}}",encodeURIComponent(Le)),ve+='<a href="'+Y+'" target="_blank" class="pswp__share--'+P.id+'"'+(P.download?"download":"")+">"+P.label+"</a>",r.parseShareButtonOut&&(ve=r.parseShareButtonOut(P,ve));g.children[0].innerHTML=ve,g.children[0].onclick=B},z=function(P){for(var Y=0;Y<r.closeElClasses.length;Y++)if(u.hasClass(P,"pswp__"+r.closeElClasses[Y]))return!0},Z=0,oe=function(){clearTimeout(R),Z=0,w&&O.setIdle(!1)},ue=function(P){P=P||window.event;var Y=P.relatedTarget||P.toElement;Y&&Y.nodeName!=="HTML"||(clearTimeout(R),R=setTimeout(function(){O.setIdle(!0)},r.timeToIdleOutside))},T=function(){r.fullscreenEl&&!u.features.isOldAndroid&&(h||(h=O.getFullscreenAPI()),h?(u.bind(document,h.eventK,O.updateFullscreen),O.updateFullscreen(),u.addClass(o.template,"pswp--supports-fs")):u.removeClass(o.template,"pswp--supports-fs"))},D=function(){r.preloaderEl&&(U(!0),p("beforeChange",function(){clearTimeout(f),f=setTimeout(function(){o.currItem&&o.currItem.loading?(!o.allowProgressiveImg()||o.currItem.img&&!o.currItem.img.naturalWidth)&&U(!1):U(!0)},r.loadingIndicatorDelay)}),p("imageLoadComplete",function(P,Y){o.currItem===Y&&U(!0)}))},U=function(P){d!==P&&(re(m,"preloader--active",!P),d=P)},$=function(P){var Y=P.vGap;if(ce()){var le=r.barsSize;if(r.captionEl&&le.bottom==="auto")if(i||(i=u.createEl("pswp__caption pswp__caption--fake"),i.appendChild(u.createEl("pswp__caption__center")),y.insertBefore(i,s),u.addClass(y,"pswp__ui--fit")),r.addCaptionHTMLFn(P,i,!0)){var he=i.clientHeight;Y.bottom=parseInt(he,10)||44}else Y.bottom=le.top;else Y.bottom=le.bottom==="auto"?0:le.bottom;Y.top=le.top}else Y.top=Y.bottom=0},de=function(){r.timeToIdle&&p("mouseUsed",function(){u.bind(document,"mousemove",oe),u.bind(document,"mouseout",ue),A=setInterval(function(){Z++,Z===2&&O.setIdle(!0)},r.timeToIdle/2)})},ge=function(){p("onVerticalDrag",function(Y){K&&Y<.95?O.hideControls():!K&&Y>=.95&&O.showControls()});var P;p("onPinchClose",function(Y){K&&Y<.9?(O.hideControls(),P=!0):P&&!K&&Y>.9&&O.showControls()}),p("zoomGestureEnded",function(){P=!1,P&&!K&&O.showControls()})},be=[{name:"caption",option:"captionEl",onInit:function(P){s=P}},{name:"share-modal",option:"shareEl",onInit:function(P){g=P},onTap:function(){N()}},{name:"button--share",option:"shareEl",onInit:function(P){E=P},onTap:function(){N()}},{name:"button--zoom",option:"zoomEl",onTap:o.toggleDesktopZoom},{name:"counter",option:"counterEl",onInit:function(P){b=P}},{name:"button--close",option:"closeEl",onTap:o.close},{name:"button--arrow--left",option:"arrowEl",onTap:o.prev},{name:"button--arrow--right",option:"arrowEl",onTap:o.next},{name:"button--fs",option:"fullscreenEl",onTap:function(){h.isFullscreen()?h.exit():h.enter()}},{name:"preloader",option:"preloaderEl",onInit:function(P){m=P}}],ke=function(){var P,Y,le,he=function(ve){if(ve)for(var ye=ve.length,L=0;L<ye;L++){P=ve[L],Y=P.className;for(var G=0;G<be.length;G++)le=be[G],Y.indexOf("pswp__"+le.name)>-1&&(r[le.option]?(u.removeClass(P,"pswp__element--disabled"),le.onInit&&le.onInit(P)):u.addClass(P,"pswp__element--disabled"))}};he(y.children);var Le=u.getChildByClass(y,"pswp__top-bar");Le&&he(Le.children)};O.init=function(){u.extend(o.options,ee,!0),r=o.options,y=u.getChildByClass(o.scrollWrap,"pswp__ui"),p=o.listen,ge(),p("beforeChange",O.update),p("doubleTap",function(P){var Y=o.currItem.initialZoomLevel;o.getZoomLevel()!==Y?o.zoomTo(Y,P,333):o.zoomTo(r.getDoubleTapZoom(!1,o.currItem),P,333)}),p("preventDragEvent",function(P,Y,le){var he=P.target||P.srcElement;he&&he.getAttribute("class")&&P.type.indexOf("mouse")>-1&&(he.getAttribute("class").indexOf("__caption")>0||/(SMALL|STRONG|EM)/i.test(he.tagName))&&(le.prevent=!1)}),p("bindEvents",function(){u.bind(y,"pswpTap click",ie),u.bind(o.scrollWrap,"pswpTap",O.onGlobalTap),o.likelyTouchDevice||u.bind(o.scrollWrap,"mouseover",O.onMouseOver)}),p("unbindEvents",function(){H||N(),A&&clearInterval(A),u.unbind(document,"mouseout",ue),u.unbind(document,"mousemove",oe),u.unbind(y,"pswpTap click",ie),u.unbind(o.scrollWrap,"pswpTap",O.onGlobalTap),u.unbind(o.scrollWrap,"mouseover",O.onMouseOver),h&&(u.unbind(document,h.eventK,O.updateFullscreen),h.isFullscreen()&&(r.hideAnimationDuration=0,h.exit()),h=null)}),p("destroy",function(){r.captionEl&&(i&&y.removeChild(i),u.removeClass(s,"pswp__caption--empty")),g&&(g.children[0].onclick=null),u.removeClass(y,"pswp__ui--over-close"),u.addClass(y,"pswp__ui--hidden"),O.setIdle(!1)}),r.showAnimationDuration||u.removeClass(y,"pswp__ui--hidden"),p("initialZoomIn",function(){r.showAnimationDuration&&u.removeClass(y,"pswp__ui--hidden")}),p("initialZoomOut",function(){u.addClass(y,"pswp__ui--hidden")}),p("parseVerticalMargin",$),ke(),r.shareEl&&E&&g&&(H=!0),M(),de(),T(),D()},O.setIdle=function(P){w=P,re(y,"ui--idle",P)},O.update=function(){K&&o.currItem?(O.updateIndexIndicator(),r.captionEl&&(r.addCaptionHTMLFn(o.currItem,s),re(s,"caption--empty",!o.currItem.title)),F=!0):F=!1,H||N(),M()},O.updateFullscreen=function(P){P&&setTimeout(function(){o.setScrollOffset(0,u.getScrollY())},50),u[(h.isFullscreen()?"add":"remove")+"Class"](o.template,"pswp--fs")},O.updateIndexIndicator=function(){r.counterEl&&(b.innerHTML=o.getCurrentIndex()+1+r.indexIndicatorSep+r.getNumItemsFn())},O.onGlobalTap=function(P){P=P||window.event;var Y=P.target||P.srcElement;if(!l){if(P.detail&&P.detail.pointerType==="mouse"){if(z(Y))return void o.close();u.hasClass(Y,"pswp__img")&&(o.getZoomLevel()===1&&o.getZoomLevel()<=o.currItem.fitRatio?r.clickToCloseNonZoomable&&o.close():o.toggleDesktopZoom(P.detail.releasePoint))}else if(r.tapToToggleControls&&(K?O.hideControls():O.showControls()),r.tapToClose&&(u.hasClass(Y,"pswp__img")||z(Y)))return void o.close()}},O.onMouseOver=function(P){P=P||window.event;var Y=P.target||P.srcElement;re(y,"ui--over-close",z(Y))},O.hideControls=function(){u.addClass(y,"pswp__ui--hidden"),K=!1},O.showControls=function(){K=!0,F||O.update(),u.removeClass(y,"pswp__ui--hidden")},O.supportsFullscreen=function(){var P=document;return!!(P.exitFullscreen||P.mozCancelFullScreen||P.webkitExitFullscreen||P.msExitFullscreen)},O.getFullscreenAPI=function(){var P,Y=document.documentElement,le="fullscreenchange";return Y.requestFullscreen?P={enterK:"requestFullscreen",exitK:"exitFullscreen",elementK:"fullscreenElement",eventK:le}:Y.mozRequestFullScreen?P={enterK:"mozRequestFullScreen",exitK:"mozCancelFullScreen",elementK:"mozFullScreenElement",eventK:"moz"+le}:Y.webkitRequestFullscreen?P={enterK:"webkitRequestFullscreen",exitK:"webkitExitFullscreen",elementK:"webkitFullscreenElement",eventK:"webkit"+le}:Y.msRequestFullscreen&&(P={enterK:"msRequestFullscreen",exitK:"msExitFullscreen",elementK:"msFullscreenElement",eventK:"MSFullscreenChange"}),P&&(P.enter=function(){return x=r.closeOnScroll,r.closeOnScroll=!1,this.enterK!=="webkitRequestFullscreen"?o.template[this.enterK]():void o.template[this.enterK](Element.ALLOW_KEYBOARD_INPUT)},P.exit=function(){return r.closeOnScroll=x,document[this.exitK]()},P.isFullscreen=function(){return document[this.elementK]}),P}};return t})});var Oi=He((Tn,kn)=>{(function(t,o){typeof Tn=="object"&&typeof kn!="undefined"?kn.exports=o():typeof define=="function"&&define.amd?define(o):(t=typeof globalThis!="undefined"?globalThis:t||self).reframe=o()})(Tn,function(){"use strict";function t(){for(var o=0,u=0,h=arguments.length;u<h;u++)o+=arguments[u].length;for(var y=Array(o),s=0,u=0;u<h;u++)for(var i=arguments[u],b=0,E=i.length;b<E;b++,s++)y[s]=i[b];return y}return function(o,u){return u===void 0&&(u="js-reframe"),(typeof o=="string"?t(document.querySelectorAll(o)):"length"in o?t(o):[o]).forEach(function(h){var y,s,i,b,E,g,x,w;h.className.split(" ").indexOf(u)!==-1||-1<h.style.width.indexOf("%")||(i=h.getAttribute("height")||h.offsetHeight,b=h.getAttribute("width")||h.offsetWidth,E=(typeof i=="string"?parseInt(i):i)/(typeof b=="string"?parseInt(b):b)*100,(g=document.createElement("div")).className=u,(x=g.style).position="relative",x.width="100%",x.paddingTop=E+"%",(w=h.style).position="absolute",w.width="100%",w.height="100%",w.left="0",w.top="0",(y=h.parentNode)!==null&&y!==void 0&&y.insertBefore(g,h),(s=h.parentNode)!==null&&s!==void 0&&s.removeChild(h),g.appendChild(h))})}})});var On=He((Mi,Zt)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof Zt=="object"&&Zt.exports?Zt.exports=o():t.EvEmitter=o()})(typeof window!="undefined"?window:Mi,function(){"use strict";function t(){}var o=t.prototype;return o.on=function(u,h){if(!(!u||!h)){var y=this._events=this._events||{},s=y[u]=y[u]||[];return s.indexOf(h)==-1&&s.push(h),this}},o.once=function(u,h){if(!(!u||!h)){this.on(u,h);var y=this._onceEvents=this._onceEvents||{},s=y[u]=y[u]||{};return s[h]=!0,this}},o.off=function(u,h){var y=this._events&&this._events[u];if(!(!y||!y.length)){var s=y.indexOf(h);return s!=-1&&y.splice(s,1),this}},o.emitEvent=function(u,h){var y=this._events&&this._events[u];if(!(!y||!y.length)){y=y.slice(0),h=h||[];for(var s=this._onceEvents&&this._onceEvents[u],i=0;i<y.length;i++){var b=y[i],E=s&&s[b];E&&(this.off(u,b),delete s[b]),b.apply(this,h)}return this}},o.allOff=function(){delete this._events,delete this._onceEvents},t})});var Xt=He((fo,Gt)=>{(function(t,o){typeof define=="function"&&define.amd?define(o):typeof Gt=="object"&&Gt.exports?Gt.exports=o():t.getSize=o()})(window,function(){"use strict";function o(p){var m=parseFloat(p),d=p.indexOf("%")==-1&&!isNaN(m);return d&&m}function u(){}var h=typeof console=="undefined"?u:function(p){console.error(p)},y=["paddingLeft","paddingRight","paddingTop","paddingBottom","marginLeft","marginRight","marginTop","marginBottom","borderLeftWidth","borderRightWidth","borderTopWidth","borderBottomWidth"],s=y.length;function i(){for(var p={width:0,height:0,innerWidth:0,innerHeight:0,outerWidth:0,outerHeight:0},m=0;m<s;m++){var d=y[m];p[d]=0}return p}function b(p){var m=getComputedStyle(p);return m||h("Style returned "+m+". Are you running this code in a hidden iframe on Firefox? See https://bit.ly/getsizebug1"),m}var E=!1,g;function x(){if(!E){E=!0;var p=document.createElement("div");p.style.width="200px",p.style.padding="1px 2px 3px 4px",p.style.borderStyle="solid",p.style.borderWidth="1px 2px 3px 4px",p.style.boxSizing="border-box";var m=document.body||document.documentElement;m.appendChild(p);var d=b(p);g=Math.round(o(d.width))==200,w.isBoxSizeOuter=g,m.removeChild(p)}}function w(p){if(x(),typeof p=="string"&&(p=document.querySelector(p)),!(!p||typeof p!="object"||!p.nodeType)){var m=b(p);if(m.display=="none")return i();var d={};d.width=p.offsetWidth,d.height=p.offsetHeight;for(var f=d.isBorderBox=m.boxSizing=="border-box",n=0;n<s;n++){var r=y[n],l=m[r],S=parseFloat(l);d[r]=isNaN(S)?0:S}var A=d.paddingLeft+d.paddingRight,R=d.paddingTop+d.paddingBottom,O=d.marginLeft+d.marginRight,F=d.marginTop+d.marginBottom,K=d.borderLeftWidth+d.borderRightWidth,H=d.borderTopWidth+d.borderBottomWidth,ee=f&&g,ie=o(m.width);ie!==!1&&(d.width=ie+(ee?0:A+K));var ce=o(m.height);return ce!==!1&&(d.height=ce+(ee?0:R+H)),d.innerWidth=d.width-(A+K),d.innerHeight=d.height-(R+H),d.outerWidth=d.width+O,d.outerHeight=d.height+F,d}}return w})});var Pi=He((ho,Kt)=>{(function(t,o){"use strict";typeof define=="function"&&define.amd?define(o):typeof Kt=="object"&&Kt.exports?Kt.exports=o():t.matchesSelector=o()})(window,function(){"use strict";var o=(function(){var u=window.Element.prototype;if(u.matches)return"matches";if(u.matchesSelector)return"matchesSelector";for(var h=["webkit","moz","ms","o"],y=0;y<h.length;y++){var s=h[y],i=s+"MatchesSelector";if(u[i])return i}})();return function(h,y){return h[o](y)}})});var Di=He((po,jt)=>{(function(t,o){typeof define=="function"&&define.amd?define(["desandro-matches-selector/matches-selector"],function(u){return o(t,u)}):typeof jt=="object"&&jt.exports?jt.exports=o(t,Pi()):t.fizzyUIUtils=o(t,t.matchesSelector)})(window,function(o,u){"use strict";var h={};h.extend=function(i,b){for(var E in b)i[E]=b[E];return i},h.modulo=function(i,b){return(i%b+b)%b};var y=Array.prototype.slice;h.makeArray=function(i){if(Array.isArray(i))return i;if(i==null)return[];var b=typeof i=="object"&&typeof i.length=="number";return b?y.call(i):[i]},h.removeFrom=function(i,b){var E=i.indexOf(b);E!=-1&&i.splice(E,1)},h.getParent=function(i,b){for(;i.parentNode&&i!=document.body;)if(i=i.parentNode,u(i,b))return i},h.getQueryElement=function(i){return typeof i=="string"?document.querySelector(i):i},h.handleEvent=function(i){var b="on"+i.type;this[b]&&this[b](i)},h.filterFindElements=function(i,b){i=h.makeArray(i);var E=[];return i.forEach(function(g){if(g instanceof HTMLElement){if(!b){E.push(g);return}u(g,b)&&E.push(g);for(var x=g.querySelectorAll(b),w=0;w<x.length;w++)E.push(x[w])}}),E},h.debounceMethod=function(i,b,E){E=E||100;var g=i.prototype[b],x=b+"Timeout";i.prototype[b]=function(){var w=this[x];clearTimeout(w);var p=arguments,m=this;this[x]=setTimeout(function(){g.apply(m,p),delete m[x]},E)}},h.docReady=function(i){var b=document.readyState;b=="complete"||b=="interactive"?setTimeout(i):document.addEventListener("DOMContentLoaded",i)},h.toDashed=function(i){return i.replace(/(.)([A-Z])/g,function(b,E,g){return E+"-"+g}).toLowerCase()};var s=o.console;return h.htmlInit=function(i,b){h.docReady(function(){var E=h.toDashed(b),g="data-"+E,x=document.querySelectorAll("["+g+"]"),w=document.querySelectorAll(".js-"+E),p=h.makeArray(x).concat(h.makeArray(w)),m=g+"-options",d=o.jQuery;p.forEach(function(f){var n=f.getAttribute(g)||f.getAttribute(m),r;try{r=n&&JSON.parse(n)}catch(S){s&&s.error("Error parsing "+g+" on "+f.className+": "+S);return}var l=new i(f,r);d&&d.data(f,b,l)})})},h})});var Ri=He((mo,$t)=>{(function(t,o){typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size"],o):typeof $t=="object"&&$t.exports?$t.exports=o(On(),Xt()):(t.Outlayer={},t.Outlayer.Item=o(t.EvEmitter,t.getSize))})(window,function(o,u){"use strict";function h(f){for(var n in f)return!1;return n=null,!0}var y=document.documentElement.style,s=typeof y.transition=="string"?"transition":"WebkitTransition",i=typeof y.transform=="string"?"transform":"WebkitTransform",b={WebkitTransition:"webkitTransitionEnd",transition:"transitionend"}[s],E={transform:i,transition:s,transitionDuration:s+"Duration",transitionProperty:s+"Property",transitionDelay:s+"Delay"};function g(f,n){f&&(this.element=f,this.layout=n,this.position={x:0,y:0},this._create())}var x=g.prototype=Object.create(o.prototype);x.constructor=g,x._create=function(){this._transn={ingProperties:{},clean:{},onEnd:{}},this.css({position:"absolute"})},x.handleEvent=function(f){var n="on"+f.type;this[n]&&this[n](f)},x.getSize=function(){this.size=u(this.element)},x.css=function(f){var n=this.element.style;for(var r in f){var l=E[r]||r;n[l]=f[r]}},x.getPosition=function(){var f=getComputedStyle(this.element),n=this.layout._getOption("originLeft"),r=this.layout._getOption("originTop"),l=f[n?"left":"right"],S=f[r?"top":"bottom"],A=parseFloat(l),R=parseFloat(S),O=this.layout.size;l.indexOf("%")!=-1&&(A=A/100*O.width),S.indexOf("%")!=-1&&(R=R/100*O.height),A=isNaN(A)?0:A,R=isNaN(R)?0:R,A-=n?O.paddingLeft:O.paddingRight,R-=r?O.paddingTop:O.paddingBottom,this.position.x=A,this.position.y=R},x.layoutPosition=function(){var f=this.layout.size,n={},r=this.layout._getOption("originLeft"),l=this.layout._getOption("originTop"),S=r?"paddingLeft":"paddingRight",A=r?"left":"right",R=r?"right":"left",O=this.position.x+f[S];n[A]=this.getXValue(O),n[R]="";var F=l?"paddingTop":"paddingBottom",K=l?"top":"bottom",H=l?"bottom":"top",ee=this.position.y+f[F];n[K]=this.getYValue(ee),n[H]="",this.css(n),this.emitEvent("layout",[this])},x.getXValue=function(f){var n=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&!n?f/this.layout.size.width*100+"%":f+"px"},x.getYValue=function(f){var n=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&n?f/this.layout.size.height*100+"%":f+"px"},x._transitionTo=function(f,n){this.getPosition();var r=this.position.x,l=this.position.y,S=f==this.position.x&&n==this.position.y;if(this.setPosition(f,n),S&&!this.isTransitioning){this.layoutPosition();return}var A=f-r,R=n-l,O={};O.transform=this.getTranslate(A,R),this.transition({to:O,onTransitionEnd:{transform:this.layoutPosition},isCleaning:!0})},x.getTranslate=function(f,n){var r=this.layout._getOption("originLeft"),l=this.layout._getOption("originTop");return f=r?f:-f,n=l?n:-n,"translate3d("+f+"px, "+n+"px, 0)"},x.goTo=function(f,n){this.setPosition(f,n),this.layoutPosition()},x.moveTo=x._transitionTo,x.setPosition=function(f,n){this.position.x=parseFloat(f),this.position.y=parseFloat(n)},x._nonTransition=function(f){this.css(f.to),f.isCleaning&&this._removeStyles(f.to);for(var n in f.onTransitionEnd)f.onTransitionEnd[n].call(this)},x.transition=function(f){if(!parseFloat(this.layout.options.transitionDuration)){this._nonTransition(f);return}var n=this._transn;for(var r in f.onTransitionEnd)n.onEnd[r]=f.onTransitionEnd[r];for(r in f.to)n.ingProperties[r]=!0,f.isCleaning&&(n.clean[r]=!0);if(f.from){this.css(f.from);var l=this.element.offsetHeight;l=null}this.enableTransition(f.to),this.css(f.to),this.isTransitioning=!0};function w(f){return f.replace(/([A-Z])/g,function(n){return"-"+n.toLowerCase()})}var p="opacity,"+w(i);x.enableTransition=function(){if(!this.isTransitioning){var f=this.layout.options.transitionDuration;f=typeof f=="number"?f+"ms":f,this.css({transitionProperty:p,transitionDuration:f,transitionDelay:this.staggerDelay||0}),this.element.addEventListener(b,this,!1)}},x.onwebkitTransitionEnd=function(f){this.ontransitionend(f)},x.onotransitionend=function(f){this.ontransitionend(f)};var m={"-webkit-transform":"transform"};x.ontransitionend=function(f){if(f.target===this.element){var n=this._transn,r=m[f.propertyName]||f.propertyName;if(delete n.ingProperties[r],h(n.ingProperties)&&this.disableTransition(),r in n.clean&&(this.element.style[f.propertyName]="",delete n.clean[r]),r in n.onEnd){var l=n.onEnd[r];l.call(this),delete n.onEnd[r]}this.emitEvent("transitionEnd",[this])}},x.disableTransition=function(){this.removeTransitionStyles(),this.element.removeEventListener(b,this,!1),this.isTransitioning=!1},x._removeStyles=function(f){var n={};for(var r in f)n[r]="";this.css(n)};var d={transitionProperty:"",transitionDuration:"",transitionDelay:""};return x.removeTransitionStyles=function(){this.css(d)},x.stagger=function(f){f=isNaN(f)?0:f,this.staggerDelay=f+"ms"},x.removeElem=function(){this.element.parentNode.removeChild(this.element),this.css({display:""}),this.emitEvent("remove",[this])},x.remove=function(){if(!s||!parseFloat(this.layout.options.transitionDuration)){this.removeElem();return}this.once("transitionEnd",function(){this.removeElem()}),this.hide()},x.reveal=function(){delete this.isHidden,this.css({display:""});var f=this.layout.options,n={},r=this.getHideRevealTransitionEndProperty("visibleStyle");n[r]=this.onRevealTransitionEnd,this.transition({from:f.hiddenStyle,to:f.visibleStyle,isCleaning:!0,onTransitionEnd:n})},x.onRevealTransitionEnd=function(){this.isHidden||this.emitEvent("reveal")},x.getHideRevealTransitionEndProperty=function(f){var n=this.layout.options[f];if(n.opacity)return"opacity";for(var r in n)return r},x.hide=function(){this.isHidden=!0,this.css({display:""});var f=this.layout.options,n={},r=this.getHideRevealTransitionEndProperty("hiddenStyle");n[r]=this.onHideTransitionEnd,this.transition({from:f.visibleStyle,to:f.hiddenStyle,isCleaning:!0,onTransitionEnd:n})},x.onHideTransitionEnd=function(){this.isHidden&&(this.css({display:"none"}),this.emitEvent("hide"))},x.destroy=function(){this.css({position:"",left:"",right:"",top:"",bottom:"",transition:"",transform:""})},g})});var Fi=He((go,Qt)=>{(function(t,o){"use strict";typeof define=="function"&&define.amd?define(["ev-emitter/ev-emitter","get-size/get-size","fizzy-ui-utils/utils","./item"],function(u,h,y,s){return o(t,u,h,y,s)}):typeof Qt=="object"&&Qt.exports?Qt.exports=o(t,On(),Xt(),Di(),Ri()):t.Outlayer=o(t,t.EvEmitter,t.getSize,t.fizzyUIUtils,t.Outlayer.Item)})(window,function(o,u,h,y,s){"use strict";var i=o.console,b=o.jQuery,E=function(){},g=0,x={};function w(n,r){var l=y.getQueryElement(n);if(!l){i&&i.error("Bad element for "+this.constructor.namespace+": "+(l||n));return}this.element=l,b&&(this.$element=b(this.element)),this.options=y.extend({},this.constructor.defaults),this.option(r);var S=++g;this.element.outlayerGUID=S,x[S]=this,this._create();var A=this._getOption("initLayout");A&&this.layout()}w.namespace="outlayer",w.Item=s,w.defaults={containerStyle:{position:"relative"},initLayout:!0,originLeft:!0,originTop:!0,resize:!0,resizeContainer:!0,transitionDuration:"0.4s",hiddenStyle:{opacity:0,transform:"scale(0.001)"},visibleStyle:{opacity:1,transform:"scale(1)"}};var p=w.prototype;y.extend(p,u.prototype),p.option=function(n){y.extend(this.options,n)},p._getOption=function(n){var r=this.constructor.compatOptions[n];return r&&this.options[r]!==void 0?this.options[r]:this.options[n]},w.compatOptions={initLayout:"isInitLayout",horizontal:"isHorizontal",layoutInstant:"isLayoutInstant",originLeft:"isOriginLeft",originTop:"isOriginTop",resize:"isResizeBound",resizeContainer:"isResizingContainer"},p._create=function(){this.reloadItems(),this.stamps=[],this.stamp(this.options.stamp),y.extend(this.element.style,this.options.containerStyle);var n=this._getOption("resize");n&&this.bindResize()},p.reloadItems=function(){this.items=this._itemize(this.element.children)},p._itemize=function(n){for(var r=this._filterFindItemElements(n),l=this.constructor.Item,S=[],A=0;A<r.length;A++){var R=r[A],O=new l(R,this);S.push(O)}return S},p._filterFindItemElements=function(n){return y.filterFindElements(n,this.options.itemSelector)},p.getItemElements=function(){return this.items.map(function(n){return n.element})},p.layout=function(){this._resetLayout(),this._manageStamps();var n=this._getOption("layoutInstant"),r=n!==void 0?n:!this._isLayoutInited;this.layoutItems(this.items,r),this._isLayoutInited=!0},p._init=p.layout,p._resetLayout=function(){this.getSize()},p.getSize=function(){this.size=h(this.element)},p._getMeasurement=function(n,r){var l=this.options[n],S;l?(typeof l=="string"?S=this.element.querySelector(l):l instanceof HTMLElement&&(S=l),this[n]=S?h(S)[r]:l):this[n]=0},p.layoutItems=function(n,r){n=this._getItemsForLayout(n),this._layoutItems(n,r),this._postLayout()},p._getItemsForLayout=function(n){return n.filter(function(r){return!r.isIgnored})},p._layoutItems=function(n,r){if(this._emitCompleteOnItems("layout",n),!(!n||!n.length)){var l=[];n.forEach(function(S){var A=this._getItemLayoutPosition(S);A.item=S,A.isInstant=r||S.isLayoutInstant,l.push(A)},this),this._processLayoutQueue(l)}},p._getItemLayoutPosition=function(){return{x:0,y:0}},p._processLayoutQueue=function(n){this.updateStagger(),n.forEach(function(r,l){this._positionItem(r.item,r.x,r.y,r.isInstant,l)},this)},p.updateStagger=function(){var n=this.options.stagger;if(n==null){this.stagger=0;return}return this.stagger=f(n),this.stagger},p._positionItem=function(n,r,l,S,A){S?n.goTo(r,l):(n.stagger(A*this.stagger),n.moveTo(r,l))},p._postLayout=function(){this.resizeContainer()},p.resizeContainer=function(){var n=this._getOption("resizeContainer");if(n){var r=this._getContainerSize();r&&(this._setContainerMeasure(r.width,!0),this._setContainerMeasure(r.height,!1))}},p._getContainerSize=E,p._setContainerMeasure=function(n,r){if(n!==void 0){var l=this.size;l.isBorderBox&&(n+=r?l.paddingLeft+l.paddingRight+l.borderLeftWidth+l.borderRightWidth:l.paddingBottom+l.paddingTop+l.borderTopWidth+l.borderBottomWidth),n=Math.max(n,0),this.element.style[r?"width":"height"]=n+"px"}},p._emitCompleteOnItems=function(n,r){var l=this;function S(){l.dispatchEvent(n+"Complete",null,[r])}var A=r.length;if(!r||!A){S();return}var R=0;function O(){R++,R==A&&S()}r.forEach(function(F){F.once(n,O)})},p.dispatchEvent=function(n,r,l){var S=r?[r].concat(l):l;if(this.emitEvent(n,S),b)if(this.$element=this.$element||b(this.element),r){var A=b.Event(r);A.type=n,this.$element.trigger(A,l)}else this.$element.trigger(n,l)},p.ignore=function(n){var r=this.getItem(n);r&&(r.isIgnored=!0)},p.unignore=function(n){var r=this.getItem(n);r&&delete r.isIgnored},p.stamp=function(n){n=this._find(n),n&&(this.stamps=this.stamps.concat(n),n.forEach(this.ignore,this))},p.unstamp=function(n){n=this._find(n),n&&n.forEach(function(r){y.removeFrom(this.stamps,r),this.unignore(r)},this)},p._find=function(n){if(n)return typeof n=="string"&&(n=this.element.querySelectorAll(n)),n=y.makeArray(n),n},p._manageStamps=function(){!this.stamps||!this.stamps.length||(this._getBoundingRect(),this.stamps.forEach(this._manageStamp,this))},p._getBoundingRect=function(){var n=this.element.getBoundingClientRect(),r=this.size;this._boundingRect={left:n.left+r.paddingLeft+r.borderLeftWidth,top:n.top+r.paddingTop+r.borderTopWidth,right:n.right-(r.paddingRight+r.borderRightWidth),bottom:n.bottom-(r.paddingBottom+r.borderBottomWidth)}},p._manageStamp=E,p._getElementOffset=function(n){var r=n.getBoundingClientRect(),l=this._boundingRect,S=h(n),A={left:r.left-l.left-S.marginLeft,top:r.top-l.top-S.marginTop,right:l.right-r.right-S.marginRight,bottom:l.bottom-r.bottom-S.marginBottom};return A},p.handleEvent=y.handleEvent,p.bindResize=function(){o.addEventListener("resize",this),this.isResizeBound=!0},p.unbindResize=function(){o.removeEventListener("resize",this),this.isResizeBound=!1},p.onresize=function(){this.resize()},y.debounceMethod(w,"onresize",100),p.resize=function(){!this.isResizeBound||!this.needsResizeLayout()||this.layout()},p.needsResizeLayout=function(){var n=h(this.element),r=this.size&&n;return r&&n.innerWidth!==this.size.innerWidth},p.addItems=function(n){var r=this._itemize(n);return r.length&&(this.items=this.items.concat(r)),r},p.appended=function(n){var r=this.addItems(n);r.length&&(this.layoutItems(r,!0),this.reveal(r))},p.prepended=function(n){var r=this._itemize(n);if(r.length){var l=this.items.slice(0);this.items=r.concat(l),this._resetLayout(),this._manageStamps(),this.layoutItems(r,!0),this.reveal(r),this.layoutItems(l)}},p.reveal=function(n){if(this._emitCompleteOnItems("reveal",n),!(!n||!n.length)){var r=this.updateStagger();n.forEach(function(l,S){l.stagger(S*r),l.reveal()})}},p.hide=function(n){if(this._emitCompleteOnItems("hide",n),!(!n||!n.length)){var r=this.updateStagger();n.forEach(function(l,S){l.stagger(S*r),l.hide()})}},p.revealItemElements=function(n){var r=this.getItems(n);this.reveal(r)},p.hideItemElements=function(n){var r=this.getItems(n);this.hide(r)},p.getItem=function(n){for(var r=0;r<this.items.length;r++){var l=this.items[r];if(l.element==n)return l}},p.getItems=function(n){n=y.makeArray(n);var r=[];return n.forEach(function(l){var S=this.getItem(l);S&&r.push(S)},this),r},p.remove=function(n){var r=this.getItems(n);this._emitCompleteOnItems("remove",r),!(!r||!r.length)&&r.forEach(function(l){l.remove(),y.removeFrom(this.items,l)},this)},p.destroy=function(){var n=this.element.style;n.height="",n.position="",n.width="",this.items.forEach(function(l){l.destroy()}),this.unbindResize();var r=this.element.outlayerGUID;delete x[r],delete this.element.outlayerGUID,b&&b.removeData(this.element,this.constructor.namespace)},w.data=function(n){n=y.getQueryElement(n);var r=n&&n.outlayerGUID;return r&&x[r]},w.create=function(n,r){var l=m(w);return l.defaults=y.extend({},w.defaults),y.extend(l.defaults,r),l.compatOptions=y.extend({},w.compatOptions),l.namespace=n,l.data=w.data,l.Item=m(s),y.htmlInit(l,n),b&&b.bridget&&b.bridget(n,l),l};function m(n){function r(){n.apply(this,arguments)}return r.prototype=Object.create(n.prototype),r.prototype.constructor=r,r}var d={ms:1,s:1e3};function f(n){if(typeof n=="number")return n;var r=n.match(/(^\d*\.?\d*)(\w*)/),l=r&&r[1],S=r&&r[2];if(!l.length)return 0;l=parseFloat(l);var A=d[S]||1;return l*A}return w.Item=s,w})});var zi=He((vo,Jt)=>{(function(t,o){typeof define=="function"&&define.amd?define(["outlayer/outlayer","get-size/get-size"],o):typeof Jt=="object"&&Jt.exports?Jt.exports=o(Fi(),Xt()):t.Masonry=o(t.Outlayer,t.getSize)})(window,function(o,u){"use strict";var h=o.create("masonry");h.compatOptions.fitWidth="isFitWidth";var y=h.prototype;return y._resetLayout=function(){this.getSize(),this._getMeasurement("columnWidth","outerWidth"),this._getMeasurement("gutter","outerWidth"),this.measureColumns(),this.colYs=[];for(var s=0;s<this.cols;s++)this.colYs.push(0);this.maxY=0,this.horizontalColIndex=0},y.measureColumns=function(){if(this.getContainerWidth(),!this.columnWidth){var s=this.items[0],i=s&&s.element;this.columnWidth=i&&u(i).outerWidth||this.containerWidth}var b=this.columnWidth+=this.gutter,E=this.containerWidth+this.gutter,g=E/b,x=b-E%b,w=x&&x<1?"round":"floor";g=Math[w](g),this.cols=Math.max(g,1)},y.getContainerWidth=function(){var s=this._getOption("fitWidth"),i=s?this.element.parentNode:this.element,b=u(i);this.containerWidth=b&&b.innerWidth},y._getItemLayoutPosition=function(s){s.getSize();var i=s.size.outerWidth%this.columnWidth,b=i&&i<1?"round":"ceil",E=Math[b](s.size.outerWidth/this.columnWidth);E=Math.min(E,this.cols);for(var g=this.options.horizontalOrder?"_getHorizontalColPosition":"_getTopColPosition",x=this[g](E,s),w={x:this.columnWidth*x.col,y:x.y},p=x.y+s.size.outerHeight,m=E+x.col,d=x.col;d<m;d++)this.colYs[d]=p;return w},y._getTopColPosition=function(s){var i=this._getTopColGroup(s),b=Math.min.apply(Math,i);return{col:i.indexOf(b),y:b}},y._getTopColGroup=function(s){if(s<2)return this.colYs;for(var i=[],b=this.cols+1-s,E=0;E<b;E++)i[E]=this._getColGroupY(E,s);return i},y._getColGroupY=function(s,i){if(i<2)return this.colYs[s];var b=this.colYs.slice(s,s+i);return Math.max.apply(Math,b)},y._getHorizontalColPosition=function(s,i){var b=this.horizontalColIndex%this.cols,E=s>1&&b+s>this.cols;b=E?0:b;var g=i.size.outerWidth&&i.size.outerHeight;return this.horizontalColIndex=g?b+s:this.horizontalColIndex,{col:b,y:this._getColGroupY(b,s)}},y._manageStamp=function(s){var i=u(s),b=this._getElementOffset(s),E=this._getOption("originLeft"),g=E?b.left:b.right,x=g+i.outerWidth,w=Math.floor(g/this.columnWidth);w=Math.max(0,w);var p=Math.floor(x/this.columnWidth);p-=x%this.columnWidth?0:1,p=Math.min(this.cols-1,p);for(var m=this._getOption("originTop"),d=(m?b.top:b.bottom)+i.outerHeight,f=w;f<=p;f++)this.colYs[f]=Math.max(d,this.colYs[f])},y._getContainerSize=function(){this.maxY=Math.max.apply(Math,this.colYs);var s={height:this.maxY};return this._getOption("fitWidth")&&(s.width=this._getContainerFitWidth()),s},y._getContainerFitWidth=function(){for(var s=0,i=this.cols;--i&&this.colYs[i]===0;)s++;return(this.cols-s)*this.columnWidth-this.gutter},y.needsResizeLayout=function(){var s=this.containerWidth;return this.getContainerWidth(),s!=this.containerWidth},h})});var Br,pt,en=xe(()=>{Br=(function(){var t=[{format:"avif",type:"image/avif"},{format:"webp",type:"image/webp"}],o="/assets/images/photos/",u=null;function h(){if(u)return u;var E=document.querySelector('meta[name="picture-manifest"]'),g=E&&E.getAttribute("content");if(!g||!window.fetch)return u=Promise.resolve({}),u;var x=new URL(g,window.location.href).href;return u=fetch(x).then(function(w){return w.ok?w.json():{}}).then(function(w){return y(w,x)}).catch(function(){return{}}),u}function y(E,g){return Object.keys(E).forEach(function(x){var w=E[x].sources||{};Object.keys(w).forEach(function(p){w[p]=w[p].split(",").map(function(m){var d=m.trim().split(/\s+/);return d[0]=new URL(d[0],g).href,d.join(" ")}).join(", ")})}),E}function s(E){var g=(E||"").split(/[?#]/)[0],x=g.indexOf(o);if(x===-1)return null;var w=g.substring(x+o.length);if(!w||w.indexOf("/")!==-1)return null;try{w=decodeURIComponent(w)}catch(p){}return w.replace(/\.[^.]+$/,"")}function i(E,g){var x=E.querySelector("img");if(!(!x||E.querySelector("source"))){var w=x.classList.contains("is-parked"),p=w?"data-virtual-srcset":"srcset",m=s(x.getAttribute(w?"data-virtual-src":"src")),d=m&&g[m];if(!(!d||!d.sources)){var f=x.getAttribute("sizes");t.forEach(function(n){if(d.sources[n.format]){var r=document.createElement("source");r.type=n.type,r.setAttribute(p,d.sources[n.format]),f&&(r.sizes=f),E.insertBefore(r,x)}}),d.sources.jpeg&&x.setAttribute(p,d.sources.jpeg),d.width&&d.height&&(x.setAttribute("width",d.width),x.setAttribute("height",d.height))}}}function b(E){return h().then(function(g){if(Object.keys(g).length!==0){var x=E&&E.length!==void 0?E:[E||document];Array.prototype.forEach.call(x,function(w){var p=w.tagName==="PICTURE"?[w]:w.querySelectorAll("picture");Array.prototype.forEach.call(p,function(m){i(m,g)})})}})}return{load:h,apply:b,getKey:s}})(),pt=Br});var Ur,We,mt=xe(()=>{en();Ur=(function(){var t="w150",o=400;function u(x){var w=/^(.*\/content\/images\/)(?:size\/[^/]+\/)?((?:\d{4}\/\d{2}\/)?[^/?#]+\.(?:jpe?g|png|webp|avif))([?#].*)?$/i.exec(x||"");return w?w[1]+"size/"+t+"/"+w[2]:null}function h(x){return x.complete&&x.naturalWidth>0}function y(x){return x.complete}function s(x){return!!(x.getAttribute("width")&&x.getAttribute("height"))}function i(x,w,p){s(x)||!w||!p||(x.setAttribute("width",w),x.setAttribute("height",p))}function b(x,w,p){return new Promise(function(m){var d=new Image;d.onload=function(){i(x,d.naturalWidth,d.naturalHeight),m()},d.onerror=function(){m()},w.style.backgroundImage='url("'+p+'")',d.src=p})}function E(x,w){x.classList.add("is-loaded"),setTimeout(function(){w.parentNode&&w.parentNode.removeChild(w),x.classList.remove("has-placeholder","is-loaded")},o)}function g(x,w){if(!x||!w||y(x))return Promise.resolve();var p=document.createElement("span");p.className="image-placeholder",p.setAttribute("aria-hidden","true"),w.classList.add("has-placeholder"),w.insertBefore(p,w.firstChild);var m=new Promise(function(r){function l(){i(x,x.naturalWidth,x.naturalHeight),x.removeEventListener("load",l),x.removeEventListener("error",l),E(w,p),r()}x.addEventListener("load",l),x.addEventListener("error",l)}),d=x.getAttribute("data-placeholder")||u(x.getAttribute("src")),f=d?b(x,p,d):null;if(!x.getAttribute("data-placeholder")){var n=pt.load().then(function(r){var l=pt.getKey(x.getAttribute("src")),S=l&&r[l];if(S&&(S.color&&(p.style.backgroundColor=S.color),i(x,S.width,S.height),S.placeholder&&!h(x)))return b(x,p,S.placeholder)});f=f||n}return s(x)?Promise.resolve():f?Promise.race([f.then(function(){return s(x)||y(x)?null:m}),m]):m}return{attach:g,getGhostSize:u}})(),We=Ur});var Yr,tn,_n=xe(()=>{Yr=(function(){var t=50,o={close:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',prev:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>',next:'<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>'},u,h,y,s,i,b,E,g=null;function x(){u=document.createElement("div"),u.className="photo-lightbox",u.setAttribute("role","dialog"),u.setAttribute("aria-modal","true"),u.setAttribute("aria-label","Image viewer"),u.setAttribute("tabindex","-1"),u.hidden=!0,u.innerHTML='<div class="photo-lightbox-stage"><figure class="photo-lightbox-figure"><img class="photo-lightbox-image" alt=""><figcaption class="photo-lightbox-caption"></figcaption></figure></div><div class="photo-lightbox-counter" aria-live="polite"></div><button class="photo-lightbox-btn photo-lightbox-close" aria-label="Close" title="Close (Esc)">'+o.close+'</button><button class="photo-lightbox-btn photo-lightbox-prev" aria-label="Previous image" title="Previous (arrow left)">'+o.prev+'</button><button class="photo-lightbox-btn photo-lightbox-next" aria-label="Next image" title="Next (arrow right)">'+o.next+"</button>",h=u.querySelector(".photo-lightbox-image"),y=u.querySelector(".photo-lightbox-caption"),s=u.querySelector(".photo-lightbox-counter"),i=u.querySelector(".photo-lightbox-prev"),b=u.querySelector(".photo-lightbox-next"),E=u.querySelector(".photo-lightbox-close"),E.addEventListener("click",r),i.addEventListener("click",n),b.addEventListener("click",f),u.addEventListener("click",function(A){(A.target.classList.contains("photo-lightbox-stage")||A.target.classList.contains("photo-lightbox-figure"))&&r()}),h.addEventListener("load",function(){h.classList.add("is-loaded")}),w()}function w(){var A=null;u.addEventListener("pointerdown",function(R){A=R.pointerType==="mouse"?null:R.clientX}),u.addEventListener("pointerup",function(R){if(A!==null){var O=R.clientX-A;A=null,O<-t?f():O>t&&n()}})}function p(A,R,O){if(!A||A.length===0)return null;u||x(),g&&r(),g={items:A,index:Math.max(0,Math.min(R||0,A.length-1)),options:O||{},returnFocus:document.activeElement};var F=g.options.container||document.body;return u.parentNode!==F&&F.appendChild(u),u.classList.toggle("is-single",A.length===1),u.hidden=!1,document.documentElement.classList.add("has-photo-lightbox"),document.addEventListener("keydown",l,!0),m(g.index),requestAnimationFrame(function(){u.classList.add("is-open")}),E.focus(),{close:r,next:f,prev:n,goTo:m,getIndex:function(){return g?g.index:-1}}}function m(A){if(g){var R=g.items;A=Math.max(0,Math.min(A,R.length-1));var O=R[A],F=A!==g.index;g.index=A,h.classList.remove("is-loaded"),h.removeAttribute("srcset"),h.style.backgroundImage=O.msrc?'url("'+O.msrc+'")':"",O.width&&O.height?(h.setAttribute("width",O.width),h.setAttribute("height",O.height)):(h.removeAttribute("width"),h.removeAttribute("height")),O.srcset&&(h.sizes="100vw",h.srcset=O.srcset),h.src=O.src,h.alt=O.alt||"",h.complete&&h.naturalWidth&&h.classList.add("is-loaded"),y.innerHTML=O.caption||"",y.hidden=!O.caption,s.textContent=A+1+" / "+R.length,i.disabled=A===0,b.disabled=A===R.length-1,d(A+1),d(A-1),F&&g.options.onChange&&g.options.onChange(A)}}function d(A){var R=g.items[A];if(R){var O=new Image;R.srcset&&(O.sizes="100vw",O.srcset=R.srcset),O.src=R.src}}function f(){g&&m(g.index+1)}function n(){g&&m(g.index-1)}function r(){if(g){var A=g;g=null,u.classList.remove("is-open"),u.hidden=!0,h.removeAttribute("src"),h.removeAttribute("srcset"),document.documentElement.classList.remove("has-photo-lightbox"),document.removeEventListener("keydown",l,!0),A.returnFocus&&A.returnFocus.focus&&A.returnFocus.focus(),A.options.onClose&&A.options.onClose(A.index)}}function l(A){switch(A.key){case"Escape":r();break;case"ArrowRight":f();break;case"ArrowLeft":n();break;case"Tab":S(A);return;default:A.stopPropagation();return}A.preventDefault(),A.stopPropagation()}function S(A){var R=[E,i,b].filter(function(K){return!K.disabled&&K.offsetParent!==null});if(R.length!==0){var O=R.indexOf(document.activeElement),F=A.shiftKey?O-1:O+1;A.preventDefault(),A.stopPropagation(),R[(F+R.length)%R.length].focus()}}return{open:p,close:r,isOpen:function(){return g!==null}}})(),tn=Yr});function Mn(t){var o=t.getAttribute("data-portfolio-id")||"",u=t.classList.contains("portfolio-inline"),h="#"+(o?o+"/":"")+"book",y="#"+(o?o+"/":"")+"stack",s="(max-width: 767px) and (orientation: portrait)",i="portfolio-slide-view",b="(min-width: 1024px) and (orientation: landscape)",E=/\s*\[(single|pair)\]\s*$/i,g=["kg-width-wide","kg-width-full"],x=".kg-image-card, .kg-video-card, .kg-embed-card",w=t.querySelector(".portfolio-gallery"),p=ce(),m=t.classList.contains("portfolio-dual-container"),d=u?["carousel"]:["carousel","stack"],f=m?["grid"].concat(d):d,n=p.length,r=window.matchMedia?window.matchMedia(s):null,l=window.matchMedia&&!u&&t.getAttribute("data-spreads")!=="off"?window.matchMedia(b):null,S=Le(),A=oe(),R=D(window.location.hash),O=R||0,F=R!==null?q(window.location.hash):m?"grid":Z(),K=null,H={change:[],spreads:[],filter:[]},ee=[],ie=!1;function ce(){return w.querySelectorAll(".kg-gallery-card").forEach(function(I){var _=I.querySelector("figcaption"),V=I.querySelectorAll(".kg-gallery-image");V.forEach(function(ne,Fe){var Oe=document.createElement("figure");for(Oe.className="kg-card kg-image-card kg-gallery-slide";ne.firstChild;)Oe.appendChild(ne.firstChild);var pe=Oe.querySelector("img");pe&&pe.classList.add("kg-image"),_&&Fe===V.length-1&&(Oe.classList.add("kg-card-hascaption"),Oe.appendChild(_)),I.parentNode.insertBefore(Oe,I)}),I.parentNode.removeChild(I)}),w.querySelectorAll(x)}function re(I){var _=I.indexOf("?");return _===-1?{route:I,query:""}:{route:I.slice(0,_),query:I.slice(_)}}function M(I){if(!B(window.location.hash))return null;var _=re(window.location.hash).query.slice(1);if(!_)return null;for(var V=_.split("&"),ne=0;ne<V.length;ne++){var Fe=V[ne].split("=");if(k(Fe[0])===I)return Fe.length>1?k(Fe[1]):""}return null}function k(I){try{return decodeURIComponent(I)}catch(_){return I}}function N(I){for(var _=re(I).route,V=[h,y],ne=0;ne<V.length;ne++)if(_===V[ne]||_.indexOf(V[ne]+"/")===0)return V[ne];return null}function B(I){return N(I)!==null}function q(I){return N(I)===y&&z("stack")?"stack":Z()}function z(I){return d.indexOf(I)!==-1}function Z(){return A||(r&&r.matches&&z("stack")?"stack":"carousel")}function oe(){try{var I=localStorage.getItem(i);return d.indexOf(I)!==-1?I:null}catch(_){return null}}function ue(I){A=I;try{localStorage.setItem(i,I)}catch(_){}}function T(I){var _=I.querySelector("img, video");if(!_)return"";var V=_.getAttribute("data-virtual-src")||_.getAttribute("src")||"",ne=k(V.split(/[?#]/)[0].split("/").pop());return ne.replace(/\.[^.]+$/,"").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")}function D(I){var _=N(I);if(!_)return null;var V=re(I).route.slice(_.length+1);if(!V)return 0;if(/^\d+$/.test(V))return $(parseInt(V,10)-1);V=V.toLowerCase();for(var ne=0;ne<n;ne++)if(T(p[ne])===V)return ne;return 0}function U(I,_){return(I==="stack"?y:h)+"/"+(_+1)}function $(I){return Math.max(0,Math.min(I,n-1))}function de(I,_,V){if(!(n===0||isNaN(I))&&(I=$(I),!(I===O&&_===F))){var ne={index:I,view:_,previousIndex:O,previousView:F,source:V||"api"};z(_)&&z(ne.previousView)&&_!==ne.previousView&&ne.source!=="screen"&&ue(_),O=I,F=_,ye(),ge(ne),be("change",ne)}}function ge(I){if(I.source!=="hash"){var _=window.location.hash,V=window.location.pathname+window.location.search;if(z(I.view)){var ne=U(I.view,I.index)+(B(_)?re(_).query:"");if(_===ne)return;z(I.previousView)?history.replaceState(null,"",V+ne):history.pushState(null,"",V+ne)}else B(_)&&history.pushState(null,"",V)}}function be(I,_){H[I].slice().forEach(function(V){V(_)})}function ke(I,_){typeof I=="number"&&de(I,F,_&&_.source)}function P(I){var _=G(O),V=_[_.length-1]+1;V>=n||ke(V,I)}function Y(I){var _=G(O)[0]-1;_<0||ke(G(_)[0],I)}function le(I){var _=I.getAttribute("alt")||"",V=_.match(E);return V?(I.setAttribute("alt",_.replace(E,"")),V[1].toLowerCase()):null}function he(I){var _=I.querySelector("img");if(!_)return"single";var V=le(_);if(V)return V;var ne=g.some(function(pe){return I.classList.contains(pe)});if(ne)return"single";var Fe=parseInt(_.getAttribute("width"),10)||0,Oe=parseInt(_.getAttribute("height"),10)||0;return Fe>0&&Oe>Fe?"portrait":"single"}function Le(){for(var I=Array.prototype.map.call(p,he),_=[],V=0;V<n;){var ne=I[V]==="pair"||I[V]==="portrait"&&I[V+1]==="portrait";ne&&V+1<n?(_[V]=_[V+1]=[V,V+1],V+=2):(_[V]=[V],V+=1)}return _}function ve(){S.forEach(function(I,_){I.length<2||p[_].classList.add(I[0]===_?"is-spread-start":"is-spread-end")})}function ye(){t.classList.toggle("is-spreads",L())}function L(){return F==="carousel"&&!!(l&&l.matches)}function G(I){return!L()||!S[I]?[I]:S[I].slice()}function ae(I,_){if(_=_||{},f.indexOf(I)!==-1){var V=typeof _.index=="number"?_.index:O;de(V,I,_.source)}}function fe(I){K=I?I.filter(function(_){return _>=0&&_<n}).sort(function(_,V){return _-V}):null,be("filter",{filter:j()})}function j(){return K?K.slice():null}function Ee(I,_){!H[I]||typeof _!="function"||H[I].push(_)}function we(I,_){H[I]&&(H[I]=H[I].filter(function(V){return V!==_}))}function Be(I){ie=!0,I.focus({preventScroll:!0}),ie=!1}function Tt(I){!I||!I.key||typeof I.handler!="function"||ee.push(I)}function st(I,_){return!I.view||[].concat(I.view).indexOf(_)!==-1}function gt(I){return ee.filter(function(_){return!I||st(_,I)})}function vt(){return!!(window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches)}function yt(I){var _=I.target,V=_===document||_===document.body||_===document.documentElement;return V&&!u||t.contains(_)}function Ue(I){var _=I.target;return!_||!_.tagName?!1:_.isContentEditable||/^(INPUT|TEXTAREA|SELECT)$/.test(_.tagName)}function Ye(I){if(I.ctrlKey||I.metaKey||I.altKey||Ue(I))return!1;for(var _=0;_<ee.length;_++){var V=ee[_];if(V.key.toLowerCase()===I.key.toLowerCase()&&st(V,F))return I.preventDefault(),V.handler(I),!0}return!1}function Je(){var I=D(window.location.hash);I!==null?de(I,q(window.location.hash),"hash"):m&&de(O,"grid","hash")}function X(){A||!z(F)||de(O,Z(),"screen")}function Ae(){ye(),be("spreads",{spreads:L()})}function Ze(I){var _={source:"keyboard"};if(yt(I)&&!Ye(I)){if(z(F)){switch(I.key){case"ArrowRight":case"ArrowDown":I.preventDefault(),P(_);break;case"ArrowLeft":case"ArrowUp":I.preventDefault(),Y(_);break;case"Home":I.preventDefault(),ke(0,_);break;case"End":I.preventDefault(),ke(G(n-1)[0],_);break;case"Escape":m&&(I.preventDefault(),ae("grid",_));break}return}(I.key==="Enter"||I.key===" ")&&I.target.classList&&I.target.classList.contains("portfolio-grid-item")&&(I.preventDefault(),ae(Z(),{index:parseInt(I.target.getAttribute("data-index"),10),source:"keyboard"}))}}function et(I){var _=p[I]&&p[I].querySelector("img");if(!_)return null;function V(ne){return _.getAttribute("data-virtual-"+ne)||_.getAttribute(ne)||""}return{src:V("src"),srcset:V("srcset"),sizes:_.getAttribute("sizes")||"",alt:_.getAttribute("alt")||"",width:parseInt(_.getAttribute("width"),10)||_.naturalWidth||0,height:parseInt(_.getAttribute("height"),10)||_.naturalHeight||0,element:_}}function Ie(I,_){I&&(I.addEventListener?I.addEventListener("change",_):I.addListener&&I.addListener(_))}function Re(I){var _=p[I],V=_&&_.classList.contains("kg-video-card")?_.querySelector("video"):null;return V?{src:V.getAttribute("src")||"",poster:_.getAttribute("data-kg-custom-thumbnail")||_.getAttribute("data-kg-thumbnail")||V.getAttribute("poster")||"",width:parseInt(V.getAttribute("width"),10)||V.videoWidth||0,height:parseInt(V.getAttribute("height"),10)||V.videoHeight||0,element:V}:null}function bt(I){var _=p[I];return _?_.classList.contains("kg-video-card")?"video":_.classList.contains("kg-embed-card")?"embed":"image":null}return window.addEventListener("hashchange",Je),document.addEventListener("keydown",Ze),ve(),ye(),Ie(r,X),Ie(l,Ae),{container:t,id:o,goTo:ke,next:P,prev:Y,setView:ae,on:Ee,off:we,addShortcut:Tt,getHashParam:M,setFilter:fe,getFilter:j,isDualView:m,getIndex:function(){return O},getView:function(){return F},getTotal:function(){return n},getSlides:function(){return p},isSlideView:z,getSlideView:Z,getImage:et,getVideo:Re,getSlideType:bt,getSpread:G,hasSpreads:L,prefersReducedMotion:vt,moveFocus:Be,isMovingFocus:function(){return ie},getShortcuts:gt}}var Vi=xe(()=>{});var Xr,Pn,Hi=xe(()=>{Xr=(function(){var t=["masonry","justified","square"],o=3,u=32,h=320,y=1.5;function s(m){return t.indexOf(m)!==-1}function i(m,d,f){var n=parseFloat(m.getPropertyValue(d));return isNaN(n)||n<0?f:n}function b(m){var d=m.querySelector("img");if(!d)return y;var f=parseFloat(d.getAttribute("width"))||d.naturalWidth,n=parseFloat(d.getAttribute("height"))||d.naturalHeight;return f&&n?f/n:y}function E(m,d,f){for(var n=Math.max(1,Math.round(f.columns)),r=(d-f.gap*(n-1))/n,l=[],S,A=0;A<n;A++)l.push(0);return S=m.map(function(R,O){var F=O%n,K=r/R,H={left:F*(r+f.gap),top:l[F],width:r,height:K};return l[F]+=K+f.gap,H}),{boxes:S,height:Math.max(0,Math.max.apply(null,l)-f.gap)}}function g(m,d,f){var n=[],r=0,l=[],S=0;function A(R){var O=0;l.forEach(function(F){var K=m[F]*R;n[F]={left:O,top:r,width:K,height:R},O+=K+f.gap}),r+=R+f.gap,l=[],S=0}return m.forEach(function(R,O){l.push(O),S+=R;var F=f.gap*(l.length-1);S*f.rowHeight+F>=d&&A((d-F)/S)}),l.length&&A(Math.min(f.rowHeight,(d-f.gap*(l.length-1))/S)),{boxes:n,height:Math.max(0,r-f.gap)}}function x(m,d,f){var n=Math.max(1,Math.round(f.columns)),r=(d-f.gap*(n-1))/n,l=Math.ceil(m.length/n);return{boxes:m.map(function(S,A){return{left:A%n*(r+f.gap),top:Math.floor(A/n)*(r+f.gap),width:r,height:r}}),height:Math.max(0,l*(r+f.gap)-f.gap)}}var w={masonry:E,justified:g,square:x};function p(m,d){var f=s(d.layout)?d.layout:t[0],n=d.itemSelector,r=0,l=null,S=null;function A(){var H=m.clientWidth;if(H){var ee=getComputedStyle(m),ie={top:i(ee,"padding-top",0),right:i(ee,"padding-right",0),bottom:i(ee,"padding-bottom",0),left:i(ee,"padding-left",0)},ce=m.querySelectorAll(n),re=H-ie.left-ie.right,M=w[f](Array.prototype.map.call(ce,b),re,{columns:i(ee,"--grid-columns",o),gap:i(ee,"--grid-gap",u),rowHeight:i(ee,"--grid-row-height",h)});Array.prototype.forEach.call(ce,function(k,N){var B=M.boxes[N];k.style.position="absolute",k.style.left=ie.left+B.left+"px",k.style.top=ie.top+B.top+"px",k.style.width=B.width+"px",k.style.height=B.height+"px"}),m.style.height=ee.boxSizing==="border-box"?ie.top+M.height+ie.bottom+"px":M.height+"px",r=H,m.classList.contains("is-laid-out")||requestAnimationFrame(function(){m.classList.add("is-laid-out")})}}function R(){l||(l=requestAnimationFrame(function(){l=null,A()}))}function O(){m.clientWidth!==r&&R()}function F(H){H.target.tagName==="IMG"&&!H.target.getAttribute("height")&&R()}function K(){S?S.disconnect():window.removeEventListener("resize",O),m.removeEventListener("load",F,!0),l&&(cancelAnimationFrame(l),l=null),Array.prototype.forEach.call(m.querySelectorAll(n),function(H){["position","left","top","width","height"].forEach(function(ee){H.style[ee]=""})}),m.style.height="",m.classList.remove("grid-layout","grid-layout-"+f,"is-laid-out")}return m.classList.add("grid-layout","grid-layout-"+f),typeof ResizeObserver!="undefined"?(S=new ResizeObserver(O),S.observe(m)):window.addEventListener("resize",O),m.addEventListener("load",F,!0),A(),{layout:A,destroy:K,getLayout:function(){return f}}}return{create:p,isLayout:s,LAYOUTS:t}})(),Pn=Xr});function Dn(t){if(!t.isDualView)return;var o=t.container,u=o.querySelector(".portfolio-gallery"),h=o.querySelector(".portfolio-grid"),y=o.querySelector(".portfolio-close-btn"),s=t.getSlides(),i=s.length,b=d(),E=null,g=null;function x(){i!==0&&(f(),t.isSlideView(t.getView())?w(t.getIndex()):m(),requestAnimationFrame(function(){requestAnimationFrame(function(){o.classList.add("view-visible"),t.getView()==="grid"&&l()})}),M())}function w(k){o.classList.add("view-carousel"),u.setAttribute("aria-hidden","false"),h.setAttribute("aria-hidden","true"),p(k)}function p(k){var N=t.getSpread(k),B=s[N[0]];if(B){var q=t.getView()==="stack";B.scrollIntoView({behavior:"instant",block:q?"center":"nearest",inline:q?"nearest":N.length>1?"end":"center"})}}function m(){o.classList.add("view-grid"),u.setAttribute("aria-hidden","true"),h.setAttribute("aria-hidden","false")}function d(){var k=o.getAttribute("data-layout");return Pn.isLayout(k)?k:"masonry"}function f(){var k=[];h.classList.add("portfolio-grid-"+b),s.forEach(function(N,B){var q=t.getSlideType(B),z;if(q!=="image"){z=r(B,q),h.appendChild(z);var Z=z.querySelector("img");Z&&k.push(We.attach(Z,z));return}var oe=N.querySelector("img");if(oe){z=n(B,"image");var ue=document.createElement("img");ue.src=oe.src,ue.alt=oe.alt||"",ue.loading="lazy",oe.getAttribute("width")&&oe.getAttribute("height")&&(ue.setAttribute("width",oe.getAttribute("width")),ue.setAttribute("height",oe.getAttribute("height"))),oe.srcset&&(ue.srcset=oe.srcset),ue.sizes="(min-width: 1200px) 33vw, (min-width: 768px) 50vw, 100vw";var T=document.createElement("picture");T.appendChild(ue),z.appendChild(T),h.appendChild(z),k.push(We.attach(ue,z))}}),g=Promise.all(k),pt.apply(h)}function n(k,N){var B=document.createElement("div");return B.className="portfolio-grid-item",B.setAttribute("data-index",k),B.setAttribute("role","button"),B.setAttribute("tabindex","0"),B.setAttribute("aria-label","View "+N+" "+(k+1)+" of "+i+" in carousel"),B}function r(k,N){var B=n(k,N);B.classList.add("portfolio-grid-"+N);var q=t.getVideo(k);if(!q||!q.poster)return B;var z=document.createElement("img");return z.src=q.poster,z.alt="",z.loading="lazy",q.width&&q.height&&(z.setAttribute("width",q.width),z.setAttribute("height",q.height)),B.appendChild(z),B}function l(k){if(E){k&&k();return}(g||Promise.resolve()).then(function(){S(),k&&k()})}function S(){E||(E=Pn.create(h,{layout:b,itemSelector:".portfolio-grid-item:not(.is-filtered-out)"}))}function A(){E&&E.layout()}var R=300;function O(){return t.prefersReducedMotion()?0:R}function F(k){var N=document.activeElement;!k||N&&N!==document.body&&!o.contains(N)||t.moveFocus(k)}function K(k){o.classList.remove("view-visible"),setTimeout(function(){o.classList.remove("view-grid"),o.classList.add("view-carousel"),u.setAttribute("aria-hidden","false"),h.setAttribute("aria-hidden","true"),p(k),F(s[k]),requestAnimationFrame(function(){o.classList.add("view-visible")})},O())}function H(k){o.classList.remove("view-visible"),setTimeout(function(){o.classList.remove("view-carousel"),o.classList.add("view-grid"),u.setAttribute("aria-hidden","true"),h.setAttribute("aria-hidden","false");function N(){var B=h.querySelector('.portfolio-grid-item[data-index="'+k+'"]:not(.is-filtered-out)')||h.querySelector(".portfolio-grid-item:not(.is-filtered-out)");B&&B.scrollIntoView({behavior:"instant",block:"center"}),F(B),requestAnimationFrame(function(){o.classList.add("view-visible")})}E?(A(),N()):requestAnimationFrame(function(){requestAnimationFrame(function(){l(N)})})},O())}function ee(k){var N=t.isSlideView(k.view);N!==t.isSlideView(k.previousView)&&(N?K(k.index):H(k.index))}function ie(k){h.querySelectorAll(".portfolio-grid-item").forEach(function(N){var B=parseInt(N.getAttribute("data-index"),10),q=!k.filter||k.filter.indexOf(B)!==-1;N.classList.toggle("is-filtered-out",!q)}),A()}function ce(k){var N=k.target.closest(".portfolio-grid-item");N&&t.setView(t.getSlideView(),{index:parseInt(N.getAttribute("data-index"),10),source:"click"})}function re(){t.setView("grid",{source:"click"})}function M(){t.on("change",ee),t.on("filter",ie),y&&y.addEventListener("click",re),h.addEventListener("click",ce)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",x):x()}var Bi=xe(()=>{Hi();mt();en()});function Rn(t){var o=t.container,u=o.querySelector(".portfolio-filmstrip-btn"),h=null,y=null,s=null,i=null,b=[],E="portfolio-filmstrip",g=6,x=t.getTotal(),w=!1,p=null,m=!1;function d(){x<2||(o.getAttribute("data-progress")!=="false"&&f(),o.getAttribute("data-filmstrip")!=="false"&&(n(),o.classList.add("has-filmstrip"),S(l()),re()),O(t.getIndex()),t.on("change",F),t.on("spreads",function(){O(t.getIndex())}))}function f(){h=document.createElement("div"),h.className="portfolio-progress",h.setAttribute("aria-hidden","true"),h.innerHTML='<span class="portfolio-progress-count"></span><span class="portfolio-progress-bar"><span class="portfolio-progress-fill"></span></span>',y=h.querySelector(".portfolio-progress-count"),s=h.querySelector(".portfolio-progress-fill"),o.appendChild(h)}function n(){i=document.createElement("nav"),i.className="portfolio-filmstrip",i.id="portfolio-filmstrip"+(t.id?"-"+t.id:""),i.setAttribute("aria-label","Thumbnails"),Array.prototype.forEach.call(t.getSlides(),function(M,k){var N=t.getImage(k),B=N?null:t.getVideo(k),q=N?N.src:B&&B.poster;if(q){var z=document.createElement("button");z.className="portfolio-filmstrip-thumb",z.type="button",z.setAttribute("data-index",k),z.setAttribute("aria-label","Image "+(k+1)+" of "+x),z.setAttribute("tabindex","-1");var Z=document.createElement("img");Z.src=r(q),Z.alt="",Z.loading="lazy",Z.draggable=!1,z.appendChild(Z),i.appendChild(z),b[k]=z}}),o.appendChild(i)}function r(M){return We.getGhostSize(M)||M}function l(){try{var M=localStorage.getItem(E);if(M)return M==="open"}catch(k){}return o.getAttribute("data-filmstrip")==="open"}function S(M){if(w=M,i.hidden=!M,o.classList.toggle("is-filmstrip-open",M),u){var k=M?"Hide thumbnails":"Show thumbnails";u.setAttribute("aria-expanded",M?"true":"false"),u.setAttribute("aria-label",k),u.setAttribute("title",k+" (T)")}M&&R(t.getIndex())}function A(){S(!w);try{localStorage.setItem(E,w?"open":"closed")}catch(M){}}function R(M){var k=b[M];!k||!w||(i.scrollLeft=k.offsetLeft-(i.clientWidth-k.offsetWidth)/2)}function O(M){if(h){var k=t.getSpread(M),N=k[k.length-1];y.textContent=k[0]+1+(N!==k[0]?"\u2013"+(N+1):"")+" / "+x,s.style.width=(N+1)/x*100+"%"}if(i){var B=i.contains(document.activeElement);b.forEach(function(q,z){var Z=z===M;q.classList.toggle("is-current",Z),q.setAttribute("tabindex",Z?"0":"-1"),Z?q.setAttribute("aria-current","true"):q.removeAttribute("aria-current")}),B&&b[M]&&b[M].focus({preventScroll:!0}),R(M)}}function F(M){t.isSlideView(M.view)&&O(M.index)}function K(M){var k=i.getBoundingClientRect(),N=document.elementFromPoint(M,k.top+k.height/2),B=N&&N.closest(".portfolio-filmstrip-thumb");return B?parseInt(B.getAttribute("data-index"),10):null}function H(M){M.button===0&&(m=!1,p={pointerId:M.pointerId,startX:M.clientX,isScrubbing:!1})}function ee(M){if(!(!p||M.pointerId!==p.pointerId)){if(!p.isScrubbing){if(Math.abs(M.clientX-p.startX)<g)return;p.isScrubbing=!0,i.setPointerCapture(M.pointerId),i.classList.add("is-scrubbing")}var k=K(M.clientX);k!==null&&k!==t.getIndex()&&t.goTo(k,{source:"scrub"})}}function ie(M){!p||M.pointerId!==p.pointerId||(p.isScrubbing&&(i.classList.remove("is-scrubbing"),m=!0),p=null)}function ce(M){var k=M.target.closest(".portfolio-filmstrip-thumb");if(m){m=!1;return}k&&t.goTo(parseInt(k.getAttribute("data-index"),10),{source:"filmstrip"})}function re(){u&&u.addEventListener("click",A),t.addShortcut({key:"t",description:"Show/hide thumbnails",view:["carousel","stack"],handler:A}),i.addEventListener("click",ce),i.addEventListener("pointerdown",H),i.addEventListener("pointermove",ee),i.addEventListener("pointerup",ie),i.addEventListener("pointercancel",ie)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",d):d()}var Ui=xe(()=>{mt()});function Fn(t){var o=t.container,u=o.querySelector(".portfolio-gallery"),h=t.getSlides(),y=o.classList.contains("portfolio-inline"),s=50,i=.3,b=100,E=10,g=250,x=2.5,w=4,p=150,m=500,d=16,f={},n=null,r=null,l=null,S=null,A="mouse",R=!1,O,F,K;function H(){h.length!==0&&(u.classList.add("has-gestures"),ye())}function ee(){clearTimeout(F),u.style.scrollSnapType="none"}function ie(L){clearTimeout(F),F=setTimeout(function(){u.style.scrollSnapType=""},L)}function ce(L,G){var ae={source:G},fe=t.getSpread(t.getIndex());if(fe[0]===0){t.next(ae);return}if(fe[fe.length-1]===t.getTotal()-1){t.prev(ae);return}var j=u.getBoundingClientRect(),Ee=j.left+j.width/2;L<Ee?t.prev(ae):t.next(ae)}function re(L,G){if(G===0)return L;var ae=t.getSpread(L),fe=G>0?ae[ae.length-1]+1:ae[0]-1;return fe<0||fe>=t.getTotal()?L:t.getSpread(fe)[0]}function M(){return t.getView()==="stack"}function k(L){return!!(L&&L.closest&&L.closest("button, a, input"))}function N(L){var G=L&&L.closest?L.closest(".kg-image-card"):null;return G?G.querySelector("img"):null}function B(L){l&&l.img===L||(ue(),l={img:L,width:L.offsetWidth,height:L.offsetHeight,scale:1,x:0,y:0},L.classList.add("is-zoomed"),u.classList.add("is-zoomed"))}function q(L,G,ae){var fe=l.img.getBoundingClientRect(),j=G-(fe.left+fe.width/2-l.x),Ee=ae-(fe.top+fe.height/2-l.y);L=Math.max(1,Math.min(L,w)),l.x=j-L*(j-l.x)/l.scale,l.y=Ee-L*(Ee-l.y)/l.scale,l.scale=L,Z()}function z(L,G){l.x+=L,l.y+=G,Z()}function Z(){var L=l.width*(l.scale-1)/2,G=l.height*(l.scale-1)/2;l.x=Math.max(-L,Math.min(l.x,L)),l.y=Math.max(-G,Math.min(l.y,G)),l.img.style.transform="translate("+l.x+"px, "+l.y+"px) scale("+l.scale+")"}function oe(){l&&l.scale<=1.01&&ue()}function ue(){l&&(l.img.style.transform="",l.img.classList.remove("is-zoomed"),u.classList.remove("is-zoomed"),l=null)}function T(L,G,ae){if(l){ue();return}var fe=N(L);fe&&(B(fe),q(x,G,ae))}function D(){return Object.keys(f).slice(0,2).map(function(L){return f[L]})}function U(){var L=D(),G=N(L[0].target);n&&(n=null,ie(0)),G&&(B(G),r={distance:ge(L),scale:l.scale,x:(L[0].x+L[1].x)/2,y:(L[0].y+L[1].y)/2},u.classList.add("is-gesturing"))}function $(){var L=D(),G=(L[0].x+L[1].x)/2,ae=(L[0].y+L[1].y)/2;z(G-r.x,ae-r.y),q(r.scale*ge(L)/r.distance,G,ae),r.x=G,r.y=ae}function de(){r=null,S=null,u.classList.remove("is-gesturing"),oe()}function ge(L){return Math.sqrt(Math.pow(L[0].x-L[1].x,2)+Math.pow(L[0].y-L[1].y,2))||1}function be(L,G){var ae=L[0],fe=L[L.length-1];return G-fe.t>b||fe.t===ae.t?0:(fe.x-ae.x)/(fe.t-ae.t)}function ke(L,G){if(S&&L.timeStamp-S.time<g&&Math.abs(L.clientX-S.x)<E*3&&Math.abs(L.clientY-S.y)<E*3){clearTimeout(O),S=null,T(G,L.clientX,L.clientY);return}var ae=L.clientX;S={time:L.timeStamp,x:L.clientX,y:L.clientY},clearTimeout(O),O=setTimeout(function(){S=null,l||ce(ae,"tap")},g)}function P(L,G){var ae=G.clientX-L.startX,fe=be(L.samples,G.timeStamp),j=0;Math.abs(fe)>i?j=fe<0?1:-1:Math.abs(ae)>s&&(j=ae<0?1:-1);var Ee=re(L.startIndex,j),we=t.getSpread(Ee);we.indexOf(t.getIndex())===-1?t.goTo(Ee,{source:"swipe"}):h[we[0]].scrollIntoView({behavior:t.prefersReducedMotion()?"instant":"smooth",block:"nearest",inline:we.length>1?"end":"center"}),ie(m)}function Y(L){if(A=L.pointerType,!(k(L.target)||M())&&!(L.pointerType==="mouse"&&(!l||L.button!==0))){f[L.pointerId]={x:L.clientX,y:L.clientY,target:L.target},u.setPointerCapture(L.pointerId);var G=Object.keys(f).length;if(G===2){U();return}G>2||(n={target:L.target,startX:L.clientX,startY:L.clientY,lastX:L.clientX,lastY:L.clientY,scrollLeft:u.scrollLeft,startIndex:t.getIndex(),samples:[{x:L.clientX,t:L.timeStamp}],moved:!1})}}function le(L){if(f[L.pointerId]){if(f[L.pointerId].x=L.clientX,f[L.pointerId].y=L.clientY,r){$();return}if(n){var G=L.clientX-n.lastX,ae=L.clientY-n.lastY;if(n.lastX=L.clientX,n.lastY=L.clientY,!n.moved){if(Math.abs(L.clientX-n.startX)<E&&Math.abs(L.clientY-n.startY)<E)return;n.moved=!0,u.classList.add("is-gesturing"),l||ee()}if(l){z(G,ae);return}for(u.scrollLeft=n.scrollLeft-(L.clientX-n.startX),n.samples.push({x:L.clientX,t:L.timeStamp});n.samples.length>2&&L.timeStamp-n.samples[0].t>b;)n.samples.shift()}}}function he(L){if(f[L.pointerId]){if(delete f[L.pointerId],r){de();return}if(n){var G=n;if(n=null,u.classList.remove("is-gesturing"),L.type==="pointercancel"){ie(0);return}if(!G.moved){L.pointerType!=="mouse"&&ke(L,G.target);return}L.pointerType==="mouse"&&(R=!0),l||P(G,L)}}}function Le(L){if(!k(L.target)&&(L.stopPropagation(),!M())){if(R){R=!1;return}if(A==="mouse"){if(l){ue();return}ce(L.clientX,"click")}}}function ve(L){if(!M()&&!(y&&!L.ctrlKey&&!l&&Math.abs(L.deltaY)>=Math.abs(L.deltaX))){if(L.preventDefault(),L.ctrlKey){var G=N(L.target)||N(h[t.getIndex()]);if(!G)return;B(G),u.classList.add("is-gesturing"),q(l.scale*Math.exp(-L.deltaY/100),L.clientX,L.clientY),clearTimeout(K),K=setTimeout(function(){u.classList.remove("is-gesturing"),oe()},p);return}if(l){z(-L.deltaX,-L.deltaY);return}var ae=Math.abs(L.deltaX)>Math.abs(L.deltaY)?L.deltaX:L.deltaY;L.deltaMode===1&&(ae*=d),ee(),u.scrollLeft+=ae,ie(p)}}function ye(){u.addEventListener("pointerdown",Y),u.addEventListener("pointermove",le),u.addEventListener("pointerup",he),u.addEventListener("pointercancel",he),u.addEventListener("click",Le,!0),u.addEventListener("wheel",ve,{passive:!1}),t.on("change",ue),window.addEventListener("resize",ue)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",H):H()}var Yi=xe(()=>{});function zn(t){var o=t.container,u='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',h={carousel:[{keys:["\u2190","\u2192"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],stack:[{keys:["\u2191","\u2193"],description:"Previous / next image"},{keys:["Home","End"],description:"First / last image"}],grid:[{keys:["Tab"],description:"Move between images"},{keys:["Enter"],description:"Open image"}]},y={" ":"Space",Escape:"Esc",ArrowLeft:"\u2190",ArrowRight:"\u2192",ArrowUp:"\u2191",ArrowDown:"\u2193"},s=null,i=null,b=null,E=null;function g(){var r="portfolio-help-title"+(t.id?"-"+t.id:"");s=document.createElement("div"),s.className="portfolio-help",s.setAttribute("role","dialog"),s.setAttribute("aria-modal","true"),s.setAttribute("aria-labelledby",r),s.hidden=!0,s.innerHTML='<div class="portfolio-help-panel"><h2 class="portfolio-help-title" id="'+r+'">Keyboard shortcuts</h2><button class="portfolio-help-close" aria-label="Close keyboard shortcuts" title="Close (Esc)">'+u+'</button><dl class="portfolio-help-list"></dl></div>',i=s.querySelector(".portfolio-help-list"),b=s.querySelector(".portfolio-help-close"),b.addEventListener("click",d),s.addEventListener("keydown",f),s.addEventListener("click",function(l){l.target===s&&d()}),o.appendChild(s)}function x(r){return y[r]?y[r]:r.length===1?r.toUpperCase():r}function w(r,l){var S=document.createElement("dt"),A=document.createElement("dd");r.forEach(function(R){var O=document.createElement("kbd");O.textContent=R,S.appendChild(O)}),A.textContent=l,i.appendChild(S),i.appendChild(A)}function p(){var r=t.getView();i.innerHTML="",h[r].forEach(function(l){w(l.keys,l.description)}),t.getShortcuts(r).forEach(function(l){w([x(l.key)],l.description||"")}),t.isSlideView(r)&&t.isDualView&&w(["Esc"],"Back to the grid")}function m(){s||g(),s.hidden&&(p(),E=document.activeElement,s.hidden=!1,b.focus())}function d(){!s||s.hidden||(s.hidden=!0,E&&E.focus&&E.focus({preventScroll:!0}),E=null)}function f(r){r.stopPropagation(),r.key==="Escape"||r.key==="?"?(r.preventDefault(),d()):r.key==="Tab"&&(r.preventDefault(),b.focus())}function n(){t.getTotal()!==0&&t.addShortcut({key:"?",description:"Show keyboard shortcuts",handler:m})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",n):n()}var Zi=xe(()=>{});var Kr,Gi,Xi=xe(()=>{Kr=(function(){var t=131072,o={make:271,model:272,exifPointer:34665,gpsPointer:34853,exposureTime:33434,fNumber:33437,iso:34855,dateTimeOriginal:36867,focalLength:37386,lensModel:42036,latitudeRef:1,latitude:2,longitudeRef:3,longitude:4},u={1:1,2:1,3:2,4:4,5:8,7:1,9:4,10:8};function h(m){try{return new URL(m,window.location.href).origin===window.location.origin}catch(d){return!1}}function y(m){return!m||!h(m)||!window.fetch?Promise.resolve(null):fetch(m,{headers:{Range:"bytes=0-"+(t-1)}}).then(function(d){return d.ok?d.arrayBuffer():null}).then(function(d){return d?s(d):null}).catch(function(){return null})}function s(m){var d=new DataView(m);if(d.byteLength<4||d.getUint16(0)!==65496)return null;for(var f=2;f+4<=d.byteLength;){var n=d.getUint16(f),r=d.getUint16(f+2);if(n===65505&&f+10<=d.byteLength&&d.getUint32(f+4)===1165519206&&d.getUint16(f+8)===0)return i(d,f+10);if(n===65498||(n&65280)!==65280)break;f+=2+r}return null}function i(m,d){try{var f=m.getUint16(d);if(f!==18761&&f!==19789)return null;var n={view:m,start:d,little:f===18761},r=b(n,m.getUint32(d+4,n.little)),l=r[o.exifPointer]?b(n,r[o.exifPointer]):{},S=r[o.gpsPointer]?b(n,r[o.gpsPointer]):{};return p({make:r[o.make],model:r[o.model],lens:l[o.lensModel],exposureTime:l[o.exposureTime],fNumber:l[o.fNumber],iso:l[o.iso],focalLength:l[o.focalLength],date:x(l[o.dateTimeOriginal]),latitude:w(S[o.latitude],S[o.latitudeRef],"S"),longitude:w(S[o.longitude],S[o.longitudeRef],"W")})}catch(A){return null}}function b(m,d){for(var f=m.view,n=m.start+d,r=f.getUint16(n,m.little),l={},S=0;S<r;S++){var A=n+2+S*12,R=f.getUint16(A,m.little),O=E(m,A);O!==void 0&&(l[R]=O)}return l}function E(m,d){var f=m.view,n=m.little,r=f.getUint16(d+2,n),l=f.getUint32(d+4,n),S=u[r];if(S){var A=S*l>4?m.start+f.getUint32(d+8,n):d+8,R=[];if(r===2)return g(f,A,l);for(var O=0;O<l;O++){var F=A+O*S;switch(r){case 3:R.push(f.getUint16(F,n));break;case 4:R.push(f.getUint32(F,n));break;case 9:R.push(f.getInt32(F,n));break;case 5:R.push(f.getUint32(F,n)/f.getUint32(F+4,n));break;case 10:R.push(f.getInt32(F,n)/f.getInt32(F+4,n));break;default:R.push(f.getUint8(F))}}return l===1?R[0]:R}}function g(m,d,f){for(var n="",r=0;r<f;r++){var l=m.getUint8(d+r);if(l===0)break;n+=String.fromCharCode(l)}return n.trim()}function x(m){var d=/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(m||"");if(d)return new Date(+d[1],d[2]-1,+d[3],+d[4],+d[5],+d[6])}function w(m,d,f){if(!(!m||m.length!==3)){var n=m[0]+m[1]/60+m[2]/3600;if(!isNaN(n))return d===f?-n:n}}function p(m){return Object.keys(m).forEach(function(d){var f=m[d];(f===void 0||f===""||typeof f=="number"&&!isFinite(f))&&delete m[d]}),Object.keys(m).length>0?m:null}return{read:y,parse:s}})(),Gi=Kr});function qn(t){var o=t.container,u=t.getSlides(),h=o.querySelector(".portfolio-info-btn"),y,s,i,b='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',E=[{key:"alt",label:"Alt text"},{key:"camera",label:"Camera"},{key:"lens",label:"Lens"},{key:"exposure",label:"Exposure"},{key:"date",label:"Date"},{key:"location",label:"Location"}],g=!1,x=[];function w(){u.length!==0&&(p(),o.classList.add("has-info"),re())}function p(){y=document.createElement("aside"),y.className="portfolio-info",y.id="portfolio-info"+(t.id?"-"+t.id:""),y.setAttribute("aria-label","Image information"),y.setAttribute("aria-live","polite"),y.hidden=!0,y.innerHTML='<button class="portfolio-info-close" aria-label="Close image information" title="Close (I)">'+b+'</button><div class="portfolio-info-caption"></div><dl class="portfolio-info-details"></dl>',s=y.querySelector(".portfolio-info-caption"),i=y.querySelector(".portfolio-info-details"),y.querySelector(".portfolio-info-close").addEventListener("click",d),o.appendChild(y)}function m(){g||(g=!0,y.hidden=!1,n(),r(t.getIndex()))}function d(){g&&(g=!1,y.hidden=!0,n())}function f(){g?d():m()}function n(){o.classList.toggle("is-info-open",g),h&&(h.setAttribute("aria-expanded",g?"true":"false"),h.setAttribute("aria-label",g?"Hide image information":"Show image information"))}function r(M){var k=u[M];if(k){y.classList.remove("is-loading");var N=k.querySelector("figcaption");s.innerHTML=N?N.innerHTML:"",s.hidden=!N;var B=A(k);S(B);var q=t.getImage(M);q&&(y.classList.add("is-loading"),l(M,q.src).then(function(z){if(!(M!==t.getIndex()||!g)&&(y.classList.remove("is-loading"),z)){var Z=O(R(z),B);Z.location=B.location||Z.location,S(Z)}}))}}function l(M,k){return x[M]||(x[M]=Gi.read(k)),x[M]}function S(M){i.innerHTML="",E.forEach(function(k){if(M[k.key]){var N=document.createElement("dt"),B=document.createElement("dd");N.textContent=k.label,B.textContent=M[k.key],i.appendChild(N),i.appendChild(B)}}),i.hidden=i.children.length===0}function A(M){var k=M.querySelector("img");function N(B){return M.getAttribute("data-"+B)||k&&k.getAttribute("data-"+B)||""}return{alt:k?k.getAttribute("alt"):"",camera:N("camera"),lens:N("lens"),exposure:N("exposure"),date:ee(N("date")),location:N("location")}}function R(M){var k=[],N=Array.isArray(M.iso)?M.iso[0]:M.iso;return M.focalLength&&k.push(F(M.focalLength)+"mm"),M.fNumber&&k.push("f/"+F(M.fNumber)),M.exposureTime&&k.push(H(M.exposureTime)),N&&k.push("ISO "+N),{camera:K(M.make,M.model),lens:M.lens||"",exposure:k.join(" \xB7 "),date:M.date?ee(M.date):"",location:ie(M.latitude,M.longitude)}}function O(M,k){var N={};return E.forEach(function(B){N[B.key]=M[B.key]||k[B.key]||""}),N}function F(M){return String(Math.round(M*10)/10)}function K(M,k){return k?!M||k.toLowerCase().indexOf(M.split(" ")[0].toLowerCase())===0?k:M+" "+k:M||""}function H(M){return M>=1?F(M)+"s":"1/"+Math.round(1/M)+"s"}function ee(M){if(!M)return"";var k=/^(\d{4})-(\d{2})-(\d{2})$/.exec(M),N=M instanceof Date?M:k?new Date(+k[1],k[2]-1,+k[3]):new Date(M);return isNaN(N.getTime())?String(M):N.toLocaleDateString(document.documentElement.lang||void 0,{year:"numeric",month:"long",day:"numeric"})}function ie(M,k){return M===void 0||k===void 0?"":Math.abs(M).toFixed(5)+"\xB0 "+(M<0?"S":"N")+", "+Math.abs(k).toFixed(5)+"\xB0 "+(k<0?"W":"E")}function ce(M){if(g){if(!t.isSlideView(M.view)){d();return}M.index!==M.previousIndex&&r(M.index)}}function re(){h&&h.addEventListener("click",f),t.addShortcut({key:"i",description:"Show/hide image information",view:["carousel","stack"],handler:f}),t.on("change",ce)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",w):w()}var Ki=xe(()=>{Xi()});function Nn(t){var o=t.container,u=t.getSlides(),h=o.querySelector(".portfolio-fullscreen-btn"),y='<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';function s(){u.length!==0&&(i(),w()&&(o.classList.add("has-fullscreen"),f()))}function i(){u.forEach(function(n,r){if(t.getImage(r)){var l=document.createElement("button");l.className="portfolio-expand-btn",l.setAttribute("aria-label","View image "+(r+1)+" full size"),l.setAttribute("title","View full size"),l.innerHTML=y,l.addEventListener("click",function(S){S.preventDefault(),S.stopPropagation(),x(r)}),n.appendChild(l)}})}function b(n){var r=n.src,l=0;return n.srcset.split(",").forEach(function(S){var A=S.trim().split(/\s+/),R=parseInt(A[1],10);A[0]&&/w$/.test(A[1]||"")&&R>l&&(r=A[0],l=R)}),r}function E(){var n=[];return u.forEach(function(r,l){t.getImage(l)&&n.push(l)}),n}function g(n){return n.map(function(r){var l=t.getImage(r),S=u[r].querySelector("figcaption"),A=l.element.classList.contains("is-parked");return{src:b(l),width:l.width,height:l.height,msrc:A?"":l.element.currentSrc||l.src,alt:l.alt,caption:S?S.innerHTML:""}})}function x(n){var r=E(),l=r.indexOf(n);l!==-1&&tn.open(g(r),l,{container:p()===o?o:null,onClose:function(S){t.goTo(r[S],{source:"lightbox"})}})}function w(){return!!(document.fullscreenEnabled||document.webkitFullscreenEnabled)}function p(){return document.fullscreenElement||document.webkitFullscreenElement||null}function m(){if(p()){(document.exitFullscreen||document.webkitExitFullscreen).call(document);return}t.isSlideView(t.getView())||t.setView(t.getSlideView(),{source:"fullscreen"});var n=o.requestFullscreen||o.webkitRequestFullscreen,r=n.call(o);r&&r.catch&&r.catch(function(){})}function d(){var n=p()===o,r=n?"Exit fullscreen":"Enter fullscreen";o.classList.toggle("is-fullscreen",n),h&&(h.setAttribute("aria-pressed",n?"true":"false"),h.setAttribute("aria-label",r),h.setAttribute("title",r+" (F)"))}function f(){h&&h.addEventListener("click",m),t.addShortcut({key:"f",description:"Toggle fullscreen",handler:m}),document.addEventListener("fullscreenchange",d),document.addEventListener("webkitfullscreenchange",d),t.on("change",function(n){!t.isSlideView(n.view)&&p()===o&&m()})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",s):s()}var ji=xe(()=>{_n()});function Wn(t){var o=t.container,u="portfolio-picks:",h="picks",y=2e3,s='<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>',i=t.getSlides(),b=null,E=null,g=null,x=null,w=null,p=[],m=u+window.location.pathname+(t.id?"#"+t.id:""),d=[],f=!1;function n(){if(!(!o.hasAttribute("data-proofing")||o.getAttribute("data-proofing")==="false")&&i.length!==0){K(),ee(),o.classList.add("has-proofing");var T=R();T?(d=T,F(),re(t.isDualView)):(d=O(),ie()),ue()}}function r(T){return l(T)!==""}function l(T){var D=t.getImage(T)||t.getVideo(T),U=D?D.src.split(/[?#]/)[0]:"";try{return decodeURIComponent(U.split("/").pop())}catch($){return U.split("/").pop()}}function S(T){var D=[];return T.forEach(function(U){var $=D[D.length-1];$&&U===$[1]+1?$[1]=U:D.push([U,U])}),D.map(function(U){return U[0]+1+(U[1]>U[0]?"-"+(U[1]+1):"")}).join(",")}function A(T){var D=[];return(T||"").split(",").forEach(function(U){var $=/^(\d+)(?:-(\d+))?$/.exec(U.trim());if($)for(var de=Math.max(parseInt($[1],10)-1,0),ge=Math.min($[2]?parseInt($[2],10)-1:de,i.length-1),be=de;be<=ge;be++)r(be)&&D.indexOf(be)===-1&&D.push(be)}),D.sort(function(U,$){return U-$})}function R(){var T=t.getHashParam(h);if(T===null)return null;var D=window.location.hash,U=D.indexOf("?"),$=D.slice(U+1).split("&").filter(function(de){return de&&de.split("=")[0]!==h});return history.replaceState(history.state,"",window.location.pathname+window.location.search+D.slice(0,U)+($.length?"?"+$.join("&"):"")),A(T)}function O(){try{return A(localStorage.getItem(m))}catch(T){return[]}}function F(){try{d.length>0?localStorage.setItem(m,S(d)):localStorage.removeItem(m)}catch(T){}}function K(){i.forEach(function(T,D){r(D)&&(p[D]=[H(D)],T.appendChild(p[D][0]))}),o.querySelectorAll(".portfolio-grid-item").forEach(function(T){var D=parseInt(T.getAttribute("data-index"),10);if(p[D]){var U=H(D);T.appendChild(U),p[D].push(U)}})}function H(T){var D=document.createElement("button");return D.type="button",D.className="portfolio-pick-btn",D.setAttribute("aria-label","Select "+t.getSlideType(T)+" "+(T+1)),D.setAttribute("aria-pressed","false"),D.setAttribute("title","Select (S)"),D.innerHTML=s,D.addEventListener("click",function(U){U.preventDefault(),U.stopPropagation(),ce(T)}),D}function ee(){b=document.createElement("div"),b.className="portfolio-proofing",b.setAttribute("role","group"),b.setAttribute("aria-label","Selection"),b.innerHTML='<span class="portfolio-proofing-count" aria-live="polite"></span>'+(t.isDualView?'<button type="button" class="portfolio-proofing-btn portfolio-proofing-filter" aria-pressed="false">Selected only</button>':"")+'<button type="button" class="portfolio-proofing-btn portfolio-proofing-link">Copy link</button><button type="button" class="portfolio-proofing-btn portfolio-proofing-list">Download list</button>',E=b.querySelector(".portfolio-proofing-count"),g=b.querySelector(".portfolio-proofing-filter"),x=b.querySelector(".portfolio-proofing-link"),w=b.querySelector(".portfolio-proofing-list"),o.appendChild(b)}function ie(){p.forEach(function(T,D){var U=d.indexOf(D)!==-1;T.forEach(function($){$.classList.toggle("is-picked",U),$.setAttribute("aria-pressed",U?"true":"false")})}),E.textContent=d.length+" selected",g&&(g.disabled=d.length===0,g.setAttribute("aria-pressed",f?"true":"false")),x.disabled=d.length===0,w.disabled=d.length===0}function ce(T){if(T=[].concat(T).filter(function(U){return!!p[U]}),T.length!==0){var D=T.some(function(U){return d.indexOf(U)===-1});T.forEach(function(U){var $=d.indexOf(U);D&&$===-1?d.push(U):D||d.splice($,1)}),d.sort(function(U,$){return U-$}),F(),f?re(d.length>0):ie()}}function re(T){f=T&&t.isDualView&&d.length>0,t.setFilter(f?d:null),ie()}function M(){var T="#"+(t.id?t.id+"/":"")+"book/"+(d[0]+1)+"?"+h+"="+S(d);return window.location.origin+window.location.pathname+T}function k(){var T=M(),D=navigator.clipboard&&navigator.clipboard.writeText?navigator.clipboard.writeText(T):Promise.reject(new Error("No clipboard"));D.then(function(){N(x,"Link copied")},function(){window.prompt("Copy this link to share the selection",T)})}function N(T,D){var U=T.textContent;T.textContent=D,setTimeout(function(){T.textContent=U},y)}function B(){var T=["Number,Filename"];return d.forEach(function(D){T.push(D+1+","+q(l(D)))}),T.join(`\r
+`)+`\r
+`}function q(T){return/[",\r\n]/.test(T)?'"'+T.replace(/"/g,'""')+'"':T}function z(){var T=window.location.pathname.split("/").filter(Boolean).pop()||"portfolio";return"selection-"+T+(t.id?"-"+t.id:"")+".csv"}function Z(){var T=document.createElement("a");T.href=window.URL.createObjectURL(new Blob([B()],{type:"text/csv"})),T.download=z(),document.body.appendChild(T),T.click(),document.body.removeChild(T),setTimeout(function(){window.URL.revokeObjectURL(T.href)},0)}function oe(T){if(t.isSlideView(t.getView())){ce(t.getSpread(t.getIndex()));return}var D=T.target.closest?T.target.closest(".portfolio-grid-item"):null;D&&ce(parseInt(D.getAttribute("data-index"),10))}function ue(){g&&g.addEventListener("click",function(){re(!f)}),x.addEventListener("click",k),w.addEventListener("click",Z),t.addShortcut({key:"s",description:"Select/unselect image (both pages of a spread)",handler:oe})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",n):n()}var $i=xe(()=>{});function Qi(t,o){if(typeof BroadcastChannel=="undefined")return null;var u=new BroadcastChannel(t);return u.onmessage=function(h){o.message(h.data)},setTimeout(o.open,0),{send:function(h){u.postMessage(h)},close:function(){u.close()}}}function Qr(t,o,u){if(typeof WebSocket=="undefined"||!u.relay)return null;var h=null,y=!1;function s(){try{h=new WebSocket(u.relay)}catch(i){return!1}return h.addEventListener("open",o.open),h.addEventListener("message",function(i){var b;try{b=JSON.parse(i.data)}catch(E){return}b&&b.channel===t&&o.message(b.data)}),h.addEventListener("close",function(){y||setTimeout(s,$r)}),!0}return s()?{send:function(i){h.readyState===WebSocket.OPEN&&h.send(JSON.stringify({channel:t,data:i}))},close:function(){y=!0,h.close()}}:null}function Vn(t){var o=t.container,u="portfolio-remote:",h="portfolio-remote:"+window.location.pathname+(t.id?"#"+t.id:""),y=t.getSlides(),s=null,i=null,b=null,E=null,g=null,x=[],w=A(),p=w?w.role:null,m=w?w.room:null,d=w?w.relay:null,f=null,n=Math.random().toString(36).slice(2),r={},l=!1;function S(){!p||y.length===0||(f=K(),f&&(o.classList.add(p==="display"?"is-presenting":"is-remote"),p==="remote"&&(z(),ue()),q(),oe(),t.on("change",k),window.addEventListener("pagehide",function(){H({type:"bye"})})))}function A(){var T=O(),D=null;if(t.getHashParam("present")!==null?D="display":t.getHashParam("remote")!==null&&(D="remote"),!D)return T;var U=t.getHashParam(D==="display"?"present":"remote"),$=T&&T.role===D,de={role:D,room:U||($?T.room:null)||(D==="display"?R():null),relay:t.getHashParam("relay"),transport:t.getHashParam("transport")};return de.room?(F(de),de):null}function R(){return Math.random().toString(36).slice(2,10)}function O(){try{return JSON.parse(sessionStorage.getItem(h))}catch(T){return null}}function F(T){try{sessionStorage.setItem(h,JSON.stringify(T))}catch(D){}}function K(){var T=w.transport||(d?"socket":"broadcast"),D=jr[T],U=u+window.location.pathname+(t.id?"#"+t.id:"")+":"+m,$={message:ce,open:ie};return D?D(U,$,{relay:d})||(T==="socket"?Qi(U,$):null):null}function H(T){T.from=n,T.role=p,f.send(T)}function ee(){H({type:"state",index:t.getIndex(),view:t.getView()})}function ie(){H({type:"hello"}),p==="display"&&ee()}function ce(T){!T||T.role===p||T.from===n||(T.type==="bye"?delete r[T.from]:r[T.from]=!0,p==="display"?re(T):T.type==="state"&&M(T),oe())}function re(T){var D={source:"remote"},U=t.isSlideView(t.getView());switch(T.type){case"hello":ee();break;case"next":case"prev":U?T.type==="next"?t.next(D):t.prev(D):t.setView(t.getSlideView(),D);break;case"go":if(typeof T.index!="number")return;U?t.goTo(T.index,D):t.setView(t.getSlideView(),{index:T.index,source:"remote"});break;case"grid":t.setView(U?"grid":t.getSlideView(),D);break}}function M(T){var D=T.view==="grid"&&t.isDualView?"grid":null;D||(D=t.isSlideView(t.getView())?t.getView():t.getSlideView()),l=!0,t.setView(D,{index:T.index,source:"remote"}),l=!1}function k(T){p==="display"?ee():!l&&T.index!==T.previousIndex&&H({type:"go",index:T.index}),oe()}function N(){var T="remote="+encodeURIComponent(m)+(d?"&relay="+encodeURIComponent(d):"");return window.location.origin+window.location.pathname+"#"+(t.id?t.id+"/":"")+"book?"+T}function B(){return Object.keys(r).length>0}function q(){if(s=document.createElement("p"),s.className="portfolio-remote-status",s.setAttribute("role","status"),i){i.insertBefore(s,i.firstChild);return}var T=document.createElement("a");T.href=N(),T.target="_blank",T.textContent=T.href,s.appendChild(document.createTextNode("Remote: ")),s.appendChild(T),o.appendChild(s)}function z(){i=document.createElement("div"),i.className="portfolio-remote",i.setAttribute("role","region"),i.setAttribute("aria-label","Remote"),i.innerHTML='<div class="portfolio-remote-current"><img alt=""></div><div class="portfolio-remote-nav"><button type="button" class="portfolio-remote-btn portfolio-remote-prev">Previous</button><span class="portfolio-remote-count" aria-live="polite"></span><button type="button" class="portfolio-remote-btn portfolio-remote-next">Next</button></div>'+(t.isDualView?'<button type="button" class="portfolio-remote-btn portfolio-remote-grid" aria-pressed="false">Grid</button>':"")+'<nav class="portfolio-remote-thumbs" aria-label="Go to image"></nav>',b=i.querySelector(".portfolio-remote-current img"),E=i.querySelector(".portfolio-remote-count"),g=i.querySelector(".portfolio-remote-grid");var T=i.querySelector(".portfolio-remote-thumbs");y.forEach(function(D,U){var $=document.createElement("button");$.type="button",$.className="portfolio-remote-thumb",$.setAttribute("data-index",U),$.setAttribute("aria-label","Show "+t.getSlideType(U)+" "+(U+1));var de=Z(U);if(de){var ge=document.createElement("img");ge.src=We.getGhostSize(de)||de,ge.alt="",ge.loading="lazy",$.appendChild(ge)}T.appendChild($),x[U]=$}),o.appendChild(i)}function Z(T){var D=t.getImage(T);if(D)return D.src;var U=t.getVideo(T);return U?U.poster:""}function oe(){if(p==="display"){s.hidden=B();return}var T=t.getIndex(),D=t.getSpread(T),U=Z(T);s.textContent=B()?"Connected to the display":"Waiting for the display\u2026",E.textContent=T+1+" / "+y.length,b.hidden=!U,U&&(b.src=U),g&&g.setAttribute("aria-pressed",t.getView()==="grid"?"true":"false"),x.forEach(function($,de){var ge=D.indexOf(de)!==-1;$.classList.toggle("is-current",ge),ge?$.setAttribute("aria-current","true"):$.removeAttribute("aria-current")})}function ue(){i.querySelector(".portfolio-remote-prev").addEventListener("click",function(){H({type:"prev"})}),i.querySelector(".portfolio-remote-next").addEventListener("click",function(){H({type:"next"})}),g&&g.addEventListener("click",function(){H({type:"grid"})}),i.querySelector(".portfolio-remote-thumbs").addEventListener("click",function(T){var D=T.target.closest(".portfolio-remote-thumb");D&&H({type:"go",index:parseInt(D.getAttribute("data-index"),10)})}),t.addShortcut({key:"ArrowRight",description:"Next image on the display",handler:function(){H({type:"next"})}}),t.addShortcut({key:"ArrowLeft",description:"Previous image on the display",handler:function(){H({type:"prev"})}})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",S):S()}var jr,$r,Ji=xe(()=>{mt();jr={broadcast:Qi,socket:Qr},$r=2e3});function Hn(t){var o=t.container,u=o.querySelector(".portfolio-gallery"),h=t.getSlides(),y=null,s=400,i="a[href], button, input, select, textarea, [tabindex]",b=h.length,E;function g(){b!==0&&(Array.prototype.forEach.call(h,function(n,r){n.setAttribute("role","group"),n.setAttribute("aria-roledescription","slide"),n.setAttribute("aria-label",r+1+" of "+b)}),x(),w(t.getIndex()),t.on("change",f))}function x(){y=document.createElement("div"),y.className="portfolio-live",y.setAttribute("aria-live","polite"),y.setAttribute("aria-atomic","true"),o.appendChild(y)}function w(n){Array.prototype.forEach.call(h,function(r,l){var S=l===n?"0":"-1";r.setAttribute("tabindex",S),Array.prototype.forEach.call(r.querySelectorAll(i),function(A){A.setAttribute("tabindex",S)})})}function p(){var n=document.activeElement;return!!(n&&n!==u&&u.contains(n))}function m(n){var r=t.getImage(n),l=t.getSlideType(n),S=l.charAt(0).toUpperCase()+l.slice(1)+" "+(n+1)+" of "+b;return r&&r.alt?S+": "+r.alt:S}function d(n){clearTimeout(E),!(t.slideshow&&t.slideshow.isPlaying())&&(E=setTimeout(function(){y.textContent=m(n)},s))}function f(n){if(!t.isSlideView(n.view)){clearTimeout(E);return}var r=p();w(n.index),r&&n.source==="autoplay"?t.moveFocus(h[n.index]):r&&n.source!=="scroll"&&h[n.index].focus({preventScroll:!0}),d(n.index)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",g):g()}var er=xe(()=>{});function Bn(t){var o=t.container,u=o.querySelector(".portfolio-gallery"),h=o.querySelector(".portfolio-play-btn"),y=5,s=1,i=y*1e3,b=!0,E=!1,g={},x;function w(){t.getTotal()<2||(p(),o.classList.add("has-slideshow"),O(),t.isSlideView(t.getView())&&t.getHashParam("play")!==null&&m())}function p(){var F=parseFloat(t.getHashParam("play")||o.getAttribute("data-autoplay-interval"));isNaN(F)||(i=Math.max(F,s)*1e3);var K=t.getHashParam("loop");K===null&&(K=o.getAttribute("data-autoplay-loop")),K!==null&&(b=K!=="false"&&K!=="0")}function m(){E||(t.isSlideView(t.getView())||t.setView(t.getSlideView(),{source:"autoplay"}),E=!0,A(),n())}function d(){E&&(E=!1,clearTimeout(x),A())}function f(){E?d():m()}function n(){clearTimeout(x),!(!E||Object.keys(g).length>0)&&(x=setTimeout(r,i))}function r(){var F={source:"autoplay"},K=t.getSpread(t.getIndex());K[K.length-1]<t.getTotal()-1?t.next(F):b?t.goTo(0,F):d()}function l(F){g[F]=!0,clearTimeout(x)}function S(F){g[F]&&(delete g[F],n())}function A(){if(o.classList.toggle("is-playing",E),!!h){var F=E?"Pause slideshow":"Play slideshow";h.setAttribute("aria-pressed",E?"true":"false"),h.setAttribute("aria-label",F),h.setAttribute("title",F+" (P)")}}function R(F){if(E){if(!t.isSlideView(F.view)){d();return}n()}}function O(){h&&h.addEventListener("click",f),t.addShortcut({key:"p",description:"Play/pause slideshow",handler:f}),t.on("change",R),u.addEventListener("pointerenter",function(F){F.pointerType==="mouse"&&l("hover")}),u.addEventListener("pointerleave",function(){S("hover")}),o.addEventListener("focusin",function(F){F.target.classList.contains("portfolio-control-btn")||t.isMovingFocus()?S("focus"):l("focus")}),o.addEventListener("focusout",function(F){(!F.relatedTarget||!o.contains(F.relatedTarget))&&S("focus")}),document.addEventListener("visibilitychange",function(){document.hidden?l("hidden"):S("hidden")})}t.slideshow={play:m,pause:d,toggle:f,isPlaying:function(){return E}},document.readyState==="loading"?document.addEventListener("DOMContentLoaded",w):w()}var tr=xe(()=>{});function Un(t){var o=[];function u(){Array.prototype.forEach.call(t.getSlides(),function(b,E){var g=t.getVideo(E);g&&(h(g.element,b),o[E]=g.element)}),o.length!==0&&(s(),t.on("change",s),t.on("spreads",s),document.addEventListener("visibilitychange",s))}function h(b,E){b.removeAttribute("autoplay"),b.autoplay=!1,b.muted=!0,b.setAttribute("muted",""),b.setAttribute("playsinline",""),b.addEventListener("play",function(){E.classList.add("is-playing")}),b.addEventListener("pause",function(){E.classList.remove("is-playing")})}function y(b){return!document.hidden&&t.isSlideView(t.getView())&&t.getSpread(t.getIndex()).indexOf(b)!==-1}function s(){var b=!t.prefersReducedMotion();o.forEach(function(E,g){y(g)?b&&E.paused&&i(E):E.paused||E.pause()})}function i(b){var E=b.play();E&&E.catch&&E.catch(function(){})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",u):u()}var nr=xe(()=>{});function Yn(t){var o=t.container,u=o.querySelector(".portfolio-gallery"),h=o.querySelector(".portfolio-grid"),y=30,s=2,i="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";function b(){if(!(t.getTotal()<E("data-virtualize-after",y))&&typeof IntersectionObserver!="undefined"){var d=E("data-render-window",s)*100;o.classList.add("is-virtualized"),g(u.querySelectorAll(".kg-image-card"),{root:u,rootMargin:d+"%"}),h&&g(h.querySelectorAll(".portfolio-grid-item"),{root:null,rootMargin:d+"% 0px"})}}function E(d,f){var n=parseInt(o.getAttribute(d),10);return isNaN(n)||n<0?f:n}function g(d,f){var n=new IntersectionObserver(function(r){r.forEach(function(l){var S=l.target.querySelector("img");S&&(l.isIntersecting?m(S):p(S))})},f);Array.prototype.forEach.call(d,function(r){n.observe(r)})}function x(d,f){d.hasAttribute(f)&&(d.setAttribute("data-virtual-"+f,d.getAttribute(f)),d.removeAttribute(f))}function w(d,f){d.hasAttribute("data-virtual-"+f)&&(d.setAttribute(f,d.getAttribute("data-virtual-"+f)),d.removeAttribute("data-virtual-"+f))}function p(d){if(!d.classList.contains("is-parked")){var f=parseInt(d.getAttribute("width"),10)||d.naturalWidth,n=parseInt(d.getAttribute("height"),10)||d.naturalHeight;!f||!n||(d.setAttribute("width",f),d.setAttribute("height",n),d.style.aspectRatio=f+" / "+n,d.classList.add("is-parked"),d.parentNode&&d.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(d.parentNode.querySelectorAll("source"),function(r){x(r,"srcset")}),x(d,"srcset"),d.setAttribute("data-virtual-src",d.getAttribute("src")),d.setAttribute("src",i))}}function m(d){if(d.classList.contains("is-parked")){d.parentNode&&d.parentNode.tagName==="PICTURE"&&Array.prototype.forEach.call(d.parentNode.querySelectorAll("source"),function(n){w(n,"srcset")}),w(d,"srcset"),w(d,"src"),d.classList.remove("is-parked"),d.style.aspectRatio="";var f=d.closest(".portfolio-image-frame, .portfolio-grid-item");f&&We.attach(d,f)}}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",b):b()}var ir=xe(()=>{mt()});function Zn(t){var o=t.container,u=o.querySelector(".portfolio-gallery"),h=o.querySelector(".portfolio-stack-btn"),y=t.getSlides(),s=2,i=1,b=1e3,E=y.length,g=S(),x=[],w={},p=null,m=null,d;function f(){E!==0&&(n(),r(),F(t.getView()==="stack"),t.getIndex()>0&&(re(t.getIndex()),ee(t.getIndex(),"instant")),k(),A(t.getIndex()),B())}function n(){var q=y[t.getIndex()];if(q){var z=q.querySelector("img");z&&(z.removeAttribute("loading"),z.setAttribute("fetchpriority","high"),z.decode&&z.decode().catch(function(){}))}}function r(){y.forEach(function(q){var z=q.querySelector("img");if(!(!z||z.complete)){var Z=document.createElement("span");Z.className="portfolio-image-frame",z.parentNode.insertBefore(Z,z),Z.appendChild(z),We.attach(z,Z)}})}function l(q,z){var Z=parseInt(o.getAttribute(q),10);return isNaN(Z)||Z<0?z:Z}function S(){var q=l("data-preload-ahead",s),z=l("data-preload-behind",i),Z=navigator.connection;if(Z){if(Z.saveData||/2g$/.test(Z.effectiveType))return{ahead:Math.min(q,1),behind:0};if(Z.effectiveType==="3g")return{ahead:Math.min(q,2),behind:Math.min(z,1)}}return{ahead:q,behind:z}}function A(q){var z;for(z=1;z<=g.ahead;z++)R(q+z);for(z=1;z<=g.behind;z++)R(q-z)}function R(q){var z=y[q];if(!(!z||x[q])){var Z=z.querySelector("img");!Z||Z.classList.contains("is-parked")||(x[q]=!0,Z.hasAttribute("loading")&&Z.removeAttribute("loading"),Z.decode&&Z.decode().catch(function(){}))}}function O(){return o.classList.contains("is-stacked")}function F(q){o.classList.toggle("is-stacked",q),h&&h.setAttribute("aria-pressed",q?"true":"false")}function K(){t.isSlideView(t.getView())&&(re(t.getIndex()),ee(t.getIndex(),"instant"))}function H(){t.setView(O()?"carousel":"stack",{source:"click"})}function ee(q,z){var Z=t.getSpread(q),oe=y[Z[0]];if(oe){var ue=O();oe.scrollIntoView({behavior:z,block:ue?"center":"nearest",inline:ue?"nearest":Z.length>1?"end":"center"})}}function ie(q){F(q.view==="stack"),k(),re(q.index),ee(q.index,"instant")}function ce(q){if(t.isSlideView(q.view)){if(A(q.index),q.view!==q.previousView){t.isSlideView(q.previousView)?ie(q):(F(q.view==="stack"),k());return}if(q.source!=="scroll"){var z=q.source==="scrub"||t.prefersReducedMotion();re(q.index),ee(q.index,z?"instant":"smooth")}}}function re(q){m=q,clearTimeout(d),d=setTimeout(function(){m=null,N()},b)}function M(){m=null,clearTimeout(d)}function k(){var q=O();typeof IntersectionObserver!="undefined"&&(p&&p.disconnect(),w={},p=new IntersectionObserver(function(z){z.forEach(function(Z){var oe=Array.prototype.indexOf.call(y,Z.target);Z.isIntersecting?w[oe]=q?Z.intersectionRect.height:Z.intersectionRect.width:delete w[oe]}),N()},{root:u,rootMargin:q?"-49% 0px -49% 0px":"0px -49% 0px -49%",threshold:0}),y.forEach(function(z){p.observe(z)}))}function N(){if(t.isSlideView(t.getView())){var q=-1,z=-1;if(Object.keys(w).forEach(function(oe){w[oe]>z&&(q=parseInt(oe,10),z=w[oe])}),q!==-1){var Z=t.getSpread(q);if(m!==null){if(Z.indexOf(m)===-1)return;M()}Z.indexOf(t.getIndex())===-1&&t.goTo(Z[0],{source:"scroll"})}}}function B(){u.addEventListener("pointerdown",M,{passive:!0}),u.addEventListener("wheel",M,{passive:!0}),navigator.connection&&navigator.connection.addEventListener&&navigator.connection.addEventListener("change",function(){g=S()}),t.on("change",ce),t.on("spreads",K),h&&(h.addEventListener("click",H),o.classList.add("has-stack")),!o.classList.contains("portfolio-inline")&&t.addShortcut({key:"v",description:"Switch between horizontal and vertical",view:["carousel","stack"],handler:H})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",f):f()}var rr=xe(()=>{mt()});var ar={};Nr(ar,{default:()=>or});function or(){document.querySelectorAll(".portfolio-inline").forEach(to);var t=Array.prototype.map.call(document.querySelectorAll(".portfolio-container"),function(u){var h=Mn(u);return Jr.forEach(function(y){y(h)}),h}),o=t.filter(function(u){return!u.container.classList.contains("portfolio-inline")})[0]||t[0];return o&&(window.Portfolio=o),window.Portfolios=t,t}function to(t,o){var u=t.children.length>0?Array.prototype.slice.call(t.children):no(t),h=t.getAttribute("data-title")||"Gallery",y=t.hasAttribute("data-grid");t.getAttribute("data-portfolio-id")||t.setAttribute("data-portfolio-id","gallery-"+(o+1));var s=document.createElement("div");if(s.className="portfolio-gallery gh-content",s.setAttribute("role","region"),s.setAttribute("aria-roledescription","carousel"),s.setAttribute("aria-label",h),u.forEach(function(b){s.appendChild(b)}),t.classList.add("portfolio-container"),t.setAttribute("role","region"),t.setAttribute("aria-label",h+" gallery"),y&&(t.classList.add("portfolio-dual-container"),t.appendChild(io())),t.appendChild(s),y){var i=document.createElement("div");i.className="portfolio-grid",i.setAttribute("role","region"),i.setAttribute("aria-label",h+" grid"),i.setAttribute("aria-hidden","true"),t.appendChild(i)}}function no(t){for(var o=[],u=t.nextElementSibling;u&&!u.classList.contains("portfolio-inline-end")&&!u.classList.contains("portfolio-inline");){var h=u.nextElementSibling;o.push(u),u=h}return u&&u.classList.contains("portfolio-inline-end")&&u.parentNode.removeChild(u),o}function io(){var t=document.createElement("button");return t.className="portfolio-close-btn",t.setAttribute("aria-label","Close carousel, return to grid view"),t.setAttribute("title","Close (Esc)"),t.innerHTML=eo,t}var Jr,eo,sr=xe(()=>{Vi();Bi();Ui();Yi();Zi();Ki();ji();$i();Ji();er();tr();nr();ir();rr();Jr=[Dn,Rn,Fn,zn,qn,Nn,Wn,Vn,Hn,Bn,Un,Yn,Zn],eo='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>'});var xi=qt(wi());function Vr(){let t=window.matchMedia("(max-width: 767px)"),o=document.querySelector(".gh-head-menu"),u=o==null?void 0:o.querySelector(".nav");if(!u)return;let h=document.querySelector(".gh-head-logo"),y=u.innerHTML;t.matches&&u.querySelectorAll("li").forEach(function(b,E){b.style.transitionDelay=`${.03*(E+1)}s`});let s=function(){if(t.matches)return;let i=[];for(;u.offsetWidth+64>o.offsetWidth&&u.lastElementChild;)i.unshift(u.lastElementChild),u.lastElementChild.remove();if(!i.length){document.body.classList.add("is-dropdown-loaded");return}let b=document.createElement("button");b.setAttribute("class","nav-more-toggle gh-icon-btn"),b.setAttribute("aria-label","More"),b.innerHTML='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" fill="currentColor"><path d="M21.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM13.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM5.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0z"></path></svg>';let E=document.createElement("div");E.setAttribute("class","gh-dropdown"),i.length>=10?(document.body.classList.add("is-dropdown-mega"),E.style.gridTemplateRows=`repeat(${Math.ceil(i.length/2)}, 1fr)`):document.body.classList.remove("is-dropdown-mega"),i.forEach(function(g){E.appendChild(g)}),b.appendChild(E),u.appendChild(b),document.body.classList.add("is-dropdown-loaded"),window.addEventListener("click",function(g){document.body.classList.contains("is-dropdown-open")?document.body.classList.remove("is-dropdown-open"):b.contains(g.target)&&document.body.classList.add("is-dropdown-open")})};(0,xi.default)(h,function(){s()}),window.addEventListener("load",function(){h||s()}),window.addEventListener("resize",function(){setTimeout(()=>{u.innerHTML=y,s()},1)})}var Ei=Vr;var Ci=qt(Li()),Ti=qt(Ii());function Hr(t){var o=function(h){h.preventDefault();for(var y=[],s=0,i=h.target.closest(".kg-card").previousElementSibling;i&&(i.classList.contains("kg-image-card")||i.classList.contains("kg-gallery-card"));){var b=[];i.querySelectorAll("img").forEach(function(m){b.push({src:m.getAttribute("src"),msrc:m.getAttribute("src"),w:m.getAttribute("width"),h:m.getAttribute("height"),el:m}),s+=1}),i=i.previousElementSibling,y=b.concat(y)}if(h.target.classList.contains("kg-image"))y.push({src:h.target.getAttribute("src"),msrc:h.target.getAttribute("src"),w:h.target.getAttribute("width"),h:h.target.getAttribute("height"),el:h.target});else{var E=!1;h.target.closest(".kg-gallery-card").querySelectorAll("img").forEach(function(m){y.push({src:m.getAttribute("src"),msrc:m.getAttribute("src"),w:m.getAttribute("width"),h:m.getAttribute("height"),el:m}),!E&&m!==h.target?s+=1:E=!0})}for(var g=h.target.closest(".kg-card").nextElementSibling;g&&(g.classList.contains("kg-image-card")||g.classList.contains("kg-gallery-card"));)g.querySelectorAll("img").forEach(function(m){y.push({src:m.getAttribute("src"),msrc:m.getAttribute("src"),w:m.getAttribute("width"),h:m.getAttribute("height"),el:m})}),g=g.nextElementSibling;var x=document.querySelectorAll(".pswp")[0],w={bgOpacity:.9,closeOnScroll:!0,fullscreenEl:!1,history:!1,index:s,shareEl:!1,zoomEl:!1,getThumbBoundsFn:function(m){var d=y[m].el,f=window.pageYOffset||document.documentElement.scrollTop,n=d.getBoundingClientRect();return{x:n.left,y:n.top+f,w:n.width}}},p=new Ci.default(x,Ti.default,y,w);return p.init(),!1},u=document.querySelectorAll(t);u.forEach(function(h){h.addEventListener("click",function(y){o(y)})})}var ki=Hr;var _i=qt(Oi());(function(){var t=document.querySelector(".gh-burger");t&&t.addEventListener("click",function(){document.body.classList.contains("is-head-open")?document.body.classList.remove("is-head-open"):document.body.classList.add("is-head-open")})})();(function(){ki(".kg-image-card > .kg-image[width][height], .kg-gallery-image > img")})();(function(){let t=['.gh-content iframe[src*="youtube.com"]','.gh-content iframe[src*="youtube-nocookie.com"]','.gh-content iframe[src*="player.vimeo.com"]','.gh-content iframe[src*="kickstarter.com"][src*="video.html"]',".gh-content object",".gh-content embed"];(0,_i.default)(document.querySelectorAll(t.join(",")))})();(function(){Ei()})();var qi=qt(zi(),1);mt();_n();en();function Ni(t,o){pt.apply(t),Zr(t,function(){var u=new qi.default(t,{itemSelector:".grid-item",columnWidth:".grid-sizer",stamp:".related-title",hiddenStyle:{transform:"translateY(50px)",opacity:0},visibleStyle:{transform:"translateY(0)",opacity:1}});u.on("layoutComplete",function(){t.classList.add("initialized")}),u.layout(),o&&o(u)})}function Zr(t,o){var u=t.length!==void 0?Array.prototype.slice.call(t):[t],h=[];u.forEach(function(y){y.querySelectorAll(".post-image").forEach(function(s){h.push(We.attach(s,s.closest(".post-link")||s.parentNode))})}),Promise.all(h).then(o)}function Gr(t,o){var u=t&&(parseInt(t.getAttribute("width"),10)||t.naturalWidth),h=t&&(parseInt(t.getAttribute("height"),10)||t.naturalHeight);if(!u||!h)return{};var y=(o||"").split(",").map(function(i){var b=/\s(\d+)w\s*$/.exec(i);return b?parseInt(b[1],10):0}),s=Math.max.apply(null,y.concat(u));return{width:s,height:Math.round(s*h/u)}}function Wi(t,o,u,h){var y=function(i){var b=[];return i.querySelectorAll(o).forEach(function(E){var g=E.querySelector(u);if(!(!g||E.closest(".is-filtered-out"))){var x=E.querySelector("img"),w=h?E.querySelector(h):null,p=Gr(x,g.getAttribute("data-srcset"));b.push({el:E,src:g.getAttribute("href"),srcset:g.getAttribute("data-srcset"),width:p.width,height:p.height,msrc:x?x.currentSrc||x.src:null,alt:x?x.alt:"",caption:w?w.innerHTML:""})}}),b},s=function(i){var b=i.target.closest(u);if(b){i.preventDefault();var E=i.currentTarget,g=b.closest(o),x=y(E),w=x.findIndex(function(p){return p.el===g});tn.open(x,Math.max(w,0))}};document.querySelectorAll(t).forEach(function(i){i.addEventListener("click",s)})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",lr):lr();function lr(){oo(),ro()}function ro(){document.querySelector(".portfolio-inline")&&Promise.resolve().then(()=>(sr(),ar)).then(function(t){t.default()})}function oo(){var t=document.querySelector(".post-feed");t&&(Ni(t),Wi(".post-feed",".post",".post-lightbox",".post-caption"))}})();
+/*! Bundled license information:
+
+imagesloaded/imagesloaded.js:
+  (*!
+   * imagesLoaded v5.0.0
+   * JavaScript is all like "You images are done yet or what?"
+   * MIT License
+   *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe.min.js:
+  (*! PhotoSwipe - v4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+@tryghost/shared-theme-assets/assets/js/v1/lib/vendor/photoswipe-ui-default.min.js:
+  (*! PhotoSwipe Default UI - 4.1.3 - 2019-01-08
+  * http://photoswipe.com
+  * Copyright (c) 2019 Dmitry Semenov; *)
+
+get-size/get-size.js:
+  (*!
+   * getSize v2.0.3
+   * measure size of elements
+   * MIT license
+   *)
+
+outlayer/outlayer.js:
+  (*!
+   * Outlayer v2.1.1
+   * the brains and guts of a layout library
+   * MIT license
+   *)
+
+masonry-layout/masonry.js:
+  (*!
+   * Masonry v4.2.2
+   * Cascading grid layout library
+   * https://masonry.desandro.com
+   * MIT License
+   * by David DeSandro
+   *)
+*/
+//# sourceMappingURL=post-AH2MF7MU.js.map
@@ -0,0 +1,2 @@
+import"./chunks/chunk-VKKVU2KQ.js";import{a as o}from"./chunks/chunk-JXXFE565.js";import"./chunks/chunk-NHP5P4EY.js";o();
+//# sourceMappingURL=portfolio-NFAA4B3F.js.map
@@ -0,0 +1,2 @@
+import{a as e,c as o}from"./chunks/chunk-L7VRTWX3.js";import"./chunks/chunk-VKKVU2KQ.js";import{a as i,c as r}from"./chunks/chunk-NHP5P4EY.js";document.readyState==="loading"?document.addEventListener("DOMContentLoaded",n):n();function n(){f(),d()}function d(){document.querySelector(".portfolio-inline")&&Promise.resolve().then(()=>r(i("./chunks/portfolio-instances-WM63LVIZ.js"),1)).then(function(t){t.default()})}function f(){var t=document.querySelector(".post-feed");t&&(e(t),o(".post-feed",".post",".post-lightbox",".post-caption"))}
+//# sourceMappingURL=post-2WLTACPT.js.map
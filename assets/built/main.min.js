@@ -1 +0,0 @@
-function dropdown(){let i=window.matchMedia("(max-width: 767px)"),o=document.querySelector(".gh-head-menu"),r=o?.querySelector(".nav");if(r){let e=document.querySelector(".gh-head-logo"),t=r.innerHTML;i.matches&&r.querySelectorAll("li").forEach(function(e,t){e.style.transitionDelay=.03*(t+1)+"s"});let n=function(){if(!i.matches){for(var e=[];r.offsetWidth+64>o.offsetWidth&&r.lastElementChild;)e.unshift(r.lastElementChild),r.lastElementChild.remove();if(e.length){let t=document.createElement("button"),n=(t.setAttribute("class","nav-more-toggle gh-icon-btn"),t.setAttribute("aria-label","More"),t.innerHTML='<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32" fill="currentColor"><path d="M21.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM13.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0zM5.333 16c0-1.473 1.194-2.667 2.667-2.667v0c1.473 0 2.667 1.194 2.667 2.667v0c0 1.473-1.194 2.667-2.667 2.667v0c-1.473 0-2.667-1.194-2.667-2.667v0z"></path></svg>',document.createElement("div"));n.setAttribute("class","gh-dropdown"),10<=e.length?(document.body.classList.add("is-dropdown-mega"),n.style.gridTemplateRows=`repeat(${Math.ceil(e.length/2)}, 1fr)`):document.body.classList.remove("is-dropdown-mega"),e.forEach(function(e){n.appendChild(e)}),t.appendChild(n),r.appendChild(t),document.body.classList.add("is-dropdown-loaded"),window.addEventListener("click",function(e){document.body.classList.contains("is-dropdown-open")?document.body.classList.remove("is-dropdown-open"):t.contains(e.target)&&document.body.classList.add("is-dropdown-open")})}else document.body.classList.add("is-dropdown-loaded")}};imagesLoaded(e,function(){n()}),window.addEventListener("load",function(){e||n()}),window.addEventListener("resize",function(){setTimeout(()=>{r.innerHTML=t,n()},1)})}}function lightbox(e){document.querySelectorAll(e).forEach(function(e){e.addEventListener("click",function(e){var t=e;t.preventDefault();for(var n,i=[],o=0,r=t.target.closest(".kg-card").previousElementSibling;r&&(r.classList.contains("kg-image-card")||r.classList.contains("kg-gallery-card"));){var s=[];r.querySelectorAll("img").forEach(function(e){s.push({src:e.getAttribute("src"),msrc:e.getAttribute("src"),w:e.getAttribute("width"),h:e.getAttribute("height"),el:e}),o+=1}),r=r.previousElementSibling,i=s.concat(i)}t.target.classList.contains("kg-image")?i.push({src:t.target.getAttribute("src"),msrc:t.target.getAttribute("src"),w:t.target.getAttribute("width"),h:t.target.getAttribute("height"),el:t.target}):(n=!1,t.target.closest(".kg-gallery-card").querySelectorAll("img").forEach(function(e){i.push({src:e.getAttribute("src"),msrc:e.getAttribute("src"),w:e.getAttribute("width"),h:e.getAttribute("height"),el:e}),n||e===t.target?n=!0:o+=1}));for(var a=t.target.closest(".kg-card").nextElementSibling;a&&(a.classList.contains("kg-image-card")||a.classList.contains("kg-gallery-card"));)a.querySelectorAll("img").forEach(function(e){i.push({src:e.getAttribute("src"),msrc:e.getAttribute("src"),w:e.getAttribute("width"),h:e.getAttribute("height"),el:e})}),a=a.nextElementSibling;e=document.querySelectorAll(".pswp")[0];new PhotoSwipe(e,PhotoSwipeUI_Default,i,{bgOpacity:.9,closeOnScroll:!0,fullscreenEl:!1,history:!1,index:o,shareEl:!1,zoomEl:!1,getThumbBoundsFn:function(e){var e=i[e].el,t=window.pageYOffset||document.documentElement.scrollTop,e=e.getBoundingClientRect();return{x:e.left,y:e.top+t,w:e.width}}}).init()})})}function pagination(e,a,l=!1){let u=document.querySelector(".gh-feed");if(!u)return;let t=!1,n=u.nextElementSibling||u.parentElement.nextElementSibling||document.querySelector(".gh-foot"),c=document.querySelector(".gh-loadmore"),i=(!document.querySelector("link[rel=next]")&&c&&c.remove(),async function(){var i=document.querySelector("link[rel=next]");if(i)try{var e=await(await fetch(i.href)).text(),o=(new DOMParser).parseFromString(e,"text/html"),r=o.querySelectorAll(".gh-feed:not(.gh-featured):not(.gh-related) > *");let t=document.createDocumentFragment(),n=[];r.forEach(function(e){e=document.importNode(e,!0);l&&(e.style.visibility="hidden"),t.appendChild(e),n.push(e)}),u.appendChild(t),a&&a(n,d);var s=o.querySelector("link[rel=next]");s&&s.href?i.href=s.href:(i.remove(),c&&c.remove())}catch(e){throw i.remove(),c&&c.remove(),e}}),d=async function(){n.getBoundingClientRect().top<=window.innerHeight&&document.querySelector("link[rel=next]")&&await i()};let o=new IntersectionObserver(async function(e){if(!t){if(t=!0,e[0].isIntersecting)if(l)await i();else for(;n.getBoundingClientRect().top<=window.innerHeight&&document.querySelector("link[rel=next]");)await i();t=!1,document.querySelector("link[rel=next]")||o.disconnect()}});e?o.observe(n):c.addEventListener("click",i)}function feed(){var i,e=document.querySelector(".post-feed");e&&(imagesLoaded(e,function(){(i=new Masonry(e,{itemSelector:".grid-item",columnWidth:".grid-sizer",stamp:".related-title",hiddenStyle:{transform:"translateY(50px)",opacity:0},visibleStyle:{transform:"translateY(0)",opacity:1}})).on("layoutComplete",function(){e.classList.add("initialized")}),i.layout(),pagination(!0,function(t,n){imagesLoaded(t,function(e){i.appended(t),i.layout(),e.elements.forEach(function(e){e.style.visibility="visible"}),n()})},!0)}),pswp(".post-feed",".post",".post-lightbox",".post-caption",!1))}function pswp(o,r,s,a,l){function t(e){e.preventDefault();var t,i,n=$(e.target).closest(o).find(r).index($(e.target).closest(r)),e=$(e.target).closest(o);n=n,e=e[0],t=document.querySelectorAll(".pswp")[0],e=u(e),(i=new PhotoSwipe(t,PhotoSwipeUI_Default,e,{closeOnScroll:!1,history:!1,index:n,shareEl:!1,showAnimationDuration:0,showHideOpacity:!0})).listen("gettingData",function(e,t){var n;(t.w<1||t.h<1)&&((n=new Image).onload=function(){t.w=this.width,t.h=this.height,i.updateSize(!0)},n.src=t.src)}),i.init()}var u=function(e){var n,i,o=[];return $(e).find(r).each(function(e,t){n=$(t),i=n.find(s),i={src:l?n.find("img").attr("src"):i.attr("href"),w:0,h:0},a&&n.find(a).length&&(i.title=n.find(a).html()),o.push(i)}),o};$(o).on("click",s,function(e){t(e)})}((e,t)=>{"object"==typeof module&&module.exports?module.exports=t():e.EvEmitter=t()})("undefined"!=typeof window?window:this,function(){function e(){}var t=e.prototype;return t.on=function(e,t){var n;return e&&t&&((n=(n=this._events=this._events||{})[e]=n[e]||[]).includes(t)||n.push(t)),this},t.once=function(e,t){var n;return e&&t&&(this.on(e,t),((n=this._onceEvents=this._onceEvents||{})[e]=n[e]||{})[t]=!0),this},t.off=function(e,t){e=this._events&&this._events[e];return e&&e.length&&-1!=(t=e.indexOf(t))&&e.splice(t,1),this},t.emitEvent=function(e,t){let n=this._events&&this._events[e];if(n&&n.length){n=n.slice(0),t=t||[];var i,o=this._onceEvents&&this._onceEvents[e];for(i of n)o&&o[i]&&(this.off(e,i),delete o[i]),i.apply(this,t)}return this},t.allOff=function(){return delete this._events,delete this._onceEvents,this},e}),((e,t)=>{"object"==typeof module&&module.exports?module.exports=t(e,require("ev-emitter")):e.imagesLoaded=t(e,e.EvEmitter)})("undefined"!=typeof window?window:this,function(t,e){let r=t.jQuery,s=t.console;function a(e,t,n){if(!(this instanceof a))return new a(e,t,n);let i=e,o;(i="string"==typeof e?document.querySelectorAll(e):i)?(this.elements=(o=i,Array.isArray(o)?o:"object"==typeof o&&"number"==typeof o.length?[...o]:[o]),this.options={},"function"==typeof t?n=t:Object.assign(this.options,t),n&&this.on("always",n),this.getImages(),r&&(this.jqDeferred=new r.Deferred),setTimeout(this.check.bind(this))):s.error("Bad element for imagesLoaded "+(i||e))}(a.prototype=Object.create(e.prototype)).getImages=function(){this.images=[],this.elements.forEach(this.addElementImages,this)};let o=[1,9,11],l=(a.prototype.addElementImages=function(e){"IMG"===e.nodeName&&this.addImage(e),!0===this.options.background&&this.addElementBackgroundImages(e);var t,n,i=e.nodeType;if(i&&o.includes(i)){for(t of e.querySelectorAll("img"))this.addImage(t);if("string"==typeof this.options.background)for(n of e.querySelectorAll(this.options.background))this.addElementBackgroundImages(n)}},/url\((['"])?(.*?)\1\)/gi);function n(e){this.img=e}function i(e,t){this.url=e,this.element=t,this.img=new Image}return a.prototype.addElementBackgroundImages=function(t){var n=getComputedStyle(t);if(n){let e=l.exec(n.backgroundImage);for(;null!==e;){var i=e&&e[2];i&&this.addBackground(i,t),e=l.exec(n.backgroundImage)}}},a.prototype.addImage=function(e){e=new n(e);this.images.push(e)},a.prototype.addBackground=function(e,t){e=new i(e,t);this.images.push(e)},a.prototype.check=function(){if(this.progressedCount=0,this.hasAnyBroken=!1,this.images.length){let t=(e,t,n)=>{setTimeout(()=>{this.progress(e,t,n)})};this.images.forEach(function(e){e.once("progress",t),e.check()})}else this.complete()},a.prototype.progress=function(e,t,n){this.progressedCount++,this.hasAnyBroken=this.hasAnyBroken||!e.isLoaded,this.emitEvent("progress",[this,e,t]),this.jqDeferred&&this.jqDeferred.notify&&this.jqDeferred.notify(this,e),this.progressedCount===this.images.length&&this.complete(),this.options.debug&&s&&s.log("progress: "+n,e,t)},a.prototype.complete=function(){var e=this.hasAnyBroken?"fail":"done";this.isComplete=!0,this.emitEvent(e,[this]),this.emitEvent("always",[this]),this.jqDeferred&&(e=this.hasAnyBroken?"reject":"resolve",this.jqDeferred[e](this))},(n.prototype=Object.create(e.prototype)).check=function(){this.getIsImageComplete()?this.confirm(0!==this.img.naturalWidth,"naturalWidth"):(this.proxyImage=new Image,this.img.crossOrigin&&(this.proxyImage.crossOrigin=this.img.crossOrigin),this.proxyImage.addEventListener("load",this),this.proxyImage.addEventListener("error",this),this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.proxyImage.src=this.img.currentSrc||this.img.src)},n.prototype.getIsImageComplete=function(){return this.img.complete&&this.img.naturalWidth},n.prototype.confirm=function(e,t){this.isLoaded=e;e=this.img.parentNode,e="PICTURE"===e.nodeName?e:this.img;this.emitEvent("progress",[this,e,t])},n.prototype.handleEvent=function(e){var t="on"+e.type;this[t]&&this[t](e)},n.prototype.onload=function(){this.confirm(!0,"onload"),this.unbindEvents()},n.prototype.onerror=function(){this.confirm(!1,"onerror"),this.unbindEvents()},n.prototype.unbindEvents=function(){this.proxyImage.removeEventListener("load",this),this.proxyImage.removeEventListener("error",this),this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},(i.prototype=Object.create(n.prototype)).check=function(){this.img.addEventListener("load",this),this.img.addEventListener("error",this),this.img.src=this.url,this.getIsImageComplete()&&(this.confirm(0!==this.img.naturalWidth,"naturalWidth"),this.unbindEvents())},i.prototype.unbindEvents=function(){this.img.removeEventListener("load",this),this.img.removeEventListener("error",this)},i.prototype.confirm=function(e,t){this.isLoaded=e,this.emitEvent("progress",[this,this.element,t])},(a.makeJQueryPlugin=function(e){(e=e||t.jQuery)&&((r=e).fn.imagesLoaded=function(e,t){return new a(this,e,t).jqDeferred.promise(r(this))})})(),a}),((e,t)=>{"function"==typeof define&&define.amd?define(t):"object"==typeof exports?module.exports=t():e.PhotoSwipeUI_Default=t()})(this,function(){return function(i,a){function e(e){if(T)return!0;e=e||window.event,C.timeToIdle&&C.mouseUsed&&!v&&s();for(var t,n,i=(e.target||e.srcElement).getAttribute("class")||"",o=0;o<R.length;o++)(t=R[o]).onTap&&-1<i.indexOf("pswp__"+t.name)&&(t.onTap(),n=!0);n&&(e.stopPropagation&&e.stopPropagation(),T=!0,e=a.features.isOldAndroid?600:30,setTimeout(function(){T=!1},e))}function n(){var e=1===C.getNumItemsFn();e!==I&&(O(d,"ui--one-slide",e),I=e)}function t(){O(g,"share-modal--hidden",z)}function o(){for(var e,t,n,i,o="",r=0;r<C.shareButtons.length;r++)e=C.shareButtons[r],t=C.getImageURLForShare(e),n=C.getPageURLForShare(e),i=C.getTextForShare(e),o+='<a href="'+e.url.replace("{{url}}",encodeURIComponent(n)).replace("{{image_url}}",encodeURIComponent(t)).replace("{{raw_image_url}}",t).replace("{{text}}",encodeURIComponent(i))+'" target="_blank" class="pswp__share--'+e.id+'"'+(e.download?"download":"")+">"+e.label+"</a>",C.parseShareButtonOut&&(o=C.parseShareButtonOut(e,o));g.children[0].innerHTML=o,g.children[0].onclick=q}function r(e){for(var t=0;t<C.closeElClasses.length;t++)if(a.hasClass(e,"pswp__"+C.closeElClasses[t]))return!0}function s(){clearTimeout(_),M=0,v&&L.setIdle(!1)}function l(e){(e=(e=e||window.event).relatedTarget||e.toElement)&&"HTML"!==e.nodeName||(clearTimeout(_),_=setTimeout(function(){L.setIdle(!0)},C.timeToIdleOutside))}function u(e){x!==e&&(O(b,"preloader--active",!e),x=e)}function F(e){var t,n=e.vGap;!i.likelyTouchDevice||C.mouseUsed||screen.width>C.fitControlsWidth?(t=C.barsSize,C.captionEl&&"auto"===t.bottom?(m||((m=a.createEl("pswp__caption pswp__caption--fake")).appendChild(a.createEl("pswp__caption__center")),d.insertBefore(m,h),a.addClass(d,"pswp__ui--fit")),C.addCaptionHTMLFn(e,m,!0)?(e=m.clientHeight,n.bottom=parseInt(e,10)||44):n.bottom=t.top):n.bottom="auto"===t.bottom?0:t.bottom,n.top=t.top):n.top=n.bottom=0}function P(){function e(e){if(e)for(var t=e.length,n=0;n<t;n++){o=e[n],r=o.className;for(var i=0;i<R.length;i++)s=R[i],-1<r.indexOf("pswp__"+s.name)&&(C[s.option]?(a.removeClass(o,"pswp__element--disabled"),s.onInit&&s.onInit(o)):a.addClass(o,"pswp__element--disabled"))}}e(d.children);var o,r,s,t=a.getChildByClass(d,"pswp__top-bar");t&&e(t.children)}var c,d,h,m,p,f,g,y,v,w,b,x,E,I,C,T,S,_,L=this,A=!1,k=!0,z=!0,W={barsSize:{top:44,bottom:"auto"},closeElClasses:["item","caption","zoom-wrap","ui","top-bar"],timeToIdle:4e3,timeToIdleOutside:1e3,loadingIndicatorDelay:1e3,addCaptionHTMLFn:function(e,t){return e.title?(t.children[0].innerHTML=e.title,!0):(t.children[0].innerHTML="",!1)},closeEl:!0,captionEl:!0,fullscreenEl:!0,zoomEl:!0,shareEl:!0,counterEl:!0,arrowEl:!0,preloaderEl:!0,tapToClose:!1,tapToToggleControls:!0,clickToCloseNonZoomable:!0,shareButtons:[{id:"facebook",label:"Share on Facebook",url:"https://www.facebook.com/sharer/sharer.php?u={{url}}"},{id:"twitter",label:"Tweet",url:"https://twitter.com/intent/tweet?text={{text}}&url={{url}}"},{id:"pinterest",label:"Pin it",url:"http://www.pinterest.com/pin/create/button/?url={{url}}&media={{image_url}}&description={{text}}"},{id:"download",label:"Download image",url:"{{raw_image_url}}",download:!0}],getImageURLForShare:function(){return i.currItem.src||""},getPageURLForShare:function(){return window.location.href},getTextForShare:function(){return i.currItem.title||""},indexIndicatorSep:" / ",fitControlsWidth:1200},O=function(e,t,n){a[(n?"add":"remove")+"Class"](e,"pswp__"+t)},D=function(){return(z=!z)?(a.removeClass(g,"pswp__share-modal--fade-in"),setTimeout(function(){z&&t()},300)):(t(),setTimeout(function(){z||a.addClass(g,"pswp__share-modal--fade-in")},30)),z||o(),!1},q=function(e){var t=(e=e||window.event).target||e.srcElement;return i.shout("shareLinkClick",e,t),!(!t.href||!t.hasAttribute("download")&&(window.open(t.href,"pswp_share","scrollbars=yes,resizable=yes,toolbar=no,location=yes,width=550,height=420,top=100,left="+(window.screen?Math.round(screen.width/2-275):100)),z||D(),1))},M=0,R=[{name:"caption",option:"captionEl",onInit:function(e){h=e}},{name:"share-modal",option:"shareEl",onInit:function(e){g=e},onTap:function(){D()}},{name:"button--share",option:"shareEl",onInit:function(e){f=e},onTap:function(){D()}},{name:"button--zoom",option:"zoomEl",onTap:i.toggleDesktopZoom},{name:"counter",option:"counterEl",onInit:function(e){p=e}},{name:"button--close",option:"closeEl",onTap:i.close},{name:"button--arrow--left",option:"arrowEl",onTap:i.prev},{name:"button--arrow--right",option:"arrowEl",onTap:i.next},{name:"button--fs",option:"fullscreenEl",onTap:function(){c.isFullscreen()?c.exit():c.enter()}},{name:"preloader",option:"preloaderEl",onInit:function(e){b=e}}];L.init=function(){var t;a.extend(i.options,W,!0),C=i.options,d=a.getChildByClass(i.scrollWrap,"pswp__ui"),(w=i.listen)("onVerticalDrag",function(e){k&&e<.95?L.hideControls():!k&&.95<=e&&L.showControls()}),w("onPinchClose",function(e){k&&e<.9?(L.hideControls(),t=!0):t&&!k&&.9<e&&L.showControls()}),w("zoomGestureEnded",function(){(t=!1)&&!k&&L.showControls()}),w("beforeChange",L.update),w("doubleTap",function(e){var t=i.currItem.initialZoomLevel;i.getZoomLevel()!==t?i.zoomTo(t,e,333):i.zoomTo(C.getDoubleTapZoom(!1,i.currItem),e,333)}),w("preventDragEvent",function(e,t,n){var i=e.target||e.srcElement;i&&i.getAttribute("class")&&-1<e.type.indexOf("mouse")&&(0<i.getAttribute("class").indexOf("__caption")||/(SMALL|STRONG|EM)/i.test(i.tagName))&&(n.prevent=!1)}),w("bindEvents",function(){a.bind(d,"pswpTap click",e),a.bind(i.scrollWrap,"pswpTap",L.onGlobalTap),i.likelyTouchDevice||a.bind(i.scrollWrap,"mouseover",L.onMouseOver)}),w("unbindEvents",function(){z||D(),S&&clearInterval(S),a.unbind(document,"mouseout",l),a.unbind(document,"mousemove",s),a.unbind(d,"pswpTap click",e),a.unbind(i.scrollWrap,"pswpTap",L.onGlobalTap),a.unbind(i.scrollWrap,"mouseover",L.onMouseOver),c&&(a.unbind(document,c.eventK,L.updateFullscreen),c.isFullscreen()&&(C.hideAnimationDuration=0,c.exit()),c=null)}),w("destroy",function(){C.captionEl&&(m&&d.removeChild(m),a.removeClass(h,"pswp__caption--empty")),g&&(g.children[0].onclick=null),a.removeClass(d,"pswp__ui--over-close"),a.addClass(d,"pswp__ui--hidden"),L.setIdle(!1)}),C.showAnimationDuration||a.removeClass(d,"pswp__ui--hidden"),w("initialZoomIn",function(){C.showAnimationDuration&&a.removeClass(d,"pswp__ui--hidden")}),w("initialZoomOut",function(){a.addClass(d,"pswp__ui--hidden")}),w("parseVerticalMargin",F),P(),C.shareEl&&f&&g&&(z=!0),n(),C.timeToIdle&&w("mouseUsed",function(){a.bind(document,"mousemove",s),a.bind(document,"mouseout",l),S=setInterval(function(){2===++M&&L.setIdle(!0)},C.timeToIdle/2)}),C.fullscreenEl&&!a.features.isOldAndroid&&((c=c||L.getFullscreenAPI())?(a.bind(document,c.eventK,L.updateFullscreen),L.updateFullscreen(),a.addClass(i.template,"pswp--supports-fs")):a.removeClass(i.template,"pswp--supports-fs")),C.preloaderEl&&(u(!0),w("beforeChange",function(){clearTimeout(E),E=setTimeout(function(){i.currItem&&i.currItem.loading?i.allowProgressiveImg()&&(!i.currItem.img||i.currItem.img.naturalWidth)||u(!1):u(!0)},C.loadingIndicatorDelay)}),w("imageLoadComplete",function(e,t){i.currItem===t&&u(!0)}))},L.setIdle=function(e){O(d,"ui--idle",v=e)},L.update=function(){A=!(!k||!i.currItem||(L.updateIndexIndicator(),C.captionEl&&(C.addCaptionHTMLFn(i.currItem,h),O(h,"caption--empty",!i.currItem.title)),0)),z||D(),n()},L.updateFullscreen=function(e){e&&setTimeout(function(){i.setScrollOffset(0,a.getScrollY())},50),a[(c.isFullscreen()?"add":"remove")+"Class"](i.template,"pswp--fs")},L.updateIndexIndicator=function(){C.counterEl&&(p.innerHTML=i.getCurrentIndex()+1+C.indexIndicatorSep+C.getNumItemsFn())},L.onGlobalTap=function(e){var t=(e=e||window.event).target||e.srcElement;if(!T)if(e.detail&&"mouse"===e.detail.pointerType)r(t)?i.close():a.hasClass(t,"pswp__img")&&(1===i.getZoomLevel()&&i.getZoomLevel()<=i.currItem.fitRatio?C.clickToCloseNonZoomable&&i.close():i.toggleDesktopZoom(e.detail.releasePoint));else if(C.tapToToggleControls&&(k?L.hideControls():L.showControls()),C.tapToClose&&(a.hasClass(t,"pswp__img")||r(t)))return void i.close()},L.onMouseOver=function(e){e=(e=e||window.event).target||e.srcElement;O(d,"ui--over-close",r(e))},L.hideControls=function(){a.addClass(d,"pswp__ui--hidden"),k=!1},L.showControls=function(){k=!0,A||L.update(),a.removeClass(d,"pswp__ui--hidden")},L.supportsFullscreen=function(){var e=document;return!!(e.exitFullscreen||e.mozCancelFullScreen||e.webkitExitFullscreen||e.msExitFullscreen)},L.getFullscreenAPI=function(){var e,t=document.documentElement,n="fullscreenchange";return t.requestFullscreen?e={enterK:"requestFullscreen",exitK:"exitFullscreen",elementK:"fullscreenElement",eventK:n}:t.mozRequestFullScreen?e={enterK:"mozRequestFullScreen",exitK:"mozCancelFullScreen",elementK:"mozFullScreenElement",eventK:"moz"+n}:t.webkitRequestFullscreen?e={enterK:"webkitRequestFullscreen",exitK:"webkitExitFullscreen",elementK:"webkitFullscreenElement",eventK:"webkit"+n}:t.msRequestFullscreen&&(e={enterK:"msRequestFullscreen",exitK:"msExitFullscreen",elementK:"msFullscreenElement",eventK:"MSFullscreenChange"}),e&&(e.enter=function(){return y=C.closeOnScroll,C.closeOnScroll=!1,"webkitRequestFullscreen"!==this.enterK?i.template[this.enterK]():void i.template[this.enterK](Element.ALLOW_KEYBOARD_INPUT)},e.exit=function(){return C.closeOnScroll=y,document[this.exitK]()},e.isFullscreen=function(){return document[this.elementK]}),e}}}),((e,t)=>{"function"==typeof define&&define.amd?define(t):"object"==typeof exports?module.exports=t():e.PhotoSwipe=t()})(this,function(){return function(h,P,t,W){var m={features:null,bind:function(e,t,n,i){var o=(i?"remove":"add")+"EventListener";t=t.split(" ");for(var r=0;r<t.length;r++)t[r]&&e[o](t[r],n,!1)},isArray:function(e){return e instanceof Array},createEl:function(e,t){t=document.createElement(t||"div");return e&&(t.className=e),t},getScrollY:function(){var e=window.pageYOffset;return void 0!==e?e:document.documentElement.scrollTop},unbind:function(e,t,n){m.bind(e,t,n,!0)},removeClass:function(e,t){t=new RegExp("(\\s|^)"+t+"(\\s|$)");e.className=e.className.replace(t," ").replace(/^\s\s*/,"").replace(/\s\s*$/,"")},addClass:function(e,t){m.hasClass(e,t)||(e.className+=(e.className?" ":"")+t)},hasClass:function(e,t){return e.className&&new RegExp("(^|\\s)"+t+"(\\s|$)").test(e.className)},getChildByClass:function(e,t){for(var n=e.firstChild;n;){if(m.hasClass(n,t))return n;n=n.nextSibling}},arraySearch:function(e,t,n){for(var i=e.length;i--;)if(e[i][n]===t)return i;return-1},extend:function(e,t,n){for(var i in t)if(t.hasOwnProperty(i)){if(n&&e.hasOwnProperty(i))continue;e[i]=t[i]}},easing:{sine:{out:function(e){return Math.sin(e*(Math.PI/2))},inOut:function(e){return-(Math.cos(Math.PI*e)-1)/2}},cubic:{out:function(e){return--e*e*e+1}}},detectFeatures:function(){if(m.features)return m.features;var e,t,n=m.createEl().style,i="",o={};o.oldIE=document.all&&!document.addEventListener,o.touch="ontouchstart"in window,window.requestAnimationFrame&&(o.raf=window.requestAnimationFrame,o.caf=window.cancelAnimationFrame),o.pointerEvent=!!window.PointerEvent||navigator.msPointerEnabled,o.pointerEvent||(e=navigator.userAgent,/iP(hone|od)/.test(navigator.platform)&&(t=navigator.appVersion.match(/OS (\d+)_(\d+)_?(\d+)?/))&&0<t.length&&1<=(t=parseInt(t[1],10))&&t<8&&(o.isOldIOSPhone=!0),t=(t=e.match(/Android\s([0-9\.]*)/))?t[1]:0,1<=(t=parseFloat(t))&&(t<4.4&&(o.isOldAndroid=!0),o.androidVersion=t),o.isMobileOpera=/opera mini|opera mobi/i.test(e));for(var r,s,a,l=["transform","perspective","animationName"],u=["","webkit","Moz","ms","O"],c=0;c<4;c++){for(var i=u[c],d=0;d<3;d++)r=l[d],s=i+(i?r.charAt(0).toUpperCase()+r.slice(1):r),!o[r]&&s in n&&(o[r]=s);i&&!o.raf&&(i=i.toLowerCase(),o.raf=window[i+"RequestAnimationFrame"],o.raf)&&(o.caf=window[i+"CancelAnimationFrame"]||window[i+"CancelRequestAnimationFrame"])}return o.raf||(a=0,o.raf=function(e){var t=(new Date).getTime(),n=Math.max(0,16-(t-a)),i=window.setTimeout(function(){e(t+n)},n);return a=t+n,i},o.caf=function(e){clearTimeout(e)}),o.svg=!!document.createElementNS&&!!document.createElementNS("http://www.w3.org/2000/svg","svg").createSVGRect,m.features=o}},p=(m.detectFeatures(),m.features.oldIE&&(m.bind=function(e,t,n,i){t=t.split(" ");for(var o,r=(i?"detach":"attach")+"Event",s=function(){n.handleEvent.call(n)},a=0;a<t.length;a++)if(o=t[a])if("object"==typeof n&&n.handleEvent){if(i){if(!n["oldIE"+o])return!1}else n["oldIE"+o]=s;e[r]("on"+o,n["oldIE"+o])}else e[r]("on"+o,n)}),this),q=25,f={allowPanToNext:!0,spacing:.12,bgOpacity:1,mouseUsed:!1,loop:!0,pinchToClose:!0,closeOnScroll:!0,closeOnVerticalDrag:!0,verticalDragRange:.75,hideAnimationDuration:333,showAnimationDuration:333,showHideOpacity:!1,focus:!0,escKey:!0,arrowKeys:!0,mainScrollEndFriction:.35,panEndFriction:.35,isClickableElement:function(e){return"A"===e.tagName},getDoubleTapZoom:function(e,t){return e||t.initialZoomLevel<.7?1:1.33},maxSpreadZoom:1.33,modal:!0,scaleMode:"fit"};m.extend(f,W);function e(){return{x:0,y:0}}function B(e,t){m.extend(p,t.publicMethods),Ue.push(e)}function N(e){var t=D();return t-1<e?e-t:e<0?t+e:e}function r(e,t){return Ge[e]||(Ge[e]=[]),Ge[e].push(t)}function Z(e,t,n,i){i===p.currItem.initialZoomLevel?n[e]=p.currItem.initialPosition[e]:(n[e]=Je(e,i),n[e]>t.min[e]?n[e]=t.min[e]:n[e]<t.max[e]&&(n[e]=t.max[e]))}function H(e){var t="";f.escKey&&27===e.keyCode?t="close":f.arrowKeys&&(37===e.keyCode?t="prev":39===e.keyCode&&(t="next")),!t||e.ctrlKey||e.altKey||e.shiftKey||e.metaKey||(e.preventDefault?e.preventDefault():e.returnValue=!1,p[t]())}function j(e){e&&(Ae||Le||v||Te)&&(e.preventDefault(),e.stopPropagation())}function U(){p.setScrollOffset(0,m.getScrollY())}function Y(e){var t;"mousedown"===e.type&&0<e.button||(Jt?e.preventDefault():Se&&"mousedown"===e.type||(zt(e,!0)&&e.preventDefault(),I("pointerDown"),me&&((t=m.arraySearch(ft,e.pointerId,"id"))<0&&(t=ft.length),ft[t]={x:e.pageX,y:e.pageY,id:e.pointerId}),e=(t=qt(e)).length,u=null,ut(),l&&1!==e||(l=Re=!0,m.bind(window,ee,p),Ce=We=Fe=Te=ze=Ae=_e=Le=!1,Me=null,I("firstTouchStart",t),_(Ne,w),Be.x=Be.y=0,_(z,t[0]),_(pt,z),gt.x=x.x*Ze,yt=[{x:z.x,y:z.y}],Ee=xe=C(),it(y,!0),St(),_t()),!c&&1<e&&!v&&!ze&&(ne=y,c=_e=!(Le=!1),Be.y=Be.x=0,_(Ne,w),_(A,t[0]),_(mt,t[1]),Dt(A,mt,It),Et.x=Math.abs(It.x)-w.x,Et.y=Math.abs(It.y)-w.y,Oe=Tt(A,mt))))}function K(e){var t;e.preventDefault(),me&&-1<(t=m.arraySearch(ft,e.pointerId,"id"))&&((t=ft[t]).x=e.pageX,t.y=e.pageY),l&&(t=qt(e),Me||Ae||c?u=t:O.x!==x.x*Ze?Me="h":(e=Math.abs(t[0].x-z.x)-Math.abs(t[0].y-z.y),Math.abs(e)>=ht&&(Me=0<e?"h":"v",u=t)))}function G(e){if(a.isOldAndroid){if(Se&&"mouseup"===e.type)return;-1<e.type.indexOf("touch")&&(clearTimeout(Se),Se=setTimeout(function(){Se=0},600))}var t;I("pointerUp"),zt(e,!1)&&e.preventDefault(),me&&-1<(r=m.arraySearch(ft,e.pointerId,"id"))&&(t=ft.splice(r,1)[0],navigator.msPointerEnabled&&(t.type={4:"mouse",2:"touch",3:"pen"}[e.pointerType],t.type)||(t.type=e.pointerType||"mouse"));var n=(r=qt(e)).length;if(2===(n="mouseup"===e.type?0:n))return!(u=null);1===n&&_(pt,r[0]),0!==n||Me||v||(t||("mouseup"===e.type?t={x:e.pageX,y:e.pageY,type:"mouse"}:e.changedTouches&&e.changedTouches[0]&&(t={x:e.changedTouches[0].pageX,y:e.changedTouches[0].pageY,type:"touch"})),I("touchRelease",e,t));var i,o,r=-1;if(0===n&&(l=!1,m.unbind(window,ee,p),St(),c?r=0:-1!==xt&&(r=C()-xt)),xt=1===n?C():-1,e=-1!==r&&r<150?"zoom":"swipe",c&&n<2&&(c=!1,1===n&&(e="zoomPointerUp"),I("zoomGestureEnded")),u=null,Ae||Le||v||Te)if(ut(),(Ie=Ie||Zt()).calculateSwipeSpeed("x"),Te)Rt()<f.verticalDragRange?p.close():(i=w.y,o=Pe,ct("verticalDrag",0,1,300,m.easing.cubic.out,function(e){w.y=(p.currItem.initialPosition.y-i)*e+i,T((1-o)*e+o),S()}),I("onVerticalDrag",1));else{if((ze||v)&&0===n){if(jt(e,Ie))return;e="zoomPointerUp"}if(!v)return"swipe"!==e?void Yt():void(!ze&&y>p.currItem.fitRatio&&Ht(Ie))}}var V,$,Q,g,X,J,ee,te,i,y,ne,ie,oe,re,se,s,ae,le,ue,ce,de,he,me,o,pe,fe,ge,ye,ve,we,a,be,xe,Ee,Ie,Ce,Te,Se,l,_e,Le,Ae,ke,ze,u,c,Oe,d,De,v,Me,Re,Fe,Pe,We,qe,Be=e(),Ne=e(),w=e(),b={},Ze=0,He={},x=e(),E=0,je=!0,Ue=[],Ye={},Ke=!1,Ge={},I=function(e){var t=Ge[e];if(t){var n=Array.prototype.slice.call(arguments);n.shift();for(var i=0;i<t.length;i++)t[i].apply(p,n)}},C=function(){return(new Date).getTime()},T=function(e){Pe=e,p.bg.style.opacity=e*f.bgOpacity},Ve=function(e,t,n,i,o){(!Ke||o&&o!==p.currItem)&&(i/=(o||p.currItem).fitRatio),e[he]=ie+t+"px, "+n+"px"+oe+" scale("+i+")"},S=function(e){De&&(e&&(y>p.currItem.fitRatio?Ke||(un(p.currItem,!1,!0),Ke=!0):Ke&&(un(p.currItem),Ke=!1)),Ve(De,w.x,w.y,y))},$e=function(e){e.container&&Ve(e.container.style,e.initialPosition.x,e.initialPosition.y,e.initialZoomLevel,e)},Qe=function(e,t){t[he]=ie+e+"px, 0px"+oe},Xe=function(e,t){var n;!f.loop&&t&&(t=g+(x.x*Ze-e)/x.x,n=Math.round(e-O.x),t<0&&0<n||t>=D()-1&&n<0)&&(e=O.x+n*f.mainScrollEndFriction),O.x=e,Qe(e,X)},Je=function(e,t){var n=Et[e]-He[e];return Ne[e]+Be[e]+n-t/ne*n},_=function(e,t){e.x=t.x,e.y=t.y,t.id&&(e.id=t.id)},et=function(e){e.x=Math.round(e.x),e.y=Math.round(e.y)},tt=null,nt=function(){tt&&(m.unbind(document,"mousemove",nt),m.addClass(h,"pswp--has_mouse"),f.mouseUsed=!0,I("mouseUsed")),tt=setTimeout(function(){tt=null},100)},it=function(e,t){e=an(p.currItem,b,e);return t&&(d=e),e},ot=function(e){return(e=e||p.currItem).initialZoomLevel},rt=function(e){return 0<(e=e||p.currItem).w?f.maxSpreadZoom:1},L={},st=0,at=function(e){L[e]&&(L[e].raf&&fe(L[e].raf),st--,delete L[e])},lt=function(e){L[e]&&at(e),L[e]||(st++,L[e]={})},ut=function(){for(var e in L)L.hasOwnProperty(e)&&at(e)},ct=function(e,t,n,i,o,r,s){function a(){L[e]&&(l=C()-u,i<=l?(at(e),r(n),s&&s()):(r((n-t)*o(l/i)+t),L[e].raf=pe(a)))}var l,u=C();lt(e);a()},W={shout:I,listen:r,viewportSize:b,options:f,isMainScrollAnimating:function(){return v},getZoomLevel:function(){return y},getCurrentIndex:function(){return g},isDragging:function(){return l},isZooming:function(){return c},setScrollOffset:function(e,t){He.x=e,we=He.y=t,I("updateScrollOffset",He)},applyZoomPan:function(e,t,n,i){w.x=t,w.y=n,y=e,S(i)},init:function(){if(!V&&!$){p.framework=m,p.template=h,p.bg=m.getChildByClass(h,"pswp__bg"),ge=h.className,V=!0,a=m.detectFeatures(),pe=a.raf,fe=a.caf,he=a.transform,ve=a.oldIE,p.scrollWrap=m.getChildByClass(h,"pswp__scroll-wrap"),p.container=m.getChildByClass(p.scrollWrap,"pswp__container"),X=p.container.style,p.itemHolders=s=[{el:p.container.children[0],wrap:0,index:-1},{el:p.container.children[1],wrap:0,index:-1},{el:p.container.children[2],wrap:0,index:-1}],s[0].el.style.display=s[2].el.style.display="none",he?(t=a.perspective&&!o,ie="translate"+(t?"3d(":"("),oe=a.perspective?", 0px)":")"):(he="left",m.addClass(h,"pswp--ie"),Qe=function(e,t){t.left=e+"px"},$e=function(e){var t=1<e.fitRatio?1:e.fitRatio,n=e.container.style,i=t*e.h;n.width=t*e.w+"px",n.height=i+"px",n.left=e.initialPosition.x+"px",n.top=e.initialPosition.y+"px"},S=function(){var e,t,n,i;De&&(e=De,i=(n=1<(t=p.currItem).fitRatio?1:t.fitRatio)*t.h,e.width=n*t.w+"px",e.height=i+"px",e.left=w.x+"px",e.top=w.y+"px")}),i={resize:p.updateSize,orientationchange:function(){clearTimeout(be),be=setTimeout(function(){b.x!==p.scrollWrap.clientWidth&&p.updateSize()},500)},scroll:U,keydown:H,click:j};var e,t=a.isOldIOSPhone||a.isOldAndroid||a.isMobileOpera;for(a.animationName&&a.transform&&!t||(f.showAnimationDuration=f.hideAnimationDuration=0),e=0;e<Ue.length;e++)p["init"+Ue[e]]();P&&(p.ui=new P(p,m)).init(),I("firstUpdate"),g=g||f.index||0,(isNaN(g)||g<0||g>=D())&&(g=0),p.currItem=en(g),(a.isOldIOSPhone||a.isOldAndroid)&&(je=!1),h.setAttribute("aria-hidden","false"),f.modal&&(je?h.style.position="fixed":(h.style.position="absolute",h.style.top=m.getScrollY()+"px")),void 0===we&&(I("initialLayout"),we=ye=m.getScrollY());var n="pswp--open ";for(f.mainClass&&(n+=f.mainClass+" "),f.showHideOpacity&&(n+="pswp--animate_opacity "),n=(n=(n+=o?"pswp--touch":"pswp--notouch")+(a.animationName?" pswp--css_animation":""))+(a.svg?" pswp--svg":""),m.addClass(h,n),p.updateSize(),J=-1,E=null,e=0;e<3;e++)Qe((e+J)*x.x,s[e].el.style);ve||m.bind(p.scrollWrap,te,p),r("initialZoomInEnd",function(){p.setContent(s[0],g-1),p.setContent(s[2],g+1),s[0].el.style.display=s[2].el.style.display="block",f.focus&&h.focus(),m.bind(document,"keydown",p),a.transform&&m.bind(p.scrollWrap,"click",p),f.mouseUsed||m.bind(document,"mousemove",nt),m.bind(window,"resize scroll orientationchange",p),I("bindEvents")}),p.setContent(s[1],g),p.updateCurrItem(),I("afterInit"),je||(re=setInterval(function(){st||l||c||y!==p.currItem.initialZoomLevel||p.updateSize()},1e3)),m.addClass(h,"pswp--visible")}var t},close:function(){V&&($=!(V=!1),I("close"),m.unbind(window,"resize scroll orientationchange",p),m.unbind(window,"scroll",i.scroll),m.unbind(document,"keydown",p),m.unbind(document,"mousemove",nt),a.transform&&m.unbind(p.scrollWrap,"click",p),l&&m.unbind(window,ee,p),clearTimeout(be),I("unbindEvents"),tn(p.currItem,null,!0,p.destroy))},destroy:function(){I("destroy"),$t&&clearTimeout($t),h.setAttribute("aria-hidden","true"),h.className=ge,re&&clearInterval(re),m.unbind(p.scrollWrap,te,p),m.unbind(window,"scroll",p),St(),ut(),Ge=null},panTo:function(e,t,n){n||(e>d.min.x?e=d.min.x:e<d.max.x&&(e=d.max.x),t>d.min.y?t=d.min.y:t<d.max.y&&(t=d.max.y)),w.x=e,w.y=t,S()},handleEvent:function(e){e=e||window.event,i[e.type]&&i[e.type](e)},goTo:function(e){var t=(e=N(e))-g;E=t,g=e,p.currItem=en(g),Ze-=t,Xe(x.x*Ze),ut(),v=!1,p.updateCurrItem()},next:function(){p.goTo(g+1)},prev:function(){p.goTo(g-1)},updateCurrZoomItem:function(e){var t;e&&I("beforeChange",0),De=s[1].el.children.length&&(t=s[1].el.children[0],m.hasClass(t,"pswp__zoom-wrap"))?t.style:null,d=p.currItem.bounds,ne=y=p.currItem.initialZoomLevel,w.x=d.center.x,w.y=d.center.y,e&&I("afterChange")},invalidateCurrItems:function(){se=!0;for(var e=0;e<3;e++)s[e].item&&(s[e].item.needsUpdate=!0)},updateCurrItem:function(e){if(0!==E){var t,n=Math.abs(E);if(!(e&&n<2)){p.currItem=en(g),Ke=!1,I("beforeChange",E),3<=n&&(J+=E+(0<E?-3:3),n=3);for(var i=0;i<n;i++)0<E?(t=s.shift(),s[2]=t,Qe((++J+2)*x.x,t.el.style),p.setContent(t,g-n+i+1+1)):(t=s.pop(),s.unshift(t),Qe(--J*x.x,t.el.style),p.setContent(t,g+n-i-1-1));De&&1===Math.abs(E)&&(e=en(ae)).initialZoomLevel!==y&&(an(e,b),un(e),$e(e)),E=0,p.updateCurrZoomItem(),ae=g,I("afterChange")}}},updateSize:function(e){if(!je&&f.modal){var t=m.getScrollY();if(we!==t&&(h.style.top=t+"px",we=t),!e&&Ye.x===window.innerWidth&&Ye.y===window.innerHeight)return;Ye.x=window.innerWidth,Ye.y=window.innerHeight,h.style.height=Ye.y+"px"}if(b.x=p.scrollWrap.clientWidth,b.y=p.scrollWrap.clientHeight,U(),x.x=b.x+Math.round(b.x*f.spacing),x.y=b.y,Xe(x.x*Ze),I("beforeResize"),void 0!==J){for(var n,i,o,r=0;r<3;r++)n=s[r],Qe((r+J)*x.x,n.el.style),o=g+r-1,f.loop&&2<D()&&(o=N(o)),(i=en(o))&&(se||i.needsUpdate||!i.bounds)?(p.cleanSlide(i),p.setContent(n,o),1===r&&(p.currItem=i,p.updateCurrZoomItem(!0)),i.needsUpdate=!1):-1===n.index&&0<=o&&p.setContent(n,o),i&&i.container&&(an(i,b),un(i),$e(i));se=!1}ne=y=p.currItem.initialZoomLevel,(d=p.currItem.bounds)&&(w.x=d.center.x,w.y=d.center.y,S(!0)),I("resize")},zoomTo:function(t,e,n,i,o){e&&(ne=y,Et.x=Math.abs(e.x)-w.x,Et.y=Math.abs(e.y)-w.y,_(Ne,w));function r(e){1===e?(y=t,w.x=s.x,w.y=s.y):(y=(t-a)*e+a,w.x=(s.x-l.x)*e+l.x,w.y=(s.y-l.y)*e+l.y),o&&o(e),S(1===e)}var e=it(t,!1),s={},a=(Z("x",e,s,t),Z("y",e,s,t),y),l={x:w.x,y:w.y};et(s);n?ct("customZoomTo",0,1,n,i||m.easing.sine.inOut,r):r(1)}},dt=30,ht=10,A={},mt={},k={},z={},pt={},ft=[],gt={},yt=[],vt={},wt=0,bt=e(),xt=0,O=e(),Et=e(),It=e(),Ct=function(e,t){return e.x===t.x&&e.y===t.y},Tt=function(e,t){return vt.x=Math.abs(e.x-t.x),vt.y=Math.abs(e.y-t.y),Math.sqrt(vt.x*vt.x+vt.y*vt.y)},St=function(){ke&&(fe(ke),ke=null)},_t=function(){l&&(ke=pe(_t),Nt())},Lt=function(){return!("fit"===f.scaleMode&&y===p.currItem.initialZoomLevel)},At=function(e,t){return!(!e||e===document)&&!(e.getAttribute("class")&&-1<e.getAttribute("class").indexOf("pswp__scroll-wrap"))&&(t(e)?e:At(e.parentNode,t))},kt={},zt=function(e,t){return kt.prevent=!At(e.target,f.isClickableElement),I("preventDragEvent",e,t,kt),kt.prevent},Ot=function(e,t){return t.x=e.pageX,t.y=e.pageY,t.id=e.identifier,t},Dt=function(e,t,n){n.x=.5*(e.x+t.x),n.y=.5*(e.y+t.y)},Mt=function(e,t,n){var i;50<e-Ee&&((i=2<yt.length?yt.shift():{}).x=t,i.y=n,yt.push(i),Ee=e)},Rt=function(){var e=w.y-p.currItem.initialPosition.y;return 1-Math.abs(e/(b.y/2))},Ft={},Pt={},Wt=[],qt=function(e){for(;0<Wt.length;)Wt.pop();return me?(qe=0,ft.forEach(function(e){0===qe?Wt[0]=e:1===qe&&(Wt[1]=e),qe++})):-1<e.type.indexOf("touch")?e.touches&&0<e.touches.length&&(Wt[0]=Ot(e.touches[0],Ft),1<e.touches.length)&&(Wt[1]=Ot(e.touches[1],Pt)):(Ft.x=e.pageX,Ft.y=e.pageY,Ft.id="",Wt[0]=Ft),Wt},Bt=function(e,t){var n,i,o,r=w[e]+t[e],s=O.x+t.x,a=O.x-gt.x,l=r>d.min[e]||r<d.max[e]?f.panEndFriction:1,r=w[e]+t[e]*l;return!f.allowPanToNext&&y!==p.currItem.initialZoomLevel||(De?"h"!==Me||"x"!==e||Le||(0<t[e]?(r>d.min[e]&&(l=f.panEndFriction,d.min[e],n=d.min[e]-Ne[e]),(n<=0||a<0)&&1<D()?(o=s,a<0&&s>gt.x&&(o=gt.x)):d.min.x!==d.max.x&&(i=r)):(r<d.max[e]&&(l=f.panEndFriction,d.max[e],n=Ne[e]-d.max[e]),(n<=0||0<a)&&1<D()?(o=s,0<a&&s<gt.x&&(o=gt.x)):d.min.x!==d.max.x&&(i=r))):o=s,"x"!==e)?void(v||ze||y>p.currItem.fitRatio&&(w[e]+=t[e]*l)):(void 0!==o&&(Xe(o,!0),ze=o!==gt.x),d.min.x!==d.max.x&&(void 0!==i?w.x=i:ze||(w.x+=t.x*l)),void 0!==o)},Nt=function(){var e,t,n,i,o,r;u&&0!==(e=u.length)&&(_(A,u[0]),k.x=A.x-z.x,k.y=A.y-z.y,c&&1<e?(z.x=A.x,z.y=A.y,!k.x&&!k.y&&Ct(u[1],mt)||(_(mt,u[1]),Le||(Le=!0,I("zoomGestureStarted")),e=Tt(A,mt),(t=Ut(e))>p.currItem.initialZoomLevel+p.currItem.initialZoomLevel/15&&(We=!0),n=1,i=ot(),o=rt(),t<i?f.pinchToClose&&!We&&ne<=p.currItem.initialZoomLevel?(T(r=1-(i-t)/(i/1.2)),I("onPinchClose",r),Fe=!0):t=i-(n=1<(n=(i-t)/i)?1:n)*(i/3):o<t&&(t=o+(n=1<(n=(t-o)/(6*i))?1:n)*i),n<0&&(n=0),Dt(A,mt,bt),Be.x+=bt.x-It.x,Be.y+=bt.y-It.y,_(It,bt),w.x=Je("x",t),w.y=Je("y",t),Ce=y<t,y=t,S())):Me&&(Re&&(Re=!1,Math.abs(k.x)>=ht&&(k.x-=u[0].x-pt.x),Math.abs(k.y)>=ht)&&(k.y-=u[0].y-pt.y),z.x=A.x,z.y=A.y,0===k.x&&0===k.y||("v"===Me&&f.closeOnVerticalDrag&&!Lt()?(Be.y+=k.y,w.y+=k.y,r=Rt(),Te=!0,I("onVerticalDrag",r),T(r),S()):(Mt(C(),A.x,A.y),Ae=!0,d=p.currItem.bounds,Bt("x",k)||(Bt("y",k),et(w),S())))))},Zt=function(){var t,n,i={lastFlickOffset:{},lastFlickDist:{},lastFlickSpeed:{},slowDownRatio:{},slowDownRatioReverse:{},speedDecelerationRatio:{},speedDecelerationRatioAbs:{},distanceOffset:{},backAnimDestination:{},backAnimStarted:{},calculateSwipeSpeed:function(e){n=(1<yt.length?(t=C()-Ee+50,yt[yt.length-2]):(t=C()-xe,pt))[e],i.lastFlickOffset[e]=z[e]-n,i.lastFlickDist[e]=Math.abs(i.lastFlickOffset[e]),20<i.lastFlickDist[e]?i.lastFlickSpeed[e]=i.lastFlickOffset[e]/t:i.lastFlickSpeed[e]=0,Math.abs(i.lastFlickSpeed[e])<.1&&(i.lastFlickSpeed[e]=0),i.slowDownRatio[e]=.95,i.slowDownRatioReverse[e]=1-i.slowDownRatio[e],i.speedDecelerationRatio[e]=1},calculateOverBoundsAnimOffset:function(t,e){i.backAnimStarted[t]||(w[t]>d.min[t]?i.backAnimDestination[t]=d.min[t]:w[t]<d.max[t]&&(i.backAnimDestination[t]=d.max[t]),void 0!==i.backAnimDestination[t]&&(i.slowDownRatio[t]=.7,i.slowDownRatioReverse[t]=1-i.slowDownRatio[t],i.speedDecelerationRatioAbs[t]<.05)&&(i.lastFlickSpeed[t]=0,i.backAnimStarted[t]=!0,ct("bounceZoomPan"+t,w[t],i.backAnimDestination[t],e||300,m.easing.sine.out,function(e){w[t]=e,S()})))},calculateAnimOffset:function(e){i.backAnimStarted[e]||(i.speedDecelerationRatio[e]=i.speedDecelerationRatio[e]*(i.slowDownRatio[e]+i.slowDownRatioReverse[e]-i.slowDownRatioReverse[e]*i.timeDiff/10),i.speedDecelerationRatioAbs[e]=Math.abs(i.lastFlickSpeed[e]*i.speedDecelerationRatio[e]),i.distanceOffset[e]=i.lastFlickSpeed[e]*i.speedDecelerationRatio[e]*i.timeDiff,w[e]+=i.distanceOffset[e])},panAnimLoop:function(){L.zoomPan&&(L.zoomPan.raf=pe(i.panAnimLoop),i.now=C(),i.timeDiff=i.now-i.lastNow,i.lastNow=i.now,i.calculateAnimOffset("x"),i.calculateAnimOffset("y"),S(),i.calculateOverBoundsAnimOffset("x"),i.calculateOverBoundsAnimOffset("y"),i.speedDecelerationRatioAbs.x<.05)&&i.speedDecelerationRatioAbs.y<.05&&(w.x=Math.round(w.x),w.y=Math.round(w.y),S(),at("zoomPan"))}};return i},Ht=function(e){return e.calculateSwipeSpeed("y"),d=p.currItem.bounds,e.backAnimDestination={},e.backAnimStarted={},Math.abs(e.lastFlickSpeed.x)<=.05&&Math.abs(e.lastFlickSpeed.y)<=.05?(e.speedDecelerationRatioAbs.x=e.speedDecelerationRatioAbs.y=0,e.calculateOverBoundsAnimOffset("x"),e.calculateOverBoundsAnimOffset("y"),!0):(lt("zoomPan"),e.lastNow=C(),void e.panAnimLoop())},jt=function(e,t){var n,i,o;v||(wt=g),"swipe"===e&&(e=z.x-pt.x,r=t.lastFlickDist.x<10,dt<e&&(r||20<t.lastFlickOffset.x)?i=-1:e<-dt&&(r||t.lastFlickOffset.x<-20)&&(i=1)),i&&((g+=i)<0?(g=f.loop?D()-1:0,o=!0):g>=D()&&(g=f.loop?0:D()-1,o=!0),o&&!f.loop||(E+=i,Ze-=i,n=!0));var e=x.x*Ze,r=Math.abs(e-O.x),s=n||e>O.x==0<t.lastFlickSpeed.x?(s=0<Math.abs(t.lastFlickSpeed.x)?r/Math.abs(t.lastFlickSpeed.x):333,s=Math.min(s,400),Math.max(s,250)):333;return wt===g&&(n=!1),v=!0,I("mainScrollAnimStart"),ct("mainScroll",O.x,e,s,m.easing.cubic.out,Xe,function(){ut(),v=!1,wt=-1,!n&&wt===g||p.updateCurrItem(),I("mainScrollAnimComplete")}),n&&p.updateCurrItem(!0),n},Ut=function(e){return 1/Oe*e*ne},Yt=function(){var e=y,t=ot(),n=rt();y<t?e=t:n<y&&(e=n);var i,o=Pe;return Fe&&!Ce&&!We&&y<t?p.close():(Fe&&(i=function(e){T((1-o)*e+o)}),p.zoomTo(e,0,200,m.easing.cubic.out,i)),!0};B("Gestures",{publicMethods:{initGestures:function(){function e(e,t,n,i,o){le=e+t,ue=e+n,ce=e+i,de=o?e+o:""}(me=a.pointerEvent)&&a.touch&&(a.touch=!1),me?navigator.msPointerEnabled?e("MSPointer","Down","Move","Up","Cancel"):e("pointer","down","move","up","cancel"):a.touch?(e("touch","start","move","end","cancel"),o=!0):e("mouse","down","move","up"),ee=ue+" "+ce+" "+de,te=le,me&&!o&&(o=1<navigator.maxTouchPoints||1<navigator.msMaxTouchPoints),p.likelyTouchDevice=o,i[le]=Y,i[ue]=K,i[ce]=G,de&&(i[de]=i[ce]),a.touch&&(te+=" mousedown",ee+=" mousemove mouseup",i.mousedown=i[le],i.mousemove=i[ue],i.mouseup=i[ce]),o||(f.allowPanToNext=!1)}}});function Kt(e){function t(){e.loading=!1,e.loaded=!0,e.loadComplete?e.loadComplete(e):e.img=null,n.onload=n.onerror=null,n=null}e.loading=!0,e.loaded=!1;var n=e.img=m.createEl("pswp__img","img");n.onload=t,n.onerror=function(){e.loadError=!0,t()},n.src=e.src}function Gt(e,t){return e.src&&e.loadError&&e.container&&(t&&(e.container.innerHTML=""),e.container.innerHTML=f.errorMsg.replace("%url%",e.src),1)}function Vt(){if(nn.length){for(var e,t=0;t<nn.length;t++)(e=nn[t]).holder.index===e.index&&ln(e.index,e.item,e.baseDiv,e.img,!1,e.clearPlaceholder);nn=[]}}var $t,Qt,Xt,Jt,en,D,tn=function(r,e,s,t){function a(){at("initialZoom"),s?(p.template.removeAttribute("style"),p.bg.removeAttribute("style")):(T(1),e&&(e.style.display="block"),m.addClass(h,"pswp--animated-in"),I("initialZoom"+(s?"OutEnd":"InEnd"))),t&&t(),Jt=!1}$t&&clearTimeout($t),Xt=Jt=!0,r.initialLayout?(l=r.initialLayout,r.initialLayout=null):l=f.getThumbBoundsFn&&f.getThumbBoundsFn(g);var l,u,c,d=s?f.hideAnimationDuration:f.showAnimationDuration;d&&l&&void 0!==l.x?(u=Q,c=!p.currItem.src||p.currItem.loadError||f.showHideOpacity,r.miniImg&&(r.miniImg.style.webkitBackfaceVisibility="hidden"),s||(y=l.w/r.w,w.x=l.x,w.y=l.y-ye,p[c?"template":"bg"].style.opacity=.001,S()),lt("initialZoom"),s&&!u&&m.removeClass(h,"pswp--animated-in"),c&&(s?m[(u?"remove":"add")+"Class"](h,"pswp--animate_opacity"):setTimeout(function(){m.addClass(h,"pswp--animate_opacity")},30)),$t=setTimeout(function(){var t,n,i,o,e;I("initialZoom"+(s?"Out":"In")),s?(t=l.w/r.w,n={x:w.x,y:w.y},i=y,o=Pe,e=function(e){1===e?(y=t,w.x=l.x,w.y=l.y-we):(y=(t-i)*e+i,w.x=(l.x-n.x)*e+n.x,w.y=(l.y-we-n.y)*e+n.y),S(),c?h.style.opacity=1-e:T(o-e*o)},u?ct("initialZoom",0,1,d,m.easing.cubic.out,e,a):(e(1),$t=setTimeout(a,d+20))):(y=r.initialZoomLevel,_(w,r.initialPosition),S(),T(1),c?h.style.opacity=1:T(1),$t=setTimeout(a,d+20))},s?25:90)):(I("initialZoom"+(s?"Out":"In")),y=r.initialZoomLevel,_(w,r.initialPosition),S(),h.style.opacity=s?0:1,T(1),d?setTimeout(function(){a()},d):a())},M={},nn=[],on={index:0,errorMsg:'<div class="pswp__error-msg"><a href="%url%" target="_blank">The image</a> could not be loaded.</div>',forceProgressiveLoading:!1,preload:[1,1],getNumItemsFn:function(){return Qt.length}},rn=function(){return{center:{x:0,y:0},max:{x:0,y:0},min:{x:0,y:0}}},sn=function(e,t,n){var i=e.bounds;i.center.x=Math.round((M.x-t)/2),i.center.y=Math.round((M.y-n)/2)+e.vGap.top,i.max.x=t>M.x?Math.round(M.x-t):i.center.x,i.max.y=n>M.y?Math.round(M.y-n)+e.vGap.top:i.center.y,i.min.x=t>M.x?0:i.center.x,i.min.y=n>M.y?e.vGap.top:i.center.y},an=function(e,t,n){var i,o;return e.src&&!e.loadError?((i=!n)&&(e.vGap||(e.vGap={top:0,bottom:0}),I("parseVerticalMargin",e)),M.x=t.x,M.y=t.y-e.vGap.top-e.vGap.bottom,i&&(t=M.x/e.w,o=M.y/e.h,e.fitRatio=t<o?t:o,"orig"===(t=f.scaleMode)?n=1:"fit"===t&&(n=e.fitRatio),e.initialZoomLevel=n=1<n?1:n,e.bounds||(e.bounds=rn())),n?(sn(e,e.w*n,e.h*n),i&&n===e.initialZoomLevel&&(e.initialPosition=e.bounds.center),e.bounds):void 0):(e.w=e.h=0,e.initialZoomLevel=e.fitRatio=1,e.bounds=rn(),e.initialPosition=e.bounds.center,e.bounds)},ln=function(e,t,n,i,o,r){t.loadError||i&&(t.imageAppended=!0,un(t,i,t===p.currItem&&Ke),n.appendChild(i),r)&&setTimeout(function(){t&&t.loaded&&t.placeholder&&(t.placeholder.style.display="none",t.placeholder=null)},500)},un=function(e,t,n){var i;e.src&&(t=t||e.container.lastChild,i=n?e.w:Math.round(e.w*e.fitRatio),n=n?e.h:Math.round(e.h*e.fitRatio),e.placeholder&&!e.loaded&&(e.placeholder.style.width=i+"px",e.placeholder.style.height=n+"px"),t.style.width=i+"px",t.style.height=n+"px")};B("Controller",{publicMethods:{lazyLoadItem:function(e){e=N(e);var t=en(e);t&&(!t.loaded&&!t.loading||se)&&(I("gettingData",e,t),t.src)&&Kt(t)},initController:function(){m.extend(f,on,!0),p.items=Qt=t,en=p.getItemAt,D=f.getNumItemsFn,f.loop,D()<3&&(f.loop=!1),r("beforeChange",function(e){for(var t=f.preload,n=null===e||0<=e,i=Math.min(t[0],D()),o=Math.min(t[1],D()),r=1;r<=(n?o:i);r++)p.lazyLoadItem(g+r);for(r=1;r<=(n?i:o);r++)p.lazyLoadItem(g-r)}),r("initialLayout",function(){p.currItem.initialLayout=f.getThumbBoundsFn&&f.getThumbBoundsFn(g)}),r("mainScrollAnimComplete",Vt),r("initialZoomInEnd",Vt),r("destroy",function(){for(var e,t=0;t<Qt.length;t++)(e=Qt[t]).container&&(e.container=null),e.placeholder&&(e.placeholder=null),e.img&&(e.img=null),e.preloader&&(e.preloader=null),e.loadError&&(e.loaded=e.loadError=!1);nn=null})},getItemAt:function(e){return 0<=e&&void 0!==Qt[e]&&Qt[e]},allowProgressiveImg:function(){return f.forceProgressiveLoading||!o||f.mouseUsed||1200<screen.width},setContent:function(t,n){f.loop&&(n=N(n));var e=p.getItemAt(t.index);e&&(e.container=null);var i,o,r,e=p.getItemAt(n);e?(I("gettingData",n,e),t.index=n,o=(t.item=e).container=m.createEl("pswp__zoom-wrap"),!e.src&&e.html&&(e.html.tagName?o.appendChild(e.html):o.innerHTML=e.html),Gt(e),an(e,b),!e.src||e.loadError||e.loaded?e.src&&!e.loadError&&((i=m.createEl("pswp__img","img")).style.opacity=1,i.src=e.src,un(e,i),ln(n,e,o,i,!0)):(e.loadComplete=function(e){if(V){if(t&&t.index===n){if(Gt(e,!0))return e.loadComplete=e.img=null,an(e,b),$e(e),void(t.index===g&&p.updateCurrZoomItem());e.imageAppended?!Jt&&e.placeholder&&(e.placeholder.style.display="none",e.placeholder=null):a.transform&&(v||Jt)?nn.push({item:e,baseDiv:o,img:e.img,index:n,holder:t,clearPlaceholder:!0}):ln(n,e,o,e.img,v||Jt,!0)}e.loadComplete=null,e.img=null,I("imageLoadComplete",n,e)}},m.features.transform&&(r="pswp__img pswp__img--placeholder",r+=e.msrc?"":" pswp__img--placeholder--blank",r=m.createEl(r,e.msrc?"img":""),e.msrc&&(r.src=e.msrc),un(e,r),o.appendChild(r),e.placeholder=r),e.loading||Kt(e),p.allowProgressiveImg()&&(!Xt&&a.transform?nn.push({item:e,baseDiv:o,img:e.img,index:n,holder:t}):ln(n,e,o,e.img,!0,!0))),Xt||n!==g?$e(e):(De=o.style,tn(e,i||e.img)),t.el.innerHTML="",t.el.appendChild(o)):t.el.innerHTML=""},cleanSlide:function(e){e.img&&(e.img.onload=e.img.onerror=null),e.loaded=e.loading=e.img=e.imageAppended=!1}}});function cn(e,t,n){var i=document.createEvent("CustomEvent"),t={origEvent:e,target:e.target,releasePoint:t,pointerType:n||"touch"};i.initCustomEvent("pswpTap",!0,!0,t),e.target.dispatchEvent(i)}var dn,R,hn={};B("Tap",{publicMethods:{initTap:function(){r("firstTouchStart",p.onTapStart),r("touchRelease",p.onTapRelease),r("destroy",function(){hn={},dn=null})},onTapStart:function(e){1<e.length&&(clearTimeout(dn),dn=null)},onTapRelease:function(e,t){var n,i,o;!t||Ae||_e||st||(n=t,dn&&(clearTimeout(dn),dn=null,i=n,o=hn,Math.abs(i.x-o.x)<q)&&Math.abs(i.y-o.y)<q?I("doubleTap",n):"mouse"===t.type?cn(e,t,"mouse"):"BUTTON"===e.target.tagName.toUpperCase()||m.hasClass(e.target,"pswp__single-tap")?cn(e,t):(_(hn,n),dn=setTimeout(function(){cn(e,t),dn=null},300)))}}}),B("DesktopZoom",{publicMethods:{initDesktopZoom:function(){ve||(o?r("mouseUsed",function(){p.setupDesktopZoom()}):p.setupDesktopZoom(!0))},setupDesktopZoom:function(e){R={};var t="wheel mousewheel DOMMouseScroll";r("bindEvents",function(){m.bind(h,t,p.handleMouseWheel)}),r("unbindEvents",function(){R&&m.unbind(h,t,p.handleMouseWheel)}),p.mouseZoomedIn=!1;function n(){p.mouseZoomedIn&&(m.removeClass(h,"pswp--zoomed-in"),p.mouseZoomedIn=!1),y<1?m.addClass(h,"pswp--zoom-allowed"):m.removeClass(h,"pswp--zoom-allowed"),o()}var i,o=function(){i&&(m.removeClass(h,"pswp--dragging"),i=!1)};r("resize",n),r("afterChange",n),r("pointerDown",function(){p.mouseZoomedIn&&(i=!0,m.addClass(h,"pswp--dragging"))}),r("pointerUp",o),e||n()},handleMouseWheel:function(e){if(y<=p.currItem.fitRatio)return f.modal&&(!f.closeOnScroll||st||l?e.preventDefault():he&&2<Math.abs(e.deltaY)&&(Q=!0,p.close())),!0;if(e.stopPropagation(),R.x=0,"deltaX"in e)1===e.deltaMode?(R.x=18*e.deltaX,R.y=18*e.deltaY):(R.x=e.deltaX,R.y=e.deltaY);else if("wheelDelta"in e)e.wheelDeltaX&&(R.x=-.16*e.wheelDeltaX),R.y=e.wheelDeltaY?-.16*e.wheelDeltaY:-.16*e.wheelDelta;else{if(!("detail"in e))return;R.y=e.detail}it(y,!0);var t=w.x-R.x,n=w.y-R.y;(f.modal||t<=d.min.x&&t>=d.max.x&&n<=d.min.y&&n>=d.max.y)&&e.preventDefault(),p.panTo(t,n)},toggleDesktopZoom:function(e){e=e||{x:b.x/2+He.x,y:b.y/2+He.y};var t=f.getDoubleTapZoom(!0,p.currItem),n=y===t;p.mouseZoomedIn=!n,p.zoomTo(n?p.currItem.initialZoomLevel:t,e,333),m[(n?"remove":"add")+"Class"](h,"pswp--zoomed-in")}}});function mn(){fn&&clearTimeout(fn),yn&&clearTimeout(yn)}function pn(){var e=Sn(),t={};if(!(e.length<5)){var n,i=e.split("&");for(r=0;r<i.length;r++)!i[r]||(n=i[r].split("=")).length<2||(t[n[0]]=n[1]);if(f.galleryPIDs){for(var o=t.pid,r=t.pid=0;r<Qt.length;r++)if(Qt[r].pid===o){t.pid=r;break}}else t.pid=parseInt(t.pid,10)-1;t.pid<0&&(t.pid=0)}return t}var fn,gn,yn,vn,wn,bn,n,xn,En,In,F,Cn,Tn={history:!0,galleryUID:1},Sn=function(){return F.hash.substring(1)},_n=function(){var e,t;yn&&clearTimeout(yn),st||l?yn=setTimeout(_n,500):(vn?clearTimeout(gn):vn=!0,t=g+1,(e=en(g)).hasOwnProperty("pid")&&(t=e.pid),e=n+"&gid="+f.galleryUID+"&pid="+t,xn||-1===F.hash.indexOf(e)&&(In=!0),t=F.href.split("#")[0]+"#"+e,Cn?"#"+e!==window.location.hash&&history[xn?"replaceState":"pushState"]("",document.title,t):xn?F.replace(t):F.hash=e,xn=!0,gn=setTimeout(function(){vn=!1},60))};B("History",{publicMethods:{initHistory:function(){var e,t;m.extend(f,Tn,!0),f.history&&(F=window.location,xn=En=In=!1,n=Sn(),Cn="pushState"in history,-1<n.indexOf("gid=")&&(n=(n=n.split("&gid=")[0]).split("?gid=")[0]),r("afterChange",p.updateURL),r("unbindEvents",function(){m.unbind(window,"hashchange",p.onHashChange)}),e=function(){bn=!0,En||(In?history.back():n?F.hash=n:Cn?history.pushState("",document.title,F.pathname+F.search):F.hash=""),mn()},r("unbindEvents",function(){Q&&e()}),r("destroy",function(){bn||e()}),r("firstUpdate",function(){g=pn().pid}),-1<(t=n.indexOf("pid="))&&"&"===(n=n.substring(0,t)).slice(-1)&&(n=n.slice(0,-1)),setTimeout(function(){V&&m.bind(window,"hashchange",p.onHashChange)},40))},onHashChange:function(){return Sn()===n?(En=!0,void p.close()):void(vn||(wn=!0,p.goTo(pn().pid),wn=!1))},updateURL:function(){mn(),wn||(xn?fn=setTimeout(_n,800):_n())}}}),m.extend(p,W)}}),((e,t)=>{"object"==typeof exports&&"undefined"!=typeof module?module.exports=t():"function"==typeof define&&define.amd?define(t):(e="undefined"!=typeof globalThis?globalThis:e||self).reframe=t()})(this,function(){function t(){for(var e=0,t=0,n=arguments.length;t<n;t++)e+=arguments[t].length;for(var i=Array(e),o=0,t=0;t<n;t++)for(var r=arguments[t],s=0,a=r.length;s<a;s++,o++)i[o]=r[s];return i}return function(e,o){return void 0===o&&(o="js-reframe"),("string"==typeof e?t(document.querySelectorAll(e)):"length"in e?t(e):[e]).forEach(function(e){var t,n,i;-1!==e.className.split(" ").indexOf(o)||-1<e.style.width.indexOf("%")||(t=e.getAttribute("height")||e.offsetHeight,n=e.getAttribute("width")||e.offsetWidth,t=("string"==typeof t?parseInt(t):t)/("string"==typeof n?parseInt(n):n)*100,(n=document.createElement("div")).className=o,(i=n.style).position="relative",i.width="100%",i.paddingTop=t+"%",(i=e.style).position="absolute",i.width="100%",i.height="100%",i.left="0",i.top="0",null!=(t=e.parentNode)&&t.insertBefore(n,e),null!=(i=e.parentNode)&&i.removeChild(e),n.appendChild(e))})}}),(()=>{var e=document.querySelector(".gh-burger");e&&e.addEventListener("click",function(){document.body.classList.contains("is-head-open")?document.body.classList.remove("is-head-open"):document.body.classList.add("is-head-open")})})(),lightbox(".kg-image-card > .kg-image[width][height], .kg-gallery-image > img"),reframe(document.querySelectorAll(['.gh-content iframe[src*="youtube.com"]','.gh-content iframe[src*="youtube-nocookie.com"]','.gh-content iframe[src*="player.vimeo.com"]','.gh-content iframe[src*="kickstarter.com"][src*="video.html"]',".gh-content object",".gh-content embed"].join(","))),dropdown(),((t,n)=>{"function"==typeof define&&define.amd?define("jquery-bridget/jquery-bridget",["jquery"],function(e){return n(t,e)}):"object"==typeof module&&module.exports?module.exports=n(t,require("jquery")):t.jQueryBridget=n(t,t.jQuery)})(window,function(e,t){function n(l,u,c){(c=c||t||e.jQuery)&&(u.prototype.option||(u.prototype.option=function(e){c.isPlainObject(e)&&(this.options=c.extend(!0,this.options,e))}),c.fn[l]=function(e){var t,i,o,r,s,a;return"string"==typeof e?(t=d.call(arguments,1),o=t,s="$()."+l+'("'+(i=e)+'")',(t=this).each(function(e,t){var n,t=c.data(t,l);t?(n=t[i])&&"_"!=i.charAt(0)?(n=n.apply(t,o),r=void 0===r?n:r):h(s+" is not a valid method"):h(l+" not initialized. Cannot call methods, i.e. "+s)}),void 0!==r?r:t):(a=e,this.each(function(e,t){var n=c.data(t,l);n?(n.option(a),n._init()):(n=new u(t,a),c.data(t,l,n))}),this)},i(c))}function i(e){e&&!e.bridget&&(e.bridget=n)}var d=Array.prototype.slice,o=e.console,h=void 0===o?function(){}:function(e){o.error(e)};return i(t||e.jQuery),n}),((e,t)=>{"function"==typeof define&&define.amd?define("ev-emitter/ev-emitter",t):"object"==typeof module&&module.exports?module.exports=t():e.EvEmitter=t()})("undefined"!=typeof window?window:this,function(){function e(){}var t=e.prototype;return t.on=function(e,t){var n;if(e&&t)return-1==(n=(n=this._events=this._events||{})[e]=n[e]||[]).indexOf(t)&&n.push(t),this},t.once=function(e,t){var n;if(e&&t)return this.on(e,t),((n=this._onceEvents=this._onceEvents||{})[e]=n[e]||{})[t]=!0,this},t.off=function(e,t){e=this._events&&this._events[e];if(e&&e.length)return-1!=(t=e.indexOf(t))&&e.splice(t,1),this},t.emitEvent=function(e,t){var n=this._events&&this._events[e];if(n&&n.length){n=n.slice(0),t=t||[];for(var i=this._onceEvents&&this._onceEvents[e],o=0;o<n.length;o++){var r=n[o];i&&i[r]&&(this.off(e,r),delete i[r]),r.apply(this,t)}return this}},t.allOff=function(){delete this._events,delete this._onceEvents},e}),((e,t)=>{"function"==typeof define&&define.amd?define("get-size/get-size",t):"object"==typeof module&&module.exports?module.exports=t():e.getSize=t()})(window,function(){function g(e){var t=parseFloat(e);return-1==e.indexOf("%")&&!isNaN(t)&&t}function y(e){e=getComputedStyle(e);return e||t("Style returned "+e+". Are you running this code in a hidden iframe on Firefox? See https://bit.ly/getsizebug1"),e}function v(e){if(E||(E=!0,(c=document.createElement("div")).style.width="200px",c.style.padding="1px 2px 3px 4px",c.style.borderStyle="solid",c.style.borderWidth="1px 2px 3px 4px",c.style.boxSizing="border-box",(u=document.body||document.documentElement).appendChild(c),r=y(c),w=200==Math.round(g(r.width)),v.isBoxSizeOuter=w,u.removeChild(c)),(e="string"==typeof e?document.querySelector(e):e)&&"object"==typeof e&&e.nodeType){var t=y(e);if("none"==t.display){for(var n={width:0,height:0,innerWidth:0,innerHeight:0,outerWidth:0,outerHeight:0},i=0;i<x;i++)n[b[i]]=0;return n}var o={};o.width=e.offsetWidth,o.height=e.offsetHeight;for(var r=o.isBorderBox="border-box"==t.boxSizing,s=0;s<x;s++){var a=b[s],l=t[a],l=parseFloat(l);o[a]=isNaN(l)?0:l}var u=o.paddingLeft+o.paddingRight,c=o.paddingTop+o.paddingBottom,e=o.marginLeft+o.marginRight,d=o.marginTop+o.marginBottom,h=o.borderLeftWidth+o.borderRightWidth,m=o.borderTopWidth+o.borderBottomWidth,p=r&&w,f=g(t.width),f=(!1!==f&&(o.width=f+(p?0:u+h)),g(t.height));return!1!==f&&(o.height=f+(p?0:c+m)),o.innerWidth=o.width-(u+h),o.innerHeight=o.height-(c+m),o.outerWidth=o.width+e,o.outerHeight=o.height+d,o}var c,u,r}var w,t="undefined"==typeof console?function(){}:function(e){console.error(e)},b=["paddingLeft","paddingRight","paddingTop","paddingBottom","marginLeft","marginRight","marginTop","marginBottom","borderLeftWidth","borderRightWidth","borderTopWidth","borderBottomWidth"],x=b.length,E=!1;return v}),((e,t)=>{"function"==typeof define&&define.amd?define("desandro-matches-selector/matches-selector",t):"object"==typeof module&&module.exports?module.exports=t():e.matchesSelector=t()})(window,function(){var n=(()=>{var e=window.Element.prototype;if(e.matches)return"matches";if(e.matchesSelector)return"matchesSelector";for(var t=["webkit","moz","ms","o"],n=0;n<t.length;n++){var i=t[n]+"MatchesSelector";if(e[i])return i}})();return function(e,t){return e[n](t)}}),((t,n)=>{"function"==typeof define&&define.amd?define("fizzy-ui-utils/utils",["desandro-matches-selector/matches-selector"],function(e){return n(t,e)}):"object"==typeof module&&module.exports?module.exports=n(t,require("desandro-matches-selector")):t.fizzyUIUtils=n(t,t.matchesSelector)})(window,function(n,r){var l={extend:function(e,t){for(var n in t)e[n]=t[n];return e},modulo:function(e,t){return(e%t+t)%t}},t=Array.prototype.slice,u=(l.makeArray=function(e){return Array.isArray(e)?e:null==e?[]:"object"==typeof e&&"number"==typeof e.length?t.call(e):[e]},l.removeFrom=function(e,t){t=e.indexOf(t);-1!=t&&e.splice(t,1)},l.getParent=function(e,t){for(;e.parentNode&&e!=document.body;)if(r(e=e.parentNode,t))return e},l.getQueryElement=function(e){return"string"==typeof e?document.querySelector(e):e},l.handleEvent=function(e){var t="on"+e.type;this[t]&&this[t](e)},l.filterFindElements=function(e,i){e=l.makeArray(e);var o=[];return e.forEach(function(e){if(e instanceof HTMLElement)if(i){r(e,i)&&o.push(e);for(var t=e.querySelectorAll(i),n=0;n<t.length;n++)o.push(t[n])}else o.push(e)}),o},l.debounceMethod=function(e,t,i){i=i||100;var o=e.prototype[t],r=t+"Timeout";e.prototype[t]=function(){var e=this[r],t=(clearTimeout(e),arguments),n=this;this[r]=setTimeout(function(){o.apply(n,t),delete n[r]},i)}},l.docReady=function(e){var t=document.readyState;"complete"==t||"interactive"==t?setTimeout(e):document.addEventListener("DOMContentLoaded",e)},l.toDashed=function(e){return e.replace(/(.)([A-Z])/g,function(e,t,n){return t+"-"+n}).toLowerCase()},n.console);return l.htmlInit=function(s,a){l.docReady(function(){var e=l.toDashed(a),i="data-"+e,t=document.querySelectorAll("["+i+"]"),e=document.querySelectorAll(".js-"+e),t=l.makeArray(t).concat(l.makeArray(e)),o=i+"-options",r=n.jQuery;t.forEach(function(t){var e,n=t.getAttribute(i)||t.getAttribute(o);try{e=n&&JSON.parse(n)}catch(e){return void(u&&u.error("Error parsing "+i+" on "+t.className+": "+e))}n=new s(t,e);r&&r.data(t,a,n)})})},l}),((e,t)=>{"function"==typeof define&&define.amd?define("outlayer/item",["ev-emitter/ev-emitter","get-size/get-size"],t):"object"==typeof module&&module.exports?module.exports=t(require("ev-emitter"),require("get-size")):(e.Outlayer={},e.Outlayer.Item=t(e.EvEmitter,e.getSize))})(window,function(e,t){function n(e,t){e&&(this.element=e,this.layout=t,this.position={x:0,y:0},this._create())}var i=document.documentElement.style,o="string"==typeof i.transition?"transition":"WebkitTransition",i="string"==typeof i.transform?"transform":"WebkitTransform",r={WebkitTransition:"webkitTransitionEnd",transition:"transitionend"}[o],s={transform:i,transition:o,transitionDuration:o+"Duration",transitionProperty:o+"Property",transitionDelay:o+"Delay"},e=n.prototype=Object.create(e.prototype),a=(e.constructor=n,e._create=function(){this._transn={ingProperties:{},clean:{},onEnd:{}},this.css({position:"absolute"})},e.handleEvent=function(e){var t="on"+e.type;this[t]&&this[t](e)},e.getSize=function(){this.size=t(this.element)},e.css=function(e){var t,n=this.element.style;for(t in e)n[s[t]||t]=e[t]},e.getPosition=function(){var e=getComputedStyle(this.element),t=this.layout._getOption("originLeft"),n=this.layout._getOption("originTop"),i=e[t?"left":"right"],e=e[n?"top":"bottom"],o=parseFloat(i),r=parseFloat(e),s=this.layout.size;-1!=i.indexOf("%")&&(o=o/100*s.width),-1!=e.indexOf("%")&&(r=r/100*s.height),o=isNaN(o)?0:o,r=isNaN(r)?0:r,o-=t?s.paddingLeft:s.paddingRight,r-=n?s.paddingTop:s.paddingBottom,this.position.x=o,this.position.y=r},e.layoutPosition=function(){var e=this.layout.size,t={},n=this.layout._getOption("originLeft"),i=this.layout._getOption("originTop"),o=n?"right":"left",r=this.position.x+e[n?"paddingLeft":"paddingRight"],n=(t[n?"left":"right"]=this.getXValue(r),t[o]="",i?"paddingTop":"paddingBottom"),r=i?"bottom":"top",o=this.position.y+e[n];t[i?"top":"bottom"]=this.getYValue(o),t[r]="",this.css(t),this.emitEvent("layout",[this])},e.getXValue=function(e){var t=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&!t?e/this.layout.size.width*100+"%":e+"px"},e.getYValue=function(e){var t=this.layout._getOption("horizontal");return this.layout.options.percentPosition&&t?e/this.layout.size.height*100+"%":e+"px"},e._transitionTo=function(e,t){this.getPosition();var n=this.position.x,i=this.position.y,o=e==this.position.x&&t==this.position.y;this.setPosition(e,t),o&&!this.isTransitioning?this.layoutPosition():((o={}).transform=this.getTranslate(e-n,t-i),this.transition({to:o,onTransitionEnd:{transform:this.layoutPosition},isCleaning:!0}))},e.getTranslate=function(e,t){return"translate3d("+(e=this.layout._getOption("originLeft")?e:-e)+"px, "+(t=this.layout._getOption("originTop")?t:-t)+"px, 0)"},e.goTo=function(e,t){this.setPosition(e,t),this.layoutPosition()},e.moveTo=e._transitionTo,e.setPosition=function(e,t){this.position.x=parseFloat(e),this.position.y=parseFloat(t)},e._nonTransition=function(e){for(var t in this.css(e.to),e.isCleaning&&this._removeStyles(e.to),e.onTransitionEnd)e.onTransitionEnd[t].call(this)},e.transition=function(e){if(parseFloat(this.layout.options.transitionDuration)){var t,n=this._transn;for(t in e.onTransitionEnd)n.onEnd[t]=e.onTransitionEnd[t];for(t in e.to)n.ingProperties[t]=!0,e.isCleaning&&(n.clean[t]=!0);e.from&&(this.css(e.from),this.element.offsetHeight,0),this.enableTransition(e.to),this.css(e.to),this.isTransitioning=!0}else this._nonTransition(e)},"opacity,"+i.replace(/([A-Z])/g,function(e){return"-"+e.toLowerCase()})),l=(e.enableTransition=function(){var e;this.isTransitioning||(e=this.layout.options.transitionDuration,this.css({transitionProperty:a,transitionDuration:e="number"==typeof e?e+"ms":e,transitionDelay:this.staggerDelay||0}),this.element.addEventListener(r,this,!1))},e.onwebkitTransitionEnd=function(e){this.ontransitionend(e)},e.onotransitionend=function(e){this.ontransitionend(e)},{"-webkit-transform":"transform"}),u=(e.ontransitionend=function(e){var t,n;e.target===this.element&&(t=this._transn,n=l[e.propertyName]||e.propertyName,delete t.ingProperties[n],(e=>{for(var t in e)return;return 1})(t.ingProperties)&&this.disableTransition(),n in t.clean&&(this.element.style[e.propertyName]="",delete t.clean[n]),n in t.onEnd&&(t.onEnd[n].call(this),delete t.onEnd[n]),this.emitEvent("transitionEnd",[this]))},e.disableTransition=function(){this.removeTransitionStyles(),this.element.removeEventListener(r,this,!1),this.isTransitioning=!1},e._removeStyles=function(e){var t,n={};for(t in e)n[t]="";this.css(n)},{transitionProperty:"",transitionDuration:"",transitionDelay:""});return e.removeTransitionStyles=function(){this.css(u)},e.stagger=function(e){e=isNaN(e)?0:e,this.staggerDelay=e+"ms"},e.removeElem=function(){this.element.parentNode.removeChild(this.element),this.css({display:""}),this.emitEvent("remove",[this])},e.remove=function(){return o&&parseFloat(this.layout.options.transitionDuration)?(this.once("transitionEnd",function(){this.removeElem()}),void this.hide()):void this.removeElem()},e.reveal=function(){delete this.isHidden,this.css({display:""});var e=this.layout.options,t={};t[this.getHideRevealTransitionEndProperty("visibleStyle")]=this.onRevealTransitionEnd,this.transition({from:e.hiddenStyle,to:e.visibleStyle,isCleaning:!0,onTransitionEnd:t})},e.onRevealTransitionEnd=function(){this.isHidden||this.emitEvent("reveal")},e.getHideRevealTransitionEndProperty=function(e){var t,e=this.layout.options[e];if(e.opacity)return"opacity";for(t in e)return t},e.hide=function(){this.isHidden=!0,this.css({display:""});var e=this.layout.options,t={};t[this.getHideRevealTransitionEndProperty("hiddenStyle")]=this.onHideTransitionEnd,this.transition({from:e.visibleStyle,to:e.hiddenStyle,isCleaning:!0,onTransitionEnd:t})},e.onHideTransitionEnd=function(){this.isHidden&&(this.css({display:"none"}),this.emitEvent("hide"))},e.destroy=function(){this.css({position:"",left:"",right:"",top:"",bottom:"",transition:"",transform:""})},n}),((o,r)=>{"function"==typeof define&&define.amd?define("outlayer/outlayer",["ev-emitter/ev-emitter","get-size/get-size","fizzy-ui-utils/utils","./item"],function(e,t,n,i){return r(o,e,t,n,i)}):"object"==typeof module&&module.exports?module.exports=r(o,require("ev-emitter"),require("get-size"),require("fizzy-ui-utils"),require("./item")):o.Outlayer=r(o,o.EvEmitter,o.getSize,o.fizzyUIUtils,o.Outlayer.Item)})(window,function(e,t,o,i,r){function s(e,t){var n=i.getQueryElement(e);n?(this.element=n,u&&(this.$element=u(this.element)),this.options=i.extend({},this.constructor.defaults),this.option(t),t=++c,this.element.outlayerGUID=t,(d[t]=this)._create(),this._getOption("initLayout")&&this.layout()):l&&l.error("Bad element for "+this.constructor.namespace+": "+(n||e))}function a(e){function t(){e.apply(this,arguments)}return(t.prototype=Object.create(e.prototype)).constructor=t}function n(){}var l=e.console,u=e.jQuery,c=0,d={},h=(s.namespace="outlayer",s.Item=r,s.defaults={containerStyle:{position:"relative"},initLayout:!0,originLeft:!0,originTop:!0,resize:!0,resizeContainer:!0,transitionDuration:"0.4s",hiddenStyle:{opacity:0,transform:"scale(0.001)"},visibleStyle:{opacity:1,transform:"scale(1)"}},s.prototype),m=(i.extend(h,t.prototype),h.option=function(e){i.extend(this.options,e)},h._getOption=function(e){var t=this.constructor.compatOptions[e];return t&&void 0!==this.options[t]?this.options[t]:this.options[e]},s.compatOptions={initLayout:"isInitLayout",horizontal:"isHorizontal",layoutInstant:"isLayoutInstant",originLeft:"isOriginLeft",originTop:"isOriginTop",resize:"isResizeBound",resizeContainer:"isResizingContainer"},h._create=function(){this.reloadItems(),this.stamps=[],this.stamp(this.options.stamp),i.extend(this.element.style,this.options.containerStyle),this._getOption("resize")&&this.bindResize()},h.reloadItems=function(){this.items=this._itemize(this.element.children)},h._itemize=function(e){for(var t=this._filterFindItemElements(e),n=this.constructor.Item,i=[],o=0;o<t.length;o++){var r=new n(t[o],this);i.push(r)}return i},h._filterFindItemElements=function(e){return i.filterFindElements(e,this.options.itemSelector)},h.getItemElements=function(){return this.items.map(function(e){return e.element})},h.layout=function(){this._resetLayout(),this._manageStamps();var e=this._getOption("layoutInstant"),e=void 0!==e?e:!this._isLayoutInited;this.layoutItems(this.items,e),this._isLayoutInited=!0},h._init=h.layout,h._resetLayout=function(){this.getSize()},h.getSize=function(){this.size=o(this.element)},h._getMeasurement=function(e,t){var n,i=this.options[e];i?("string"==typeof i?n=this.element.querySelector(i):i instanceof HTMLElement&&(n=i),this[e]=n?o(n)[t]:i):this[e]=0},h.layoutItems=function(e,t){e=this._getItemsForLayout(e),this._layoutItems(e,t),this._postLayout()},h._getItemsForLayout=function(e){return e.filter(function(e){return!e.isIgnored})},h._layoutItems=function(e,n){var i;this._emitCompleteOnItems("layout",e),e&&e.length&&(i=[],e.forEach(function(e){var t=this._getItemLayoutPosition(e);t.item=e,t.isInstant=n||e.isLayoutInstant,i.push(t)},this),this._processLayoutQueue(i))},h._getItemLayoutPosition=function(){return{x:0,y:0}},h._processLayoutQueue=function(e){this.updateStagger(),e.forEach(function(e,t){this._positionItem(e.item,e.x,e.y,e.isInstant,t)},this)},h.updateStagger=function(){var e,t=this.options.stagger;return null==t?void(this.stagger=0):(this.stagger="number"==typeof(t=t)?t:(e=(t=t.match(/(^\d*\.?\d*)(\w*)/))&&t[1],t=t&&t[2],e.length?(e=parseFloat(e))*(m[t]||1):0),this.stagger)},h._positionItem=function(e,t,n,i,o){i?e.goTo(t,n):(e.stagger(o*this.stagger),e.moveTo(t,n))},h._postLayout=function(){this.resizeContainer()},h.resizeContainer=function(){var e;this._getOption("resizeContainer")&&(e=this._getContainerSize())&&(this._setContainerMeasure(e.width,!0),this._setContainerMeasure(e.height,!1))},h._getContainerSize=n,h._setContainerMeasure=function(e,t){var n;void 0!==e&&((n=this.size).isBorderBox&&(e+=t?n.paddingLeft+n.paddingRight+n.borderLeftWidth+n.borderRightWidth:n.paddingBottom+n.paddingTop+n.borderTopWidth+n.borderBottomWidth),e=Math.max(e,0),this.element.style[t?"width":"height"]=e+"px")},h._emitCompleteOnItems=function(t,e){function n(){r.dispatchEvent(t+"Complete",null,[e])}function i(){++o==s&&n()}var o,r=this,s=e.length;e&&s?(o=0,e.forEach(function(e){e.once(t,i)})):n()},h.dispatchEvent=function(e,t,n){var i=t?[t].concat(n):n;this.emitEvent(e,i),u&&(this.$element=this.$element||u(this.element),t?((i=u.Event(t)).type=e,this.$element.trigger(i,n)):this.$element.trigger(e,n))},h.ignore=function(e){e=this.getItem(e);e&&(e.isIgnored=!0)},h.unignore=function(e){e=this.getItem(e);e&&delete e.isIgnored},h.stamp=function(e){(e=this._find(e))&&(this.stamps=this.stamps.concat(e),e.forEach(this.ignore,this))},h.unstamp=function(e){(e=this._find(e))&&e.forEach(function(e){i.removeFrom(this.stamps,e),this.unignore(e)},this)},h._find=function(e){return e?("string"==typeof e&&(e=this.element.querySelectorAll(e)),i.makeArray(e)):void 0},h._manageStamps=function(){this.stamps&&this.stamps.length&&(this._getBoundingRect(),this.stamps.forEach(this._manageStamp,this))},h._getBoundingRect=function(){var e=this.element.getBoundingClientRect(),t=this.size;this._boundingRect={left:e.left+t.paddingLeft+t.borderLeftWidth,top:e.top+t.paddingTop+t.borderTopWidth,right:e.right-(t.paddingRight+t.borderRightWidth),bottom:e.bottom-(t.paddingBottom+t.borderBottomWidth)}},h._manageStamp=n,h._getElementOffset=function(e){var t=e.getBoundingClientRect(),n=this._boundingRect,e=o(e);return{left:t.left-n.left-e.marginLeft,top:t.top-n.top-e.marginTop,right:n.right-t.right-e.marginRight,bottom:n.bottom-t.bottom-e.marginBottom}},h.handleEvent=i.handleEvent,h.bindResize=function(){e.addEventListener("resize",this),this.isResizeBound=!0},h.unbindResize=function(){e.removeEventListener("resize",this),this.isResizeBound=!1},h.onresize=function(){this.resize()},i.debounceMethod(s,"onresize",100),h.resize=function(){this.isResizeBound&&this.needsResizeLayout()&&this.layout()},h.needsResizeLayout=function(){var e=o(this.element);return this.size&&e&&e.innerWidth!==this.size.innerWidth},h.addItems=function(e){e=this._itemize(e);return e.length&&(this.items=this.items.concat(e)),e},h.appended=function(e){e=this.addItems(e);e.length&&(this.layoutItems(e,!0),this.reveal(e))},h.prepended=function(e){var t,e=this._itemize(e);e.length&&(t=this.items.slice(0),this.items=e.concat(t),this._resetLayout(),this._manageStamps(),this.layoutItems(e,!0),this.reveal(e),this.layoutItems(t))},h.reveal=function(e){var n;this._emitCompleteOnItems("reveal",e),e&&e.length&&(n=this.updateStagger(),e.forEach(function(e,t){e.stagger(t*n),e.reveal()}))},h.hide=function(e){var n;this._emitCompleteOnItems("hide",e),e&&e.length&&(n=this.updateStagger(),e.forEach(function(e,t){e.stagger(t*n),e.hide()}))},h.revealItemElements=function(e){e=this.getItems(e);this.reveal(e)},h.hideItemElements=function(e){e=this.getItems(e);this.hide(e)},h.getItem=function(e){for(var t=0;t<this.items.length;t++){var n=this.items[t];if(n.element==e)return n}},h.getItems=function(e){e=i.makeArray(e);var t=[];return e.forEach(function(e){e=this.getItem(e);e&&t.push(e)},this),t},h.remove=function(e){e=this.getItems(e);this._emitCompleteOnItems("remove",e),e&&e.length&&e.forEach(function(e){e.remove(),i.removeFrom(this.items,e)},this)},h.destroy=function(){var e=this.element.style,e=(e.height="",e.position="",e.width="",this.items.forEach(function(e){e.destroy()}),this.unbindResize(),this.element.outlayerGUID);delete d[e],delete this.element.outlayerGUID,u&&u.removeData(this.element,this.constructor.namespace)},s.data=function(e){e=(e=i.getQueryElement(e))&&e.outlayerGUID;return e&&d[e]},s.create=function(e,t){var n=a(s);return n.defaults=i.extend({},s.defaults),i.extend(n.defaults,t),n.compatOptions=i.extend({},s.compatOptions),n.namespace=e,n.data=s.data,n.Item=a(r),i.htmlInit(n,e),u&&u.bridget&&u.bridget(e,n),n},{ms:1,s:1e3});return s.Item=r,s}),((e,t)=>{"function"==typeof define&&define.amd?define(["outlayer/outlayer","get-size/get-size"],t):"object"==typeof module&&module.exports?module.exports=t(require("outlayer"),require("get-size")):e.Masonry=t(e.Outlayer,e.getSize)})(window,function(e,a){var e=e.create("masonry"),t=(e.compatOptions.fitWidth="isFitWidth",e.prototype);return t._resetLayout=function(){this.getSize(),this._getMeasurement("columnWidth","outerWidth"),this._getMeasurement("gutter","outerWidth"),this.measureColumns(),this.colYs=[];for(var e=0;e<this.cols;e++)this.colYs.push(0);this.maxY=0,this.horizontalColIndex=0},t.measureColumns=function(){this.getContainerWidth(),this.columnWidth||(e=(e=this.items[0])&&e.element,this.columnWidth=e&&a(e).outerWidth||this.containerWidth);var e=this.columnWidth+=this.gutter,t=this.containerWidth+this.gutter,n=t/e,t=e-t%e,n=Math[t&&t<1?"round":"floor"](n);this.cols=Math.max(n,1)},t.getContainerWidth=function(){var e=this._getOption("fitWidth")?this.element.parentNode:this.element,e=a(e);this.containerWidth=e&&e.innerWidth},t._getItemLayoutPosition=function(e){e.getSize();for(var t=e.size.outerWidth%this.columnWidth,t=Math[t&&t<1?"round":"ceil"](e.size.outerWidth/this.columnWidth),t=Math.min(t,this.cols),n=this[this.options.horizontalOrder?"_getHorizontalColPosition":"_getTopColPosition"](t,e),i={x:this.columnWidth*n.col,y:n.y},o=n.y+e.size.outerHeight,r=t+n.col,s=n.col;s<r;s++)this.colYs[s]=o;return i},t._getTopColPosition=function(e){var e=this._getTopColGroup(e),t=Math.min.apply(Math,e);return{col:e.indexOf(t),y:t}},t._getTopColGroup=function(e){if(e<2)return this.colYs;for(var t=[],n=this.cols+1-e,i=0;i<n;i++)t[i]=this._getColGroupY(i,e);return t},t._getColGroupY=function(e,t){return t<2?this.colYs[e]:(e=this.colYs.slice(e,e+t),Math.max.apply(Math,e))},t._getHorizontalColPosition=function(e,t){var n=this.horizontalColIndex%this.cols,n=1<e&&n+e>this.cols?0:n,t=t.size.outerWidth&&t.size.outerHeight;return this.horizontalColIndex=t?n+e:this.horizontalColIndex,{col:n,y:this._getColGroupY(n,e)}},t._manageStamp=function(e){var t=a(e),e=this._getElementOffset(e),n=this._getOption("originLeft")?e.left:e.right,i=n+t.outerWidth,n=Math.floor(n/this.columnWidth),n=Math.max(0,n),o=Math.floor(i/this.columnWidth);o-=i%this.columnWidth?0:1;for(var o=Math.min(this.cols-1,o),r=(this._getOption("originTop")?e.top:e.bottom)+t.outerHeight,s=n;s<=o;s++)this.colYs[s]=Math.max(r,this.colYs[s])},t._getContainerSize=function(){this.maxY=Math.max.apply(Math,this.colYs);var e={height:this.maxY};return this._getOption("fitWidth")&&(e.width=this._getContainerFitWidth()),e},t._getContainerFitWidth=function(){for(var e=0,t=this.cols;--t&&0===this.colYs[t];)e++;return(this.cols-e)*this.columnWidth-this.gutter},t.needsResizeLayout=function(){var e=this.containerWidth;return this.getContainerWidth(),e!=this.containerWidth},e}),(()=>{var o,i,t,r,n,s,a,l,e,u=document.querySelector(".portfolio-dual-container");function c(){var e;0!==s&&((e=document.createElement("div")).className="portfolio-grid-sizer",i.appendChild(e),(e=document.createElement("div")).className="portfolio-gutter-sizer",i.appendChild(e),r.forEach(function(e,t){var n,e=e.querySelector("img");e&&((n=document.createElement("div")).className="portfolio-grid-item",n.setAttribute("data-index",t),n.setAttribute("role","button"),n.setAttribute("tabindex","0"),n.setAttribute("aria-label","View image "+(t+1)+" of "+s+" in carousel"),(t=document.createElement("img")).src=e.src,t.alt=e.alt||"",t.loading="lazy",e.srcset&&(t.srcset=e.srcset),t.sizes="(min-width: 1200px) 33vw, (min-width: 768px) 50vw, 100vw",n.appendChild(t),i.appendChild(n))}),"#book"===window.location.hash?(n="carousel",u.classList.add("view-carousel"),o.setAttribute("aria-hidden","false"),i.setAttribute("aria-hidden","true"),(e=r[0])&&e.scrollIntoView({behavior:"instant",block:"nearest",inline:"center"})):(n="grid",u.classList.add("view-grid"),o.setAttribute("aria-hidden","true"),i.setAttribute("aria-hidden","false")),requestAnimationFrame(function(){requestAnimationFrame(function(){u.classList.add("view-visible"),l=!1,"grid"!==n||a||("undefined"==typeof Masonry?console.warn("Masonry.js not loaded"):"undefined"!=typeof imagesLoaded?imagesLoaded(i).once("always",function(){d()}):d())})}),window.addEventListener("hashchange",p),t&&t.addEventListener("click",g),i.addEventListener("click",f),document.addEventListener("keydown",y))}function d(){a||(a=new Masonry(i,{itemSelector:".portfolio-grid-item",columnWidth:".portfolio-grid-sizer",gutter:".portfolio-gutter-sizer",percentPosition:!0,horizontalOrder:!0,transitionDuration:0})).once("layoutComplete",function(){a.options.transitionDuration="0.4s"})}function h(t){t="number"==typeof t?t:0,t=Math.max(0,Math.min(t,s-1)),n="carousel",u.classList.remove("view-visible"),setTimeout(function(){u.classList.remove("view-grid"),u.classList.add("view-carousel"),o.setAttribute("aria-hidden","false"),i.setAttribute("aria-hidden","true");var e=r[t];e&&e.scrollIntoView({behavior:"instant",block:"nearest",inline:"center"}),"#book"!==window.location.hash&&history.pushState(null,"",window.location.pathname+"#book"),requestAnimationFrame(function(){u.classList.add("view-visible")}),window.dispatchEvent(new CustomEvent("portfolio:viewchange",{detail:{view:"carousel",index:t}}))},e)}function m(){var t=(()=>{for(var e=o.getBoundingClientRect(),t=e.left+e.width/2,n=0;n<s;n++){var i=r[n].getBoundingClientRect();if(i.left<=t&&i.right>=t)return n}return 0})();n="grid",u.classList.remove("view-visible"),setTimeout(function(){function e(){var e=i.querySelectorAll(".portfolio-grid-item")[t];e&&e.scrollIntoView({behavior:"instant",block:"center"}),requestAnimationFrame(function(){u.classList.add("view-visible")}),window.dispatchEvent(new CustomEvent("portfolio:viewchange",{detail:{view:"grid"}}))}u.classList.remove("view-carousel"),u.classList.add("view-grid"),o.setAttribute("aria-hidden","true"),i.setAttribute("aria-hidden","false"),"#book"===window.location.hash&&history.pushState(null,"",window.location.pathname),a?(a&&a.layout(),e()):requestAnimationFrame(function(){requestAnimationFrame(function(){"undefined"!=typeof Masonry&&"undefined"!=typeof imagesLoaded?imagesLoaded(i).once("always",function(){d(),e()}):("undefined"!=typeof Masonry&&d(),e())})})},e)}function p(){l||("#book"===window.location.hash?h(0):m())}function f(e){e=e.target.closest(".portfolio-grid-item");e&&h(parseInt(e.getAttribute("data-index"),10))}function g(){m()}function y(e){"Escape"===e.key&&"carousel"===n?(e.preventDefault(),m()):"Enter"!==e.key&&" "!==e.key||!e.target.classList.contains("portfolio-grid-item")||(e.preventDefault(),h(parseInt(e.target.getAttribute("data-index"),10)))}u&&(o=u.querySelector("#portfolio-carousel"),i=u.querySelector("#portfolio-grid"),t=u.querySelector(".portfolio-close-btn"),r=o.querySelectorAll(".kg-image-card"),n="carousel",s=r.length,l=!(a=null),e=300,"loading"===document.readyState?document.addEventListener("DOMContentLoaded",c):c())})(),(()=>{var o,r,s,a,t,e=document.querySelector(".portfolio-container");function n(){var e;0!==a&&((e=r[0])&&(e=e.querySelector("img"))&&(e.removeAttribute("loading"),e.setAttribute("fetchpriority","high"),e.decode)&&e.decode().catch(function(){}),l(s),o.addEventListener("scroll",function(){clearTimeout(t),t=setTimeout(d,150)},{passive:!0}),o.addEventListener("click",h),o.addEventListener("wheel",m,{passive:!1}),document.addEventListener("keydown",p),window.addEventListener("portfolio:viewchange",function(e){"carousel"===e.detail.view&&"number"==typeof e.detail.index&&l(s=e.detail.index)}))}function l(t){[1,2].forEach(function(e){e=t+e;e<a&&i(r[e])}),0<t&&i(r[t-1])}function i(e){e&&(e=e.querySelector("img"))&&!e.complete&&e.hasAttribute("loading")&&e.removeAttribute("loading")}function u(e){var t;(e=Math.max(0,Math.min(e,a-1)))!==s&&(t=r[e])&&(t.scrollIntoView({behavior:"smooth",block:"nearest",inline:"center"}),l(s=e))}function c(e){u(s+e)}function d(){for(var e=o.getBoundingClientRect(),t=e.left+e.width/2,n=0;n<a;n++){var i=r[n].getBoundingClientRect();if(i.left<=t&&i.right>=t){n!==s&&l(s=n);break}}}function h(e){var t;0!==s&&(s===a-1||(t=(t=o.getBoundingClientRect()).left+t.width/2,e.clientX<t))?c(-1):c(1)}function m(e){e.preventDefault(),o.style.scrollSnapType="none",o.scrollLeft+=e.deltaY}function p(e){switch(e.key){case"ArrowRight":case"ArrowDown":e.preventDefault(),c(1);break;case"ArrowLeft":case"ArrowUp":e.preventDefault(),c(-1);break;case"Home":e.preventDefault(),u(0);break;case"End":e.preventDefault(),u(a-1)}}e&&(o=e.querySelector(".portfolio-gallery"),r=o.querySelectorAll(".kg-image-card"),s=0,a=r.length,"loading"===document.readyState?document.addEventListener("DOMContentLoaded",n):n())})(),$(function(){feed()});
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Feed bundle - home, tag and author pages
+ * The post feed in a Masonry grid (feed-grid.js), with "Load more" pagination
+ * (feed-paginator.js) and tag filter chips (feed-filter.js).
+ */
+import '@tryghost/shared-theme-assets/assets/js/v1/main.js';
+import FeedFilter from './lib/feed-filter.js';
+import FeedPaginator from './lib/feed-paginator.js';
+import PictureManifest from './lib/picture-manifest.js';
+import {layoutFeed, whenSized, feedLightbox} from './lib/feed-grid.js';
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', feed);
+} else {
+    feed();
+}
+
+function feed() {
+    var grid = document.querySelector('.post-feed');
+    if (!grid) return;
+
+    // Fewest posts a tag filter shows before more pages are loaded
+    var MIN_FILTERED_ITEMS = 12;
+
+    layoutFeed(grid, function (masonry) {
+        var paginator = FeedPaginator.create(grid, {
+            feedSelector: '.gh-feed',
+            itemSelector: '.grid-item:not(.grid-sizer)',
+        });
+
+        var filter = FeedFilter.create(grid, {
+            itemSelector: '.grid-item:not(.grid-sizer)',
+        });
+
+        // Hide other tags' posts (Masonry's hiddenStyle), bring back matching
+        // ones and close the gaps - only items whose state changes animate
+        function applyFilter() {
+            var shown = [];
+            var hidden = [];
+
+            grid.querySelectorAll('.grid-item:not(.grid-sizer)').forEach(function (item) {
+                var isMatch = filter.matches(item);
+                if (isMatch !== item.classList.contains('is-filtered-out')) return;
+
+                item.classList.toggle('is-filtered-out', !isMatch);
+
+                if (isMatch) {
+                    masonry.unignore(item);
+                    item.style.visibility = 'visible';
+                    shown.push(item);
+                } else {
+                    masonry.ignore(item);
+                    hidden.push(item);
+                }
+            });
+
+            masonry.hideItemElements(hidden);
+            masonry.revealItemElements(shown);
+            masonry.layout();
+        }
+
+        // A filter that leaves only a few posts pulls in more pages
+        function fillFilter() {
+            if (!filter.getTag() || !paginator.hasMore()) return;
+
+            if (grid.querySelectorAll('.grid-item:not(.grid-sizer):not(.is-filtered-out)').length < MIN_FILTERED_ITEMS) {
+                paginator.loadNext();
+            }
+        }
+
+        filter.on('change', function () {
+            applyFilter();
+            fillFilter();
+            paginator.check();
+        });
+
+        // Lay out each page once its images have their sizes, then let the
+        // paginator carry on (or scroll back to where a restored feed was left)
+        paginator.on('append', function (event) {
+            var items = event.items;
+
+            items.forEach(function (item) {
+                item.style.visibility = 'hidden';
+            });
+
+            PictureManifest.apply(items);
+
+            filter.add(items);
+
+            whenSized(items, function () {
+                masonry.appended(items);
+                applyFilter();
+                items.forEach(function (item) {
+                    if (!item.classList.contains('is-filtered-out')) {
+                        item.style.visibility = 'visible';
+                    }
+                });
+                fillFilter();
+                paginator.check();
+            });
+        });
+
+        if (filter.getTag()) {
+            applyFilter();
+        }
+
+        paginator.start();
+        fillFilter();
+    });
+
+    feedLightbox(
+        '.post-feed',
+        '.post',
+        '.post-lightbox',
+        '.post-caption'
+    );
+}
@@ -0,0 +1,223 @@
+/**
+ * Feed Filter - Tag chips for the post feed
+ * Builds a chip for every primary tag (series) in the feed, and one for "All", in the
+ * .feed-filter nav. Items carry their tag as data-tag / data-tag-name (loop.hbs).
+ * The chosen tag is kept in the URL query (?tag=slug) so it survives reloads and Back.
+ * Laying out what is shown is up to the feed - see feed() in feed.js.
+ *
+ * Usage:
+ *   var filter = FeedFilter.create(feedElement, {itemSelector: '.grid-item'});
+ *   filter.on('change', function(state) { ... state.tag ... });
+ *   filter.add(items);       - Register tags of items appended later
+ *   filter.matches(item);    - Whether an item is shown under the current filter
+ *   filter.select('travel'); - Choose a tag (null for all)
+ */
+var FeedFilter = (function() {
+    // URL query parameter holding the chosen tag
+    var PARAM = 'tag';
+
+    /**
+     * Read the chosen tag from the URL - null for none, or one that isn't valid encoding (?tag=%)
+     */
+    function readTag() {
+        var match = new RegExp('[?&]' + PARAM + '=([^&#]*)').exec(window.location.search);
+        if (!match) return null;
+
+        try {
+            return decodeURIComponent(match[1].replace(/\+/g, ' '));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Put the chosen tag in the URL without adding a history entry
+     */
+    function writeTag(tag) {
+        var params = window.location.search.replace(/^\?/, '').split('&').filter(function(param) {
+            return param && param.split('=')[0] !== PARAM;
+        });
+
+        if (tag) {
+            params.push(PARAM + '=' + encodeURIComponent(tag));
+        }
+
+        var url = window.location.pathname + (params.length ? '?' + params.join('&') : '') + window.location.hash;
+        history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Filter a feed by tag
+     */
+    function create(feed, options) {
+        options = options || {};
+
+        var itemSelector = options.itemSelector || '.grid-item';
+
+        // DOM elements
+        var nav = feed.parentNode.querySelector('.feed-filter');
+
+        // State
+        var listeners = { change: [] };
+        var tags = []; // {slug, name, chip} in order of first appearance
+        var currentTag = readTag();
+
+        /**
+         * Call listeners for an event
+         */
+        function emit(event, state) {
+            listeners[event].slice().forEach(function(handler) {
+                handler(state);
+            });
+        }
+
+        /**
+         * Subscribe to an event
+         */
+        function on(event, handler) {
+            if (!listeners[event] || typeof handler !== 'function') return;
+
+            listeners[event].push(handler);
+        }
+
+        /**
+         * Unsubscribe from an event
+         */
+        function off(event, handler) {
+            if (!listeners[event]) return;
+
+            listeners[event] = listeners[event].filter(function(fn) {
+                return fn !== handler;
+            });
+        }
+
+        /**
+         * Find a registered tag
+         */
+        function findTag(slug) {
+            for (var i = 0; i < tags.length; i++) {
+                if (tags[i].slug === slug) return tags[i];
+            }
+            return null;
+        }
+
+        /**
+         * Create a chip button
+         */
+        function createChip(slug, name) {
+            var chip = document.createElement('button');
+            chip.className = 'feed-filter-chip';
+            chip.type = 'button';
+            chip.textContent = name;
+            chip.setAttribute('data-tag', slug || '');
+            chip.setAttribute('aria-pressed', (slug || null) === currentTag ? 'true' : 'false');
+
+            nav.appendChild(chip);
+            return chip;
+        }
+
+        /**
+         * Register a tag, adding its chip - or naming one created from the URL
+         */
+        function addTag(slug, name) {
+            var tag = findTag(slug);
+
+            if (tag) {
+                if (name && tag.name === tag.slug) {
+                    tag.name = name;
+                    tag.chip.textContent = name;
+                }
+                return;
+            }
+
+            tags.push({
+                slug: slug,
+                name: name || slug,
+                chip: nav ? createChip(slug, name || slug) : null
+            });
+        }
+
+        /**
+         * Register the tags of some items
+         */
+        function add(items) {
+            Array.prototype.forEach.call(items, function(item) {
+                var slug = item.getAttribute('data-tag');
+                if (slug) {
+                    addTag(slug, item.getAttribute('data-tag-name'));
+                }
+            });
+
+            // Nothing to choose between with a single tag (the chosen one always shows)
+            if (nav) {
+                nav.hidden = tags.length < 2 && !currentTag;
+            }
+        }
+
+        /**
+         * Check whether an item is shown under the current filter
+         */
+        function matches(item) {
+            return !currentTag || item.getAttribute('data-tag') === currentTag;
+        }
+
+        /**
+         * Choose a tag (null or '' for all)
+         */
+        function select(tag) {
+            tag = tag || null;
+            if (tag === currentTag) return;
+
+            var previousTag = currentTag;
+            currentTag = tag;
+
+            if (nav) {
+                Array.prototype.forEach.call(nav.querySelectorAll('.feed-filter-chip'), function(chip) {
+                    chip.setAttribute('aria-pressed', (chip.getAttribute('data-tag') || null) === tag ? 'true' : 'false');
+                });
+            }
+
+            writeTag(tag);
+            emit('change', { tag: tag, previousTag: previousTag });
+        }
+
+        /**
+         * Handle chip clicks
+         */
+        function handleClick(e) {
+            var chip = e.target.closest('.feed-filter-chip');
+            if (!chip) return;
+
+            select(chip.getAttribute('data-tag'));
+        }
+
+        if (nav) {
+            createChip(null, 'All');
+            nav.addEventListener('click', handleClick);
+        }
+
+        // A tag from the URL gets a chip even before any of its posts are loaded
+        if (currentTag) {
+            addTag(currentTag, null);
+        }
+
+        add(feed.querySelectorAll(itemSelector));
+
+        return {
+            add: add,
+            matches: matches,
+            select: select,
+            on: on,
+            off: off,
+            getTag: function() {
+                return currentTag;
+            }
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
+
+export default FeedFilter;
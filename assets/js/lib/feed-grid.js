@@ -0,0 +1,119 @@
+/**
+ * Feed Grid - Masonry layout and lightbox for a feed of posts
+ * Used by the home feed (feed.js), which adds pagination and tag filters on top,
+ * and by the related posts under an article (post.js).
+ *
+ * Usage:
+ *   layoutFeed(grid, function(masonry) { ... })   - fn runs once the first layout is done
+ *   whenSized(elements, fn)                       - fn runs once their images have sizes
+ *   feedLightbox(container, element, trigger, caption)
+ */
+import Masonry from 'masonry-layout';
+import ImagePlaceholder from './image-placeholder.js';
+import PhotoLightbox from './photo-lightbox.js';
+import PictureManifest from './picture-manifest.js';
+
+// Lay out a feed with Masonry once its images have their sizes
+export function layoutFeed(grid, done) {
+    PictureManifest.apply(grid);
+
+    whenSized(grid, function () {
+        var masonry = new Masonry(grid, {
+            itemSelector: '.grid-item',
+            columnWidth: '.grid-sizer',
+            stamp: '.related-title',
+            hiddenStyle: {transform: 'translateY(50px)', opacity: 0},
+            visibleStyle: {transform: 'translateY(0)', opacity: 1},
+        });
+
+        masonry.on('layoutComplete', function () {
+            grid.classList.add('initialized');
+        });
+
+        masonry.layout();
+
+        if (done) {
+            done(masonry);
+        }
+    });
+}
+
+// Run done once the feed images have their aspect ratios (image-placeholder.js),
+// behind blur-up placeholders while they load
+export function whenSized(elements, done) {
+    var roots = elements.length !== undefined ? Array.prototype.slice.call(elements) : [elements];
+    var placeholders = [];
+
+    roots.forEach(function (root) {
+        root.querySelectorAll('.post-image').forEach(function (img) {
+            placeholders.push(ImagePlaceholder.attach(img, img.closest('.post-link') || img.parentNode));
+        });
+    });
+
+    Promise.all(placeholders).then(done);
+}
+
+// Size of the full image for the lightbox: the thumbnail's aspect ratio (its width/height,
+// from the image manifest or placeholder, else the loaded file) at the widest srcset candidate
+function getFullSize(thumbEl, srcset) {
+    var ratioWidth = thumbEl && (parseInt(thumbEl.getAttribute('width'), 10) || thumbEl.naturalWidth);
+    var ratioHeight = thumbEl && (parseInt(thumbEl.getAttribute('height'), 10) || thumbEl.naturalHeight);
+    if (!ratioWidth || !ratioHeight) return {};
+
+    var widths = (srcset || '').split(',').map(function (candidate) {
+        var match = /\s(\d+)w\s*$/.exec(candidate);
+        return match ? parseInt(match[1], 10) : 0;
+    });
+    var width = Math.max.apply(null, widths.concat(ratioWidth));
+
+    return {width: width, height: Math.round(width * ratioHeight / ratioWidth)};
+}
+
+export function feedLightbox(container, element, trigger, caption) {
+    // Build lightbox items from the posts in one feed
+    var getItems = function (feedEl) {
+        var items = [];
+
+        feedEl.querySelectorAll(element).forEach(function (postEl) {
+            var linkEl = postEl.querySelector(trigger);
+            if (!linkEl || postEl.closest('.is-filtered-out')) return;
+
+            var thumbEl = postEl.querySelector('img');
+            var captionEl = caption ? postEl.querySelector(caption) : null;
+            var size = getFullSize(thumbEl, linkEl.getAttribute('data-srcset'));
+
+            items.push({
+                el: postEl,
+                src: linkEl.getAttribute('href'),
+                srcset: linkEl.getAttribute('data-srcset'),
+                width: size.width,
+                height: size.height,
+                msrc: thumbEl ? thumbEl.currentSrc || thumbEl.src : null,
+                alt: thumbEl ? thumbEl.alt : '',
+                caption: captionEl ? captionEl.innerHTML : '',
+            });
+        });
+
+        return items;
+    };
+
+    var onTriggerClick = function (e) {
+        var triggerEl = e.target.closest(trigger);
+        if (!triggerEl) return;
+
+        e.preventDefault();
+
+        var feedEl = e.currentTarget;
+        var postEl = triggerEl.closest(element);
+        var items = getItems(feedEl);
+        var index = items.findIndex(function (item) {
+            return item.el === postEl;
+        });
+
+        PhotoLightbox.open(items, Math.max(index, 0));
+    };
+
+    document.querySelectorAll(container).forEach(function (feedEl) {
+        feedEl.addEventListener('click', onTriggerClick);
+    });
+}
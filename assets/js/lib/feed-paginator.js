@@ -0,0 +1,476 @@
+/**
+ * Feed Paginator - Infinite scroll for the post feed
+ * Fetches Ghost's /page/N/ archives as the end of the feed comes into view and appends
+ * their items. A loading state, a retry on network errors and a "Load more" fallback
+ * (for browsers without IntersectionObserver, or after an error) live in .feed-pagination
+ * below the feed, whose "Load more" link also works without JavaScript.
+ *
+ * Loaded pages and the scroll position are kept in sessionStorage, so coming Back
+ * from a post shows the same feed at the same place.
+ *
+ * Usage:
+ *   var paginator = FeedPaginator.create(feedElement, {feedSelector: '.gh-feed', itemSelector: '.grid-item'});
+ *   (feedSelector finds the feed in fetched pages; itemSelector its items)
+ *   paginator.on('append', function(event) { ... paginator.check(); });
+ *   paginator.start();
+ *
+ * Events (handler gets one object):
+ *   append  - {items, page, restored} - Items were added to the feed. Call check() once
+ *             they are laid out; it continues loading (and restores the scroll position)
+ *   loading - {page}                  - A page request started
+ *   error   - {page, error}           - A page failed to load; retry() tries again
+ *   end     - {page}                  - The last page has been loaded
+ */
+var FeedPaginator = (function() {
+    // Start loading this far before the end of the feed is on screen (px)
+    var PRELOAD_DISTANCE = 800;
+
+    var STORAGE_PREFIX = 'feed-paginator:';
+
+    var MESSAGES = {
+        loading: 'Loading more posts…',
+        error: 'Couldn’t load more posts.',
+        retry: 'Try again'
+    };
+
+    /**
+     * Path of an archive without its /page/N/ part, and the page it is on
+     */
+    function parsePath(pathname) {
+        var match = /^(.*\/)page\/(\d+)\/?$/.exec(pathname);
+
+        if (!match) {
+            return { base: pathname.replace(/\/?$/, '/'), page: 1 };
+        }
+
+        return { base: match[1], page: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Check whether this page load came from the Back/Forward buttons
+     */
+    function isBackForward() {
+        var entries = window.performance && performance.getEntriesByType ?
+            performance.getEntriesByType('navigation') : [];
+
+        if (entries.length) {
+            return entries[0].type === 'back_forward';
+        }
+
+        // Older browsers - deprecated performance.navigation
+        return !!(window.performance && performance.navigation && performance.navigation.type === 2);
+    }
+
+    /**
+     * Let the browser restore the scroll position, or ('manual') leave it to the paginator
+     */
+    function setScrollRestoration(value) {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = value;
+        }
+    }
+
+    /**
+     * Check whether sessionStorage can be used (it throws when disabled)
+     */
+    function canStore() {
+        try {
+            sessionStorage.setItem(STORAGE_PREFIX, '1');
+            sessionStorage.removeItem(STORAGE_PREFIX);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Read saved state, or null
+     */
+    function readState(key) {
+        try {
+            return JSON.parse(sessionStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Save state - without the page markup if it doesn't fit
+     */
+    function writeState(key, state) {
+        try {
+            sessionStorage.setItem(key, JSON.stringify(state));
+        } catch (e) {
+            try {
+                sessionStorage.setItem(key, JSON.stringify({
+                    page: state.page,
+                    hasMore: state.hasMore,
+                    scrollY: state.scrollY,
+                    html: null
+                }));
+            } catch (err) {
+                // Storage disabled - Back simply starts from the first page
+            }
+        }
+    }
+
+    /**
+     * Paginate a feed
+     */
+    function create(feed, options) {
+        options = options || {};
+
+        var feedSelector = options.feedSelector || '.gh-feed';
+        var itemSelector = options.itemSelector || '.grid-item';
+        var location = parsePath(window.location.pathname);
+        var storageKey = STORAGE_PREFIX + location.base;
+
+        // DOM elements
+        var pagination = feed.parentNode.querySelector('.feed-pagination');
+        var moreLink = pagination && pagination.querySelector('.feed-more');
+        var status = null;
+        var retryBtn = null;
+
+        // State
+        var listeners = { append: [], loading: [], error: [], end: [] };
+        var page = location.page;
+        var hasMore = !!document.querySelector('link[rel="next"]') || !!moreLink;
+        var isLoading = false;
+        var failedPage = null;
+        var pendingScrollY = null;
+        var restorePage = 0;
+        var observer = null;
+        var savedHtml = [];
+
+        /**
+         * Call listeners for an event
+         */
+        function emit(event, data) {
+            listeners[event].slice().forEach(function(handler) {
+                handler(data);
+            });
+        }
+
+        /**
+         * Subscribe to an event
+         */
+        function on(event, handler) {
+            if (!listeners[event] || typeof handler !== 'function') return;
+
+            listeners[event].push(handler);
+        }
+
+        /**
+         * Unsubscribe from an event
+         */
+        function off(event, handler) {
+            if (!listeners[event]) return;
+
+            listeners[event] = listeners[event].filter(function(fn) {
+                return fn !== handler;
+            });
+        }
+
+        /**
+         * URL of an archive page
+         */
+        function getPageUrl(number) {
+            return window.location.origin + location.base + 'page/' + number + '/';
+        }
+
+        /**
+         * Build the status line and retry button
+         */
+        function buildStatus() {
+            status = document.createElement('p');
+            status.className = 'feed-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+
+            retryBtn = document.createElement('button');
+            retryBtn.className = 'feed-retry';
+            retryBtn.type = 'button';
+            retryBtn.textContent = MESSAGES.retry;
+            retryBtn.addEventListener('click', retry);
+
+            pagination.insertBefore(status, pagination.firstChild);
+            pagination.appendChild(retryBtn);
+        }
+
+        /**
+         * Show the current state below the feed
+         */
+        function render() {
+            if (!pagination) return;
+
+            pagination.classList.toggle('is-loading', isLoading);
+            pagination.classList.toggle('is-error', failedPage !== null);
+            pagination.classList.toggle('is-done', !hasMore);
+
+            if (isLoading) {
+                status.textContent = MESSAGES.loading;
+            } else if (failedPage !== null) {
+                status.textContent = MESSAGES.error;
+            } else {
+                status.textContent = '';
+            }
+
+            if (moreLink && hasMore) {
+                moreLink.href = getPageUrl(page + 1);
+            }
+        }
+
+        /**
+         * Add items from saved or fetched markup to the feed
+         */
+        function appendHtml(html, number, restored) {
+            var body = new DOMParser().parseFromString(html, 'text/html').body;
+            var fragment = document.createDocumentFragment();
+            var items = [];
+
+            Array.prototype.forEach.call(body.children, function(child) {
+                var item = document.importNode(child, true);
+                fragment.appendChild(item);
+                items.push(item);
+            });
+
+            feed.appendChild(fragment);
+
+            emit('append', { items: items, page: number, restored: restored });
+        }
+
+        /**
+         * Markup of just the feed items of a fetched page - what gets saved
+         */
+        function getItemsHtml(doc) {
+            var source = doc.querySelector(feedSelector);
+            if (!source) return '';
+
+            return Array.prototype.filter.call(source.children, function(child) {
+                return child.matches(itemSelector);
+            }).map(function(child) {
+                return child.outerHTML;
+            }).join('');
+        }
+
+        /**
+         * Fetch and append the next page
+         */
+        function loadNext() {
+            if (isLoading || !hasMore) return Promise.resolve();
+
+            var number = page + 1;
+
+            isLoading = true;
+            failedPage = null;
+            render();
+            emit('loading', { page: number });
+
+            return fetch(getPageUrl(number), { credentials: 'same-origin' })
+                .then(function(response) {
+                    // Past the last page
+                    if (response.status === 404) return null;
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+
+                    return response.text();
+                })
+                .then(function(html) {
+                    isLoading = false;
+
+                    if (html === null) {
+                        finish();
+                        return;
+                    }
+
+                    var doc = new DOMParser().parseFromString(html, 'text/html');
+                    var itemsHtml = getItemsHtml(doc);
+
+                    page = number;
+                    hasMore = !!doc.querySelector('link[rel="next"]');
+                    savedHtml.push(itemsHtml);
+                    save();
+
+                    render();
+                    appendHtml(itemsHtml, number, false);
+
+                    if (!hasMore) {
+                        finish();
+                    }
+                })
+                .catch(function(error) {
+                    isLoading = false;
+                    failedPage = number;
+                    render();
+                    emit('error', { page: number, error: error });
+                });
+        }
+
+        /**
+         * Try the page that failed again
+         */
+        function retry() {
+            if (failedPage === null) return Promise.resolve();
+
+            return loadNext();
+        }
+
+        /**
+         * Stop paginating after the last page
+         */
+        function finish() {
+            hasMore = false;
+            render();
+
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+
+            save();
+            emit('end', { page: page });
+        }
+
+        /**
+         * Load the next page if the end of the feed is near the viewport
+         * Call once appended items are laid out
+         */
+        function check() {
+            if (pendingScrollY !== null && page >= restorePage) {
+                window.scrollTo(0, pendingScrollY);
+                pendingScrollY = null;
+            }
+
+            if (!observer || isLoading || failedPage !== null) return;
+
+            if (pagination.getBoundingClientRect().top <= window.innerHeight + PRELOAD_DISTANCE) {
+                loadNext();
+            }
+        }
+
+        /**
+         * Save loaded pages and the scroll position for Back
+         */
+        function save() {
+            writeState(storageKey, {
+                page: page,
+                hasMore: hasMore,
+                scrollY: window.pageYOffset,
+                html: savedHtml
+            });
+        }
+
+        /**
+         * Bring back the pages loaded before leaving, then the scroll position
+         */
+        function restore() {
+            var state = readState(storageKey);
+            if (!state) return;
+
+            // Scroll is restored by hand once the restored pages are in
+            setScrollRestoration('manual');
+
+            // Nothing was appended - the feed is already laid out
+            if (!(state.page > page)) {
+                window.scrollTo(0, state.scrollY || 0);
+                return;
+            }
+
+            // Scrolled to in check(), once the last restored page is laid out
+            pendingScrollY = state.scrollY || 0;
+            restorePage = state.page;
+
+            if (state.html && state.html.length === state.page - page) {
+                var firstPage = page;
+
+                page = state.page;
+                hasMore = state.hasMore;
+                savedHtml = state.html.slice();
+
+                state.html.forEach(function(html, offset) {
+                    appendHtml(html, firstPage + offset + 1, true);
+                });
+                return;
+            }
+
+            // Markup didn't fit in storage - fetch the pages again
+            (function next() {
+                if (page >= restorePage || !hasMore || failedPage !== null) return;
+                loadNext().then(next);
+            })();
+        }
+
+        /**
+         * Start watching the end of the feed
+         */
+        function start() {
+            // A single page (or a related-posts feed) - the browser restores the scroll itself.
+            // Without fetch the "Load more" link simply opens the next page
+            if (!hasMore || typeof fetch === 'undefined') return;
+
+            if (pagination) {
+                buildStatus();
+
+                if (moreLink) {
+                    moreLink.addEventListener('click', function(e) {
+                        e.preventDefault();
+                        loadNext();
+                    });
+                }
+            }
+
+            if (canStore()) {
+                if (isBackForward()) {
+                    restore();
+                } else {
+                    // A fresh load or a reload - the browser keeps its place on the first page
+                    setScrollRestoration('auto');
+                    sessionStorage.removeItem(storageKey);
+                }
+
+                window.addEventListener('pagehide', save);
+            }
+
+            // Every page came back from storage
+            if (!hasMore) {
+                finish();
+                return;
+            }
+
+            render();
+
+            // Without IntersectionObserver the "Load more" link stays in charge
+            if (pagination && typeof IntersectionObserver !== 'undefined') {
+                pagination.classList.add('is-infinite');
+
+                observer = new IntersectionObserver(function(entries) {
+                    if (entries[0].isIntersecting && failedPage === null) {
+                        loadNext();
+                    }
+                }, { rootMargin: '0px 0px ' + PRELOAD_DISTANCE + 'px 0px' });
+
+                observer.observe(pagination);
+            }
+        }
+
+        return {
+            start: start,
+            loadNext: loadNext,
+            retry: retry,
+            check: check,
+            on: on,
+            off: off,
+            getPage: function() {
+                return page;
+            },
+            hasMore: function() {
+                return hasMore;
+            }
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
+
+export default FeedPaginator;
@@ -0,0 +1,317 @@
+/**
+ * Grid Layout - Dependency-free image grid layouts
+ * Positions the items of a grid absolutely from their images' aspect ratios, and lays
+ * them out again whenever the grid's width changes. DOM order - and so reading and
+ * tab order - is never changed.
+ *
+ * Layouts:
+ *   masonry   - Equal-width columns, items placed left to right (like Masonry's horizontalOrder)
+ *   justified - Rows of equal height filling the full width, in reading order (contact sheet)
+ *   square    - Uniform square cells; images are cropped to fill them (object-fit: cover)
+ *
+ * Sizes come from CSS custom properties on the grid, so breakpoints stay in the stylesheet:
+ *   --grid-columns="3"       - Columns for masonry and square
+ *   --grid-gap="32px"        - Space between items, both ways
+ *   --grid-row-height="320px" - Target row height for justified
+ *
+ * Usage:
+ *   var layout = GridLayout.create(element, {layout: 'justified', itemSelector: '.item'});
+ *   layout.layout(); layout.destroy();
+ *   (the aspect ratio of an item comes from its img's width/height attributes,
+ *    or the loaded image's natural size)
+ */
+var GridLayout = (function() {
+    var LAYOUTS = ['masonry', 'justified', 'square'];
+
+    // Used when a value isn't set in CSS
+    var DEFAULT_COLUMNS = 3;
+    var DEFAULT_GAP = 32; // px
+    var DEFAULT_ROW_HEIGHT = 320; // px
+
+    // Aspect ratio of an item whose image hasn't said yet
+    var FALLBACK_RATIO = 1.5;
+
+    /**
+     * Check whether a layout name is supported
+     */
+    function isLayout(name) {
+        return LAYOUTS.indexOf(name) !== -1;
+    }
+
+    /**
+     * Read a numeric property (e.g. a custom property) from a computed style
+     */
+    function readNumber(style, name, fallback) {
+        var value = parseFloat(style.getPropertyValue(name));
+        return isNaN(value) || value < 0 ? fallback : value;
+    }
+
+    /**
+     * Width over height of an item's image
+     */
+    function getRatio(item) {
+        var img = item.querySelector('img');
+        if (!img) return FALLBACK_RATIO;
+
+        var width = parseFloat(img.getAttribute('width')) || img.naturalWidth;
+        var height = parseFloat(img.getAttribute('height')) || img.naturalHeight;
+
+        return width && height ? width / height : FALLBACK_RATIO;
+    }
+
+    /**
+     * Columns of equal width, each item under the one a row above it
+     */
+    function layoutMasonry(ratios, width, options) {
+        var columns = Math.max(1, Math.round(options.columns));
+        var columnWidth = (width - options.gap * (columns - 1)) / columns;
+        var columnHeights = [];
+        var boxes;
+
+        for (var column = 0; column < columns; column++) {
+            columnHeights.push(0);
+        }
+
+        boxes = ratios.map(function(ratio, index) {
+            var column = index % columns;
+            var height = columnWidth / ratio;
+            var box = {
+                left: column * (columnWidth + options.gap),
+                top: columnHeights[column],
+                width: columnWidth,
+                height: height
+            };
+
+            columnHeights[column] += height + options.gap;
+            return box;
+        });
+
+        return {
+            boxes: boxes,
+            height: Math.max(0, Math.max.apply(null, columnHeights) - options.gap)
+        };
+    }
+
+    /**
+     * Rows scaled to fill the width exactly; the last row keeps the target height
+     */
+    function layoutJustified(ratios, width, options) {
+        var boxes = [];
+        var top = 0;
+        var row = [];
+        var rowRatio = 0;
+
+        /**
+         * Position the items in the current row at a given height
+         */
+        function placeRow(height) {
+            var left = 0;
+
+            row.forEach(function(index) {
+                var itemWidth = ratios[index] * height;
+
+                boxes[index] = { left: left, top: top, width: itemWidth, height: height };
+                left += itemWidth + options.gap;
+            });
+
+            top += height + options.gap;
+            row = [];
+            rowRatio = 0;
+        }
+
+        ratios.forEach(function(ratio, index) {
+            row.push(index);
+            rowRatio += ratio;
+
+            var gaps = options.gap * (row.length - 1);
+
+            // Full once the row is at least as wide as the grid at the target height
+            if (rowRatio * options.rowHeight + gaps >= width) {
+                placeRow((width - gaps) / rowRatio);
+            }
+        });
+
+        // Last row - don't stretch a few images to the full width
+        if (row.length) {
+            placeRow(Math.min(options.rowHeight, (width - options.gap * (row.length - 1)) / rowRatio));
+        }
+
+        return {
+            boxes: boxes,
+            height: Math.max(0, top - options.gap)
+        };
+    }
+
+    /**
+     * Square cells in equal columns
+     */
+    function layoutSquare(ratios, width, options) {
+        var columns = Math.max(1, Math.round(options.columns));
+        var size = (width - options.gap * (columns - 1)) / columns;
+        var rows = Math.ceil(ratios.length / columns);
+
+        return {
+            boxes: ratios.map(function(ratio, index) {
+                return {
+                    left: (index % columns) * (size + options.gap),
+                    top: Math.floor(index / columns) * (size + options.gap),
+                    width: size,
+                    height: size
+                };
+            }),
+            height: Math.max(0, rows * (size + options.gap) - options.gap)
+        };
+    }
+
+    var LAYOUT_FUNCTIONS = {
+        masonry: layoutMasonry,
+        justified: layoutJustified,
+        square: layoutSquare
+    };
+
+    /**
+     * Lay out an element's items and keep them laid out
+     */
+    function create(element, options) {
+        var name = isLayout(options.layout) ? options.layout : LAYOUTS[0];
+        var itemSelector = options.itemSelector;
+        var lastWidth = 0;
+        var frame = null;
+        var resizeObserver = null;
+
+        /**
+         * Position every item for the grid's current width
+         */
+        function layout() {
+            var clientWidth = element.clientWidth;
+
+            // Hidden (display: none) - lay out once shown
+            if (!clientWidth) return;
+
+            // Absolute positions start at the padding edge - lay out inside the padding
+            var style = getComputedStyle(element);
+            var padding = {
+                top: readNumber(style, 'padding-top', 0),
+                right: readNumber(style, 'padding-right', 0),
+                bottom: readNumber(style, 'padding-bottom', 0),
+                left: readNumber(style, 'padding-left', 0)
+            };
+
+            var items = element.querySelectorAll(itemSelector);
+            var width = clientWidth - padding.left - padding.right;
+            var result = LAYOUT_FUNCTIONS[name](Array.prototype.map.call(items, getRatio), width, {
+                columns: readNumber(style, '--grid-columns', DEFAULT_COLUMNS),
+                gap: readNumber(style, '--grid-gap', DEFAULT_GAP),
+                rowHeight: readNumber(style, '--grid-row-height', DEFAULT_ROW_HEIGHT)
+            });
+
+            Array.prototype.forEach.call(items, function(item, index) {
+                var box = result.boxes[index];
+
+                item.style.position = 'absolute';
+                item.style.left = (padding.left + box.left) + 'px';
+                item.style.top = (padding.top + box.top) + 'px';
+                item.style.width = box.width + 'px';
+                item.style.height = box.height + 'px';
+            });
+
+            element.style.height = style.boxSizing === 'border-box' ?
+                (padding.top + result.height + padding.bottom) + 'px' :
+                result.height + 'px';
+            lastWidth = clientWidth;
+
+            // Move items smoothly on later layouts, but not into their first positions
+            if (!element.classList.contains('is-laid-out')) {
+                requestAnimationFrame(function() {
+                    element.classList.add('is-laid-out');
+                });
+            }
+        }
+
+        /**
+         * Lay out on the next frame, once however many changes come in
+         */
+        function scheduleLayout() {
+            if (frame) return;
+
+            frame = requestAnimationFrame(function() {
+                frame = null;
+                layout();
+            });
+        }
+
+        /**
+         * Re-lay out when the grid's width changes
+         */
+        function handleResize() {
+            if (element.clientWidth !== lastWidth) {
+                scheduleLayout();
+            }
+        }
+
+        /**
+         * Re-lay out once an image without dimensions has loaded
+         */
+        function handleLoad(e) {
+            if (e.target.tagName === 'IMG' && !e.target.getAttribute('height')) {
+                scheduleLayout();
+            }
+        }
+
+        /**
+         * Stop laying out and hand the items back to the stylesheet
+         */
+        function destroy() {
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            } else {
+                window.removeEventListener('resize', handleResize);
+            }
+            element.removeEventListener('load', handleLoad, true);
+
+            if (frame) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+
+            Array.prototype.forEach.call(element.querySelectorAll(itemSelector), function(item) {
+                ['position', 'left', 'top', 'width', 'height'].forEach(function(property) {
+                    item.style[property] = '';
+                });
+            });
+
+            element.style.height = '';
+            element.classList.remove('grid-layout', 'grid-layout-' + name, 'is-laid-out');
+        }
+
+        element.classList.add('grid-layout', 'grid-layout-' + name);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            resizeObserver = new ResizeObserver(handleResize);
+            resizeObserver.observe(element);
+        } else {
+            window.addEventListener('resize', handleResize);
+        }
+
+        // Load events don't bubble - listen in the capture phase
+        element.addEventListener('load', handleLoad, true);
+
+        layout();
+
+        return {
+            layout: layout,
+            destroy: destroy,
+            getLayout: function() {
+                return name;
+            }
+        };
+    }
+
+    return {
+        create: create,
+        isLayout: isLayout,
+        LAYOUTS: LAYOUTS
+    };
+})();
+
+export default GridLayout;
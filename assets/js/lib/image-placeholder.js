@@ -0,0 +1,175 @@
+/**
+ * Image Placeholder - Blur-up placeholders while full images load
+ * Shows a tiny blurred copy of the image straight away, then cross-fades to the
+ * full image once it has loaded. The placeholder comes from (first match wins):
+ *   data-placeholder="data:image/..." on the img      - Any URL, e.g. a data URI
+ *   The image manifest (picture-manifest.js)          - Built by `gulp images`, with a dominant color
+ *   Ghost's xs image size (/content/images/size/w150/) - For everything uploaded to Ghost
+ *
+ * Usage:
+ *   ImagePlaceholder.attach(img, frame).then(fn)
+ *   (frame - element the image fills, which the placeholder covers; fn runs once
+ *    the image has its aspect ratio, so layouts like Masonry can be measured)
+ */
+import PictureManifest from './picture-manifest.js';
+
+var ImagePlaceholder = (function() {
+    // Matches the xs size in package.json config.image_sizes
+    var GHOST_SIZE = 'w150';
+
+    // Wait after the cross-fade before removing the placeholder (ms)
+    var FADE_DURATION = 400;
+
+    /**
+     * Ghost's xs size of a Ghost-hosted image, or null for other URLs
+     */
+    function getGhostSize(url) {
+        var match = /^(.*\/content\/images\/)(?:size\/[^/]+\/)?((?:\d{4}\/\d{2}\/)?[^/?#]+\.(?:jpe?g|png|webp|avif))([?#].*)?$/i.exec(url || '');
+        if (!match) return null;
+
+        return match[1] + 'size/' + GHOST_SIZE + '/' + match[2];
+    }
+
+    /**
+     * Check whether an image has already loaded
+     */
+    function isLoaded(img) {
+        return img.complete && img.naturalWidth > 0;
+    }
+
+    /**
+     * Check whether an image is done loading - loaded, or already failed (broken
+     * images fire no more load/error events, so nothing should wait for them)
+     */
+    function isSettled(img) {
+        return img.complete;
+    }
+
+    /**
+     * Check whether the image's box can be sized before it loads
+     */
+    function hasAspectRatio(img) {
+        return !!(img.getAttribute('width') && img.getAttribute('height'));
+    }
+
+    /**
+     * Give the image width/height attributes from a source's natural size
+     */
+    function setAspectRatio(img, width, height) {
+        if (hasAspectRatio(img)) return;
+        if (!width || !height) return;
+
+        img.setAttribute('width', width);
+        img.setAttribute('height', height);
+    }
+
+    /**
+     * Show a placeholder URL, resolving once the image has an aspect ratio
+     */
+    function showPlaceholder(img, placeholder, url) {
+        return new Promise(function(resolve) {
+            var probe = new Image();
+
+            probe.onload = function() {
+                setAspectRatio(img, probe.naturalWidth, probe.naturalHeight);
+                resolve();
+            };
+            probe.onerror = function() {
+                resolve();
+            };
+
+            placeholder.style.backgroundImage = 'url("' + url + '")';
+            probe.src = url;
+        });
+    }
+
+    /**
+     * Cross-fade from the placeholder to the full image
+     */
+    function reveal(frame, placeholder) {
+        frame.classList.add('is-loaded');
+
+        setTimeout(function() {
+            if (placeholder.parentNode) {
+                placeholder.parentNode.removeChild(placeholder);
+            }
+            frame.classList.remove('has-placeholder', 'is-loaded');
+        }, FADE_DURATION);
+    }
+
+    /**
+     * Add a placeholder to frame until img has loaded
+     */
+    function attach(img, frame) {
+        // Cached images paint straight away, broken ones never will - nothing to cover
+        if (!img || !frame || isSettled(img)) return Promise.resolve();
+
+        var placeholder = document.createElement('span');
+        placeholder.className = 'image-placeholder';
+        placeholder.setAttribute('aria-hidden', 'true');
+
+        frame.classList.add('has-placeholder');
+        frame.insertBefore(placeholder, frame.firstChild);
+
+        var ready = new Promise(function(resolve) {
+            function done() {
+                setAspectRatio(img, img.naturalWidth, img.naturalHeight);
+                img.removeEventListener('load', done);
+                img.removeEventListener('error', done);
+                reveal(frame, placeholder);
+                resolve();
+            }
+
+            img.addEventListener('load', done);
+            img.addEventListener('error', done);
+        });
+
+        var url = img.getAttribute('data-placeholder') || getGhostSize(img.getAttribute('src'));
+        var shown = url ? showPlaceholder(img, placeholder, url) : null;
+
+        // Built placeholders need the manifest; take over from Ghost's xs size if still loading
+        if (!img.getAttribute('data-placeholder')) {
+            var fromManifest = PictureManifest.load().then(function(manifest) {
+                var key = PictureManifest.getKey(img.getAttribute('src'));
+                var entry = key && manifest[key];
+                if (!entry) return;
+
+                if (entry.color) {
+                    placeholder.style.backgroundColor = entry.color;
+                }
+
+                setAspectRatio(img, entry.width, entry.height);
+
+                if (entry.placeholder && !isLoaded(img)) {
+                    return showPlaceholder(img, placeholder, entry.placeholder);
+                }
+            });
+
+            shown = shown || fromManifest;
+        }
+
+        if (hasAspectRatio(img)) {
+            return Promise.resolve();
+        }
+
+        if (!shown) {
+            return ready;
+        }
+
+        // Whichever gives the aspect ratio first - placeholder or the image itself
+        // (a placeholder that failed to load leaves it to the image)
+        return Promise.race([
+            shown.then(function() {
+                return hasAspectRatio(img) || isSettled(img) ? null : ready;
+            }),
+            ready
+        ]);
+    }
+
+    return {
+        attach: attach,
+        getGhostSize: getGhostSize
+    };
+})();
+
+export default ImagePlaceholder;
@@ -0,0 +1,255 @@
+/**
+ * Photo EXIF - Minimal JPEG EXIF reader for the browser
+ * Reads camera, lens, exposure, date and GPS position from the start of a JPEG.
+ * Only same-origin images can be read (cross-origin bytes are off limits without CORS).
+ *
+ * Usage:
+ *   PhotoExif.read(url).then(function(exif) { ... });  - null when unreadable or no EXIF
+ *   PhotoExif.parse(arrayBuffer)                       - Same, from bytes already in hand
+ *
+ * Result (fields missing from the file are left out):
+ *   {make, model, lens, exposureTime, fNumber, iso, focalLength, date, latitude, longitude}
+ */
+var PhotoExif = (function() {
+    // EXIF lives in APP1 near the start of the file - no need for the whole image
+    var READ_BYTES = 128 * 1024;
+
+    // Tag ids
+    var TAGS = {
+        make: 0x010F,
+        model: 0x0110,
+        exifPointer: 0x8769,
+        gpsPointer: 0x8825,
+        exposureTime: 0x829A,
+        fNumber: 0x829D,
+        iso: 0x8827,
+        dateTimeOriginal: 0x9003,
+        focalLength: 0x920A,
+        lensModel: 0xA434,
+        latitudeRef: 0x0001,
+        latitude: 0x0002,
+        longitudeRef: 0x0003,
+        longitude: 0x0004
+    };
+
+    // Bytes per component for each TIFF field type
+    var TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    /**
+     * Check whether a URL can be read from this page
+     */
+    function isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the start of a same-origin JPEG and parse its EXIF
+     */
+    function read(url) {
+        if (!url || !isSameOrigin(url) || !window.fetch) {
+            return Promise.resolve(null);
+        }
+
+        return fetch(url, { headers: { Range: 'bytes=0-' + (READ_BYTES - 1) } })
+            .then(function(response) {
+                return response.ok ? response.arrayBuffer() : null;
+            })
+            .then(function(buffer) {
+                return buffer ? parse(buffer) : null;
+            })
+            .catch(function() {
+                return null;
+            });
+    }
+
+    /**
+     * Find the EXIF block in JPEG bytes and read the tags we show
+     */
+    function parse(buffer) {
+        var view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+        var offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            var marker = view.getUint16(offset);
+            var length = view.getUint16(offset + 2);
+
+            // APP1 starting with "Exif\0\0"
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                return readTiff(view, offset + 10);
+            }
+
+            // Start of scan - image data follows, no more metadata
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+            offset += 2 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read IFD0, the EXIF sub-IFD and the GPS sub-IFD from a TIFF header
+     */
+    function readTiff(view, start) {
+        try {
+            var order = view.getUint16(start);
+            if (order !== 0x4949 && order !== 0x4D4D) return null;
+
+            var reader = {
+                view: view,
+                start: start,
+                little: order === 0x4949
+            };
+
+            var ifd0 = readIfd(reader, view.getUint32(start + 4, reader.little));
+            var exif = ifd0[TAGS.exifPointer] ? readIfd(reader, ifd0[TAGS.exifPointer]) : {};
+            var gps = ifd0[TAGS.gpsPointer] ? readIfd(reader, ifd0[TAGS.gpsPointer]) : {};
+
+            return clean({
+                make: ifd0[TAGS.make],
+                model: ifd0[TAGS.model],
+                lens: exif[TAGS.lensModel],
+                exposureTime: exif[TAGS.exposureTime],
+                fNumber: exif[TAGS.fNumber],
+                iso: exif[TAGS.iso],
+                focalLength: exif[TAGS.focalLength],
+                date: parseDate(exif[TAGS.dateTimeOriginal]),
+                latitude: toDegrees(gps[TAGS.latitude], gps[TAGS.latitudeRef], 'S'),
+                longitude: toDegrees(gps[TAGS.longitude], gps[TAGS.longitudeRef], 'W')
+            });
+        } catch (e) {
+            // Truncated or malformed block
+            return null;
+        }
+    }
+
+    /**
+     * Read every entry of an IFD into a {tag: value} map
+     */
+    function readIfd(reader, ifdOffset) {
+        var view = reader.view;
+        var base = reader.start + ifdOffset;
+        var count = view.getUint16(base, reader.little);
+        var values = {};
+
+        for (var i = 0; i < count; i++) {
+            var entry = base + 2 + i * 12;
+            var tag = view.getUint16(entry, reader.little);
+            var value = readValue(reader, entry);
+
+            if (value !== undefined) {
+                values[tag] = value;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Read an IFD entry's value - inline when it fits in 4 bytes, otherwise at an offset
+     */
+    function readValue(reader, entry) {
+        var view = reader.view;
+        var little = reader.little;
+        var type = view.getUint16(entry + 2, little);
+        var count = view.getUint32(entry + 4, little);
+        var size = TYPE_SIZES[type];
+        if (!size) return undefined;
+
+        var offset = size * count > 4 ? reader.start + view.getUint32(entry + 8, little) : entry + 8;
+        var values = [];
+
+        if (type === 2) {
+            return readString(view, offset, count);
+        }
+
+        for (var i = 0; i < count; i++) {
+            var at = offset + i * size;
+
+            switch (type) {
+                case 3:
+                    values.push(view.getUint16(at, little));
+                    break;
+                case 4:
+                    values.push(view.getUint32(at, little));
+                    break;
+                case 9:
+                    values.push(view.getInt32(at, little));
+                    break;
+                case 5:
+                    values.push(view.getUint32(at, little) / view.getUint32(at + 4, little));
+                    break;
+                case 10:
+                    values.push(view.getInt32(at, little) / view.getInt32(at + 4, little));
+                    break;
+                default:
+                    values.push(view.getUint8(at));
+            }
+        }
+
+        return count === 1 ? values[0] : values;
+    }
+
+    /**
+     * Read a NUL-terminated ASCII value
+     */
+    function readString(view, offset, count) {
+        var text = '';
+
+        for (var i = 0; i < count; i++) {
+            var code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+
+        return text.trim();
+    }
+
+    /**
+     * Turn "2024:05:12 14:03:22" into a Date (camera local time)
+     */
+    function parseDate(value) {
+        var match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return undefined;
+
+        return new Date(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+    }
+
+    /**
+     * Turn [degrees, minutes, seconds] and a hemisphere into signed decimal degrees
+     */
+    function toDegrees(parts, ref, negativeRef) {
+        if (!parts || parts.length !== 3) return undefined;
+
+        var degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+        if (isNaN(degrees)) return undefined;
+
+        return ref === negativeRef ? -degrees : degrees;
+    }
+
+    /**
+     * Drop empty fields
+     */
+    function clean(result) {
+        Object.keys(result).forEach(function(key) {
+            var value = result[key];
+            if (value === undefined || value === '' || (typeof value === 'number' && !isFinite(value))) {
+                delete result[key];
+            }
+        });
+
+        return Object.keys(result).length > 0 ? result : null;
+    }
+
+    return {
+        read: read,
+        parse: parse
+    };
+})();
+
+export default PhotoExif;
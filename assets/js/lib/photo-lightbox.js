@@ -0,0 +1,325 @@
+/**
+ * Photo Lightbox - Dependency-free fullscreen image viewer
+ * Replaces PhotoSwipe v4 + jQuery for the home feed (see feedLightbox in feed-grid.js).
+ * Sizes come from the items up front, so nothing is downloaded just to measure it;
+ * the full image is picked from srcset and fades in over the already-loaded thumbnail.
+ *
+ * Usage:
+ *   var viewer = PhotoLightbox.open(items, index, {onChange: fn, onClose: fn, container: el});
+ *   (container - element to mount in, e.g. a fullscreen element; defaults to body)
+ *   viewer.goTo(2); viewer.next(); viewer.prev(); viewer.close();
+ *
+ * Items:
+ *   {src, srcset, width, height, msrc (thumbnail shown while loading), alt, caption (HTML)}
+ */
+var PhotoLightbox = (function() {
+    var SWIPE_DISTANCE = 50; // px
+
+    var ICONS = {
+        close: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>',
+        prev: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>',
+        next: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>'
+    };
+
+    // DOM elements (built on first open, reused afterwards)
+    var root;
+    var image;
+    var caption;
+    var counter;
+    var prevBtn;
+    var nextBtn;
+    var closeBtn;
+
+    // State of the open viewer
+    var current = null;
+
+    /**
+     * Build the viewer markup
+     */
+    function build() {
+        root = document.createElement('div');
+        root.className = 'photo-lightbox';
+        root.setAttribute('role', 'dialog');
+        root.setAttribute('aria-modal', 'true');
+        root.setAttribute('aria-label', 'Image viewer');
+        root.setAttribute('tabindex', '-1');
+        root.hidden = true;
+
+        root.innerHTML =
+            '<div class="photo-lightbox-stage">' +
+                '<figure class="photo-lightbox-figure">' +
+                    '<img class="photo-lightbox-image" alt="">' +
+                    '<figcaption class="photo-lightbox-caption"></figcaption>' +
+                '</figure>' +
+            '</div>' +
+            '<div class="photo-lightbox-counter" aria-live="polite"></div>' +
+            '<button class="photo-lightbox-btn photo-lightbox-close" aria-label="Close" title="Close (Esc)">' + ICONS.close + '</button>' +
+            '<button class="photo-lightbox-btn photo-lightbox-prev" aria-label="Previous image" title="Previous (arrow left)">' + ICONS.prev + '</button>' +
+            '<button class="photo-lightbox-btn photo-lightbox-next" aria-label="Next image" title="Next (arrow right)">' + ICONS.next + '</button>';
+
+        image = root.querySelector('.photo-lightbox-image');
+        caption = root.querySelector('.photo-lightbox-caption');
+        counter = root.querySelector('.photo-lightbox-counter');
+        prevBtn = root.querySelector('.photo-lightbox-prev');
+        nextBtn = root.querySelector('.photo-lightbox-next');
+        closeBtn = root.querySelector('.photo-lightbox-close');
+
+        closeBtn.addEventListener('click', close);
+        prevBtn.addEventListener('click', prev);
+        nextBtn.addEventListener('click', next);
+
+        // Clicking the backdrop (not the image or caption) closes
+        root.addEventListener('click', function(e) {
+            if (e.target.classList.contains('photo-lightbox-stage') || e.target.classList.contains('photo-lightbox-figure')) {
+                close();
+            }
+        });
+
+        image.addEventListener('load', function() {
+            image.classList.add('is-loaded');
+        });
+
+        bindSwipe();
+    }
+
+    /**
+     * Horizontal swipe on touch screens steps through the images
+     */
+    function bindSwipe() {
+        var startX = null;
+
+        root.addEventListener('pointerdown', function(e) {
+            startX = e.pointerType === 'mouse' ? null : e.clientX;
+        });
+
+        root.addEventListener('pointerup', function(e) {
+            if (startX === null) return;
+
+            var distance = e.clientX - startX;
+            startX = null;
+
+            if (distance < -SWIPE_DISTANCE) {
+                next();
+            } else if (distance > SWIPE_DISTANCE) {
+                prev();
+            }
+        });
+    }
+
+    /**
+     * Open the viewer on items at index
+     */
+    function open(items, index, options) {
+        if (!items || items.length === 0) return null;
+
+        if (!root) {
+            build();
+        }
+
+        // Replace a viewer that's already open
+        if (current) {
+            close();
+        }
+
+        current = {
+            items: items,
+            index: Math.max(0, Math.min(index || 0, items.length - 1)),
+            options: options || {},
+            returnFocus: document.activeElement
+        };
+
+        // Only the fullscreen element's subtree is visible in fullscreen
+        var parent = current.options.container || document.body;
+        if (root.parentNode !== parent) {
+            parent.appendChild(root);
+        }
+
+        root.classList.toggle('is-single', items.length === 1);
+        root.hidden = false;
+        document.documentElement.classList.add('has-photo-lightbox');
+        document.addEventListener('keydown', handleKeydown, true);
+
+        show(current.index);
+
+        // Let the hidden state paint first so the fade-in runs
+        requestAnimationFrame(function() {
+            root.classList.add('is-open');
+        });
+
+        closeBtn.focus();
+
+        return {
+            close: close,
+            next: next,
+            prev: prev,
+            goTo: show,
+            getIndex: function() {
+                return current ? current.index : -1;
+            }
+        };
+    }
+
+    /**
+     * Show the item at index
+     */
+    function show(index) {
+        if (!current) return;
+
+        var items = current.items;
+        index = Math.max(0, Math.min(index, items.length - 1));
+
+        var item = items[index];
+        var changed = index !== current.index;
+        current.index = index;
+
+        // Start from the thumbnail, then fade the full image in over it
+        image.classList.remove('is-loaded');
+        image.removeAttribute('srcset');
+        image.style.backgroundImage = item.msrc ? 'url("' + item.msrc + '")' : '';
+
+        if (item.width && item.height) {
+            image.setAttribute('width', item.width);
+            image.setAttribute('height', item.height);
+        } else {
+            image.removeAttribute('width');
+            image.removeAttribute('height');
+        }
+
+        if (item.srcset) {
+            image.sizes = '100vw';
+            image.srcset = item.srcset;
+        }
+        image.src = item.src;
+        image.alt = item.alt || '';
+
+        if (image.complete && image.naturalWidth) {
+            image.classList.add('is-loaded');
+        }
+
+        caption.innerHTML = item.caption || '';
+        caption.hidden = !item.caption;
+
+        counter.textContent = (index + 1) + ' / ' + items.length;
+        prevBtn.disabled = index === 0;
+        nextBtn.disabled = index === items.length - 1;
+
+        preload(index + 1);
+        preload(index - 1);
+
+        if (changed && current.options.onChange) {
+            current.options.onChange(index);
+        }
+    }
+
+    /**
+     * Warm the browser cache for a neighbouring item
+     */
+    function preload(index) {
+        var item = current.items[index];
+        if (!item) return;
+
+        var img = new Image();
+        if (item.srcset) {
+            img.sizes = '100vw';
+            img.srcset = item.srcset;
+        }
+        img.src = item.src;
+    }
+
+    /**
+     * Step forward
+     */
+    function next() {
+        if (current) {
+            show(current.index + 1);
+        }
+    }
+
+    /**
+     * Step back
+     */
+    function prev() {
+        if (current) {
+            show(current.index - 1);
+        }
+    }
+
+    /**
+     * Close the viewer and return focus to where it was
+     */
+    function close() {
+        if (!current) return;
+
+        var closing = current;
+        current = null;
+
+        root.classList.remove('is-open');
+        root.hidden = true;
+        image.removeAttribute('src');
+        image.removeAttribute('srcset');
+        document.documentElement.classList.remove('has-photo-lightbox');
+        document.removeEventListener('keydown', handleKeydown, true);
+
+        if (closing.returnFocus && closing.returnFocus.focus) {
+            closing.returnFocus.focus();
+        }
+
+        if (closing.options.onClose) {
+            closing.options.onClose(closing.index);
+        }
+    }
+
+    /**
+     * Keyboard while open - captured so page shortcuts don't also fire
+     */
+    function handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                close();
+                break;
+            case 'ArrowRight':
+                next();
+                break;
+            case 'ArrowLeft':
+                prev();
+                break;
+            case 'Tab':
+                trapFocus(e);
+                return;
+            default:
+                // Modal - keep page shortcuts (slideshow, fullscreen) from acting underneath
+                e.stopPropagation();
+                return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Keep Tab focus on the viewer's buttons
+     */
+    function trapFocus(e) {
+        var buttons = [closeBtn, prevBtn, nextBtn].filter(function(btn) {
+            return !btn.disabled && btn.offsetParent !== null;
+        });
+        if (buttons.length === 0) return;
+
+        var position = buttons.indexOf(document.activeElement);
+        var nextPosition = e.shiftKey ? position - 1 : position + 1;
+
+        e.preventDefault();
+        e.stopPropagation();
+        buttons[(nextPosition + buttons.length) % buttons.length].focus();
+    }
+
+    return {
+        open: open,
+        close: close,
+        isOpen: function() {
+            return current !== null;
+        }
+    };
+})();
+
+export default PhotoLightbox;
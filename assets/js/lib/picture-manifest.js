@@ -0,0 +1,166 @@
+/**
+ * Picture Manifest - AVIF/WebP sources for images built by `gulp images`
+ * The images task writes assets/built/images/manifest.json, keyed by file name
+ * (IMG_1234.jpg -> "IMG_1234"). Any <picture> on the page whose <img> shows one of those
+ * theme photos (assets/images/photos/IMG_1234.jpg) gets AVIF and WebP <source>s, a JPEG
+ * srcset and explicit width/height. Uploads to Ghost are left alone, even when a file
+ * name matches.
+ *
+ * The manifest URL comes from <meta name="picture-manifest" content="...">, which the
+ * images task only renders once the manifest has entries - without it nothing is fetched.
+ *
+ * Usage:
+ *   PictureManifest.apply(element)  - Add sources to every <picture> inside element
+ *   PictureManifest.load()          - Promise of the manifest ({} when there isn't one)
+ */
+var PictureManifest = (function() {
+    // Formats in the order the browser should try them; JPEG goes on the <img>
+    var SOURCE_TYPES = [
+        { format: 'avif', type: 'image/avif' },
+        { format: 'webp', type: 'image/webp' }
+    ];
+
+    // Where the theme serves the photos the images task builds from
+    var PHOTOS_PATH = '/assets/images/photos/';
+
+    var request = null;
+
+    /**
+     * Fetch the manifest once
+     */
+    function load() {
+        if (request) return request;
+
+        var meta = document.querySelector('meta[name="picture-manifest"]');
+        var url = meta && meta.getAttribute('content');
+
+        if (!url || !window.fetch) {
+            request = Promise.resolve({});
+            return request;
+        }
+
+        var base = new URL(url, window.location.href).href;
+
+        request = fetch(base)
+            .then(function(response) {
+                return response.ok ? response.json() : {};
+            })
+            .then(function(manifest) {
+                return resolveUrls(manifest, base);
+            })
+            .catch(function() {
+                return {};
+            });
+
+        return request;
+    }
+
+    /**
+     * Make the manifest's srcset paths (relative to the manifest) absolute
+     */
+    function resolveUrls(manifest, base) {
+        Object.keys(manifest).forEach(function(key) {
+            var sources = manifest[key].sources || {};
+
+            Object.keys(sources).forEach(function(format) {
+                sources[format] = sources[format].split(',').map(function(candidate) {
+                    var parts = candidate.trim().split(/\s+/);
+                    parts[0] = new URL(parts[0], base).href;
+                    return parts.join(' ');
+                }).join(', ');
+            });
+        });
+
+        return manifest;
+    }
+
+    /**
+     * Manifest key for a theme photo's URL - its file name without extension; null for
+     * any other image
+     */
+    function getKey(url) {
+        var path = (url || '').split(/[?#]/)[0];
+        var at = path.indexOf(PHOTOS_PATH);
+
+        if (at === -1) return null;
+
+        var file = path.substring(at + PHOTOS_PATH.length);
+        if (!file || file.indexOf('/') !== -1) return null;
+
+        // A stray % isn't an escape - keep the name as it is
+        try {
+            file = decodeURIComponent(file);
+        } catch (e) {
+            // Keep the raw name
+        }
+
+        return file.replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Add sources and dimensions to one <picture>
+     */
+    function upgrade(picture, manifest) {
+        var img = picture.querySelector('img');
+        if (!img || picture.querySelector('source')) return;
+
+        // Parked images (portfolio-virtual.js) keep their sources aside until restored
+        var isParked = img.classList.contains('is-parked');
+        var srcsetAttribute = isParked ? 'data-virtual-srcset' : 'srcset';
+
+        var key = getKey(img.getAttribute(isParked ? 'data-virtual-src' : 'src'));
+        var entry = key && manifest[key];
+        if (!entry || !entry.sources) return;
+
+        var sizes = img.getAttribute('sizes');
+
+        SOURCE_TYPES.forEach(function(sourceType) {
+            if (!entry.sources[sourceType.format]) return;
+
+            var source = document.createElement('source');
+            source.type = sourceType.type;
+            source.setAttribute(srcsetAttribute, entry.sources[sourceType.format]);
+            if (sizes) {
+                source.sizes = sizes;
+            }
+
+            picture.insertBefore(source, img);
+        });
+
+        if (entry.sources.jpeg) {
+            img.setAttribute(srcsetAttribute, entry.sources.jpeg);
+        }
+
+        if (entry.width && entry.height) {
+            img.setAttribute('width', entry.width);
+            img.setAttribute('height', entry.height);
+        }
+    }
+
+    /**
+     * Add sources to every <picture> inside an element (or a list of elements)
+     */
+    function apply(elements) {
+        return load().then(function(manifest) {
+            if (Object.keys(manifest).length === 0) return;
+
+            var list = elements && elements.length !== undefined ? elements : [elements || document];
+
+            Array.prototype.forEach.call(list, function(element) {
+                var pictures = element.tagName === 'PICTURE' ? [element] : element.querySelectorAll('picture');
+
+                Array.prototype.forEach.call(pictures, function(picture) {
+                    upgrade(picture, manifest);
+                });
+            });
+        });
+    }
+
+    return {
+        load: load,
+        apply: apply,
+        getKey: getKey
+    };
+})();
+
+export default PictureManifest;
@@ -0,0 +1,860 @@
+/**
+ * Portfolio Controller - Shared state for one portfolio on the page
+ * Owns the current image index and view, URL hash routing, and keyboard shortcuts.
+ * portfolio.js (carousel and stack) and portfolio-dual-view.js (grid) drive it and follow its changes.
+ * Each .portfolio-container gets its own controller (portfolio-instances.js): the one the
+ * portfolio templates render, and inline carousels in posts (.portfolio-inline).
+ *
+ * Views: 'grid' (dual-view pages only), and two that show the slides one at a time -
+ * 'carousel' (horizontal) and 'stack' (vertical, one full-height image per screen).
+ * Narrow portrait screens get the stack unless the visitor has picked a view.
+ *
+ * Slides: Koenig image, video and embed cards, in post order. Gallery cards are split into
+ * one image card per image (.kg-gallery-slide), the gallery caption going under the last.
+ *
+ * Spreads: on wide landscape screens the carousel shows two facing pages like a photo book.
+ * Consecutive portrait images pair up; landscapes, wide and full-width cards (kg-width-wide,
+ * kg-width-full) take a spread of their own. Authors can override an image with a marker at
+ * the end of its alt text - "[single]" for a spread of its own, "[pair]" to face the next
+ * image whatever their shapes (the marker is removed from the alt text). The #no-spreads
+ * internal tag turns spreads off for a page (data-spreads="off" on .portfolio-container);
+ * inline carousels never show them.
+ * Pages of a pair are marked .is-spread-start and .is-spread-end, and the container gets
+ * .is-spreads while they show, before any change is sent, so every script scrolls to the same place.
+ * next/prev, Home/End, clicks and swipes then move a spread at a time; the index stays on
+ * an image, so the grid and #book/N still point at the right one.
+ *
+ * Public API (the instance returned here - window.Portfolio is the page's main one, see portfolio-instances.js):
+ *   Portfolio.goTo(index)                 - Go to an image (0-based)
+ *   Portfolio.next() / Portfolio.prev()   - Step one image (or spread) forward/back
+ *   Portfolio.setView(view, {index: 3})   - 'carousel', 'stack' or 'grid'
+ *   Portfolio.getIndex() / getView() / getTotal() / getSlides()
+ *   Portfolio.isSlideView(view)          - true for 'carousel' and 'stack'
+ *   Portfolio.getSlideView()             - Slide view to open: the visitor's pick, else one for the screen
+ *   Portfolio.getImage(index)            - {src, srcset, sizes, alt, width, height, element} of a slide's image
+ *   Portfolio.getVideo(index)            - {src, poster, width, height, element} of a video slide, else null
+ *   Portfolio.getSlideType(index)        - 'image', 'video' or 'embed'
+ *   Portfolio.getSpread(index)           - Indexes shown together with an image, e.g. [2, 3]; [index] outside spreads
+ *   Portfolio.hasSpreads()               - true while the carousel shows spreads
+ *   Portfolio.on('change', fn) / Portfolio.off('change', fn)
+ *       fn receives {index, view, previousIndex, previousView, source}
+ *   Portfolio.on('spreads', fn)          - Spreads turned on or off by the screen, fn receives {spreads}
+ *   Portfolio.setFilter([0, 4, 7])       - Show only these images in the grid (proofing), null for all
+ *   Portfolio.getFilter()                - Indexes the grid shows, null when it shows them all
+ *   Portfolio.on('filter', fn)           - Grid filter changed, fn receives {filter}
+ *   Portfolio.addShortcut({key: 'p', description: 'Play', view: ['carousel', 'stack'], handler: fn})
+ *       view: a view or list of views the key works in, any view when omitted
+ *   Portfolio.getShortcuts(view)         - Registered shortcuts, only those for view when given
+ *   Portfolio.getHashParam(name)         - Option from the hash query, e.g. #book?play=5
+ *   Portfolio.prefersReducedMotion()     - Jump instead of smooth scrolling and fading
+ *   Portfolio.moveFocus(element)         - Focus an element for the visitor; isMovingFocus() is true meanwhile
+ *   Portfolio.container / Portfolio.id   - The .portfolio-container element, and its hash namespace ('' for templates)
+ *
+ * Keys are handled while focus is inside the portfolio, or - for the portfolio templates
+ * only - nowhere in particular (page body); never while it is in the site header, search
+ * or other page controls. Inline carousels take keys once focus is inside them.
+ *
+ * Ghost code injection (Site Footer) runs after the theme scripts, so it can use it directly:
+ *   Portfolio.on('change', function(state) { console.log(state.index, state.view); });
+ *
+ * URL hashes:
+ *   (none) or #grid - Grid view (dual-view default)
+ *   #book - Book view at the first image (carousel, or the stack on narrow portrait screens)
+ *   #book/7 - Book view at the 7th image (1-based)
+ *   #book/slug - Book view at the image whose filename matches slug
+ *   #stack, #stack/7, #stack/slug - Always the stack
+ *   #book/7?play=5 - Any book or stack hash can carry options after "?" (kept while navigating)
+ *   #id/book/7, #id/stack/7 - The same for an inline carousel, id from data-portfolio-id
+ *       (grid and carousel only; they ignore each other's hashes)
+ *
+ * Each portfolio script is an ES module whose default export sets it up. The portfolio
+ * bundle (assets/js/portfolio.js) runs them in order, starting here; the tests in test/
+ * run them against a jsdom page.
+ */
+export default function portfolioController(container) {
+    // Inline carousels route under their own hash namespace, e.g. #harbour/book/3
+    var id = container.getAttribute('data-portfolio-id') || '';
+    var isInline = container.classList.contains('portfolio-inline');
+
+    var BOOK_PREFIX = '#' + (id ? id + '/' : '') + 'book';
+    var STACK_PREFIX = '#' + (id ? id + '/' : '') + 'stack';
+
+    // Screens that get the stack when the visitor hasn't picked a view
+    var STACK_QUERY = '(max-width: 767px) and (orientation: portrait)';
+    var STORAGE_KEY = 'portfolio-slide-view';
+
+    // Screens wide enough for the carousel to show two facing pages
+    var SPREAD_QUERY = '(min-width: 1024px) and (orientation: landscape)';
+    var SPREAD_MARKER = /\s*\[(single|pair)\]\s*$/i;
+    var SPREAD_SINGLE_CLASSES = ['kg-width-wide', 'kg-width-full'];
+
+    // Koenig cards that are slides (after gallery cards are split into image cards)
+    var SLIDE_SELECTOR = '.kg-image-card, .kg-video-card, .kg-embed-card';
+
+    // DOM elements
+    var gallery = container.querySelector('.portfolio-gallery');
+    var slides = collectSlides();
+
+    // Dual-view pages have a grid; single-view pages only show the slides
+    var isDualView = container.classList.contains('portfolio-dual-container');
+    var slideViews = isInline ? ['carousel'] : ['carousel', 'stack'];
+    var views = isDualView ? ['grid'].concat(slideViews) : slideViews;
+
+    // State - initial view and index come from the URL hash
+    var totalSlides = slides.length;
+    var stackQuery = window.matchMedia ? window.matchMedia(STACK_QUERY) : null;
+    var spreadQuery = window.matchMedia && !isInline && container.getAttribute('data-spreads') !== 'off' ? window.matchMedia(SPREAD_QUERY) : null;
+    var spreads = pairSlides();
+    var chosenSlideView = readSlideView();
+    var hashIndex = parseHash(window.location.hash);
+    var currentIndex = hashIndex || 0;
+    var currentView = hashIndex !== null ? getHashView(window.location.hash) : (isDualView ? 'grid' : getSlideView());
+    var filter = null;
+    var listeners = { change: [], spreads: [], filter: [] };
+    var shortcuts = [];
+    var isMovingFocus = false;
+
+    /**
+     * Split each gallery card into image cards, one per image, and list the slides
+     */
+    function collectSlides() {
+        gallery.querySelectorAll('.kg-gallery-card').forEach(function(card) {
+            var caption = card.querySelector('figcaption');
+            var items = card.querySelectorAll('.kg-gallery-image');
+
+            items.forEach(function(item, index) {
+                var figure = document.createElement('figure');
+                figure.className = 'kg-card kg-image-card kg-gallery-slide';
+
+                // The image, and the link around it when the author added one
+                while (item.firstChild) {
+                    figure.appendChild(item.firstChild);
+                }
+
+                var img = figure.querySelector('img');
+                if (img) {
+                    img.classList.add('kg-image');
+                }
+
+                if (caption && index === items.length - 1) {
+                    figure.classList.add('kg-card-hascaption');
+                    figure.appendChild(caption);
+                }
+
+                card.parentNode.insertBefore(figure, card);
+            });
+
+            card.parentNode.removeChild(card);
+        });
+
+        return gallery.querySelectorAll(SLIDE_SELECTOR);
+    }
+
+    /**
+     * Split a hash into its route and "?" options, e.g. #book/7?play=5
+     */
+    function splitHash(hash) {
+        var queryStart = hash.indexOf('?');
+        if (queryStart === -1) {
+            return { route: hash, query: '' };
+        }
+
+        return { route: hash.slice(0, queryStart), query: hash.slice(queryStart) };
+    }
+
+    /**
+     * Read an option from the hash query - only from this portfolio's book and stack hashes
+     * Returns null when missing, '' for a bare flag
+     */
+    function getHashParam(name) {
+        if (!isSlideHash(window.location.hash)) return null;
+
+        var query = splitHash(window.location.hash).query.slice(1);
+        if (!query) return null;
+
+        var pairs = query.split('&');
+        for (var i = 0; i < pairs.length; i++) {
+            var pair = pairs[i].split('=');
+            if (decode(pair[0]) === name) {
+                return pair.length > 1 ? decode(pair[1]) : '';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode a URL component, falling back to the raw value if malformed
+     */
+    function decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Get the prefix of a hash that points at a slide view (#book or #stack), or null
+     */
+    function getSlidePrefix(hash) {
+        var route = splitHash(hash).route;
+        var prefixes = [BOOK_PREFIX, STACK_PREFIX];
+
+        for (var i = 0; i < prefixes.length; i++) {
+            if (route === prefixes[i] || route.indexOf(prefixes[i] + '/') === 0) {
+                return prefixes[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a hash points at a slide view
+     */
+    function isSlideHash(hash) {
+        return getSlidePrefix(hash) !== null;
+    }
+
+    /**
+     * Get the view a slide hash opens - #stack always the stack, #book the slide view to open
+     */
+    function getHashView(hash) {
+        return getSlidePrefix(hash) === STACK_PREFIX && isSlideView('stack') ? 'stack' : getSlideView();
+    }
+
+    /**
+     * Check whether a view shows the slides (carousel or stack)
+     */
+    function isSlideView(view) {
+        return slideViews.indexOf(view) !== -1;
+    }
+
+    /**
+     * Slide view to open - the visitor's last pick, otherwise the stack on narrow portrait screens
+     */
+    function getSlideView() {
+        if (chosenSlideView) return chosenSlideView;
+
+        return stackQuery && stackQuery.matches && isSlideView('stack') ? 'stack' : 'carousel';
+    }
+
+    /**
+     * Read the visitor's pick between carousel and stack
+     */
+    function readSlideView() {
+        try {
+            var saved = localStorage.getItem(STORAGE_KEY);
+            return slideViews.indexOf(saved) !== -1 ? saved : null;
+        } catch (e) {
+            // Storage disabled - no pick yet
+            return null;
+        }
+    }
+
+    /**
+     * Remember the visitor's pick between carousel and stack
+     */
+    function rememberSlideView(view) {
+        chosenSlideView = view;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, view);
+        } catch (e) {
+            // Storage disabled - the pick lasts for this page only
+        }
+    }
+
+    /**
+     * Build a slug from a slide's image (or video) filename
+     * e.g. /content/images/size/w2000/2024/05/DSC_1234.jpg -> dsc-1234
+     */
+    function getSlug(slide) {
+        var media = slide.querySelector('img, video');
+        if (!media) return '';
+
+        // Parked images (portfolio-virtual.js) keep their source aside
+        var src = media.getAttribute('data-virtual-src') || media.getAttribute('src') || '';
+        var filename = decode(src.split(/[?#]/)[0].split('/').pop());
+
+        return filename
+            .replace(/\.[^.]+$/, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Get the slide index a hash points at
+     * Returns null for non-slide hashes, 0 when the image can't be found
+     */
+    function parseHash(hash) {
+        var prefix = getSlidePrefix(hash);
+        if (!prefix) return null;
+
+        var key = splitHash(hash).route.slice(prefix.length + 1);
+        if (!key) return 0;
+
+        // Numeric: 1-based position in the sequence
+        if (/^\d+$/.test(key)) {
+            return clamp(parseInt(key, 10) - 1);
+        }
+
+        // Otherwise match against image filename slugs
+        key = key.toLowerCase();
+        for (var i = 0; i < totalSlides; i++) {
+            if (getSlug(slides[i]) === key) {
+                return i;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Build the hash for a slide view and index
+     */
+    function formatHash(view, index) {
+        return (view === 'stack' ? STACK_PREFIX : BOOK_PREFIX) + '/' + (index + 1);
+    }
+
+    /**
+     * Keep index within the slide range
+     */
+    function clamp(index) {
+        return Math.max(0, Math.min(index, totalSlides - 1));
+    }
+
+    /**
+     * Apply a new index/view and notify listeners
+     */
+    function update(index, view, source) {
+        if (totalSlides === 0 || isNaN(index)) return;
+
+        index = clamp(index);
+        if (index === currentIndex && view === currentView) return;
+
+        var state = {
+            index: index,
+            view: view,
+            previousIndex: currentIndex,
+            previousView: currentView,
+            source: source || 'api'
+        };
+
+        // Moving between carousel and stack is the visitor picking one (rotating the screen isn't)
+        if (isSlideView(view) && isSlideView(state.previousView) && view !== state.previousView && state.source !== 'screen') {
+            rememberSlideView(view);
+        }
+
+        currentIndex = index;
+        currentView = view;
+        syncSpreads();
+
+        updateHash(state);
+        emit('change', state);
+    }
+
+    /**
+     * Keep the URL hash in sync with the current state
+     * Opening the slides adds a history entry; moving within them, or between
+     * carousel and stack, replaces it
+     */
+    function updateHash(state) {
+        // URL already reflects changes that came from it
+        if (state.source === 'hash') return;
+
+        var hash = window.location.hash;
+
+        // The page's own query (?ref=, preview links) stays put
+        var pageUrl = window.location.pathname + window.location.search;
+
+        if (isSlideView(state.view)) {
+            // Keep options (e.g. ?play=5) while moving within the slides
+            var slideHash = formatHash(state.view, state.index) + (isSlideHash(hash) ? splitHash(hash).query : '');
+            if (hash === slideHash) return;
+
+            if (!isSlideView(state.previousView)) {
+                history.pushState(null, '', pageUrl + slideHash);
+            } else {
+                history.replaceState(null, '', pageUrl + slideHash);
+            }
+        } else if (isSlideHash(hash)) {
+            // Back to grid (remove #book/N, go back to default)
+            history.pushState(null, '', pageUrl);
+        }
+    }
+
+    /**
+     * Call listeners for an event
+     */
+    function emit(event, state) {
+        listeners[event].slice().forEach(function(handler) {
+            handler(state);
+        });
+    }
+
+    /**
+     * Go to a specific slide index, keeping the current view
+     */
+    function goTo(index, options) {
+        if (typeof index !== 'number') return;
+
+        update(index, currentView, options && options.source);
+    }
+
+    /**
+     * Step forward one slide, or to the next spread
+     */
+    function next(options) {
+        var spread = getSpread(currentIndex);
+        var target = spread[spread.length - 1] + 1;
+
+        // Already on the last spread - don't slide over to its other page
+        if (target >= totalSlides) return;
+
+        goTo(target, options);
+    }
+
+    /**
+     * Step back one slide, or to the start of the previous spread
+     */
+    function prev(options) {
+        var target = getSpread(currentIndex)[0] - 1;
+        if (target < 0) return;
+
+        goTo(getSpread(target)[0], options);
+    }
+
+    /**
+     * Read an author's spread marker from the end of an image's alt text, removing it
+     * Returns 'single', 'pair' or null
+     */
+    function takeSpreadMarker(img) {
+        var alt = img.getAttribute('alt') || '';
+        var match = alt.match(SPREAD_MARKER);
+        if (!match) return null;
+
+        img.setAttribute('alt', alt.replace(SPREAD_MARKER, ''));
+        return match[1].toLowerCase();
+    }
+
+    /**
+     * Work out how a slide sits in a spread - 'single', 'pair' (author's pick) or 'portrait'
+     */
+    function getSpreadShape(slide) {
+        var img = slide.querySelector('img');
+        if (!img) return 'single';
+
+        var marker = takeSpreadMarker(img);
+        if (marker) return marker;
+
+        var isWide = SPREAD_SINGLE_CLASSES.some(function(className) {
+            return slide.classList.contains(className);
+        });
+        if (isWide) return 'single';
+
+        // Images without sizes can't be paired safely
+        var width = parseInt(img.getAttribute('width'), 10) || 0;
+        var height = parseInt(img.getAttribute('height'), 10) || 0;
+
+        return width > 0 && height > width ? 'portrait' : 'single';
+    }
+
+    /**
+     * Group the slides into spreads - consecutive portraits (or an author's pair) face
+     * each other, everything else stands alone
+     * Returns a list of index lists, one per slide
+     */
+    function pairSlides() {
+        var shapes = Array.prototype.map.call(slides, getSpreadShape);
+        var result = [];
+        var i = 0;
+
+        while (i < totalSlides) {
+            // An author's pair faces the image after it, a portrait the next portrait
+            var pairs = shapes[i] === 'pair' || (shapes[i] === 'portrait' && shapes[i + 1] === 'portrait');
+
+            if (pairs && i + 1 < totalSlides) {
+                result[i] = result[i + 1] = [i, i + 1];
+                i += 2;
+            } else {
+                result[i] = [i];
+                i += 1;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Mark both pages of each two-image spread
+     */
+    function markSpreads() {
+        spreads.forEach(function(spread, index) {
+            if (spread.length < 2) return;
+
+            slides[index].classList.add(spread[0] === index ? 'is-spread-start' : 'is-spread-end');
+        });
+    }
+
+    /**
+     * Show the spreads while the carousel is on a wide screen
+     */
+    function syncSpreads() {
+        container.classList.toggle('is-spreads', hasSpreads());
+    }
+
+    /**
+     * Check whether the carousel shows spreads - in the carousel, on a wide screen
+     */
+    function hasSpreads() {
+        return currentView === 'carousel' && !!(spreadQuery && spreadQuery.matches);
+    }
+
+    /**
+     * Get the indexes shown together with an image - its spread, or just the image
+     */
+    function getSpread(index) {
+        if (!hasSpreads() || !spreads[index]) return [index];
+
+        return spreads[index].slice();
+    }
+
+    /**
+     * Switch view, optionally at a specific index
+     */
+    function setView(view, options) {
+        options = options || {};
+        if (views.indexOf(view) === -1) return;
+
+        var index = typeof options.index === 'number' ? options.index : currentIndex;
+        update(index, view, options.source);
+    }
+
+    /**
+     * Show only some images in the grid - the slides keep them all
+     * indexes: image indexes (0-based), or null to show every image
+     */
+    function setFilter(indexes) {
+        filter = indexes ? indexes.filter(function(index) {
+            return index >= 0 && index < totalSlides;
+        }).sort(function(a, b) {
+            return a - b;
+        }) : null;
+
+        emit('filter', { filter: getFilter() });
+    }
+
+    /**
+     * Get the indexes the grid shows, or null when it shows every image
+     */
+    function getFilter() {
+        return filter ? filter.slice() : null;
+    }
+
+    /**
+     * Subscribe to an event ('change', 'spreads' or 'filter')
+     */
+    function on(event, handler) {
+        if (!listeners[event] || typeof handler !== 'function') return;
+
+        listeners[event].push(handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     */
+    function off(event, handler) {
+        if (!listeners[event]) return;
+
+        listeners[event] = listeners[event].filter(function(fn) {
+            return fn !== handler;
+        });
+    }
+
+    /**
+     * Move focus for the visitor (a view opening), so focus listeners can tell it from theirs
+     */
+    function moveFocus(element) {
+        isMovingFocus = true;
+        element.focus({ preventScroll: true });
+        isMovingFocus = false;
+    }
+
+    /**
+     * Register a keyboard shortcut
+     * view: only active in that view, or list of views ('carousel', 'stack', 'grid'), any view when omitted
+     */
+    function addShortcut(shortcut) {
+        if (!shortcut || !shortcut.key || typeof shortcut.handler !== 'function') return;
+
+        shortcuts.push(shortcut);
+    }
+
+    /**
+     * Check whether a shortcut works in a view
+     */
+    function isShortcutInView(shortcut, view) {
+        return !shortcut.view || [].concat(shortcut.view).indexOf(view) !== -1;
+    }
+
+    /**
+     * Get registered shortcuts, only those that work in view when given
+     */
+    function getShortcuts(view) {
+        return shortcuts.filter(function(shortcut) {
+            return !view || isShortcutInView(shortcut, view);
+        });
+    }
+
+    /**
+     * Check whether the visitor asked for less motion
+     */
+    function prefersReducedMotion() {
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Check whether a key event belongs to the portfolio - focus inside it, or (templates only)
+     * on the page itself
+     */
+    function isInScope(e) {
+        var target = e.target;
+        var isPage = target === document || target === document.body || target === document.documentElement;
+
+        return (isPage && !isInline) || container.contains(target);
+    }
+
+    /**
+     * Check whether a key event happened while typing
+     */
+    function isTyping(e) {
+        var target = e.target;
+        if (!target || !target.tagName) return false;
+
+        return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+    }
+
+    /**
+     * Run the registered shortcut for a key event, if any
+     * Returns true when a shortcut handled the event
+     */
+    function runShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e)) return false;
+
+        for (var i = 0; i < shortcuts.length; i++) {
+            var shortcut = shortcuts[i];
+            if (shortcut.key.toLowerCase() !== e.key.toLowerCase()) continue;
+            if (!isShortcutInView(shortcut, currentView)) continue;
+
+            e.preventDefault();
+            shortcut.handler(e);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Handle URL hash changes (back/forward buttons, followed links)
+     */
+    function handleHashChange() {
+        var index = parseHash(window.location.hash);
+
+        if (index !== null) {
+            update(index, getHashView(window.location.hash), 'hash');
+        } else if (isDualView) {
+            // Default to grid (no hash, #grid, or any other hash)
+            update(currentIndex, 'grid', 'hash');
+        }
+    }
+
+    /**
+     * Follow the screen between carousel and stack (rotation, resizing) until the visitor picks one
+     */
+    function handleScreenChange() {
+        if (chosenSlideView || !isSlideView(currentView)) return;
+
+        update(currentIndex, getSlideView(), 'screen');
+    }
+
+    /**
+     * Let listeners lay out spreads again when the screen crosses the spread width
+     */
+    function handleSpreadChange() {
+        syncSpreads();
+        emit('spreads', { spreads: hasSpreads() });
+    }
+
+    /**
+     * Handle keyboard navigation for all views
+     */
+    function handleKeydown(e) {
+        var keyboard = { source: 'keyboard' };
+
+        if (!isInScope(e)) return;
+
+        // Shortcuts added by other modules (and injected code)
+        if (runShortcut(e)) return;
+
+        if (isSlideView(currentView)) {
+            switch (e.key) {
+                case 'ArrowRight':
+                case 'ArrowDown':
+                    e.preventDefault();
+                    next(keyboard);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    prev(keyboard);
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    goTo(0, keyboard);
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    goTo(getSpread(totalSlides - 1)[0], keyboard);
+                    break;
+                case 'Escape':
+                    // Escape closes the slides, goes to grid
+                    if (isDualView) {
+                        e.preventDefault();
+                        setView('grid', keyboard);
+                    }
+                    break;
+            }
+            return;
+        }
+
+        // Enter/Space on grid item opens the slides
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.classList && e.target.classList.contains('portfolio-grid-item')) {
+            e.preventDefault();
+            setView(getSlideView(), {
+                index: parseInt(e.target.getAttribute('data-index'), 10),
+                source: 'keyboard'
+            });
+        }
+    }
+
+    /**
+     * Read a slide's image attributes - parked images (portfolio-virtual.js)
+     * keep their sources in data-virtual-src / data-virtual-srcset
+     */
+    function getImage(index) {
+        var img = slides[index] && slides[index].querySelector('img');
+        if (!img) return null;
+
+        function attr(name) {
+            return img.getAttribute('data-virtual-' + name) || img.getAttribute(name) || '';
+        }
+
+        return {
+            src: attr('src'),
+            srcset: attr('srcset'),
+            sizes: img.getAttribute('sizes') || '',
+            alt: img.getAttribute('alt') || '',
+            width: parseInt(img.getAttribute('width'), 10) || img.naturalWidth || 0,
+            height: parseInt(img.getAttribute('height'), 10) || img.naturalHeight || 0,
+            element: img
+        };
+    }
+
+    /**
+     * Follow a media query's changes (addListener in older Safari)
+     */
+    function watchQuery(query, handler) {
+        if (!query) return;
+
+        if (query.addEventListener) {
+            query.addEventListener('change', handler);
+        } else if (query.addListener) {
+            query.addListener(handler);
+        }
+    }
+
+    /**
+     * Read a video slide's sources - Koenig keeps the thumbnail on the card,
+     * the poster attribute is only a transparent spacer
+     */
+    function getVideo(index) {
+        var slide = slides[index];
+        var video = slide && slide.classList.contains('kg-video-card') ? slide.querySelector('video') : null;
+        if (!video) return null;
+
+        return {
+            src: video.getAttribute('src') || '',
+            poster: slide.getAttribute('data-kg-custom-thumbnail') || slide.getAttribute('data-kg-thumbnail') || video.getAttribute('poster') || '',
+            width: parseInt(video.getAttribute('width'), 10) || video.videoWidth || 0,
+            height: parseInt(video.getAttribute('height'), 10) || video.videoHeight || 0,
+            element: video
+        };
+    }
+
+    /**
+     * Get the kind of card a slide is
+     */
+    function getSlideType(index) {
+        var slide = slides[index];
+        if (!slide) return null;
+
+        if (slide.classList.contains('kg-video-card')) return 'video';
+        if (slide.classList.contains('kg-embed-card')) return 'embed';
+
+        return 'image';
+    }
+
+    window.addEventListener('hashchange', handleHashChange);
+    document.addEventListener('keydown', handleKeydown);
+
+    markSpreads();
+    syncSpreads();
+
+    watchQuery(stackQuery, handleScreenChange);
+    watchQuery(spreadQuery, handleSpreadChange);
+
+    return {
+        container: container,
+        id: id,
+        goTo: goTo,
+        next: next,
+        prev: prev,
+        setView: setView,
+        on: on,
+        off: off,
+        addShortcut: addShortcut,
+        getHashParam: getHashParam,
+        setFilter: setFilter,
+        getFilter: getFilter,
+        isDualView: isDualView,
+        getIndex: function() {
+            return currentIndex;
+        },
+        getView: function() {
+            return currentView;
+        },
+        getTotal: function() {
+            return totalSlides;
+        },
+        getSlides: function() {
+            return slides;
+        },
+        isSlideView: isSlideView,
+        getSlideView: getSlideView,
+        getImage: getImage,
+        getVideo: getVideo,
+        getSlideType: getSlideType,
+        getSpread: getSpread,
+        hasSpreads: hasSpreads,
+        prefersReducedMotion: prefersReducedMotion,
+        moveFocus: moveFocus,
+        isMovingFocus: function() {
+            return isMovingFocus;
+        },
+        getShortcuts: getShortcuts
+    };
+
+}
@@ -1,31 +1,38 @@
 /**
  * Portfolio Dual View - Grid (default) + Carousel/Book mode
- * Handles view switching, URL hash, and navigation between views
+ * Handles grid building and the transitions between the grid and the slides.
+ * The slides are the carousel or the stack - both show as .view-carousel here;
+ * portfolio.js switches between the two.
+ * Current view, index, and URL hash (#grid, #book/N, #stack/N) live in portfolio-controller.js.
  *
- * URL hashes:
- *   (none) or #grid - Grid view (default)
- *   #book - Carousel/book view
+ * Grid layout (grid-layout.js), chosen per page:
+ *   data-layout="masonry" on .portfolio-container - masonry (default), justified or square
+ *   Set by the templates from an internal tag: #layout-justified, #layout-square
+ *
+ * Portfolio.setFilter() narrows the grid to some of the images (proofing's "selected only");
+ * the rest are marked .is-filtered-out and left out of the layout.
  */
-(function() {
-    'use strict';
+import GridLayout from './grid-layout.js';
+import ImagePlaceholder from './image-placeholder.js';
+import PictureManifest from './picture-manifest.js';
+
+export default function portfolioDualView(portfolio) {
+    // Only run on dual-view portfolios
+    if (!portfolio.isDualView) return;
 
-    // Only run on dual-view portfolio pages
-    var container = document.querySelector('.portfolio-dual-container');
-    if (!container) return;
+    var container = portfolio.container;
 
     // DOM elements
-    var carousel = container.querySelector('#portfolio-carousel');
-    var grid = container.querySelector('#portfolio-grid');
+    var carousel = container.querySelector('.portfolio-gallery');
+    var grid = container.querySelector('.portfolio-grid');
     var closeBtn = container.querySelector('.portfolio-close-btn');
-    var slides = carousel.querySelectorAll('.kg-image-card');
+    var slides = portfolio.getSlides();
 
     // State
-    var currentView = 'carousel';
     var totalSlides = slides.length;
-    var masonryInstance = null;
-
-    // Track if this is the initial load (for fade-in behavior)
-    var isInitialLoad = true;
+    var layoutMode = getLayoutMode();
+    var gridLayout = null;
+    var gridReady = null; // Resolves once every grid image has its aspect ratio
 
     /**
      * Initialize dual-view functionality
@@ -36,10 +43,10 @@
         // Build grid from carousel images
         buildGrid();
 
-        // Determine initial view based on hash (without updating URL)
-        // Grid is the default; #book shows carousel
-        if (window.location.hash === '#book') {
-            showCarouselInitial();
+        // Initial view comes from the hash (without updating URL)
+        // Grid is the default; #book shows the slides, #book/N at image N
+        if (portfolio.isSlideView(portfolio.getView())) {
+            showCarouselInitial(portfolio.getIndex());
         } else {
             showGridInitial();
         }
@@ -49,11 +56,10 @@
         requestAnimationFrame(function() {
             requestAnimationFrame(function() {
                 container.classList.add('view-visible');
-                isInitialLoad = false;
 
-                // If starting in grid view, initialize Masonry now that it's visible
-                if (currentView === 'grid') {
-                    initMasonry();
+                // If starting in grid view, lay out the grid now that it's visible
+                if (portfolio.getView() === 'grid') {
+                    initGridLayout();
                 }
             });
         });
@@ -65,59 +71,80 @@
     /**
      * Initial carousel show - no URL manipulation, no scrollIntoView delay
      */
-    function showCarouselInitial() {
-        currentView = 'carousel';
+    function showCarouselInitial(index) {
         container.classList.add('view-carousel');
         carousel.setAttribute('aria-hidden', 'false');
         grid.setAttribute('aria-hidden', 'true');
 
-        // Scroll to first image immediately (no delay needed on initial load)
-        var firstSlide = slides[0];
-        if (firstSlide) {
-            firstSlide.scrollIntoView({
-                behavior: 'instant',
-                block: 'nearest',
-                inline: 'center'
-            });
-        }
+        // Scroll to linked image immediately (no delay needed on initial load)
+        scrollToSlide(index);
+    }
+
+    /**
+     * Center a slide instantly - across the carousel (its spread on wide screens), or down the stack
+     */
+    function scrollToSlide(index) {
+        var spread = portfolio.getSpread(index);
+        var targetSlide = slides[spread[0]];
+        if (!targetSlide) return;
+
+        var stacked = portfolio.getView() === 'stack';
+
+        targetSlide.scrollIntoView({
+            behavior: 'instant',
+            block: stacked ? 'center' : 'nearest',
+            inline: stacked ? 'nearest' : (spread.length > 1 ? 'end' : 'center')
+        });
     }
 
     /**
      * Initial grid show - no URL manipulation
      */
     function showGridInitial() {
-        currentView = 'grid';
         container.classList.add('view-grid');
         carousel.setAttribute('aria-hidden', 'true');
         grid.setAttribute('aria-hidden', 'false');
     }
 
+    /**
+     * Grid layout for this page, from data-layout
+     */
+    function getLayoutMode() {
+        var layout = container.getAttribute('data-layout');
+
+        return GridLayout.isLayout(layout) ? layout : 'masonry';
+    }
+
     /**
      * Build grid view by cloning carousel images (no captions)
+     * Video slides get a tile from their poster, embeds a plain tile
      */
     function buildGrid() {
-        // Add grid sizer for Masonry column width calculation
-        var gridSizer = document.createElement('div');
-        gridSizer.className = 'portfolio-grid-sizer';
-        grid.appendChild(gridSizer);
+        var placeholders = [];
 
-        // Add gutter sizer for Masonry gutter calculation
-        var gutterSizer = document.createElement('div');
-        gutterSizer.className = 'portfolio-gutter-sizer';
-        grid.appendChild(gutterSizer);
+        grid.classList.add('portfolio-grid-' + layoutMode);
 
         slides.forEach(function(slide, index) {
+            var type = portfolio.getSlideType(index);
+            var gridItem;
+
+            if (type !== 'image') {
+                gridItem = buildMediaItem(index, type);
+                grid.appendChild(gridItem);
+
+                var poster = gridItem.querySelector('img');
+                if (poster) {
+                    placeholders.push(ImagePlaceholder.attach(poster, gridItem));
+                }
+                return;
+            }
+
             var img = slide.querySelector('img');
 
             if (!img) return;
 
             // Create grid item
-            var gridItem = document.createElement('div');
-            gridItem.className = 'portfolio-grid-item';
-            gridItem.setAttribute('data-index', index);
-            gridItem.setAttribute('role', 'button');
-            gridItem.setAttribute('tabindex', '0');
-            gridItem.setAttribute('aria-label', 'View image ' + (index + 1) + ' of ' + totalSlides + ' in carousel');
+            gridItem = createGridItem(index, 'image');
 
             // Clone image - larger sizes for 1-3 column grid
             var thumbImg = document.createElement('img');
@@ -125,6 +152,12 @@
             thumbImg.alt = img.alt || '';
             thumbImg.loading = 'lazy';
 
+            // Koenig's dimensions give the item its height before the image arrives
+            if (img.getAttribute('width') && img.getAttribute('height')) {
+                thumbImg.setAttribute('width', img.getAttribute('width'));
+                thumbImg.setAttribute('height', img.getAttribute('height'));
+            }
+
             // Use srcset if available, browser will pick appropriate size for grid
             if (img.srcset) {
                 thumbImg.srcset = img.srcset;
@@ -132,85 +165,127 @@
             // Larger sizes for 1-3 column grid layout
             thumbImg.sizes = '(min-width: 1200px) 33vw, (min-width: 768px) 50vw, 100vw';
 
-            gridItem.appendChild(thumbImg);
+            // <picture> takes AVIF/WebP sources from the image manifest
+            var picture = document.createElement('picture');
+            picture.appendChild(thumbImg);
+
+            gridItem.appendChild(picture);
             grid.appendChild(gridItem);
+
+            placeholders.push(ImagePlaceholder.attach(thumbImg, gridItem));
         });
+
+        gridReady = Promise.all(placeholders);
+
+        PictureManifest.apply(grid);
     }
 
     /**
-     * Initialize Masonry layout for grid view
-     * Uses horizontalOrder to maintain left-to-right sequence
+     * Create an empty grid item that opens a slide
      */
-    function initMasonry() {
-        // Guard: don't init if already exists
-        if (masonryInstance) {
-            return;
+    function createGridItem(index, type) {
+        var gridItem = document.createElement('div');
+        gridItem.className = 'portfolio-grid-item';
+        gridItem.setAttribute('data-index', index);
+        gridItem.setAttribute('role', 'button');
+        gridItem.setAttribute('tabindex', '0');
+        gridItem.setAttribute('aria-label', 'View ' + type + ' ' + (index + 1) + ' of ' + totalSlides + ' in carousel');
+
+        return gridItem;
+    }
+
+    /**
+     * Build the tile for a video (its poster at the video's size) or an embed
+     */
+    function buildMediaItem(index, type) {
+        var gridItem = createGridItem(index, type);
+        gridItem.classList.add('portfolio-grid-' + type);
+
+        var video = portfolio.getVideo(index);
+        if (!video || !video.poster) return gridItem;
+
+        var posterImg = document.createElement('img');
+        posterImg.src = video.poster;
+        posterImg.alt = '';
+        posterImg.loading = 'lazy';
+
+        if (video.width && video.height) {
+            posterImg.setAttribute('width', video.width);
+            posterImg.setAttribute('height', video.height);
         }
 
-        if (typeof Masonry === 'undefined') {
-            console.warn('Masonry.js not loaded');
+        gridItem.appendChild(posterImg);
+
+        return gridItem;
+    }
+
+    /**
+     * Lay out the grid once every item has its aspect ratio
+     * Placeholders give every item its height - lay out without waiting for images
+     */
+    function initGridLayout(done) {
+        // Guard: don't init if already exists
+        if (gridLayout) {
+            if (done) done();
             return;
         }
 
-        // Wait for images to load before initializing Masonry
-        if (typeof imagesLoaded !== 'undefined') {
-            var imgLoad = imagesLoaded(grid);
-            imgLoad.once('always', function() {
-                createMasonryInstance();
-            });
-        } else {
-            // Fallback if imagesLoaded not available
-            createMasonryInstance();
-        }
+        (gridReady || Promise.resolve()).then(function() {
+            createGridLayout();
+            if (done) done();
+        });
     }
 
     /**
-     * Create the Masonry instance
+     * Create the grid layout (positions items immediately; transitions follow on resizes)
      */
-    function createMasonryInstance() {
+    function createGridLayout() {
         // Guard: don't create if already exists
-        if (masonryInstance) {
+        if (gridLayout) {
             return;
         }
 
-        // Create with transitions disabled for initial layout
-        masonryInstance = new Masonry(grid, {
-            itemSelector: '.portfolio-grid-item',
-            columnWidth: '.portfolio-grid-sizer',
-            gutter: '.portfolio-gutter-sizer',  // Use element for consistent CSS-based gutters
-            percentPosition: true,
-            horizontalOrder: true,  // Prioritize left-to-right ordering
-            transitionDuration: 0  // No animation on initial layout
-        });
-
-        // After initial layout completes, enable transitions for future resizes
-        masonryInstance.once('layoutComplete', function() {
-            masonryInstance.options.transitionDuration = '0.4s';
+        gridLayout = GridLayout.create(grid, {
+            layout: layoutMode,
+            itemSelector: '.portfolio-grid-item:not(.is-filtered-out)'
         });
     }
 
     /**
-     * Refresh Masonry layout (call after view switch)
+     * Refresh the grid layout (call after view switch)
      */
-    function refreshMasonry() {
-        if (!masonryInstance) return;
+    function refreshGridLayout() {
+        if (!gridLayout) return;
 
         // Need to re-layout after display changes
-        masonryInstance.layout();
+        gridLayout.layout();
     }
 
     // Transition duration in ms (matches CSS)
     var FADE_DURATION = 300;
 
     /**
-     * Switch to carousel view at specific index
+     * Time to wait for the fade out - none when reduced motion is preferred (CSS drops it too)
      */
-    function showCarousel(index) {
-        index = typeof index === 'number' ? index : 0;
-        index = Math.max(0, Math.min(index, totalSlides - 1));
+    function getFadeDuration() {
+        return portfolio.prefersReducedMotion() ? 0 : FADE_DURATION;
+    }
+
+    /**
+     * Move focus into the view just shown, unless the visitor is elsewhere on the page
+     * (the header, or another tab) - otherwise it would be left on a hidden element
+     */
+    function moveFocus(element) {
+        var active = document.activeElement;
+        if (!element || (active && active !== document.body && !container.contains(active))) return;
 
-        currentView = 'carousel';
+        portfolio.moveFocus(element);
+    }
 
+    /**
+     * Switch to carousel view at specific index
+     */
+    function showCarousel(index) {
         // Fade out current view
         container.classList.remove('view-visible');
 
@@ -225,57 +300,22 @@
             grid.setAttribute('aria-hidden', 'true');
 
             // Position carousel to target image (instant, while hidden)
-            var targetSlide = slides[index];
-            if (targetSlide) {
-                targetSlide.scrollIntoView({
-                    behavior: 'instant',
-                    block: 'nearest',
-                    inline: 'center'
-                });
-            }
+            scrollToSlide(index);
 
-            // Update URL hash to #book
-            if (window.location.hash !== '#book') {
-                history.pushState(null, '', window.location.pathname + '#book');
-            }
+            // Slides take focus (roving tabindex in portfolio-semantics.js)
+            moveFocus(slides[index]);
 
             // Fade in new view
             requestAnimationFrame(function() {
                 container.classList.add('view-visible');
             });
-
-            // Notify portfolio.js of view change
-            window.dispatchEvent(new CustomEvent('portfolio:viewchange', {
-                detail: { view: 'carousel', index: index }
-            }));
-        }, FADE_DURATION);
-    }
-
-    /**
-     * Get current carousel index from scroll position
-     */
-    function getCurrentCarouselIndex() {
-        var carouselRect = carousel.getBoundingClientRect();
-        var centerX = carouselRect.left + carouselRect.width / 2;
-
-        for (var i = 0; i < totalSlides; i++) {
-            var slideRect = slides[i].getBoundingClientRect();
-            if (slideRect.left <= centerX && slideRect.right >= centerX) {
-                return i;
-            }
-        }
-        return 0;
+        }, getFadeDuration());
     }
 
     /**
-     * Switch to grid view, centering on current carousel image
+     * Switch to grid view, centering on the given (current carousel) image
      */
-    function showGrid() {
-        // Get current carousel position before switching
-        var currentIndex = getCurrentCarouselIndex();
-
-        currentView = 'grid';
-
+    function showGrid(index) {
         // Fade out current view
         container.classList.remove('view-visible');
 
@@ -289,16 +329,11 @@
             carousel.setAttribute('aria-hidden', 'true');
             grid.setAttribute('aria-hidden', 'false');
 
-            // Update URL hash (remove #book, go back to default)
-            if (window.location.hash === '#book') {
-                history.pushState(null, '', window.location.pathname);
-            }
-
             // Helper to position and fade in
             function positionAndFadeIn() {
-                // Position grid to target image BEFORE fading in
-                var gridItems = grid.querySelectorAll('.portfolio-grid-item');
-                var targetGridItem = gridItems[currentIndex];
+                // Position grid to target image BEFORE fading in - the first shown one if it's filtered out
+                var targetGridItem = grid.querySelector('.portfolio-grid-item[data-index="' + index + '"]:not(.is-filtered-out)') ||
+                    grid.querySelector('.portfolio-grid-item:not(.is-filtered-out)');
                 if (targetGridItem) {
                     targetGridItem.scrollIntoView({
                         behavior: 'instant',
@@ -306,62 +341,62 @@
                     });
                 }
 
+                moveFocus(targetGridItem);
+
                 // Fade in new view
                 requestAnimationFrame(function() {
                     container.classList.add('view-visible');
                 });
-
-                // Notify portfolio.js of view change
-                window.dispatchEvent(new CustomEvent('portfolio:viewchange', {
-                    detail: { view: 'grid' }
-                }));
             }
 
-            // Initialize Masonry if this is the first time showing grid
+            // Lay out the grid if this is the first time showing it
             // Otherwise just refresh the existing layout
-            if (!masonryInstance) {
-                // First time: wait for grid to be rendered, then init Masonry
+            if (!gridLayout) {
+                // First time: wait for grid to be rendered, then lay it out
                 // Double rAF ensures the display:block has taken effect
                 requestAnimationFrame(function() {
                     requestAnimationFrame(function() {
-                        if (typeof Masonry !== 'undefined' && typeof imagesLoaded !== 'undefined') {
-                            var imgLoad = imagesLoaded(grid);
-                            imgLoad.once('always', function() {
-                                createMasonryInstance();
-                                positionAndFadeIn();
-                            });
-                        } else if (typeof Masonry !== 'undefined') {
-                            createMasonryInstance();
-                            positionAndFadeIn();
-                        } else {
-                            // No Masonry available, just show grid
-                            positionAndFadeIn();
-                        }
+                        initGridLayout(positionAndFadeIn);
                     });
                 });
             } else {
-                // Masonry already initialized, just refresh layout
-                refreshMasonry();
+                // Layout already created, just refresh it
+                refreshGridLayout();
                 positionAndFadeIn();
             }
-        }, FADE_DURATION);
+        }, getFadeDuration());
     }
 
     /**
-     * Handle URL hash changes (back/forward buttons only, not initial load)
+     * Follow controller view changes (grid clicks, Escape, back/forward, injected code)
      */
-    function handleHashChange() {
-        // Skip if this is somehow called during initial load
-        if (isInitialLoad) return;
+    function handleChange(state) {
+        var isSlides = portfolio.isSlideView(state.view);
+
+        // Moves within the slides, and carousel <-> stack, are portfolio.js's
+        if (isSlides === portfolio.isSlideView(state.previousView)) return;
 
-        if (window.location.hash === '#book') {
-            showCarousel(0);
+        if (isSlides) {
+            showCarousel(state.index);
         } else {
-            // Default to grid (no hash, #grid, or any other hash)
-            showGrid();
+            showGrid(state.index);
         }
     }
 
+    /**
+     * Show only the filtered images (Portfolio.setFilter), and lay out what is left
+     */
+    function handleFilter(state) {
+        grid.querySelectorAll('.portfolio-grid-item').forEach(function(gridItem) {
+            var index = parseInt(gridItem.getAttribute('data-index'), 10);
+            var isShown = !state.filter || state.filter.indexOf(index) !== -1;
+
+            gridItem.classList.toggle('is-filtered-out', !isShown);
+        });
+
+        refreshGridLayout();
+    }
+
     /**
      * Handle grid item click - open carousel to that image
      */
@@ -369,42 +404,26 @@
         var gridItem = e.target.closest('.portfolio-grid-item');
         if (!gridItem) return;
 
-        var index = parseInt(gridItem.getAttribute('data-index'), 10);
-        showCarousel(index);
+        portfolio.setView(portfolio.getSlideView(), {
+            index: parseInt(gridItem.getAttribute('data-index'), 10),
+            source: 'click'
+        });
     }
 
     /**
      * Handle close button click
      */
     function handleCloseClick() {
-        showGrid();
-    }
-
-    /**
-     * Handle keyboard events
-     */
-    function handleKeydown(e) {
-        // Escape key closes carousel, goes to grid
-        if (e.key === 'Escape' && currentView === 'carousel') {
-            e.preventDefault();
-            showGrid();
-            return;
-        }
-
-        // Enter/Space on grid item opens carousel
-        if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('portfolio-grid-item')) {
-            e.preventDefault();
-            var index = parseInt(e.target.getAttribute('data-index'), 10);
-            showCarousel(index);
-        }
+        portfolio.setView('grid', { source: 'click' });
     }
 
     /**
      * Bind event listeners
      */
     function bindEvents() {
-        // Hash change (back/forward buttons)
-        window.addEventListener('hashchange', handleHashChange);
+        // View changes
+        portfolio.on('change', handleChange);
+        portfolio.on('filter', handleFilter);
 
         // Close button
         if (closeBtn) {
@@ -413,9 +432,6 @@
 
         // Grid item clicks
         grid.addEventListener('click', handleGridClick);
-
-        // Keyboard navigation
-        document.addEventListener('keydown', handleKeydown);
     }
 
     // Initialize when DOM is ready
@@ -425,4 +441,4 @@
         init();
     }
 
-})();
+}
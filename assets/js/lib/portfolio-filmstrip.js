@@ -0,0 +1,331 @@
+/**
+ * Portfolio Filmstrip - Position indicator and thumbnail strip for the carousel and stack
+ * The indicator ("12 / 48" over a progress bar, "12–13 / 48" on a spread) sits bottom left.
+ * The filmstrip under the carousel has one thumbnail per slide: click one to jump to it,
+ * or drag along the strip to scrub through the sequence. Open and close it with the
+ * .portfolio-filmstrip-btn control or the T key; the choice is remembered between visits.
+ * Both follow the current index through Portfolio.on('change').
+ *
+ * Options (data attributes on .portfolio-container):
+ *   data-progress="false"  - No position indicator
+ *   data-filmstrip="false" - No filmstrip
+ *   data-filmstrip="open"  - Filmstrip open until the visitor closes it
+ */
+import ImagePlaceholder from './image-placeholder.js';
+
+export default function portfolioFilmstrip(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var toggleBtn = container.querySelector('.portfolio-filmstrip-btn');
+    var progress = null;
+    var progressCount = null;
+    var progressFill = null;
+    var filmstrip = null;
+    var thumbs = [];
+
+    var STORAGE_KEY = 'portfolio-filmstrip';
+
+    // Pointer travel before a press on the strip counts as a scrub, not a click (px)
+    var SCRUB_THRESHOLD = 6;
+
+    // State
+    var totalSlides = portfolio.getTotal();
+    var isOpen = false;
+    var scrub = null;
+    var suppressClick = false;
+
+    /**
+     * Initialize indicator and filmstrip
+     */
+    function init() {
+        if (totalSlides < 2) return;
+
+        if (container.getAttribute('data-progress') !== 'false') {
+            buildProgress();
+        }
+
+        if (container.getAttribute('data-filmstrip') !== 'false') {
+            buildFilmstrip();
+            container.classList.add('has-filmstrip');
+            setOpen(readOpen());
+            bindFilmstrip();
+        }
+
+        update(portfolio.getIndex());
+        portfolio.on('change', handleChange);
+
+        // Spread page numbers come and go with the screen width
+        portfolio.on('spreads', function() {
+            update(portfolio.getIndex());
+        });
+    }
+
+    /**
+     * Build the "12 / 48" indicator and its bar
+     */
+    function buildProgress() {
+        progress = document.createElement('div');
+        progress.className = 'portfolio-progress';
+
+        // Screen readers hear the position from portfolio-semantics.js
+        progress.setAttribute('aria-hidden', 'true');
+
+        progress.innerHTML =
+            '<span class="portfolio-progress-count"></span>' +
+            '<span class="portfolio-progress-bar"><span class="portfolio-progress-fill"></span></span>';
+
+        progressCount = progress.querySelector('.portfolio-progress-count');
+        progressFill = progress.querySelector('.portfolio-progress-fill');
+
+        container.appendChild(progress);
+    }
+
+    /**
+     * Build a thumbnail for every slide, from the same images the grid uses
+     */
+    function buildFilmstrip() {
+        filmstrip = document.createElement('nav');
+        filmstrip.className = 'portfolio-filmstrip';
+        filmstrip.id = 'portfolio-filmstrip' + (portfolio.id ? '-' + portfolio.id : '');
+        filmstrip.setAttribute('aria-label', 'Thumbnails');
+
+        Array.prototype.forEach.call(portfolio.getSlides(), function(slide, index) {
+            // Videos show their poster
+            var image = portfolio.getImage(index);
+            var video = image ? null : portfolio.getVideo(index);
+            var source = image ? image.src : video && video.poster;
+            if (!source) return;
+
+            var thumb = document.createElement('button');
+            thumb.className = 'portfolio-filmstrip-thumb';
+            thumb.type = 'button';
+            thumb.setAttribute('data-index', index);
+            thumb.setAttribute('aria-label', 'Image ' + (index + 1) + ' of ' + totalSlides);
+            thumb.setAttribute('tabindex', '-1');
+
+            var img = document.createElement('img');
+            img.src = getThumbnailSource(source);
+            img.alt = '';
+            img.loading = 'lazy';
+            img.draggable = false;
+
+            thumb.appendChild(img);
+            filmstrip.appendChild(thumb);
+            thumbs[index] = thumb;
+        });
+
+        container.appendChild(filmstrip);
+    }
+
+    /**
+     * Smallest copy of an image - Ghost's xs size where there is one
+     */
+    function getThumbnailSource(src) {
+        return ImagePlaceholder.getGhostSize(src) || src;
+    }
+
+    /**
+     * Whether the filmstrip starts open - the visitor's last choice, then data-filmstrip
+     */
+    function readOpen() {
+        try {
+            var saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) return saved === 'open';
+        } catch (e) {
+            // Storage disabled - fall through to the default
+        }
+
+        return container.getAttribute('data-filmstrip') === 'open';
+    }
+
+    /**
+     * Open or close the filmstrip
+     */
+    function setOpen(open) {
+        isOpen = open;
+        filmstrip.hidden = !open;
+        container.classList.toggle('is-filmstrip-open', open);
+
+        if (toggleBtn) {
+            var label = open ? 'Hide thumbnails' : 'Show thumbnails';
+            toggleBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+            toggleBtn.setAttribute('aria-label', label);
+            toggleBtn.setAttribute('title', label + ' (T)');
+        }
+
+        if (open) {
+            centerThumb(portfolio.getIndex());
+        }
+    }
+
+    /**
+     * Toggle the filmstrip and remember the choice
+     */
+    function toggle() {
+        setOpen(!isOpen);
+
+        try {
+            localStorage.setItem(STORAGE_KEY, isOpen ? 'open' : 'closed');
+        } catch (e) {
+            // Storage disabled - the choice lasts for this page only
+        }
+    }
+
+    /**
+     * Scroll the strip (not the page) so a thumbnail is in the middle
+     */
+    function centerThumb(index) {
+        var thumb = thumbs[index];
+        if (!thumb || !isOpen) return;
+
+        filmstrip.scrollLeft = thumb.offsetLeft - (filmstrip.clientWidth - thumb.offsetWidth) / 2;
+    }
+
+    /**
+     * Show an index in the indicator and the filmstrip
+     */
+    function update(index) {
+        if (progress) {
+            // A spread shows both page numbers, e.g. 3–4 / 12
+            var spread = portfolio.getSpread(index);
+            var last = spread[spread.length - 1];
+
+            progressCount.textContent = (spread[0] + 1) + (last !== spread[0] ? '–' + (last + 1) : '') + ' / ' + totalSlides;
+            progressFill.style.width = ((last + 1) / totalSlides * 100) + '%';
+        }
+
+        if (!filmstrip) return;
+
+        var hadFocus = filmstrip.contains(document.activeElement);
+
+        thumbs.forEach(function(thumb, thumbIndex) {
+            var isCurrent = thumbIndex === index;
+
+            thumb.classList.toggle('is-current', isCurrent);
+            thumb.setAttribute('tabindex', isCurrent ? '0' : '-1');
+
+            if (isCurrent) {
+                thumb.setAttribute('aria-current', 'true');
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+
+        // Keyboard users stay on the strip while arrowing through it
+        if (hadFocus && thumbs[index]) {
+            thumbs[index].focus({ preventScroll: true });
+        }
+
+        centerThumb(index);
+    }
+
+    /**
+     * Follow controller changes
+     */
+    function handleChange(state) {
+        if (!portfolio.isSlideView(state.view)) return;
+
+        update(state.index);
+    }
+
+    /**
+     * Index of the thumbnail under a point, or null
+     */
+    function getThumbIndexAt(x) {
+        var rect = filmstrip.getBoundingClientRect();
+        var element = document.elementFromPoint(x, rect.top + rect.height / 2);
+        var thumb = element && element.closest('.portfolio-filmstrip-thumb');
+
+        return thumb ? parseInt(thumb.getAttribute('data-index'), 10) : null;
+    }
+
+    /**
+     * Pointer down - a click or the start of a scrub
+     */
+    function handlePointerDown(e) {
+        if (e.button !== 0) return;
+
+        suppressClick = false;
+        scrub = { pointerId: e.pointerId, startX: e.clientX, isScrubbing: false };
+    }
+
+    /**
+     * Pointer move - scrub once the pointer has travelled far enough
+     */
+    function handlePointerMove(e) {
+        if (!scrub || e.pointerId !== scrub.pointerId) return;
+
+        if (!scrub.isScrubbing) {
+            if (Math.abs(e.clientX - scrub.startX) < SCRUB_THRESHOLD) return;
+
+            scrub.isScrubbing = true;
+            filmstrip.setPointerCapture(e.pointerId);
+            filmstrip.classList.add('is-scrubbing');
+        }
+
+        var index = getThumbIndexAt(e.clientX);
+        if (index !== null && index !== portfolio.getIndex()) {
+            portfolio.goTo(index, { source: 'scrub' });
+        }
+    }
+
+    /**
+     * Pointer up - end a scrub; the click that follows it is ignored
+     */
+    function handlePointerUp(e) {
+        if (!scrub || e.pointerId !== scrub.pointerId) return;
+
+        if (scrub.isScrubbing) {
+            filmstrip.classList.remove('is-scrubbing');
+            suppressClick = true;
+        }
+
+        scrub = null;
+    }
+
+    /**
+     * Jump to a clicked thumbnail
+     */
+    function handleClick(e) {
+        var thumb = e.target.closest('.portfolio-filmstrip-thumb');
+
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+        if (!thumb) return;
+
+        portfolio.goTo(parseInt(thumb.getAttribute('data-index'), 10), { source: 'filmstrip' });
+    }
+
+    /**
+     * Bind filmstrip listeners
+     */
+    function bindFilmstrip() {
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', toggle);
+        }
+
+        portfolio.addShortcut({
+            key: 't',
+            description: 'Show/hide thumbnails',
+            view: ['carousel', 'stack'],
+            handler: toggle
+        });
+
+        filmstrip.addEventListener('click', handleClick);
+        filmstrip.addEventListener('pointerdown', handlePointerDown);
+        filmstrip.addEventListener('pointermove', handlePointerMove);
+        filmstrip.addEventListener('pointerup', handlePointerUp);
+        filmstrip.addEventListener('pointercancel', handlePointerUp);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,602 @@
+/**
+ * Portfolio Gestures - Pointer, touch, and trackpad input for the horizontal carousel
+ * Mouse clicks on the left/right half step back/forward; touch swipes step one slide,
+ * using flick velocity; pinch, double-tap, and trackpad pinch zoom into a frame,
+ * which can then be panned inside its slide.
+ * The vertical stack is left to the browser's own scrolling and snapping.
+ * Inline carousels (in posts) leave vertical wheeling, panning and pinch to the page.
+ * Navigation goes through the portfolio's controller (portfolio-controller.js).
+ */
+export default function portfolioGestures(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var gallery = container.querySelector('.portfolio-gallery');
+    var slides = portfolio.getSlides();
+    var isInline = container.classList.contains('portfolio-inline');
+
+    // Gesture tuning
+    var SWIPE_DISTANCE = 50; // px dragged to count as a swipe
+    var SWIPE_VELOCITY = 0.3; // px/ms flick speed to count as a swipe
+    var VELOCITY_WINDOW = 100; // ms of movement used to measure flick speed
+    var TAP_DISTANCE = 10; // px a pointer may move and still count as a tap
+    var DOUBLE_TAP_DELAY = 250; // ms allowed between the taps of a double-tap
+    var DOUBLE_TAP_ZOOM = 2.5;
+    var MAX_ZOOM = 4;
+    var WHEEL_IDLE = 150; // ms without wheel events before snapping resumes
+    var SWIPE_SETTLE = 500; // ms for a swipe's smooth scroll before snapping resumes
+    var LINE_HEIGHT = 16; // px per line for line-based wheel deltas
+
+    // State
+    var pointers = {};
+    var drag = null;
+    var pinch = null;
+    var zoom = null;
+    var lastTap = null;
+    var lastPointerType = 'mouse';
+    var suppressClick = false;
+    var tapTimeout;
+    var snapTimeout;
+    var wheelZoomTimeout;
+
+    /**
+     * Initialize gestures
+     */
+    function init() {
+        if (slides.length === 0) return;
+
+        // Touch panning is driven from script from here on (see CSS)
+        gallery.classList.add('has-gestures');
+
+        bindEvents();
+    }
+
+    /**
+     * Turn off scroll-snap while script moves the gallery
+     */
+    function suspendSnap() {
+        clearTimeout(snapTimeout);
+        gallery.style.scrollSnapType = 'none';
+    }
+
+    /**
+     * Turn scroll-snap back on after a delay (re-snaps to the nearest slide)
+     */
+    function restoreSnap(delay) {
+        clearTimeout(snapTimeout);
+        snapTimeout = setTimeout(function() {
+            gallery.style.scrollSnapType = '';
+        }, delay);
+    }
+
+    /**
+     * Navigate based on which side of the gallery was clicked or tapped
+     */
+    function navigateFromPoint(clientX, source) {
+        var options = { source: source };
+        var spread = portfolio.getSpread(portfolio.getIndex());
+
+        // First image (or spread): always go forward
+        if (spread[0] === 0) {
+            portfolio.next(options);
+            return;
+        }
+
+        // Last image (or spread): always go back
+        if (spread[spread.length - 1] === portfolio.getTotal() - 1) {
+            portfolio.prev(options);
+            return;
+        }
+
+        // Middle images: left half goes back, right half goes forward
+        var galleryRect = gallery.getBoundingClientRect();
+        var centerX = galleryRect.left + galleryRect.width / 2;
+
+        if (clientX < centerX) {
+            portfolio.prev(options);
+        } else {
+            portfolio.next(options);
+        }
+    }
+
+    /**
+     * Get the slide a swipe lands on - the start of the spread before or after the one it started from
+     */
+    function getSwipeTarget(startIndex, direction) {
+        if (direction === 0) return startIndex;
+
+        var spread = portfolio.getSpread(startIndex);
+        var target = direction > 0 ? spread[spread.length - 1] + 1 : spread[0] - 1;
+
+        if (target < 0 || target >= portfolio.getTotal()) {
+            return startIndex;
+        }
+
+        return portfolio.getSpread(target)[0];
+    }
+
+    /**
+     * Check whether the slides are in the stack - native vertical scrolling takes over
+     */
+    function isStacked() {
+        return portfolio.getView() === 'stack';
+    }
+
+    /**
+     * Check whether an event target is a control inside the gallery
+     */
+    function isControl(target) {
+        return !!(target && target.closest && target.closest('button, a, input'));
+    }
+
+    /**
+     * Get the image of the slide an event happened in
+     */
+    function getSlideImage(target) {
+        var slide = target && target.closest ? target.closest('.kg-image-card') : null;
+        return slide ? slide.querySelector('img') : null;
+    }
+
+    /**
+     * Start zooming an image (resets any other zoomed image)
+     */
+    function startZoom(img) {
+        if (zoom && zoom.img === img) return;
+
+        resetZoom();
+
+        zoom = {
+            img: img,
+            width: img.offsetWidth,
+            height: img.offsetHeight,
+            scale: 1,
+            x: 0,
+            y: 0
+        };
+
+        img.classList.add('is-zoomed');
+        gallery.classList.add('is-zoomed');
+    }
+
+    /**
+     * Scale the zoomed image, keeping the point under originX/originY in place
+     */
+    function setZoom(scale, originX, originY) {
+        var rect = zoom.img.getBoundingClientRect();
+
+        // Transform origin is the center, so the untranslated center is the rect center minus the pan
+        var pointX = originX - (rect.left + rect.width / 2 - zoom.x);
+        var pointY = originY - (rect.top + rect.height / 2 - zoom.y);
+
+        scale = Math.max(1, Math.min(scale, MAX_ZOOM));
+
+        zoom.x = pointX - scale * (pointX - zoom.x) / zoom.scale;
+        zoom.y = pointY - scale * (pointY - zoom.y) / zoom.scale;
+        zoom.scale = scale;
+
+        applyZoom();
+    }
+
+    /**
+     * Move the zoomed image
+     */
+    function panZoom(dx, dy) {
+        zoom.x += dx;
+        zoom.y += dy;
+
+        applyZoom();
+    }
+
+    /**
+     * Keep the zoomed image covering its box, then apply the transform
+     */
+    function applyZoom() {
+        var maxX = zoom.width * (zoom.scale - 1) / 2;
+        var maxY = zoom.height * (zoom.scale - 1) / 2;
+
+        zoom.x = Math.max(-maxX, Math.min(zoom.x, maxX));
+        zoom.y = Math.max(-maxY, Math.min(zoom.y, maxY));
+
+        zoom.img.style.transform = 'translate(' + zoom.x + 'px, ' + zoom.y + 'px) scale(' + zoom.scale + ')';
+    }
+
+    /**
+     * Drop the zoom if the image is back at (roughly) its normal size
+     */
+    function settleZoom() {
+        if (zoom && zoom.scale <= 1.01) {
+            resetZoom();
+        }
+    }
+
+    /**
+     * Return the zoomed image to its normal size
+     */
+    function resetZoom() {
+        if (!zoom) return;
+
+        zoom.img.style.transform = '';
+        zoom.img.classList.remove('is-zoomed');
+        gallery.classList.remove('is-zoomed');
+        zoom = null;
+    }
+
+    /**
+     * Double-tap - zoom in at the tapped point, or back out
+     */
+    function toggleZoom(target, clientX, clientY) {
+        if (zoom) {
+            resetZoom();
+            return;
+        }
+
+        var img = getSlideImage(target);
+        if (!img) return;
+
+        startZoom(img);
+        setZoom(DOUBLE_TAP_ZOOM, clientX, clientY);
+    }
+
+    /**
+     * Get the two active pointers of a pinch
+     */
+    function getPinchPointers() {
+        return Object.keys(pointers).slice(0, 2).map(function(id) {
+            return pointers[id];
+        });
+    }
+
+    /**
+     * Start a two-finger pinch on the image under the first finger
+     */
+    function startPinch() {
+        var points = getPinchPointers();
+        var img = getSlideImage(points[0].target);
+
+        // A pinch cancels a swipe in progress
+        if (drag) {
+            drag = null;
+            restoreSnap(0);
+        }
+
+        if (!img) return;
+
+        startZoom(img);
+
+        pinch = {
+            distance: getDistance(points),
+            scale: zoom.scale,
+            x: (points[0].x + points[1].x) / 2,
+            y: (points[0].y + points[1].y) / 2
+        };
+
+        gallery.classList.add('is-gesturing');
+    }
+
+    /**
+     * Follow both fingers - scale by their spread, pan by their midpoint
+     */
+    function updatePinch() {
+        var points = getPinchPointers();
+        var midX = (points[0].x + points[1].x) / 2;
+        var midY = (points[0].y + points[1].y) / 2;
+
+        panZoom(midX - pinch.x, midY - pinch.y);
+        setZoom(pinch.scale * getDistance(points) / pinch.distance, midX, midY);
+
+        pinch.x = midX;
+        pinch.y = midY;
+    }
+
+    /**
+     * Finish a pinch once a finger lifts
+     */
+    function endPinch() {
+        pinch = null;
+        lastTap = null;
+        gallery.classList.remove('is-gesturing');
+        settleZoom();
+    }
+
+    /**
+     * Distance between two pointers
+     */
+    function getDistance(points) {
+        return Math.sqrt(Math.pow(points[0].x - points[1].x, 2) + Math.pow(points[0].y - points[1].y, 2)) || 1;
+    }
+
+    /**
+     * Flick speed over the last moments of a drag (px/ms, negative = leftwards)
+     */
+    function getVelocity(samples, endTime) {
+        var first = samples[0];
+        var last = samples[samples.length - 1];
+
+        // Finger held still before lifting - no flick
+        if (endTime - last.t > VELOCITY_WINDOW || last.t === first.t) return 0;
+
+        return (last.x - first.x) / (last.t - first.t);
+    }
+
+    /**
+     * Touch tap - single taps navigate like clicks, double-taps zoom
+     */
+    function handleTap(e, target) {
+        if (lastTap && e.timeStamp - lastTap.time < DOUBLE_TAP_DELAY &&
+            Math.abs(e.clientX - lastTap.x) < TAP_DISTANCE * 3 &&
+            Math.abs(e.clientY - lastTap.y) < TAP_DISTANCE * 3) {
+            clearTimeout(tapTimeout);
+            lastTap = null;
+            toggleZoom(target, e.clientX, e.clientY);
+            return;
+        }
+
+        var clientX = e.clientX;
+        lastTap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+
+        // Wait to see whether a second tap follows
+        clearTimeout(tapTimeout);
+        tapTimeout = setTimeout(function() {
+            lastTap = null;
+            if (!zoom) {
+                navigateFromPoint(clientX, 'tap');
+            }
+        }, DOUBLE_TAP_DELAY);
+    }
+
+    /**
+     * Swipe release - step one slide (or spread) from where the drag started
+     */
+    function finishSwipe(finished, e) {
+        var distance = e.clientX - finished.startX;
+        var velocity = getVelocity(finished.samples, e.timeStamp);
+        var direction = 0;
+
+        if (Math.abs(velocity) > SWIPE_VELOCITY) {
+            direction = velocity < 0 ? 1 : -1;
+        } else if (Math.abs(distance) > SWIPE_DISTANCE) {
+            direction = distance < 0 ? 1 : -1;
+        }
+
+        var target = getSwipeTarget(finished.startIndex, direction);
+        var spread = portfolio.getSpread(target);
+
+        if (spread.indexOf(portfolio.getIndex()) === -1) {
+            portfolio.goTo(target, { source: 'swipe' });
+        } else {
+            // Index already followed the drag (or stayed) - settle back onto the slide or spread
+            slides[spread[0]].scrollIntoView({
+                behavior: portfolio.prefersReducedMotion() ? 'instant' : 'smooth',
+                block: 'nearest',
+                inline: spread.length > 1 ? 'end' : 'center'
+            });
+        }
+
+        restoreSnap(SWIPE_SETTLE);
+    }
+
+    /**
+     * Pointer down - start a drag, pan, or pinch
+     */
+    function handlePointerDown(e) {
+        lastPointerType = e.pointerType;
+
+        // Buttons inside slides (e.g. the lightbox button) handle their own clicks
+        if (isControl(e.target) || isStacked()) return;
+
+        // Mouse only drags to pan a zoomed frame; plain clicks navigate
+        if (e.pointerType === 'mouse' && (!zoom || e.button !== 0)) return;
+
+        pointers[e.pointerId] = { x: e.clientX, y: e.clientY, target: e.target };
+        gallery.setPointerCapture(e.pointerId);
+
+        var count = Object.keys(pointers).length;
+
+        if (count === 2) {
+            startPinch();
+            return;
+        }
+
+        if (count > 2) return;
+
+        drag = {
+            target: e.target,
+            startX: e.clientX,
+            startY: e.clientY,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            scrollLeft: gallery.scrollLeft,
+            startIndex: portfolio.getIndex(),
+            samples: [{ x: e.clientX, t: e.timeStamp }],
+            moved: false
+        };
+    }
+
+    /**
+     * Pointer move - follow the finger (scroll, or pan when zoomed)
+     */
+    function handlePointerMove(e) {
+        if (!pointers[e.pointerId]) return;
+
+        pointers[e.pointerId].x = e.clientX;
+        pointers[e.pointerId].y = e.clientY;
+
+        if (pinch) {
+            updatePinch();
+            return;
+        }
+
+        if (!drag) return;
+
+        var dx = e.clientX - drag.lastX;
+        var dy = e.clientY - drag.lastY;
+        drag.lastX = e.clientX;
+        drag.lastY = e.clientY;
+
+        if (!drag.moved) {
+            if (Math.abs(e.clientX - drag.startX) < TAP_DISTANCE && Math.abs(e.clientY - drag.startY) < TAP_DISTANCE) return;
+
+            drag.moved = true;
+            gallery.classList.add('is-gesturing');
+            if (!zoom) {
+                suspendSnap();
+            }
+        }
+
+        if (zoom) {
+            panZoom(dx, dy);
+            return;
+        }
+
+        gallery.scrollLeft = drag.scrollLeft - (e.clientX - drag.startX);
+
+        // Keep only recent movement for the flick speed
+        drag.samples.push({ x: e.clientX, t: e.timeStamp });
+        while (drag.samples.length > 2 && e.timeStamp - drag.samples[0].t > VELOCITY_WINDOW) {
+            drag.samples.shift();
+        }
+    }
+
+    /**
+     * Pointer up/cancel - finish the gesture
+     */
+    function handlePointerUp(e) {
+        if (!pointers[e.pointerId]) return;
+
+        delete pointers[e.pointerId];
+
+        if (pinch) {
+            endPinch();
+            return;
+        }
+
+        if (!drag) return;
+
+        var finished = drag;
+        drag = null;
+        gallery.classList.remove('is-gesturing');
+
+        if (e.type === 'pointercancel') {
+            restoreSnap(0);
+            return;
+        }
+
+        if (!finished.moved) {
+            // Mouse clicks arrive as click events
+            if (e.pointerType !== 'mouse') {
+                handleTap(e, finished.target);
+            }
+            return;
+        }
+
+        // A mouse pan shouldn't also count as a click
+        if (e.pointerType === 'mouse') {
+            suppressClick = true;
+        }
+
+        if (!zoom) {
+            finishSwipe(finished, e);
+        }
+    }
+
+    /**
+     * Mouse click - navigate, or zoom back out of a zoomed frame
+     */
+    function handleClick(e) {
+        if (isControl(e.target)) return;
+
+        // Slide clicks stop here, so the theme-wide post image lightbox
+        // (shared-theme-assets) doesn't also open on carousel images
+        e.stopPropagation();
+
+        if (isStacked()) return;
+
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+
+        // Touch taps are handled on pointerup so double-taps can be told apart
+        if (lastPointerType !== 'mouse') return;
+
+        if (zoom) {
+            resetZoom();
+            return;
+        }
+
+        navigateFromPoint(e.clientX, 'click');
+    }
+
+    /**
+     * Handle wheel - trackpad pinch zooms, horizontal swipes and vertical wheels scroll
+     */
+    function handleWheel(e) {
+        if (isStacked()) return;
+
+        // Inline carousels sit in an article - vertical wheeling scrolls the page past them
+        if (isInline && !e.ctrlKey && !zoom && Math.abs(e.deltaY) >= Math.abs(e.deltaX)) return;
+
+        e.preventDefault();
+
+        // Trackpad pinch (and Ctrl + wheel) arrives as a wheel event with ctrlKey set
+        if (e.ctrlKey) {
+            var img = getSlideImage(e.target) || getSlideImage(slides[portfolio.getIndex()]);
+            if (!img) return;
+
+            startZoom(img);
+            gallery.classList.add('is-gesturing');
+            setZoom(zoom.scale * Math.exp(-e.deltaY / 100), e.clientX, e.clientY);
+
+            clearTimeout(wheelZoomTimeout);
+            wheelZoomTimeout = setTimeout(function() {
+                gallery.classList.remove('is-gesturing');
+                settleZoom();
+            }, WHEEL_IDLE);
+            return;
+        }
+
+        if (zoom) {
+            panZoom(-e.deltaX, -e.deltaY);
+            return;
+        }
+
+        // Horizontal trackpad swipes use deltaX; mouse wheels scroll vertically
+        var delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+        if (e.deltaMode === 1) {
+            delta *= LINE_HEIGHT;
+        }
+
+        // No snap while the wheel is moving, snap back once it goes idle
+        suspendSnap();
+        gallery.scrollLeft += delta;
+        restoreSnap(WHEEL_IDLE);
+    }
+
+    /**
+     * Bind all event listeners
+     */
+    function bindEvents() {
+        gallery.addEventListener('pointerdown', handlePointerDown);
+        gallery.addEventListener('pointermove', handlePointerMove);
+        gallery.addEventListener('pointerup', handlePointerUp);
+        gallery.addEventListener('pointercancel', handlePointerUp);
+
+        // Click navigation (capture phase, ahead of listeners on the images)
+        gallery.addEventListener('click', handleClick, true);
+
+        // Wheel and trackpad
+        gallery.addEventListener('wheel', handleWheel, { passive: false });
+
+        // Zoom belongs to one frame - drop it when the slide, view, or size changes
+        portfolio.on('change', resetZoom);
+        window.addEventListener('resize', resetZoom);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,192 @@
+/**
+ * Portfolio Help - Keyboard shortcuts overlay
+ * The ? key opens a dialog listing the keys for the current view: the built-in
+ * navigation keys, then every shortcut registered with Portfolio.addShortcut()
+ * (slideshow, fullscreen, info and any added by injected code).
+ */
+export default function portfolioHelp(portfolio) {
+    var container = portfolio.container;
+
+    var CLOSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+
+    // Keys handled by portfolio-controller.js itself
+    var NAVIGATION_KEYS = {
+        carousel: [
+            { keys: ['←', '→'], description: 'Previous / next image' },
+            { keys: ['Home', 'End'], description: 'First / last image' }
+        ],
+        stack: [
+            { keys: ['↑', '↓'], description: 'Previous / next image' },
+            { keys: ['Home', 'End'], description: 'First / last image' }
+        ],
+        grid: [
+            { keys: ['Tab'], description: 'Move between images' },
+            { keys: ['Enter'], description: 'Open image' }
+        ]
+    };
+
+    // Names for keys that don't read well as themselves
+    var KEY_NAMES = {
+        ' ': 'Space',
+        Escape: 'Esc',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓'
+    };
+
+    // DOM elements (built on first open)
+    var dialog = null;
+    var list = null;
+    var closeBtn = null;
+
+    // State
+    var returnFocus = null;
+
+    /**
+     * Build the dialog markup
+     */
+    function build() {
+        // One dialog per portfolio on the page - keep the ids apart
+        var titleId = 'portfolio-help-title' + (portfolio.id ? '-' + portfolio.id : '');
+
+        dialog = document.createElement('div');
+        dialog.className = 'portfolio-help';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', titleId);
+        dialog.hidden = true;
+
+        dialog.innerHTML =
+            '<div class="portfolio-help-panel">' +
+                '<h2 class="portfolio-help-title" id="' + titleId + '">Keyboard shortcuts</h2>' +
+                '<button class="portfolio-help-close" aria-label="Close keyboard shortcuts" title="Close (Esc)">' + CLOSE_ICON + '</button>' +
+                '<dl class="portfolio-help-list"></dl>' +
+            '</div>';
+
+        list = dialog.querySelector('.portfolio-help-list');
+        closeBtn = dialog.querySelector('.portfolio-help-close');
+
+        closeBtn.addEventListener('click', close);
+        dialog.addEventListener('keydown', handleKeydown);
+
+        // Click on the backdrop closes
+        dialog.addEventListener('click', function(e) {
+            if (e.target === dialog) close();
+        });
+
+        container.appendChild(dialog);
+    }
+
+    /**
+     * Label for a key, e.g. 'f' -> 'F'
+     */
+    function formatKey(key) {
+        if (KEY_NAMES[key]) return KEY_NAMES[key];
+
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    /**
+     * Add a row of keys and what they do
+     */
+    function addRow(keys, description) {
+        var term = document.createElement('dt');
+        var value = document.createElement('dd');
+
+        keys.forEach(function(key) {
+            var kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            term.appendChild(kbd);
+        });
+        value.textContent = description;
+
+        list.appendChild(term);
+        list.appendChild(value);
+    }
+
+    /**
+     * List the keys that work in the current view
+     */
+    function render() {
+        var view = portfolio.getView();
+
+        list.innerHTML = '';
+
+        NAVIGATION_KEYS[view].forEach(function(row) {
+            addRow(row.keys, row.description);
+        });
+
+        portfolio.getShortcuts(view).forEach(function(shortcut) {
+            addRow([formatKey(shortcut.key)], shortcut.description || '');
+        });
+
+        if (portfolio.isSlideView(view) && portfolio.isDualView) {
+            addRow(['Esc'], 'Back to the grid');
+        }
+    }
+
+    /**
+     * Show the dialog
+     */
+    function open() {
+        if (!dialog) build();
+        if (!dialog.hidden) return;
+
+        render();
+        returnFocus = document.activeElement;
+        dialog.hidden = false;
+        closeBtn.focus();
+    }
+
+    /**
+     * Hide the dialog and return focus to where it was
+     */
+    function close() {
+        if (!dialog || dialog.hidden) return;
+
+        dialog.hidden = true;
+
+        if (returnFocus && returnFocus.focus) {
+            returnFocus.focus({ preventScroll: true });
+        }
+        returnFocus = null;
+    }
+
+    /**
+     * Keys while open - the dialog is modal, so nothing reaches the page shortcuts
+     */
+    function handleKeydown(e) {
+        e.stopPropagation();
+
+        if (e.key === 'Escape' || e.key === '?') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            // Only one control to move to
+            e.preventDefault();
+            closeBtn.focus();
+        }
+    }
+
+    /**
+     * Register the ? shortcut
+     */
+    function init() {
+        if (portfolio.getTotal() === 0) return;
+
+        portfolio.addShortcut({
+            key: '?',
+            description: 'Show keyboard shortcuts',
+            handler: open
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,341 @@
+/**
+ * Portfolio Info - Caption and photo metadata panel for the carousel and stack
+ * Toggle with the .portfolio-info-btn control or the I key; follows the current image.
+ *
+ * Shows the caption, alt text, and camera, lens, exposure, date and location.
+ * Metadata comes from the image's EXIF (photo-exif.js) when the file is same-origin,
+ * with data attributes on the image card (or its img) filling anything EXIF lacks:
+ *   data-camera="Leica M6"  data-lens="Summicron 35mm f/2"  data-exposure="1/125s f/8 ISO 400"
+ *   data-date="2024-05-12"  data-location="Lisbon, Portugal" (shown instead of GPS coordinates)
+ * (Add them by writing the image card's <figure> in an HTML card.)
+ */
+import PhotoExif from './photo-exif.js';
+
+export default function portfolioInfo(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var slides = portfolio.getSlides();
+    var infoBtn = container.querySelector('.portfolio-info-btn');
+    var panel;
+    var captionEl;
+    var detailsEl;
+
+    var CLOSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+
+    // Rows in display order
+    var FIELDS = [
+        { key: 'alt', label: 'Alt text' },
+        { key: 'camera', label: 'Camera' },
+        { key: 'lens', label: 'Lens' },
+        { key: 'exposure', label: 'Exposure' },
+        { key: 'date', label: 'Date' },
+        { key: 'location', label: 'Location' }
+    ];
+
+    // State
+    var isOpen = false;
+    var exifRequests = [];
+
+    /**
+     * Initialize info panel
+     */
+    function init() {
+        if (slides.length === 0) return;
+
+        buildPanel();
+
+        container.classList.add('has-info');
+
+        bindEvents();
+    }
+
+    /**
+     * Build the panel markup
+     */
+    function buildPanel() {
+        panel = document.createElement('aside');
+        panel.className = 'portfolio-info';
+        panel.id = 'portfolio-info' + (portfolio.id ? '-' + portfolio.id : '');
+        panel.setAttribute('aria-label', 'Image information');
+        panel.setAttribute('aria-live', 'polite');
+        panel.hidden = true;
+
+        panel.innerHTML =
+            '<button class="portfolio-info-close" aria-label="Close image information" title="Close (I)">' + CLOSE_ICON + '</button>' +
+            '<div class="portfolio-info-caption"></div>' +
+            '<dl class="portfolio-info-details"></dl>';
+
+        captionEl = panel.querySelector('.portfolio-info-caption');
+        detailsEl = panel.querySelector('.portfolio-info-details');
+
+        panel.querySelector('.portfolio-info-close').addEventListener('click', close);
+
+        container.appendChild(panel);
+    }
+
+    /**
+     * Show the panel for the current image
+     */
+    function open() {
+        if (isOpen) return;
+
+        isOpen = true;
+        panel.hidden = false;
+        updateControl();
+        render(portfolio.getIndex());
+    }
+
+    /**
+     * Hide the panel
+     */
+    function close() {
+        if (!isOpen) return;
+
+        isOpen = false;
+        panel.hidden = true;
+        updateControl();
+    }
+
+    /**
+     * Toggle the panel
+     */
+    function toggle() {
+        if (isOpen) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    /**
+     * Sync the info control with the panel state
+     */
+    function updateControl() {
+        container.classList.toggle('is-info-open', isOpen);
+
+        if (!infoBtn) return;
+
+        infoBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        infoBtn.setAttribute('aria-label', isOpen ? 'Hide image information' : 'Show image information');
+    }
+
+    /**
+     * Fill the panel for a slide - markup details now, EXIF when it arrives
+     */
+    function render(index) {
+        var slide = slides[index];
+        if (!slide) return;
+
+        panel.classList.remove('is-loading');
+
+        var figcaption = slide.querySelector('figcaption');
+        captionEl.innerHTML = figcaption ? figcaption.innerHTML : '';
+        captionEl.hidden = !figcaption;
+
+        var attributes = readAttributes(slide);
+        renderDetails(attributes);
+
+        var image = portfolio.getImage(index);
+        if (!image) return;
+
+        panel.classList.add('is-loading');
+
+        getExif(index, image.src).then(function(exif) {
+            // Moved on while the file was being read
+            if (index !== portfolio.getIndex() || !isOpen) return;
+
+            panel.classList.remove('is-loading');
+            if (exif) {
+                var details = merge(fromExif(exif), attributes);
+
+                // A place name reads better than GPS coordinates
+                details.location = attributes.location || details.location;
+
+                renderDetails(details);
+            }
+        });
+    }
+
+    /**
+     * Fetch a slide's EXIF once and reuse the result
+     */
+    function getExif(index, src) {
+        if (!exifRequests[index]) {
+            exifRequests[index] = PhotoExif.read(src);
+        }
+
+        return exifRequests[index];
+    }
+
+    /**
+     * Write the detail rows, skipping empty ones
+     */
+    function renderDetails(details) {
+        detailsEl.innerHTML = '';
+
+        FIELDS.forEach(function(field) {
+            if (!details[field.key]) return;
+
+            var term = document.createElement('dt');
+            var value = document.createElement('dd');
+            term.textContent = field.label;
+            value.textContent = details[field.key];
+
+            detailsEl.appendChild(term);
+            detailsEl.appendChild(value);
+        });
+
+        detailsEl.hidden = detailsEl.children.length === 0;
+    }
+
+    /**
+     * Read alt text and data attribute metadata from the card and its image
+     */
+    function readAttributes(slide) {
+        var img = slide.querySelector('img');
+
+        function attr(name) {
+            return slide.getAttribute('data-' + name) || (img && img.getAttribute('data-' + name)) || '';
+        }
+
+        return {
+            alt: img ? img.getAttribute('alt') : '',
+            camera: attr('camera'),
+            lens: attr('lens'),
+            exposure: attr('exposure'),
+            date: formatDate(attr('date')),
+            location: attr('location')
+        };
+    }
+
+    /**
+     * Turn parsed EXIF into display strings
+     */
+    function fromExif(exif) {
+        var exposure = [];
+        var iso = Array.isArray(exif.iso) ? exif.iso[0] : exif.iso;
+
+        if (exif.focalLength) exposure.push(round(exif.focalLength) + 'mm');
+        if (exif.fNumber) exposure.push('f/' + round(exif.fNumber));
+        if (exif.exposureTime) exposure.push(formatShutter(exif.exposureTime));
+        if (iso) exposure.push('ISO ' + iso);
+
+        return {
+            camera: formatCamera(exif.make, exif.model),
+            lens: exif.lens || '',
+            exposure: exposure.join(' · '),
+            date: exif.date ? formatDate(exif.date) : '',
+            location: formatPosition(exif.latitude, exif.longitude)
+        };
+    }
+
+    /**
+     * Combine details - the first non-empty value wins
+     */
+    function merge(primary, fallback) {
+        var merged = {};
+
+        FIELDS.forEach(function(field) {
+            merged[field.key] = primary[field.key] || fallback[field.key] || '';
+        });
+
+        return merged;
+    }
+
+    /**
+     * Round to one decimal place, dropping a trailing .0
+     */
+    function round(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    /**
+     * "Canon" + "Canon EOS R5" reads as "Canon EOS R5"
+     */
+    function formatCamera(make, model) {
+        if (!model) return make || '';
+        if (!make || model.toLowerCase().indexOf(make.split(' ')[0].toLowerCase()) === 0) return model;
+
+        return make + ' ' + model;
+    }
+
+    /**
+     * 0.004 reads as "1/250s", 2 as "2s"
+     */
+    function formatShutter(seconds) {
+        if (seconds >= 1) return round(seconds) + 's';
+
+        return '1/' + Math.round(1 / seconds) + 's';
+    }
+
+    /**
+     * Format a Date or date string in the page's language
+     */
+    function formatDate(value) {
+        if (!value) return '';
+
+        // Plain YYYY-MM-DD is the photo's local day, not UTC midnight
+        var day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        var date = value instanceof Date ? value : day ? new Date(+day[1], day[2] - 1, +day[3]) : new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+
+        return date.toLocaleDateString(document.documentElement.lang || undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Format GPS coordinates, e.g. "38.71390° N, 9.13940° W"
+     */
+    function formatPosition(latitude, longitude) {
+        if (latitude === undefined || longitude === undefined) return '';
+
+        return Math.abs(latitude).toFixed(5) + '° ' + (latitude < 0 ? 'S' : 'N') + ', ' +
+            Math.abs(longitude).toFixed(5) + '° ' + (longitude < 0 ? 'W' : 'E');
+    }
+
+    /**
+     * Follow controller changes - show the new image, close outside the slides
+     */
+    function handleChange(state) {
+        if (!isOpen) return;
+
+        if (!portfolio.isSlideView(state.view)) {
+            close();
+            return;
+        }
+
+        if (state.index !== state.previousIndex) {
+            render(state.index);
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    function bindEvents() {
+        if (infoBtn) {
+            infoBtn.addEventListener('click', toggle);
+        }
+
+        portfolio.addShortcut({
+            key: 'i',
+            description: 'Show/hide image information',
+            view: ['carousel', 'stack'],
+            handler: toggle
+        });
+
+        portfolio.on('change', handleChange);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
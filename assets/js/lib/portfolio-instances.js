@@ -0,0 +1,160 @@
+/**
+ * Portfolio Instances - One portfolio per .portfolio-container on the page
+ * Sets up a controller (portfolio-controller.js) for each container, then every portfolio
+ * script against it, so carousels on the same page keep their own index, view, hash and keys.
+ *
+ * Containers come from the portfolio templates, and from inline carousels in posts and pages.
+ * For an inline carousel, add an HTML card before the images and one after them:
+ *   <div class="portfolio-inline" data-portfolio-id="harbour" data-title="Harbour"></div>
+ *   ...image, gallery and video cards...
+ *   <div class="portfolio-inline-end"></div>
+ * The cards in between move into the carousel (a wrapper that already holds them works too).
+ *
+ * Inline options (data attributes on .portfolio-inline):
+ *   data-portfolio-id="harbour" - Hash namespace (#harbour/book/3), "gallery-N" by position otherwise
+ *   data-title="Harbour"        - Label for screen readers
+ *   data-grid                   - Open in a grid of the images, like the Horizontal Carousel Grid template
+ *   data-proofing               - Let readers pick favorites (portfolio-proofing.js)
+ *
+ * window.Portfolio is the template's portfolio, or the first inline one on other pages;
+ * window.Portfolios lists them all.
+ */
+import portfolioController from './portfolio-controller.js';
+import portfolioDualView from './portfolio-dual-view.js';
+import portfolioFilmstrip from './portfolio-filmstrip.js';
+import portfolioGestures from './portfolio-gestures.js';
+import portfolioHelp from './portfolio-help.js';
+import portfolioInfo from './portfolio-info.js';
+import portfolioLightbox from './portfolio-lightbox.js';
+import portfolioProofing from './portfolio-proofing.js';
+import portfolioRemote from './portfolio-remote.js';
+import portfolioSemantics from './portfolio-semantics.js';
+import portfolioSlideshow from './portfolio-slideshow.js';
+import portfolioVideo from './portfolio-video.js';
+import portfolioVirtual from './portfolio-virtual.js';
+import portfolioCarousel from './portfolio.js';
+
+// Portfolio scripts in the order they are set up - each drives the controller or follows it
+var SETUPS = [
+    portfolioDualView,
+    portfolioFilmstrip,
+    portfolioGestures,
+    portfolioHelp,
+    portfolioInfo,
+    portfolioLightbox,
+    portfolioProofing,
+    portfolioRemote,
+    portfolioSemantics,
+    portfolioSlideshow,
+    portfolioVideo,
+    portfolioVirtual,
+    portfolioCarousel
+];
+
+var CLOSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+    '<line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+
+/**
+ * Set up a portfolio on every container on the page
+ * Returns the portfolios, in page order
+ */
+export default function setupPortfolios() {
+    document.querySelectorAll('.portfolio-inline').forEach(buildInline);
+
+    var portfolios = Array.prototype.map.call(document.querySelectorAll('.portfolio-container'), function(container) {
+        var portfolio = portfolioController(container);
+
+        SETUPS.forEach(function(setup) {
+            setup(portfolio);
+        });
+
+        return portfolio;
+    });
+
+    var main = portfolios.filter(function(portfolio) {
+        return !portfolio.container.classList.contains('portfolio-inline');
+    })[0] || portfolios[0];
+
+    if (main) {
+        window.Portfolio = main;
+    }
+    window.Portfolios = portfolios;
+
+    return portfolios;
+}
+
+/**
+ * Turn an inline wrapper into a portfolio container - gather its cards into a gallery
+ */
+function buildInline(wrapper, position) {
+    var cards = wrapper.children.length > 0 ? Array.prototype.slice.call(wrapper.children) : takeFollowingCards(wrapper);
+    var title = wrapper.getAttribute('data-title') || 'Gallery';
+    var isDual = wrapper.hasAttribute('data-grid');
+
+    if (!wrapper.getAttribute('data-portfolio-id')) {
+        wrapper.setAttribute('data-portfolio-id', 'gallery-' + (position + 1));
+    }
+
+    var gallery = document.createElement('div');
+    gallery.className = 'portfolio-gallery gh-content';
+    gallery.setAttribute('role', 'region');
+    gallery.setAttribute('aria-roledescription', 'carousel');
+    gallery.setAttribute('aria-label', title);
+
+    cards.forEach(function(card) {
+        gallery.appendChild(card);
+    });
+
+    wrapper.classList.add('portfolio-container');
+    wrapper.setAttribute('role', 'region');
+    wrapper.setAttribute('aria-label', title + ' gallery');
+
+    if (isDual) {
+        wrapper.classList.add('portfolio-dual-container');
+        wrapper.appendChild(buildCloseButton());
+    }
+
+    wrapper.appendChild(gallery);
+
+    if (isDual) {
+        var grid = document.createElement('div');
+        grid.className = 'portfolio-grid';
+        grid.setAttribute('role', 'region');
+        grid.setAttribute('aria-label', title + ' grid');
+        grid.setAttribute('aria-hidden', 'true');
+        wrapper.appendChild(grid);
+    }
+}
+
+/**
+ * Take the cards between an empty wrapper (an HTML card) and the end marker out of the post
+ */
+function takeFollowingCards(wrapper) {
+    var cards = [];
+    var node = wrapper.nextElementSibling;
+
+    while (node && !node.classList.contains('portfolio-inline-end') && !node.classList.contains('portfolio-inline')) {
+        var next = node.nextElementSibling;
+        cards.push(node);
+        node = next;
+    }
+
+    if (node && node.classList.contains('portfolio-inline-end')) {
+        node.parentNode.removeChild(node);
+    }
+
+    return cards;
+}
+
+/**
+ * Close button back to the grid, as in the Horizontal Carousel Grid template
+ */
+function buildCloseButton() {
+    var button = document.createElement('button');
+    button.className = 'portfolio-close-btn';
+    button.setAttribute('aria-label', 'Close carousel, return to grid view');
+    button.setAttribute('title', 'Close (Esc)');
+    button.innerHTML = CLOSE_ICON;
+
+    return button;
+}
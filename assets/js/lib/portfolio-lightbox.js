@@ -0,0 +1,212 @@
+/**
+ * Portfolio Lightbox - Full-resolution viewer and fullscreen mode for the carousel
+ * Adds an expand button to each slide that opens the largest srcset candidate,
+ * with its caption, in PhotoLightbox (photo-lightbox.js). Closing the viewer
+ * leaves the carousel on the image that was last shown.
+ * The .portfolio-fullscreen-btn control (or the F key) puts the whole carousel (or stack) in fullscreen.
+ */
+import PhotoLightbox from './photo-lightbox.js';
+
+export default function portfolioLightbox(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var slides = portfolio.getSlides();
+    var fullscreenBtn = container.querySelector('.portfolio-fullscreen-btn');
+
+    var EXPAND_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>';
+
+    /**
+     * Initialize lightbox buttons and fullscreen control
+     */
+    function init() {
+        if (slides.length === 0) return;
+
+        addExpandButtons();
+
+        if (isFullscreenSupported()) {
+            container.classList.add('has-fullscreen');
+            bindFullscreen();
+        }
+    }
+
+    /**
+     * Add an expand button to every slide with an image
+     */
+    function addExpandButtons() {
+        slides.forEach(function(slide, index) {
+            if (!portfolio.getImage(index)) return;
+
+            var button = document.createElement('button');
+            button.className = 'portfolio-expand-btn';
+            button.setAttribute('aria-label', 'View image ' + (index + 1) + ' full size');
+            button.setAttribute('title', 'View full size');
+            button.innerHTML = EXPAND_ICON;
+
+            button.addEventListener('click', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                openLightbox(index);
+            });
+
+            slide.appendChild(button);
+        });
+    }
+
+    /**
+     * Pick the widest candidate from a srcset
+     */
+    function getLargestSource(image) {
+        var largest = image.src;
+        var largestWidth = 0;
+
+        image.srcset.split(',').forEach(function(candidate) {
+            var parts = candidate.trim().split(/\s+/);
+            var width = parseInt(parts[1], 10);
+
+            if (parts[0] && /w$/.test(parts[1] || '') && width > largestWidth) {
+                largest = parts[0];
+                largestWidth = width;
+            }
+        });
+
+        return largest;
+    }
+
+    /**
+     * Indexes of the slides the lightbox shows - images only, not videos or embeds
+     */
+    function getImageIndexes() {
+        var indexes = [];
+
+        slides.forEach(function(slide, index) {
+            if (portfolio.getImage(index)) indexes.push(index);
+        });
+
+        return indexes;
+    }
+
+    /**
+     * Build lightbox items from image slides
+     */
+    function getItems(indexes) {
+        return indexes.map(function(index) {
+            var image = portfolio.getImage(index);
+            var figcaption = slides[index].querySelector('figcaption');
+
+            // Parked slides (portfolio-virtual.js) have no thumbnail showing
+            var isParked = image.element.classList.contains('is-parked');
+
+            return {
+                src: getLargestSource(image),
+                width: image.width,
+                height: image.height,
+                msrc: isParked ? '' : image.element.currentSrc || image.src,
+                alt: image.alt,
+                caption: figcaption ? figcaption.innerHTML : ''
+            };
+        });
+    }
+
+    /**
+     * Open the lightbox at a slide, syncing the carousel when it closes
+     * Lightbox items count images only - map between their indexes and the slides'
+     */
+    function openLightbox(index) {
+        var indexes = getImageIndexes();
+        var start = indexes.indexOf(index);
+
+        if (start === -1) return;
+
+        PhotoLightbox.open(getItems(indexes), start, {
+            container: getFullscreenElement() === container ? container : null,
+            onClose: function(lastIndex) {
+                portfolio.goTo(indexes[lastIndex], { source: 'lightbox' });
+            }
+        });
+    }
+
+    /**
+     * Check whether the browser can put an element in fullscreen
+     */
+    function isFullscreenSupported() {
+        return !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+    }
+
+    /**
+     * Get the element currently in fullscreen, if any
+     */
+    function getFullscreenElement() {
+        return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    /**
+     * Enter or leave fullscreen for the carousel
+     */
+    function toggleFullscreen() {
+        if (getFullscreenElement()) {
+            (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+            return;
+        }
+
+        // Fullscreen shows the slides - open them from the grid
+        if (!portfolio.isSlideView(portfolio.getView())) {
+            portfolio.setView(portfolio.getSlideView(), { source: 'fullscreen' });
+        }
+
+        var request = container.requestFullscreen || container.webkitRequestFullscreen;
+        var result = request.call(container);
+        if (result && result.catch) {
+            result.catch(function() {});
+        }
+    }
+
+    /**
+     * Sync the fullscreen control with the fullscreen state
+     */
+    function handleFullscreenChange() {
+        var isFullscreen = getFullscreenElement() === container;
+        var label = isFullscreen ? 'Exit fullscreen' : 'Enter fullscreen';
+
+        container.classList.toggle('is-fullscreen', isFullscreen);
+
+        if (fullscreenBtn) {
+            fullscreenBtn.setAttribute('aria-pressed', isFullscreen ? 'true' : 'false');
+            fullscreenBtn.setAttribute('aria-label', label);
+            fullscreenBtn.setAttribute('title', label + ' (F)');
+        }
+    }
+
+    /**
+     * Bind fullscreen listeners
+     */
+    function bindFullscreen() {
+        if (fullscreenBtn) {
+            fullscreenBtn.addEventListener('click', toggleFullscreen);
+        }
+
+        portfolio.addShortcut({
+            key: 'f',
+            description: 'Toggle fullscreen',
+            handler: toggleFullscreen
+        });
+
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+
+        // The grid scrolls with the page - leave fullscreen when switching to it
+        portfolio.on('change', function(state) {
+            if (!portfolio.isSlideView(state.view) && getFullscreenElement() === container) {
+                toggleFullscreen();
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
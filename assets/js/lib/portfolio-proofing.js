@@ -0,0 +1,442 @@
+/**
+ * Portfolio Proofing - Clients pick their favorites and send them back
+ * A heart on every grid item and slide selects an image or video (S selects the current one -
+ * both pages of a two-page spread - or the grid item with focus). The proofing bar counts the picks, narrows the grid to them
+ * ("Selected only", through Portfolio.setFilter), copies a link that opens the selection and
+ * downloads it as a CSV list of filenames. Picks are kept per page (and per inline carousel)
+ * in localStorage.
+ *
+ * Shared links carry the picks as 1-based image numbers and ranges in the hash options,
+ * e.g. #book/3?picks=3-5,9 - opening one loads that selection in place of the saved one.
+ *
+ * Options (data attributes on .portfolio-container):
+ *   data-proofing - Turn proofing on; set by the templates from the #proofing internal tag
+ */
+export default function portfolioProofing(portfolio) {
+    var container = portfolio.container;
+
+    var STORAGE_PREFIX = 'portfolio-picks:';
+    var PARAM = 'picks';
+
+    // How long a button shows its confirmation, e.g. "Link copied" (ms)
+    var CONFIRM_DURATION = 2000;
+
+    var HEART_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>';
+
+    // DOM elements
+    var slides = portfolio.getSlides();
+    var bar = null;
+    var countLabel = null;
+    var filterBtn = null;
+    var linkBtn = null;
+    var listBtn = null;
+    var toggles = []; // Pick buttons per index - on the slide and on its grid item
+
+    // State
+    var storageKey = STORAGE_PREFIX + window.location.pathname + (portfolio.id ? '#' + portfolio.id : '');
+    var picks = []; // Picked indexes, in order
+    var isFiltered = false;
+
+    /**
+     * Initialize proofing
+     */
+    function init() {
+        if (!container.hasAttribute('data-proofing') || container.getAttribute('data-proofing') === 'false') return;
+        if (slides.length === 0) return;
+
+        addToggles();
+        buildBar();
+        container.classList.add('has-proofing');
+
+        // A shared link replaces the saved selection and shows it
+        var shared = readShared();
+        if (shared) {
+            picks = shared;
+            save();
+            setFiltered(portfolio.isDualView);
+        } else {
+            picks = load();
+            update();
+        }
+
+        bindEvents();
+    }
+
+    /**
+     * Check whether a slide can be picked - images and videos, which have a file
+     */
+    function isPickable(index) {
+        return getFilename(index) !== '';
+    }
+
+    /**
+     * Filename of a slide's image or video, '' for embeds
+     * e.g. /content/images/size/w2000/2024/05/DSC_1234.jpg -> DSC_1234.jpg
+     */
+    function getFilename(index) {
+        var media = portfolio.getImage(index) || portfolio.getVideo(index);
+        var path = media ? media.src.split(/[?#]/)[0] : '';
+
+        try {
+            return decodeURIComponent(path.split('/').pop());
+        } catch (e) {
+            return path.split('/').pop();
+        }
+    }
+
+    /**
+     * Write indexes as 1-based numbers and ranges, e.g. [2, 3, 4, 8] -> "3-5,9"
+     */
+    function encodePicks(indexes) {
+        var ranges = [];
+
+        indexes.forEach(function(index) {
+            var last = ranges[ranges.length - 1];
+
+            if (last && index === last[1] + 1) {
+                last[1] = index;
+            } else {
+                ranges.push([index, index]);
+            }
+        });
+
+        return ranges.map(function(range) {
+            return (range[0] + 1) + (range[1] > range[0] ? '-' + (range[1] + 1) : '');
+        }).join(',');
+    }
+
+    /**
+     * Read indexes from numbers and ranges, skipping anything that isn't a pickable slide
+     */
+    function decodePicks(value) {
+        var indexes = [];
+
+        (value || '').split(',').forEach(function(part) {
+            var match = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+            if (!match) return;
+
+            var first = Math.max(parseInt(match[1], 10) - 1, 0);
+            var last = Math.min(match[2] ? parseInt(match[2], 10) - 1 : first, slides.length - 1);
+
+            for (var index = first; index <= last; index++) {
+                if (isPickable(index) && indexes.indexOf(index) === -1) {
+                    indexes.push(index);
+                }
+            }
+        });
+
+        return indexes.sort(function(a, b) {
+            return a - b;
+        });
+    }
+
+    /**
+     * Read the picks from a shared link, then take them out of the URL so a reload
+     * keeps the visitor's own changes - null when the link has none
+     */
+    function readShared() {
+        var value = portfolio.getHashParam(PARAM);
+        if (value === null) return null;
+
+        var hash = window.location.hash;
+        var queryStart = hash.indexOf('?');
+        var params = hash.slice(queryStart + 1).split('&').filter(function(param) {
+            return param && param.split('=')[0] !== PARAM;
+        });
+
+        history.replaceState(history.state, '', window.location.pathname + window.location.search +
+            hash.slice(0, queryStart) + (params.length ? '?' + params.join('&') : ''));
+
+        return decodePicks(value);
+    }
+
+    /**
+     * Read the saved picks for this page
+     */
+    function load() {
+        try {
+            return decodePicks(localStorage.getItem(storageKey));
+        } catch (e) {
+            // Storage disabled - nothing picked yet
+            return [];
+        }
+    }
+
+    /**
+     * Save the picks for this page
+     */
+    function save() {
+        try {
+            if (picks.length > 0) {
+                localStorage.setItem(storageKey, encodePicks(picks));
+            } else {
+                localStorage.removeItem(storageKey);
+            }
+        } catch (e) {
+            // Storage disabled - the picks last for this page only
+        }
+    }
+
+    /**
+     * Add a pick button to every pickable slide and its grid item
+     */
+    function addToggles() {
+        slides.forEach(function(slide, index) {
+            if (!isPickable(index)) return;
+
+            toggles[index] = [createToggle(index)];
+            slide.appendChild(toggles[index][0]);
+        });
+
+        // Grid items are built by portfolio-dual-view.js, which is set up first
+        container.querySelectorAll('.portfolio-grid-item').forEach(function(gridItem) {
+            var index = parseInt(gridItem.getAttribute('data-index'), 10);
+            if (!toggles[index]) return;
+
+            var button = createToggle(index);
+            gridItem.appendChild(button);
+            toggles[index].push(button);
+        });
+    }
+
+    /**
+     * Create a pick button for a slide
+     */
+    function createToggle(index) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'portfolio-pick-btn';
+        button.setAttribute('aria-label', 'Select ' + portfolio.getSlideType(index) + ' ' + (index + 1));
+        button.setAttribute('aria-pressed', 'false');
+        button.setAttribute('title', 'Select (S)');
+        button.innerHTML = HEART_ICON;
+
+        // Keep the click from opening the slide or the full-size viewer
+        button.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            toggle(index);
+        });
+
+        return button;
+    }
+
+    /**
+     * Build the bar with the count, the filter and the exports
+     */
+    function buildBar() {
+        bar = document.createElement('div');
+        bar.className = 'portfolio-proofing';
+        bar.setAttribute('role', 'group');
+        bar.setAttribute('aria-label', 'Selection');
+
+        bar.innerHTML =
+            '<span class="portfolio-proofing-count" aria-live="polite"></span>' +
+            (portfolio.isDualView ? '<button type="button" class="portfolio-proofing-btn portfolio-proofing-filter" aria-pressed="false">Selected only</button>' : '') +
+            '<button type="button" class="portfolio-proofing-btn portfolio-proofing-link">Copy link</button>' +
+            '<button type="button" class="portfolio-proofing-btn portfolio-proofing-list">Download list</button>';
+
+        countLabel = bar.querySelector('.portfolio-proofing-count');
+        filterBtn = bar.querySelector('.portfolio-proofing-filter');
+        linkBtn = bar.querySelector('.portfolio-proofing-link');
+        listBtn = bar.querySelector('.portfolio-proofing-list');
+
+        container.appendChild(bar);
+    }
+
+    /**
+     * Show the picks on the buttons and in the bar
+     */
+    function update() {
+        toggles.forEach(function(buttons, index) {
+            var isPicked = picks.indexOf(index) !== -1;
+
+            buttons.forEach(function(button) {
+                button.classList.toggle('is-picked', isPicked);
+                button.setAttribute('aria-pressed', isPicked ? 'true' : 'false');
+            });
+        });
+
+        countLabel.textContent = picks.length + ' selected';
+
+        if (filterBtn) {
+            filterBtn.disabled = picks.length === 0;
+            filterBtn.setAttribute('aria-pressed', isFiltered ? 'true' : 'false');
+        }
+
+        linkBtn.disabled = picks.length === 0;
+        listBtn.disabled = picks.length === 0;
+    }
+
+    /**
+     * Pick or unpick a slide - or slides together: all picked unless they all were
+     */
+    function toggle(indexes) {
+        indexes = [].concat(indexes).filter(function(index) {
+            return !!toggles[index];
+        });
+        if (indexes.length === 0) return;
+
+        var isPicking = indexes.some(function(index) {
+            return picks.indexOf(index) === -1;
+        });
+
+        indexes.forEach(function(index) {
+            var position = picks.indexOf(index);
+
+            if (isPicking && position === -1) {
+                picks.push(index);
+            } else if (!isPicking) {
+                picks.splice(position, 1);
+            }
+        });
+
+        picks.sort(function(a, b) {
+            return a - b;
+        });
+
+        save();
+
+        // The filtered grid follows the picks; unpicking the last one shows every image again
+        if (isFiltered) {
+            setFiltered(picks.length > 0);
+        } else {
+            update();
+        }
+    }
+
+    /**
+     * Show only the picks in the grid, or every image
+     */
+    function setFiltered(filtered) {
+        isFiltered = filtered && portfolio.isDualView && picks.length > 0;
+        portfolio.setFilter(isFiltered ? picks : null);
+        update();
+    }
+
+    /**
+     * Link that opens the selection at its first image
+     */
+    function getShareUrl() {
+        var hash = '#' + (portfolio.id ? portfolio.id + '/' : '') + 'book/' + (picks[0] + 1) + '?' + PARAM + '=' + encodePicks(picks);
+
+        return window.location.origin + window.location.pathname + hash;
+    }
+
+    /**
+     * Copy the link to the clipboard - or show it to copy by hand where that isn't allowed
+     */
+    function copyLink() {
+        var url = getShareUrl();
+        var copied = navigator.clipboard && navigator.clipboard.writeText ?
+            navigator.clipboard.writeText(url) :
+            Promise.reject(new Error('No clipboard'));
+
+        copied.then(function() {
+            flash(linkBtn, 'Link copied');
+        }, function() {
+            window.prompt('Copy this link to share the selection', url);
+        });
+    }
+
+    /**
+     * Show a confirmation on a button for a moment
+     */
+    function flash(button, text) {
+        var label = button.textContent;
+
+        button.textContent = text;
+        setTimeout(function() {
+            button.textContent = label;
+        }, CONFIRM_DURATION);
+    }
+
+    /**
+     * Picks as CSV - number in the sequence and filename, one row each
+     */
+    function getList() {
+        var rows = ['Number,Filename'];
+
+        picks.forEach(function(index) {
+            rows.push((index + 1) + ',' + quote(getFilename(index)));
+        });
+
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it needs it
+     */
+    function quote(value) {
+        return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }
+
+    /**
+     * Name for the downloaded list, from the page's slug, e.g. selection-harbour.csv
+     */
+    function getListName() {
+        var slug = window.location.pathname.split('/').filter(Boolean).pop() || 'portfolio';
+
+        return 'selection-' + slug + (portfolio.id ? '-' + portfolio.id : '') + '.csv';
+    }
+
+    /**
+     * Download the list as a CSV file
+     */
+    function downloadList() {
+        var link = document.createElement('a');
+        link.href = window.URL.createObjectURL(new Blob([getList()], { type: 'text/csv' }));
+        link.download = getListName();
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(function() {
+            window.URL.revokeObjectURL(link.href);
+        }, 0);
+    }
+
+    /**
+     * Pick the current slide (every page of its spread), or the grid item with focus
+     */
+    function toggleCurrent(e) {
+        if (portfolio.isSlideView(portfolio.getView())) {
+            toggle(portfolio.getSpread(portfolio.getIndex()));
+            return;
+        }
+
+        var gridItem = e.target.closest ? e.target.closest('.portfolio-grid-item') : null;
+        if (gridItem) {
+            toggle(parseInt(gridItem.getAttribute('data-index'), 10));
+        }
+    }
+
+    /**
+     * Bind bar buttons and the shortcut
+     */
+    function bindEvents() {
+        if (filterBtn) {
+            filterBtn.addEventListener('click', function() {
+                setFiltered(!isFiltered);
+            });
+        }
+
+        linkBtn.addEventListener('click', copyLink);
+        listBtn.addEventListener('click', downloadList);
+
+        portfolio.addShortcut({
+            key: 's',
+            description: 'Select/unselect image (both pages of a spread)',
+            handler: toggleCurrent
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
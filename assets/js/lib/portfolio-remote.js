@@ -0,0 +1,557 @@
+/**
+ * Portfolio Remote - Present a portfolio on one screen and drive it from another
+ * The display is the portfolio as usual. The remote is the same page in another window or
+ * on a phone, showing the current image, previous/next buttons and a thumbnail per slide.
+ * The remote sends commands; the display carries them out like its own keys and sends back
+ * where it is (index, and whether the grid is open) after every change - its own keys,
+ * swipes and slideshow included - so any number of remotes follow it.
+ * Carousel or stack stays each screen's own choice.
+ *
+ * Pair them with a room name in the book hash options:
+ *   #book?present=show - Display for the room "show" (it shows the remote's link until one joins)
+ *   #book?present      - Display for a room of its own, named at random
+ *   #book?remote=show  - Remote for the room "show"
+ *   &relay=ws://192.168.1.20:8787 - On both, to link devices through a WebSocket relay
+ *       (tools/remote-relay.js); otherwise windows of one browser talk over BroadcastChannel.
+ *       An https site needs a wss:// relay; one the page can't open (a malformed URL, ws://
+ *       from https) leaves the windows of this browser to themselves
+ *   &transport=name - A transport registered with addTransport()
+ * The session is kept in sessionStorage, so the page stays a display or remote when the
+ * hash changes (back to the grid) or the page reloads, until its tab is closed.
+ *
+ * A transport is a function (channel, handlers, options) returning {send(message), close()}:
+ * it passes every message from the other pages on the channel to handlers.message, and calls
+ * handlers.open once connected (again after reconnecting). options.relay is the relay URL.
+ */
+import ImagePlaceholder from './image-placeholder.js';
+
+// Transports by name - 'broadcast' for one browser, 'socket' through a relay
+var TRANSPORTS = {
+    broadcast: createBroadcastTransport,
+    socket: createSocketTransport
+};
+
+// Wait before reconnecting to the relay (ms)
+var RETRY_DELAY = 2000;
+
+/**
+ * Register a transport, picked with &transport=name
+ */
+export function addTransport(name, factory) {
+    if (!name || typeof factory !== 'function') return;
+
+    TRANSPORTS[name] = factory;
+}
+
+/**
+ * Pages of the same browser - BroadcastChannel, where there is one
+ */
+export function createBroadcastTransport(channel, handlers) {
+    if (typeof BroadcastChannel === 'undefined') return null;
+
+    var port = new BroadcastChannel(channel);
+
+    port.onmessage = function(e) {
+        handlers.message(e.data);
+    };
+
+    // Open right away, once the caller has the transport
+    setTimeout(handlers.open, 0);
+
+    return {
+        send: function(message) {
+            port.postMessage(message);
+        },
+        close: function() {
+            port.close();
+        }
+    };
+}
+
+/**
+ * Pages on any device - a WebSocket relay that passes each message on to every other page,
+ * reconnecting when it drops. Messages are JSON: {channel, data}.
+ */
+export function createSocketTransport(channel, handlers, options) {
+    if (typeof WebSocket === 'undefined' || !options.relay) return null;
+
+    var socket = null;
+    var isClosed = false;
+
+    /**
+     * Connect, and connect again whenever the relay goes away - false when the page can't
+     */
+    function connect() {
+        try {
+            socket = new WebSocket(options.relay);
+        } catch (e) {
+            // Malformed URL, or ws:// from an https page (mixed content)
+            return false;
+        }
+
+        socket.addEventListener('open', handlers.open);
+        socket.addEventListener('message', function(e) {
+            var message;
+
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+
+            if (message && message.channel === channel) {
+                handlers.message(message.data);
+            }
+        });
+        socket.addEventListener('close', function() {
+            if (!isClosed) {
+                setTimeout(connect, RETRY_DELAY);
+            }
+        });
+
+        return true;
+    }
+
+    if (!connect()) return null;
+
+    return {
+        send: function(message) {
+            // Dropped while connecting - open sends the state again
+            if (socket.readyState !== WebSocket.OPEN) return;
+
+            socket.send(JSON.stringify({ channel: channel, data: message }));
+        },
+        close: function() {
+            isClosed = true;
+            socket.close();
+        }
+    };
+}
+
+export default function portfolioRemote(portfolio) {
+    var container = portfolio.container;
+
+    var CHANNEL_PREFIX = 'portfolio-remote:';
+    var STORAGE_KEY = 'portfolio-remote:' + window.location.pathname + (portfolio.id ? '#' + portfolio.id : '');
+
+    // DOM elements
+    var slides = portfolio.getSlides();
+    var status = null;
+    var panel = null;
+    var current = null;
+    var count = null;
+    var gridBtn = null;
+    var thumbs = [];
+
+    // State
+    var session = readSession(); // {role: 'display' or 'remote', room, relay, transport}, or null
+    var role = session ? session.role : null;
+    var room = session ? session.room : null;
+    var relay = session ? session.relay : null;
+    var transport = null;
+    var pageId = Math.random().toString(36).slice(2);
+    var peers = {}; // Pages of the other role, by id
+    var isApplying = false;
+
+    /**
+     * Initialize the display or the remote
+     */
+    function init() {
+        if (!role || slides.length === 0) return;
+
+        transport = connect();
+        if (!transport) return;
+
+        container.classList.add(role === 'display' ? 'is-presenting' : 'is-remote');
+
+        if (role === 'remote') {
+            buildRemote();
+            bindRemote();
+        }
+
+        buildStatus();
+        update();
+
+        portfolio.on('change', handleChange);
+
+        // Let the other pages know this one has gone
+        window.addEventListener('pagehide', function() {
+            send({ type: 'bye' });
+        });
+    }
+
+    /**
+     * Session from the hash options, else the one this tab started earlier
+     * A display without a room gets one of its own - a shared relay links every page in a room
+     */
+    function readSession() {
+        var saved = loadSession();
+        var hashRole = null;
+
+        if (portfolio.getHashParam('present') !== null) {
+            hashRole = 'display';
+        } else if (portfolio.getHashParam('remote') !== null) {
+            hashRole = 'remote';
+        }
+
+        if (!hashRole) return saved;
+
+        var hashRoom = portfolio.getHashParam(hashRole === 'display' ? 'present' : 'remote');
+        var sameRole = saved && saved.role === hashRole;
+        var current = {
+            role: hashRole,
+            room: hashRoom || (sameRole ? saved.room : null) || (hashRole === 'display' ? createRoom() : null),
+            relay: portfolio.getHashParam('relay'),
+            transport: portfolio.getHashParam('transport')
+        };
+
+        // A remote can't guess which room to join
+        if (!current.room) return null;
+
+        saveSession(current);
+        return current;
+    }
+
+    /**
+     * Random room name
+     */
+    function createRoom() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Read the tab's saved session, or null
+     */
+    function loadSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the session for the rest of the tab's life
+     */
+    function saveSession(value) {
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+        } catch (e) {
+            // Storage disabled - the session lasts while the hash keeps its options
+        }
+    }
+
+    /**
+     * Open the room's channel - one per page, inline carousel and room
+     */
+    function connect() {
+        var name = session.transport || (relay ? 'socket' : 'broadcast');
+        var factory = TRANSPORTS[name];
+        var channel = CHANNEL_PREFIX + window.location.pathname + (portfolio.id ? '#' + portfolio.id : '') + ':' + room;
+        var handlers = { message: receive, open: handleOpen };
+
+        if (!factory) return null;
+
+        // A relay this page can't open - stay with the windows of this browser
+        return factory(channel, handlers, { relay: relay }) ||
+            (name === 'socket' ? createBroadcastTransport(channel, handlers) : null);
+    }
+
+    /**
+     * Send a message to the other pages in the room
+     */
+    function send(message) {
+        message.from = pageId;
+        message.role = role;
+        transport.send(message);
+    }
+
+    /**
+     * Send where the display is
+     */
+    function sendState() {
+        send({ type: 'state', index: portfolio.getIndex(), view: portfolio.getView() });
+    }
+
+    /**
+     * Say hello once connected - the display with where it is
+     */
+    function handleOpen() {
+        send({ type: 'hello' });
+
+        if (role === 'display') {
+            sendState();
+        }
+    }
+
+    /**
+     * Handle a message from another page - only from the other role
+     */
+    function receive(message) {
+        if (!message || message.role === role || message.from === pageId) return;
+
+        if (message.type === 'bye') {
+            delete peers[message.from];
+        } else {
+            peers[message.from] = true;
+        }
+
+        if (role === 'display') {
+            runCommand(message);
+        } else if (message.type === 'state') {
+            applyState(message);
+        }
+
+        update();
+    }
+
+    /**
+     * Carry out a remote's command on the display
+     */
+    function runCommand(message) {
+        var options = { source: 'remote' };
+        var isSlides = portfolio.isSlideView(portfolio.getView());
+
+        switch (message.type) {
+            case 'hello':
+                sendState();
+                break;
+            case 'next':
+            case 'prev':
+                // From the grid, open the slides at the current image first
+                if (!isSlides) {
+                    portfolio.setView(portfolio.getSlideView(), options);
+                } else if (message.type === 'next') {
+                    portfolio.next(options);
+                } else {
+                    portfolio.prev(options);
+                }
+                break;
+            case 'go':
+                if (typeof message.index !== 'number') return;
+
+                if (isSlides) {
+                    portfolio.goTo(message.index, options);
+                } else {
+                    portfolio.setView(portfolio.getSlideView(), { index: message.index, source: 'remote' });
+                }
+                break;
+            case 'grid':
+                portfolio.setView(isSlides ? 'grid' : portfolio.getSlideView(), options);
+                break;
+        }
+    }
+
+    /**
+     * Follow the display on the remote - index, and grid or slides
+     */
+    function applyState(message) {
+        var view = message.view === 'grid' && portfolio.isDualView ? 'grid' : null;
+
+        if (!view) {
+            view = portfolio.isSlideView(portfolio.getView()) ? portfolio.getView() : portfolio.getSlideView();
+        }
+
+        isApplying = true;
+        portfolio.setView(view, { index: message.index, source: 'remote' });
+        isApplying = false;
+    }
+
+    /**
+     * Follow controller changes - the display tells the remotes, the remote asks the
+     * display to follow its own moves (Home/End, back/forward)
+     */
+    function handleChange(state) {
+        if (role === 'display') {
+            sendState();
+        } else if (!isApplying && state.index !== state.previousIndex) {
+            send({ type: 'go', index: state.index });
+        }
+
+        update();
+    }
+
+    /**
+     * Link for a remote in this room
+     */
+    function getRemoteUrl() {
+        var options = 'remote=' + encodeURIComponent(room) + (relay ? '&relay=' + encodeURIComponent(relay) : '');
+
+        return window.location.origin + window.location.pathname + '#' + (portfolio.id ? portfolio.id + '/' : '') + 'book?' + options;
+    }
+
+    /**
+     * Check whether a page of the other role is in the room
+     */
+    function isConnected() {
+        return Object.keys(peers).length > 0;
+    }
+
+    /**
+     * Build the connection status - on the display, the remote's link until one joins
+     */
+    function buildStatus() {
+        status = document.createElement('p');
+        status.className = 'portfolio-remote-status';
+        status.setAttribute('role', 'status');
+
+        if (panel) {
+            panel.insertBefore(status, panel.firstChild);
+            return;
+        }
+
+        var link = document.createElement('a');
+        link.href = getRemoteUrl();
+        link.target = '_blank';
+        link.textContent = link.href;
+
+        status.appendChild(document.createTextNode('Remote: '));
+        status.appendChild(link);
+        container.appendChild(status);
+    }
+
+    /**
+     * Build the remote - current image, previous/next, grid, thumbnails
+     */
+    function buildRemote() {
+        panel = document.createElement('div');
+        panel.className = 'portfolio-remote';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Remote');
+
+        panel.innerHTML =
+            '<div class="portfolio-remote-current"><img alt=""></div>' +
+            '<div class="portfolio-remote-nav">' +
+                '<button type="button" class="portfolio-remote-btn portfolio-remote-prev">Previous</button>' +
+                '<span class="portfolio-remote-count" aria-live="polite"></span>' +
+                '<button type="button" class="portfolio-remote-btn portfolio-remote-next">Next</button>' +
+            '</div>' +
+            (portfolio.isDualView ? '<button type="button" class="portfolio-remote-btn portfolio-remote-grid" aria-pressed="false">Grid</button>' : '') +
+            '<nav class="portfolio-remote-thumbs" aria-label="Go to image"></nav>';
+
+        current = panel.querySelector('.portfolio-remote-current img');
+        count = panel.querySelector('.portfolio-remote-count');
+        gridBtn = panel.querySelector('.portfolio-remote-grid');
+
+        var strip = panel.querySelector('.portfolio-remote-thumbs');
+
+        slides.forEach(function(slide, index) {
+            var thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'portfolio-remote-thumb';
+            thumb.setAttribute('data-index', index);
+            thumb.setAttribute('aria-label', 'Show ' + portfolio.getSlideType(index) + ' ' + (index + 1));
+
+            var source = getSource(index);
+            if (source) {
+                var img = document.createElement('img');
+                img.src = ImagePlaceholder.getGhostSize(source) || source;
+                img.alt = '';
+                img.loading = 'lazy';
+                thumb.appendChild(img);
+            }
+
+            strip.appendChild(thumb);
+            thumbs[index] = thumb;
+        });
+
+        container.appendChild(panel);
+    }
+
+    /**
+     * Image for a slide - the image, or a video's poster
+     */
+    function getSource(index) {
+        var image = portfolio.getImage(index);
+        if (image) return image.src;
+
+        var video = portfolio.getVideo(index);
+        return video ? video.poster : '';
+    }
+
+    /**
+     * Show the connection, and on the remote where the display is
+     */
+    function update() {
+        if (role === 'display') {
+            status.hidden = isConnected();
+            return;
+        }
+
+        var index = portfolio.getIndex();
+        var spread = portfolio.getSpread(index);
+        var source = getSource(index);
+
+        status.textContent = isConnected() ? 'Connected to the display' : 'Waiting for the display…';
+
+        count.textContent = (index + 1) + ' / ' + slides.length;
+        current.hidden = !source;
+        if (source) {
+            current.src = source;
+        }
+
+        if (gridBtn) {
+            gridBtn.setAttribute('aria-pressed', portfolio.getView() === 'grid' ? 'true' : 'false');
+        }
+
+        thumbs.forEach(function(thumb, thumbIndex) {
+            var isCurrent = spread.indexOf(thumbIndex) !== -1;
+
+            thumb.classList.toggle('is-current', isCurrent);
+            if (isCurrent) {
+                thumb.setAttribute('aria-current', 'true');
+            } else {
+                thumb.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Bind the remote's buttons, and arrow keys to step the display
+     */
+    function bindRemote() {
+        panel.querySelector('.portfolio-remote-prev').addEventListener('click', function() {
+            send({ type: 'prev' });
+        });
+        panel.querySelector('.portfolio-remote-next').addEventListener('click', function() {
+            send({ type: 'next' });
+        });
+
+        if (gridBtn) {
+            gridBtn.addEventListener('click', function() {
+                send({ type: 'grid' });
+            });
+        }
+
+        panel.querySelector('.portfolio-remote-thumbs').addEventListener('click', function(e) {
+            var thumb = e.target.closest('.portfolio-remote-thumb');
+            if (!thumb) return;
+
+            send({ type: 'go', index: parseInt(thumb.getAttribute('data-index'), 10) });
+        });
+
+        // The display steps by its own spreads - ask it rather than moving here
+        portfolio.addShortcut({
+            key: 'ArrowRight',
+            description: 'Next image on the display',
+            handler: function() {
+                send({ type: 'next' });
+            }
+        });
+        portfolio.addShortcut({
+            key: 'ArrowLeft',
+            description: 'Previous image on the display',
+            handler: function() {
+                send({ type: 'prev' });
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,136 @@
+/**
+ * Portfolio Semantics - Accessible carousel markup and announcements
+ * Labels each slide of the carousel (aria-roledescription="carousel" in the templates)
+ * as "n of m", following the WAI-ARIA APG carousel pattern. A roving tabindex lets Tab
+ * enter the carousel at the current slide and leave it in one step, and a polite live
+ * region announces the position and alt text of each new image - except while the
+ * slideshow plays.
+ */
+export default function portfolioSemantics(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var gallery = container.querySelector('.portfolio-gallery');
+    var slides = portfolio.getSlides();
+    var liveRegion = null;
+
+    // Wait for index changes to settle before announcing - scrolling passes through several (ms)
+    var ANNOUNCE_DELAY = 400;
+
+    // Focusable content of a slide (the expand button from portfolio-lightbox.js, caption links)
+    var FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+    // State
+    var totalSlides = slides.length;
+    var announceTimeout;
+
+    /**
+     * Initialize carousel semantics
+     */
+    function init() {
+        if (totalSlides === 0) return;
+
+        Array.prototype.forEach.call(slides, function(slide, index) {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', (index + 1) + ' of ' + totalSlides);
+        });
+
+        buildLiveRegion();
+        setCurrentSlide(portfolio.getIndex());
+
+        portfolio.on('change', handleChange);
+    }
+
+    /**
+     * Build the visually hidden live region
+     */
+    function buildLiveRegion() {
+        liveRegion = document.createElement('div');
+        liveRegion.className = 'portfolio-live';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+
+        container.appendChild(liveRegion);
+    }
+
+    /**
+     * Make one slide (and its controls) tabbable, and take the rest out of the tab order
+     */
+    function setCurrentSlide(index) {
+        Array.prototype.forEach.call(slides, function(slide, slideIndex) {
+            var tabIndex = slideIndex === index ? '0' : '-1';
+
+            slide.setAttribute('tabindex', tabIndex);
+            Array.prototype.forEach.call(slide.querySelectorAll(FOCUSABLE), function(element) {
+                element.setAttribute('tabindex', tabIndex);
+            });
+        });
+    }
+
+    /**
+     * Check whether focus is on a slide (or inside one)
+     */
+    function isFocusInSlides() {
+        var active = document.activeElement;
+        return !!(active && active !== gallery && gallery.contains(active));
+    }
+
+    /**
+     * Describe an image for the live region, e.g. "Image 3 of 48: Harbour at dusk" or "Video 4 of 48"
+     */
+    function describe(index) {
+        var image = portfolio.getImage(index);
+        var type = portfolio.getSlideType(index);
+        var text = type.charAt(0).toUpperCase() + type.slice(1) + ' ' + (index + 1) + ' of ' + totalSlides;
+
+        return image && image.alt ? text + ': ' + image.alt : text;
+    }
+
+    /**
+     * Announce the current image once the index has settled
+     */
+    function announce(index) {
+        clearTimeout(announceTimeout);
+
+        // Automatic rotation isn't announced (APG) - it would talk over everything else
+        if (portfolio.slideshow && portfolio.slideshow.isPlaying()) return;
+
+        announceTimeout = setTimeout(function() {
+            liveRegion.textContent = describe(index);
+        }, ANNOUNCE_DELAY);
+    }
+
+    /**
+     * Follow controller changes - move the roving tabindex and announce
+     */
+    function handleChange(state) {
+        if (!portfolio.isSlideView(state.view)) {
+            clearTimeout(announceTimeout);
+            return;
+        }
+
+        var hadFocus = isFocusInSlides();
+
+        setCurrentSlide(state.index);
+
+        // Keyboard users stay on the slide they moved to; scrolling doesn't pull focus along.
+        // Autoplay moves it as the portfolio's own, so the slideshow doesn't take it for the
+        // visitor and pause
+        if (hadFocus && state.source === 'autoplay') {
+            portfolio.moveFocus(slides[state.index]);
+        } else if (hadFocus && state.source !== 'scroll') {
+            slides[state.index].focus({ preventScroll: true });
+        }
+
+        announce(state.index);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
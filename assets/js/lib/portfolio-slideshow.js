@@ -0,0 +1,246 @@
+/**
+ * Portfolio Slideshow - Timed autoplay for the carousel/book view
+ * Play/pause with the .portfolio-play-btn control or the P key.
+ * Pauses while hovered, while focus is inside the gallery, and while the tab is hidden.
+ *
+ * Options (data attributes on .portfolio-container, overridden by the URL):
+ *   data-autoplay-interval="5" - Seconds per image
+ *   data-autoplay-loop="true"  - Start over after the last image ("false" stops there)
+ *
+ * URL flags, so a kiosk browser can open straight into playback:
+ *   #book?play=5        - Autoplay every 5 seconds from the first image
+ *   #book/7?play&loop=0 - Autoplay from image 7 at the default interval, stop at the end
+ *
+ * Also available to injected code as Portfolio.slideshow.play() / pause() / toggle() / isPlaying()
+ */
+export default function portfolioSlideshow(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var gallery = container.querySelector('.portfolio-gallery');
+    var playBtn = container.querySelector('.portfolio-play-btn');
+
+    // Defaults
+    var DEFAULT_INTERVAL = 5; // seconds
+    var MIN_INTERVAL = 1; // seconds
+
+    // State
+    var interval = DEFAULT_INTERVAL * 1000;
+    var loop = true;
+    var playing = false;
+    var holds = {};
+    var timer;
+
+    /**
+     * Initialize slideshow
+     */
+    function init() {
+        if (portfolio.getTotal() < 2) return;
+
+        readOptions();
+
+        container.classList.add('has-slideshow');
+
+        bindEvents();
+
+        // #book?play starts playback straight away
+        if (portfolio.isSlideView(portfolio.getView()) && portfolio.getHashParam('play') !== null) {
+            play();
+        }
+    }
+
+    /**
+     * Read interval and loop from data attributes, then the URL
+     */
+    function readOptions() {
+        var seconds = parseFloat(portfolio.getHashParam('play') || container.getAttribute('data-autoplay-interval'));
+        if (!isNaN(seconds)) {
+            interval = Math.max(seconds, MIN_INTERVAL) * 1000;
+        }
+
+        var loopOption = portfolio.getHashParam('loop');
+        if (loopOption === null) {
+            loopOption = container.getAttribute('data-autoplay-loop');
+        }
+        if (loopOption !== null) {
+            loop = loopOption !== 'false' && loopOption !== '0';
+        }
+    }
+
+    /**
+     * Start autoplay
+     */
+    function play() {
+        if (playing) return;
+
+        // Playback lives in the slides - open them from the grid
+        if (!portfolio.isSlideView(portfolio.getView())) {
+            portfolio.setView(portfolio.getSlideView(), { source: 'autoplay' });
+        }
+
+        playing = true;
+        updateControl();
+        schedule();
+    }
+
+    /**
+     * Stop autoplay
+     */
+    function pause() {
+        if (!playing) return;
+
+        playing = false;
+        clearTimeout(timer);
+        updateControl();
+    }
+
+    /**
+     * Toggle autoplay
+     */
+    function toggle() {
+        if (playing) {
+            pause();
+        } else {
+            play();
+        }
+    }
+
+    /**
+     * (Re)start the countdown to the next image, unless something is holding playback
+     */
+    function schedule() {
+        clearTimeout(timer);
+
+        if (!playing || Object.keys(holds).length > 0) return;
+
+        timer = setTimeout(advance, interval);
+    }
+
+    /**
+     * Show the next image, wrapping or stopping at the end
+     */
+    function advance() {
+        var autoplay = { source: 'autoplay' };
+        var spread = portfolio.getSpread(portfolio.getIndex());
+
+        if (spread[spread.length - 1] < portfolio.getTotal() - 1) {
+            portfolio.next(autoplay);
+        } else if (loop) {
+            portfolio.goTo(0, autoplay);
+        } else {
+            pause();
+        }
+    }
+
+    /**
+     * Hold playback for a reason (hover, focus, hidden) until released
+     */
+    function hold(reason) {
+        holds[reason] = true;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Release a hold, resuming the countdown when nothing else holds it
+     */
+    function release(reason) {
+        if (!holds[reason]) return;
+
+        delete holds[reason];
+        schedule();
+    }
+
+    /**
+     * Sync the play/pause control with the playing state
+     */
+    function updateControl() {
+        container.classList.toggle('is-playing', playing);
+
+        if (!playBtn) return;
+
+        var label = playing ? 'Pause slideshow' : 'Play slideshow';
+        playBtn.setAttribute('aria-pressed', playing ? 'true' : 'false');
+        playBtn.setAttribute('aria-label', label);
+        playBtn.setAttribute('title', label + ' (P)');
+    }
+
+    /**
+     * Follow controller changes - restart the countdown, stop when leaving the slides
+     */
+    function handleChange(state) {
+        if (!playing) return;
+
+        if (!portfolio.isSlideView(state.view)) {
+            pause();
+            return;
+        }
+
+        // Manual navigation gets a full interval on the new image too
+        schedule();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    function bindEvents() {
+        if (playBtn) {
+            playBtn.addEventListener('click', toggle);
+        }
+
+        portfolio.addShortcut({
+            key: 'p',
+            description: 'Play/pause slideshow',
+            handler: toggle
+        });
+
+        portfolio.on('change', handleChange);
+
+        // Hover pause (mouse only - touch "hovers" never end)
+        gallery.addEventListener('pointerenter', function(e) {
+            if (e.pointerType === 'mouse') hold('hover');
+        });
+        gallery.addEventListener('pointerleave', function() {
+            release('hover');
+        });
+
+        // Focus pause - except the control buttons, which take focus when clicked, and focus
+        // the portfolio moves itself (opening the slides from the grid)
+        container.addEventListener('focusin', function(e) {
+            if (e.target.classList.contains('portfolio-control-btn') || portfolio.isMovingFocus()) {
+                release('focus');
+            } else {
+                hold('focus');
+            }
+        });
+        container.addEventListener('focusout', function(e) {
+            if (!e.relatedTarget || !container.contains(e.relatedTarget)) release('focus');
+        });
+
+        // Hidden tab pause
+        document.addEventListener('visibilitychange', function() {
+            if (document.hidden) {
+                hold('hidden');
+            } else {
+                release('hidden');
+            }
+        });
+    }
+
+    // Public controls for injected code
+    portfolio.slideshow = {
+        play: play,
+        pause: pause,
+        toggle: toggle,
+        isPlaying: function() {
+            return playing;
+        }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,97 @@
+/**
+ * Portfolio Video - Koenig video cards as slides
+ * The current slide's video plays muted; every other video is paused, and so is the
+ * current one while the grid is open or the page is hidden. Visitors who prefer reduced
+ * motion start videos themselves with the card's play button.
+ * Video slides come from the controller (portfolio-controller.js, Portfolio.getVideo).
+ */
+export default function portfolioVideo(portfolio) {
+    // State
+    var videos = [];
+
+    /**
+     * Initialize video playback
+     */
+    function init() {
+        Array.prototype.forEach.call(portfolio.getSlides(), function(slide, index) {
+            var video = portfolio.getVideo(index);
+            if (!video) return;
+
+            prepare(video.element, slide);
+            videos[index] = video.element;
+        });
+
+        if (videos.length === 0) return;
+
+        sync();
+
+        // Follow index and view changes, and the page going to the background
+        portfolio.on('change', sync);
+        portfolio.on('spreads', sync);
+        document.addEventListener('visibilitychange', sync);
+    }
+
+    /**
+     * Take over from the card's own autoplay - muted, inline, playing only when current
+     */
+    function prepare(video, slide) {
+        video.removeAttribute('autoplay');
+        video.autoplay = false;
+        video.muted = true;
+        video.setAttribute('muted', '');
+        video.setAttribute('playsinline', '');
+
+        // Hides the card's big play button while the video runs
+        video.addEventListener('play', function() {
+            slide.classList.add('is-playing');
+        });
+        video.addEventListener('pause', function() {
+            slide.classList.remove('is-playing');
+        });
+    }
+
+    /**
+     * Check whether a video slide is on screen - the current slide (or spread) in a slide view
+     */
+    function isActive(index) {
+        return !document.hidden &&
+            portfolio.isSlideView(portfolio.getView()) &&
+            portfolio.getSpread(portfolio.getIndex()).indexOf(index) !== -1;
+    }
+
+    /**
+     * Play the video on screen, pause the rest
+     */
+    function sync() {
+        var autoplay = !portfolio.prefersReducedMotion();
+
+        videos.forEach(function(video, index) {
+            if (isActive(index)) {
+                if (autoplay && video.paused) {
+                    play(video);
+                }
+            } else if (!video.paused) {
+                video.pause();
+            }
+        });
+    }
+
+    /**
+     * Start a video, ignoring browsers that refuse (autoplay policies, missing files)
+     */
+    function play(video) {
+        var playing = video.play();
+
+        if (playing && playing.catch) {
+            playing.catch(function() {});
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
@@ -0,0 +1,168 @@
+/**
+ * Portfolio Virtual - Windowed rendering for long sequences
+ * Only images near the viewport keep their real sources; the rest are "parked":
+ * src and srcset move to data-virtual-src / data-virtual-srcset, and a transparent
+ * pixel stretched to the image's aspect ratio holds its place. Layout, scroll
+ * position, snapping and deep links are unaffected because every box keeps its size.
+ * Applies to the carousel and to the dual-view grid clones.
+ *
+ * Options (data attributes on .portfolio-container):
+ *   data-virtualize-after="30" - Only virtualize sequences with at least this many images
+ *   data-render-window="2"     - Screens either side of the viewport kept rendered
+ *
+ * Read slide images through Portfolio.getImage(index), which sees through parking.
+ */
+import ImagePlaceholder from './image-placeholder.js';
+
+export default function portfolioVirtual(portfolio) {
+    var container = portfolio.container;
+
+    // DOM elements
+    var gallery = container.querySelector('.portfolio-gallery');
+    var grid = container.querySelector('.portfolio-grid');
+
+    // Defaults
+    var DEFAULT_VIRTUALIZE_AFTER = 30;
+    var DEFAULT_RENDER_WINDOW = 2; // screens
+
+    // Transparent 1x1 GIF - keeps the img a replaced element (and its alt text) while parked
+    var BLANK_SRC = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+    /**
+     * Initialize windowed rendering
+     */
+    function init() {
+        if (portfolio.getTotal() < readCount('data-virtualize-after', DEFAULT_VIRTUALIZE_AFTER)) return;
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        var screens = readCount('data-render-window', DEFAULT_RENDER_WINDOW) * 100;
+
+        container.classList.add('is-virtualized');
+
+        // Slides scroll inside the gallery - sideways in the carousel, down in the stack
+        observe(gallery.querySelectorAll('.kg-image-card'), {
+            root: gallery,
+            rootMargin: screens + '%'
+        });
+
+        // Grid scrolls with the page
+        if (grid) {
+            observe(grid.querySelectorAll('.portfolio-grid-item'), {
+                root: null,
+                rootMargin: screens + '% 0px'
+            });
+        }
+    }
+
+    /**
+     * Read a non-negative count from a container data attribute
+     */
+    function readCount(name, fallback) {
+        var value = parseInt(container.getAttribute(name), 10);
+        return isNaN(value) || value < 0 ? fallback : value;
+    }
+
+    /**
+     * Park or restore images as their cards leave or approach the viewport
+     * Hidden views (display: none) never intersect, so all their images get parked
+     */
+    function observe(cards, options) {
+        var observer = new IntersectionObserver(function(entries) {
+            entries.forEach(function(entry) {
+                var img = entry.target.querySelector('img');
+                if (!img) return;
+
+                if (entry.isIntersecting) {
+                    restore(img);
+                } else {
+                    park(img);
+                }
+            });
+        }, options);
+
+        Array.prototype.forEach.call(cards, function(card) {
+            observer.observe(card);
+        });
+    }
+
+    /**
+     * Move an attribute to its data-virtual- copy
+     */
+    function stash(element, name) {
+        if (!element.hasAttribute(name)) return;
+
+        element.setAttribute('data-virtual-' + name, element.getAttribute(name));
+        element.removeAttribute(name);
+    }
+
+    /**
+     * Move an attribute back from its data-virtual- copy
+     */
+    function unstash(element, name) {
+        if (!element.hasAttribute('data-virtual-' + name)) return;
+
+        element.setAttribute(name, element.getAttribute('data-virtual-' + name));
+        element.removeAttribute('data-virtual-' + name);
+    }
+
+    /**
+     * Swap an image for a size-preserving blank, freeing its decoded pixels
+     */
+    function park(img) {
+        if (img.classList.contains('is-parked')) return;
+
+        // Keep the box - from the attributes, or from what has loaded so far
+        var width = parseInt(img.getAttribute('width'), 10) || img.naturalWidth;
+        var height = parseInt(img.getAttribute('height'), 10) || img.naturalHeight;
+        if (!width || !height) return;
+
+        // The attributes hold the ratio again once restored
+        img.setAttribute('width', width);
+        img.setAttribute('height', height);
+        img.style.aspectRatio = width + ' / ' + height;
+        img.classList.add('is-parked');
+
+        // <picture> sources would load on their own
+        if (img.parentNode && img.parentNode.tagName === 'PICTURE') {
+            Array.prototype.forEach.call(img.parentNode.querySelectorAll('source'), function(source) {
+                stash(source, 'srcset');
+            });
+        }
+
+        stash(img, 'srcset');
+        img.setAttribute('data-virtual-src', img.getAttribute('src'));
+        img.setAttribute('src', BLANK_SRC);
+    }
+
+    /**
+     * Put an image's real sources back
+     */
+    function restore(img) {
+        if (!img.classList.contains('is-parked')) return;
+
+        if (img.parentNode && img.parentNode.tagName === 'PICTURE') {
+            Array.prototype.forEach.call(img.parentNode.querySelectorAll('source'), function(source) {
+                unstash(source, 'srcset');
+            });
+        }
+
+        unstash(img, 'srcset');
+        unstash(img, 'src');
+        img.classList.remove('is-parked');
+        img.style.aspectRatio = '';
+
+        // Blur up again while it comes back from the cache or network
+        var frame = img.closest('.portfolio-image-frame, .portfolio-grid-item');
+        if (frame) {
+            ImagePlaceholder.attach(img, frame);
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+}
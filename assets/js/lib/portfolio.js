@@ -1,22 +1,42 @@
 /**
- * Portfolio - Horizontal Scroll Gallery
- * Handles cursor-based navigation, keyboard, wheel, and preloading
+ * Portfolio - Scroll Gallery
+ * Handles scroll sync, preloading and blur-up placeholders for both slide views:
+ * the horizontal carousel and the vertical stack (.is-stacked), and switching between
+ * them with the .portfolio-stack-btn control or the V key. On wide screens the carousel
+ * centers spreads of two facing images (.is-spreads, marked by portfolio-controller.js).
+ * Index, keyboard, and #book/N routing live in portfolio-controller.js;
+ * click, touch, and wheel input in portfolio-gestures.js.
+ *
+ * Preload window (data attributes on .portfolio-container):
+ *   data-preload-ahead="2"  - Images decoded ahead of the current one
+ *   data-preload-behind="1" - Images decoded behind the current one
+ * Cut back automatically when the browser reports Save-Data or a slow connection.
  */
-(function() {
-    'use strict';
+import ImagePlaceholder from './image-placeholder.js';
 
-    // Only run on portfolio template pages
-    var container = document.querySelector('.portfolio-container');
-    if (!container) return;
+export default function portfolioCarousel(portfolio) {
+    var container = portfolio.container;
 
     // DOM elements
     var gallery = container.querySelector('.portfolio-gallery');
-    var slides = gallery.querySelectorAll('.kg-image-card');
+    var stackBtn = container.querySelector('.portfolio-stack-btn');
+    var slides = portfolio.getSlides();
+
+    // Preload window defaults
+    var DEFAULT_PRELOAD_AHEAD = 2;
+    var DEFAULT_PRELOAD_BEHIND = 1;
+
+    // Max time to wait for a smooth scroll to reach its target (ms)
+    var SCROLL_TARGET_TIMEOUT = 1000;
 
     // State
-    var currentIndex = 0;
     var totalSlides = slides.length;
-    var scrollTimeout;
+    var preloadWindow = getPreloadWindow();
+    var preloaded = [];
+    var visibleSlides = {};
+    var slideObserver = null;
+    var scrollTarget = null;
+    var scrollTargetTimeout;
 
     /**
      * Initialize portfolio
@@ -24,26 +44,39 @@
     function init() {
         if (totalSlides === 0) return;
 
-        // Handle first image - remove lazy loading for LCP
-        handleFirstImage();
+        // Handle initial image - remove lazy loading for LCP
+        handleInitialImage();
+
+        // Blur-up placeholders until each image arrives
+        addPlaceholders();
+
+        // Vertical layout before anything is positioned (dual-view grid pages lay it out on open)
+        setStacked(portfolio.getView() === 'stack');
+
+        // CSS scroll-snap handles centering the first image; deep links jump instantly
+        if (portfolio.getIndex() > 0) {
+            expectScrollTo(portfolio.getIndex());
+            scrollToSlide(portfolio.getIndex(), 'instant');
+        }
 
-        // CSS scroll-snap handles centering the first image
+        // Track the centered slide
+        observeSlides();
 
         // Preload adjacent images
-        preloadAdjacent(currentIndex);
+        preloadAdjacent(portfolio.getIndex());
 
         // Bind events
         bindEvents();
     }
 
     /**
-     * Remove lazy loading from first image for LCP optimization
+     * Remove lazy loading from initial image for LCP optimization
      */
-    function handleFirstImage() {
-        var firstSlide = slides[0];
-        if (!firstSlide) return;
+    function handleInitialImage() {
+        var initialSlide = slides[portfolio.getIndex()];
+        if (!initialSlide) return;
 
-        var img = firstSlide.querySelector('img');
+        var img = initialSlide.querySelector('img');
         if (img) {
             img.removeAttribute('loading');
             img.setAttribute('fetchpriority', 'high');
@@ -54,171 +87,312 @@
     }
 
     /**
-     * Preload images adjacent to current slide
+     * Frame each image that hasn't loaded yet and cover it with a placeholder
+     * The frame matches the image box, so the placeholder lines up with it
      */
-    function preloadAdjacent(index) {
-        // Preload next 2 images
-        [1, 2].forEach(function(offset) {
-            var nextIndex = index + offset;
-            if (nextIndex < totalSlides) {
-                preloadImage(slides[nextIndex]);
-            }
+    function addPlaceholders() {
+        slides.forEach(function(slide) {
+            var img = slide.querySelector('img');
+            if (!img || img.complete) return;
+
+            var frame = document.createElement('span');
+            frame.className = 'portfolio-image-frame';
+            img.parentNode.insertBefore(frame, img);
+            frame.appendChild(img);
+
+            ImagePlaceholder.attach(img, frame);
         });
+    }
+
+    /**
+     * Read a non-negative count from a container data attribute
+     */
+    function readCount(name, fallback) {
+        var value = parseInt(container.getAttribute(name), 10);
+        return isNaN(value) || value < 0 ? fallback : value;
+    }
+
+    /**
+     * Work out how many images to preload around the current one
+     * Shrinks the window on Save-Data or slow connections (Network Information API)
+     */
+    function getPreloadWindow() {
+        var ahead = readCount('data-preload-ahead', DEFAULT_PRELOAD_AHEAD);
+        var behind = readCount('data-preload-behind', DEFAULT_PRELOAD_BEHIND);
+        var connection = navigator.connection;
+
+        if (connection) {
+            if (connection.saveData || /2g$/.test(connection.effectiveType)) {
+                return { ahead: Math.min(ahead, 1), behind: 0 };
+            }
 
-        // Preload previous image
-        if (index > 0) {
-            preloadImage(slides[index - 1]);
+            if (connection.effectiveType === '3g') {
+                return { ahead: Math.min(ahead, 2), behind: Math.min(behind, 1) };
+            }
         }
+
+        return { ahead: ahead, behind: behind };
     }
 
     /**
-     * Preload a single slide's image
+     * Preload images in the window around the current slide
      */
-    function preloadImage(slide) {
-        if (!slide) return;
+    function preloadAdjacent(index) {
+        var offset;
+
+        for (offset = 1; offset <= preloadWindow.ahead; offset++) {
+            preloadImage(index + offset);
+        }
 
+        for (offset = 1; offset <= preloadWindow.behind; offset++) {
+            preloadImage(index - offset);
+        }
+    }
+
+    /**
+     * Fetch and decode a single slide's image ahead of time
+     */
+    function preloadImage(index) {
+        var slide = slides[index];
+        if (!slide || preloaded[index]) return;
+
+        // Parked images (portfolio-virtual.js) are preloaded once they are restored
         var img = slide.querySelector('img');
-        if (!img || img.complete) return;
+        if (!img || img.classList.contains('is-parked')) return;
+
+        preloaded[index] = true;
 
         if (img.hasAttribute('loading')) {
             img.removeAttribute('loading');
         }
+
+        // Decode ahead of time so the image paints without a stall
+        if (img.decode) {
+            img.decode().catch(function() {});
+        }
     }
 
     /**
-     * Navigate to a specific slide index
+     * Check whether the gallery is laid out as the vertical stack
      */
-    function navigateToSlide(index) {
-        index = Math.max(0, Math.min(index, totalSlides - 1));
+    function isStacked() {
+        return container.classList.contains('is-stacked');
+    }
 
-        if (index === currentIndex) return;
+    /**
+     * Lay the gallery out as the vertical stack or the horizontal carousel
+     */
+    function setStacked(stacked) {
+        container.classList.toggle('is-stacked', stacked);
 
-        var targetSlide = slides[index];
-        if (!targetSlide) return;
+        if (stackBtn) {
+            stackBtn.setAttribute('aria-pressed', stacked ? 'true' : 'false');
+        }
+    }
 
-        targetSlide.scrollIntoView({
-            behavior: 'smooth',
-            block: 'nearest',
-            inline: 'center'
-        });
+    /**
+     * Center the current image again when the screen turns spreads on or off
+     */
+    function handleSpreads() {
+        if (!portfolio.isSlideView(portfolio.getView())) return;
 
-        currentIndex = index;
-        preloadAdjacent(index);
+        expectScrollTo(portfolio.getIndex());
+        scrollToSlide(portfolio.getIndex(), 'instant');
     }
 
     /**
-     * Navigate relative to current position
+     * Switch between carousel and stack
      */
-    function navigate(direction) {
-        navigateToSlide(currentIndex + direction);
+    function toggleStack() {
+        portfolio.setView(isStacked() ? 'carousel' : 'stack', { source: 'click' });
     }
 
     /**
-     * Sync current index from scroll position
+     * Center a slide in the gallery - or its spread, lining up the left page's
+     * inner edge (scroll-margin in portfolio.css) with the middle
      */
-    function handleScroll() {
-        var galleryRect = gallery.getBoundingClientRect();
-        var centerX = galleryRect.left + galleryRect.width / 2;
+    function scrollToSlide(index, behavior) {
+        var spread = portfolio.getSpread(index);
+        var targetSlide = slides[spread[0]];
+        if (!targetSlide) return;
 
-        for (var i = 0; i < totalSlides; i++) {
-            var slideRect = slides[i].getBoundingClientRect();
-            if (slideRect.left <= centerX && slideRect.right >= centerX) {
-                if (i !== currentIndex) {
-                    currentIndex = i;
-                    preloadAdjacent(i);
-                }
-                break;
-            }
-        }
+        var stacked = isStacked();
+
+        targetSlide.scrollIntoView({
+            behavior: behavior,
+            block: stacked ? 'center' : 'nearest',
+            inline: stacked ? 'nearest' : (spread.length > 1 ? 'end' : 'center')
+        });
     }
 
     /**
-     * Handle click - navigate based on which side was clicked
+     * Change axis between carousel and stack, staying on the same image
      */
-    function handleClick(e) {
-        // First image: always go forward
-        if (currentIndex === 0) {
-            navigate(1);
-            return;
-        }
+    function switchLayout(state) {
+        setStacked(state.view === 'stack');
+
+        // The center band runs the other way now
+        observeSlides();
 
-        // Last image: always go back
-        if (currentIndex === totalSlides - 1) {
-            navigate(-1);
+        expectScrollTo(state.index);
+        scrollToSlide(state.index, 'instant');
+    }
+
+    /**
+     * Follow controller changes - scroll to the new index and preload around it
+     */
+    function handleChange(state) {
+        if (!portfolio.isSlideView(state.view)) return;
+
+        preloadAdjacent(state.index);
+
+        if (state.view !== state.previousView) {
+            if (portfolio.isSlideView(state.previousView)) {
+                switchLayout(state);
+            } else {
+                // Dual-view positions the slides itself when coming from the grid
+                setStacked(state.view === 'stack');
+                observeSlides();
+            }
             return;
         }
 
-        // Middle images: left half goes back, right half goes forward
-        var galleryRect = gallery.getBoundingClientRect();
-        var centerX = galleryRect.left + galleryRect.width / 2;
+        // Already there when the change came from scrolling
+        if (state.source === 'scroll') return;
 
-        if (e.clientX < centerX) {
-            navigate(-1);
-        } else {
-            navigate(1);
-        }
+        // Scrubbing the filmstrip (portfolio-filmstrip.js) moves faster than a smooth scroll
+        var isInstant = state.source === 'scrub' || portfolio.prefersReducedMotion();
+
+        expectScrollTo(state.index);
+        scrollToSlide(state.index, isInstant ? 'instant' : 'smooth');
+    }
+
+    /**
+     * Ignore intermediate slides while a scroll heads to index
+     */
+    function expectScrollTo(index) {
+        scrollTarget = index;
+        clearTimeout(scrollTargetTimeout);
+        scrollTargetTimeout = setTimeout(function() {
+            scrollTarget = null;
+            syncActiveSlide();
+        }, SCROLL_TARGET_TIMEOUT);
     }
 
     /**
-     * Handle wheel - convert vertical to horizontal (no snap)
+     * Stop waiting for a programmatic scroll (user took over)
      */
-    function handleWheel(e) {
-        e.preventDefault();
-        gallery.style.scrollSnapType = 'none';
-        gallery.scrollLeft += e.deltaY;
+    function cancelScrollTarget() {
+        scrollTarget = null;
+        clearTimeout(scrollTargetTimeout);
     }
 
     /**
-     * Handle keyboard navigation
+     * Watch which slides cross the center of the gallery
+     * A narrow band in the middle of the gallery acts as the observer root -
+     * upright for the carousel, lying across the stack
      */
-    function handleKeydown(e) {
-        switch (e.key) {
-            case 'ArrowRight':
-            case 'ArrowDown':
-                e.preventDefault();
-                navigate(1);
-                break;
-            case 'ArrowLeft':
-            case 'ArrowUp':
-                e.preventDefault();
-                navigate(-1);
-                break;
-            case 'Home':
-                e.preventDefault();
-                navigateToSlide(0);
-                break;
-            case 'End':
-                e.preventDefault();
-                navigateToSlide(totalSlides - 1);
-                break;
+    function observeSlides() {
+        var stacked = isStacked();
+
+        // Without IntersectionObserver (legacy bundle) the index follows keys and controls only
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        if (slideObserver) {
+            slideObserver.disconnect();
         }
+        visibleSlides = {};
+
+        slideObserver = new IntersectionObserver(function(entries) {
+            entries.forEach(function(entry) {
+                var index = Array.prototype.indexOf.call(slides, entry.target);
+
+                if (entry.isIntersecting) {
+                    visibleSlides[index] = stacked ? entry.intersectionRect.height : entry.intersectionRect.width;
+                } else {
+                    delete visibleSlides[index];
+                }
+            });
+
+            syncActiveSlide();
+        }, {
+            root: gallery,
+            rootMargin: stacked ? '-49% 0px -49% 0px' : '0px -49% 0px -49%',
+            threshold: 0
+        });
+
+        slides.forEach(function(slide) {
+            slideObserver.observe(slide);
+        });
+    }
+
+    /**
+     * Sync controller index from the slide covering the center
+     */
+    function syncActiveSlide() {
+        // Hidden slides (dual-view grid) have no meaningful scroll position
+        if (!portfolio.isSlideView(portfolio.getView())) return;
+
+        var activeIndex = -1;
+        var activeSize = -1;
+
+        Object.keys(visibleSlides).forEach(function(key) {
+            if (visibleSlides[key] > activeSize) {
+                activeIndex = parseInt(key, 10);
+                activeSize = visibleSlides[key];
+            }
+        });
+
+        if (activeIndex === -1) return;
+
+        // Either page of a spread stands for the whole spread
+        var spread = portfolio.getSpread(activeIndex);
+
+        // Smooth scroll still on its way - don't report the slides it passes
+        if (scrollTarget !== null) {
+            if (spread.indexOf(scrollTarget) === -1) return;
+            cancelScrollTarget();
+        }
+
+        // Still on the current spread - keep the image the visitor picked
+        if (spread.indexOf(portfolio.getIndex()) !== -1) return;
+
+        portfolio.goTo(spread[0], { source: 'scroll' });
     }
 
     /**
      * Bind all event listeners
      */
     function bindEvents() {
-        // Scroll sync (throttled)
-        gallery.addEventListener('scroll', function() {
-            clearTimeout(scrollTimeout);
-            scrollTimeout = setTimeout(handleScroll, 150);
-        }, { passive: true });
-
-        // Click navigation
-        gallery.addEventListener('click', handleClick);
-
-        // Wheel navigation (discrete)
-        gallery.addEventListener('wheel', handleWheel, { passive: false });
-
-        // Keyboard navigation
-        document.addEventListener('keydown', handleKeydown);
-
-        // Listen for view changes from dual-view module
-        window.addEventListener('portfolio:viewchange', function(e) {
-            if (e.detail.view === 'carousel' && typeof e.detail.index === 'number') {
-                currentIndex = e.detail.index;
-                preloadAdjacent(currentIndex);
-            }
+        // User drags, touches, and wheels take over from a programmatic scroll
+        gallery.addEventListener('pointerdown', cancelScrollTarget, { passive: true });
+        gallery.addEventListener('wheel', cancelScrollTarget, { passive: true });
+
+        // Shrink or grow the preload window when the connection changes
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', function() {
+                preloadWindow = getPreloadWindow();
+            });
+        }
+
+        // Follow index changes from keyboard, clicks, swipes, hash, grid, and injected code
+        portfolio.on('change', handleChange);
+        portfolio.on('spreads', handleSpreads);
+
+        // Carousel/stack switch
+        if (stackBtn) {
+            stackBtn.addEventListener('click', toggleStack);
+            container.classList.add('has-stack');
+        }
+
+        // Inline carousels have no stack - nothing to switch to
+        if (container.classList.contains('portfolio-inline')) return;
+
+        portfolio.addShortcut({
+            key: 'v',
+            description: 'Switch between horizontal and vertical',
+            view: ['carousel', 'stack'],
+            handler: toggleStack
         });
     }
 
@@ -229,4 +403,4 @@
         init();
     }
 
-})();
+}
@@ -0,0 +1,9 @@
+/**
+ * Portfolio bundle - the portfolio page templates
+ * Sets up a portfolio on each container on the page: its controller first, then the
+ * scripts that drive it and follow its changes (see lib/portfolio-instances.js).
+ */
+import '@tryghost/shared-theme-assets/assets/js/v1/main.js';
+import setupPortfolios from './lib/portfolio-instances.js';
+
+setupPortfolios();
@@ -0,0 +1,42 @@
+/**
+ * Post bundle - posts and pages
+ * Ghost's shared theme scripts (content image lightbox, responsive embeds), and the
+ * related posts under an article in the same Masonry grid as the home feed.
+ * Inline carousels (.portfolio-inline, see lib/portfolio-instances.js) load the portfolio
+ * scripts on demand - posts without one never fetch them.
+ */
+import '@tryghost/shared-theme-assets/assets/js/v1/main.js';
+import {layoutFeed, feedLightbox} from './lib/feed-grid.js';
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+function init() {
+    relatedPosts();
+    inlinePortfolios();
+}
+
+function inlinePortfolios() {
+    if (!document.querySelector('.portfolio-inline')) return;
+
+    import('./lib/portfolio-instances.js').then(function (module) {
+        module.default();
+    });
+}
+
+function relatedPosts() {
+    var grid = document.querySelector('.post-feed');
+    if (!grid) return;
+
+    layoutFeed(grid);
+
+    feedLightbox(
+        '.post-feed',
+        '.post',
+        '.post-lightbox',
+        '.post-caption'
+    );
+}
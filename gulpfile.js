@@ -1,13 +1,13 @@
 const {series, parallel, watch, src, dest} = require('gulp');
 const pump = require('pump');
 const fs = require('fs');
-const order = require('ordered-read-streams');
+const path = require('path');
+const esbuild = require('esbuild');
+const sharp = require('sharp');
 
 // gulp plugins and utils
 const livereload = require('gulp-livereload');
 const postcss = require('gulp-postcss');
-const concat = require('gulp-concat');
-const uglify = require('gulp-uglify');
 const beeper = require('beeper');
 const zip = require('gulp-zip');
 
@@ -50,29 +50,249 @@ function css(done) {
     ], handleError(done));
 }
 
-function getJsFiles(version) {
-    const jsFiles = [
-        src(`node_modules/@tryghost/shared-theme-assets/assets/js/${version}/lib/**/*.js`),
-        src(`node_modules/@tryghost/shared-theme-assets/assets/js/${version}/main.js`),
-    ];
+// JavaScript bundles - one per kind of template, see assets/js/{feed,post,portfolio}.js
+const JS_BUNDLES = ['feed', 'post', 'portfolio'];
+const JS_DEST = 'assets/built/js';
+const JS_PARTIALS = 'partials/built';
 
-    if (fs.existsSync(`assets/js/lib`)) {
-        jsFiles.push(src(`assets/js/lib/*.js`));
+// Modern: browsers with <script type="module">, which share chunks between bundles.
+// Legacy: one self-contained script per bundle for the rest (<script nomodule>)
+const JS_MODERN_TARGET = ['es2017', 'chrome61', 'edge79', 'firefox60', 'safari11'];
+const JS_LEGACY_TARGET = ['es2015'];
+
+// shared-theme-assets ships classic scripts that call each other through globals:
+// import the globals each one uses, and export the function named after the file
+const SHARED_JS = 'node_modules/@tryghost/shared-theme-assets/assets/js/v1';
+const SHARED_GLOBALS = {
+    dropdown: `${SHARED_JS}/lib/dropdown.js`,
+    lightbox: `${SHARED_JS}/lib/lightbox.js`,
+    reframe: `${SHARED_JS}/lib/vendor/reframe.min.js`,
+    imagesLoaded: 'node_modules/imagesloaded/imagesloaded.js',
+    PhotoSwipe: `${SHARED_JS}/lib/vendor/photoswipe.min.js`,
+    PhotoSwipeUI_Default: `${SHARED_JS}/lib/vendor/photoswipe-ui-default.min.js`
+};
+
+const sharedThemeAssets = {
+    name: 'shared-theme-assets',
+    setup(build) {
+        build.onLoad({filter: /shared-theme-assets[\\/]assets[\\/]js[\\/]v1[\\/](main|lib[\\/]\w+)\.js$/}, async (args) => {
+            const source = await fs.promises.readFile(args.path, 'utf8');
+            const declared = path.basename(args.path, '.js');
+            const resolveDir = path.dirname(args.path);
+            const used = Object.keys(SHARED_GLOBALS).filter(name => (
+                name !== declared && new RegExp(`\\b${name}\\b`).test(source)
+            ));
+
+            // Relative to the file, so the output (and its hash) doesn't depend on the checkout directory
+            const imports = used.map((name) => {
+                const file = path.relative(resolveDir, path.resolve(SHARED_GLOBALS[name])).split(path.sep).join('/');
+                return `import ${name} from ${JSON.stringify(file.startsWith('.') ? file : `./${file}`)};\n`;
+            });
+            const exports = SHARED_GLOBALS[declared] ? `\nexport default ${declared};\n` : '';
+
+            return {contents: imports.join('') + source + exports, loader: 'js', resolveDir};
+        });
     }
+};
 
-    jsFiles.push(src(`assets/js/main.js`));
+function jsBuild(options) {
+    return esbuild.build(Object.assign({
+        entryPoints: JS_BUNDLES.map(name => `assets/js/${name}.js`),
+        bundle: true,
+        minify: true,
+        sourcemap: true,
+        metafile: true,
+        entryNames: '[name]-[hash]',
+        plugins: [sharedThemeAssets],
+        logLevel: 'warning'
+    }, options));
+}
 
-    return jsFiles;
+// Asset path of a build output, for {{asset}}
+function assetPath(output) {
+    return path.relative('assets', output).split(path.sep).join('/');
 }
 
-function js(done) {
-    pump([
-        order(getJsFiles('v1'), {sourcemaps: true}),
-        concat('main.min.js'),
-        uglify(),
-        dest('assets/built/', {sourcemaps: '.'}),
-        livereload()
-    ], handleError(done));
+// Find a bundle's output, and the chunks it imports, in an esbuild metafile
+function jsOutputs(metafile, name) {
+    const file = Object.keys(metafile.outputs).find(output => (
+        metafile.outputs[output].entryPoint === `assets/js/${name}.js`
+    ));
+    const chunks = metafile.outputs[file].imports
+        .filter(item => item.kind === 'import-statement')
+        .map(item => item.path);
+
+    return {file, chunks};
+}
+
+// Write partials/built/<bundle>-scripts.hbs with the hashed file names
+function writeScriptsPartial(name, modern, legacy) {
+    const tags = modern.chunks.map(chunk => `<link rel="modulepreload" href="{{asset "${assetPath(chunk)}"}}">`).concat(
+        `<script type="module" src="{{asset "${assetPath(modern.file)}"}}"></script>`,
+        `<script nomodule src="{{asset "${assetPath(legacy.file)}"}}"></script>`
+    );
+
+    fs.writeFileSync(
+        path.join(JS_PARTIALS, `${name}-scripts.hbs`),
+        `{{!-- ${name} bundle - written by \`gulp js\`, do not edit --}}\n${tags.join('\n')}\n`
+    );
+}
+
+async function js() {
+    try {
+        // Hashed names change with their content, so start from scratch
+        fs.rmSync(JS_DEST, {recursive: true, force: true});
+        fs.mkdirSync(JS_PARTIALS, {recursive: true});
+
+        const modern = await jsBuild({outdir: JS_DEST, format: 'esm', splitting: true, chunkNames: 'chunks/[name]-[hash]', target: JS_MODERN_TARGET});
+        const legacy = await jsBuild({outdir: `${JS_DEST}/legacy`, format: 'iife', target: JS_LEGACY_TARGET});
+
+        JS_BUNDLES.forEach((name) => {
+            writeScriptsPartial(name, jsOutputs(modern.metafile, name), jsOutputs(legacy.metafile, name));
+        });
+    } catch (err) {
+        beeper();
+        throw err;
+    }
+
+    livereload.reload();
+}
+
+// Responsive image variants - see docs/web-portfolio-best-practices.md
+const IMAGE_SRC = 'assets/images/photos';
+const IMAGE_DEST = 'assets/built/images';
+const IMAGE_BREAKPOINTS = [640, 1024, 1600, 2400];
+const IMAGE_PLACEHOLDER_WIDTH = 16; // Inlined in the manifest, blurred by the browser
+const IMAGE_FORMATS = {
+    avif: {quality: 50},
+    webp: {quality: 75},
+    jpeg: {quality: 80, progressive: true, mozjpeg: true}
+};
+
+function imageWidths(originalWidth) {
+    const widths = IMAGE_BREAKPOINTS.filter(width => width <= originalWidth);
+
+    // Smaller originals (or ones between breakpoints) still get a full-size variant
+    if (!widths.includes(originalWidth) && originalWidth < IMAGE_BREAKPOINTS[IMAGE_BREAKPOINTS.length - 1]) {
+        widths.push(originalWidth);
+    }
+
+    return widths;
+}
+
+function isUpToDate(source, outputs) {
+    const sourceTime = fs.statSync(source).mtimeMs;
+
+    return outputs.every(output => fs.existsSync(output) && fs.statSync(output).mtimeMs >= sourceTime);
+}
+
+async function buildImage(file, previous) {
+    const name = path.basename(file, path.extname(file));
+    const source = path.join(IMAGE_SRC, file);
+    const metadata = await sharp(source).metadata();
+
+    // EXIF orientations 5-8 are stored sideways
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const widths = imageWidths(width);
+    const entry = {
+        width: widths[widths.length - 1],
+        height: Math.round(height * widths[widths.length - 1] / width),
+        sources: {}
+    };
+    const outputs = [];
+
+    for (const format of Object.keys(IMAGE_FORMATS)) {
+        const candidates = [];
+
+        for (const variantWidth of widths) {
+            const output = `${name}-${variantWidth}.${format === 'jpeg' ? 'jpg' : format}`;
+            outputs.push(path.join(IMAGE_DEST, output));
+            candidates.push(`${output} ${variantWidth}w`);
+        }
+
+        entry.sources[format] = candidates.join(', ');
+    }
+
+    if (previous && previous.placeholder && isUpToDate(source, outputs)) {
+        return {entry: Object.assign(entry, {placeholder: previous.placeholder, color: previous.color}), outputs};
+    }
+
+    // Blur-up placeholder and dominant color (image-placeholder.js)
+    const placeholder = await sharp(source)
+        .rotate()
+        .resize({width: IMAGE_PLACEHOLDER_WIDTH})
+        .webp({quality: 40})
+        .toBuffer();
+    const {dominant} = await sharp(source).stats();
+
+    entry.placeholder = `data:image/webp;base64,${placeholder.toString('base64')}`;
+    entry.color = `rgb(${dominant.r}, ${dominant.g}, ${dominant.b})`;
+
+    let index = 0;
+    for (const format of Object.keys(IMAGE_FORMATS)) {
+        for (const variantWidth of widths) {
+            await sharp(source)
+                .rotate()
+                .resize({width: variantWidth, withoutEnlargement: true})
+                .toFormat(format, IMAGE_FORMATS[format])
+                .toFile(outputs[index++]);
+        }
+    }
+
+    return {entry, outputs};
+}
+
+// Write partials/built/picture-manifest.hbs - the manifest's meta tag, left out while
+// the manifest is empty so pages don't fetch it for nothing (picture-manifest.js)
+function writeManifestPartial(manifest) {
+    const tag = Object.keys(manifest).length > 0
+        ? `<meta name="picture-manifest" content="{{asset "${assetPath(path.join(IMAGE_DEST, 'manifest.json'))}"}}">\n`
+        : '';
+
+    fs.mkdirSync(JS_PARTIALS, {recursive: true});
+    fs.writeFileSync(
+        path.join(JS_PARTIALS, 'picture-manifest.hbs'),
+        `{{!-- Image manifest - written by \`gulp images\`, do not edit --}}\n${tag}`
+    );
+}
+
+async function images() {
+    const manifestPath = path.join(IMAGE_DEST, 'manifest.json');
+    const previous = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+    const files = fs.existsSync(IMAGE_SRC)
+        ? fs.readdirSync(IMAGE_SRC).filter(file => /\.(jpe?g|png|tiff?|webp)$/i.test(file)).sort()
+        : [];
+    const manifest = {};
+    const kept = new Set([manifestPath]);
+
+    fs.mkdirSync(IMAGE_DEST, {recursive: true});
+
+    // One at a time - Sharp already uses every core for each image
+    for (const file of files) {
+        const name = path.basename(file, path.extname(file));
+
+        if (manifest[name]) {
+            throw new Error(`images: ${file} has the same name as another photo`);
+        }
+
+        const result = await buildImage(file, previous[name]);
+        manifest[name] = result.entry;
+        result.outputs.forEach(output => kept.add(output));
+    }
+
+    // Drop variants of photos that were removed
+    fs.readdirSync(IMAGE_DEST).forEach((file) => {
+        const output = path.join(IMAGE_DEST, file);
+        if (!kept.has(output)) {
+            fs.unlinkSync(output);
+        }
+    });
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+    writeManifestPartial(manifest);
 }
 
 function zipper(done) {
@@ -83,6 +303,11 @@ function zipper(done) {
             '**',
             '!node_modules', '!node_modules/**',
             '!dist', '!dist/**',
+            '!test', '!test/**',
+            '!tools', '!tools/**',
+            '!test-results', '!test-results/**',
+            '!playwright-report', '!playwright-report/**',
+            '!playwright.config.js',
             '!yarn-error.log'
         ]),
         zip(filename),
@@ -93,9 +318,12 @@ function zipper(done) {
 const hbsWatcher = () => watch(['*.hbs', 'partials/**/*.hbs'], hbs);
 const cssWatcher = () => watch('assets/css/**/*.css', css);
 const jsWatcher = () => watch('assets/js/**/*.js', js);
-const watcher = parallel(hbsWatcher, cssWatcher, jsWatcher);
-const build = series(css, js);
+const imageWatcher = () => watch(`${IMAGE_SRC}/**`, images);
+const watcher = parallel(hbsWatcher, cssWatcher, jsWatcher, imageWatcher);
+const build = series(images, css, js);
 
 exports.build = build;
+exports.images = images;
+exports.js = js;
 exports.zip = series(build, zipper);
 exports.default = series(build, serve, watcher);
@@ -0,0 +1,56 @@
+/**
+ * Playwright - visual and interaction tests against the fixture site (test/ghost)
+ *   yarn test:visual            compare with the screenshots in test/visual/__screenshots__
+ *   yarn test:visual:update     re-record them after an intended change
+ * Screenshots are recorded on Linux Chromium (CI), one set per project; fonts differ elsewhere.
+ * CI only compares - a missing screenshot fails there instead of being recorded
+ * (record them in the CI image with the Test workflow's "Re-record screenshots" run).
+ * While none are committed at all, the Test workflow records them instead of comparing.
+ */
+const {defineConfig, devices} = require('@playwright/test');
+
+const PORT = parseInt(process.env.PORT, 10) || 2369;
+
+module.exports = defineConfig({
+    testDir: 'test/visual',
+    snapshotPathTemplate: '{testDir}/__screenshots__/{testFileName}/{projectName}/{arg}{ext}',
+    fullyParallel: false,
+    workers: 1,
+    forbidOnly: !!process.env.CI,
+    retries: process.env.CI ? 1 : 0,
+    reporter: process.env.CI ? [['list'], ['html', {open: 'never'}]] : 'list',
+    updateSnapshots: process.env.CI ? 'none' : 'missing',
+
+    expect: {
+        toHaveScreenshot: {
+            animations: 'disabled',
+            caret: 'hide',
+            maxDiffPixelRatio: 0.01
+        }
+    },
+
+    use: {
+        baseURL: `http://127.0.0.1:${PORT}`,
+        // Instant scrolling, so views settle before each screenshot
+        reducedMotion: 'reduce',
+        trace: 'retain-on-failure'
+    },
+
+    projects: [
+        {
+            name: 'desktop',
+            use: Object.assign({}, devices['Desktop Chrome'], {viewport: {width: 1280, height: 800}})
+        },
+        {
+            name: 'mobile',
+            use: devices['Pixel 7']
+        }
+    ],
+
+    webServer: {
+        command: 'node test/ghost/server.js',
+        url: `http://127.0.0.1:${PORT}/`,
+        env: {PORT: String(PORT)},
+        reuseExistingServer: !process.env.CI
+    }
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const BUNDLES = ['feed', 'post', 'portfolio'];
+
+/**
+ * Asset paths in a bundle's generated script partial (partials/built, written by `gulp js`)
+ */
+function readPartial(name) {
+    const source = fs.readFileSync(path.join(ROOT, 'partials/built', `${name}-scripts.hbs`), 'utf8');
+
+    return {
+        source,
+        assets: Array.from(source.matchAll(/\{\{asset "([^"]+)"\}\}/g), match => match[1])
+    };
+}
+
+/**
+ * Source files in a bundle's modern build - the entry and the chunks it preloads
+ */
+function readSources(name) {
+    return readPartial(name).assets
+        .filter(asset => !asset.includes('/legacy/'))
+        .flatMap((asset) => {
+            const map = JSON.parse(fs.readFileSync(path.join(ROOT, 'assets', asset + '.map'), 'utf8'));
+            return map.sources;
+        });
+}
+
+describe('script bundles', () => {
+    BUNDLES.forEach((name) => {
+        it(`load the built ${name} files`, () => {
+            const {source, assets} = readPartial(name);
+
+            assets.forEach((asset) => {
+                assert.ok(fs.existsSync(path.join(ROOT, 'assets', asset)), `${asset} is built - run gulp js`);
+                assert.ok(fs.existsSync(path.join(ROOT, 'assets', asset + '.map')), `${asset} has a source map`);
+            });
+            assert.match(source, new RegExp(`<script type="module" src="\\{\\{asset "built/js/${name}-\\w+\\.js"\\}\\}">`));
+            assert.match(source, new RegExp(`<script nomodule src="\\{\\{asset "built/js/legacy/${name}-\\w+\\.js"\\}\\}">`));
+        });
+    });
+
+    it('leave Masonry and the feed scripts out of the portfolio', () => {
+        const sources = readSources('portfolio');
+
+        assert.ok(sources.some(source => source.endsWith('js/lib/portfolio-controller.js')));
+        assert.deepEqual(sources.filter(source => /masonry-layout|outlayer|js\/lib\/feed-/.test(source)), []);
+    });
+
+    it('leave the portfolio scripts out of the feed and posts', () => {
+        ['feed', 'post'].forEach((name) => {
+            const sources = readSources(name);
+
+            assert.ok(sources.some(source => source.includes('masonry-layout')), name);
+            assert.deepEqual(sources.filter(source => /js\/lib\/portfolio/.test(source)), [], name);
+        });
+    });
+
+    it('leave the pagination and tag filters out of posts', () => {
+        const sources = readSources('post');
+
+        assert.deepEqual(sources.filter(source => /feed-(paginator|filter)/.test(source)), []);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage} = require('./helpers/page');
+const FeedFilter = require('../assets/js/lib/feed-filter.js').default;
+
+/**
+ * A feed item tagged the way loop.hbs renders it
+ */
+function item(slug, name) {
+    return `<div class="grid-item" data-tag="${slug}" data-tag-name="${name}"></div>`;
+}
+
+describe('feed-filter', () => {
+    let page;
+
+    /**
+     * Home feed with tagged items, opened at a URL query (e.g. '?tag=travel')
+     */
+    async function createFeed(search) {
+        page = await createPage({html: `<!DOCTYPE html><html><body><main>
+            <nav class="feed-filter" hidden></nav>
+            <div class="gh-feed">${item('landscape', 'Landscape')}${item('travel', 'Travel')}${item('landscape', 'Landscape')}</div>
+        </main></body></html>`});
+
+        if (search) {
+            page.window.history.replaceState(null, '', search);
+        }
+
+        return FeedFilter.create(page.document.querySelector('.gh-feed'));
+    }
+
+    /**
+     * The chips - label and whether pressed
+     */
+    function getChips() {
+        return Array.from(page.document.querySelectorAll('.feed-filter-chip'), chip => [chip.textContent, chip.getAttribute('aria-pressed')]);
+    }
+
+    afterEach(() => {
+        page.close();
+    });
+
+    it('builds a chip for All and each tag in the feed', async () => {
+        await createFeed();
+
+        assert.deepEqual(getChips(), [['All', 'true'], ['Landscape', 'false'], ['Travel', 'false']]);
+        assert.equal(page.document.querySelector('.feed-filter').hidden, false);
+    });
+
+    it('toggles chips and puts the tag in the URL', async () => {
+        const filter = await createFeed('/portfolio/?ref=mail#top');
+        const changes = [];
+        filter.on('change', state => changes.push(state));
+
+        page.document.querySelectorAll('.feed-filter-chip')[2].click();
+
+        assert.deepEqual(getChips(), [['All', 'false'], ['Landscape', 'false'], ['Travel', 'true']]);
+        assert.equal(page.window.location.search, '?ref=mail&tag=travel');
+        assert.equal(page.window.location.hash, '#top');
+        assert.deepEqual(changes, [{tag: 'travel', previousTag: null}]);
+        assert.equal(filter.matches(page.document.querySelector('[data-tag="landscape"]')), false);
+
+        page.document.querySelectorAll('.feed-filter-chip')[0].click();
+
+        assert.equal(filter.getTag(), null);
+        assert.equal(page.window.location.search, '?ref=mail');
+    });
+
+    it('starts from the tag in the URL, naming it once its posts arrive', async () => {
+        const filter = await createFeed('/portfolio/?tag=city');
+
+        assert.equal(filter.getTag(), 'city');
+        assert.deepEqual(getChips()[1], ['city', 'true']);
+
+        const later = page.document.createElement('div');
+        later.innerHTML = item('city', 'City');
+        filter.add(later.children);
+
+        assert.deepEqual(getChips()[1], ['City', 'true']);
+    });
+
+    it('shows everything for a tag in the URL that isn\'t valid encoding', async () => {
+        const filter = await createFeed('/portfolio/?tag=%');
+
+        assert.equal(filter.getTag(), null);
+        assert.deepEqual(getChips()[0], ['All', 'true']);
+    });
+});
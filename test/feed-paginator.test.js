@@ -0,0 +1,127 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait} = require('./helpers/page');
+const FeedPaginator = require('../assets/js/lib/feed-paginator.js').default;
+
+const STORAGE_KEY = 'feed-paginator:/portfolio/';
+
+/**
+ * Feed items for an archive page
+ */
+function items(pageNumber) {
+    return [1, 2].map(n => `<div class="grid-item">Post ${pageNumber}.${n}</div>`).join('');
+}
+
+/**
+ * An archive page as Ghost renders it - a link to the next page while there is one
+ */
+function archive(pageNumber, hasNext) {
+    return `<!DOCTYPE html><html><head>${hasNext ? `<link rel="next" href="/portfolio/page/${pageNumber + 1}/">` : ''}</head><body>
+        <main>
+            <div class="gh-feed">${items(pageNumber)}</div>
+            <nav class="feed-pagination"><a class="feed-more" href="/portfolio/page/${pageNumber + 1}/">Load more</a></nav>
+        </main>
+    </body></html>`;
+}
+
+describe('feed-paginator', () => {
+    let page;
+
+    /**
+     * First archive page with a paginator, reached by Back or not
+     */
+    async function createFeed(options) {
+        options = Object.assign({backForward: false}, options);
+
+        page = await createPage({html: archive(1, true)});
+        page.window.history.scrollRestoration = 'auto';
+
+        if (options.saved) {
+            page.window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(options.saved));
+        }
+
+        mock.method(performance, 'getEntriesByType', () => [{type: options.backForward ? 'back_forward' : 'reload'}]);
+        mock.method(page.window, 'scrollTo', () => {});
+        mock.method(global, 'fetch', url => Promise.resolve({
+            ok: true,
+            status: 200,
+            text: () => Promise.resolve(archive(parseInt(/page\/(\d+)/.exec(url)[1], 10), false))
+        }));
+
+        const feed = page.document.querySelector('.gh-feed');
+        const paginator = FeedPaginator.create(feed);
+        const appended = [];
+        paginator.on('append', (event) => {
+            appended.push(event);
+            paginator.check();
+        });
+        paginator.start();
+
+        return {feed, paginator, appended};
+    }
+
+    /**
+     * Text of the feed's items
+     */
+    function getPosts(feed) {
+        return Array.from(feed.children, item => item.textContent);
+    }
+
+    afterEach(() => {
+        mock.restoreAll();
+        page.close();
+    });
+
+    it('appends the next page and saves the loaded pages', async () => {
+        const {feed, paginator} = await createFeed();
+
+        await paginator.loadNext();
+
+        const state = JSON.parse(page.window.sessionStorage.getItem(STORAGE_KEY));
+        assert.deepEqual(getPosts(feed), ['Post 1.1', 'Post 1.2', 'Post 2.1', 'Post 2.2']);
+        assert.equal(state.page, 2);
+        assert.equal(state.hasMore, false);
+        assert.deepEqual(state.html, [items(2)]);
+    });
+
+    it('brings the loaded pages back, and their scroll position, on Back', async () => {
+        const saved = {page: 2, hasMore: false, scrollY: 1200, html: [items(2)]};
+        const {feed, appended} = await createFeed({backForward: true, saved});
+
+        assert.deepEqual(getPosts(feed), ['Post 1.1', 'Post 1.2', 'Post 2.1', 'Post 2.2']);
+        assert.deepEqual(appended.map(event => [event.page, event.restored]), [[2, true]]);
+        assert.equal(page.window.history.scrollRestoration, 'manual');
+        assert.deepEqual(page.window.scrollTo.mock.calls.map(call => call.arguments), [[0, 1200]]);
+        assert.equal(global.fetch.mock.callCount(), 0);
+    });
+
+    it('leaves the scroll position to the browser on a reload', async () => {
+        const saved = {page: 2, hasMore: false, scrollY: 1200, html: [items(2)]};
+        const {feed} = await createFeed({saved});
+        await wait(0);
+
+        assert.deepEqual(getPosts(feed), ['Post 1.1', 'Post 1.2']);
+        assert.equal(page.window.history.scrollRestoration, 'auto');
+        assert.equal(page.window.sessionStorage.getItem(STORAGE_KEY), null);
+    });
+
+    it('leaves "Load more" to open the next page where there is no fetch', async () => {
+        page = await createPage({html: archive(1, true)});
+        const nativeFetch = global.fetch;
+        delete global.fetch;
+
+        try {
+            FeedPaginator.create(page.document.querySelector('.gh-feed')).start();
+
+            const click = new page.window.MouseEvent('click', {bubbles: true, cancelable: true});
+            page.document.querySelector('.feed-more').dispatchEvent(click);
+
+            assert.equal(click.defaultPrevented, false);
+            assert.equal(page.document.querySelector('.feed-pagination').classList.contains('is-infinite'), false);
+        } finally {
+            global.fetch = nativeFetch;
+        }
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Ghost stand-in fixtures - site settings, posts and portfolio pages
+ * Image URLs carry their size in the filename (e.g. harbour-1200x800.jpg);
+ * server.js draws a placeholder of that size for any of them.
+ */
+'use strict';
+
+// "Today" for the date helper - keeps the footer year fixed
+const NOW = '2024-06-01T12:00:00.000Z';
+
+const TAGS = {
+    landscape: {name: 'Landscape', slug: 'landscape', url: '/tag/landscape/'},
+    portrait: {name: 'Portrait', slug: 'portrait', url: '/tag/portrait/'},
+    street: {name: 'Street', slug: 'street', url: '/tag/street/'}
+};
+
+// Photo names and sizes - a mix of landscape, portrait and square frames
+const PHOTOS = [
+    ['harbour', 1200, 800],
+    ['dunes', 800, 1200],
+    ['market', 1200, 1200],
+    ['ferry', 1600, 900],
+    ['alley', 900, 1350],
+    ['lighthouse', 1200, 800],
+    ['orchard', 1200, 900],
+    ['crossing', 800, 1000],
+    ['quarry', 1500, 1000],
+    ['station', 1000, 1500],
+    ['pier', 1200, 800],
+    ['glasshouse', 1000, 1000]
+];
+
+const TAG_ORDER = [TAGS.landscape, TAGS.portrait, TAGS.street];
+
+/**
+ * Image URL for a photo
+ */
+function imageUrl([name, width, height]) {
+    return `/content/images/2024/05/${name}-${width}x${height}.jpg`;
+}
+
+/**
+ * Koenig image card markup, as Ghost renders it
+ */
+function imageCard(photo, caption) {
+    const [name, width, height] = photo;
+    const src = imageUrl(photo);
+    const srcset = [600, 1000, 1600]
+        .filter(size => size < width)
+        .map(size => `${src.replace('/content/images/', `/content/images/size/w${size}/`)} ${size}w`)
+        .concat(`${src} ${width}w`)
+        .join(', ');
+
+    return `<figure class="kg-card kg-image-card${caption ? ' kg-card-hascaption' : ''}">` +
+        `<img src="${src}" class="kg-image" alt="${name}" loading="lazy" width="${width}" height="${height}" ` +
+        `srcset="${srcset}" sizes="(min-width: 720px) 720px">` +
+        (caption ? `<figcaption><span style="white-space: pre-wrap;">${caption}</span></figcaption>` : '') +
+        `</figure>`;
+}
+
+const posts = PHOTOS.map((photo, index) => {
+    const [name] = photo;
+    const tag = TAG_ORDER[index % TAG_ORDER.length];
+    const title = name.charAt(0).toUpperCase() + name.slice(1);
+
+    return {
+        id: `post-${index + 1}`,
+        slug: name,
+        title,
+        url: `/${name}/`,
+        feature_image: imageUrl(photo),
+        feature_image_alt: null,
+        feature_image_caption: null,
+        custom_excerpt: `Notes from the ${name}.`,
+        featured: index === 0,
+        page: false,
+        tags: [tag],
+        primary_tag: tag,
+        published_at: new Date(Date.UTC(2024, 4, 28 - index * 2)).toISOString(),
+        html: `<p>Shot on a grey morning at the ${name}.</p>` + imageCard(PHOTOS[(index + 1) % PHOTOS.length], `The ${name}, later`)
+    };
+});
+
+/**
+ * Portfolio page - one image card per photo
+ */
+function portfolioPage(slug, title, tags) {
+    return {
+        id: `page-${slug}`,
+        slug,
+        title,
+        url: `/${slug}/`,
+        feature_image: null,
+        page: true,
+        tags,
+        primary_tag: null,
+        published_at: NOW,
+        html: PHOTOS.map((photo, index) => imageCard(photo, index % 3 === 0 ? `${photo[0]} at dusk` : null)).join('')
+    };
+}
+
+const pages = {
+    portfolio: portfolioPage('portfolio', 'Portfolio', []),
+    book: portfolioPage('book', 'Book', []),
+    justified: portfolioPage('justified', 'Justified', [{name: '#layout-justified', slug: 'hash-layout-justified'}]),
+    proofs: portfolioPage('proofs', 'Proofs', [{name: '#proofing', slug: 'hash-proofing'}])
+};
+
+const site = {
+    title: 'Edge',
+    description: 'Photography portfolio',
+    url: 'http://127.0.0.1:2369',
+    locale: 'en',
+    logo: null,
+    members_enabled: false,
+    members_invite_only: false,
+    navigation: [
+        {label: 'Home', url: '/'},
+        {label: 'Portfolio', url: '/portfolio/'},
+        {label: 'Book', url: '/book/'}
+    ],
+    secondary_navigation: [],
+    now: NOW,
+    posts
+};
+
+// Theme settings (package.json config.custom defaults)
+const custom = {
+    navigation_layout: 'Logo in the middle',
+    title_font: 'Modern sans-serif',
+    body_font: 'Modern sans-serif',
+    show_related_posts: true,
+    related_posts_title: 'You might also like...'
+};
+
+module.exports = {site, custom, posts, pages, PHOTOS};
@@ -0,0 +1,94 @@
+/**
+ * Ghost stand-in server - serves the rendered fixture site for browser tests
+ *   node test/ghost/server.js   (PORT, default 2369)
+ * Theme assets come from assets/; every /content/images URL is a flat placeholder
+ * drawn at the size in its filename, so screenshots don't depend on real photos.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const {createSite} = require('./site');
+
+const ASSETS = path.join(__dirname, '../../assets');
+
+const TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Placeholder image - a fixed colour per filename, with a diagonal so crops show
+ */
+function placeholder(pathname) {
+    const match = pathname.match(/-(\d+)x(\d+)\.\w+$/);
+    const width = match ? parseInt(match[1], 10) : 1200;
+    const height = match ? parseInt(match[2], 10) : 800;
+    const name = path.basename(pathname);
+    let hue = 0;
+
+    for (let i = 0; i < name.length; i++) {
+        hue = (hue * 31 + name.charCodeAt(i)) % 360;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="hsl(${hue}, 35%, 55%)"/>` +
+        `<path d="M0 ${height} L${width} 0" stroke="hsl(${hue}, 35%, 35%)" stroke-width="${Math.round(width / 40)}"/>` +
+        `</svg>`;
+}
+
+/**
+ * Serve a file from the theme's assets folder
+ */
+function serveAsset(pathname, res) {
+    const file = path.join(ASSETS, path.normalize(decodeURIComponent(pathname.slice('/assets/'.length))));
+
+    if (!file.startsWith(ASSETS + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream'});
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the server (not listening yet)
+ */
+function createServer(options) {
+    const site = createSite(options);
+
+    return http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        if (pathname.startsWith('/assets/')) {
+            serveAsset(pathname, res);
+        } else if (pathname.startsWith('/content/images/')) {
+            res.writeHead(200, {'Content-Type': TYPES['.svg'], 'Cache-Control': 'max-age=3600'});
+            res.end(placeholder(pathname));
+        } else {
+            const page = site.renderPath(pathname);
+
+            res.writeHead(page.status, {'Content-Type': 'text/html; charset=utf-8'});
+            res.end(page.html);
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 2369;
+
+    createServer().listen(port, '127.0.0.1', () => {
+        console.log(`Fixture site at http://127.0.0.1:${port}/`);
+    });
+}
+
+module.exports = {createServer};
@@ -0,0 +1,79 @@
+/**
+ * Ghost stand-in routes - maps a URL path to a rendered template
+ * Only the routes the theme's templates need: the paginated feed, posts and
+ * the two portfolio page templates.
+ */
+'use strict';
+
+const path = require('node:path');
+const {createTheme} = require('./theme');
+const fixtures = require('./fixtures');
+
+const POSTS_PER_PAGE = require(path.join(__dirname, '../../package.json')).config.posts_per_page;
+
+// Page slug -> custom template, as picked in Ghost Admin
+const PAGE_TEMPLATES = {
+    portfolio: 'custom-horizontal-carousel-grid',
+    justified: 'custom-horizontal-carousel-grid',
+    proofs: 'custom-horizontal-carousel-grid',
+    book: 'custom-horizontal-carousel'
+};
+
+/**
+ * Create a site over the fixtures (or other site/custom data)
+ */
+function createSite(options) {
+    const data = Object.assign({site: fixtures.site, custom: fixtures.custom, pages: fixtures.pages}, options);
+    const theme = createTheme(data);
+
+    /**
+     * Feed page N - index.hbs with Ghost's pagination object
+     */
+    function renderFeed(number) {
+        const posts = data.site.posts;
+        const pages = Math.max(1, Math.ceil(posts.length / POSTS_PER_PAGE));
+        if (number > pages) return null;
+
+        const pagination = {
+            page: number,
+            pages,
+            total: posts.length,
+            limit: POSTS_PER_PAGE,
+            prev: number > 1 ? number - 1 : null,
+            next: number < pages ? number + 1 : null
+        };
+        const start = (number - 1) * POSTS_PER_PAGE;
+        const context = number > 1 ? ['paged', 'index'] : ['home', 'index'];
+
+        return theme.render('index', {posts: posts.slice(start, start + POSTS_PER_PAGE), pagination, context});
+    }
+
+    /**
+     * Render a path, e.g. "/", "/page/2/", "/harbour/" or "/portfolio/"
+     * Returns {status, html}; unknown paths are a 404 with an empty body.
+     */
+    function renderPath(pathname) {
+        const feed = pathname.match(/^\/(?:page\/(\d+)\/)?$/);
+        let html = null;
+
+        if (feed) {
+            html = renderFeed(feed[1] ? parseInt(feed[1], 10) : 1);
+        } else {
+            const slug = (pathname.match(/^\/([\w-]+)\/$/) || [])[1];
+            const page = slug && data.pages[slug];
+            const post = slug && data.site.posts.find(item => item.slug === slug);
+
+            if (page) {
+                html = theme.render(PAGE_TEMPLATES[slug] || 'page', {post: page, context: ['page']}, {show_title_and_feature_image: true});
+            } else if (post) {
+                html = theme.render('post', {post, context: ['post']});
+            }
+        }
+
+        return html === null ? {status: 404, html: ''} : {status: 200, html};
+    }
+
+    return {renderPath};
+}
+
+module.exports = {createSite};
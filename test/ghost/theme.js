@@ -0,0 +1,247 @@
+/**
+ * Ghost stand-in - renders the theme's Handlebars templates without Ghost
+ * Registers every partial and stubs of the Ghost helpers the templates use, close
+ * enough to Ghost's output for layout and script tests. Missing partials and helpers
+ * called with arguments throw, so a broken template fails loudly.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const Handlebars = require('handlebars');
+
+const ROOT = path.join(__dirname, '../..');
+const PARTIALS = path.join(ROOT, 'partials');
+
+// Theme image sizes (package.json config), for img_url
+const IMAGE_SIZES = require(path.join(ROOT, 'package.json')).config.image_sizes;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Read every partial, named the way Ghost names them, e.g. "icons/search"
+ */
+function readPartials(dir, prefix) {
+    const partials = {};
+
+    fs.readdirSync(dir, {withFileTypes: true}).forEach((entry) => {
+        const name = prefix + entry.name;
+
+        if (entry.isDirectory()) {
+            Object.assign(partials, readPartials(path.join(dir, entry.name), name + '/'));
+        } else if (entry.name.endsWith('.hbs')) {
+            partials[name.slice(0, -4)] = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+        }
+    });
+
+    return partials;
+}
+
+/**
+ * Format a date with the Moment tokens the templates use (YYYY, MMM, MM, DD)
+ */
+function formatDate(value, format) {
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+
+    return format.replace(/YYYY|MMM|MM|DD/g, (token) => {
+        switch (token) {
+            case 'YYYY':
+                return String(date.getUTCFullYear());
+            case 'MMM':
+                return MONTHS[date.getUTCMonth()];
+            case 'MM':
+                return pad(date.getUTCMonth() + 1);
+            default:
+                return pad(date.getUTCDate());
+        }
+    });
+}
+
+/**
+ * Compare values the way Ghost's {{#match}} does
+ */
+function compare(left, operator, right) {
+    switch (operator) {
+        case '=':
+            return left === right;
+        case '!=':
+            return left !== right;
+        case '<':
+            return left < right;
+        case '>':
+            return left > right;
+        case '<=':
+            return left <= right;
+        case '>=':
+            return left >= right;
+        case '~':
+            return String(left).includes(right);
+        case '~^':
+            return String(left).startsWith(right);
+        case '~$':
+            return String(left).endsWith(right);
+        default:
+            throw new Error(`match: unknown operator ${operator}`);
+    }
+}
+
+/**
+ * Register the Ghost helper stubs
+ *   site.now - the date helper's "today", so rendered pages don't change from day to day
+ */
+function registerHelpers(hbs, site) {
+    const SafeString = hbs.SafeString;
+
+    hbs.registerHelper('asset', assetPath => `/assets/${assetPath}`);
+
+    hbs.registerHelper('ghost_head', () => new SafeString(`<link rel="canonical" href="${site.url}">`));
+    hbs.registerHelper('ghost_foot', () => new SafeString(''));
+
+    hbs.registerHelper('meta_title', function(options) {
+        const post = options.data.root.post;
+        return post ? `${post.title} - ${site.title}` : site.title;
+    });
+
+    hbs.registerHelper('body_class', function(options) {
+        const post = options.data.root.post;
+        if (!post) return 'home-template';
+
+        const tags = (post.tags || []).map(tag => ` tag-${tag.slug}`).join('');
+        return post.page ? `page-template page-${post.slug}${tags}` : `post-template${tags}`;
+    });
+
+    hbs.registerHelper('post_class', function() {
+        const tags = (this.tags || []).map(tag => ` tag-${tag.slug}`).join('');
+        return `post${tags}${this.featured ? ' featured' : ''}${this.feature_image ? '' : ' no-image'}`;
+    });
+
+    hbs.registerHelper('navigation', function(options) {
+        const items = options.hash.type === 'secondary' ? site.secondary_navigation : site.navigation;
+
+        return new SafeString('<ul class="nav">' + items.map(item => (
+            `<li class="nav-${item.label.toLowerCase().replace(/\W+/g, '-')}"><a href="${item.url}">${item.label}</a></li>`
+        )).join('') + '</ul>');
+    });
+
+    hbs.registerHelper('img_url', function(image, options) {
+        const size = IMAGE_SIZES[options.hash.size];
+        if (!image || !size) return image || '';
+
+        return image.replace('/content/images/', `/content/images/size/w${size.width}/`);
+    });
+
+    hbs.registerHelper('date', function(...args) {
+        const options = args.pop();
+        const value = args.length ? args[0] : (this.published_at || site.now);
+
+        return formatDate(value, options.hash.format || 'DD MMM YYYY');
+    });
+
+    hbs.registerHelper('content', function() {
+        return new SafeString(this.html || '');
+    });
+
+    hbs.registerHelper('page_url', page => (page > 1 ? `/page/${page}/` : '/'));
+
+    hbs.registerHelper('match', function(...args) {
+        const options = args.pop();
+        let result;
+
+        if (args.length === 1) {
+            result = !!args[0];
+        } else if (args.length === 2) {
+            result = args[0] === args[1];
+        } else {
+            result = compare(args[0], args[1], args[2]);
+        }
+
+        return result ? options.fn(this) : options.inverse(this);
+    });
+
+    // {{#is "post, page"}} - against the context list each route renders with
+    hbs.registerHelper('is', function(contexts, options) {
+        const current = options.data.root.context || [];
+        const wanted = contexts.split(',').map(name => name.trim());
+
+        return wanted.some(name => current.includes(name)) ? options.fn(this) : options.inverse(this);
+    });
+
+    hbs.registerHelper('has', function(options) {
+        const wanted = String(options.hash.tag || '').split(',').map(name => name.trim().toLowerCase());
+        const tags = (this.tags || []).map(tag => tag.name.toLowerCase());
+
+        return wanted.some(name => tags.includes(name)) ? options.fn(this) : options.inverse(this);
+    });
+
+    hbs.registerHelper('foreach', function(items, options) {
+        if (!items || !items.length) return options.inverse(this);
+
+        return items.map((item, index) => {
+            const data = hbs.createFrame(options.data);
+            Object.assign(data, {index, number: index + 1, first: index === 0, last: index === items.length - 1});
+            return options.fn(item, {data});
+        }).join('');
+    });
+
+    // {{#get "posts"}} - other posts, newest first
+    hbs.registerHelper('get', function(resource, options) {
+        if (resource !== 'posts') throw new Error(`get: no fixtures for ${resource}`);
+
+        const current = options.data.root.post;
+        const limit = parseInt(options.hash.limit, 10) || 15;
+        const posts = site.posts.filter(post => !current || post.id !== current.id).slice(0, limit);
+
+        if (!posts.length) return options.inverse(this);
+
+        return options.fn({posts}, {data: options.data, blockParams: [posts]});
+    });
+}
+
+/**
+ * Create a renderer for the theme
+ *   site: {title, url, locale, navigation, secondary_navigation, posts, now, ...} - @site and helper data
+ *   custom: @custom theme settings
+ */
+function createTheme({site, custom}) {
+    const hbs = Handlebars.create();
+    const partials = readPartials(PARTIALS, '');
+
+    Object.keys(partials).forEach((name) => {
+        hbs.registerPartial(name, partials[name]);
+    });
+    registerHelpers(hbs, site);
+
+    const cache = {};
+
+    /**
+     * Compile a root template, e.g. "post" for post.hbs
+     */
+    function compile(name) {
+        if (!cache[name]) {
+            const source = fs.readFileSync(path.join(ROOT, name + '.hbs'), 'utf8');
+            const layout = source.match(/^\{\{!<\s*([\w-]+)\s*\}\}/);
+
+            cache[name] = {template: hbs.compile(source), layout: layout && layout[1]};
+        }
+
+        return cache[name];
+    }
+
+    /**
+     * Render a template with its layout ({{!< default}}), the way Ghost does
+     */
+    function render(name, context, page) {
+        const data = {site, custom, page: page || {}, member: null};
+        const compiled = compile(name);
+        const html = compiled.template(context, {data});
+
+        if (!compiled.layout) return html;
+
+        return compile(compiled.layout).template(Object.assign({}, context, {body: html}), {data});
+    }
+
+    return {render};
+}
+
+module.exports = {createTheme};
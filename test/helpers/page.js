@@ -0,0 +1,241 @@
+/**
+ * Test page - a jsdom document with portfolio template markup
+ * Portfolio scripts are ES modules whose default export sets them up (see portfolio-instances.js);
+ * run() calls them for the page's container the way the portfolio bundle does on load,
+ * setupAll() runs the bundle's own setup over every container.
+ */
+'use strict';
+
+const path = require('node:path');
+const {JSDOM} = require('jsdom');
+
+const LIB = path.join(__dirname, '../../assets/js/lib');
+
+// Browser globals the scripts use without going through window
+const GLOBALS = [
+    'window',
+    'document',
+    'history',
+    'location',
+    'localStorage',
+    'sessionStorage',
+    'navigator',
+    'Image',
+    'requestAnimationFrame',
+    'IntersectionObserver',
+    'DOMParser',
+    'WebSocket'
+];
+
+/**
+ * Figure markup for one slide, the way Koenig renders an image card
+ * image overrides the landscape defaults: {width, height, alt, card} (card: extra figure classes)
+ */
+function imageCard(index, image) {
+    const src = `/content/images/2024/05/photo-${index + 1}.jpg`;
+    image = Object.assign({width: 1200, height: 800, alt: `Photo ${index + 1}`, card: ''}, image);
+
+    return `<figure class="kg-card kg-image-card${image.card ? ' ' + image.card : ''}">` +
+        `<img class="kg-image" src="${src}" srcset="/content/images/size/w600/2024/05/photo-${index + 1}.jpg 600w, ${src} 1200w" ` +
+        `sizes="(min-width: 720px) 720px" alt="${image.alt}" width="${image.width}" height="${image.height}" loading="lazy">` +
+        `<figcaption>Caption ${index + 1}</figcaption>` +
+        `</figure>`;
+}
+
+/**
+ * Gallery card markup - a row of images under one caption, as Koenig renders it
+ */
+function galleryCard(names, caption) {
+    const images = names.map(name => `<div class="kg-gallery-image">` +
+        `<img src="/content/images/2024/05/${name}.jpg" width="800" height="1200" loading="lazy" alt="${name}">` +
+        `</div>`).join('');
+
+    return `<figure class="kg-card kg-gallery-card kg-width-wide${caption ? ' kg-card-hascaption' : ''}">` +
+        `<div class="kg-gallery-container"><div class="kg-gallery-row">${images}</div></div>` +
+        (caption ? `<figcaption>${caption}</figcaption>` : '') +
+        `</figure>`;
+}
+
+/**
+ * Video card markup - Koenig keeps the thumbnail on the card, the poster is a spacer
+ */
+function videoCard(name) {
+    return `<figure class="kg-card kg-video-card" data-kg-thumbnail="/content/media/2024/05/${name}_thumb.jpg" data-kg-custom-thumbnail="">` +
+        `<div class="kg-video-container">` +
+        `<video src="/content/media/2024/05/${name}.mp4" poster="https://img.spacergif.org/v1/1920x1080/0a/spacer.png" ` +
+        `width="1920" height="1080" loop autoplay muted playsinline preload="metadata"></video>` +
+        `<div class="kg-video-overlay"><button class="kg-video-large-play-icon" aria-label="Play video"></button></div>` +
+        `</div></figure>`;
+}
+
+/**
+ * IntersectionObserver stand-in - records what is observed, tests report entries
+ */
+function createObserverClass(observers) {
+    return class IntersectionObserver {
+        constructor(callback, options) {
+            this.callback = callback;
+            this.options = options || {};
+            this.targets = [];
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.targets.push(target);
+        }
+
+        unobserve(target) {
+            this.targets = this.targets.filter(t => t !== target);
+        }
+
+        disconnect() {
+            this.targets = [];
+        }
+    };
+}
+
+/**
+ * Build a portfolio page, resolving once it is parsed
+ *   slides: number of image cards (default 5)
+ *   dual: grid + carousel template (default true)
+ *   hash: initial URL hash, e.g. '#book/3'
+ *   layout: data-layout on the container
+ *   images: per-slide image overrides (see imageCard), one slide each
+ *   cards: more card markup after the image slides, e.g. galleryCard() and videoCard()
+ *   media: media queries that match, e.g. query => query.includes('min-width: 1024px') -
+ *       page.setMedia() changes them later
+ *   html: a whole document to use instead, e.g. a rendered template (see test/ghost)
+ */
+async function createPage(options) {
+    options = Object.assign({slides: 5, dual: true, hash: ''}, options);
+
+    const images = options.images || Array.from({length: options.slides}, () => ({}));
+    const figures = images.map((image, index) => imageCard(index, image)).join('') + (options.cards || []).join('');
+    const classes = 'portfolio-container' + (options.dual ? ' portfolio-dual-container' : '');
+    const layout = options.layout ? ` data-layout="${options.layout}"` : '';
+
+    const dom = new JSDOM(options.html || `<!DOCTYPE html><html><body>
+        <header id="gh-head"><input class="gh-search" type="search"></header>
+        <main class="${classes}"${layout}>
+            ${options.dual ? '<button class="portfolio-close-btn" aria-label="Close carousel"></button>' : ''}
+            <div class="portfolio-gallery gh-content" id="portfolio-carousel">${figures}</div>
+            ${options.dual ? '<div class="portfolio-grid" id="portfolio-grid"></div>' : ''}
+        </main>
+    </body></html>`, {
+        url: 'https://example.com/portfolio/' + options.hash,
+        pretendToBeVisual: true
+    });
+
+    const window = dom.window;
+    const observers = [];
+    const scrolled = [];
+
+    // Layout-free stand-ins for what jsdom doesn't implement
+    window.IntersectionObserver = createObserverClass(observers);
+    window.HTMLElement.prototype.scrollIntoView = function(scrollOptions) {
+        scrolled.push({element: this, options: scrollOptions});
+    };
+
+    // jsdom has no matchMedia - only pages that ask for media queries get one
+    const queries = [];
+    let media = options.media;
+    if (media) {
+        window.matchMedia = (query) => {
+            const list = new window.EventTarget();
+            Object.defineProperty(list, 'matches', {get: () => media(query)});
+            list.media = query;
+            queries.push(list);
+            return list;
+        };
+    }
+
+    GLOBALS.forEach((name) => {
+        global[name] = name === 'window' ? window : window[name];
+    });
+    global.requestAnimationFrame = window.requestAnimationFrame.bind(window);
+
+    // Scripts run once the document is parsed, as at the end of <body>
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve));
+    }
+
+    return {
+        window,
+        document: window.document,
+        observers,
+        scrolled,
+
+        /**
+         * Run portfolio scripts in order for the first container, e.g. run('portfolio-controller', 'portfolio')
+         * The controller comes first; the others are set up with the portfolio it returns
+         */
+        run(...names) {
+            const container = window.document.querySelector('.portfolio-container');
+            let portfolio = null;
+
+            names.forEach((name) => {
+                const setup = require(path.join(LIB, name + '.js')).default;
+
+                if (name === 'portfolio-controller') {
+                    portfolio = setup(container);
+                } else {
+                    setup(portfolio);
+                }
+            });
+
+            window.Portfolio = portfolio;
+            return portfolio;
+        },
+
+        /**
+         * Set up every portfolio on the page, inline carousels included
+         */
+        setupAll() {
+            return require(path.join(LIB, 'portfolio-instances.js')).default();
+        },
+
+        /**
+         * Dispatch a key on an element (the page body by default)
+         */
+        key(key, target) {
+            const event = new window.KeyboardEvent('keydown', {key, bubbles: true, cancelable: true});
+            (target || window.document.body).dispatchEvent(event);
+            return event;
+        },
+
+        /**
+         * Change which media queries match and notify their listeners
+         */
+        setMedia(matches) {
+            media = matches;
+            queries.forEach(list => list.dispatchEvent(new window.Event('change')));
+        },
+
+        /**
+         * Change the URL hash and wait for hashchange to be handled
+         */
+        async setHash(hash) {
+            window.location.hash = hash;
+            await wait(0);
+        },
+
+        /**
+         * Close the window and remove the globals
+         */
+        close() {
+            GLOBALS.forEach((name) => {
+                delete global[name];
+            });
+            window.close();
+        }
+    };
+}
+
+/**
+ * Resolve after a delay (timers, rAF and hashchange all run on the event loop)
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {createPage, wait, imageCard, galleryCard, videoCard};
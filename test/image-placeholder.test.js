@@ -0,0 +1,66 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait} = require('./helpers/page');
+const ImagePlaceholder = require('../assets/js/lib/image-placeholder.js').default;
+
+describe('image-placeholder', () => {
+    let page;
+
+    /**
+     * Feed card with a thumbnail - sized or not, and already failed or still loading
+     */
+    async function createCard(options) {
+        page = await createPage({slides: 0});
+
+        const link = page.document.createElement('a');
+        link.className = 'post-link';
+        link.innerHTML = '<img class="post-image" src="/content/images/2024/05/missing.jpg" alt="">';
+        page.document.body.appendChild(link);
+
+        const img = link.querySelector('img');
+        if (options.broken) {
+            Object.defineProperty(img, 'complete', {value: true});
+        }
+
+        return {link, img};
+    }
+
+    afterEach(() => {
+        page.close();
+    });
+
+    it('settles straight away for an image that has already failed', async () => {
+        const {link, img} = await createCard({broken: true});
+        let settled = false;
+
+        ImagePlaceholder.attach(img, link).then(() => {
+            settled = true;
+        });
+        await wait(0);
+
+        assert.equal(img.naturalWidth, 0);
+        assert.ok(settled);
+        assert.equal(link.querySelector('.image-placeholder'), null);
+    });
+
+    it('settles once a loading image fails, even without a placeholder to size it', async () => {
+        const {link, img} = await createCard({broken: false});
+        let settled = false;
+
+        ImagePlaceholder.attach(img, link).then(() => {
+            settled = true;
+        });
+        await wait(0);
+
+        assert.equal(settled, false);
+        assert.ok(link.querySelector('.image-placeholder'));
+
+        img.dispatchEvent(new page.window.Event('error'));
+        await wait(0);
+
+        assert.ok(settled);
+        assert.ok(link.classList.contains('is-loaded'));
+    });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage} = require('./helpers/page');
+const PictureManifest = require('../assets/js/lib/picture-manifest.js').default;
+
+const MANIFEST = {
+    harbour: {
+        width: 1600,
+        height: 1067,
+        sources: {
+            avif: 'harbour-640.avif 640w, harbour-1600.avif 1600w',
+            webp: 'harbour-640.webp 640w, harbour-1600.webp 1600w',
+            jpeg: 'harbour-640.jpg 640w, harbour-1600.jpg 1600w'
+        }
+    }
+};
+
+describe('picture-manifest', () => {
+    it('keys theme photos by file name', () => {
+        assert.equal(PictureManifest.getKey('/assets/images/photos/IMG_1234.jpg?v=2f8a1c'), 'IMG_1234');
+        assert.equal(PictureManifest.getKey('/blog/assets/images/photos/Harbour%20at%20dusk.jpg'), 'Harbour at dusk');
+    });
+
+    it('keeps a file name with a stray % as it is', () => {
+        assert.equal(PictureManifest.getKey('/assets/images/photos/100%-crop.jpg'), '100%-crop');
+    });
+
+    it('has no key for images uploaded to Ghost', () => {
+        assert.equal(PictureManifest.getKey('/content/images/size/w600/2024/05/IMG_1234.jpg'), null);
+        assert.equal(PictureManifest.getKey('/content/images/2024/05/harbour.jpg'), null);
+    });
+
+    describe('apply', () => {
+        let page;
+
+        afterEach(() => {
+            mock.restoreAll();
+            page.close();
+        });
+
+        it('adds sources and dimensions to theme photos only', async () => {
+            page = await createPage({html: `<!DOCTYPE html><html><head>
+                <meta name="picture-manifest" content="/assets/built/images/manifest.json?v=1">
+            </head><body>
+                <picture class="theme"><img src="/assets/images/photos/harbour.jpg?v=1" sizes="50vw" alt=""></picture>
+                <picture class="upload"><img src="/content/images/2024/05/harbour.jpg" alt=""></picture>
+            </body></html>`});
+            mock.method(global, 'fetch', () => Promise.resolve({ok: true, json: () => Promise.resolve(JSON.parse(JSON.stringify(MANIFEST)))}));
+            page.window.fetch = global.fetch;
+
+            await PictureManifest.apply(page.document);
+
+            const theme = page.document.querySelector('.theme');
+            const sources = Array.from(theme.querySelectorAll('source'), source => [source.type, source.getAttribute('srcset'), source.sizes]);
+            const img = theme.querySelector('img');
+
+            assert.deepEqual(sources, [
+                ['image/avif', 'https://example.com/assets/built/images/harbour-640.avif 640w, https://example.com/assets/built/images/harbour-1600.avif 1600w', '50vw'],
+                ['image/webp', 'https://example.com/assets/built/images/harbour-640.webp 640w, https://example.com/assets/built/images/harbour-1600.webp 1600w', '50vw']
+            ]);
+            assert.equal(img.getAttribute('srcset'), 'https://example.com/assets/built/images/harbour-640.jpg 640w, https://example.com/assets/built/images/harbour-1600.jpg 1600w');
+            assert.deepEqual([img.getAttribute('width'), img.getAttribute('height')], ['1600', '1067']);
+
+            const upload = page.document.querySelector('.upload');
+            assert.equal(upload.querySelector('source'), null);
+            assert.equal(upload.querySelector('img').hasAttribute('srcset'), false);
+        });
+    });
+});
@@ -0,0 +1,430 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, galleryCard, videoCard} = require('./helpers/page');
+
+// Screens wide enough for spreads, and the image shapes they pair
+const WIDE = query => query.includes('min-width: 1024px');
+const PORTRAIT = {width: 800, height: 1200};
+const LANDSCAPE = {width: 1200, height: 800};
+
+describe('portfolio-controller', () => {
+    let page;
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('index clamping', () => {
+        it('keeps goTo() within the slides', async () => {
+            page = await createPage({slides: 5, hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.goTo(-3);
+            assert.equal(portfolio.getIndex(), 0);
+
+            portfolio.goTo(42);
+            assert.equal(portfolio.getIndex(), 4);
+        });
+
+        it('stays on the first and last image when stepping past them', async () => {
+            page = await createPage({slides: 3, hash: '#book/1'});
+            const portfolio = page.run('portfolio-controller');
+            const changes = [];
+            portfolio.on('change', state => changes.push(state));
+
+            portfolio.prev();
+            assert.equal(portfolio.getIndex(), 0);
+
+            portfolio.goTo(2);
+            portfolio.next();
+            assert.equal(portfolio.getIndex(), 2);
+
+            // Only the real move is reported
+            assert.equal(changes.length, 1);
+        });
+
+        it('ignores non-numeric indexes', async () => {
+            page = await createPage({hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.goTo('3');
+            portfolio.goTo(NaN);
+
+            assert.equal(portfolio.getIndex(), 1);
+        });
+
+        it('clamps the image number in a hash', async () => {
+            page = await createPage({slides: 4, hash: '#book/99'});
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getIndex(), 3);
+        });
+    });
+
+    describe('hash routing', () => {
+        it('starts in the grid without a hash on dual-view pages', async () => {
+            page = await createPage();
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getView(), 'grid');
+            assert.equal(portfolio.getIndex(), 0);
+        });
+
+        it('starts in the carousel on single-view pages', async () => {
+            page = await createPage({dual: false});
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getView(), 'carousel');
+        });
+
+        it('reads #book/N as a 1-based image number', async () => {
+            page = await createPage({hash: '#book/3'});
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 2);
+        });
+
+        it('finds #book/slug by image filename', async () => {
+            page = await createPage({hash: '#book/photo-4'});
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getIndex(), 3);
+        });
+
+        it('finds #book/slug for an image parked off screen', async () => {
+            page = await createPage({slides: 6});
+            page.document.querySelector('.portfolio-container').setAttribute('data-virtualize-after', '5');
+            const portfolio = page.run('portfolio-controller', 'portfolio-virtual');
+
+            // The carousel is hidden behind the grid - nothing in it intersects
+            const observer = page.observers[0];
+            observer.callback(observer.targets.map(target => ({target, isIntersecting: false})));
+            assert.ok(portfolio.getSlides()[4].querySelector('img').classList.contains('is-parked'));
+
+            await page.setHash('#book/photo-5');
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 4);
+        });
+
+        it('reads #stack/N as the stack view', async () => {
+            page = await createPage({hash: '#stack/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.getView(), 'stack');
+            assert.equal(portfolio.getIndex(), 1);
+        });
+
+        it('follows hash changes', async () => {
+            page = await createPage();
+            const portfolio = page.run('portfolio-controller');
+            const changes = [];
+            portfolio.on('change', state => changes.push(state));
+
+            await page.setHash('#book/4');
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 3);
+
+            await page.setHash('#grid');
+            assert.equal(portfolio.getView(), 'grid');
+
+            // The index is kept for the grid to scroll to
+            assert.equal(portfolio.getIndex(), 3);
+            assert.deepEqual(changes.map(state => state.source), ['hash', 'hash']);
+        });
+
+        it('keeps the page\'s query string in the URL', async () => {
+            page = await createPage();
+            page.window.history.replaceState(null, '', '/portfolio/?ref=mail');
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.setView('carousel', {index: 2});
+            assert.equal(page.window.location.href, 'https://example.com/portfolio/?ref=mail#book/3');
+
+            portfolio.next();
+            assert.equal(page.window.location.href, 'https://example.com/portfolio/?ref=mail#book/4');
+
+            portfolio.setView('grid');
+            assert.equal(page.window.location.href, 'https://example.com/portfolio/?ref=mail');
+        });
+
+        it('keeps hash options while moving through the carousel', async () => {
+            page = await createPage({hash: '#book/1?play=5'});
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.next();
+
+            assert.equal(page.window.location.hash, '#book/2?play=5');
+            assert.equal(portfolio.getHashParam('play'), '5');
+        });
+
+        it('adds one history entry for opening the carousel, not for each image', async () => {
+            page = await createPage();
+            const portfolio = page.run('portfolio-controller');
+            const length = page.window.history.length;
+
+            portfolio.setView('carousel', {index: 1});
+            portfolio.next();
+            portfolio.next();
+
+            assert.equal(page.window.location.hash, '#book/4');
+            assert.equal(page.window.history.length, length + 1);
+        });
+
+        it('drops the book hash when returning to the grid', async () => {
+            page = await createPage({hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.setView('grid');
+
+            assert.equal(page.window.location.hash, '');
+        });
+    });
+
+    describe('change events', () => {
+        it('describe the move from the previous state', async () => {
+            page = await createPage();
+            const portfolio = page.run('portfolio-controller');
+            const changes = [];
+            portfolio.on('change', state => changes.push(state));
+
+            portfolio.setView('carousel', {index: 2, source: 'click'});
+            portfolio.next({source: 'keyboard'});
+
+            assert.deepEqual(changes, [
+                {index: 2, view: 'carousel', previousIndex: 0, previousView: 'grid', source: 'click'},
+                {index: 3, view: 'carousel', previousIndex: 2, previousView: 'carousel', source: 'keyboard'}
+            ]);
+        });
+
+        it('default the source to api', async () => {
+            page = await createPage({hash: '#book/1'});
+            const portfolio = page.run('portfolio-controller');
+            let source = null;
+            portfolio.on('change', (state) => {
+                source = state.source;
+            });
+
+            portfolio.goTo(1);
+
+            assert.equal(source, 'api');
+        });
+
+        it('are not sent once a listener is removed', async () => {
+            page = await createPage({hash: '#book/1'});
+            const portfolio = page.run('portfolio-controller');
+            let calls = 0;
+            const listener = () => calls++;
+
+            portfolio.on('change', listener);
+            portfolio.next();
+            portfolio.off('change', listener);
+            portfolio.next();
+
+            assert.equal(calls, 1);
+        });
+
+        it('are not sent for unknown views', async () => {
+            page = await createPage({dual: false});
+            const portfolio = page.run('portfolio-controller');
+            let calls = 0;
+            portfolio.on('change', () => calls++);
+
+            portfolio.setView('grid');
+            portfolio.setView('lightbox');
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(calls, 0);
+        });
+    });
+
+    describe('keyboard', () => {
+        it('steps with the arrow keys and closes to the grid with Escape', async () => {
+            page = await createPage({hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            page.key('ArrowRight');
+            assert.equal(portfolio.getIndex(), 2);
+
+            page.key('ArrowLeft');
+            page.key('ArrowLeft');
+            assert.equal(portfolio.getIndex(), 0);
+
+            page.key('End');
+            assert.equal(portfolio.getIndex(), 4);
+
+            page.key('Escape');
+            assert.equal(portfolio.getView(), 'grid');
+        });
+
+        it('leaves keys in the site header alone', async () => {
+            page = await createPage({hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+
+            page.key('ArrowRight', page.document.querySelector('.gh-search'));
+
+            assert.equal(portfolio.getIndex(), 1);
+        });
+
+        it('runs shortcuts only in their views', async () => {
+            page = await createPage();
+            const portfolio = page.run('portfolio-controller');
+            let calls = 0;
+            portfolio.addShortcut({key: 'x', view: 'carousel', handler: () => calls++});
+
+            page.key('x');
+            assert.equal(calls, 0);
+
+            portfolio.setView('carousel');
+            page.key('X');
+            assert.equal(calls, 1);
+            assert.deepEqual(portfolio.getShortcuts('grid'), []);
+        });
+    });
+
+    describe('slides', () => {
+        it('split gallery cards into image slides, the caption under the last', async () => {
+            page = await createPage({slides: 1, cards: [galleryCard(['dunes', 'salt-flats', 'canyon'], 'Desert road trip'), videoCard('surf')]});
+            const portfolio = page.run('portfolio-controller');
+            const slides = portfolio.getSlides();
+
+            assert.equal(portfolio.getTotal(), 5);
+            assert.equal(page.document.querySelector('.kg-gallery-card'), null);
+            assert.deepEqual([1, 2, 3].map(index => portfolio.getImage(index).alt), ['dunes', 'salt-flats', 'canyon']);
+            assert.ok(slides[1].classList.contains('kg-gallery-slide'));
+            assert.ok(slides[1].querySelector('img').classList.contains('kg-image'));
+            assert.equal(slides[2].querySelector('figcaption'), null);
+            assert.equal(slides[3].querySelector('figcaption').textContent, 'Desert road trip');
+            assert.deepEqual([0, 1, 4].map(index => portfolio.getSlideType(index)), ['image', 'image', 'video']);
+        });
+
+        it('read video slides from the card, thumbnail included', async () => {
+            page = await createPage({slides: 1, cards: [videoCard('surf')], hash: '#book/surf'});
+            const portfolio = page.run('portfolio-controller');
+            const video = portfolio.getVideo(1);
+
+            assert.equal(portfolio.getIndex(), 1);
+            assert.equal(portfolio.getImage(1), null);
+            assert.equal(video.src, '/content/media/2024/05/surf.mp4');
+            assert.equal(video.poster, '/content/media/2024/05/surf_thumb.jpg');
+            assert.equal(video.width, 1920);
+            assert.equal(portfolio.getVideo(0), null);
+        });
+    });
+
+    describe('spreads', () => {
+        it('pair consecutive portraits and give landscapes a spread of their own', async () => {
+            page = await createPage({images: [PORTRAIT, PORTRAIT, LANDSCAPE, PORTRAIT, PORTRAIT, PORTRAIT], media: WIDE, hash: '#book/1'});
+            const portfolio = page.run('portfolio-controller');
+            const slides = portfolio.getSlides();
+
+            assert.ok(portfolio.hasSpreads());
+            assert.deepEqual([0, 1, 2, 3, 4, 5].map(index => portfolio.getSpread(index)), [[0, 1], [0, 1], [2], [3, 4], [3, 4], [5]]);
+            assert.ok(page.document.querySelector('.portfolio-container').classList.contains('is-spreads'));
+            assert.ok(slides[3].classList.contains('is-spread-start'));
+            assert.ok(slides[4].classList.contains('is-spread-end'));
+            assert.equal(slides[5].className, 'kg-card kg-image-card');
+        });
+
+        it('step a spread at a time, Home and End included', async () => {
+            page = await createPage({images: [PORTRAIT, PORTRAIT, LANDSCAPE, PORTRAIT, PORTRAIT], media: WIDE, hash: '#book/1'});
+            const portfolio = page.run('portfolio-controller');
+            const indexes = [];
+            portfolio.on('change', state => indexes.push(state.index));
+
+            portfolio.next();
+            portfolio.next();
+            portfolio.next();
+            assert.deepEqual(indexes, [2, 3]);
+            assert.equal(page.window.location.hash, '#book/4');
+
+            portfolio.prev();
+            portfolio.prev();
+            assert.deepEqual(indexes, [2, 3, 2, 0]);
+
+            page.key('End');
+            assert.equal(portfolio.getIndex(), 3);
+
+            page.key('Home');
+            assert.equal(portfolio.getIndex(), 0);
+        });
+
+        it('keep the image picked in the grid', async () => {
+            page = await createPage({images: [PORTRAIT, PORTRAIT, PORTRAIT, PORTRAIT, LANDSCAPE], media: WIDE});
+            const portfolio = page.run('portfolio-controller');
+
+            portfolio.setView('carousel', {index: 3});
+            assert.equal(portfolio.getIndex(), 3);
+            assert.deepEqual(portfolio.getSpread(3), [2, 3]);
+            assert.equal(page.window.location.hash, '#book/4');
+
+            portfolio.next();
+            assert.equal(portfolio.getIndex(), 4);
+
+            portfolio.setView('grid');
+            assert.equal(portfolio.getIndex(), 4);
+            assert.deepEqual(portfolio.getSpread(2), [2]);
+        });
+
+        it('follow the author\'s card width and alt text markers', async () => {
+            page = await createPage({
+                images: [
+                    Object.assign({card: 'kg-width-wide'}, PORTRAIT),
+                    PORTRAIT,
+                    Object.assign({alt: 'Harbour [single]'}, PORTRAIT),
+                    PORTRAIT,
+                    Object.assign({alt: 'Pier [pair]'}, LANDSCAPE),
+                    LANDSCAPE
+                ],
+                media: WIDE,
+                hash: '#book/1'
+            });
+            const portfolio = page.run('portfolio-controller');
+
+            assert.deepEqual([0, 1, 2, 3, 4].map(index => portfolio.getSpread(index)), [[0], [1], [2], [3], [4, 5]]);
+            assert.equal(portfolio.getImage(2).alt, 'Harbour');
+            assert.equal(portfolio.getImage(4).alt, 'Pier');
+        });
+
+        it('show one image at a time in the stack, on narrow screens and when turned off', async () => {
+            page = await createPage({images: [PORTRAIT, PORTRAIT, PORTRAIT], media: WIDE, hash: '#stack/1'});
+            let portfolio = page.run('portfolio-controller');
+
+            assert.equal(portfolio.hasSpreads(), false);
+            assert.deepEqual(portfolio.getSpread(0), [0]);
+            portfolio.next();
+            assert.equal(portfolio.getIndex(), 1);
+            page.close();
+
+            page = await createPage({images: [PORTRAIT, PORTRAIT, PORTRAIT], media: () => false, hash: '#book/1'});
+            portfolio = page.run('portfolio-controller');
+            assert.equal(portfolio.hasSpreads(), false);
+            page.close();
+
+            page = await createPage({images: [PORTRAIT, PORTRAIT, PORTRAIT], media: WIDE, hash: '#book/1'});
+            page.document.querySelector('.portfolio-container').setAttribute('data-spreads', 'off');
+            portfolio = page.run('portfolio-controller');
+            assert.equal(portfolio.hasSpreads(), false);
+        });
+
+        it('turn on and off with the screen width', async () => {
+            page = await createPage({images: [PORTRAIT, PORTRAIT, PORTRAIT], media: () => false, hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller');
+            const container = page.document.querySelector('.portfolio-container');
+            const events = [];
+            portfolio.on('spreads', state => events.push(state.spreads));
+
+            page.setMedia(WIDE);
+            assert.ok(container.classList.contains('is-spreads'));
+            assert.deepEqual(portfolio.getSpread(1), [0, 1]);
+            assert.equal(portfolio.getIndex(), 1);
+
+            page.setMedia(() => false);
+            assert.equal(container.classList.contains('is-spreads'), false);
+            assert.deepEqual(events, [true, false]);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait, videoCard} = require('./helpers/page');
+const GridLayout = require('../assets/js/lib/grid-layout.js').default;
+
+// Covers the fade out, the view switch and the double rAF before the fade in (ms)
+const TRANSITION = 400;
+
+/**
+ * Page with the grid script and GridLayout.create() stubbed (layout itself is grid-layout.js's)
+ */
+async function createDualPage(options) {
+    const page = await createPage(options);
+    const layouts = [];
+
+    mock.method(GridLayout, 'create', (element, layoutOptions) => {
+        const layout = {element, options: layoutOptions, runs: 0, layout() {
+            this.runs++;
+        }};
+        layouts.push(layout);
+        return layout;
+    });
+    page.layouts = layouts;
+
+    return page;
+}
+
+describe('portfolio-dual-view', () => {
+    let page;
+
+    afterEach(() => {
+        mock.restoreAll();
+        page.close();
+    });
+
+    describe('grid building', () => {
+        it('adds a grid item for every slide', async () => {
+            page = await createDualPage({slides: 4});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const items = page.document.querySelectorAll('#portfolio-grid .portfolio-grid-item');
+
+            assert.equal(items.length, 4);
+            items.forEach((item, index) => {
+                assert.equal(item.getAttribute('data-index'), String(index));
+            });
+        });
+
+        it('makes grid items buttons with a position label', async () => {
+            page = await createDualPage({slides: 3});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const item = page.document.querySelectorAll('.portfolio-grid-item')[1];
+
+            assert.equal(item.getAttribute('role'), 'button');
+            assert.equal(item.getAttribute('tabindex'), '0');
+            assert.equal(item.getAttribute('aria-label'), 'View image 2 of 3 in carousel');
+        });
+
+        it('copies the image, its srcset and its dimensions without the caption', async () => {
+            page = await createDualPage({slides: 2});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const item = page.document.querySelectorAll('.portfolio-grid-item')[1];
+            const img = item.querySelector('picture > img');
+
+            assert.equal(img.src, 'https://example.com/content/images/2024/05/photo-2.jpg');
+            assert.match(img.getAttribute('srcset'), /w600\/2024\/05\/photo-2\.jpg 600w/);
+            assert.equal(img.getAttribute('alt'), 'Photo 2');
+            assert.equal(img.getAttribute('width'), '1200');
+            assert.equal(img.getAttribute('height'), '800');
+            assert.equal(item.querySelector('figcaption'), null);
+        });
+
+        it('skips slides without an image', async () => {
+            page = await createDualPage({slides: 3});
+            page.document.querySelectorAll('.kg-image-card img')[1].remove();
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const indexes = Array.from(page.document.querySelectorAll('.portfolio-grid-item'), item => item.getAttribute('data-index'));
+
+            assert.deepEqual(indexes, ['0', '2']);
+        });
+
+        it('builds a tile from the poster of a video slide', async () => {
+            page = await createDualPage({slides: 1, cards: [videoCard('surf')]});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const item = page.document.querySelectorAll('.portfolio-grid-item')[1];
+            const img = item.querySelector('img');
+
+            assert.ok(item.classList.contains('portfolio-grid-video'));
+            assert.equal(item.getAttribute('aria-label'), 'View video 2 of 2 in carousel');
+            assert.equal(img.getAttribute('src'), '/content/media/2024/05/surf_thumb.jpg');
+            assert.equal(img.getAttribute('width'), '1920');
+            assert.equal(img.getAttribute('height'), '1080');
+        });
+
+        it('uses the layout from data-layout, masonry otherwise', async () => {
+            page = await createDualPage({layout: 'justified'});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            assert.ok(page.document.querySelector('#portfolio-grid').classList.contains('portfolio-grid-justified'));
+            page.close();
+
+            page = await createDualPage({layout: 'mosaic'});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            assert.ok(page.document.querySelector('#portfolio-grid').classList.contains('portfolio-grid-masonry'));
+        });
+
+        it('lays out the grid once it is shown', async () => {
+            page = await createDualPage();
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            await wait(TRANSITION);
+
+            assert.equal(page.layouts.length, 1);
+            assert.equal(page.layouts[0].options.itemSelector, '.portfolio-grid-item:not(.is-filtered-out)');
+        });
+    });
+
+    describe('view changes', () => {
+        it('starts in the view from the hash', async () => {
+            page = await createDualPage({hash: '#book/2'});
+            page.run('portfolio-controller', 'portfolio-dual-view');
+
+            const container = page.document.querySelector('.portfolio-container');
+
+            assert.ok(container.classList.contains('view-carousel'));
+            assert.equal(page.document.querySelector('#portfolio-carousel').getAttribute('aria-hidden'), 'false');
+            assert.equal(page.document.querySelector('#portfolio-grid').getAttribute('aria-hidden'), 'true');
+            assert.equal(page.scrolled.at(-1).element, page.window.Portfolio.getSlides()[1]);
+        });
+
+        it('opens the carousel at a clicked grid item', async () => {
+            page = await createDualPage();
+            const portfolio = page.run('portfolio-controller', 'portfolio-dual-view');
+            const changes = [];
+            portfolio.on('change', state => changes.push(state));
+
+            page.document.querySelectorAll('.portfolio-grid-item')[3].click();
+
+            assert.deepEqual(changes, [
+                {index: 3, view: 'carousel', previousIndex: 0, previousView: 'grid', source: 'click'}
+            ]);
+
+            await wait(TRANSITION);
+
+            const container = page.document.querySelector('.portfolio-container');
+            assert.ok(container.classList.contains('view-carousel'));
+            assert.ok(!container.classList.contains('view-grid'));
+            assert.ok(container.classList.contains('view-visible'));
+            assert.equal(page.scrolled.at(-1).element, portfolio.getSlides()[3]);
+            assert.equal(page.window.location.hash, '#book/4');
+        });
+
+        it('opens the carousel from a grid item with Enter', async () => {
+            page = await createDualPage();
+            const portfolio = page.run('portfolio-controller', 'portfolio-dual-view');
+
+            page.key('Enter', page.document.querySelectorAll('.portfolio-grid-item')[2]);
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 2);
+        });
+
+        it('returns to the grid at the current image from the close button', async () => {
+            page = await createDualPage({hash: '#book/2'});
+            const portfolio = page.run('portfolio-controller', 'portfolio-dual-view');
+
+            portfolio.next();
+            page.document.querySelector('.portfolio-close-btn').click();
+
+            await wait(TRANSITION);
+
+            const container = page.document.querySelector('.portfolio-container');
+            const items = page.document.querySelectorAll('.portfolio-grid-item');
+
+            assert.equal(portfolio.getView(), 'grid');
+            assert.ok(container.classList.contains('view-grid'));
+            assert.equal(page.scrolled.at(-1).element, items[2]);
+            assert.equal(page.window.location.hash, '');
+        });
+    });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const {describe, it, beforeEach, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage} = require('./helpers/page');
+
+const GALLERY_WIDTH = 1000;
+
+describe('portfolio-gestures', () => {
+    let page;
+    let portfolio;
+    let gallery;
+
+    /**
+     * Mouse click on the gallery at an x position
+     */
+    function clickAt(clientX, target) {
+        const event = new page.window.MouseEvent('click', {clientX, clientY: 300, bubbles: true, cancelable: true});
+        (target || portfolio.getSlides()[portfolio.getIndex()]).dispatchEvent(event);
+        return event;
+    }
+
+    beforeEach(async () => {
+        page = await createPage({slides: 5, hash: '#book/3'});
+        portfolio = page.run('portfolio-controller', 'portfolio-gestures');
+        gallery = page.document.querySelector('.portfolio-gallery');
+
+        gallery.getBoundingClientRect = () => ({left: 0, top: 0, width: GALLERY_WIDTH, height: 600});
+    });
+
+    afterEach(() => {
+        page.close();
+    });
+
+    describe('click halves', () => {
+        it('steps back from a click on the left half', async () => {
+            clickAt(GALLERY_WIDTH * 0.25);
+
+            assert.equal(portfolio.getIndex(), 1);
+        });
+
+        it('steps forward from a click on the right half', async () => {
+            clickAt(GALLERY_WIDTH * 0.75);
+
+            assert.equal(portfolio.getIndex(), 3);
+        });
+
+        it('always goes forward from the first image', async () => {
+            portfolio.goTo(0);
+            clickAt(10);
+
+            assert.equal(portfolio.getIndex(), 1);
+        });
+
+        it('always goes back from the last image', async () => {
+            portfolio.goTo(4);
+            clickAt(GALLERY_WIDTH - 10);
+
+            assert.equal(portfolio.getIndex(), 3);
+        });
+
+        it('reports clicks as the source', async () => {
+            let source = null;
+            portfolio.on('change', (state) => {
+                source = state.source;
+            });
+
+            clickAt(GALLERY_WIDTH * 0.75);
+
+            assert.equal(source, 'click');
+        });
+
+        it('keeps slide clicks from the theme-wide image lightbox', async () => {
+            let reachedPage = false;
+            page.document.body.addEventListener('click', () => {
+                reachedPage = true;
+            });
+
+            clickAt(GALLERY_WIDTH * 0.75);
+
+            assert.equal(reachedPage, false);
+        });
+
+        it('leaves buttons inside slides to their own handlers', async () => {
+            const button = page.document.createElement('button');
+            portfolio.getSlides()[2].appendChild(button);
+
+            clickAt(GALLERY_WIDTH * 0.75, button);
+
+            assert.equal(portfolio.getIndex(), 2);
+        });
+
+        it('does nothing in the stack, which scrolls natively', async () => {
+            portfolio.setView('stack');
+            clickAt(GALLERY_WIDTH * 0.75);
+
+            assert.equal(portfolio.getIndex(), 2);
+        });
+
+        it('moves a spread at a time on wide screens', async () => {
+            const portrait = {width: 800, height: 1200};
+
+            page.close();
+            page = await createPage({
+                images: [portrait, portrait, {}, portrait, portrait],
+                media: query => query.includes('min-width: 1024px'),
+                hash: '#book/2'
+            });
+            portfolio = page.run('portfolio-controller', 'portfolio-gestures');
+            page.document.querySelector('.portfolio-gallery').getBoundingClientRect = () => ({left: 0, top: 0, width: GALLERY_WIDTH, height: 600});
+
+            // The second page of the first spread still counts as the start
+            clickAt(10);
+            assert.equal(portfolio.getIndex(), 2);
+
+            clickAt(GALLERY_WIDTH * 0.75);
+            assert.equal(portfolio.getIndex(), 3);
+
+            // Last spread - back to the landscape, whichever half
+            clickAt(GALLERY_WIDTH - 10);
+            assert.equal(portfolio.getIndex(), 2);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait, imageCard} = require('./helpers/page');
+const GridLayout = require('../assets/js/lib/grid-layout.js').default;
+
+// Covers the grid fade out and fade in (ms), as in portfolio-dual-view.test.js
+const TRANSITION = 400;
+
+/**
+ * A post with two inline carousels between HTML card markers - the second opens in a grid
+ */
+function postMarkup() {
+    const cards = count => Array.from({length: count}, (_, index) => imageCard(index)).join('');
+
+    return `<!DOCTYPE html><html><body>
+        <header id="gh-head"><input class="gh-search" type="search"></header>
+        <article class="gh-content">
+            <p>Before</p>
+            <div class="portfolio-inline"></div>
+            ${cards(3)}
+            <div class="portfolio-inline-end"></div>
+            <p>Between</p>
+            <div class="portfolio-inline" data-portfolio-id="harbour" data-title="Harbour" data-grid></div>
+            ${cards(2)}
+            <div class="portfolio-inline-end"></div>
+            <p>After</p>
+        </article>
+    </body></html>`;
+}
+
+describe('portfolio-instances', () => {
+    let page;
+
+    /**
+     * Post page with every portfolio on it set up
+     */
+    async function openPost(hash) {
+        page = await createPage({html: postMarkup(), hash: hash || ''});
+        mock.method(GridLayout, 'create', () => ({layout() {}}));
+
+        return page.setupAll();
+    }
+
+    afterEach(() => {
+        mock.restoreAll();
+        page.close();
+    });
+
+    it('gathers the cards between the markers into inline carousels', async () => {
+        const portfolios = await openPost();
+        const [first, second] = portfolios.map(portfolio => portfolio.container);
+
+        assert.equal(portfolios.length, 2);
+        assert.equal(first.querySelectorAll('.portfolio-gallery .kg-image-card').length, 3);
+        assert.equal(second.querySelectorAll('.portfolio-gallery .kg-image-card').length, 2);
+        assert.equal(page.document.querySelector('.portfolio-inline-end'), null);
+        assert.deepEqual(Array.from(page.document.querySelectorAll('article > p'), p => p.textContent), ['Before', 'Between', 'After']);
+
+        assert.equal(first.getAttribute('data-portfolio-id'), 'gallery-1');
+        assert.equal(second.querySelector('.portfolio-gallery').getAttribute('aria-label'), 'Harbour');
+        assert.equal(page.window.Portfolio, portfolios[0]);
+    });
+
+    it('opens a carousel with data-grid in its grid', async () => {
+        const [first, second] = await openPost();
+
+        assert.equal(first.getView(), 'carousel');
+        assert.equal(second.getView(), 'grid');
+        assert.ok(second.container.querySelector('.portfolio-close-btn'));
+        assert.equal(second.container.querySelectorAll('.portfolio-grid-item').length, 2);
+    });
+
+    it('keeps an index and a hash namespace per carousel', async () => {
+        const [first, second] = await openPost();
+
+        first.goTo(2);
+        assert.equal(page.window.location.hash, '#gallery-1/book/3');
+        assert.equal(second.getIndex(), 0);
+
+        await page.setHash('#harbour/book/2');
+        await wait(TRANSITION);
+        assert.equal(second.getView(), 'carousel');
+        assert.equal(second.getIndex(), 1);
+        assert.equal(first.getIndex(), 2);
+    });
+
+    it('starts each carousel at the image in its own hash', async () => {
+        const [first, second] = await openPost('#harbour/book/2');
+
+        assert.equal(first.getIndex(), 0);
+        assert.equal(second.getView(), 'carousel');
+        assert.equal(second.getIndex(), 1);
+    });
+
+    it('sends keys only to the carousel with focus', async () => {
+        const [first, second] = await openPost('#harbour/book/1');
+
+        page.key('ArrowRight');
+        assert.equal(first.getIndex(), 0);
+        assert.equal(second.getIndex(), 0);
+
+        page.key('ArrowRight', second.getSlides()[0]);
+        assert.equal(first.getIndex(), 0);
+        assert.equal(second.getIndex(), 1);
+    });
+
+    it('leaves vertical wheeling to the page, and has no stack to switch to', async () => {
+        const [first] = await openPost();
+        const gallery = first.container.querySelector('.portfolio-gallery');
+
+        /**
+         * Wheel over the carousel, telling whether it kept the page from scrolling
+         */
+        function wheel(deltaX, deltaY) {
+            const event = new page.window.WheelEvent('wheel', {deltaX, deltaY, bubbles: true, cancelable: true});
+            gallery.dispatchEvent(event);
+            return event.defaultPrevented;
+        }
+
+        assert.equal(wheel(0, 100), false);
+        assert.equal(wheel(100, 10), true);
+
+        assert.deepEqual(first.getShortcuts().map(shortcut => shortcut.key).filter(key => key === 'v'), []);
+        page.key('v', first.getSlides()[0]);
+        assert.equal(first.getView(), 'carousel');
+    });
+
+    it('gives each carousel\'s shortcuts dialog a title of its own', async () => {
+        const portfolios = await openPost();
+
+        portfolios.forEach(portfolio => page.key('?', portfolio.getSlides()[0]));
+
+        const titles = portfolios.map((portfolio) => {
+            const dialog = portfolio.container.querySelector('.portfolio-help');
+            return page.document.getElementById(dialog.getAttribute('aria-labelledby'));
+        });
+
+        assert.ok(titles[0] && titles[1]);
+        assert.notEqual(titles[0], titles[1]);
+        titles.forEach((title, index) => assert.ok(portfolios[index].container.contains(title)));
+    });
+
+    it('sets up in browsers without IntersectionObserver (the legacy bundle)', async () => {
+        page = await createPage({html: postMarkup()});
+        mock.method(GridLayout, 'create', () => ({layout() {}}));
+        delete global.IntersectionObserver;
+
+        const [first] = page.setupAll();
+
+        page.key('ArrowRight', first.getSlides()[0]);
+        assert.equal(first.getIndex(), 1);
+    });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, videoCard} = require('./helpers/page');
+const PhotoLightbox = require('../assets/js/lib/photo-lightbox.js').default;
+
+describe('portfolio-lightbox', () => {
+    let page;
+
+    /**
+     * Carousel of two images, a video, then two more images - the lightbox itself stubbed
+     */
+    async function createLightboxPage() {
+        page = await createPage({slides: 2, dual: false, cards: [videoCard('clip')]});
+
+        // The video comes third
+        const gallery = page.document.querySelector('.portfolio-gallery');
+        gallery.appendChild(gallery.querySelector('.kg-image-card').cloneNode(true));
+        gallery.appendChild(gallery.querySelector('.kg-image-card').cloneNode(true));
+
+        mock.method(PhotoLightbox, 'open', () => {});
+
+        return page.run('portfolio-controller', 'portfolio-lightbox');
+    }
+
+    afterEach(() => {
+        mock.restoreAll();
+        page.close();
+    });
+
+    it('shows only the images, and closes on the slide last shown', async () => {
+        const portfolio = await createLightboxPage();
+        const slides = portfolio.getSlides();
+
+        assert.equal(slides[2].querySelector('.portfolio-expand-btn'), null);
+
+        slides[3].querySelector('.portfolio-expand-btn').click();
+
+        const [items, start, options] = PhotoLightbox.open.mock.calls[0].arguments;
+        assert.equal(items.length, 4);
+        assert.ok(items.every(item => item.src));
+        assert.equal(start, 2);
+
+        options.onClose(1);
+        assert.equal(portfolio.getIndex(), 1);
+
+        options.onClose(3);
+        assert.equal(portfolio.getIndex(), 4);
+    });
+});
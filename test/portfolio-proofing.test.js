@@ -0,0 +1,218 @@
+'use strict';
+
+const {describe, it, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait} = require('./helpers/page');
+const GridLayout = require('../assets/js/lib/grid-layout.js').default;
+
+const STORAGE_KEY = 'portfolio-picks:/portfolio/';
+
+describe('portfolio-proofing', () => {
+    let page;
+    let layouts;
+
+    /**
+     * Proofing page with the grid - saved picks and a hash go in before the scripts run
+     */
+    async function createProofingPage(options) {
+        options = Object.assign({slides: 5}, options);
+
+        page = await createPage(options);
+        page.document.querySelector('.portfolio-container').setAttribute('data-proofing', '');
+
+        if (options.saved) {
+            page.window.localStorage.setItem(STORAGE_KEY, options.saved);
+        }
+
+        layouts = [];
+        mock.method(GridLayout, 'create', (element, layoutOptions) => {
+            const layout = {options: layoutOptions, runs: 0, layout() {
+                this.runs++;
+            }};
+            layouts.push(layout);
+            return layout;
+        });
+
+        return page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-proofing');
+    }
+
+    /**
+     * Pick buttons for an image - on its slide, then on its grid item
+     */
+    function getToggles(index) {
+        return [
+            page.document.querySelectorAll('.portfolio-gallery .kg-image-card')[index].querySelector('.portfolio-pick-btn'),
+            page.document.querySelector(`.portfolio-grid-item[data-index="${index}"] .portfolio-pick-btn`)
+        ];
+    }
+
+    /**
+     * Text of the selected count
+     */
+    function getCount() {
+        return page.document.querySelector('.portfolio-proofing-count').textContent;
+    }
+
+    afterEach(() => {
+        mock.restoreAll();
+        page.close();
+    });
+
+    it('does nothing without data-proofing', async () => {
+        page = await createPage({slides: 3});
+        page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-proofing');
+
+        assert.equal(page.document.querySelector('.portfolio-pick-btn'), null);
+        assert.equal(page.document.querySelector('.portfolio-proofing'), null);
+    });
+
+    it('adds a pick button to every slide and grid item', async () => {
+        await createProofingPage({slides: 3});
+
+        assert.equal(page.document.querySelectorAll('.portfolio-gallery .portfolio-pick-btn').length, 3);
+        assert.equal(page.document.querySelectorAll('.portfolio-grid-item .portfolio-pick-btn').length, 3);
+        assert.equal(getToggles(1)[0].getAttribute('aria-label'), 'Select image 2');
+        assert.equal(getCount(), '0 selected');
+        assert.ok(page.document.querySelector('.portfolio-proofing-link').disabled);
+    });
+
+    it('picks an image from its slide or its grid item, and saves the picks', async () => {
+        await createProofingPage();
+
+        getToggles(0)[0].click();
+        getToggles(3)[1].click();
+        getToggles(2)[0].click();
+
+        [0, 2, 3].forEach((index) => {
+            getToggles(index).forEach(button => assert.equal(button.getAttribute('aria-pressed'), 'true'));
+        });
+        assert.equal(getToggles(1)[1].getAttribute('aria-pressed'), 'false');
+        assert.equal(getCount(), '3 selected');
+        assert.equal(page.window.localStorage.getItem(STORAGE_KEY), '1,3-4');
+
+        getToggles(2)[1].click();
+        assert.equal(getCount(), '2 selected');
+        assert.equal(page.window.localStorage.getItem(STORAGE_KEY), '1,4');
+    });
+
+    it('keeps a pick button click from opening the slide', async () => {
+        const portfolio = await createProofingPage();
+
+        getToggles(2)[1].click();
+
+        assert.equal(portfolio.getView(), 'grid');
+    });
+
+    it('restores the saved picks', async () => {
+        await createProofingPage({saved: '2,4-5'});
+
+        assert.equal(getCount(), '3 selected');
+        assert.equal(getToggles(4)[1].getAttribute('aria-pressed'), 'true');
+        assert.equal(getToggles(0)[1].getAttribute('aria-pressed'), 'false');
+    });
+
+    it('narrows the grid to the picks, and shows every image once none are left', async () => {
+        const portfolio = await createProofingPage({saved: '2,4'});
+        const filterBtn = page.document.querySelector('.portfolio-proofing-filter');
+        await wait(50);
+
+        filterBtn.click();
+
+        assert.equal(filterBtn.getAttribute('aria-pressed'), 'true');
+        assert.deepEqual(portfolio.getFilter(), [1, 3]);
+        assert.deepEqual(
+            Array.from(page.document.querySelectorAll('.portfolio-grid-item:not(.is-filtered-out)'), item => item.getAttribute('data-index')),
+            ['1', '3']
+        );
+        assert.equal(layouts[0].options.itemSelector, '.portfolio-grid-item:not(.is-filtered-out)');
+        assert.equal(layouts[0].runs, 1);
+
+        getToggles(1)[1].click();
+        assert.deepEqual(portfolio.getFilter(), [3]);
+
+        getToggles(3)[1].click();
+        assert.equal(portfolio.getFilter(), null);
+        assert.equal(filterBtn.getAttribute('aria-pressed'), 'false');
+        assert.ok(filterBtn.disabled);
+        assert.equal(page.document.querySelectorAll('.portfolio-grid-item.is-filtered-out').length, 0);
+    });
+
+    it('opens a shared selection from the link, and takes it out of the URL', async () => {
+        const portfolio = await createProofingPage({saved: '1', hash: '#book/2?picks=2,4-5,99&play=3'});
+
+        assert.equal(getCount(), '3 selected');
+        assert.deepEqual(portfolio.getFilter(), [1, 3, 4]);
+        assert.equal(page.window.localStorage.getItem(STORAGE_KEY), '2,4-5');
+        assert.equal(page.window.location.hash, '#book/2?play=3');
+        assert.equal(portfolio.getIndex(), 1);
+    });
+
+    it('copies a link to the selection', async () => {
+        const copied = [];
+        await createProofingPage({saved: '3,1,2'});
+        Object.defineProperty(page.window.navigator, 'clipboard', {configurable: true, value: {
+            writeText(text) {
+                copied.push(text);
+                return Promise.resolve();
+            }
+        }});
+
+        const linkBtn = page.document.querySelector('.portfolio-proofing-link');
+        linkBtn.click();
+        await wait(0);
+
+        assert.deepEqual(copied, ['https://example.com/portfolio/#book/1?picks=1-3']);
+        assert.equal(linkBtn.textContent, 'Link copied');
+    });
+
+    it('downloads the picks as a CSV list of filenames', async () => {
+        const files = [];
+        await createProofingPage({saved: '2,5'});
+
+        page.window.URL.createObjectURL = blob => {
+            files.push({blob});
+            return 'blob:list';
+        };
+        page.window.URL.revokeObjectURL = () => {};
+        mock.method(page.window.HTMLAnchorElement.prototype, 'click', function() {
+            files[files.length - 1].name = this.download;
+        });
+
+        page.document.querySelector('.portfolio-proofing-list').click();
+        await wait(0);
+
+        assert.equal(files.length, 1);
+        assert.equal(files[0].name, 'selection-portfolio.csv');
+        assert.equal(await files[0].blob.text(), 'Number,Filename\r\n2,photo-2.jpg\r\n5,photo-5.jpg\r\n');
+    });
+
+    it('picks both pages of a spread with S', async () => {
+        const portrait = {width: 800, height: 1200};
+        const portfolio = await createProofingPage({
+            images: [portrait, portrait, portrait, portrait],
+            media: query => query.includes('min-width: 1024px'),
+            hash: '#book/3'
+        });
+
+        assert.deepEqual(portfolio.getSpread(portfolio.getIndex()), [2, 3]);
+
+        getToggles(3)[0].click();
+        page.key('s');
+
+        assert.equal(getCount(), '2 selected');
+        [2, 3].forEach(index => assert.equal(getToggles(index)[0].getAttribute('aria-pressed'), 'true'));
+
+        page.key('s');
+        assert.equal(getCount(), '0 selected');
+    });
+
+    it('picks the current slide with S', async () => {
+        const portfolio = await createProofingPage({hash: '#book/3'});
+
+        page.key('s');
+
+        assert.equal(portfolio.getIndex(), 2);
+        assert.equal(getCount(), '1 selected');
+        assert.equal(getToggles(2)[0].getAttribute('aria-pressed'), 'true');
+    });
+});
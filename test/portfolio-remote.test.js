@@ -0,0 +1,338 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait} = require('./helpers/page');
+const remote = require('../assets/js/lib/portfolio-remote.js');
+const net = require('node:net');
+const {createRelay} = require('../tools/remote-relay.js');
+
+// Dual view fade between grid and carousel (ms)
+const TRANSITION = 400;
+
+describe('portfolio-remote', () => {
+    let page;
+    let peer;
+
+    // The test plays the other page - it sees what the portfolio sends and answers it
+    remote.addTransport('memory', (channel, handlers) => {
+        peer = {channel, handlers, sent: []};
+        setTimeout(handlers.open, 0);
+
+        return {
+            send(message) {
+                peer.sent.push(message);
+            },
+            close() {}
+        };
+    });
+
+    /**
+     * Portfolio page in a role, on the memory transport - session: one saved by this tab before
+     */
+    async function createRemotePage(hash, options) {
+        options = Object.assign({hash: hash + '&transport=memory'}, options);
+        peer = null;
+        page = await createPage(options);
+
+        if (options.session) {
+            page.window.sessionStorage.setItem('portfolio-remote:/portfolio/', options.session);
+        }
+
+        const portfolio = page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-remote');
+        await wait(0);
+        return portfolio;
+    }
+
+    /**
+     * Message from the other role
+     */
+    function receive(message) {
+        peer.handlers.message(Object.assign({from: 'peer', role: message.type === 'state' ? 'display' : 'remote'}, message));
+    }
+
+    /**
+     * Types of the messages sent so far
+     */
+    function getSent() {
+        return peer.sent.map(message => message.type === 'state' ? `state ${message.index} ${message.view}` : message.type);
+    }
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+    });
+
+    it('does nothing without present or remote in the hash', async () => {
+        page = await createPage({hash: '#book/2'});
+        page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-remote');
+
+        assert.equal(page.document.querySelector('.portfolio-remote-status'), null);
+        assert.equal(page.document.querySelector('.portfolio-container').classList.contains('is-presenting'), false);
+    });
+
+    describe('display', () => {
+        it('joins its room and shows the link for a remote', async () => {
+            await createRemotePage('#book/2?present=show');
+
+            const status = page.document.querySelector('.portfolio-remote-status');
+
+            assert.equal(peer.channel, 'portfolio-remote:/portfolio/:show');
+            assert.ok(page.document.querySelector('.portfolio-container').classList.contains('is-presenting'));
+            assert.equal(status.querySelector('a').href, 'https://example.com/portfolio/#book?remote=show');
+            assert.equal(status.hidden, false);
+            assert.deepEqual(getSent(), ['hello', 'state 1 carousel']);
+        });
+
+        it('tells a remote that joins where it is, and hides the link', async () => {
+            await createRemotePage('#book/3?present=show');
+            peer.sent = [];
+
+            receive({type: 'hello'});
+
+            assert.deepEqual(getSent(), ['state 2 carousel']);
+            assert.ok(page.document.querySelector('.portfolio-remote-status').hidden);
+
+            receive({type: 'bye'});
+            assert.equal(page.document.querySelector('.portfolio-remote-status').hidden, false);
+        });
+
+        it('names a room of its own when none is given, and links the remote to it', async () => {
+            await createRemotePage('#book/3?present');
+
+            const link = page.document.querySelector('.portfolio-remote-status a').href;
+            const room = /#book\?remote=([a-z0-9]+)$/.exec(link)[1];
+
+            assert.ok(room.length >= 6);
+            assert.equal(peer.channel, `portfolio-remote:/portfolio/:${room}`);
+        });
+
+        it('stays a display in its room when the hash loses the options, or the page reloads', async () => {
+            const portfolio = await createRemotePage('#book/2?present');
+            const channel = peer.channel;
+
+            portfolio.setView('grid');
+            await wait(TRANSITION);
+            assert.equal(page.window.location.hash, '');
+
+            const session = page.window.sessionStorage.getItem('portfolio-remote:/portfolio/');
+            page.close();
+
+            await createRemotePage('', {hash: '', session});
+            assert.ok(page.document.querySelector('.portfolio-container').classList.contains('is-presenting'));
+            assert.equal(peer.channel, channel);
+            page.close();
+
+            await createRemotePage('#book/2?present', {session});
+            assert.equal(peer.channel, channel);
+        });
+
+        it('keeps to this browser, and the rest of the portfolio sets up, when the relay can\'t be opened', async () => {
+            const channels = [];
+            const NativeBroadcastChannel = global.BroadcastChannel;
+            global.BroadcastChannel = class {
+                constructor(name) {
+                    channels.push(name);
+                }
+                postMessage() {}
+                close() {}
+            };
+
+            try {
+                page = await createPage({hash: '#book?present=show&relay=ws://[bad'});
+                const [portfolio] = page.setupAll();
+                await wait(0);
+
+                assert.ok(portfolio.container.classList.contains('is-presenting'));
+                assert.deepEqual(channels, ['portfolio-remote:/portfolio/:show']);
+                assert.ok(page.document.querySelector('.portfolio-live'));
+            } finally {
+                global.BroadcastChannel = NativeBroadcastChannel;
+            }
+        });
+
+        it('carries out the remote\'s commands', async () => {
+            const portfolio = await createRemotePage('#book/1?present=show');
+
+            receive({type: 'next'});
+            receive({type: 'next'});
+            receive({type: 'prev'});
+            assert.equal(portfolio.getIndex(), 1);
+
+            receive({type: 'go', index: 4});
+            assert.equal(portfolio.getIndex(), 4);
+
+            receive({type: 'grid'});
+            assert.equal(portfolio.getView(), 'grid');
+
+            receive({type: 'go', index: 2});
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 2);
+            await wait(TRANSITION);
+        });
+
+        it('sends its own moves to the remotes', async () => {
+            await createRemotePage('#book/1?present=show');
+            peer.sent = [];
+
+            page.key('ArrowRight');
+            page.key('Escape');
+
+            assert.deepEqual(getSent(), ['state 1 carousel', 'state 1 grid']);
+            await wait(TRANSITION);
+        });
+
+        it('ignores other displays and its own messages', async () => {
+            const portfolio = await createRemotePage('#book/1?present=show');
+
+            receive({type: 'state', index: 3, view: 'carousel'});
+            peer.handlers.message({type: 'next', from: peer.sent[0].from, role: 'remote'});
+
+            assert.equal(portfolio.getIndex(), 0);
+        });
+    });
+
+    describe('remote', () => {
+        it('shows the current image, the count and a thumbnail per slide', async () => {
+            await createRemotePage('#book?remote=show');
+
+            const panel = page.document.querySelector('.portfolio-remote');
+
+            assert.ok(page.document.querySelector('.portfolio-container').classList.contains('is-remote'));
+            assert.equal(panel.querySelectorAll('.portfolio-remote-thumb').length, 5);
+            assert.equal(panel.querySelector('.portfolio-remote-count').textContent, '1 / 5');
+            assert.equal(panel.querySelector('.portfolio-remote-status').textContent, 'Waiting for the display…');
+            assert.deepEqual(getSent(), ['hello']);
+        });
+
+        it('does nothing without a room to join', async () => {
+            await createRemotePage('#book?remote');
+
+            assert.equal(peer, null);
+            assert.equal(page.document.querySelector('.portfolio-remote'), null);
+        });
+
+        it('follows the display', async () => {
+            const portfolio = await createRemotePage('#book?remote=show');
+            const panel = page.document.querySelector('.portfolio-remote');
+            peer.sent = [];
+
+            receive({type: 'state', index: 3, view: 'carousel'});
+
+            assert.equal(portfolio.getIndex(), 3);
+            assert.equal(panel.querySelector('.portfolio-remote-count').textContent, '4 / 5');
+            assert.equal(panel.querySelector('.portfolio-remote-current img').getAttribute('src'), '/content/images/2024/05/photo-4.jpg');
+            assert.equal(panel.querySelector('.portfolio-remote-thumb.is-current').getAttribute('data-index'), '3');
+            assert.equal(panel.querySelector('.portfolio-remote-status').textContent, 'Connected to the display');
+
+            receive({type: 'state', index: 3, view: 'grid'});
+            await wait(TRANSITION);
+            assert.equal(panel.querySelector('.portfolio-remote-grid').getAttribute('aria-pressed'), 'true');
+
+            // Following the display sends nothing back
+            assert.deepEqual(getSent(), []);
+        });
+
+        it('sends commands from its buttons, thumbnails and arrow keys without moving itself', async () => {
+            const portfolio = await createRemotePage('#book?remote=show');
+            const panel = page.document.querySelector('.portfolio-remote');
+            peer.sent = [];
+
+            panel.querySelector('.portfolio-remote-next').click();
+            panel.querySelector('.portfolio-remote-prev').click();
+            panel.querySelector('.portfolio-remote-grid').click();
+            panel.querySelectorAll('.portfolio-remote-thumb')[2].click();
+            page.key('ArrowRight');
+            page.key('ArrowLeft');
+
+            assert.deepEqual(getSent(), ['next', 'prev', 'grid', 'go', 'next', 'prev']);
+            assert.equal(peer.sent[3].index, 2);
+            assert.equal(portfolio.getIndex(), 0);
+        });
+    });
+
+    describe('transports', () => {
+        it('links pages of one browser over BroadcastChannel', async () => {
+            const received = [];
+            const ports = [];
+            let opened = 0;
+            const handlers = {
+                message: message => received.push(message),
+                open: () => opened++
+            };
+
+            ports.push(remote.createBroadcastTransport('portfolio-remote:/test:show', handlers));
+            ports.push(remote.createBroadcastTransport('portfolio-remote:/test:show', {message() {}, open() {}}));
+            ports.push(remote.createBroadcastTransport('portfolio-remote:/test:other', {message() {}, open() {}}));
+
+            ports[1].send({type: 'next'});
+            ports[2].send({type: 'prev'});
+            await wait(20);
+
+            assert.equal(opened, 1);
+            assert.deepEqual(received, [{type: 'next'}]);
+            ports.forEach(port => port.close());
+        });
+
+        it('links devices through the relay, one channel at a time', async () => {
+            const relay = createRelay();
+            await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+
+            page = await createPage();
+            const options = {relay: `ws://127.0.0.1:${relay.address().port}`};
+            const received = [];
+            let opened = 0;
+
+            /**
+             * Socket transport that counts itself open
+             */
+            function open(channel, onMessage) {
+                return remote.createSocketTransport(channel, {message: onMessage, open: () => opened++}, options);
+            }
+
+            const sockets = [
+                open('show', message => received.push(message)),
+                open('show', () => {}),
+                open('other', () => {})
+            ];
+
+            for (let i = 0; i < 50 && opened < 3; i++) {
+                await wait(20);
+            }
+
+            sockets[1].send({type: 'go', index: 2});
+            sockets[2].send({type: 'next'});
+            await wait(100);
+
+            assert.equal(opened, 3);
+            assert.deepEqual(received, [{type: 'go', index: 2}]);
+
+            sockets.forEach(socket => socket.close());
+            await new Promise(resolve => relay.close(resolve));
+        });
+
+        it('gives no socket transport for a relay URL the page can\'t open', async () => {
+            page = await createPage();
+
+            assert.equal(remote.createSocketTransport('show', {message() {}, open() {}}, {relay: 'ws://[bad'}), null);
+        });
+
+        it('closes a relay connection that sends a fragmented message', async () => {
+            const relay = createRelay();
+            await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+
+            const socket = net.connect(relay.address().port, '127.0.0.1');
+            const closed = new Promise(resolve => socket.on('close', resolve));
+
+            socket.write('GET / HTTP/1.1\r\nHost: 127.0.0.1\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+                'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+            await new Promise(resolve => socket.once('data', resolve));
+
+            // First fragment of a text message - no FIN bit, unmasked 'hi'
+            socket.write(Buffer.from([0x01, 0x02, 0x68, 0x69]));
+            await closed;
+
+            await new Promise(resolve => relay.close(resolve));
+        });
+    });
+});
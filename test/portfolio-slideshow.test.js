@@ -0,0 +1,79 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait} = require('./helpers/page');
+
+// Dual view fade, then a second per image (the shortest interval), with room to spare (ms)
+const TRANSITION = 400;
+const INTERVAL = 1000;
+
+describe('portfolio-slideshow', () => {
+    let page;
+
+    /**
+     * Grid page with a one-second slideshow
+     */
+    async function createSlideshowPage(options) {
+        page = await createPage(options);
+        page.document.querySelector('.portfolio-container').setAttribute('data-autoplay-interval', '1');
+
+        return page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-semantics', 'portfolio-slideshow');
+    }
+
+    afterEach(async () => {
+        page.window.Portfolio.slideshow.pause();
+        // Let the view fade finish before the page goes
+        await wait(TRANSITION);
+        page.close();
+    });
+
+    it('plays from the grid, though opening the slides moves focus', async () => {
+        const portfolio = await createSlideshowPage();
+
+        page.key('p');
+        await wait(TRANSITION + INTERVAL + 200);
+
+        assert.equal(portfolio.getView(), 'carousel');
+        assert.ok(portfolio.slideshow.isPlaying());
+        assert.equal(page.document.activeElement, portfolio.getSlides()[1]);
+        assert.equal(portfolio.getIndex(), 1);
+    });
+
+    it('keeps playing as focus follows the slides', async () => {
+        const portfolio = await createSlideshowPage();
+
+        page.key('p');
+        await wait(TRANSITION + 3 * INTERVAL + 200);
+
+        assert.ok(portfolio.slideshow.isPlaying());
+        assert.equal(portfolio.getIndex(), 3);
+        assert.equal(page.document.activeElement, portfolio.getSlides()[3]);
+    });
+
+    it('plays from a grid item that has keyboard focus', async () => {
+        const portfolio = await createSlideshowPage();
+        await wait(TRANSITION);
+
+        page.document.querySelector('.portfolio-grid-item[data-index="2"]').focus();
+        page.key('p');
+        await wait(TRANSITION + INTERVAL + 200);
+
+        assert.equal(portfolio.getIndex(), 1);
+    });
+
+    it('holds while the visitor focuses a slide', async () => {
+        const portfolio = await createSlideshowPage({hash: '#book/1'});
+
+        portfolio.slideshow.play();
+        portfolio.getSlides()[0].focus();
+        await wait(INTERVAL + 200);
+
+        assert.equal(portfolio.getIndex(), 0);
+
+        page.document.querySelector('#gh-head .gh-search').focus();
+        await wait(INTERVAL + 200);
+
+        assert.equal(portfolio.getIndex(), 1);
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const {describe, it, afterEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {createPage, wait, videoCard} = require('./helpers/page');
+
+// Covers the grid fade out and fade in (ms), as in portfolio-dual-view.test.js
+const TRANSITION = 400;
+
+/**
+ * Media playback stand-in - jsdom doesn't play media
+ */
+function stubPlayback(window) {
+    const proto = window.HTMLMediaElement.prototype;
+
+    Object.defineProperty(proto, 'paused', {configurable: true, get() {
+        return !this.isPlayingStub;
+    }});
+    proto.play = function() {
+        this.isPlayingStub = true;
+        this.dispatchEvent(new window.Event('play'));
+        return Promise.resolve();
+    };
+    proto.pause = function() {
+        this.isPlayingStub = false;
+        this.dispatchEvent(new window.Event('pause'));
+    };
+}
+
+describe('portfolio-video', () => {
+    let page;
+
+    /**
+     * Page with an image and a video slide, the playback stubbed and the scripts run
+     */
+    async function createVideoPage(options) {
+        page = await createPage(Object.assign({slides: 1, cards: [videoCard('surf')]}, options));
+        stubPlayback(page.window);
+
+        const portfolio = page.run('portfolio-controller', 'portfolio-dual-view', 'portfolio-video');
+        return {portfolio, video: page.document.querySelector('video'), card: page.document.querySelector('.kg-video-card')};
+    }
+
+    afterEach(() => {
+        page.close();
+    });
+
+    it('plays the current video muted and pauses it when moving on', async () => {
+        const {portfolio, video, card} = await createVideoPage({hash: '#book/2'});
+
+        assert.equal(video.paused, false);
+        assert.equal(video.muted, true);
+        assert.equal(video.hasAttribute('autoplay'), false);
+        assert.ok(card.classList.contains('is-playing'));
+
+        portfolio.prev();
+        assert.equal(video.paused, true);
+        assert.equal(card.classList.contains('is-playing'), false);
+    });
+
+    it('keeps videos paused while the grid is open', async () => {
+        const {portfolio, video} = await createVideoPage();
+
+        assert.equal(portfolio.getView(), 'grid');
+        assert.equal(video.paused, true);
+
+        portfolio.setView('carousel', {index: 1});
+        await wait(TRANSITION);
+        assert.equal(video.paused, false);
+    });
+
+    it('pauses while the page is hidden', async () => {
+        const {video} = await createVideoPage({hash: '#book/2'});
+
+        Object.defineProperty(page.document, 'hidden', {configurable: true, value: true});
+        page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+
+        assert.equal(video.paused, true);
+    });
+
+    it('leaves starting the video to visitors who prefer reduced motion', async () => {
+        const {video} = await createVideoPage({hash: '#book/2', media: query => query.includes('reduce')});
+
+        assert.equal(video.paused, true);
+    });
+});
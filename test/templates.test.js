@@ -0,0 +1,181 @@
+'use strict';
+
+const {describe, it, before, afterEach, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {JSDOM} = require('jsdom');
+const {createSite} = require('./ghost/site');
+const {createPage, wait} = require('./helpers/page');
+const GridLayout = require('../assets/js/lib/grid-layout.js').default;
+
+// Covers the grid fade out and fade in (ms), as in portfolio-dual-view.test.js
+const TRANSITION = 400;
+
+describe('templates', () => {
+    let site;
+
+    /**
+     * Render a path and parse it (no scripts run)
+     */
+    function parse(pathname) {
+        const page = site.renderPath(pathname);
+
+        assert.equal(page.status, 200, `${pathname} renders`);
+        return new JSDOM(page.html).window.document;
+    }
+
+    before(() => {
+        site = createSite();
+    });
+
+    describe('feed', () => {
+        it('lists a page of posts with a link to the next', () => {
+            const document = parse('/');
+
+            assert.equal(document.querySelectorAll('.post-feed .grid-item:not(.grid-sizer)').length, 10);
+            assert.equal(document.querySelector('.feed-more').getAttribute('href'), '/page/2/');
+        });
+
+        it('ends on the last page', () => {
+            const document = parse('/page/2/');
+
+            assert.equal(document.querySelectorAll('.post-feed .grid-item:not(.grid-sizer)').length, 2);
+            assert.equal(document.querySelector('.feed-pagination'), null);
+            assert.equal(site.renderPath('/page/3/').status, 404);
+        });
+
+        it('tags feed items for the filter chips', () => {
+            const item = parse('/').querySelector('.post-feed .grid-item:not(.grid-sizer)');
+
+            assert.equal(item.getAttribute('data-tag'), 'landscape');
+            assert.equal(item.getAttribute('data-tag-name'), 'Landscape');
+        });
+
+        it('uses the theme image sizes in srcset', () => {
+            const srcset = parse('/').querySelector('.post-image').getAttribute('srcset');
+
+            assert.match(srcset, /\/content\/images\/size\/w300\/2024\/05\/harbour-1200x800\.jpg 300w/);
+        });
+
+        it('leaves out the image manifest while it is empty', () => {
+            assert.equal(parse('/').querySelector('meta[name="picture-manifest"]'), null);
+        });
+    });
+
+    describe('post', () => {
+        it('renders the article and its content', () => {
+            const document = parse('/harbour/');
+
+            assert.equal(document.querySelector('.gh-article-title').textContent, 'Harbour');
+            assert.ok(document.querySelector('.gh-content .kg-image-card img'));
+            assert.equal(document.querySelector('title').textContent, 'Harbour - Edge');
+        });
+
+        it('leaves the current post out of related posts', () => {
+            const links = Array.from(parse('/harbour/').querySelectorAll('.related-posts a'), link => link.getAttribute('href'));
+
+            assert.ok(links.length > 0);
+            assert.ok(!links.includes('/harbour/'));
+        });
+    });
+
+    describe('portfolio templates', () => {
+        it('render the dual view with every control and the page images', () => {
+            const document = parse('/portfolio/');
+            const container = document.querySelector('.portfolio-container');
+
+            assert.ok(container.classList.contains('portfolio-dual-container'));
+            assert.equal(container.getAttribute('data-layout'), 'masonry');
+            assert.ok(document.querySelector('.portfolio-close-btn'));
+            assert.deepEqual(
+                Array.from(document.querySelectorAll('.portfolio-control-btn'), button => button.classList[1]),
+                ['portfolio-info-btn', 'portfolio-play-btn', 'portfolio-stack-btn', 'portfolio-filmstrip-btn', 'portfolio-fullscreen-btn']
+            );
+            assert.equal(document.querySelectorAll('#portfolio-carousel .kg-image-card').length, 12);
+            assert.equal(document.querySelector('#portfolio-grid').getAttribute('aria-hidden'), 'true');
+        });
+
+        it('take the grid layout from an internal tag', () => {
+            const container = parse('/justified/').querySelector('.portfolio-container');
+
+            assert.equal(container.getAttribute('data-layout'), 'justified');
+        });
+
+        it('turn proofing on from an internal tag', () => {
+            assert.ok(parse('/proofs/').querySelector('.portfolio-container').hasAttribute('data-proofing'));
+            assert.ok(!parse('/portfolio/').querySelector('.portfolio-container').hasAttribute('data-proofing'));
+        });
+
+        it('render the carousel-only template without a grid', () => {
+            const document = parse('/book/');
+
+            assert.ok(!document.querySelector('.portfolio-container').classList.contains('portfolio-dual-container'));
+            assert.equal(document.querySelector('#portfolio-grid'), null);
+            assert.equal(document.querySelector('.portfolio-close-btn'), null);
+        });
+
+        it('load the portfolio bundle', () => {
+            const scripts = Array.from(parse('/portfolio/').querySelectorAll('script[src]'), script => script.getAttribute('src'));
+
+            assert.match(scripts[0], /^\/assets\/built\/js\/portfolio-\w+\.js$/);
+        });
+    });
+
+    describe('portfolio scripts on the rendered template', () => {
+        let page;
+
+        afterEach(() => {
+            mock.restoreAll();
+            page.close();
+        });
+
+        /**
+         * Rendered grid page with every portfolio script run against it
+         */
+        async function openPortfolio(hash) {
+            page = await createPage({html: site.renderPath('/portfolio/').html, hash: hash || ''});
+            mock.method(GridLayout, 'create', () => ({layout() {}}));
+
+            return page.setupAll()[0];
+        }
+
+        it('build the grid from the page images', async () => {
+            const portfolio = await openPortfolio();
+
+            assert.equal(portfolio.getTotal(), 12);
+            assert.equal(portfolio.getView(), 'grid');
+            assert.equal(page.document.querySelectorAll('#portfolio-grid .portfolio-grid-item').length, 12);
+        });
+
+        it('mark each control ready on the container', async () => {
+            await openPortfolio();
+            const container = page.document.querySelector('.portfolio-container');
+
+            ['has-info', 'has-slideshow', 'has-stack', 'has-filmstrip'].forEach((name) => {
+                assert.ok(container.classList.contains(name), name);
+            });
+        });
+
+        it('open the carousel from the grid and return with Escape', async () => {
+            const portfolio = await openPortfolio();
+
+            page.document.querySelectorAll('.portfolio-grid-item')[2].click();
+            await wait(TRANSITION);
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(page.window.location.hash, '#book/3');
+
+            page.key('Escape');
+            await wait(TRANSITION);
+
+            assert.equal(portfolio.getView(), 'grid');
+            assert.ok(page.document.querySelector('.portfolio-container').classList.contains('view-grid'));
+        });
+
+        it('start at the image in the hash', async () => {
+            const portfolio = await openPortfolio('#book/5');
+
+            assert.equal(portfolio.getView(), 'carousel');
+            assert.equal(portfolio.getIndex(), 4);
+        });
+    });
+});
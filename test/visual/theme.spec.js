@@ -0,0 +1,140 @@
+/**
+ * Visual and interaction tests - the fixture site (test/ghost) in Chromium
+ * Screenshots cover each template and the portfolio views; flows cover the keyboard
+ * and hash routing that jsdom can't lay out or scroll.
+ */
+const {test, expect} = require('@playwright/test');
+
+/**
+ * Portfolio state from the page
+ */
+function portfolioState(page) {
+    return page.evaluate(() => ({
+        index: window.Portfolio.getIndex(),
+        view: window.Portfolio.getView(),
+        hash: window.location.hash
+    }));
+}
+
+/**
+ * Open a page and wait for its images and the first view to settle
+ */
+async function open(page, url) {
+    await page.goto(url);
+    await page.waitForLoadState('networkidle');
+
+    if (await page.locator('.portfolio-container').count()) {
+        await expect(page.locator('.portfolio-container')).toHaveClass(/view-visible/);
+    }
+}
+
+test.describe('screenshots', () => {
+    test('feed', async ({page}) => {
+        await open(page, '/');
+        await expect(page).toHaveScreenshot('feed.png');
+    });
+
+    test('post', async ({page}) => {
+        await open(page, '/harbour/');
+        await expect(page).toHaveScreenshot('post.png');
+    });
+
+    test('portfolio grid', async ({page}) => {
+        await open(page, '/portfolio/');
+        await expect(page).toHaveScreenshot('portfolio-grid.png');
+    });
+
+    test('portfolio slides', async ({page}) => {
+        // The carousel on desktop, the stack on a phone in portrait
+        await open(page, '/portfolio/#book/2');
+        await expect(page).toHaveScreenshot('portfolio-slides.png');
+    });
+
+    test('portfolio thumbnails and info', async ({page}) => {
+        await open(page, '/book/#book/3');
+        await page.keyboard.press('t');
+        await page.keyboard.press('i');
+        await expect(page).toHaveScreenshot('portfolio-panels.png');
+    });
+});
+
+test.describe('portfolio flows', () => {
+    test.beforeEach(({}, testInfo) => {
+        test.skip(testInfo.project.name !== 'desktop', 'Keyboard flows run on desktop');
+    });
+
+    test('arrow keys step through the carousel and update the hash', async ({page}) => {
+        await open(page, '/portfolio/#book/1');
+
+        await page.keyboard.press('ArrowRight');
+        await page.keyboard.press('ArrowRight');
+        await expect(page).toHaveURL(/#book\/3$/);
+
+        await page.keyboard.press('ArrowLeft');
+        await expect(page).toHaveURL(/#book\/2$/);
+        expect(await portfolioState(page)).toMatchObject({index: 1, view: 'carousel'});
+    });
+
+    test('Escape returns to the grid at the current image', async ({page}) => {
+        await open(page, '/portfolio/#book/4');
+
+        await page.keyboard.press('Escape');
+
+        await expect(page.locator('.portfolio-container')).toHaveClass(/view-grid/);
+        await expect(page.locator('.portfolio-grid-item').nth(3)).toBeInViewport();
+        expect(await portfolioState(page)).toMatchObject({index: 3, view: 'grid', hash: ''});
+    });
+
+    test('a grid item opens the carousel at its image', async ({page}) => {
+        await open(page, '/portfolio/');
+
+        await page.locator('.portfolio-grid-item').nth(2).click();
+
+        await expect(page).toHaveURL(/#book\/3$/);
+        await expect(page.locator('#portfolio-carousel .kg-image-card').nth(2)).toBeInViewport({ratio: 0.9});
+    });
+
+    test('the hash and Back move between images and views', async ({page}) => {
+        await open(page, '/portfolio/');
+
+        await page.locator('.portfolio-grid-item').first().click();
+        await expect(page).toHaveURL(/#book\/1$/);
+
+        await page.evaluate(() => {
+            window.location.hash = '#book/6';
+        });
+        await expect(page.locator('#portfolio-carousel .kg-image-card').nth(5)).toBeInViewport({ratio: 0.9});
+
+        await page.goBack();
+        await expect(page.locator('.portfolio-container')).toHaveClass(/view-grid/);
+    });
+
+    test('? opens the shortcuts overlay and Escape closes it', async ({page}) => {
+        await open(page, '/portfolio/#book/1');
+
+        await page.keyboard.press('?');
+        const dialog = page.getByRole('dialog');
+        await expect(dialog).toBeVisible();
+        await expect(dialog).toHaveScreenshot('help.png');
+
+        await page.keyboard.press('Escape');
+        await expect(dialog).toBeHidden();
+
+        // The overlay takes the Escape, the carousel stays open
+        expect(await portfolioState(page)).toMatchObject({view: 'carousel'});
+    });
+});
+
+test.describe('stack flows', () => {
+    test.beforeEach(({}, testInfo) => {
+        test.skip(testInfo.project.name !== 'mobile', 'The stack is picked on narrow portrait screens');
+    });
+
+    test('#book/N opens the stack on a phone', async ({page}) => {
+        await open(page, '/portfolio/#book/3');
+
+        await expect(page.locator('.portfolio-container')).toHaveClass(/is-stacked/);
+        await expect(page.locator('#portfolio-carousel .kg-image-card').nth(2)).toBeInViewport({ratio: 0.5});
+        expect(await portfolioState(page)).toMatchObject({index: 2, view: 'stack'});
+    });
+});
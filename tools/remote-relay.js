@@ -0,0 +1,150 @@
+/**
+ * Remote relay - links a presenter remote on one device to a display on another
+ * A WebSocket server that passes every text message on to all the other pages connected
+ * to it; the pages keep to their own channel (see assets/js/lib/portfolio-remote.js).
+ *   node tools/remote-relay.js   (PORT, default 8787)
+ * Then open the display with #book?present=show&relay=ws://<this machine's address>:8787
+ * and follow the remote link it shows. Browsers only let https pages - a live Ghost site -
+ * reach a wss:// relay; give it a certificate for the address the pages use:
+ *   TLS_CERT=cert.pem TLS_KEY=key.pem node tools/remote-relay.js   (then relay=wss://...) No dependencies - only whole (unfragmented) text
+ * frames up to 64KB, which is all the pages send; anything else closes the connection.
+ */
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+
+// Fixed by the WebSocket protocol (RFC 6455) for the handshake
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa};
+const MAX_PAYLOAD = 65535;
+
+/**
+ * Encode a frame the server sends - unmasked, final
+ */
+function encodeFrame(opcode, payload) {
+    const header = payload.length < 126 ? Buffer.from([0x80 | opcode, payload.length]) : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read the complete frames at the start of a buffer
+ * Returns {frames: [{opcode, payload}], rest} - rest waits for more data; null for frames
+ * too large, or fragmented (no FIN bit, or a continuation)
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const isFinal = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const isMasked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+
+        if (!isFinal || opcode === OPCODES.continuation || length === 127) return null;
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        }
+
+        if (buffer.length < position + (isMasked ? 4 : 0) + length) break;
+
+        const mask = isMasked ? buffer.subarray(position, position + 4) : null;
+        position += isMasked ? 4 : 0;
+
+        const payload = Buffer.from(buffer.subarray(position, position + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({opcode, payload});
+        offset = position + length;
+    }
+
+    return {frames, rest: buffer.subarray(offset)};
+}
+
+/**
+ * Create the relay - an HTTP server that upgrades every request to a WebSocket
+ * tls: {cert, key} for HTTPS (wss://), plain HTTP (ws://) without
+ */
+function createRelay(tls) {
+    const sockets = new Set();
+
+    const handleRequest = (req, res) => {
+        res.writeHead(426, {'Content-Type': 'text/plain; charset=utf-8'});
+        res.end('Portfolio remote relay - connect with a WebSocket\n');
+    };
+    const server = tls ? https.createServer(tls, handleRequest) : http.createServer(handleRequest);
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.destroy();
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        let buffer = Buffer.alloc(0);
+        sockets.add(socket);
+
+        socket.on('data', (chunk) => {
+            const result = decodeFrames(Buffer.concat([buffer, chunk]));
+            if (!result) {
+                socket.destroy();
+                return;
+            }
+
+            buffer = result.rest;
+            result.frames.forEach(({opcode, payload}) => {
+                if (opcode === OPCODES.text && payload.length <= MAX_PAYLOAD) {
+                    const frame = encodeFrame(OPCODES.text, payload);
+                    sockets.forEach((other) => {
+                        if (other !== socket) other.write(frame);
+                    });
+                } else if (opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(OPCODES.pong, payload));
+                } else if (opcode === OPCODES.close) {
+                    socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+                }
+            });
+        });
+
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => sockets.delete(socket));
+    });
+
+    // Closing the server leaves upgraded sockets open - end them too
+    server.on('close', () => {
+        sockets.forEach(socket => socket.destroy());
+        sockets.clear();
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 8787;
+    const tls = process.env.TLS_CERT && process.env.TLS_KEY ? {
+        cert: fs.readFileSync(process.env.TLS_CERT),
+        key: fs.readFileSync(process.env.TLS_KEY)
+    } : null;
+
+    createRelay(tls).listen(port, () => {
+        console.log(`Remote relay on ${tls ? 'wss' : 'ws'}://<this machine's address>:${port}/`);
+    });
+}
+
+module.exports = {createRelay};